@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Create Admin Script
+ * Creates a platform admin directly in Firestore - used for the first super admin, since every
+ * other admin is created through POST /api/admin/admins by an admin with admins:manage
+ *
+ * Usage:
+ *   npm run admin:create -- --email ops@example.com --name "Ops Lead" [--role super_admin]
+ *
+ * The password is taken from ADMIN_PASSWORD, or generated and printed once. The admin sets up
+ * their authenticator app on first sign-in at POST /api/admin/auth/login.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { databaseService } = require('../src/config/database');
+const { ADMIN_ROLES } = require('../src/config/constants');
+const Admin = require('../src/models/Admin');
+
+/**
+ * --key value pairs from the command line
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const role = args.role || ADMIN_ROLES.SUPER_ADMIN;
+
+  if (!args.email || !args.name) {
+    console.error('Usage: npm run admin:create -- --email <email> --name <name> [--role <role>]');
+    console.error(`Roles: ${Object.values(ADMIN_ROLES).join(', ')}`);
+    process.exit(1);
+  }
+
+  // Letters and digits, so it always meets the password rules
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || `${crypto.randomBytes(12).toString('base64url')}a1`;
+
+  await databaseService.initialize();
+  const admin = await Admin.create({ email: args.email, name: args.name, role, password }, 'script');
+
+  console.log(`\n🛡️  Admin ${admin.email} created with role ${admin.role}`);
+  if (generated) {
+    console.log(`   Password: ${password}`);
+    console.log('   It is not stored anywhere else - hand it over securely and have it changed after first sign-in.');
+  }
+  console.log('   Sign in at POST /api/admin/auth/login to set up the authenticator app.\n');
+};
+
+if (require.main === module) {
+  run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Failed to create admin:', error.message);
+      process.exit(1);
+    });
+}
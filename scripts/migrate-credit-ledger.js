@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Credit Ledger Script
+ * Opens the credit ledger of every company with the credits it had before the ledger existed
+ *
+ * Usage:
+ *   npm run credits:migrate -- [--dry-run]
+ *
+ * For each company it adds 'migration' lots for:
+ *   - the instant matches and interviews counted in usageStats - the old pay-as-you-go balance.
+ *     Instant matches get the usual pay-as-you-go validity; interviews the longest interview
+ *     package validity, both from today, since the old counters don't say when they were bought
+ *   - the allowance of an active starter/pro subscription, valid until its nextBillingDate
+ * Companies on unlimited plans (trial, custom) only get lots for their counted credits.
+ *
+ * Safe to run again: a company's migration lots are only added once. usageStats is left as it was.
+ */
+
+require('dotenv').config();
+const { databaseService, COLLECTIONS } = require('../src/config/database');
+const Company = require('../src/models/Company');
+const creditLedgerService = require('../src/services/creditLedgerService');
+
+const { CREDIT_TYPES } = creditLedgerService;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INSTANT_MATCH_VALIDITY_DAYS = parseInt(process.env.CREDIT_INSTANT_MATCH_VALIDITY_DAYS) || 365;
+
+/**
+ * Opening lots of a company
+ */
+const getOpeningLots = (company, now) => {
+  const lots = [];
+  const usageStats = company.usageStats || {};
+
+  const instantMatches = parseInt(usageStats.instantMatches) || 0;
+  if (instantMatches > 0) {
+    lots.push({
+      creditType: CREDIT_TYPES.INSTANT_MATCH,
+      quantity: instantMatches,
+      expiresAt: new Date(now.getTime() + INSTANT_MATCH_VALIDITY_DAYS * DAY_MS).toISOString(),
+      referenceId: `${company.id}_balance`,
+      note: 'Pay-as-you-go balance before the credit ledger'
+    });
+  }
+
+  const interviews = parseInt(usageStats.interviews) || 0;
+  if (interviews > 0) {
+    const longestValidityWeeks = Math.max(...company.pricingDetails.payAsYouGo.pricing.interviewPackages.map(p => p.validity));
+    lots.push({
+      creditType: CREDIT_TYPES.INTERVIEW,
+      quantity: interviews,
+      expiresAt: new Date(now.getTime() + longestValidityWeeks * 7 * DAY_MS).toISOString(),
+      referenceId: `${company.id}_balance`,
+      note: 'Interview package balance before the credit ledger'
+    });
+  }
+
+  const plan = (company.pricingDetails.subscriptionPlans || []).find(subscription => subscription.id === company.subscriptionPlan);
+  if (plan && company.nextBillingDate && new Date(company.nextBillingDate) > now) {
+    for (const creditType of Object.values(CREDIT_TYPES)) {
+      const allowance = plan.features[creditType === CREDIT_TYPES.INSTANT_MATCH ? 'instantMatches' : 'interviews'];
+      if (Number.isInteger(allowance) && allowance > 0) {
+        lots.push({
+          creditType,
+          quantity: allowance,
+          expiresAt: company.nextBillingDate,
+          referenceId: `${company.id}_subscription`,
+          note: `${plan.name} allowance before the credit ledger`
+        });
+      }
+    }
+  }
+
+  return lots;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const now = new Date();
+
+  await databaseService.initialize();
+  const companies = (await databaseService.query(COLLECTIONS.COMPANIES)).map(data => new Company(data));
+
+  let migrated = 0;
+  for (const company of companies) {
+    const lots = getOpeningLots(company, now);
+    if (lots.length === 0) {
+      continue;
+    }
+
+    console.log(`🏢 ${company.companyName || company.id} (${company.subscriptionPlan})`);
+    for (const lot of lots) {
+      console.log(`   ${lot.quantity} ${lot.creditType} until ${lot.expiresAt.slice(0, 10)} - ${lot.note}`);
+      if (!dryRun) {
+        await creditLedgerService.grantLot(company.id, { ...lot, source: 'migration', referenceType: 'migration' });
+      }
+    }
+    migrated++;
+  }
+
+  console.log(`\n🎟️  ${migrated} of ${companies.length} companies ${dryRun ? 'would get' : 'got'} opening credit lots${dryRun ? ' (dry run - nothing written)' : ''}\n`);
+};
+
+if (require.main === module) {
+  run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Failed to migrate credits:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * WhatsApp Cloud API Mock Server
+ * Local stand-in for graph.facebook.com used when developing and testing the WhatsApp channel
+ *
+ * - Accepts POST /:version/:phoneNumberId/messages and answers like the Cloud API
+ * - Sends signed sent/delivered/read status webhooks back to the backend
+ * - Simulates inbound messages and button replies via POST /mock/inbound
+ *
+ * Point the backend at it with:
+ *   WHATSAPP_ENABLED=true
+ *   WHATSAPP_API_URL=http://localhost:4010
+ *   WHATSAPP_PHONE_NUMBER_ID=mock-phone-number-id
+ *   WHATSAPP_ACCESS_TOKEN=mock-token
+ *   WHATSAPP_APP_SECRET=mock-app-secret
+ *
+ * Recipients ending in 0000 fail with "message undeliverable".
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = parseInt(process.env.MOCK_WHATSAPP_PORT) || 4010;
+const WEBHOOK_URL = process.env.MOCK_WHATSAPP_WEBHOOK_URL || 'http://localhost:3000/api/callback/whatsapp';
+const APP_SECRET = process.env.WHATSAPP_APP_SECRET || 'mock-app-secret';
+const ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN || 'mock-token';
+const STATUS_DELAY_MS = parseInt(process.env.MOCK_WHATSAPP_STATUS_DELAY_MS) || 500;
+// Reject free-form messages to numbers that haven't messaged the mock in the last 24h
+const ENFORCE_SESSION = process.env.MOCK_WHATSAPP_ENFORCE_SESSION === 'true';
+
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const messages = [];
+const sessions = new Map();
+
+const app = express();
+app.use(express.json());
+
+const apiError = (res, status, code, message) => {
+  return res.status(status).json({
+    error: { message, type: 'OAuthException', code, fbtrace_id: crypto.randomBytes(8).toString('hex') }
+  });
+};
+
+const wamid = () => `wamid.MOCK${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+
+/**
+ * POST a webhook payload signed like Meta does
+ */
+const sendWebhook = async (value) => {
+  const payload = {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'mock-waba-id',
+      changes: [{ field: 'messages', value: { messaging_product: 'whatsapp', ...value } }]
+    }]
+  };
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex');
+
+  try {
+    await axios.post(WEBHOOK_URL, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': `sha256=${signature}`
+      },
+      timeout: 5000
+    });
+  } catch (error) {
+    console.error(`❌ Webhook to ${WEBHOOK_URL} failed:`, error.response?.status || error.message);
+  }
+};
+
+const sendStatus = (message, status, errors) => {
+  message.statuses.push(status);
+  return sendWebhook({
+    statuses: [{
+      id: message.id,
+      status,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      recipient_id: message.to,
+      ...(errors ? { errors } : {})
+    }]
+  });
+};
+
+/**
+ * Play back sent -> delivered -> read (or failed) for an accepted message
+ */
+const playStatuses = async (message) => {
+  const wait = () => new Promise(resolve => setTimeout(resolve, STATUS_DELAY_MS));
+
+  await wait();
+  if (message.to.endsWith('0000')) {
+    await sendStatus(message, 'failed', [{ code: 131026, title: 'Message undeliverable' }]);
+    return;
+  }
+
+  await sendStatus(message, 'sent');
+  await wait();
+  await sendStatus(message, 'delivered');
+  await wait();
+  await sendStatus(message, 'read');
+};
+
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+    return apiError(res, 401, 190, 'Invalid OAuth access token.');
+  }
+
+  const { messaging_product: product, to, type } = req.body || {};
+  if (product !== 'whatsapp' || !to || !['text', 'template', 'interactive'].includes(type)) {
+    return apiError(res, 400, 100, 'Invalid parameter');
+  }
+
+  if (type === 'template' && !req.body.template?.name) {
+    return apiError(res, 400, 132001, 'Template name does not exist in the translation');
+  }
+
+  if (type !== 'template' && ENFORCE_SESSION) {
+    const lastInbound = sessions.get(to);
+    if (!lastInbound || Date.now() - lastInbound > SESSION_WINDOW_MS) {
+      return apiError(res, 400, 131047, 'Re-engagement message');
+    }
+  }
+
+  const message = {
+    id: wamid(),
+    to,
+    type,
+    payload: req.body,
+    phoneNumberId: req.params.phoneNumberId,
+    receivedAt: new Date().toISOString(),
+    statuses: []
+  };
+  messages.push(message);
+
+  console.log(`📨 ${type} message to ${to} (${message.id})`);
+  playStatuses(message);
+
+  res.status(200).json({
+    messaging_product: 'whatsapp',
+    contacts: [{ input: to, wa_id: to }],
+    messages: [{ id: message.id }]
+  });
+});
+
+/**
+ * Simulate the user sending a message or tapping a button
+ * Body: { from, text } or { from, buttonReplyId, buttonTitle } or { from, payload, buttonTitle } for template quick replies
+ */
+app.post('/mock/inbound', async (req, res) => {
+  const { from, name = 'Mock User', text, buttonReplyId, buttonTitle, payload, context } = req.body || {};
+  if (!from) {
+    return res.status(400).json({ success: false, message: 'from is required' });
+  }
+
+  const inbound = {
+    from,
+    id: wamid(),
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    ...(context ? { context } : {})
+  };
+
+  if (buttonReplyId) {
+    inbound.type = 'interactive';
+    inbound.interactive = { type: 'button_reply', button_reply: { id: buttonReplyId, title: buttonTitle || buttonReplyId } };
+  } else if (payload) {
+    inbound.type = 'button';
+    inbound.button = { payload, text: buttonTitle || payload };
+  } else {
+    inbound.type = 'text';
+    inbound.text = { body: text || '' };
+  }
+
+  sessions.set(from, Date.now());
+  await sendWebhook({
+    contacts: [{ profile: { name }, wa_id: from }],
+    messages: [inbound]
+  });
+
+  res.status(200).json({ success: true, data: inbound });
+});
+
+app.get('/mock/messages', (req, res) => {
+  const { to } = req.query;
+  const data = to ? messages.filter(message => message.to === to) : messages;
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+app.delete('/mock/messages', (req, res) => {
+  messages.length = 0;
+  sessions.clear();
+  res.status(200).json({ success: true });
+});
+
+const server = app.listen(PORT, () => {
+  console.log(`📱 WhatsApp mock server listening on http://localhost:${PORT}`);
+  console.log(`   Webhooks -> ${WEBHOOK_URL}`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -18,8 +18,25 @@ const COLLECTIONS = {
   ONBOARDING_DATA: process.env.ONBOARDING_COLLECTION || 'onboarding_data',
   PHONE_REGISTRATIONS: process.env.PHONE_REGISTRATIONS_COLLECTION || 'phone_registrations',
   JOBS: process.env.JOBS_COLLECTION || 'jobs',
+  JOB_SEARCH_INDEX: process.env.JOB_SEARCH_INDEX_COLLECTION || 'job_search_index',
+  SAVED_SEARCHES: process.env.SAVED_SEARCHES_COLLECTION || 'saved_searches',
+  SAVED_SEARCH_ALERTS: process.env.SAVED_SEARCH_ALERTS_COLLECTION || 'saved_search_alerts',
+  CALENDAR_FEEDS: process.env.CALENDAR_FEEDS_COLLECTION || 'calendar_feeds',
+  EARNINGS: process.env.EARNINGS_COLLECTION || 'earnings',
+  PAYOUTS: process.env.PAYOUTS_COLLECTION || 'payouts',
+  COMPANY_MEMBERS: process.env.COMPANY_MEMBERS_COLLECTION || 'company_members',
+  PAYMENT_SESSIONS: process.env.PAYMENT_SESSIONS_COLLECTION || 'payment_sessions',
+  CREDIT_LEDGER: process.env.CREDIT_LEDGER_COLLECTION || 'credit_ledger',
+  INVOICES: process.env.INVOICES_COLLECTION || 'invoices',
+  INVOICE_COUNTERS: process.env.INVOICE_COUNTERS_COLLECTION || 'invoice_counters',
   APPLICATIONS: process.env.APPLICATIONS_COLLECTION || 'applications',
   NOTIFICATIONS: process.env.NOTIFICATIONS_COLLECTION || 'notifications',
+  NOTIFICATION_DEAD_LETTERS: process.env.NOTIFICATION_DEAD_LETTERS_COLLECTION || 'notification_dead_letters',
+  WHATSAPP_MESSAGES: process.env.WHATSAPP_MESSAGES_COLLECTION || 'whatsapp_messages',
+  WHATSAPP_SESSIONS: process.env.WHATSAPP_SESSIONS_COLLECTION || 'whatsapp_sessions',
+  CHAT_REPORTS: process.env.CHAT_REPORTS_COLLECTION || 'chat_reports',
+  CHAT_MODERATION_LOGS: process.env.CHAT_MODERATION_LOGS_COLLECTION || 'chat_moderation_logs',
+  CHAT_EVENTS: process.env.CHAT_EVENTS_COLLECTION || 'chat_events',
   INDUSTRIES: process.env.INDUSTRIES_COLLECTION || 'industries',
   ROLES: process.env.ROLES_COLLECTION || 'roles'
 };
@@ -27,7 +44,109 @@ const COLLECTIONS = {
 // User types
 const USER_TYPES = {
   SEEKER: 'seeker',
-  COMPANY: 'company'
+  COMPANY: 'company',
+  ADMIN: 'admin' // Platform staff - see ADMIN_ROLES
+};
+
+// Platform admin roles
+const ADMIN_ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  SUPPORT: 'support',
+  FINANCE: 'finance',
+  CONTENT_MODERATOR: 'content_moderator'
+};
+
+// What each admin role may do; routes declare the permission they need (see middleware/adminAuth)
+// super_admin is allowed everything
+const ADMIN_PERMISSIONS = {
+  USERS_MANAGE: 'users:manage', // Suspend, ban, unsuspend and delete user accounts
+  COMPANIES_VERIFY: 'companies:verify', // Verify commercial registrations, view full company profiles
+  SEEKERS_VIDEO: 'seekers:video', // Run the seeker video recording workflow
+  SEEKERS_STRIKES: 'seekers:strikes', // Add no-show strikes
+  SEEKERS_EXPORT: 'seekers:export', // Export seeker data
+  COMPANIES_EXPORT: 'companies:export', // Export company data
+  SEEKERS_MAINTENANCE: 'seekers:maintenance', // Data clean-ups
+  EMAIL_HISTORY_READ: 'email_history:read',
+  EMAIL_HISTORY_MANAGE: 'email_history:manage', // Retry and clean up sent emails
+  NOTIFICATIONS_MANAGE: 'notifications:manage', // Outbox dead letters and templates
+  SCHEDULER_READ: 'scheduler:read',
+  SCHEDULER_MANAGE: 'scheduler:manage', // Cancel and re-run jobs
+  INSTANT_HIRES_READ: 'instant_hires:read',
+  JOBS_REINDEX: 'jobs:reindex', // Rebuild the job search index
+  CHATS_MODERATE: 'chats:moderate', // Review message reports and contact-info filter logs
+  PAYOUTS_MANAGE: 'payouts:manage', // Record seeker payout transfers
+  CREDITS_MANAGE: 'credits:manage', // View and adjust company credit ledgers
+  INVOICES_MANAGE: 'invoices:manage', // View company invoices and issue credit notes for refunds
+  ADMINS_MANAGE: 'admins:manage', // Create admins, change roles, reset TOTP
+  AUDIT_READ: 'audit:read'
+};
+
+const ADMIN_ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.SUPER_ADMIN]: Object.values(ADMIN_PERMISSIONS),
+  [ADMIN_ROLES.SUPPORT]: [
+    ADMIN_PERMISSIONS.USERS_MANAGE,
+    ADMIN_PERMISSIONS.COMPANIES_VERIFY,
+    ADMIN_PERMISSIONS.SEEKERS_STRIKES,
+    ADMIN_PERMISSIONS.EMAIL_HISTORY_READ,
+    ADMIN_PERMISSIONS.EMAIL_HISTORY_MANAGE,
+    ADMIN_PERMISSIONS.NOTIFICATIONS_MANAGE,
+    ADMIN_PERMISSIONS.SCHEDULER_READ,
+    ADMIN_PERMISSIONS.INSTANT_HIRES_READ,
+    ADMIN_PERMISSIONS.CHATS_MODERATE
+  ],
+  [ADMIN_ROLES.FINANCE]: [
+    ADMIN_PERMISSIONS.INSTANT_HIRES_READ,
+    ADMIN_PERMISSIONS.PAYOUTS_MANAGE,
+    ADMIN_PERMISSIONS.CREDITS_MANAGE,
+    ADMIN_PERMISSIONS.INVOICES_MANAGE,
+    ADMIN_PERMISSIONS.SEEKERS_EXPORT,
+    ADMIN_PERMISSIONS.COMPANIES_EXPORT,
+    ADMIN_PERMISSIONS.EMAIL_HISTORY_READ
+  ],
+  [ADMIN_ROLES.CONTENT_MODERATOR]: [
+    ADMIN_PERMISSIONS.SEEKERS_VIDEO,
+    ADMIN_PERMISSIONS.USERS_MANAGE,
+    ADMIN_PERMISSIONS.CHATS_MODERATE
+  ]
+};
+
+// Roles of the people working in a company account
+// The owner is the user who registered the company; everyone else joins through an invitation
+const COMPANY_ROLES = {
+  OWNER: 'owner',
+  HIRING_MANAGER: 'hiring_manager',
+  LOCATION_MANAGER: 'location_manager', // Must be scoped to brands or locations
+  BILLING: 'billing'
+};
+
+// What each company role may do; routes declare the permission they need (see middleware/companyAccess)
+const COMPANY_PERMISSIONS = {
+  PROFILE_MANAGE: 'profile:manage', // Company profile, brands and locations
+  TEAM_MANAGE: 'team:manage', // Invite, change and remove team members
+  JOBS_MANAGE: 'jobs:manage', // Create, edit, publish and close jobs
+  APPLICATIONS_MANAGE: 'applications:manage', // Review, shortlist, hire and block candidates
+  INTERVIEWS_MANAGE: 'interviews:manage', // Schedule and run interviews, availability, scorecards
+  INSTANT_HIRES_MANAGE: 'instant_hires:manage', // Book instant hires and approve timesheets
+  BILLING_MANAGE: 'billing:manage' // Plans, checkout, payment methods and payment history
+};
+
+const COMPANY_ROLE_PERMISSIONS = {
+  [COMPANY_ROLES.OWNER]: Object.values(COMPANY_PERMISSIONS),
+  [COMPANY_ROLES.HIRING_MANAGER]: [
+    COMPANY_PERMISSIONS.JOBS_MANAGE,
+    COMPANY_PERMISSIONS.APPLICATIONS_MANAGE,
+    COMPANY_PERMISSIONS.INTERVIEWS_MANAGE,
+    COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE
+  ],
+  [COMPANY_ROLES.LOCATION_MANAGER]: [
+    COMPANY_PERMISSIONS.JOBS_MANAGE,
+    COMPANY_PERMISSIONS.APPLICATIONS_MANAGE,
+    COMPANY_PERMISSIONS.INTERVIEWS_MANAGE,
+    COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE
+  ],
+  [COMPANY_ROLES.BILLING]: [
+    COMPANY_PERMISSIONS.BILLING_MANAGE
+  ]
 };
 
 // Experience levels
@@ -121,8 +240,13 @@ const FILE_UPLOAD = {
     COMPANY_COVERS: 'profiles/companies/covers/',
     CVS: 'documents/cvs/',
     DOCUMENTS: 'documents/',
+    CHAT_ATTACHMENTS: 'chats/',
+    INVOICES: 'documents/invoices/',
     TEMP: 'temp/'
-  }
+  },
+  // Signed download URLs for chat attachments and invoices are handed out per request and expire quickly
+  SIGNED_URL_TTL_MS: parseInt(process.env.SIGNED_URL_TTL_MS) || 15 * 60 * 1000, // 15 minutes
+  THUMBNAIL_MAX_SIZE: parseInt(process.env.THUMBNAIL_MAX_SIZE) || 320 // px, longest side
 };
 
 // Rate limiting constants
@@ -328,6 +452,12 @@ module.exports = {
   ENV,
   COLLECTIONS,
   USER_TYPES,
+  ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  COMPANY_ROLES,
+  COMPANY_PERMISSIONS,
+  COMPANY_ROLE_PERMISSIONS,
   EXPERIENCE_LEVELS,
   GENDERS,
   COMPANY_SIZES,
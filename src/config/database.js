@@ -5,13 +5,24 @@ const firebaseConfig = require('./firebase');
  */
 const COLLECTIONS = {
   USERS: 'users',
+  ADMINS: 'admins',
+  ADMIN_AUDIT_LOGS: 'admin_audit_logs',
   SEEKERS: 'seekers', 
   COMPANIES: 'companies',
+  COMPANY_MEMBERS: 'company_members',
+  PAYMENT_SESSIONS: 'payment_sessions',
+  CREDIT_LEDGER: 'credit_ledger',
+  INVOICES: 'invoices',
+  INVOICE_COUNTERS: 'invoice_counters',
   JOBS: 'jobs',
   APPLICATIONS: 'applications',
   JOB_APPLICATIONS: 'job_applications',
   APPLICATION_HISTORY: 'application_history',
   INTERVIEWS: 'interviews',
+  INTERVIEW_AVAILABILITY: 'interview_availability',
+  INTERVIEW_CALENDAR_LOCKS: 'interview_calendar_locks',
+  SCORECARD_TEMPLATES: 'scorecard_templates',
+  INTERVIEW_SCORECARDS: 'interview_scorecards',
   INSTANT_HIRES: 'instant_hires',
   CHATS: 'chats',
   MESSAGES: 'messages',
@@ -23,7 +34,11 @@ const COLLECTIONS = {
   EMAIL_HISTORY: 'email_history',
   SAVED_JOBS: 'savedJobs',
   SAVED_SEEKERS: 'savedSeekers',
-  BRAND_FOLLOWS: 'brand_follows'
+  SAVED_SEARCHES: 'saved_searches',
+  BRAND_FOLLOWS: 'brand_follows',
+  SCHEDULED_JOBS: 'scheduled_jobs',
+  SCHEDULER_LOCKS: 'scheduler_locks',
+  NOTIFICATION_PREFERENCES: 'notification_preferences'
 };
 
 /**
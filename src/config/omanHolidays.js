@@ -0,0 +1,40 @@
+/**
+ * Oman Public Holidays
+ * Official holidays (Royal Decree 88/2022) by year, used to close interview calendars
+ *
+ * Fixed-date holidays are exact. Islamic holidays follow the moon sighting, so their dates are
+ * the expected ones and must be corrected here once the Ministry of Labour announces them.
+ * Holidays announced at short notice can also be added per company as blackout dates.
+ */
+
+const OMAN_PUBLIC_HOLIDAYS = {
+  2025: [
+    { date: '2025-01-11', name: 'Accession Day' },
+    { date: '2025-01-27', name: 'Isra\'a and Mi\'raj' },
+    { from: '2025-03-30', to: '2025-04-02', name: 'Eid al-Fitr' },
+    { from: '2025-06-05', to: '2025-06-09', name: 'Eid al-Adha' },
+    { date: '2025-06-26', name: 'Islamic New Year' },
+    { date: '2025-09-04', name: 'Prophet\'s Birthday' },
+    { from: '2025-11-20', to: '2025-11-21', name: 'National Day' }
+  ],
+  2026: [
+    { date: '2026-01-11', name: 'Accession Day' },
+    { date: '2026-01-16', name: 'Isra\'a and Mi\'raj' },
+    { from: '2026-03-19', to: '2026-03-23', name: 'Eid al-Fitr' },
+    { from: '2026-05-26', to: '2026-05-30', name: 'Eid al-Adha' },
+    { date: '2026-06-16', name: 'Islamic New Year' },
+    { date: '2026-08-25', name: 'Prophet\'s Birthday' },
+    { from: '2026-11-20', to: '2026-11-21', name: 'National Day' }
+  ],
+  2027: [
+    { date: '2027-01-05', name: 'Isra\'a and Mi\'raj' },
+    { date: '2027-01-11', name: 'Accession Day' },
+    { from: '2027-03-09', to: '2027-03-12', name: 'Eid al-Fitr' },
+    { from: '2027-05-15', to: '2027-05-19', name: 'Eid al-Adha' },
+    { date: '2027-06-06', name: 'Islamic New Year' },
+    { date: '2027-08-14', name: 'Prophet\'s Birthday' },
+    { from: '2027-11-20', to: '2027-11-21', name: 'National Day' }
+  ]
+};
+
+module.exports = OMAN_PUBLIC_HOLIDAYS;
@@ -0,0 +1,28 @@
+/**
+ * Search Synonyms
+ * Words in a group match each other in job search, across English and Arabic
+ * Single words only - entries are run through the same analyzer as job text, so plurals,
+ * "ال" prefixes and alef/ya/ta-marbuta spellings don't need their own entries
+ */
+
+const SEARCH_SYNONYMS = [
+  ['waiter', 'waitress', 'server', 'نادل', 'ويتر'],
+  ['cashier', 'teller', 'كاشير', 'محاسب'],
+  ['barista', 'باريستا'],
+  ['cook', 'chef', 'طباخ', 'شيف'],
+  ['kitchen', 'مطبخ'],
+  ['security', 'guard', 'حارس', 'أمن'],
+  ['cleaner', 'janitor', 'housekeeping', 'housekeeper', 'منظف', 'نظافة'],
+  ['driver', 'chauffeur', 'سائق'],
+  ['delivery', 'courier', 'rider', 'توصيل', 'مندوب'],
+  ['sales', 'salesperson', 'retail', 'مبيعات', 'بائع'],
+  ['receptionist', 'reception', 'استقبال'],
+  ['host', 'hostess', 'usher', 'مضيف', 'مضيفة'],
+  ['promoter', 'merchandiser', 'مروج'],
+  ['stock', 'warehouse', 'storekeeper', 'مستودع', 'مخزن'],
+  ['event', 'events', 'فعالية', 'فعاليات'],
+  ['part-time', 'parttime', 'دوام'],
+  ['customer', 'client', 'عميل', 'عملاء']
+];
+
+module.exports = SEARCH_SYNONYMS;
@@ -0,0 +1,824 @@
+const Admin = require('../models/Admin');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const Company = require('../models/Company');
+const earningsService = require('../services/earningsService');
+const creditLedgerService = require('../services/creditLedgerService');
+const invoiceService = require('../services/invoiceService');
+const { validationResult } = require('express-validator');
+const { USER_TYPES, ADMIN_ROLES } = require('../config/constants');
+const {
+  generateTokenPair,
+  generateAccessToken,
+  generateAdminSetupToken,
+  verifyAdminSetupToken,
+  verifyRefreshToken,
+  JWT_CONFIG
+} = require('../utils/auth');
+const totp = require('../utils/totp');
+
+/**
+ * Audit a sign-in attempt; these happen before there is a req.admin for requireAdmin to log
+ */
+const auditSignIn = (req, action, admin, statusCode, email) => {
+  return AdminAuditLog.record({
+    admin,
+    adminEmail: admin ? admin.email : email,
+    action,
+    method: req.method,
+    route: `${req.baseUrl}${req.route.path}`,
+    path: `${req.baseUrl}${req.path}`,
+    body: { email: admin ? admin.email : email },
+    statusCode,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+  });
+};
+
+/**
+ * Access and refresh tokens for an admin
+ */
+const issueTokens = (admin) => {
+  return generateTokenPair(admin.id, USER_TYPES.ADMIN, {}, { refreshExpiresIn: JWT_CONFIG.ADMIN_REFRESH_TOKEN_EXPIRY });
+};
+
+/**
+ * Admin Controller
+ * Admin sign-in (email, password and authenticator app), admin accounts, the audit trail and payouts
+ */
+class AdminController {
+
+  /**
+   * Sign in with email, password and the authenticator code
+   * Admins without an authenticator yet get a setup token and secret to enrol one instead
+   * POST /api/admin/auth/login
+   */
+  static async login(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email, password, code } = req.body;
+      const admin = await Admin.findByEmail(email);
+
+      if (admin && admin.isLocked()) {
+        await auditSignIn(req, 'auth:login', admin, 423);
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed sign-in attempts. Try again later.',
+          data: { lockedUntil: admin.lockedUntil }
+        });
+      }
+
+      if (!admin || !admin.isActive || !(await admin.verifyPassword(password))) {
+        if (admin && admin.isActive) {
+          await admin.recordFailedLogin();
+        }
+        await auditSignIn(req, 'auth:login', admin, 401, email);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      if (!admin.totpEnabled) {
+        // Keep the secret already shown if the admin signs in again before finishing enrolment
+        const secret = admin.totpSecret || totp.generateSecret();
+        if (!admin.totpSecret) {
+          await admin.update({ totpSecret: secret });
+        }
+        await auditSignIn(req, 'auth:totp_setup_started', admin, 200);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Set up your authenticator app to finish signing in',
+          data: {
+            totpSetupRequired: true,
+            setupToken: generateAdminSetupToken(admin.id),
+            secret,
+            otpauthUrl: totp.buildOtpauthUrl(secret, admin.email)
+          }
+        });
+      }
+
+      const step = totp.verifyCode(admin.totpSecret, code, { lastUsedStep: admin.totpLastUsedStep });
+      if (step === null) {
+        await admin.recordFailedLogin();
+        await auditSignIn(req, 'auth:login', admin, 401);
+        return res.status(401).json({
+          success: false,
+          message: code ? 'Invalid authentication code' : 'Authentication code is required'
+        });
+      }
+
+      await admin.recordLogin(step);
+      await auditSignIn(req, 'auth:login', admin, 200);
+
+      res.status(200).json({
+        success: true,
+        message: 'Signed in successfully',
+        data: {
+          admin: admin.toPublicJSON(),
+          ...issueTokens(admin)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in admin login:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Confirm the authenticator app with its first code, which also signs the admin in
+   * POST /api/admin/auth/totp/enroll
+   */
+  static async enrollTotp(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { setupToken, code } = req.body;
+      const result = verifyAdminSetupToken(setupToken);
+      if (!result.valid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Setup session expired. Sign in again.'
+        });
+      }
+
+      const admin = await Admin.findById(result.payload.userId);
+      if (!admin || !admin.isActive || admin.totpEnabled || !admin.totpSecret) {
+        return res.status(409).json({
+          success: false,
+          message: 'Authenticator setup is not in progress for this account'
+        });
+      }
+
+      const step = totp.verifyCode(admin.totpSecret, code);
+      if (step === null) {
+        await auditSignIn(req, 'auth:totp_enroll', admin, 401);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid authentication code. Check the time on your phone and try again.'
+        });
+      }
+
+      await admin.update({ totpEnabled: true });
+      await admin.recordLogin(step);
+      await auditSignIn(req, 'auth:totp_enroll', admin, 200);
+
+      res.status(200).json({
+        success: true,
+        message: 'Authenticator set up and signed in successfully',
+        data: {
+          admin: admin.toPublicJSON(),
+          ...issueTokens(admin)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in enrollTotp:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Refresh an admin access token
+   * Refresh tokens issued before a password change or authenticator reset stop working
+   * POST /api/admin/auth/refresh-token
+   */
+  static async refreshToken(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = verifyRefreshToken(req.body.refreshToken);
+      const admin = result.valid && result.payload.userType === USER_TYPES.ADMIN
+        ? await Admin.findById(result.payload.userId)
+        : null;
+
+      // iat is in whole seconds, so a token issued in the same second as the change still counts
+      const issuedAt = result.valid ? result.payload.iat : 0;
+      const revokedBefore = admin && admin.passwordChangedAt ? Math.floor(new Date(admin.passwordChangedAt).getTime() / 1000) : 0;
+
+      if (!admin || !admin.isActive || !admin.totpEnabled || issuedAt < revokedBefore) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Access token refreshed successfully',
+        data: {
+          accessToken: generateAccessToken(admin.id, USER_TYPES.ADMIN),
+          tokenType: 'Bearer',
+          expiresIn: 15 * 60
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in admin refreshToken:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * The signed-in admin, with their permissions
+   * GET /api/admin/me
+   */
+  static async getMe(req, res) {
+    res.status(200).json({
+      success: true,
+      message: 'Admin retrieved successfully',
+      data: req.admin.toPublicJSON()
+    });
+  }
+
+  /**
+   * Change the signed-in admin's password; signs out their other sessions
+   * PUT /api/admin/me/password
+   */
+  static async changePassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      if (!(await req.admin.verifyPassword(currentPassword))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      await req.admin.setPassword(newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed successfully. Sign in again on your other devices.',
+        data: issueTokens(req.admin)
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error changing admin password:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List admins
+   * GET /api/admin/admins
+   */
+  static async getAdmins(req, res) {
+    try {
+      const admins = await Admin.findAll();
+
+      res.status(200).json({
+        success: true,
+        message: 'Admins retrieved successfully',
+        data: {
+          admins: admins.map(admin => admin.toPublicJSON()),
+          roles: Object.values(ADMIN_ROLES)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting admins:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create an admin with a starting password; they enrol their authenticator on first sign-in
+   * POST /api/admin/admins
+   */
+  static async createAdmin(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const admin = await Admin.create(req.body, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Admin created successfully',
+        data: admin.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error creating admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Change an admin's name, role or active status
+   * PUT /api/admin/admins/:adminId
+   */
+  static async updateAdmin(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { adminId } = req.params;
+      const admin = await Admin.findById(adminId);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      const { name, role, isActive } = req.body;
+      // Nobody can lock themselves out; another admin has to do it
+      if (admin.id === req.admin.id && ((role !== undefined && role !== admin.role) || isActive === false)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You cannot change your own role or deactivate yourself'
+        });
+      }
+
+      const updates = {};
+      if (name !== undefined) updates.name = name;
+      if (role !== undefined) updates.role = role;
+      if (isActive !== undefined) updates.isActive = isActive;
+      await admin.update(updates);
+
+      res.status(200).json({
+        success: true,
+        message: 'Admin updated successfully',
+        data: admin.toPublicJSON()
+      });
+
+    } catch (error) {
+      console.error('Error updating admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Reset an admin's authenticator, e.g. after a lost phone; they enrol a new one on next sign-in
+   * Their refresh tokens stop working
+   * POST /api/admin/admins/:adminId/reset-totp
+   */
+  static async resetTotp(req, res) {
+    try {
+      const admin = await Admin.findById(req.params.adminId);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      await admin.update({
+        totpSecret: null,
+        totpEnabled: false,
+        totpLastUsedStep: null,
+        // Counts as a credential change for refresh tokens
+        passwordChangedAt: new Date().toISOString()
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Authenticator reset. The admin will set up a new one on next sign-in.',
+        data: admin.toPublicJSON()
+      });
+
+    } catch (error) {
+      console.error('Error resetting admin TOTP:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Search the admin audit trail, newest first
+   * GET /api/admin/audit-logs
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { adminId, action, targetId, from, to, limit } = req.query;
+      const logs = await AdminAuditLog.search({
+        adminId,
+        action,
+        targetId,
+        from,
+        to,
+        limit: parseInt(limit) || 100
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Audit logs retrieved successfully',
+        data: {
+          logs: logs.map(log => log.toPublicJSON()),
+          total: logs.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting audit logs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Seeker payouts by status, oldest due first
+   * GET /api/admin/payouts
+   */
+  static async getPayouts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const payouts = await earningsService.listPayouts(req.query.status || 'pending', parseInt(req.query.limit) || 100);
+
+      res.status(200).json({
+        success: true,
+        message: 'Payouts retrieved successfully',
+        data: {
+          payouts,
+          total: payouts.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting payouts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Record that a payout was transferred to the seeker
+   * POST /api/admin/payouts/:payoutId/mark-paid
+   */
+  static async markPayoutPaid(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const payout = await earningsService.markPayoutPaid(req.params.payoutId, req.body.paymentReference);
+      if (!payout) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout not found'
+        });
+      }
+
+      const { itemIds, ...data } = payout;
+      res.status(200).json({
+        success: true,
+        message: 'Payout marked as paid',
+        data
+      });
+
+    } catch (error) {
+      console.error('Error marking payout paid:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * A company's credit balances and ledger entries
+   * GET /api/admin/companies/:companyId/credits
+   */
+  static async getCompanyCredits(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const company = await Company.findById(req.params.companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company not found'
+        });
+      }
+
+      const entries = await creditLedgerService.listEntries(company.id, parseInt(req.query.limit) || 200);
+
+      res.status(200).json({
+        success: true,
+        message: 'Company credits retrieved successfully',
+        data: {
+          companyId: company.id,
+          companyName: company.companyName,
+          currentPlan: company.subscriptionPlan,
+          credits: await company.getCreditBalances(),
+          entries: entries.reverse()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting company credits:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Add credits to a company (a new lot) or take them away
+   * POST /api/admin/companies/:companyId/credits/adjustments
+   */
+  static async adjustCompanyCredits(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const company = await Company.findById(req.params.companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company not found'
+        });
+      }
+
+      const { creditType, quantity, expiresAt, note } = req.body;
+      const entries = await creditLedgerService.adjust(company.id, {
+        creditType,
+        quantity: parseInt(quantity),
+        expiresAt: expiresAt || null,
+        note
+      }, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Credits adjusted successfully',
+        data: {
+          entries,
+          credits: await company.getCreditBalances()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error adjusting company credits:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * A company's tax invoices and credit notes
+   * GET /api/admin/companies/:companyId/invoices
+   */
+  static async getCompanyInvoices(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invoices = await invoiceService.listDocuments(req.params.companyId, { limit: parseInt(req.query.limit) || 100 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoices retrieved successfully',
+        data: {
+          invoices,
+          total: invoices.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting company invoices:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Record an offline (LPO or bank transfer) payment for a company
+   * POST /api/admin/companies/:companyId/payments
+   */
+  static async recordCompanyPayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const company = await Company.findById(req.params.companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company not found'
+        });
+      }
+
+      const { paymentType, amount, paymentDate, validity, lpoNumber, lpoIssuedDate, transactionReference } = req.body;
+      const transaction = await company.addPaymentTransaction({
+        paymentType,
+        amount: parseFloat(amount),
+        paymentDate,
+        validity,
+        lpoNumber,
+        lpoIssuedDate,
+        transactionReference,
+        paymentStatus: 'completed'
+      }, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: {
+          transaction,
+          invoice: await invoiceService.getDocument(invoiceService.getInvoiceId(company.id, transaction.transactionId))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error recording company payment:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Issue a credit note for a refund
+   * POST /api/admin/invoices/:invoiceId/credit-notes
+   */
+  static async issueCreditNote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { amount, reason } = req.body;
+      const creditNote = await invoiceService.issueCreditNote(req.params.invoiceId, {
+        amount: amount !== undefined ? parseFloat(amount) : null,
+        reason
+      }, req.admin.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Credit note ${creditNote.number} issued`,
+        data: creditNote
+      });
+
+    } catch (error) {
+      console.error('Error issuing credit note:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
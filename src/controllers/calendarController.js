@@ -0,0 +1,177 @@
+/**
+ * Calendar Controller
+ * Calendar subscription feeds (.ics) of interviews and confirmed shifts for companies and seekers
+ */
+
+const Company = require('../models/Company');
+const Seeker = require('../models/Seeker');
+const calendarService = require('../services/calendarService');
+const logger = require('../utils/logger');
+
+/**
+ * The company or seeker profile the signed-in user owns
+ * @returns {Object|null} { ownerType, ownerId }
+ */
+const resolveFeedOwner = async ({ userId, userType }) => {
+  if (userType === 'company') {
+    const company = await Company.findByUserId(userId);
+    return company ? { ownerType: 'company', ownerId: company.id } : null;
+  }
+
+  if (userType === 'seeker') {
+    const seeker = await Seeker.findByUserId(userId);
+    return seeker ? { ownerType: 'seeker', ownerId: seeker.id } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Subscription URLs for a feed token - https for downloading, webcal:// for one-click subscribing
+ */
+const buildFeedUrls = (req, token) => {
+  const baseUrl = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const url = `${baseUrl}/api/calendar/feeds/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+class CalendarController {
+
+  /**
+   * Get the signed-in company's or seeker's calendar feed
+   * GET /api/calendar/feed
+   */
+  async getFeed(req, res) {
+    try {
+      const owner = await resolveFeedOwner(req.user);
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company or seeker profile not found'
+        });
+      }
+
+      const feed = await calendarService.getFeed(owner.ownerType, owner.ownerId);
+
+      res.status(200).json({
+        success: true,
+        data: feed ? {
+          ...owner,
+          ...buildFeedUrls(req, feed.token),
+          createdAt: feed.createdAt,
+          lastAccessedAt: feed.lastAccessedAt
+        } : null
+      });
+
+    } catch (error) {
+      logger.error('❌ Get calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create the calendar feed, or replace it with a new URL (the old one stops working)
+   * POST /api/calendar/feed
+   */
+  async createFeed(req, res) {
+    try {
+      const owner = await resolveFeedOwner(req.user);
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company or seeker profile not found'
+        });
+      }
+
+      const feed = await calendarService.createFeed(owner.ownerType, owner.ownerId, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Calendar feed created. Any previous feed URL no longer works.',
+        data: {
+          ...owner,
+          ...buildFeedUrls(req, feed.token),
+          createdAt: feed.createdAt,
+          lastAccessedAt: null
+        }
+      });
+
+    } catch (error) {
+      logger.error('❌ Create calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Revoke the calendar feed
+   * DELETE /api/calendar/feed
+   */
+  async revokeFeed(req, res) {
+    try {
+      const owner = await resolveFeedOwner(req.user);
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company or seeker profile not found'
+        });
+      }
+
+      const revoked = await calendarService.revokeFeed(owner.ownerType, owner.ownerId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'No calendar feed to revoke'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Calendar feed revoked'
+      });
+
+    } catch (error) {
+      logger.error('❌ Revoke calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke calendar feed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Serve a calendar feed to calendar apps - the token in the URL is the only credential
+   * GET /api/calendar/feeds/:token.ics
+   */
+  async getFeedCalendar(req, res) {
+    try {
+      const { token } = req.params;
+      const calendar = /^[a-f0-9]{48}$/.test(token) ? await calendarService.renderFeed(token) : null;
+
+      if (!calendar) {
+        return res.status(404).type('text/plain').send('Calendar feed not found');
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="shift.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.status(200).send(calendar);
+
+    } catch (error) {
+      logger.error('❌ Calendar feed error:', error);
+      res.status(500).type('text/plain').send('Failed to load calendar feed');
+    }
+  }
+}
+
+module.exports = new CalendarController();
@@ -1,6 +1,11 @@
 const { validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const JobApplication = require('../models/JobApplication');
+const chatGateway = require('../services/chatGateway');
+const chatAttachmentService = require('../services/chatAttachmentService');
+const chatModerationService = require('../services/chatModerationService');
+const notificationController = require('./notificationController');
+const NotificationHelper = require('../utils/notificationHelper');
 
 /**
  * Chat Controller - Real-time Firebase Chat Management
@@ -535,6 +540,669 @@ class ChatController {
       });
     }
   }
+  /**
+   * Open a real-time event stream for a chat (Server-Sent Events)
+   * GET /api/chats/:chatId/events
+   */
+  static async streamEvents(req, res) {
+    try {
+      const { chatId } = req.params;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      chatGateway.subscribe(req, res, {
+        chatId,
+        userType: req.user.userType,
+        participantId: access.participantId
+      });
+
+    } catch (error) {
+      console.error('Error opening chat stream:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open chat stream',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Send a typing indicator
+   * POST /api/chats/:chatId/typing
+   */
+  static async setTyping(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { chatId } = req.params;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      const isTyping = req.body.isTyping !== false;
+      chatGateway.setTyping(chatId, req.user.userType, access.participantId, isTyping);
+
+      res.status(200).json({
+        success: true,
+        message: isTyping ? 'Typing started' : 'Typing stopped'
+      });
+
+    } catch (error) {
+      console.error('Error updating typing status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update typing status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get participants currently online in a chat
+   * GET /api/chats/:chatId/presence
+   */
+  static async getPresence(req, res) {
+    try {
+      const { chatId } = req.params;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+      res.status(200).json({
+        success: true,
+        message: 'Presence retrieved successfully',
+        data: {
+          chatId,
+          online: chatGateway.getPresence(chatId)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting chat presence:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve presence',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Send an image or document
+   * POST /api/chats/:chatId/attachments (multipart, field "file")
+   */
+  static async uploadAttachment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { chatId } = req.params;
+      const { userType } = req.user;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      if (access.chat.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot send message to inactive chat'
+        });
+      }
+
+      const { messageType, attachment } = await chatAttachmentService.upload(chatId, access.participantId, req.file);
+      const caption = (req.body.caption || '').trim();
+
+      const message = await Chat.sendMessage(
+        chatId,
+        access.participantId,
+        userType,
+        caption || attachment.fileName,
+        messageType,
+        { attachment }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment sent successfully',
+        data: message
+      });
+
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error sending attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send attachment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a short-lived download URL for a message attachment
+   * GET /api/chats/:chatId/messages/:messageId/attachment
+   */
+  static async getAttachmentUrl(req, res) {
+    try {
+      const { chatId, messageId } = req.params;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      const message = await Chat.getMessage(chatId, messageId);
+      if (!message || message.isDeleted || !message.attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      const { url, expiresAt } = await chatAttachmentService.getDownloadUrl(message.attachment);
+
+      res.set('Cache-Control', 'no-store');
+
+      res.status(200).json({
+        success: true,
+        message: 'Attachment URL generated successfully',
+        data: {
+          url,
+          expiresAt,
+          fileName: message.attachment.fileName,
+          mimeType: message.attachment.mimeType,
+          size: message.attachment.size
+        }
+      });
+
+    } catch (error) {
+      console.error('Error generating attachment URL:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate attachment URL',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Send a location pin, e.g. the shift address
+   * POST /api/chats/:chatId/location
+   * Body: { latitude, longitude, address, name } or { useJobLocation: true }
+   */
+  static async sendLocation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { chatId } = req.params;
+      const { userType } = req.user;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      if (access.chat.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot send message to inactive chat'
+        });
+      }
+
+      let location;
+      if (req.body.useJobLocation) {
+        location = await ChatController.getJobLocation(access.chat.jobId);
+        if (!location) {
+          return res.status(422).json({
+            success: false,
+            message: 'The job for this chat has no location with coordinates'
+          });
+        }
+      } else {
+        const { latitude, longitude, address, name } = req.body;
+        location = {
+          latitude: parseFloat(latitude),
+          longitude: parseFloat(longitude),
+          address: address || null,
+          name: name || null
+        };
+      }
+
+      const message = await Chat.sendMessage(
+        chatId,
+        access.participantId,
+        userType,
+        location.name || location.address || 'Location',
+        'location',
+        { location }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Location sent successfully',
+        data: message
+      });
+
+    } catch (error) {
+      console.error('Error sending location:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send location',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Edit a message
+   * PUT /api/chats/:chatId/messages/:messageId
+   */
+  static async editMessage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { chatId, messageId } = req.params;
+      const { userType } = req.user;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      if (access.chat.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot edit messages in an inactive chat'
+        });
+      }
+
+      const message = await Chat.editMessage(chatId, messageId, access.participantId, userType, req.body.messageText);
+
+      res.status(200).json({
+        success: true,
+        message: 'Message edited successfully',
+        data: message
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error editing message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to edit message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete a message
+   * DELETE /api/chats/:chatId/messages/:messageId
+   */
+  static async deleteMessage(req, res) {
+    try {
+      const { chatId, messageId } = req.params;
+      const { userType } = req.user;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      await Chat.deleteMessage(chatId, messageId, access.participantId, userType);
+
+      res.status(200).json({
+        success: true,
+        message: 'Message deleted successfully'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error deleting message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Report a message to the admins
+   * POST /api/chats/:chatId/messages/:messageId/report
+   */
+  static async reportMessage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { chatId, messageId } = req.params;
+      const { userType } = req.user;
+      const { reason, details } = req.body;
+      const access = await ChatController.resolveChatAccess(req, chatId);
+      if (access.error) {
+        return res.status(access.error.status).json({
+          success: false,
+          message: access.error.message
+        });
+      }
+
+      const message = await Chat.getMessage(chatId, messageId);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+
+      if (message.senderId === access.participantId && message.senderType === userType) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot report your own message'
+        });
+      }
+
+      const report = await chatModerationService.reportMessage({
+        chat: access.chat,
+        message,
+        reporterId: access.participantId,
+        reporterType: userType,
+        reason,
+        details
+      });
+
+      if (!report) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this message'
+        });
+      }
+
+      await NotificationHelper.safeTrigger(
+        notificationController.sendChatMessageReported.bind(notificationController),
+        { ...report, jobTitle: access.chat.jobTitle },
+        NotificationHelper.getAdminEmails()
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Message reported. Our team will review it.',
+        data: {
+          reportId: report.id,
+          status: report.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Error reporting message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to report message',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List reported messages
+   * GET /api/chats/moderation/reports
+   */
+  static async getReports(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { status, chatId, limit = 50 } = req.query;
+      const reports = await chatModerationService.getReports({ status, chatId, limit: parseInt(limit) });
+
+      res.status(200).json({
+        success: true,
+        message: 'Reports retrieved successfully',
+        data: reports
+      });
+
+    } catch (error) {
+      console.error('Error getting chat reports:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve reports',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Record a decision on a report
+   * PUT /api/chats/moderation/reports/:reportId
+   */
+  static async reviewReport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { reportId } = req.params;
+      const { status, resolution } = req.body;
+
+      const report = await chatModerationService.reviewReport(reportId, {
+        status,
+        resolution,
+        reviewedBy: req.admin.id
+      });
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Report updated successfully',
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error reviewing chat report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update report',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List messages where contact details were masked
+   * GET /api/chats/moderation/filter-logs
+   */
+  static async getFilterLogs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { chatId, senderId, limit = 50 } = req.query;
+      const logs = await chatModerationService.getFilterLogs({ chatId, senderId, limit: parseInt(limit) });
+
+      res.status(200).json({
+        success: true,
+        message: 'Filter logs retrieved successfully',
+        data: logs
+      });
+
+    } catch (error) {
+      console.error('Error getting chat filter logs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve filter logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Resolve the shift address of a job from its company location
+   * @returns {Object|null} { latitude, longitude, address, name }
+   */
+  static async getJobLocation(jobId) {
+    if (!jobId) {
+      return null;
+    }
+
+    const Job = require('../models/Job');
+    const Company = require('../models/Company');
+
+    const job = await Job.findById(jobId);
+    if (!job || !job.brandLocationId) {
+      return null;
+    }
+
+    const company = await Company.findById(job.companyId);
+    const companyLocation = (company?.locations || []).find(loc => loc.id === job.brandLocationId);
+    const coordinates = companyLocation?.coordinates;
+    if (!coordinates || coordinates.latitude === undefined || coordinates.longitude === undefined) {
+      return null;
+    }
+
+    return {
+      latitude: parseFloat(coordinates.latitude),
+      longitude: parseFloat(coordinates.longitude),
+      address: companyLocation.address || job.locationAddress || null,
+      name: companyLocation.brand || job.roleName || null
+    };
+  }
+
+  /**
+   * Map the authenticated user to their seeker/company ID and check they belong to the chat
+   * @returns {Object} { chat, participantId } or { error: { status, message } }
+   */
+  static async resolveChatAccess(req, chatId) {
+    const { userId, userType } = req.user;
+
+    let participantId = userId;
+    if (userType === 'seeker') {
+      const Seeker = require('../models/Seeker');
+      const seeker = await Seeker.findByUserId(userId);
+      if (seeker) {
+        participantId = seeker.id;
+      }
+    } else if (userType === 'company') {
+      const Company = require('../models/Company');
+      const company = await Company.findByUserId(userId);
+      if (company) {
+        participantId = company.id;
+      }
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return { error: { status: 404, message: 'Chat not found' } };
+    }
+
+    const hasAccess = (userType === 'company' && chat.companyId === participantId) ||
+                     (userType === 'seeker' && chat.seekerId === participantId);
+    if (!hasAccess) {
+      return { error: { status: 403, message: 'Access denied to this chat' } };
+    }
+
+    return { chat, participantId };
+  }
 }
 
 module.exports = ChatController;
\ No newline at end of file
@@ -4,6 +4,9 @@ const OnboardingData = require('../models/OnboardingData');
 const { validationResult } = require('express-validator');
 const notificationController = require('./notificationController');
 const NotificationHelper = require('../utils/notificationHelper');
+const thawaniService = require('../services/thawaniService');
+const creditLedgerService = require('../services/creditLedgerService');
+const invoiceService = require('../services/invoiceService');
 
 /**
  * Company Profile Controller
@@ -934,68 +937,6 @@ class CompanyController {
     }
   }
 
-  /**
-   * Add team member
-   * POST /api/companies/:companyId/team-members
-   */
-  static async addTeamMember(req, res) {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
-
-      const { companyId } = req.params;
-      const { email } = req.body;
-
-      if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid email is required'
-        });
-      }
-
-      const company = await Company.findById(companyId);
-      if (!company) {
-        return res.status(404).json({
-          success: false,
-          message: 'Company profile not found'
-        });
-      }
-
-      // Check if email already exists in team members
-      const existingMember = company.teamMembers.find(member => member.email === email);
-      if (existingMember) {
-        return res.status(409).json({
-          success: false,
-          message: 'Team member with this email already exists'
-        });
-      }
-
-      await company.addTeamMember(email);
-
-      res.status(200).json({
-        success: true,
-        message: 'Team member added successfully',
-        data: {
-          teamMembers: company.teamMembers
-        }
-      });
-
-    } catch (error) {
-      console.error('Error in addTeamMember:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-    }
-  }
-
   /**
    * Add brand
    * POST /api/companies/:companyId/brands
@@ -1390,9 +1331,10 @@ class CompanyController {
         });
       }
 
-      const canPerform = company.canPerformAction(action);
+      const credits = await company.getCreditBalances();
+      const canPerform = company.canPerformAction(action, credits);
       const limits = company.getPlanLimits();
-      const usage = company.usageStats;
+      const creditsLeft = (balance) => balance.unlimited ? 'unlimited' : balance.available;
 
       res.status(200).json({
         success: true,
@@ -1402,10 +1344,15 @@ class CompanyController {
           action,
           currentPlan: company.subscriptionPlan,
           limits,
-          usage,
+          usage: {
+            ...company.usageStats,
+            instantMatches: credits.instant_match.used,
+            interviews: credits.interview.used
+          },
+          credits,
           remaining: {
-            instantMatches: limits.instantMatches === 'unlimited' ? 'unlimited' : Math.max(0, limits.instantMatches - usage.instantMatches),
-            interviews: limits.interviews === 'unlimited' ? 'unlimited' : Math.max(0, limits.interviews - usage.interviews),
+            instantMatches: creditsLeft(credits.instant_match),
+            interviews: creditsLeft(credits.interview),
             locations: limits.locations === 'unlimited' ? 'unlimited' : Math.max(0, limits.locations - company.locations.length),
             teamMembers: limits.teamMembers === 'unlimited' ? 'unlimited' : Math.max(0, limits.teamMembers - company.teamMembers.length)
           }
@@ -2094,14 +2041,23 @@ class CompanyController {
         });
       }
 
-      // Verify user owns this company
-      if (company.userId !== req.user.userId) {
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to create jobs for this company'
         });
       }
 
+      // Team members limited to some locations post at one of them
+      if (!req.companyAccess.canAccessLocation(jobData.brandLocationId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Choose one of the locations assigned to you',
+          error: 'COMPANY_SCOPE_RESTRICTED'
+        });
+      }
+
       const job = await Job.create(companyId, jobData);
 
       res.status(201).json({
@@ -2248,11 +2204,25 @@ class CompanyController {
         });
       }
 
-      let jobs = await Job.findByCompanyId(companyId, parseInt(limit), parseInt(offset));
+      let jobs;
+      let totalJobs;
+      if (req.companyAccess.isScoped()) {
+        // Team members limited to some locations only see those locations' jobs - narrowed in the query,
+        // then paged, so their pages and total aren't cut short by other locations' jobs
+        jobs = await Job.findByCompanyLocations(companyId, [...req.companyAccess.getLocationIds()]);
+        if (status) {
+          jobs = jobs.filter(job => job.jobStatus === status);
+        }
+        totalJobs = jobs.length;
+        jobs = jobs.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+      } else {
+        jobs = await Job.findByCompanyId(companyId, parseInt(limit), parseInt(offset));
 
-      // Filter by status if provided
-      if (status) {
-        jobs = jobs.filter(job => job.jobStatus === status);
+        // Filter by status if provided
+        if (status) {
+          jobs = jobs.filter(job => job.jobStatus === status);
+        }
+        totalJobs = jobs.length;
       }
 
       res.status(200).json({
@@ -2260,7 +2230,7 @@ class CompanyController {
         message: 'Jobs retrieved successfully',
         data: {
           jobs: jobs.map(job => job.toJSON()),
-          totalJobs: jobs.length,
+          totalJobs,
           limit: parseInt(limit),
           offset: parseInt(offset),
           companyName: company.companyName
@@ -2609,16 +2579,90 @@ class CompanyController {
     }
   }
 
+  /**
+   * Get seekers ranked by how well they match a job, with a per-factor breakdown
+   * GET /api/companies/:companyId/jobs/:jobId/matching-seekers
+   */
   static async getMatchingSeekers(req, res) {
     try {
-      res.status(501).json({
-        success: false,
-        message: 'Matching seekers feature not yet implemented'
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId, jobId } = req.params;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+      const minScore = parseFloat(req.query.minScore) || 0;
+
+      const Job = require('../models/Job');
+      const Seeker = require('../models/Seeker');
+      const matchingService = require('../services/matchingService');
+
+      const company = await Company.findById(companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company not found'
+        });
+      }
+
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view matches for this company'
+        });
+      }
+
+      const job = await Job.findById(jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      if (job.companyId !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Job does not belong to this company'
+        });
+      }
+
+      const result = await matchingService.rankSeekersForJob(job, company, { limit, offset, minScore });
+
+      res.status(200).json({
+        success: true,
+        message: 'Matching seekers retrieved successfully',
+        data: {
+          job: {
+            id: job.id,
+            jobId: job.jobId,
+            roleName: job.roleName
+          },
+          matches: result.matches.map(match => ({
+            seeker: new Seeker(match.seeker).toPublicJSON(),
+            score: match.score,
+            breakdown: match.breakdown
+          })),
+          totalMatches: result.totalMatches,
+          excluded: result.excluded,
+          limit,
+          offset,
+          minScore
+        }
       });
+
     } catch (error) {
+      console.error('Error getting matching seekers:', error);
       res.status(500).json({
         success: false,
-        message: 'Internal server error'
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   }
@@ -2704,14 +2748,24 @@ class CompanyController {
         });
       }
 
-      // Verify user owns this company
-      if (company.userId !== req.user.userId) {
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to make payments for this company'
         });
       }
 
+      // Interview packages are paid at their listed price - the price picks the package when the payment completes
+      if (planType === 'interview_package' &&
+          !creditLedgerService.findInterviewPackage(company, { price: parseFloat(amount) })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount does not match an interview package',
+          data: { interviewPackages: company.pricingDetails.payAsYouGo.pricing.interviewPackages }
+        });
+      }
+
       const paymentData = {
         planType,
         planName,
@@ -2744,8 +2798,18 @@ class CompanyController {
   /**
    * Handle Thawani payment webhook
    * POST /api/companies/:companyId/thawani-webhook
+   *
+   * The body only says which session changed - its status is re-fetched from Thawani before anything is granted
    */
   static async handleThawaniWebhook(req, res) {
+    if (!thawaniService.verifyWebhookSignature(req.rawBody, req.headers['thawani-signature'], req.headers['thawani-timestamp'])) {
+      console.warn(`Thawani webhook rejected - invalid signature from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -2757,35 +2821,36 @@ class CompanyController {
       }
 
       const { companyId } = req.params;
-      const { session_id, payment_status } = req.body;
-
-      const company = await Company.findById(companyId);
-      if (!company) {
-        return res.status(404).json({
+      const sessionId = thawaniService.getWebhookSessionId(req.body);
+      if (!sessionId) {
+        return res.status(400).json({
           success: false,
-          message: 'Company profile not found'
+          message: 'Session ID is required'
         });
       }
 
-      if (payment_status === 'paid') {
-        // Process successful payment
-        const result = await company.processSuccessfulPayment(session_id, req.body);
-        
-        res.status(200).json({
-          success: true,
-          message: 'Payment processed successfully',
-          data: result
-        });
-      } else {
-        // Handle failed/cancelled payment
-        res.status(200).json({
+      const result = await thawaniService.confirmPayment(sessionId, { source: 'webhook', companyId });
+
+      if (result.outcome === 'not_found' || result.outcome === 'company_mismatch') {
+        return res.status(404).json({
           success: false,
-          message: `Payment status: ${payment_status}`,
-          error: process.env.NODE_ENV === 'development' ? error.message : undefined
+          message: 'Payment session not found'
         });
       }
 
+      // Anything else is settled, or left for reconciliation - 200 stops Thawani retrying
+      res.status(200).json({
+        success: true,
+        message: result.outcome === 'paid' ? 'Payment processed successfully' : `Payment status: ${result.outcome}`,
+        data: {
+          sessionId,
+          outcome: result.outcome,
+          transaction: result.transaction || null
+        }
+      });
+
     } catch (error) {
+      // Non-200 makes Thawani retry; the session claim is released so the retry can succeed
       console.error('Error handling Thawani webhook:', error);
       res.status(500).json({
         success: false,
@@ -2804,58 +2869,29 @@ class CompanyController {
       const { sessionId } = req.params;
 
       // Fetch session details from Thawani
-      const thawaniConfig = {
-        apiKey: process.env.THAWANI_SECRET || process.env.THAWANI_SECRET_KEY,
-        baseUrl: process.env.THAWANI_BASE_URL || 'https://uatcheckout.thawani.om/api/v1'
-      };
-
-      const response = await fetch(`${thawaniConfig.baseUrl}/checkout/session/${sessionId}`, {
-        method: 'GET',
-        headers: {
-          'thawani-api-key': thawaniConfig.apiKey
-        }
-      });
-
-      if (!response.ok) {
+      const session = await thawaniService.getSession(sessionId);
+      if (!session) {
         return res.status(404).json({
           success: false,
           message: 'Session not found'
         });
       }
 
-      const result = await response.json();
-
-      if (result.success && result.data) {
-        const paymentData = result.data;
-
-        // If payment is successful, process it
-        if (paymentData.payment_status === 'paid') {
-          // Find company by client_reference_id (format: companyId_timestamp)
-          const companyId = paymentData.client_reference_id.split('_')[0];
-          const company = await Company.findById(companyId);
+      // If payment is successful, process it (once - the webhook may already have)
+      if (session.payment_status === 'paid') {
+        await thawaniService.confirmPayment(sessionId, { source: 'status_check', session });
+      }
 
-          if (company) {
-            // Process the payment
-            await company.processSuccessfulPayment(sessionId, paymentData);
-          }
+      res.status(200).json({
+        success: true,
+        data: {
+          sessionId: session.session_id,
+          paymentStatus: session.payment_status,
+          amount: session.total_amount / 1000, // Convert from baisa to OMR
+          currency: session.currency,
+          metadata: session.metadata
         }
-
-        res.status(200).json({
-          success: true,
-          data: {
-            sessionId: paymentData.session_id,
-            paymentStatus: paymentData.payment_status,
-            amount: paymentData.total_amount / 1000, // Convert from baisa to OMR
-            currency: paymentData.currency,
-            metadata: paymentData.metadata
-          }
-        });
-      } else {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid session'
-        });
-      }
+      });
 
     } catch (error) {
       console.error('Error checking payment status:', error);
@@ -3215,18 +3251,23 @@ class CompanyController {
         });
       }
 
-      // Verify user owns this company
-      if (company.userId !== req.user.userId) {
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view this company'
         });
       }
 
-      const planStatus = company.checkPlanExpiration();
+      const credits = await company.getCreditBalances();
+      const planStatus = company.checkPlanExpiration(credits);
       const currentPlan = company.subscriptionPlan;
       const planLimits = company.getPlanLimits();
-      const usage = company.usageStats;
+      const usage = {
+        ...company.usageStats,
+        instantMatches: credits.instant_match.used,
+        interviews: credits.interview.used
+      };
 
       res.status(200).json({
         success: true,
@@ -3236,6 +3277,7 @@ class CompanyController {
           planStatus,
           planLimits,
           usage,
+          credits,
           needsUpgrade: planStatus.needsUpgrade,
           daysRemaining: planStatus.daysRemaining,
           subscriptionStatus: company.getSubscriptionStatus(),
@@ -3253,6 +3295,172 @@ class CompanyController {
     }
   }
 
+  /**
+   * Get credit balances and ledger entries
+   * GET /api/companies/:companyId/credits
+   */
+  static async getCreditLedger(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId } = req.params;
+
+      const company = await Company.findById(companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company profile not found'
+        });
+      }
+
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this company'
+        });
+      }
+
+      const entries = await creditLedgerService.listEntries(company.id, parseInt(req.query.limit) || 100);
+
+      res.status(200).json({
+        success: true,
+        message: 'Credits retrieved successfully',
+        data: {
+          credits: await company.getCreditBalances(),
+          entries: entries.reverse().map(({ createdBy, ...entry }) => entry)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting credit ledger:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get tax invoices and credit notes
+   * GET /api/companies/:companyId/invoices
+   */
+  static async getInvoices(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId } = req.params;
+
+      const company = await Company.findById(companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company profile not found'
+        });
+      }
+
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this company'
+        });
+      }
+
+      const documents = await invoiceService.listDocuments(company.id, {
+        documentType: req.query.documentType || null,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invoices retrieved successfully',
+        data: {
+          invoices: documents.map(({ storagePath, issuedBy, ...document }) => document),
+          total: documents.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting invoices:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a download URL for an invoice or credit note PDF
+   * GET /api/companies/:companyId/invoices/:invoiceId/download
+   */
+  static async downloadInvoice(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId, invoiceId } = req.params;
+
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this company'
+        });
+      }
+
+      const document = await invoiceService.getDocument(invoiceId);
+      if (!document || document.companyId !== companyId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
+      }
+
+      const download = await invoiceService.getDownloadUrl(document);
+
+      res.status(200).json({
+        success: true,
+        message: 'Download URL created',
+        data: {
+          number: document.number,
+          documentType: document.documentType,
+          ...download
+        }
+      });
+
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Get brand recommendations based on seeker skills and roles
    * GET /api/companies/brands/recommendations
@@ -3898,7 +4106,6 @@ class CompanyController {
       }
 
       const { companyId } = req.params;
-      const userId = req.user.userId;
 
       // Get company profile
       const company = await Company.findById(companyId);
@@ -3909,21 +4116,20 @@ class CompanyController {
         });
       }
 
-      // Verify ownership
-      if (company.userId !== userId) {
+      // Verify user works for this company (owner or team member)
+      if (!req.companyAccess || req.companyAccess.companyId !== company.id) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
         });
       }
 
-      // Get plan limits using the company method
-      const planLimits = company.getPlanLimits();
-      const currentUsage = company.usageStats || {};
-
-      // Calculate current interviews used
-      const interviewsUsed = currentUsage.interviews || 0;
-      const interviewsLimit = planLimits.interviews || 0;
+      // Interview credits come from the credit ledger
+      const credits = await company.getCreditBalances();
+      const interviewCredits = credits.interview;
+      const interviewsUsed = interviewCredits.used;
+      const interviewsRemaining = interviewCredits.unlimited ? 'unlimited' : interviewCredits.available;
+      const interviewsLimit = interviewCredits.unlimited ? 'unlimited' : interviewsUsed + interviewCredits.available;
 
       // Get current plan info from company subscription data
       let currentPlan = company.subscriptionPlan || 'trial';
@@ -3949,36 +4155,14 @@ class CompanyController {
         interviewsUsed
       });
 
-      // Check if can create interview based on plan type and limits
-      let canCreateInterview = false;
+      // Check if can create interview based on the credits left
+      const canCreateInterview = company.canPerformAction('interview', credits);
       let message = null;
 
-      // Handle interview limits based on plan type
-      if (interviewsLimit === 'unlimited') {
-        // Unlimited interviews (trial, custom plans)
-        canCreateInterview = true;
-      } else if (typeof interviewsLimit === 'number') {
-        if (interviewsLimit === 0) {
-          // No interviews allowed on this plan
-          canCreateInterview = false;
-          if (currentPlan === 'payg') {
-            message = 'Interviews not available on Pay-As-You-Go plan. Please upgrade to access interview features.';
-          } else {
-            message = 'Interviews not available on your current plan. Please upgrade to access interview features.';
-          }
-        } else if (interviewsLimit === -1) {
-          // Unlimited interviews (represented as -1)
-          canCreateInterview = true;
-        } else {
-          // Check if under limit
-          canCreateInterview = interviewsUsed < interviewsLimit;
-          if (!canCreateInterview) {
-            message = `You have reached your interview limit of ${interviewsLimit} for this billing period.`;
-          }
-        }
-      } else {
-        // Default case - allow interviews
-        canCreateInterview = true;
+      if (!canCreateInterview) {
+        message = currentPlan === 'payg'
+          ? 'You have no interview credits left. Buy an interview package to schedule interviews.'
+          : 'You have no interview credits left. Buy an interview package or upgrade your plan to schedule interviews.';
       }
 
       // Prepare response
@@ -3986,7 +4170,9 @@ class CompanyController {
         canCreateInterview,
         currentPlan,
         interviewsUsed,
-        interviewsLimit: (interviewsLimit === -1 || interviewsLimit === 'unlimited') ? 'unlimited' : interviewsLimit
+        interviewsLimit,
+        interviewsRemaining,
+        expiringNext: interviewCredits.expiringNext
       };
 
       if (message) {
@@ -4217,6 +4403,12 @@ class CompanyController {
         })
       );
 
+      // Team members limited to some locations only see those locations' applications
+      const jobIds = await req.companyAccess.getJobIds();
+      if (jobIds) {
+        applications = applications.filter(app => jobIds.has(app.jobId));
+      }
+
       // Filter by job type if requested (e.g., "Interview First")
       if (jobType) {
         applications = applications.filter(app => {
@@ -0,0 +1,338 @@
+const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
+const User = require('../models/User');
+const NotificationHelper = require('../utils/notificationHelper');
+const { resolveCompanyAccess } = require('../middleware/companyAccess');
+const { validationResult } = require('express-validator');
+
+/**
+ * Link the invitee opens to accept; the token is only ever sent, never stored
+ */
+const buildInviteUrl = (token) => `${process.env.FRONTEND_URL}/company/team/join?token=${encodeURIComponent(token)}`;
+
+/**
+ * Company Team Controller
+ * Invitations, roles and brand/location scopes of the people working in a company account
+ */
+class CompanyTeamController {
+
+  /**
+   * Get team members and pending invitations
+   * GET /api/companies/:companyId/team-members
+   */
+  static async getTeamMembers(req, res) {
+    try {
+      const { companyId } = req.params;
+      const includeRevoked = req.query.includeRevoked === 'true';
+
+      const members = await CompanyMember.findByCompanyId(companyId, includeRevoked);
+
+      res.status(200).json({
+        success: true,
+        message: 'Team members retrieved successfully',
+        data: {
+          owner: {
+            userId: req.companyAccess.company.userId,
+            name: req.companyAccess.company.adminDetails?.fullName || null,
+            email: req.companyAccess.company.adminDetails?.email || null
+          },
+          members: members.map(member => member.toPublicJSON()),
+          limits: {
+            teamMembers: req.companyAccess.company.getPlanLimits().teamMembers
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting team members:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Invite a team member by email
+   * POST /api/companies/:companyId/team-members
+   */
+  static async inviteTeamMember(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const company = req.companyAccess.company;
+      const { member, token } = await CompanyMember.invite(company, req.body, req.user.userId);
+      const inviteUrl = buildInviteUrl(token);
+
+      await NotificationHelper.triggerTeamInvitation(member, company, inviteUrl);
+
+      res.status(201).json({
+        success: true,
+        message: 'Team member invited successfully',
+        data: {
+          member: member.toPublicJSON(),
+          // Also shown to the inviter so it can be shared another way, e.g. WhatsApp
+          inviteUrl
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in inviteTeamMember:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Change a team member's role or brand/location scope
+   * PUT /api/companies/:companyId/team-members/:memberId
+   */
+  static async updateTeamMember(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId, memberId } = req.params;
+
+      const member = await CompanyMember.findById(memberId);
+      if (!member || member.companyId !== companyId || member.status === CompanyMember.STATUS.REVOKED) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found'
+        });
+      }
+
+      await member.updateAccess(req.companyAccess.company, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Team member updated successfully',
+        data: member.toPublicJSON()
+      });
+
+    } catch (error) {
+      console.error('Error in updateTeamMember:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Remove a team member or withdraw their invitation
+   * DELETE /api/companies/:companyId/team-members/:memberId
+   */
+  static async removeTeamMember(req, res) {
+    try {
+      const { companyId, memberId } = req.params;
+
+      const member = await CompanyMember.findById(memberId);
+      if (!member || member.companyId !== companyId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found'
+        });
+      }
+
+      await member.revoke(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Team member removed successfully',
+        data: member.toPublicJSON()
+      });
+
+    } catch (error) {
+      console.error('Error in removeTeamMember:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Send a pending invitation again with a new link
+   * POST /api/companies/:companyId/team-members/:memberId/resend-invitation
+   */
+  static async resendInvitation(req, res) {
+    try {
+      const { companyId, memberId } = req.params;
+
+      const member = await CompanyMember.findById(memberId);
+      if (!member || member.companyId !== companyId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found'
+        });
+      }
+
+      const token = await member.renewInvitation();
+      const inviteUrl = buildInviteUrl(token);
+
+      await NotificationHelper.triggerTeamInvitation(member, req.companyAccess.company, inviteUrl);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation sent again',
+        data: {
+          member: member.toPublicJSON(),
+          inviteUrl
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in resendInvitation:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Look up an invitation before accepting it
+   * GET /api/companies/team-invitations/:token
+   */
+  static async getInvitation(req, res) {
+    try {
+      const member = await CompanyMember.findByInviteToken(req.params.token);
+      if (!member || member.status !== CompanyMember.STATUS.INVITED) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      const company = await Company.findById(member.companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation retrieved successfully',
+        data: {
+          companyId: company.id,
+          companyName: company.companyName,
+          email: member.email,
+          role: member.role,
+          brands: (company.brands || []).filter(brand => member.brandIds.includes(brand.id)).map(brand => brand.name),
+          locations: (company.locations || [])
+            .filter(location => member.locationIds.includes(location.id))
+            .map(location => ({ id: location.id, brand: location.brand || null, address: location.address || null })),
+          expiresAt: member.inviteExpiresAt,
+          isExpired: member.isInviteExpired()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in getInvitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation with the signed-in company user
+   * POST /api/companies/team-invitations/accept
+   */
+  static async acceptInvitation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const member = await CompanyMember.findByInviteToken(req.body.token);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      await member.accept(user);
+
+      // The company is already set up - members skip company onboarding
+      await user.update({ onboardingCompleted: true, profileCompleted: true });
+
+      const access = await resolveCompanyAccess(user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'You have joined the company',
+        data: access.toJSON()
+      });
+
+    } catch (error) {
+      console.error('Error in acceptInvitation:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the signed-in user's company, role, permissions and scope
+   * GET /api/companies/team/access
+   */
+  static async getMyAccess(req, res) {
+    res.status(200).json({
+      success: true,
+      message: 'Company access retrieved successfully',
+      data: req.companyAccess.toJSON()
+    });
+  }
+}
+
+module.exports = CompanyTeamController;
@@ -39,6 +39,15 @@ class InstantHireController {
         });
       }
 
+      // Members limited to some locations can only hire for a job at one of them
+      if (!instantHireData.jobId && req.companyAccess && req.companyAccess.isScoped()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Choose a job at one of the locations assigned to you',
+          error: 'COMPANY_SCOPE_RESTRICTED'
+        });
+      }
+
       // Verify job exists and belongs to company
       if (instantHireData.jobId) {
         const job = await Job.findById(instantHireData.jobId);
@@ -55,6 +64,7 @@ class InstantHireController {
         instantHireData.hoursPerDay = job.hoursPerDay;
         instantHireData.startDate = job.startDate;
         instantHireData.workLocation = job.location;
+        instantHireData.locationCoordinates = job.locationCoordinates;
         instantHireData.requirements = job.requirements;
       }
 
@@ -156,6 +166,12 @@ class InstantHireController {
         instantHires = instantHires.filter(hire => hire.status === status);
       }
 
+      // Team members limited to some locations only see hires for jobs there
+      const jobIds = req.companyAccess ? await req.companyAccess.getJobIds() : null;
+      if (jobIds) {
+        instantHires = instantHires.filter(hire => jobIds.has(hire.jobId));
+      }
+
       res.json({
         success: true,
         message: 'Company instant hires retrieved successfully',
@@ -328,7 +344,7 @@ class InstantHireController {
         seekerName: seeker.fullName,
         seekerEmail: seeker.email,
         seekerPhone: seeker.phone
-      });
+      }, userId);
 
       // 🔥 AUTO-TRIGGER CANDIDATE HIRED NOTIFICATIONS
       try {
@@ -368,6 +384,9 @@ class InstantHireController {
 
     } catch (error) {
       console.error('Error matching with seeker:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       res.status(500).json({
         success: false,
         message: 'Failed to match with seeker',
@@ -547,10 +566,10 @@ class InstantHireController {
   }
 
   /**
-   * Record attendance
-   * POST /api/instant-hires/:instantHireId/attendance
+   * Clock in to today's shift (seeker) - server time, checked against the shift location
+   * POST /api/instant-hires/:instantHireId/clock-in
    */
-  static async recordAttendance(req, res) {
+  static async clockIn(req, res) {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -562,7 +581,6 @@ class InstantHireController {
       }
 
       const { instantHireId } = req.params;
-      const attendanceData = req.body;
       const userId = req.user.userId;
 
       const instantHire = await InstantHire.findById(instantHireId);
@@ -573,21 +591,280 @@ class InstantHireController {
         });
       }
 
-      // Verify user is either company or seeker
-      const company = await Company.findByUserId(userId);
       const seeker = await Seeker.findByUserId(userId);
+      if (!seeker || seeker.id !== instantHire.seekerId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the hired seeker can clock in'
+        });
+      }
 
-      const hasAccess = (company && company.id === instantHire.companyId) || 
-                       (seeker && seeker.id === instantHire.seekerId);
+      // Hires created before coordinates were copied from the job
+      if (!instantHire.locationCoordinates && instantHire.jobId) {
+        const job = await Job.findById(instantHire.jobId);
+        instantHire.locationCoordinates = job ? job.locationCoordinates : null;
+      }
 
-      if (!hasAccess) {
+      const record = await instantHire.clockIn(req.body);
+
+      if (record.status === 'late') {
+        try {
+          const company = await Company.findById(instantHire.companyId);
+          if (company) {
+            await notificationController.sendShiftLateArrival(instantHire, record, {
+              id: company.id,
+              name: company.companyName,
+              email: company.companyEmail
+            });
+          }
+        } catch (notifError) {
+          console.error('❌ Failed to send late arrival notification:', notifError);
+          // Don't fail the main request for notification errors
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        message: record.status === 'late' ? `Clocked in ${record.lateMinutes} minutes late` : 'Clocked in successfully',
+        data: record
+      });
+
+    } catch (error) {
+      console.error('Error clocking in:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clock in',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Clock out of the current shift (seeker)
+   * POST /api/instant-hires/:instantHireId/clock-out
+   */
+  static async clockOut(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { instantHireId } = req.params;
+      const userId = req.user.userId;
+
+      const instantHire = await InstantHire.findById(instantHireId);
+      if (!instantHire) {
+        return res.status(404).json({
+          success: false,
+          message: 'Instant hire not found'
+        });
+      }
+
+      const seeker = await Seeker.findByUserId(userId);
+      if (!seeker || seeker.id !== instantHire.seekerId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the hired seeker can clock out'
+        });
+      }
+
+      const record = await instantHire.clockOut(req.body);
+
+      res.json({
+        success: true,
+        message: `Clocked out - ${record.hoursWorked} hours recorded for approval`,
+        data: record
+      });
+
+    } catch (error) {
+      console.error('Error clocking out:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clock out',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Start or end a break (seeker)
+   * POST /api/instant-hires/:instantHireId/break
+   */
+  static async recordBreak(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { instantHireId } = req.params;
+      const { action } = req.body;
+      const userId = req.user.userId;
+
+      const instantHire = await InstantHire.findById(instantHireId);
+      if (!instantHire) {
+        return res.status(404).json({
+          success: false,
+          message: 'Instant hire not found'
+        });
+      }
+
+      const seeker = await Seeker.findByUserId(userId);
+      if (!seeker || seeker.id !== instantHire.seekerId) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
         });
       }
 
-      const updatedHire = await instantHire.recordAttendance(attendanceData);
+      const record = action === 'start' ? await instantHire.startBreak() : await instantHire.endBreak();
+
+      res.json({
+        success: true,
+        message: action === 'start' ? 'Break started' : 'Break ended',
+        data: record
+      });
+
+    } catch (error) {
+      console.error('Error recording break:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record break',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Approve or dispute a timesheet entry (company)
+   * PUT /api/instant-hires/:instantHireId/attendance/:attendanceId/review
+   */
+  static async reviewAttendance(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { instantHireId, attendanceId } = req.params;
+      const { decision, reason } = req.body;
+      const userId = req.user.userId;
+
+      const instantHire = await InstantHire.findById(instantHireId);
+      if (!instantHire) {
+        return res.status(404).json({
+          success: false,
+          message: 'Instant hire not found'
+        });
+      }
+
+      const company = await Company.findByUserId(userId);
+      if (!company || company.id !== instantHire.companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the hiring company can review timesheets'
+        });
+      }
+
+      const record = await instantHire.reviewAttendance(attendanceId, { decision, reason }, userId);
+
+      if (record.approvalStatus === 'disputed') {
+        try {
+          const seeker = await Seeker.findById(instantHire.seekerId);
+          if (seeker) {
+            await notificationController.sendTimesheetDisputed(instantHire, record, {
+              id: seeker.id,
+              name: seeker.fullName || `${seeker.firstName} ${seeker.lastName}`,
+              email: seeker.email
+            });
+          }
+        } catch (notifError) {
+          console.error('❌ Failed to send timesheet dispute notification:', notifError);
+          // Don't fail the main request for notification errors
+        }
+      }
+
+      res.json({
+        success: true,
+        message: record.approvalStatus === 'approved' ? 'Timesheet entry approved' : 'Timesheet entry disputed',
+        data: {
+          attendance: record,
+          actualHoursWorked: instantHire.actualHoursWorked
+        }
+      });
+
+    } catch (error) {
+      console.error('Error reviewing attendance:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review timesheet entry',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Record attendance by hand (company) - for days the seeker couldn't clock, or was absent
+   * POST /api/instant-hires/:instantHireId/attendance
+   */
+  static async recordAttendance(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { instantHireId } = req.params;
+      const attendanceData = req.body;
+      const userId = req.user.userId;
+
+      const instantHire = await InstantHire.findById(instantHireId);
+      if (!instantHire) {
+        return res.status(404).json({
+          success: false,
+          message: 'Instant hire not found'
+        });
+      }
+
+      // Seekers clock in and out instead, so their hours come from the server and their location
+      const company = await Company.findByUserId(userId);
+      if (!company || company.id !== instantHire.companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the hiring company can record attendance by hand - seekers clock in and out'
+        });
+      }
+
+      const updatedHire = await instantHire.recordAttendance(attendanceData, userId);
 
       res.json({
         success: true,
@@ -597,6 +874,9 @@ class InstantHireController {
 
     } catch (error) {
       console.error('Error recording attendance:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       res.status(500).json({
         success: false,
         message: 'Failed to record attendance',
@@ -651,6 +931,9 @@ class InstantHireController {
 
     } catch (error) {
       console.error('Error completing work:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to complete work',
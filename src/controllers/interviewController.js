@@ -3,8 +3,10 @@ const JobApplication = require('../models/JobApplication');
 const Company = require('../models/Company');
 const Job = require('../models/Job');
 const Seeker = require('../models/Seeker');
+const InterviewAvailability = require('../models/InterviewAvailability');
 const { validationResult } = require('express-validator');
 const notificationController = require('./notificationController');
+const calendarService = require('../services/calendarService');
 
 /**
  * Interview Controller
@@ -28,7 +30,8 @@ class InterviewController {
       }
 
       const userId = req.user.userId;
-      const interviewData = req.body;
+      const { slotOffers, offerWindow, ...interviewData } = req.body;
+      const isSlotOffer = Boolean(slotOffers || offerWindow);
 
       // Verify user has permission (must be company user)
       const company = await Company.findByUserId(userId);
@@ -57,8 +60,10 @@ class InterviewController {
       interviewData.seekerPhone = application.seekerPhone;
       interviewData.jobTitle = application.jobTitle;
 
-      // Create the interview
-      const interview = await Interview.create(interviewData);
+      // Create the interview, or offer slots for the seeker to pick from
+      const interview = isSlotOffer
+        ? await Interview.createWithOffers(interviewData, { slotOffers, offerWindow })
+        : await Interview.create(interviewData);
 
       // Update the application status if needed
       if (application.status === 'applied') {
@@ -75,12 +80,16 @@ class InterviewController {
           jobSeekerName: interviewData.seekerName,
           jobSeekerEmail: interviewData.seekerEmail,
           jobSeekerId: application.seekerId,
+          jobSeekerPhone: interviewData.seekerPhone,
           companyName: company.companyName,
           companyId: company.id,
           jobTitle: interviewData.jobTitle,
           jobId: application.jobId,
           interviewDate: interview.scheduledDate,
-          location: interview.location || interview.interviewMode
+          location: interview.location || interview.interviewMode,
+          interviewId: interview.id,
+          applicationId: application.id,
+          calendarInvites: { seeker: calendarService.buildInterviewInvite(interview, 'seeker') }
         };
 
         // Send interview request notification to job seeker
@@ -97,11 +106,14 @@ class InterviewController {
 
       res.status(201).json({
         success: true,
-        message: 'Interview scheduled successfully',
-        data: interview.toJSON()
+        message: isSlotOffer ? 'Interview slots offered successfully' : 'Interview scheduled successfully',
+        data: interview.toPublicJSON()
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Error creating interview:', error);
       res.status(500).json({
         success: false,
@@ -145,7 +157,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Interview retrieved successfully',
-        data: interview.toJSON()
+        data: interview.toPublicJSON()
       });
 
     } catch (error) {
@@ -194,7 +206,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Interviews retrieved successfully',
-        data: interviews.map(interview => interview.toJSON())
+        data: interviews.map(interview => interview.toPublicJSON())
       });
 
     } catch (error) {
@@ -237,6 +249,14 @@ class InterviewController {
         interviews = await Interview.findByCompanyAndDateRange(companyId, startOfMonth, endOfMonth);
       }
 
+      // Team members limited to some locations only see those locations' interviews
+      if (req.companyAccess.isScoped()) {
+        const jobIds = await req.companyAccess.getJobIds();
+        interviews = interviews.filter(interview => interview.brandLocationId
+          ? req.companyAccess.canAccessLocation(interview.brandLocationId)
+          : jobIds.has(interview.jobId));
+      }
+
       // Filter by status if provided
       if (status) {
         interviews = interviews.filter(interview => interview.status === status);
@@ -245,7 +265,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Company interviews retrieved successfully',
-        data: interviews.map(interview => interview.toJSON())
+        data: interviews.map(interview => interview.toPublicJSON())
       });
 
     } catch (error) {
@@ -273,7 +293,8 @@ class InterviewController {
         });
       }
 
-      const { companyId, date, duration = 30 } = req.query;
+      const { companyId, date, jobId, brandLocationId } = req.query;
+      const duration = parseInt(req.query.duration) || 30;
       const userId = req.user.userId;
 
       // Verify user is from this company
@@ -285,15 +306,22 @@ class InterviewController {
         });
       }
 
-      const availableSlots = await Interview.getAvailableTimeSlots(companyId, date, duration);
+      const { slots, ...availability } = await Interview.getAvailableTimeSlots(companyId, date, duration, {
+        jobId,
+        brandLocationId
+      });
 
       res.json({
         success: true,
         message: 'Available time slots retrieved successfully',
-        data: availableSlots
+        data: slots,
+        availability
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Error getting available slots:', error);
       res.status(500).json({
         success: false,
@@ -356,7 +384,8 @@ class InterviewController {
             jobTitle: interview.jobTitle,
             jobId: interview.jobId,
             id: interview.id,
-            newInterviewDate: rescheduledInterview.scheduledDate
+            newInterviewDate: rescheduledInterview.scheduledDate,
+            calendarInvites: { seeker: calendarService.buildInterviewInvite(rescheduledInterview, 'seeker') }
           };
 
           const companyData = {
@@ -384,10 +413,13 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Interview rescheduled successfully',
-        data: rescheduledInterview.toJSON()
+        data: rescheduledInterview.toPublicJSON()
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Error rescheduling interview:', error);
       res.status(500).json({
         success: false,
@@ -428,7 +460,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Interview confirmed successfully',
-        data: confirmedInterview.toJSON()
+        data: confirmedInterview.toPublicJSON()
       });
 
     } catch (error) {
@@ -475,10 +507,56 @@ class InterviewController {
 
       const cancelledInterview = await interview.cancel(reason);
 
+      // 🔥 AUTO-TRIGGER INTERVIEW CANCELLED NOTIFICATIONS (with .ics cancellations)
+      try {
+        const interviewCompany = company && company.id === interview.companyId
+          ? company
+          : await Company.findById(interview.companyId);
+        const interviewSeeker = seeker && seeker.id === interview.seekerId
+          ? seeker
+          : await Seeker.findById(interview.seekerId);
+
+        if (interviewCompany && interviewSeeker) {
+          const interviewData = {
+            id: cancelledInterview.id,
+            jobTitle: cancelledInterview.jobTitle,
+            jobId: cancelledInterview.jobId,
+            interviewDate: cancelledInterview.interviewDate
+              ? `${cancelledInterview.interviewDate} ${cancelledInterview.startTime}`
+              : '-',
+            reason,
+            calendarInvites: {
+              company: calendarService.buildInterviewInvite(cancelledInterview, 'company'),
+              seeker: calendarService.buildInterviewInvite(cancelledInterview, 'seeker')
+            }
+          };
+
+          const companyData = {
+            id: interviewCompany.id,
+            name: interviewCompany.companyName,
+            email: interviewCompany.companyEmail
+          };
+
+          const seekerData = {
+            id: interviewSeeker.id,
+            name: interviewSeeker.fullName || `${interviewSeeker.firstName} ${interviewSeeker.lastName}`,
+            fullName: interviewSeeker.fullName || `${interviewSeeker.firstName} ${interviewSeeker.lastName}`,
+            email: interviewSeeker.email
+          };
+
+          const cancelledBy = company && company.id === interview.companyId ? 'company' : 'job_seeker';
+          await notificationController.sendInterviewCancelled(interviewData, companyData, seekerData, cancelledBy);
+          console.log('✅ Interview cancelled notifications sent successfully');
+        }
+      } catch (notifError) {
+        console.error('❌ Failed to send interview cancelled notifications:', notifError);
+        // Don't fail the main request for notification errors
+      }
+
       res.json({
         success: true,
         message: 'Interview cancelled successfully',
-        data: cancelledInterview.toJSON()
+        data: cancelledInterview.toPublicJSON()
       });
 
     } catch (error) {
@@ -532,7 +610,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Interview marked as completed',
-        data: completedInterview.toJSON()
+        data: completedInterview.toPublicJSON()
       });
 
     } catch (error) {
@@ -576,7 +654,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Interview marked as no-show',
-        data: noShowInterview.toJSON()
+        data: noShowInterview.toPublicJSON()
       });
 
     } catch (error) {
@@ -633,7 +711,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Additional dates added successfully',
-        data: interview.toJSON()
+        data: interview.toPublicJSON()
       });
 
     } catch (error) {
@@ -646,6 +724,213 @@ class InterviewController {
     }
   }
 
+  /**
+   * Get the times the seeker can still pick for an interview offered as slots
+   * GET /api/interviews/:interviewId/offered-slots
+   */
+  static async getOfferedSlots(req, res) {
+    try {
+      const { interviewId } = req.params;
+      const userId = req.user.userId;
+
+      const interview = await Interview.findById(interviewId);
+      if (!interview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Interview not found'
+        });
+      }
+
+      // Verify user has access (company or seeker)
+      const company = await Company.findByUserId(userId);
+      const seeker = await Seeker.findByUserId(userId);
+
+      const hasAccess = (company && company.id === interview.companyId) ||
+                       (seeker && seeker.id === interview.seekerId);
+
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const isOpen = interview.status === 'pending_selection' && new Date(interview.offerExpiresAt) > new Date();
+      const slots = isOpen ? await interview.getOfferedSlots() : [];
+
+      res.json({
+        success: true,
+        message: 'Offered interview slots retrieved successfully',
+        data: slots,
+        offer: {
+          status: interview.status,
+          isOpen,
+          offerExpiresAt: interview.offerExpiresAt,
+          offerWindow: interview.offerWindow,
+          timeZone: interview.timeZone
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting offered interview slots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve offered interview slots',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Pick one of the offered interview slots (by seeker)
+   * POST /api/interviews/:interviewId/select-slot
+   */
+  static async selectInterviewSlot(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { interviewId } = req.params;
+      const { date, startTime } = req.body;
+      const userId = req.user.userId;
+
+      const interview = await Interview.findById(interviewId);
+      if (!interview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Interview not found'
+        });
+      }
+
+      // Verify user is the seeker for this interview
+      const seeker = await Seeker.findByUserId(userId);
+      if (!seeker || seeker.id !== interview.seekerId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the candidate can pick an interview slot'
+        });
+      }
+
+      const bookedInterview = await interview.selectSlot(date, startTime);
+
+      // 🔥 AUTO-TRIGGER INTERVIEW ACCEPTED NOTIFICATIONS
+      try {
+        const company = await Company.findById(interview.companyId);
+
+        if (company) {
+          const interviewData = {
+            id: bookedInterview.id,
+            jobTitle: bookedInterview.jobTitle,
+            jobId: bookedInterview.jobId,
+            interviewDate: `${bookedInterview.interviewDate} ${bookedInterview.startTime}`,
+            calendarInvites: {
+              company: calendarService.buildInterviewInvite(bookedInterview, 'company'),
+              seeker: calendarService.buildInterviewInvite(bookedInterview, 'seeker')
+            }
+          };
+
+          const companyData = {
+            id: company.id,
+            name: company.companyName,
+            email: company.companyEmail
+          };
+
+          const seekerData = {
+            id: seeker.id,
+            name: seeker.fullName || `${seeker.firstName} ${seeker.lastName}`,
+            fullName: seeker.fullName || `${seeker.firstName} ${seeker.lastName}`,
+            email: seeker.email,
+            phone: seeker.phone || seeker.mobileNumber
+          };
+
+          await notificationController.sendInterviewAccepted(interviewData, companyData, seekerData);
+          console.log('✅ Interview slot picked notifications sent successfully');
+        }
+      } catch (notifError) {
+        console.error('❌ Failed to send interview slot picked notifications:', notifError);
+        // Don't fail the main request for notification errors
+      }
+
+      res.json({
+        success: true,
+        message: 'Interview slot booked successfully',
+        data: bookedInterview.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error selecting interview slot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to book interview slot',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the video room link - only handed out shortly before the start until the interview ends
+   * GET /api/interviews/:interviewId/meeting
+   */
+  static async getMeetingLink(req, res) {
+    try {
+      const { interviewId } = req.params;
+      const userId = req.user.userId;
+
+      const interview = await Interview.findById(interviewId);
+      if (!interview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Interview not found'
+        });
+      }
+
+      // Verify user has access (company or seeker)
+      const company = await Company.findByUserId(userId);
+      const seeker = await Seeker.findByUserId(userId);
+
+      const hasAccess = (company && company.id === interview.companyId) ||
+                       (seeker && seeker.id === interview.seekerId);
+
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const meeting = interview.getMeetingAccess();
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          message: 'This interview has no video room'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: meeting.url ? 'Meeting link retrieved successfully' : `The meeting link is not available (${meeting.status})`,
+        data: meeting
+      });
+
+    } catch (error) {
+      console.error('Error getting meeting link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve meeting link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Get seeker's interviews
    * GET /api/seeker/:seekerId/interviews
@@ -672,7 +957,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Seeker interviews retrieved successfully',
-        data: interviews.map(interview => new Interview(interview).toJSON())
+        data: interviews.map(interview => new Interview(interview).toPublicJSON())
       });
 
     } catch (error) {
@@ -734,7 +1019,7 @@ class InterviewController {
       res.json({
         success: true,
         message: 'Preparation materials updated successfully',
-        data: interview.toJSON()
+        data: interview.toPublicJSON()
       });
 
     } catch (error) {
@@ -815,7 +1100,8 @@ class InterviewController {
         });
       }
 
-      const { companyId, date, startTime, duration = 30 } = req.query;
+      const { companyId, date, startTime, jobId, brandLocationId } = req.query;
+      const duration = parseInt(req.query.duration) || 30;
       const userId = req.user.userId;
 
       // Verify user is from this company
@@ -830,11 +1116,14 @@ class InterviewController {
       // Create temporary interview object to check conflicts
       const tempInterview = new Interview({
         companyId,
+        jobId,
+        brandLocationId,
         interviewDate: date,
         startTime,
         duration
       });
 
+      const availability = await tempInterview.checkAvailability();
       const conflicts = await tempInterview.checkConflicts();
 
       res.json({
@@ -843,11 +1132,16 @@ class InterviewController {
         data: {
           hasConflicts: conflicts.length > 0,
           conflictCount: conflicts.length,
-          conflicts: conflicts.map(conflict => conflict.toJSON())
+          conflicts: conflicts.map(conflict => conflict.toPublicJSON()),
+          isAvailable: availability.available,
+          unavailableReason: availability.reason
         }
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Error checking conflicts:', error);
       res.status(500).json({
         success: false,
@@ -856,6 +1150,164 @@ class InterviewController {
       });
     }
   }
+
+  /**
+   * Get the interview calendar for a company or one of its locations
+   * GET /api/company/:companyId/interview-availability
+   */
+  static async getInterviewAvailability(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId } = req.params;
+      const brandLocationId = req.query.brandLocationId || null;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const availability = await InterviewAvailability.findForCompany(companyId, brandLocationId);
+      const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+
+      res.json({
+        success: true,
+        message: 'Interview availability retrieved successfully',
+        data: {
+          ...availability.toJSON(),
+          calendarId: availability.id,
+          // Which calendar applies: the location's own, the company's, or the built-in defaults
+          source: !availability.id ? 'default' : availability.brandLocationId ? 'location' : 'company',
+          publicHolidays: InterviewAvailability.getPublicHolidays(`${year}-01-01`, `${year}-12-31`)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting interview availability:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve interview availability',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Set the interview calendar for a company or one of its locations
+   * PUT /api/company/:companyId/interview-availability
+   */
+  static async updateInterviewAvailability(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId } = req.params;
+      const { brandLocationId = null, ...settings } = req.body;
+      const userId = req.user.userId;
+
+      const company = await Company.findByUserId(userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (brandLocationId && !(company.locations || []).some(location => location.id === brandLocationId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Brand location not found'
+        });
+      }
+
+      // The company-wide calendar is shared by every location
+      if (!brandLocationId && req.companyAccess.isScoped()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only team members without a location restriction can change the company-wide calendar',
+          error: 'COMPANY_SCOPE_RESTRICTED'
+        });
+      }
+
+      const availability = await InterviewAvailability.upsert(companyId, brandLocationId, settings, userId);
+
+      res.json({
+        success: true,
+        message: 'Interview availability updated successfully',
+        data: {
+          ...availability.toJSON(),
+          calendarId: availability.id,
+          source: availability.brandLocationId ? 'location' : 'company'
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error updating interview availability:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update interview availability',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Remove a location's own interview calendar so it uses the company's again
+   * DELETE /api/company/:companyId/interview-availability/:brandLocationId
+   */
+  static async deleteLocationAvailability(req, res) {
+    try {
+      const { companyId, brandLocationId } = req.params;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const removed = await InterviewAvailability.removeLocationCalendar(companyId, brandLocationId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'This location has no calendar of its own'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Location now uses the company interview calendar'
+      });
+
+    } catch (error) {
+      console.error('Error removing location interview availability:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove location interview availability',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 module.exports = InterviewController;
\ No newline at end of file
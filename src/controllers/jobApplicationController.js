@@ -168,7 +168,7 @@ class JobApplicationController {
       }
 
       // Check if company owns this job (can be either companyId or userId)
-      const hasAccess = job.companyId === userId || job.userId === userId;
+      const hasAccess = job.companyId === userId || job.userId === userId || Boolean(req.companyAccess?.ownsCompanyId(job.companyId));
       
       console.log(`🔍 Access Check for Applications - CompanyId: ${job.companyId}, UserId: ${job.userId}, RequestUserId: ${userId}, HasAccess: ${hasAccess}`);
       
@@ -296,7 +296,7 @@ class JobApplicationController {
       }
 
       // Verify company owns the job
-      if (application.companyId !== userId) {
+      if (application.companyId !== userId && !req.companyAccess?.ownsCompanyId(application.companyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this application'
@@ -353,7 +353,7 @@ class JobApplicationController {
       }
 
       // Verify company owns the job
-      if (application.companyId !== userId) {
+      if (application.companyId !== userId && !req.companyAccess?.ownsCompanyId(application.companyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this application'
@@ -441,7 +441,7 @@ class JobApplicationController {
       const job = await Job.findByJobId(application.jobId);
       
       // Check if user belongs to the same company
-      let hasAccess = application.companyId === userId || job?.userId === userId;
+      let hasAccess = application.companyId === userId || job?.userId === userId || Boolean(job && req.companyAccess?.ownsCompanyId(job.companyId));
       
       console.log(`🔍 Decline Initial access check - App CompanyId: ${application.companyId}, Job UserId: ${job?.userId}, RequestUserId: ${userId}, Initial HasAccess: ${hasAccess}`);
       
@@ -571,7 +571,7 @@ class JobApplicationController {
       // Option 1: Direct user match (job creator)
       // Option 2: Company ID match (application belongs to user's company)  
       // Option 3: Job's companyId matches user's company profile
-      let hasAccess = application.companyId === userId || job?.userId === userId;
+      let hasAccess = application.companyId === userId || job?.userId === userId || Boolean(job && req.companyAccess?.ownsCompanyId(job.companyId));
       
       console.log(`🔍 Initial access check - App CompanyId: ${application.companyId}, Job UserId: ${job?.userId}, RequestUserId: ${userId}, Initial HasAccess: ${hasAccess}`);
       
@@ -653,7 +653,7 @@ class JobApplicationController {
       }
 
       // Verify company owns the job
-      if (application.companyId !== userId) {
+      if (application.companyId !== userId && !req.companyAccess?.ownsCompanyId(application.companyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this application'
@@ -746,7 +746,7 @@ class JobApplicationController {
       const job = await Job.findByJobId(application.jobId);
       
       // Check if company owns this application (can be either companyId or userId)
-      const hasAccess = application.companyId === userId || job?.userId === userId;
+      const hasAccess = application.companyId === userId || job?.userId === userId || Boolean(job && req.companyAccess?.ownsCompanyId(job.companyId));
       
       console.log(`🔍 Interview Access Check - App CompanyId: ${application.companyId}, Job CompanyId: ${job?.companyId}, Job UserId: ${job?.userId}, RequestUserId: ${userId}, HasAccess: ${hasAccess}`);
       
@@ -788,6 +788,9 @@ class JobApplicationController {
 
     } catch (error) {
       console.error('Error scheduling interview:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       res.status(500).json({
         success: false,
         message: 'Failed to schedule interview',
@@ -913,7 +916,7 @@ class JobApplicationController {
       }
 
       // Check if company owns this job (can be either companyId or userId)
-      const hasAccess = job.companyId === userId || job.userId === userId;
+      const hasAccess = job.companyId === userId || job.userId === userId || Boolean(req.companyAccess?.ownsCompanyId(job.companyId));
       
       console.log(`🔍 Access Check - CompanyId: ${job.companyId}, UserId: ${job.userId}, RequestUserId: ${userId}, HasAccess: ${hasAccess}`);
       
@@ -1192,7 +1195,7 @@ class JobApplicationController {
       }
 
       // Verify company owns the job
-      if (application.companyId !== userId) {
+      if (application.companyId !== userId && !req.companyAccess?.ownsCompanyId(application.companyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this application'
@@ -1235,7 +1238,7 @@ class JobApplicationController {
       }
 
       // Verify user has access to this application
-      const hasAccess = (userType === 'company' && application.companyId === userId) ||
+      const hasAccess = (userType === 'company' && (application.companyId === userId || Boolean(req.companyAccess?.ownsCompanyId(application.companyId)))) ||
                        (userType === 'seeker' && application.seekerId === userId);
       
       if (!hasAccess) {
@@ -1536,7 +1539,7 @@ class JobApplicationController {
       }
 
       // Verify company owns the job
-      if (application.companyId !== userId) {
+      if (application.companyId !== userId && !req.companyAccess?.ownsCompanyId(application.companyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this application'
@@ -1643,7 +1646,7 @@ class JobApplicationController {
       if (userType === 'company') {
         const Job = require('../models/Job');
         const job = await Job.findByJobId(application.jobId);
-        hasAccess = application.companyId === userId || job?.userId === userId;
+        hasAccess = application.companyId === userId || job?.userId === userId || Boolean(job && req.companyAccess?.ownsCompanyId(job.companyId));
       }
       
       // For seekers, get seeker document and compare with application.seekerId
@@ -1720,10 +1723,14 @@ class JobApplicationController {
 
       let applicationsData = applications.data || applications;
 
+      // Team members limited to some locations only rate seekers from those locations
+      const jobIds = await req.companyAccess.getJobIds();
+
       // Filter for seekers with status "hired" or "interviewed" who accepted
       const rateableApplications = applicationsData.filter(app =>
         (app.status === 'hired' || app.status === 'interviewed') &&
-        (app.hireResponse === 'accepted' || app.interviewResponse === 'accepted')
+        (app.hireResponse === 'accepted' || app.interviewResponse === 'accepted') &&
+        (!jobIds || jobIds.has(app.jobId))
       );
 
       // Get seekers data
@@ -1786,7 +1793,7 @@ class JobApplicationController {
       if (userType === 'company') {
         const Job = require('../models/Job');
         const job = await Job.findByJobId(application.jobId);
-        hasAccess = application.companyId === userId || job?.userId === userId;
+        hasAccess = application.companyId === userId || job?.userId === userId || Boolean(job && req.companyAccess?.ownsCompanyId(job.companyId));
       } else if (userType === 'seeker') {
         const Seeker = require('../models/Seeker');
         const seeker = await Seeker.findByUserId(userId);
@@ -1883,7 +1890,7 @@ class JobApplicationController {
       if (userType === 'company') {
         const Job = require('../models/Job');
         const job = await Job.findByJobId(application.jobId);
-        hasAccess = application.companyId === userId || job?.userId === userId;
+        hasAccess = application.companyId === userId || job?.userId === userId || Boolean(job && req.companyAccess?.ownsCompanyId(job.companyId));
       } else if (userType === 'seeker') {
         const Seeker = require('../models/Seeker');
         const seeker = await Seeker.findByUserId(userId);
@@ -1977,9 +1984,13 @@ class JobApplicationController {
       console.log(`🔍 Found ${applications.length} total applications for seeker ${seekerId}`);
       
       // Filter applications that belong to jobs owned by the current company user
+      // Team members see their company's applications, at their own locations when scoped
+      const jobIds = req.companyAccess ? await req.companyAccess.getJobIds() : null;
       const companyApplications = [];
       for (const app of applications) {
-        if (app.jobData && (app.jobData.userId === userId || app.companyId === userId)) {
+        const ownJob = app.jobData && (app.jobData.userId === userId || app.companyId === userId);
+        const teamJob = app.jobData && req.companyAccess?.ownsCompanyId(app.jobData.companyId) && (!jobIds || jobIds.has(app.jobId));
+        if (ownJob || teamJob) {
           companyApplications.push(app);
         }
       }
@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const Job = require('../models/Job');
 const Company = require('../models/Company');
 const NotificationHelper = require('../utils/notificationHelper');
+const jobSearchService = require('../services/jobSearchService');
 
 /**
  * Job Controller - Professional Implementation
@@ -34,6 +35,15 @@ class JobController {
         });
       }
 
+      // Team members limited to some locations post at one of them
+      if (!req.companyAccess.canAccessLocation(req.body.brandLocationId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Choose one of the locations assigned to you',
+          error: 'COMPANY_SCOPE_RESTRICTED'
+        });
+      }
+
       // Check if company can create jobs (subscription limits)
       if (!company.canPerformAction('job_posting')) {
         return res.status(403).json({
@@ -327,9 +337,11 @@ class JobController {
         
         // Location filters
         governorate: req.query.governorate,
+        geo: JobController.parseGeoQuery(req.query),
         
         // Job type filters
         roles: req.query.roles ? req.query.roles.split(',').map(r => r.trim()) : null,
+        industries: req.query.industries ? req.query.industries.split(',').map(i => i.trim()) : null,
         hiringType: req.query.hiringType,
         workType: req.query.workType,
         shiftTypes: req.query.shiftTypes ? req.query.shiftTypes.split(',').map(s => s.trim()) : null,
@@ -355,10 +367,11 @@ class JobController {
       // Pagination and sorting
       const limit = parseInt(req.query.limit) || 20;
       const offset = parseInt(req.query.offset) || 0;
-      const sortBy = req.query.sortBy || 'publishedAt';
-      const sortOrder = req.query.sortOrder || 'desc';
+      const cursor = req.query.cursor || null;
+      const sortBy = req.query.sortBy || (req.query.q ? 'relevance' : filters.geo ? 'distance' : 'publishedAt');
+      const sortOrder = req.query.sortOrder || (sortBy === 'distance' ? 'asc' : 'desc');
 
-      const searchResult = await Job.advancedSearchJobs(filters, limit, offset, sortBy, sortOrder);
+      const searchResult = await Job.advancedSearchJobs(filters, limit, offset, sortBy, sortOrder, cursor);
 
       res.status(200).json({
         success: true,
@@ -367,8 +380,10 @@ class JobController {
           jobs: searchResult.jobs.map(job => job.toPublicJSON()),
           totalJobs: searchResult.totalJobs,
           hasMore: searchResult.hasMore,
+          nextCursor: searchResult.nextCursor,
           limit,
           offset,
+          facets: searchResult.facets,
           filters: {
             ...filters,
             // Convert dates back to ISO strings for response
@@ -380,6 +395,14 @@ class JobController {
       });
 
     } catch (error) {
+      // Invalid cursor / sort
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Error searching jobs:', error);
       res.status(500).json({
         success: false,
@@ -389,6 +412,44 @@ class JobController {
     }
   }
 
+  /**
+   * Read lat/lng/radiusKm from the query string
+   * @returns {Object|null} { latitude, longitude, radiusKm } - radiusKm is null when not given
+   */
+  static parseGeoQuery(query) {
+    if (query.lat === undefined || query.lng === undefined) {
+      return null;
+    }
+    return {
+      latitude: parseFloat(query.lat),
+      longitude: parseFloat(query.lng),
+      radiusKm: query.radiusKm ? parseFloat(query.radiusKm) : null
+    };
+  }
+
+  /**
+   * Rebuild the job search index from the jobs collection
+   * POST /api/jobs/search/reindex
+   */
+  static async reindexSearch(req, res) {
+    try {
+      const result = await jobSearchService.rebuild();
+
+      res.status(200).json({
+        success: true,
+        message: 'Job search index rebuilt successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error rebuilding job search index:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Update job
    * PUT /api/jobs/:jobId
@@ -740,8 +801,9 @@ class JobController {
       // Parse comma-separated roles
       const roleArray = roles.split(',').map(role => role.trim());
       
-      // Get recommended jobs based on roles
-      const jobs = await Job.getRecommendationsByRoles(roleArray, parseInt(limit), parseInt(offset));
+      // Get recommended jobs based on roles, nearest first when a location is given
+      const geo = JobController.parseGeoQuery(req.query);
+      const jobs = await Job.getRecommendationsByRoles(roleArray, parseInt(limit), parseInt(offset), geo);
 
       res.status(200).json({
         success: true,
@@ -751,7 +813,8 @@ class JobController {
           totalJobs: jobs.length,
           limit: parseInt(limit),
           offset: parseInt(offset),
-          matchedRoles: roleArray
+          matchedRoles: roleArray,
+          location: geo
         }
       });
 
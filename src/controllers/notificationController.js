@@ -5,9 +5,42 @@
  */
 
 const notificationService = require('../services/notificationService');
+const notificationOutbox = require('../services/notificationOutbox');
+const templateService = require('../services/templateService');
+const { TemplateError } = require('../services/templateService');
+const NotificationPreference = require('../models/NotificationPreference');
 const { SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../config/constants');
 const logger = require('../utils/logger');
 
+/**
+ * Notifications are addressed to the seeker/company profile ID, not the auth user ID
+ */
+const resolveReceiverId = async ({ userId, userType }) => {
+  if (userType === 'seeker') {
+    const Seeker = require('../models/Seeker');
+    const seeker = await Seeker.findByUserId(userId);
+    return seeker ? seeker.id : userId;
+  }
+
+  if (userType === 'company') {
+    const Company = require('../models/Company');
+    const company = await Company.findByUserId(userId);
+    return company ? company.id : userId;
+  }
+
+  return userId;
+};
+
+/**
+ * The .ics invite for one side of an interview email, when the caller built one
+ * @param {Object} interviewData - Carries calendarInvites: { company, seeker }
+ * @param {string} audience - 'company' or 'seeker'
+ */
+const getCalendarAttachments = (interviewData, audience) => {
+  const invite = interviewData.calendarInvites?.[audience];
+  return invite ? [invite] : [];
+};
+
 class NotificationController {
   
   /**
@@ -29,11 +62,11 @@ class NotificationController {
 
       const result = await notificationService.sendNotification(notificationData);
       
-      logger.info(`✅ Notification sent by ${req.user?.id || 'system'}:`, result);
+      logger.info(`✅ Notification queued by ${req.user?.id || 'system'}:`, result);
       
       res.status(200).json({
         success: true,
-        message: 'Notification sent successfully',
+        message: 'Notification queued for delivery',
         data: result
       });
 
@@ -347,6 +380,223 @@ class NotificationController {
     }
   }
 
+  /**
+   * Get notification preferences for authenticated user
+   * GET /api/notifications/preferences
+   */
+  async getPreferences(req, res) {
+    try {
+      const receiverId = await resolveReceiverId(req.user);
+      const preferences = await NotificationPreference.getForUser(receiverId, req.user.userType);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification preferences retrieved successfully',
+        data: preferences.toJSON()
+      });
+
+    } catch (error) {
+      logger.error('❌ Get notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve notification preferences',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update notification preferences for authenticated user
+   * PUT /api/notifications/preferences
+   */
+  async updatePreferences(req, res) {
+    try {
+      const { channels, types, quietHours, digest } = req.body;
+
+      const receiverId = await resolveReceiverId(req.user);
+      const preferences = await NotificationPreference.upsert(receiverId, req.user.userType, {
+        channels,
+        types,
+        quietHours,
+        digest
+      });
+
+      logger.info(`🔔 Notification preferences updated for ${receiverId}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: preferences.toJSON()
+      });
+
+    } catch (error) {
+      logger.error('❌ Update notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification preferences',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get outbox queue depth and dead letter count
+   * GET /api/notifications/outbox/stats
+   */
+  async getOutboxStats(req, res) {
+    try {
+      const stats = await notificationOutbox.getQueueStats();
+
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+
+    } catch (error) {
+      logger.error('❌ Get outbox stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve outbox stats',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List dead-lettered notifications
+   * GET /api/notifications/outbox/dead-letters
+   */
+  async getDeadLetters(req, res) {
+    try {
+      const { status, channel, type, limit } = req.query;
+
+      const deadLetters = await notificationOutbox.listDeadLetters({
+        status,
+        channel,
+        type,
+        limit: limit ? parseInt(limit) : 50
+      });
+
+      res.status(200).json({
+        success: true,
+        data: deadLetters,
+        count: deadLetters.length,
+        filters: req.query
+      });
+
+    } catch (error) {
+      logger.error('❌ Get dead letters error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve dead letters',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Replay a dead-lettered notification channel
+   * POST /api/notifications/outbox/dead-letters/:deadLetterId/replay
+   */
+  async replayDeadLetter(req, res) {
+    try {
+      const { deadLetterId } = req.params;
+
+      const replayed = await notificationOutbox.replayDeadLetter(deadLetterId, req.user.userId);
+
+      if (!replayed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dead letter not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification re-queued for delivery',
+        data: replayed
+      });
+
+    } catch (error) {
+      logger.error('❌ Replay dead letter error:', error);
+      res.status(409).json({
+        success: false,
+        message: error.message || 'Failed to replay dead letter'
+      });
+    }
+  }
+
+  /**
+   * List notification templates and their required variables
+   * GET /api/notifications/templates
+   */
+  async getTemplates(req, res) {
+    try {
+      const templates = templateService.listTemplates();
+
+      res.status(200).json({
+        success: true,
+        data: templates,
+        count: templates.length
+      });
+
+    } catch (error) {
+      logger.error('❌ Get notification templates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve notification templates',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Render a notification template with sample data
+   * Supplied variables override the template's sample values
+   * POST /api/notifications/templates/:type/preview
+   */
+  async previewTemplate(req, res) {
+    try {
+      const { type } = req.params;
+      const { language = 'en', variables = {}, actionUrl } = req.body;
+
+      if (!templateService.hasTemplate(type)) {
+        return res.status(404).json({
+          success: false,
+          message: `No template registered for '${type}'`
+        });
+      }
+
+      const preview = templateService.render(type, language, {
+        ...templateService.getSample(type),
+        ...variables
+      }, {
+        actionUrl: actionUrl || `${process.env.FRONTEND_URL || ''}/notifications`
+      });
+
+      res.status(200).json({
+        success: true,
+        data: preview
+      });
+
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          missingVariables: error.missingVariables
+        });
+      }
+
+      logger.error('❌ Preview notification template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview notification template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   // Helper methods for specific notification types
 
   /**
@@ -540,7 +790,10 @@ class NotificationController {
         jobTitle, 
         jobId,
         interviewDate,
-        location
+        location,
+        jobSeekerPhone,
+        interviewId,
+        applicationId
       } = interviewData;
 
       // Send to job seeker
@@ -552,9 +805,10 @@ class NotificationController {
         receivers: [{
           id: jobSeekerId,
           type: 'seeker',
-          email: jobSeekerEmail
+          email: jobSeekerEmail,
+          phone: jobSeekerPhone
         }],
-        channels: ['email', 'in-app'],
+        channels: ['email', 'in-app', 'whatsapp'],
         content: {
           message: `${companyName} has invited you for an interview for '${jobTitle}'. View details and select a slot.`,
           actionUrl: `${process.env.FRONTEND_URL}/seeker/interviews/${jobId}`
@@ -565,8 +819,11 @@ class NotificationController {
           companyName,
           companyId,
           interviewDate,
-          location
-        }
+          location,
+          interviewId,
+          applicationId
+        },
+        attachments: getCalendarAttachments(interviewData, 'seeker')
       });
 
       return { success: true };
@@ -915,7 +1172,8 @@ class NotificationController {
           seekerId: seekerData.id,
           companyName: companyData.name || companyData.companyName,
           interviewDate: interviewData.interviewDate
-        }
+        },
+        attachments: getCalendarAttachments(interviewData, 'company')
       });
 
       // Send to job seeker
@@ -927,7 +1185,8 @@ class NotificationController {
         receivers: [{
           id: seekerData.id,
           type: 'seeker',
-          email: seekerData.email
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
         }],
         channels: ['email', 'in-app', 'whatsapp'],
         content: {
@@ -941,7 +1200,8 @@ class NotificationController {
           seekerId: seekerData.id,
           companyName: companyData.name || companyData.companyName,
           interviewDate: interviewData.interviewDate
-        }
+        },
+        attachments: getCalendarAttachments(interviewData, 'seeker')
       });
     } catch (error) {
       logger.error('❌ Send interview accepted notification failed:', error);
@@ -963,7 +1223,8 @@ class NotificationController {
         receivers: [{
           id: seekerData.id,
           type: 'seeker',
-          email: seekerData.email
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
         }],
         channels: ['email', 'in-app', 'whatsapp'],
         content: {
@@ -976,7 +1237,9 @@ class NotificationController {
           seekerName: seekerData.name || seekerData.fullName,
           seekerId: seekerData.id,
           companyName: companyData.name || companyData.companyName,
-          companyId: companyData.id
+          companyId: companyData.id,
+          hireId: hiringData.id,
+          applicationId: hiringData.applicationId || null
         }
       });
 
@@ -1077,6 +1340,88 @@ class NotificationController {
     }
   }
 
+  /**
+   * Send saved search alert for a newly published job
+   * @param {Object} jobData - Published job
+   * @param {Object} seekerData - Seeker who saved the search
+   * @param {Object} alert - { searchName, companyName, ... } as recorded by the saved search service
+   */
+  async sendSavedSearchAlert(jobData, seekerData, alert) {
+    try {
+      await notificationService.sendNotification({
+        type: 'saved_search_alert',
+        initiatedBy: 'system',
+        action: 'Saved Search Alert',
+        description: 'Inform Job Seeker a new job matches one of their saved searches',
+        receivers: [{
+          id: seekerData.id,
+          type: 'seeker',
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
+        }],
+        channels: ['in-app', 'whatsapp'],
+        content: {
+          message: `New job for your search '${alert.searchName}': '${jobData.roleName}' at ${alert.companyName}. Apply now!`,
+          actionUrl: `${process.env.FRONTEND_URL}/jobs/${jobData.id}`
+        },
+        metadata: {
+          jobTitle: jobData.roleName,
+          jobId: jobData.id,
+          companyName: alert.companyName,
+          searchName: alert.searchName,
+          searchIds: alert.searchIds,
+          seekerName: seekerData.fullName,
+          seekerId: seekerData.id
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Send saved search alert notification failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send daily digest of new jobs matching a seeker's saved searches
+   * @param {Object} seekerData - Seeker who saved the searches
+   * @param {Array} alerts - Pending alerts ({ jobId, jobTitle, companyName, searchName })
+   */
+  async sendSavedSearchDigest(seekerData, alerts) {
+    try {
+      const jobList = alerts
+        .slice(0, 5)
+        .map(alert => (alert.companyName ? `${alert.jobTitle} - ${alert.companyName}` : alert.jobTitle))
+        .join(', ');
+
+      await notificationService.sendNotification({
+        type: 'saved_search_digest',
+        initiatedBy: 'system',
+        action: 'Saved Search Digest',
+        description: 'Daily summary of new jobs matching Job Seeker saved searches',
+        receivers: [{
+          id: seekerData.id,
+          type: 'seeker',
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
+        }],
+        channels: ['in-app', 'whatsapp'],
+        content: {
+          message: `${alerts.length} new jobs match your saved searches: ${jobList}`,
+          actionUrl: `${process.env.FRONTEND_URL}/seeker/saved-searches`
+        },
+        metadata: {
+          jobCount: alerts.length,
+          jobList,
+          jobIds: alerts.map(alert => alert.jobId),
+          seekerName: seekerData.fullName,
+          seekerId: seekerData.id
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Send saved search digest notification failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send admin creates company account notification
    */
@@ -1391,6 +1736,73 @@ class NotificationController {
     }
   }
 
+  /**
+   * Send interview slot offer expired notification - the seeker didn't pick an offered slot in time
+   * @param {Object} interviewData - { id, jobId, jobTitle, companyName }
+   * @param {Object|null} companyData - Company contact; skipped when the company no longer exists
+   * @param {Object} seekerData - Seeker contact
+   */
+  async sendInterviewOfferExpired(interviewData, companyData, seekerData) {
+    try {
+      // Send to company
+      if (companyData) {
+        await notificationService.sendNotification({
+          type: 'interview_offer_expired_company',
+          initiatedBy: 'system',
+          action: 'Interview Offer Expired',
+          description: 'Job Seeker did not pick an offered interview slot in time',
+          receivers: [{
+            id: companyData.id,
+            type: 'company',
+            email: companyData.email
+          }],
+          channels: ['email', 'in-app'],
+          content: {
+            message: `${seekerData.name} did not pick an interview slot for '${interviewData.jobTitle}' in time. The offer has expired.`,
+            actionUrl: `${process.env.FRONTEND_URL}/company/interviews/${interviewData.id}`
+          },
+          metadata: {
+            jobTitle: interviewData.jobTitle,
+            jobId: interviewData.jobId,
+            seekerName: seekerData.name,
+            seekerId: seekerData.id,
+            companyName: companyData.name,
+            interviewId: interviewData.id
+          }
+        });
+      }
+
+      // Send to job seeker
+      await notificationService.sendNotification({
+        type: 'interview_offer_expired_seeker',
+        initiatedBy: 'system',
+        action: 'Interview Offer Expired',
+        description: 'Job Seeker did not pick an offered interview slot in time',
+        receivers: [{
+          id: seekerData.id,
+          type: 'seeker',
+          email: seekerData.email,
+          phone: seekerData.phone
+        }],
+        channels: ['in-app'],
+        content: {
+          message: `The interview slots offered by ${interviewData.companyName} for '${interviewData.jobTitle}' have expired.`,
+          actionUrl: `${process.env.FRONTEND_URL}/seeker/interviews`
+        },
+        metadata: {
+          jobTitle: interviewData.jobTitle,
+          jobId: interviewData.jobId,
+          companyName: interviewData.companyName,
+          seekerId: seekerData.id,
+          interviewId: interviewData.id
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Send interview offer expired notification failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send interview rescheduled notification
    */
@@ -1405,7 +1817,8 @@ class NotificationController {
         receivers: [{
           id: companyData.id,
           type: 'company',
-          email: companyData.email
+          email: companyData.email,
+          phone: companyData.phone || companyData.adminDetails?.phone
         }],
         channels: ['in-app', 'whatsapp'],
         content: {
@@ -1445,7 +1858,8 @@ class NotificationController {
           seekerId: seekerData.id,
           companyName: companyData.name,
           newInterviewDate: interviewData.newInterviewDate
-        }
+        },
+        attachments: getCalendarAttachments(interviewData, 'seeker')
       });
     } catch (error) {
       logger.error('❌ Send interview rescheduled notification failed:', error);
@@ -1453,24 +1867,92 @@ class NotificationController {
     }
   }
 
+  /**
+   * Send interview cancelled notification to both sides
+   * @param {Object} interviewData - { id, jobId, jobTitle, interviewDate, reason, calendarInvites }
+   * @param {string} cancelledBy - 'company' or 'job_seeker'
+   */
+  async sendInterviewCancelled(interviewData, companyData, seekerData, cancelledBy = 'company') {
+    try {
+      const metadata = {
+        jobTitle: interviewData.jobTitle,
+        jobId: interviewData.jobId,
+        seekerName: seekerData.name || seekerData.fullName,
+        seekerId: seekerData.id,
+        companyName: companyData.name,
+        companyId: companyData.id,
+        interviewId: interviewData.id,
+        interviewDate: interviewData.interviewDate,
+        reason: interviewData.reason || null
+      };
+
+      // Send to company
+      await notificationService.sendNotification({
+        type: 'interview_cancelled_company',
+        initiatedBy: cancelledBy,
+        action: 'Interview Cancelled',
+        description: 'Interview cancelled',
+        receivers: [{
+          id: companyData.id,
+          type: 'company',
+          email: companyData.email
+        }],
+        channels: companyData.email ? ['email', 'in-app'] : ['in-app'],
+        content: {
+          message: `The interview with ${metadata.seekerName} for '${interviewData.jobTitle}' on ${interviewData.interviewDate} has been cancelled.`,
+          actionUrl: `${process.env.FRONTEND_URL}/company/interviews/${interviewData.id}`
+        },
+        metadata,
+        attachments: getCalendarAttachments(interviewData, 'company')
+      });
+
+      // Send to job seeker
+      await notificationService.sendNotification({
+        type: 'interview_cancelled_seeker',
+        initiatedBy: cancelledBy,
+        action: 'Interview Cancelled',
+        description: 'Interview cancelled',
+        receivers: [{
+          id: seekerData.id,
+          type: 'seeker',
+          email: seekerData.email
+        }],
+        channels: seekerData.email ? ['email', 'in-app'] : ['in-app'],
+        content: {
+          message: `Your interview for '${interviewData.jobTitle}' with ${companyData.name} on ${interviewData.interviewDate} has been cancelled.`,
+          actionUrl: `${process.env.FRONTEND_URL}/seeker/interviews/${interviewData.id}`
+        },
+        metadata,
+        attachments: getCalendarAttachments(interviewData, 'seeker')
+      });
+    } catch (error) {
+      logger.error('❌ Send interview cancelled notification failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send interview reminder notification
+   * @param {number} hoursBefore - Hours until the interview starts
    */
-  async sendInterviewReminder(interviewData, seekerData) {
+  async sendInterviewReminder(interviewData, seekerData, hoursBefore = 4) {
     try {
+      const timeLabel = hoursBefore === 1 ? '1 hour' : `${hoursBefore} hours`;
+
       await notificationService.sendNotification({
         type: 'interview_reminder',
         initiatedBy: 'system',
         action: 'Interview Reminder',
-        description: 'Reminder: Interview in 4 hours',
+        description: `Reminder: Interview in ${timeLabel}`,
         receivers: [{
           id: seekerData.id,
           type: 'seeker',
-          email: seekerData.email
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
         }],
         channels: ['in-app', 'email', 'whatsapp'],
         content: {
-          message: `Your interview for '${interviewData.jobTitle}' is in 4 hours. Be prepared!`,
+          message: `Your interview for '${interviewData.jobTitle}' is in ${timeLabel}. Be prepared!`,
           actionUrl: `${process.env.FRONTEND_URL}/seeker/interviews/${interviewData.id}`
         },
         metadata: {
@@ -1480,7 +1962,8 @@ class NotificationController {
           seekerId: seekerData.id,
           companyName: interviewData.companyName,
           interviewDate: interviewData.interviewDate,
-          reminderType: 'interview_4_hours'
+          reminderType: `interview_${hoursBefore}_hours`,
+          hoursBefore
         }
       });
     } catch (error) {
@@ -1491,22 +1974,26 @@ class NotificationController {
 
   /**
    * Send instant hire reminder notification
+   * @param {number} hoursBefore - Hours until the shift starts
    */
-  async sendInstantHireReminder(jobData, seekerData) {
+  async sendInstantHireReminder(jobData, seekerData, hoursBefore = 4) {
     try {
+      const timeLabel = hoursBefore === 1 ? '1 hour' : `${hoursBefore} hours`;
+
       await notificationService.sendNotification({
         type: 'instant_hire_reminder',
         initiatedBy: 'system',
         action: 'Instant Hire Reminder',
-        description: 'Reminder: Your Job Starts in 4 hours',
+        description: `Reminder: Your Job Starts in ${timeLabel}`,
         receivers: [{
           id: seekerData.id,
           type: 'seeker',
-          email: seekerData.email
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
         }],
         channels: ['in-app', 'email', 'whatsapp'],
         content: {
-          message: `Your Job '${jobData.title}' is in 4 hours. Be prepared!`,
+          message: `Your Job '${jobData.title}' is in ${timeLabel}. Be prepared!`,
           actionUrl: `${process.env.FRONTEND_URL}/seeker/jobs/${jobData.id}`
         },
         metadata: {
@@ -1516,7 +2003,8 @@ class NotificationController {
           seekerId: seekerData.id,
           companyName: jobData.companyName,
           startDate: jobData.startDate,
-          reminderType: 'instant_hire_4_hours'
+          reminderType: `instant_hire_${hoursBefore}_hours`,
+          hoursBefore
         }
       });
     } catch (error) {
@@ -1525,6 +2013,85 @@ class NotificationController {
     }
   }
 
+  /**
+   * Tell the company a seeker clocked in late
+   * @param {Object} instantHireData - Instant hire
+   * @param {Object} attendance - The attendance record, with lateMinutes
+   */
+  async sendShiftLateArrival(instantHireData, attendance, companyData) {
+    try {
+      await notificationService.sendNotification({
+        type: 'shift_late_arrival',
+        initiatedBy: 'system',
+        action: 'Late Arrival',
+        description: 'Job Seeker clocked in late for a shift',
+        receivers: [{
+          id: companyData.id,
+          type: 'company',
+          email: companyData.email
+        }],
+        channels: ['in-app'],
+        content: {
+          message: `${instantHireData.seekerName} clocked in ${attendance.lateMinutes} minutes late for '${instantHireData.jobTitle}' on ${attendance.date}.`,
+          actionUrl: `${process.env.FRONTEND_URL}/company/instant-hires/${instantHireData.id}`
+        },
+        metadata: {
+          jobTitle: instantHireData.jobTitle,
+          jobId: instantHireData.jobId,
+          seekerName: instantHireData.seekerName,
+          seekerId: instantHireData.seekerId,
+          instantHireId: instantHireData.id,
+          attendanceId: attendance.id,
+          date: attendance.date,
+          lateMinutes: attendance.lateMinutes
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Send late arrival notification failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the seeker the company disputed one of their timesheet entries
+   * @param {Object} instantHireData - Instant hire
+   * @param {Object} attendance - The disputed attendance record
+   */
+  async sendTimesheetDisputed(instantHireData, attendance, seekerData) {
+    try {
+      await notificationService.sendNotification({
+        type: 'timesheet_disputed',
+        initiatedBy: 'company',
+        action: 'Timesheet Disputed',
+        description: 'Company disputes a timesheet entry',
+        receivers: [{
+          id: seekerData.id,
+          type: 'seeker',
+          email: seekerData.email
+        }],
+        channels: ['in-app', 'email'],
+        content: {
+          message: `${instantHireData.companyName} disputed your hours for '${instantHireData.jobTitle}' on ${attendance.date}: ${attendance.disputeReason}`,
+          actionUrl: `${process.env.FRONTEND_URL}/seeker/instant-hires/${instantHireData.id}`
+        },
+        metadata: {
+          jobTitle: instantHireData.jobTitle,
+          jobId: instantHireData.jobId,
+          companyName: instantHireData.companyName,
+          seekerId: seekerData.id,
+          instantHireId: instantHireData.id,
+          attendanceId: attendance.id,
+          date: attendance.date,
+          hoursWorked: attendance.hoursWorked,
+          reason: attendance.disputeReason
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Send timesheet disputed notification failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send hiring acceptance notification
    */
@@ -1565,7 +2132,8 @@ class NotificationController {
         receivers: [{
           id: seekerData.id,
           type: 'seeker',
-          email: seekerData.email
+          email: seekerData.email,
+          phone: seekerData.phone || seekerData.mobileNumber
         }],
         channels: ['in-app', 'email', 'whatsapp'],
         content: {
@@ -1972,6 +2540,8 @@ class NotificationController {
           planType,
           amount: planData.amount,
           currency: planData.currency || 'OMR',
+          credits: planData.credits,
+          creditType: planData.creditType,
           activationDate: new Date().toISOString()
         }
       });
@@ -2051,6 +2621,58 @@ class NotificationController {
     }
   }
 
+  /**
+   * Email a tax invoice or credit note to the company, with the PDF attached
+   * @param {Object} companyData - { id, companyName, email }
+   * @param {Object} document - Invoice or credit note from invoiceService
+   * @param {Buffer} pdf
+   */
+  async sendInvoiceIssued(companyData, document, pdf) {
+    try {
+      const isCreditNote = document.documentType === 'credit_note';
+      const amount = document.total.toFixed(3);
+
+      await notificationService.sendNotification({
+        type: isCreditNote ? 'credit_note_issued' : 'invoice_issued',
+        initiatedBy: 'system',
+        action: isCreditNote ? 'Credit Note Issued' : 'Invoice Issued',
+        description: isCreditNote ? `Credit note ${document.number} issued` : `Tax invoice ${document.number} issued`,
+        receivers: [{
+          id: companyData.id,
+          type: 'company',
+          email: companyData.email
+        }],
+        channels: ['email', 'in-app'],
+        content: {
+          message: isCreditNote
+            ? `Credit note ${document.number} for ${amount} ${document.currency} issued against invoice ${document.invoiceNumber}.`
+            : `Tax invoice ${document.number} for ${amount} ${document.currency} is attached.`,
+          actionUrl: `${process.env.FRONTEND_URL}/company/billing/invoices/${document.id}`
+        },
+        metadata: {
+          companyName: companyData.companyName,
+          companyId: companyData.id,
+          documentId: document.id,
+          number: document.number,
+          invoiceNumber: document.invoiceNumber || document.number,
+          amount,
+          vatAmount: document.vatAmount.toFixed(3),
+          currency: document.currency,
+          lpoNumber: document.lpoNumber || ''
+        },
+        attachments: [{
+          filename: `${document.number}.pdf`,
+          content: pdf.toString('base64'),
+          encoding: 'base64',
+          contentType: 'application/pdf'
+        }]
+      });
+    } catch (error) {
+      logger.error('❌ Send invoice notification failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send LPO payment received notification
    */
@@ -2086,6 +2708,49 @@ class NotificationController {
       throw error;
     }
   }
+
+  /**
+   * Send chat message reported notification to admins
+   */
+  async sendChatMessageReported(reportData, adminEmails = []) {
+    try {
+      if (adminEmails.length === 0) {
+        return { success: true, skipped: true };
+      }
+
+      await notificationService.sendNotification({
+        type: 'admin_chat_message_reported',
+        initiatedBy: reportData.reporterType,
+        action: 'Chat Message Reported',
+        description: 'Participant reports a chat message',
+        receivers: adminEmails.map(email => ({
+          id: `admin_${email}`,
+          type: 'admin',
+          email
+        })),
+        channels: ['email', 'in-app'],
+        content: {
+          message: `A ${reportData.reporterType} reported a chat message (${reportData.reason}).`,
+          actionUrl: `${process.env.ADMIN_URL || process.env.FRONTEND_URL}/admin/chat-reports/${reportData.id}`
+        },
+        metadata: {
+          reportId: reportData.id,
+          chatId: reportData.chatId,
+          messageId: reportData.messageId,
+          jobId: reportData.jobId,
+          jobTitle: reportData.jobTitle || null,
+          reason: reportData.reason,
+          reporterType: reportData.reporterType,
+          reporterId: reportData.reporterId
+        }
+      });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('❌ Send chat message reported notification failed:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new NotificationController();
\ No newline at end of file
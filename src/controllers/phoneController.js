@@ -96,7 +96,8 @@ class PhoneController {
       const newUser = await User.createWithPhone({
         phoneNumber,
         countryCode: cleanCountryCode,
-        userType: userType || null // Allow null userType, will be set later in onboarding
+        userType: userType || null, // Allow null userType, will be set later in onboarding
+        preferredLanguage: req.body.preferredLanguage
       });
 
       // Send OTP to the phone number
@@ -569,6 +570,55 @@ class PhoneController {
     }
   }
 
+  /**
+   * Update preferred language for notifications (token-based)
+   * PUT /api/phone/language
+   */
+  static async updatePreferredLanguage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Get userId from token (set by auth middleware)
+      const { userId } = req.user;
+      const { preferredLanguage } = req.body;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await user.updatePreferredLanguage(preferredLanguage);
+
+      res.status(200).json({
+        success: true,
+        message: 'Preferred language updated successfully',
+        data: {
+          userId: user.id,
+          preferredLanguage: user.preferredLanguage,
+          updatedAt: user.updatedAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in updatePreferredLanguage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Get phone registration statistics
    * GET /api/phone/stats
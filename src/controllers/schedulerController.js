@@ -0,0 +1,217 @@
+/**
+ * Scheduler Controller
+ * Admin endpoints for inspecting and managing background jobs
+ */
+
+const { validationResult } = require('express-validator');
+const jobScheduler = require('../services/jobScheduler');
+const logger = require('../utils/logger');
+
+class SchedulerController {
+
+  /**
+   * List scheduled jobs with filtering
+   * GET /api/scheduler/jobs
+   */
+  async listJobs(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { status, type, limit = 50 } = req.query;
+
+      const jobs = await jobScheduler.listJobs({
+        status,
+        type,
+        limit: parseInt(limit)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: jobs,
+        count: jobs.length,
+        filters: req.query
+      });
+
+    } catch (error) {
+      logger.error('❌ List scheduled jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scheduled jobs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a specific job by ID
+   * GET /api/scheduler/jobs/:jobId
+   */
+  async getJob(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const job = await jobScheduler.getJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: job
+      });
+
+    } catch (error) {
+      logger.error('❌ Get scheduled job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scheduled job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending or failed job
+   * POST /api/scheduler/jobs/:jobId/cancel
+   */
+  async cancelJob(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const reason = req.body.reason || `Cancelled by ${req.user.userId}`;
+      const job = await jobScheduler.cancel(req.params.jobId, reason);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      if (!job.cancelled) {
+        return res.status(409).json({
+          success: false,
+          message: `Job cannot be cancelled while ${job.status}`
+        });
+      }
+
+      logger.info(`🛑 Job ${job.id} cancelled by ${req.user.userId}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job cancelled successfully',
+        data: job
+      });
+
+    } catch (error) {
+      logger.error('❌ Cancel scheduled job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel scheduled job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Re-run a job immediately
+   * POST /api/scheduler/jobs/:jobId/rerun
+   */
+  async rerunJob(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await jobScheduler.getJob(req.params.jobId);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      if (existing.status === 'running') {
+        return res.status(409).json({
+          success: false,
+          message: 'Job is currently running'
+        });
+      }
+
+      const job = await jobScheduler.rerun(req.params.jobId);
+
+      logger.info(`🔁 Job ${req.params.jobId} re-queued by ${req.user.userId}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job queued to run again',
+        data: job
+      });
+
+    } catch (error) {
+      logger.error('❌ Rerun scheduled job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to re-run scheduled job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get scheduler status for this instance
+   * GET /api/scheduler/status
+   */
+  async getStatus(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: jobScheduler.getStatus()
+      });
+
+    } catch (error) {
+      logger.error('❌ Get scheduler status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scheduler status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new SchedulerController();
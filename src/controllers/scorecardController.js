@@ -0,0 +1,398 @@
+const Interview = require('../models/Interview');
+const InterviewScorecard = require('../models/InterviewScorecard');
+const ScorecardTemplate = require('../models/ScorecardTemplate');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const { validationResult } = require('express-validator');
+
+/**
+ * The template an interview is scored on, from its job's role
+ */
+const findTemplateForInterview = async (interview) => {
+  const job = interview.jobId ? await Job.findById(interview.jobId) : null;
+  return ScorecardTemplate.findForRole(interview.companyId, job ? job.roleName : null);
+};
+
+/**
+ * Scorecard Controller
+ * Scorecard templates, interviewers' scorecards and candidate comparison for companies
+ */
+class ScorecardController {
+
+  /**
+   * Get a company's scorecard templates
+   * GET /api/company/:companyId/scorecard-templates
+   */
+  static async getScorecardTemplates(req, res) {
+    try {
+      const { companyId } = req.params;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const templates = await ScorecardTemplate.findByCompanyId(companyId);
+      const companyWide = templates.find(template => template.roleNames.length === 0) ||
+        new ScorecardTemplate({ companyId, name: 'Default scorecard' });
+
+      res.json({
+        success: true,
+        message: 'Scorecard templates retrieved successfully',
+        data: {
+          templates: templates.map(template => template.toPublicJSON()),
+          // What interviews for roles without their own template are scored on
+          companyWide: companyWide.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting scorecard templates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scorecard templates',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a scorecard template, company-wide or for some roles
+   * POST /api/company/:companyId/scorecard-templates
+   */
+  static async createScorecardTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId } = req.params;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const template = await ScorecardTemplate.create(companyId, req.body, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Scorecard template created successfully',
+        data: template.toPublicJSON()
+      });
+
+    } catch (error) {
+      console.error('Error creating scorecard template:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create scorecard template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update a scorecard template
+   * PUT /api/company/:companyId/scorecard-templates/:templateId
+   */
+  static async updateScorecardTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { companyId, templateId } = req.params;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const template = await ScorecardTemplate.findById(templateId);
+      if (!template || template.companyId !== companyId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scorecard template not found'
+        });
+      }
+
+      await template.update(req.body);
+
+      res.json({
+        success: true,
+        message: 'Scorecard template updated successfully',
+        data: template.toPublicJSON()
+      });
+
+    } catch (error) {
+      console.error('Error updating scorecard template:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update scorecard template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete a scorecard template; its roles fall back to the company-wide one
+   * DELETE /api/company/:companyId/scorecard-templates/:templateId
+   */
+  static async deleteScorecardTemplate(req, res) {
+    try {
+      const { companyId, templateId } = req.params;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const template = await ScorecardTemplate.findById(templateId);
+      if (!template || template.companyId !== companyId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scorecard template not found'
+        });
+      }
+
+      await template.delete();
+
+      res.json({
+        success: true,
+        message: 'Scorecard template deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting scorecard template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete scorecard template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get an interview's scorecards, their combined result, and the template to score it on
+   * GET /api/interviews/:interviewId/scorecards
+   */
+  static async getInterviewScorecards(req, res) {
+    try {
+      const { interviewId } = req.params;
+
+      const interview = await Interview.findById(interviewId);
+      if (!interview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Interview not found'
+        });
+      }
+
+      // Scorecards are internal to the company - never shown to the candidate
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== interview.companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const [scorecards, template] = await Promise.all([
+        InterviewScorecard.findByInterviewId(interview.id),
+        findTemplateForInterview(interview)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Interview scorecards retrieved successfully',
+        data: {
+          interviewId: interview.id,
+          seekerId: interview.seekerId,
+          seekerName: interview.seekerName,
+          template: template.toPublicJSON(),
+          scorecards: scorecards.map(scorecard => scorecard.toPublicJSON()),
+          summary: InterviewScorecard.aggregate(scorecards)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting interview scorecards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve interview scorecards',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Submit an interviewer's scorecard; submitting again under the same interviewer replaces it
+   * POST /api/interviews/:interviewId/scorecards
+   */
+  static async submitScorecard(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { interviewId } = req.params;
+
+      const interview = await Interview.findById(interviewId);
+      if (!interview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Interview not found'
+        });
+      }
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== interview.companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the company can submit interview scorecards'
+        });
+      }
+
+      const template = await findTemplateForInterview(interview);
+      const { scorecard, created } = await InterviewScorecard.submit(interview, template, req.body, req.user.userId);
+      const scorecards = await InterviewScorecard.findByInterviewId(interview.id);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Scorecard submitted successfully' : 'Scorecard updated successfully',
+        data: {
+          scorecard: scorecard.toPublicJSON(),
+          summary: InterviewScorecard.aggregate(scorecards)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error submitting scorecard:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit scorecard',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Compare a job's interviewed candidates side by side, best combined score first
+   * Candidates still waiting for scorecards are listed last
+   * GET /api/company/:companyId/jobs/:jobId/scorecards
+   */
+  static async getJobScorecardComparison(req, res) {
+    try {
+      const { companyId, jobId } = req.params;
+
+      const company = await Company.findByUserId(req.user.userId);
+      if (!company || company.id !== companyId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const job = await Job.findById(jobId);
+      if (!job || job.companyId !== companyId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const [interviews, scorecards, template] = await Promise.all([
+        Interview.query([
+          { field: 'companyId', operator: '==', value: companyId },
+          { field: 'jobId', operator: '==', value: jobId }
+        ]),
+        InterviewScorecard.findByJobId(companyId, jobId),
+        ScorecardTemplate.findForRole(companyId, job.roleName)
+      ]);
+
+      const candidates = new Map();
+      const addCandidate = (seekerId, seekerName, applicationId) => {
+        if (!candidates.has(seekerId)) {
+          candidates.set(seekerId, { seekerId, seekerName, applicationId, interviewIds: new Set(), scorecards: [] });
+        }
+        return candidates.get(seekerId);
+      };
+
+      interviews
+        .filter(interview => !['pending_selection', 'expired', 'cancelled'].includes(interview.status))
+        .forEach(interview => {
+          addCandidate(interview.seekerId, interview.seekerName, interview.applicationId).interviewIds.add(interview.id);
+        });
+      scorecards.forEach(scorecard => {
+        const candidate = addCandidate(scorecard.seekerId, scorecard.seekerName, scorecard.applicationId);
+        candidate.interviewIds.add(scorecard.interviewId);
+        candidate.scorecards.push(scorecard);
+      });
+
+      const comparison = [...candidates.values()]
+        .map(({ interviewIds, scorecards: candidateScorecards, ...candidate }) => ({
+          ...candidate,
+          interviewIds: [...interviewIds],
+          ...InterviewScorecard.aggregate(candidateScorecards)
+        }))
+        .sort((a, b) => (b.weightedScore ?? -1) - (a.weightedScore ?? -1));
+
+      res.json({
+        success: true,
+        message: 'Candidate comparison retrieved successfully',
+        data: {
+          jobId,
+          roleName: job.roleName,
+          criteria: template.criteria,
+          candidates: comparison
+        }
+      });
+
+    } catch (error) {
+      console.error('Error comparing candidates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compare candidates',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = ScorecardController;
@@ -2,8 +2,11 @@
 const Seeker = require('../models/Seeker');
 const User = require('../models/User');
 const OnboardingData = require('../models/OnboardingData');
+const SavedSearch = require('../models/SavedSearch');
+const earningsService = require('../services/earningsService');
 const { validationResult } = require('express-validator');
 const { databaseService, COLLECTIONS } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
 const notificationController = require('./notificationController');
 const NotificationHelper = require('../utils/notificationHelper');
 
@@ -1269,6 +1272,374 @@ class SeekerController {
     }
   }
 
+  /**
+   * Get published jobs ranked by how well they match the seeker, with a per-factor breakdown
+   * GET /api/seekers/:seekerId/matching-jobs
+   */
+  static async getMatchingJobs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { seekerId } = req.params;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+      const minScore = parseFloat(req.query.minScore) || 0;
+
+      const seeker = await Seeker.findById(seekerId);
+      if (!seeker) {
+        return res.status(404).json({
+          success: false,
+          message: 'Seeker profile not found'
+        });
+      }
+
+      if (seeker.userId !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view matches for this seeker'
+        });
+      }
+
+      const Job = require('../models/Job');
+      const matchingService = require('../services/matchingService');
+      const result = await matchingService.rankJobsForSeeker(seeker, { limit, offset, minScore });
+
+      res.status(200).json({
+        success: true,
+        message: 'Matching jobs retrieved successfully',
+        data: {
+          matches: result.matches.map(match => ({
+            job: new Job(match.job).toPublicJSON(),
+            score: match.score,
+            breakdown: match.breakdown
+          })),
+          totalMatches: result.totalMatches,
+          limit,
+          offset,
+          minScore
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting matching jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List the seeker's saved searches
+   * GET /api/seekers/:seekerId/saved-searches
+   */
+  static async getSavedSearches(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const savedSearches = await SavedSearch.findBySeekerId(seeker.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved searches retrieved successfully',
+        data: {
+          savedSearches: savedSearches.map(search => search.toPublicJSON()),
+          total: savedSearches.length,
+          maxSavedSearches: SavedSearch.MAX_PER_SEEKER
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error getting saved searches:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Save a job search, optionally with new-job alerts
+   * POST /api/seekers/:seekerId/saved-searches
+   */
+  static async createSavedSearch(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const savedSearch = await SavedSearch.create(seeker, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Search saved successfully',
+        data: savedSearch.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error creating saved search:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get one saved search
+   * GET /api/seekers/:seekerId/saved-searches/:searchId
+   */
+  static async getSavedSearch(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const savedSearch = await SeekerController.findOwnSavedSearch(seeker, req.params.searchId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved search retrieved successfully',
+        data: savedSearch.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error getting saved search:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update a saved search's name, filters, location or alert settings
+   * PUT /api/seekers/:seekerId/saved-searches/:searchId
+   */
+  static async updateSavedSearch(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const savedSearch = await SeekerController.findOwnSavedSearch(seeker, req.params.searchId);
+      await savedSearch.update(req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved search updated successfully',
+        data: savedSearch.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error updating saved search:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete a saved search
+   * DELETE /api/seekers/:seekerId/saved-searches/:searchId
+   */
+  static async deleteSavedSearch(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const savedSearch = await SeekerController.findOwnSavedSearch(seeker, req.params.searchId);
+      await savedSearch.delete();
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved search deleted successfully'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error deleting saved search:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * The seeker's earnings from instant hire shifts, shift by shift, with their payouts
+   * GET /api/seekers/:seekerId/earnings?from=YYYY-MM-DD&to=YYYY-MM-DD
+   */
+  static async getEarnings(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const earnings = await earningsService.getSeekerEarnings(seeker.id, {
+        from: req.query.from || null,
+        to: req.query.to || null
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Earnings retrieved successfully',
+        data: earnings
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error getting earnings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Download the payslip for one of the seeker's payouts as a PDF
+   * GET /api/seekers/:seekerId/payouts/:payoutId/payslip
+   */
+  static async downloadPayslip(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const seeker = await SeekerController.findOwnSeeker(req.params.seekerId, req.user);
+      const result = await earningsService.getPayout(req.params.payoutId);
+      if (!result || result.payout.seekerId !== seeker.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout not found'
+        });
+      }
+
+      const pdf = earningsService.buildPayslip(result.payout, result.items, seeker);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="payslip-${result.payout.payoutNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      res.status(200).send(pdf);
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Error downloading payslip:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Load a seeker profile that belongs to the authenticated user
+   * @throws {AppError} 404 when missing, 403 when it belongs to someone else
+   */
+  static async findOwnSeeker(seekerId, user) {
+    const seeker = await Seeker.findById(seekerId);
+    if (!seeker) {
+      throw new AppError('Seeker profile not found', 404);
+    }
+    if (seeker.userId !== user.userId) {
+      throw new AppError('Not authorized to access this seeker profile', 403);
+    }
+    return seeker;
+  }
+
+  /**
+   * Load one of the seeker's saved searches
+   * @throws {AppError} 404 when missing or saved by another seeker
+   */
+  static async findOwnSavedSearch(seeker, searchId) {
+    const savedSearch = await SavedSearch.findById(searchId);
+    if (!savedSearch || savedSearch.seekerId !== seeker.id) {
+      throw new AppError('Saved search not found', 404);
+    }
+    return savedSearch;
+  }
+
   /**
    * Upload image to Firebase Storage
    * POST /api/seekers/upload-image
@@ -0,0 +1,95 @@
+const Admin = require('../models/Admin');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { USER_TYPES } = require('../config/constants');
+
+/**
+ * Admin Authorization Middleware
+ * Restricts a route to platform admins whose role grants the listed permissions, and writes every
+ * request an admin makes through it to the audit trail once the response is sent
+ *
+ * Use after authenticateToken:
+ *   router.put('/:userId/ban', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.USERS_MANAGE), [...], handler)
+ *
+ * Adds the Admin instance to req.admin.
+ */
+
+/**
+ * Write the request to the audit trail when it finishes
+ * The request is captured now, before handlers or routers change params and body
+ */
+const auditRequest = (req, res, admin, action) => {
+  const entry = {
+    admin,
+    action,
+    method: req.method,
+    route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+    path: `${req.baseUrl}${req.path}`,
+    params: { ...req.params },
+    query: { ...req.query },
+    body: req.method === 'GET' ? null : { ...req.body },
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+
+  res.on('finish', () => {
+    AdminAuditLog.record({ ...entry, statusCode: res.statusCode });
+  });
+};
+
+/**
+ * @param {...string} permissions - ADMIN_PERMISSIONS the admin's role must all grant
+ */
+const requireAdmin = (...permissions) => {
+  const action = permissions.join(',') || 'admin';
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    if (req.user.userType !== USER_TYPES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    try {
+      const admin = await Admin.findById(req.user.userId);
+      if (!admin || !admin.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin account is not active'
+        });
+      }
+
+      // Logged from here on, including permission denials
+      auditRequest(req, res, admin, action);
+
+      if (!admin.hasPermission(...permissions)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your admin role does not allow this action',
+          error: 'ADMIN_PERMISSION_REQUIRED',
+          data: { required: permissions, role: admin.role }
+        });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      console.error('Error checking admin permissions:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,318 @@
+const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const Interview = require('../models/Interview');
+const InstantHire = require('../models/InstantHire');
+const { USER_TYPES, COMPANY_ROLES, COMPANY_ROLE_PERMISSIONS } = require('../config/constants');
+
+/**
+ * Company Access Middleware
+ * Restricts a route to the owner and team members of a company whose role grants the listed
+ * permissions, and keeps members scoped to brands/locations inside them
+ *
+ * Use after authenticateToken:
+ *   router.post('/:companyId/jobs', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [...], handler)
+ *
+ * The company is the companyId in the route parameters, body or query when given, otherwise the one
+ * the user owns or works for. Jobs, applications, interviews, instant hires and locations named in
+ * the request must belong to it and, for scoped members, to one of their locations.
+ *
+ * Adds a CompanyAccess to req.companyAccess.
+ */
+
+/**
+ * What a user may do in a company - as its owner or as a team member
+ */
+class CompanyAccess {
+  constructor(company, member = null) {
+    this.company = company;
+    this.member = member;
+    this.companyId = company.id;
+    this.role = member ? member.role : COMPANY_ROLES.OWNER;
+    this.isOwner = !member;
+    this.brandIds = member ? member.brandIds : [];
+    this.locationIds = member ? member.locationIds : [];
+    this.permissions = COMPANY_ROLE_PERMISSIONS[this.role] || [];
+    this._locationIds = null;
+    this._jobIds = null;
+  }
+
+  can(...permissions) {
+    return permissions.every(permission => this.permissions.includes(permission));
+  }
+
+  /**
+   * Whether the member is limited to some brands/locations
+   */
+  isScoped() {
+    return this.brandIds.length > 0 || this.locationIds.length > 0;
+  }
+
+  /**
+   * Locations the member may work with: their own plus every location of their brands
+   */
+  getLocationIds() {
+    if (!this._locationIds) {
+      const brandNames = new Set(
+        (this.company.brands || []).filter(brand => this.brandIds.includes(brand.id)).map(brand => brand.name)
+      );
+      this._locationIds = new Set(this.locationIds);
+      for (const location of this.company.locations || []) {
+        if (this.brandIds.includes(location.brandId) || brandNames.has(location.brand)) {
+          this._locationIds.add(location.id);
+        }
+      }
+    }
+    return this._locationIds;
+  }
+
+  /**
+   * @param {string|null} locationId - brandLocationId of a job, interview or availability
+   */
+  canAccessLocation(locationId) {
+    return !this.isScoped() || (Boolean(locationId) && this.getLocationIds().has(locationId));
+  }
+
+  canAccessJob(job) {
+    return Boolean(job) && this.canAccessLocation(job.brandLocationId);
+  }
+
+  /**
+   * Resources may store the company ID or, in older records, the owner's user ID
+   */
+  ownsCompanyId(companyId) {
+    return companyId === this.company.id || companyId === this.company.userId;
+  }
+
+  /**
+   * IDs (document and display) of the company's jobs at the member's locations
+   * Used to narrow lists of applications and instant hires; null when the member is not scoped
+   */
+  async getJobIds() {
+    if (!this.isScoped()) {
+      return null;
+    }
+    if (!this._jobIds) {
+      const jobs = await Job.findAllByCompanyId(this.companyId);
+      this._jobIds = new Set();
+      for (const job of jobs.filter(job => this.canAccessJob(job))) {
+        this._jobIds.add(job.id);
+        if (job.jobId) {
+          this._jobIds.add(job.jobId);
+        }
+      }
+    }
+    return this._jobIds;
+  }
+
+  toJSON() {
+    return {
+      companyId: this.companyId,
+      companyName: this.company.companyName,
+      role: this.role,
+      isOwner: this.isOwner,
+      memberId: this.member ? this.member.id : null,
+      permissions: this.permissions,
+      brandIds: this.brandIds,
+      locationIds: this.locationIds,
+      isScoped: this.isScoped()
+    };
+  }
+}
+
+/**
+ * Access of a user to a company
+ * @param {string} userId - Company user
+ * @param {string} [companyId] - Company to check; defaults to the one the user owns or works for
+ * @returns {Promise<CompanyAccess|null>} null when the user is neither owner nor active member
+ */
+const resolveCompanyAccess = async (userId, companyId = null) => {
+  const owned = await Company.findByOwnerId(userId);
+  if (owned) {
+    return !companyId || companyId === owned.id ? new CompanyAccess(owned) : null;
+  }
+
+  const member = await CompanyMember.findActiveByUserId(userId);
+  if (!member || (companyId && companyId !== member.companyId)) {
+    return null;
+  }
+  const company = await Company.findById(member.companyId);
+  return company ? new CompanyAccess(company, member) : null;
+};
+
+const findJobLocation = async (jobId) => {
+  const job = jobId ? await Job.findByJobId(jobId) : null;
+  return job ? job.brandLocationId : null;
+};
+
+/**
+ * A value from the route parameters, body or query string, in that order
+ */
+const fromRequest = (req, name) => {
+  return (req.params && req.params[name]) || (req.body && req.body[name]) || (req.query && req.query[name]) || null;
+};
+
+/**
+ * The resources a request names, as { label, companyId, locationId }
+ * Missing resources are left out - the handler answers 404 for them
+ */
+const findRequestTargets = async (req) => {
+  const targets = [];
+
+  const jobId = fromRequest(req, 'jobId');
+  if (jobId) {
+    const job = await Job.findByJobId(jobId);
+    if (job) {
+      targets.push({ label: 'job', companyId: job.companyId, locationId: job.brandLocationId });
+    }
+  }
+
+  const applicationId = fromRequest(req, 'applicationId');
+  if (applicationId) {
+    const application = await JobApplication.findById(applicationId);
+    if (application) {
+      const job = await Job.findByJobId(application.jobId);
+      targets.push({
+        label: 'application',
+        companyId: job ? job.companyId : application.companyId,
+        locationId: job ? job.brandLocationId : null
+      });
+    }
+  }
+
+  const interviewId = req.params && req.params.interviewId;
+  if (interviewId) {
+    const interview = await Interview.findById(interviewId);
+    if (interview) {
+      targets.push({
+        label: 'interview',
+        companyId: interview.companyId,
+        locationId: interview.brandLocationId || await findJobLocation(interview.jobId)
+      });
+    }
+  }
+
+  const instantHireId = req.params && req.params.instantHireId;
+  if (instantHireId) {
+    const instantHire = await InstantHire.findById(instantHireId);
+    if (instantHire) {
+      targets.push({
+        label: 'instant hire',
+        companyId: instantHire.companyId,
+        locationId: await findJobLocation(instantHire.jobId)
+      });
+    }
+  }
+
+  const brandLocationId = fromRequest(req, 'brandLocationId');
+  if (brandLocationId) {
+    targets.push({ label: 'location', companyId: null, locationId: brandLocationId });
+  }
+
+  return targets;
+};
+
+/**
+ * @param {string[]} permissions - COMPANY_PERMISSIONS the user's role must all grant
+ * @param {Object} options
+ * @param {boolean} options.companyUsersOnly - Reject seekers and admins; otherwise they pass through to the handler's own checks
+ * @param {boolean} options.companyWide - Reject members scoped to brands/locations, for company-wide data
+ */
+const companyGuard = (permissions, { companyUsersOnly, companyWide }) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    if (req.user.userType !== USER_TYPES.COMPANY) {
+      if (!companyUsersOnly) {
+        return next();
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'Company account required'
+      });
+    }
+
+    try {
+      const access = await resolveCompanyAccess(req.user.userId, fromRequest(req, 'companyId'));
+      if (!access) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this company'
+        });
+      }
+
+      if (!access.can(...permissions)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your team role does not allow this action',
+          error: 'COMPANY_PERMISSION_REQUIRED',
+          data: { required: permissions, role: access.role }
+        });
+      }
+
+      if (companyWide && access.isScoped()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Company-wide data is only available to team members without a location restriction',
+          error: 'COMPANY_SCOPE_RESTRICTED'
+        });
+      }
+
+      for (const target of await findRequestTargets(req)) {
+        if (target.companyId && !access.ownsCompanyId(target.companyId)) {
+          return res.status(403).json({
+            success: false,
+            message: `Not authorized to access this ${target.label}`
+          });
+        }
+        if (!access.canAccessLocation(target.locationId)) {
+          return res.status(403).json({
+            success: false,
+            message: `This ${target.label} is outside the locations assigned to you`,
+            error: 'COMPANY_SCOPE_RESTRICTED'
+          });
+        }
+      }
+
+      req.companyAccess = access;
+      next();
+    } catch (error) {
+      console.error('Error checking company permissions:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * Company users only, with the permissions
+ * @param {...string} permissions - COMPANY_PERMISSIONS; none = any owner or member
+ */
+const requireCompanyPermission = (...permissions) => companyGuard(permissions, { companyUsersOnly: true, companyWide: false });
+
+/**
+ * Company users only, with the permissions and no brand/location restriction
+ * For totals and analytics that cover every location
+ */
+const requireCompanyWideAccess = (...permissions) => companyGuard(permissions, { companyUsersOnly: true, companyWide: true });
+
+/**
+ * For routes shared with seekers: company users need the permissions, others are left to the handler
+ */
+const restrictCompanyUsers = (...permissions) => companyGuard(permissions, { companyUsersOnly: false, companyWide: false });
+
+module.exports = {
+  CompanyAccess,
+  resolveCompanyAccess,
+  requireCompanyPermission,
+  requireCompanyWideAccess,
+  restrictCompanyUsers
+};
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { ADMIN_ROLES, ADMIN_ROLE_PERMISSIONS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 12;
+const KEY_LENGTH = 64;
+// Sign-in is locked for LOCKOUT_MINUTES after this many failed attempts in a row
+const MAX_FAILED_LOGINS = parseInt(process.env.ADMIN_MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.ADMIN_LOCKOUT_MINUTES) || 15;
+
+/**
+ * "salt:hash", both hex
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const checkPasswordStrength = (password) => {
+  const value = String(password || '');
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (!/[a-zA-Z]/.test(value) || !/\d/.test(value)) {
+    throw new AppError('Password must contain letters and numbers', 400);
+  }
+};
+
+/**
+ * Admin Model
+ * Platform staff who sign in with email, password and an authenticator app (TOTP) instead of a phone OTP
+ *
+ * Admins live in their own collection, apart from seeker and company users; their tokens carry the
+ * 'admin' user type and their role decides what they may do (see ADMIN_ROLE_PERMISSIONS).
+ */
+class Admin {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.email = data.email ? String(data.email).trim().toLowerCase() : null;
+    this.name = data.name || null;
+    this.role = data.role || ADMIN_ROLES.SUPPORT; // See ADMIN_ROLES
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+
+    // Credentials - never returned by the API
+    this.passwordHash = data.passwordHash || null;
+    this.totpSecret = data.totpSecret || null;
+    this.totpEnabled = data.totpEnabled || false; // Set once the admin has confirmed a code from their app
+    this.totpLastUsedStep = data.totpLastUsedStep || null; // Stops a code being used twice
+
+    this.failedLoginAttempts = data.failedLoginAttempts || 0;
+    this.lockedUntil = data.lockedUntil || null;
+    this.lastLoginAt = data.lastLoginAt || null;
+    this.passwordChangedAt = data.passwordChangedAt || null;
+
+    this.createdBy = data.createdBy || null; // Admin ID, or 'script' for the first one
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Create an admin; they set up TOTP on first sign-in
+   * @param {Object} adminData - { email, name, role, password }
+   * @param {string} createdBy - Admin ID of the creator
+   */
+  static async create(adminData, createdBy) {
+    try {
+      if (!Object.values(ADMIN_ROLES).includes(adminData.role)) {
+        throw new AppError(`Role must be one of: ${Object.values(ADMIN_ROLES).join(', ')}`, 400);
+      }
+      checkPasswordStrength(adminData.password);
+
+      const admin = new Admin({
+        email: adminData.email,
+        name: adminData.name,
+        role: adminData.role,
+        createdBy
+      });
+      if (!admin.email) {
+        throw new AppError('Email is required', 400);
+      }
+      if (await Admin.findByEmail(admin.email)) {
+        throw new AppError('An admin with this email already exists', 409);
+      }
+
+      admin.passwordHash = await hashPassword(adminData.password);
+      admin.passwordChangedAt = new Date().toISOString();
+
+      const result = await databaseService.create(COLLECTIONS.ADMINS, admin.toJSON());
+      admin.id = result.id;
+
+      console.log(`✅ Admin created: ${admin.email} (${admin.role})`);
+      return admin;
+    } catch (error) {
+      console.error('Error creating admin:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find admin by ID
+   */
+  static async findById(adminId) {
+    try {
+      const data = await databaseService.getById(COLLECTIONS.ADMINS, adminId);
+      return data ? new Admin(data) : null;
+    } catch (error) {
+      console.error('Error finding admin:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find admin by email
+   */
+  static async findByEmail(email) {
+    try {
+      const admins = await databaseService.query(COLLECTIONS.ADMINS, [
+        { field: 'email', operator: '==', value: String(email || '').trim().toLowerCase() }
+      ]);
+      return admins.length > 0 ? new Admin(admins[0]) : null;
+    } catch (error) {
+      console.error('Error finding admin by email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every admin, by email
+   */
+  static async findAll() {
+    try {
+      const admins = await databaseService.query(COLLECTIONS.ADMINS);
+      return admins
+        .map(admin => new Admin(admin))
+        .sort((a, b) => a.email.localeCompare(b.email));
+    } catch (error) {
+      console.error('Error getting admins:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update admin data
+   */
+  async update(updateData) {
+    try {
+      const updated = await databaseService.update(COLLECTIONS.ADMINS, this.id, {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      });
+      Object.assign(this, updated);
+      return this;
+    } catch (error) {
+      console.error('Error updating admin:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the role grants every one of the permissions
+   */
+  hasPermission(...permissions) {
+    const granted = ADMIN_ROLE_PERMISSIONS[this.role] || [];
+    return permissions.every(permission => granted.includes(permission));
+  }
+
+  getPermissions() {
+    return ADMIN_ROLE_PERMISSIONS[this.role] || [];
+  }
+
+  isLocked() {
+    return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+  }
+
+  async verifyPassword(password) {
+    if (!this.passwordHash || !password) {
+      return false;
+    }
+    const [salt, hash] = this.passwordHash.split(':');
+    const candidate = await scrypt(String(password), salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+  }
+
+  /**
+   * Replace the password
+   * @throws {AppError} 400 when it is too weak
+   */
+  async setPassword(password) {
+    checkPasswordStrength(password);
+    const now = new Date().toISOString();
+    return await this.update({
+      passwordHash: await hashPassword(password),
+      passwordChangedAt: now
+    });
+  }
+
+  /**
+   * Count a failed sign-in; locks the account after too many
+   */
+  async recordFailedLogin() {
+    const failedLoginAttempts = this.failedLoginAttempts + 1;
+    const locked = failedLoginAttempts >= MAX_FAILED_LOGINS;
+    await this.update({
+      failedLoginAttempts: locked ? 0 : failedLoginAttempts,
+      lockedUntil: locked ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString() : this.lockedUntil
+    });
+    if (locked) {
+      console.log(`🔒 Admin ${this.email} locked for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_LOGINS} failed sign-ins`);
+    }
+    return locked;
+  }
+
+  /**
+   * Record a successful sign-in with the TOTP step that was used
+   */
+  async recordLogin(totpStep) {
+    return await this.update({
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      totpLastUsedStep: totpStep,
+      lastLoginAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      isActive: this.isActive,
+      passwordHash: this.passwordHash,
+      totpSecret: this.totpSecret,
+      totpEnabled: this.totpEnabled,
+      totpLastUsedStep: this.totpLastUsedStep,
+      failedLoginAttempts: this.failedLoginAttempts,
+      lockedUntil: this.lockedUntil,
+      lastLoginAt: this.lastLoginAt,
+      passwordChangedAt: this.passwordChangedAt,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses - without credentials
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      permissions: this.getPermissions(),
+      isActive: this.isActive,
+      totpEnabled: this.totpEnabled,
+      isLocked: this.isLocked(),
+      lastLoginAt: this.lastLoginAt,
+      passwordChangedAt: this.passwordChangedAt,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Admin.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = Admin;
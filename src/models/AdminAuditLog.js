@@ -0,0 +1,142 @@
+const { databaseService, COLLECTIONS } = require('../config/database');
+
+// Request fields never written to the audit trail
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'code', 'totpCode', 'setupToken', 'refreshToken', 'secret'];
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Request body with credentials redacted and long values cut short
+ */
+const sanitizeBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  return Object.entries(body).reduce((result, [key, value]) => {
+    if (REDACTED_FIELDS.includes(key)) {
+      result[key] = '[redacted]';
+    } else if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      result[key] = `${value.slice(0, MAX_VALUE_LENGTH)}...`;
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Admin Audit Log Model
+ * One entry per request an admin makes, successful or not, and per admin sign-in attempt
+ * Entries are only ever added - there is no update or delete
+ */
+class AdminAuditLog {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.adminId = data.adminId || null;
+    this.adminEmail = data.adminEmail || null;
+    this.adminRole = data.adminRole || null;
+
+    this.action = data.action || null; // Permission used, e.g. 'users:manage', or 'auth:login'
+    this.method = data.method || null;
+    this.route = data.route || null; // Route pattern, e.g. '/api/journey/:userId/ban'
+    this.path = data.path || null; // Actual path requested
+    this.params = data.params || {};
+    this.query = data.query || {};
+    this.body = data.body || null;
+
+    this.statusCode = data.statusCode || null;
+    this.success = data.success !== undefined ? data.success : null;
+    this.ip = data.ip || null;
+    this.userAgent = data.userAgent || null;
+
+    this.occurredAt = data.occurredAt || new Date().toISOString(); // createdAt is the server timestamp
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} entry - { admin, action, method, route, path, params, query, body, statusCode, ip, userAgent }
+   */
+  static async record(entry) {
+    try {
+      const log = new AdminAuditLog({
+        ...entry,
+        adminId: entry.admin ? entry.admin.id : entry.adminId,
+        adminEmail: entry.admin ? entry.admin.email : entry.adminEmail,
+        adminRole: entry.admin ? entry.admin.role : entry.adminRole,
+        body: sanitizeBody(entry.body),
+        success: entry.statusCode ? entry.statusCode < 400 : null
+      });
+
+      const result = await databaseService.create(COLLECTIONS.ADMIN_AUDIT_LOGS, log.toJSON());
+      log.id = result.id;
+      return log;
+    } catch (error) {
+      // The action itself already happened - losing its log entry must not fail the request
+      console.error('Error recording admin audit log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Search the trail, newest first
+   * @param {Object} filters - { adminId, action, targetId, from, to, limit }
+   */
+  static async search({ adminId = null, action = null, targetId = null, from = null, to = null, limit = 100 } = {}) {
+    try {
+      const filters = [];
+      if (adminId) {
+        filters.push({ field: 'adminId', operator: '==', value: adminId });
+      } else if (action) {
+        filters.push({ field: 'action', operator: '==', value: action });
+      }
+
+      const logs = await databaseService.query(COLLECTIONS.ADMIN_AUDIT_LOGS, filters);
+
+      return logs
+        .map(log => new AdminAuditLog(log))
+        .filter(log => !action || log.action === action)
+        .filter(log => !targetId || Object.values(log.params).includes(targetId))
+        .filter(log => (!from || log.occurredAt >= from) && (!to || log.occurredAt <= to))
+        .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error searching admin audit logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      adminId: this.adminId,
+      adminEmail: this.adminEmail,
+      adminRole: this.adminRole,
+      action: this.action,
+      method: this.method,
+      route: this.route,
+      path: this.path,
+      params: this.params,
+      query: this.query,
+      body: this.body,
+      statusCode: this.statusCode,
+      success: this.success,
+      ip: this.ip,
+      userAgent: this.userAgent,
+      occurredAt: this.occurredAt
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      ...this.toJSON()
+    };
+  }
+}
+
+module.exports = AdminAuditLog;
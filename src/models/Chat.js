@@ -1,5 +1,13 @@
+const path = require('path');
 const firebaseConfig = require('../config/firebase');
 const { v4: uuidv4 } = require('uuid');
+const chatGateway = require('../services/chatGateway');
+const chatModerationService = require('../services/chatModerationService');
+const { AppError } = require('../middleware/errorHandler');
+
+// How long after sending a message its sender can still edit or delete it
+const EDIT_WINDOW_MS = (parseInt(process.env.CHAT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const DELETE_WINDOW_MS = (parseInt(process.env.CHAT_DELETE_WINDOW_MINUTES) || 60) * 60 * 1000;
 
 /**
  * Chat Model - Real-time Firebase Chat System
@@ -256,10 +264,24 @@ class Chat {
 
   /**
    * Send a message in the chat
+   * @param {Object} extra - { attachment } for image/file messages, { location } for location messages
    */
-  static async sendMessage(chatId, senderId, senderType, messageText, messageType = 'text') {
+  static async sendMessage(chatId, senderId, senderType, messageText, messageType = 'text', extra = {}) {
     try {
       const db = firebaseConfig.getDb();
+
+      // Mask phone numbers, emails and WhatsApp links before anything is stored -
+      // in the text and in what the sender typed into a location or named a file
+      const filtered = senderType === 'system'
+        ? { text: messageText, hits: [] }
+        : chatModerationService.filterContactInfo(messageText);
+      const originalText = messageText;
+      messageText = filtered.text;
+
+      const originalFields = {};
+      if (senderType !== 'system') {
+        extra = Chat._filterExtraFields(extra, filtered.hits, originalFields);
+      }
       
       const messageData = {
         messageId: uuidv4(),
@@ -267,26 +289,55 @@ class Chat {
         senderId,
         senderType, // 'company' | 'seeker' | 'system'
         messageText,
-        messageType, // 'text' | 'image' | 'file' | 'system'
+        messageType, // 'text' | 'image' | 'file' | 'location' | 'system'
         timestamp: firebaseConfig.getServerTimestamp(),
         isRead: false,
         isEdited: false,
         isDeleted: false
       };
 
+      if (extra.attachment) {
+        messageData.attachment = extra.attachment;
+      }
+      if (extra.location) {
+        messageData.location = extra.location;
+      }
+      if (filtered.hits.length > 0) {
+        messageData.contactInfoMasked = true;
+      }
+
       // Add message to subcollection
-      await db.collection('chats').doc(chatId)
+      const messageRef = await db.collection('chats').doc(chatId)
         .collection('messages').add(messageData);
 
       // Update chat's last message info
       const otherUserType = senderType === 'company' ? 'seeker' : 'company';
       await db.collection('chats').doc(chatId).update({
-        lastMessage: messageText,
+        lastMessage: Chat.getMessagePreview(messageText, messageType),
         lastMessageTimestamp: firebaseConfig.getServerTimestamp(),
         updatedAt: firebaseConfig.getServerTimestamp(),
         [`unreadCount.${otherUserType}`]: firebaseConfig.increment(1)
       });
 
+      if (filtered.hits.length > 0) {
+        await chatModerationService.logFilterHits({
+          chatId,
+          messageId: messageRef.id,
+          senderId,
+          senderType,
+          originalText,
+          originalFields,
+          hits: filtered.hits
+        });
+      }
+
+      // Push to connected clients; the server timestamp sentinel isn't serializable
+      chatGateway.publishMessage(chatId, {
+        id: messageRef.id,
+        ...messageData,
+        timestamp: new Date().toISOString()
+      });
+
       return messageData;
     } catch (error) {
       console.error('Error sending message:', error);
@@ -294,6 +345,180 @@ class Chat {
     }
   }
 
+  /**
+   * Mask contact details in the typed fields of a location or attachment
+   * Hits are added to `hits` with the field they were found in; the unmasked values go in `originalFields`
+   * @returns {Object} extra with the masked fields
+   */
+  static _filterExtraFields(extra, hits, originalFields) {
+    const fields = [];
+    if (extra.location) {
+      fields.push(['location', 'name'], ['location', 'address']);
+    }
+    if (extra.attachment) {
+      fields.push(['attachment', 'fileName']);
+    }
+
+    const masked = { ...extra };
+    for (const [key, field] of fields) {
+      const result = chatModerationService.filterContactInfo(masked[key][field]);
+      if (result.hits.length === 0) {
+        continue;
+      }
+      let text = result.text;
+      // An email pattern can swallow the extension - keep it so the download still opens
+      const extension = field === 'fileName' ? path.extname(masked[key][field]) : '';
+      if (extension && !text.endsWith(extension)) {
+        text += extension;
+      }
+      originalFields[`${key}.${field}`] = masked[key][field];
+      masked[key] = { ...masked[key], [field]: text };
+      hits.push(...result.hits.map(hit => ({ ...hit, field: `${key}.${field}` })));
+    }
+    return masked;
+  }
+
+  /**
+   * Chat list preview for the last message
+   */
+  static getMessagePreview(messageText, messageType) {
+    switch (messageType) {
+      case 'image':
+        return `📷 ${messageText || 'Photo'}`;
+      case 'file':
+        return `📎 ${messageText || 'File'}`;
+      case 'location':
+        return `📍 ${messageText || 'Location'}`;
+      default:
+        return messageText;
+    }
+  }
+
+  /**
+   * Get a single message by its document ID
+   */
+  static async getMessage(chatId, messageId) {
+    try {
+      const db = firebaseConfig.getDb();
+      const doc = await db.collection('chats').doc(chatId)
+        .collection('messages').doc(messageId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting message:', error);
+      throw new Error('Failed to get message');
+    }
+  }
+
+  /**
+   * Edit a text message within the edit window
+   * Only the sender can edit; the previous text is kept in editHistory for moderation
+   */
+  static async editMessage(chatId, messageId, senderId, senderType, messageText) {
+    try {
+      const db = firebaseConfig.getDb();
+      const messageRef = db.collection('chats').doc(chatId).collection('messages').doc(messageId);
+      const message = await Chat._getOwnMessage(messageRef, senderId, senderType, EDIT_WINDOW_MS, 'edited');
+
+      if (message.messageType !== 'text') {
+        throw new AppError('Only text messages can be edited', 400);
+      }
+
+      const filtered = chatModerationService.filterContactInfo(messageText);
+      const editedAt = new Date().toISOString();
+      const update = {
+        messageText: filtered.text,
+        isEdited: true,
+        editedAt,
+        editHistory: firebaseConfig.arrayUnion({ messageText: message.messageText, editedAt })
+      };
+      if (filtered.hits.length > 0) {
+        update.contactInfoMasked = true;
+      }
+
+      await messageRef.update(update);
+
+      if (filtered.hits.length > 0) {
+        await chatModerationService.logFilterHits({
+          chatId,
+          messageId,
+          senderId,
+          senderType,
+          originalText: messageText,
+          hits: filtered.hits
+        });
+      }
+
+      const { editHistory, ...updated } = { ...message, ...update };
+      chatGateway.publish(chatId, 'message_updated', {
+        id: messageId,
+        messageText: updated.messageText,
+        isEdited: true,
+        editedAt
+      });
+
+      return updated;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      console.error('Error editing message:', error);
+      throw new Error('Failed to edit message');
+    }
+  }
+
+  /**
+   * Delete a message within the delete window (soft delete)
+   * Only the sender can delete; the content stays in Firestore for reports
+   */
+  static async deleteMessage(chatId, messageId, senderId, senderType) {
+    try {
+      const db = firebaseConfig.getDb();
+      const messageRef = db.collection('chats').doc(chatId).collection('messages').doc(messageId);
+      await Chat._getOwnMessage(messageRef, senderId, senderType, DELETE_WINDOW_MS, 'deleted');
+
+      const deletedAt = new Date().toISOString();
+      await messageRef.update({
+        isDeleted: true,
+        deletedAt
+      });
+
+      chatGateway.publish(chatId, 'message_deleted', { id: messageId, deletedAt });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      console.error('Error deleting message:', error);
+      throw new Error('Failed to delete message');
+    }
+  }
+
+  /**
+   * Load a message and check the caller sent it and is still inside the time window
+   */
+  static async _getOwnMessage(messageRef, senderId, senderType, windowMs, verb) {
+    const doc = await messageRef.get();
+    if (!doc.exists || doc.data().isDeleted) {
+      throw new AppError('Message not found', 404);
+    }
+
+    const message = { id: doc.id, ...doc.data() };
+    if (message.senderId !== senderId || message.senderType !== senderType) {
+      throw new AppError(`Only the sender can ${verb === 'edited' ? 'edit' : 'delete'} this message`, 403);
+    }
+
+    const sentAt = message.timestamp?.toDate?.() || new Date(message.timestamp);
+    if (Date.now() - sentAt.getTime() > windowMs) {
+      throw new AppError(`Messages can only be ${verb} within ${Math.round(windowMs / 60000)} minutes of sending`, 409);
+    }
+
+    return message;
+  }
+
   /**
    * Send system message
    */
@@ -371,6 +596,14 @@ class Chat {
       });
 
       await batch.commit();
+
+      if (messagesToMarkAsRead.length > 0) {
+        chatGateway.publishRead(chatId, {
+          userType,
+          participantId: userId,
+          messageIds: messagesToMarkAsRead.map(doc => doc.id)
+        });
+      }
     } catch (error) {
       console.error('Error marking as read:', error);
       throw new Error('Failed to mark messages as read');
@@ -1,5 +1,11 @@
 const { databaseService, COLLECTIONS } = require('../config/database');
 const notificationController = require('../controllers/notificationController');
+const ScheduledJobs = require('../services/scheduledJobs');
+const thawaniService = require('../services/thawaniService');
+const creditLedgerService = require('../services/creditLedgerService');
+const invoiceService = require('../services/invoiceService');
+const { normalizeCoordinates, encodeGeohash } = require('../utils/geo');
+const CompanyMember = require('./CompanyMember');
 
 /**
  * Company Profile Model - Professional Implementation
@@ -287,8 +293,10 @@ class Company {
   
   /**
    * Add payment transaction to history
+   * @param {Object} transactionData
+   * @param {string} [recordedBy] - Admin recording a payment received offline; only those get a tax invoice
    */
-  async addPaymentTransaction(transactionData) {
+  async addPaymentTransaction(transactionData, recordedBy = null) {
     try {
       const transaction = {
         transactionId: transactionData.transactionId || this.generateTransactionId(),
@@ -302,6 +310,7 @@ class Company {
         lpoIssuedDate: transactionData.lpoIssuedDate || null,
         paymentStatus: transactionData.paymentStatus || 'completed',
         transactionReference: transactionData.transactionReference || null,
+        recordedBy, // Admin who recorded a payment received offline (LPO, bank transfer); null when the company reported it
         createdAt: new Date().toISOString()
       };
 
@@ -317,9 +326,14 @@ class Company {
       await this.update({
         paymentHistory: this.paymentHistory,
         totalSpentOnHiring: this.totalSpentOnHiring,
-        lastActiveDate: this.lastActiveDate
+        lastActiveDate: this.lastActiveDate,
+        subscriptionPlan: this.subscriptionPlan,
+        planLimits: this.planLimits,
+        nextBillingDate: this.nextBillingDate
       });
 
+      await this.issueInvoice(transaction);
+
       return transaction;
     } catch (error) {
       console.error('Error adding payment transaction:', error);
@@ -327,6 +341,19 @@ class Company {
     }
   }
 
+  /**
+   * Issue the tax invoice for a completed payment transaction - only confirmed payments get one (see invoiceService)
+   * A failure is logged and never fails the payment; issuing again for the transaction is safe
+   */
+  async issueInvoice(transaction) {
+    try {
+      return await invoiceService.issueInvoice(this, transaction);
+    } catch (error) {
+      console.error('Error issuing invoice:', error);
+      return null;
+    }
+  }
+
   /**
    * Generate unique transaction ID
    */
@@ -337,32 +364,39 @@ class Company {
   }
 
   /**
-   * Update usage based on payment type
+   * Update plan and credits based on payment type
    */
   async updateUsageFromPayment(transaction) {
+    const reference = { referenceId: transaction.transactionId };
+
     switch (transaction.paymentType) {
       case 'PAYG':
         // Pay as you go - instant matches
-        this.usageStats.instantMatches += Math.floor(transaction.amount / 5); // 5 OMR per match
+        await creditLedgerService.grantPurchase(this, {
+          ...reference,
+          instantMatches: Math.floor(transaction.amount / this.pricingDetails.payAsYouGo.pricing.instantMatch)
+        });
         break;
       case 'Add on':
         // Interview packages
-        const interviewPackage = this.pricingDetails.payAsYouGo.pricing.interviewPackages.find(p => p.price === transaction.amount);
-        if (interviewPackage) {
-          this.usageStats.interviews += interviewPackage.interviews;
-        }
+        await creditLedgerService.grantPurchase(this, {
+          ...reference,
+          interviewPackage: creditLedgerService.findInterviewPackage(this, { price: transaction.amount })
+        });
         break;
       case 'Starter Plan':
         // Starter bundle
         this.subscriptionPlan = 'starter';
         this.planLimits = this.getPlanLimits();
         this.nextBillingDate = new Date(Date.now() + (6 * 30 * 24 * 60 * 60 * 1000)).toISOString(); // 6 months
+        await creditLedgerService.grantPurchase(this, { ...reference, plan: 'starter', expiresAt: this.nextBillingDate });
         break;
       case 'Pro Bundle':
         // Pro bundle
         this.subscriptionPlan = 'pro';
         this.planLimits = this.getPlanLimits();
         this.nextBillingDate = new Date(Date.now() + (12 * 30 * 24 * 60 * 60 * 1000)).toISOString(); // 12 months
+        await creditLedgerService.grantPurchase(this, { ...reference, plan: 'pro', expiresAt: this.nextBillingDate });
         break;
       case 'Custom Plan':
         // Custom plan
@@ -586,9 +620,10 @@ class Company {
 
   /**
    * Get plan limits based on current subscription
+   * @param {string} [plan] - Another plan to get the limits of
    */
-  getPlanLimits() {
-    switch (this.subscriptionPlan) {
+  getPlanLimits(plan = this.subscriptionPlan) {
+    switch (plan) {
       case 'trial':
         return {
           instantMatches: 'unlimited',
@@ -683,18 +718,19 @@ class Company {
 
   /**
    * Check if company can perform action based on plan limits
+   * @param {string} action
+   * @param {Object} [credits] - Balances from getCreditBalances(), needed for 'instant_match' and 'interview'
    */
-  canPerformAction(action) {
+  canPerformAction(action, credits = null) {
     const limits = this.getPlanLimits();
     
     switch (action) {
       case 'instant_match':
-        if (limits.instantMatches === 'unlimited') return true;
-        return this.usageStats.instantMatches < limits.instantMatches;
-      
       case 'interview':
-        if (limits.interviews === 'unlimited') return true;
-        return this.usageStats.interviews < limits.interviews;
+        if (!credits) {
+          throw new Error(`Credit balances are required to check ${action}`);
+        }
+        return credits[action].unlimited || credits[action].available > 0;
       
       case 'add_location':
         if (limits.locations === 'unlimited') return true;
@@ -761,6 +797,9 @@ class Company {
       // Calculate trial days remaining after creation
       await createdCompany.updateTrialStatus();
 
+      // Queue trial warnings and expiry
+      await ScheduledJobs.scheduleTrialJobs(createdCompany);
+
       return createdCompany;
     } catch (error) {
       console.error('Error creating company profile:', error);
@@ -899,14 +938,25 @@ class Company {
         billingCycle,
         nextBillingDate: nextBilling.toISOString(),
         paymentHistory: [...this.paymentHistory, transaction],
-        planLimits: this.getPlanLimits(),
+        planLimits: this.getPlanLimits(planType),
         trialExpired: true,
         isSuspended: false,
         suspensionReason: null,
         updatedAt: new Date().toISOString()
       };
 
-      return await this.update(updateData);
+      await creditLedgerService.grantPurchase(this, {
+        referenceId: transaction.id,
+        plan: planType,
+        expiresAt: updateData.nextBillingDate
+      });
+
+      await this.update(updateData);
+
+      // Queue expiring warnings and expiry for the new billing period
+      await ScheduledJobs.scheduleSubscriptionJobs(this);
+
+      return this;
     } catch (error) {
       console.error('Error processing subscription purchase:', error);
       throw error;
@@ -943,24 +993,15 @@ class Company {
         createdAt: new Date().toISOString()
       };
 
-      // Add credits to usage stats
-      const updatedUsageStats = {
-        ...this.usageStats,
-        instantMatches: this.usageStats.instantMatches + matches
-      };
-
-      if (interviewPackage) {
-        const interviewCounts = {
-          '10interviews': 10,
-          '20interviews': 20,
-          '50interviews': 50
-        };
-        updatedUsageStats.interviews += interviewCounts[interviewPackage] || 0;
-      }
+      // Add the credits to the ledger
+      await creditLedgerService.grantPurchase(this, {
+        referenceId: transaction.id,
+        instantMatches: matches,
+        interviewPackage: interviewPackage ? creditLedgerService.findInterviewPackage(this, { key: interviewPackage }) : null
+      });
 
       const updateData = {
         paymentHistory: [...this.paymentHistory, transaction],
-        usageStats: updatedUsageStats,
         creditBalance: this.creditBalance + totalAmount,
         updatedAt: new Date().toISOString()
       };
@@ -977,21 +1018,6 @@ class Company {
    */
   async createThawaniCheckoutSession(paymentData) {
     try {
-      const thawaniConfig = {
-        apiKey: process.env.THAWANI_SECRET_KEY,
-        baseUrl: process.env.THAWANI_BASE_URL || 'https://uatcheckout.thawani.om/api/v1'
-      };
-
-      console.log('Thawani Config Check:', {
-        hasApiKey: !!thawaniConfig.apiKey,
-        apiKeyLength: thawaniConfig.apiKey?.length,
-        baseUrl: thawaniConfig.baseUrl
-      });
-
-      if (!thawaniConfig.apiKey) {
-        throw new Error('Thawani API key not configured. Please set THAWANI_SECRET in environment variables.');
-      }
-
       const sessionData = {
         client_reference_id: `${this.id}_${Date.now()}`,
         mode: 'payment',
@@ -1017,86 +1043,35 @@ class Company {
         }
       };
 
-      console.log('Thawani API Request:', {
-        url: `${thawaniConfig.baseUrl}/checkout/session`,
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'thawani-secret-key': thawaniConfig.apiKey
-        },
-        body: sessionData
-      });
+      const { session, checkoutUrl } = await thawaniService.createCheckoutSession(this, sessionData, paymentData);
 
-      const response = await fetch(`${thawaniConfig.baseUrl}/checkout/session`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'thawani-api-key': thawaniConfig.apiKey
-        },
-        body: JSON.stringify(sessionData)
-      });
+      // Save pending payment to database
+      const pendingPayment = {
+        sessionId: session.session_id,
+        clientReferenceId: session.client_reference_id,
+        planType: paymentData.planType,
+        planName: paymentData.planName,
+        amount: paymentData.amount,
+        currency: 'OMR',
+        status: 'pending',
+        thawaniSessionData: session,
+        createdAt: new Date().toISOString()
+      };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Thawani API Error Response:', {
-          status: response.status,
-          statusText: response.statusText,
-          body: errorText
-        });
-        
-        // Handle specific error cases
-        if (response.status === 403) {
-          if (errorText.includes('Cloudflare')) {
-            throw new Error('Thawani API access blocked. Please verify API key and IP whitelist with Thawani support.');
-          } else {
-            throw new Error('Thawani API authentication failed. Please verify API key and account status.');
-          }
-        }
-        
-        throw new Error(`Thawani API error: ${response.status} ${response.statusText}`);
+      // Add to pending payments array
+      if (!this.pendingPayments) {
+        this.pendingPayments = [];
       }
+      this.pendingPayments.push(pendingPayment);
 
-      const result = await response.json();
-      
-      console.log('Thawani API Response:', result);
-
-      if (result.success && result.data) {
-        // Save pending payment to database
-        const pendingPayment = {
-          sessionId: result.data.session_id,
-          clientReferenceId: result.data.client_reference_id,
-          planType: paymentData.planType,
-          planName: paymentData.planName,
-          amount: paymentData.amount,
-          currency: 'OMR',
-          status: 'pending',
-          thawaniSessionData: result.data,
-          createdAt: new Date().toISOString()
-        };
-
-        // Add to pending payments array
-        if (!this.pendingPayments) {
-          this.pendingPayments = [];
-        }
-        this.pendingPayments.push(pendingPayment);
-
-        await this.update({ pendingPayments: this.pendingPayments });
+      await this.update({ pendingPayments: this.pendingPayments });
 
-        const publishableKey = process.env.THAWANI_PUBLISHABLE || process.env.THAWANI_PUBLISHABLE_KEY;
-        const checkoutUrl = publishableKey
-          ? `${thawaniConfig.baseUrl.replace('/api/v1', '')}/pay/${result.data.session_id}?key=${publishableKey}`
-          : `${thawaniConfig.baseUrl.replace('/api/v1', '')}/pay/${result.data.session_id}`;
-
-        return {
-          success: true,
-          sessionId: result.data.session_id,
-          checkoutUrl: checkoutUrl,
-          pendingPayment
-        };
-      } else {
-        throw new Error(result.description || 'Failed to create checkout session');
-      }
+      return {
+        success: true,
+        sessionId: session.session_id,
+        checkoutUrl: checkoutUrl,
+        pendingPayment
+      };
     } catch (error) {
       console.error('Error creating Thawani checkout session:', error);
       throw error;
@@ -1104,12 +1079,29 @@ class Company {
   }
 
   /**
-   * Process successful payment from Thawani webhook
+   * Process a Thawani payment confirmed with the gateway - call through thawaniService.confirmPayment
+   * @param {string} sessionId - Thawani session ID
+   * @param {Object} paymentData - Gateway session, kept on the transaction
+   * @param {Object} [checkout] - { planType, planName, amount } recorded with the session, granted from when the
+   *   pending payment is gone
    */
-  async processSuccessfulPayment(sessionId, paymentData) {
+  async processSuccessfulPayment(sessionId, paymentData, checkout = null) {
     try {
-      // Find the pending payment
-      const pendingPayment = this.pendingPayments?.find(p => p.sessionId === sessionId);
+      // A session is only ever paid for once
+      const existingTransaction = (this.paymentHistory || []).find(txn => txn.thawaniSessionId === sessionId);
+      if (existingTransaction) {
+        // Issue the invoice if it failed the first time
+        await this.issueInvoice(existingTransaction);
+        return {
+          success: true,
+          transaction: existingTransaction,
+          updatedPlan: this.subscriptionPlan,
+          alreadyProcessed: true
+        };
+      }
+
+      // Find the pending payment, else what the session was recorded as paying for
+      const pendingPayment = this.pendingPayments?.find(p => p.sessionId === sessionId) || checkout;
       if (!pendingPayment) {
         throw new Error('Pending payment not found');
       }
@@ -1133,13 +1125,24 @@ class Company {
         updatedAt: new Date().toISOString()
       };
 
+      // Credits are granted once per session, so a retry after a failed update doesn't add them twice
+      const reference = { referenceId: sessionId };
+
       switch (pendingPayment.planType) {
         case 'pay_as_you_go':
           // Add credits for pay as you go
-          updateData.usageStats = {
-            ...this.usageStats,
-            instantMatches: this.usageStats.instantMatches + Math.floor(pendingPayment.amount / 5)
-          };
+          await creditLedgerService.grantPurchase(this, {
+            ...reference,
+            instantMatches: Math.floor(pendingPayment.amount / this.pricingDetails.payAsYouGo.pricing.instantMatch)
+          });
+          break;
+
+        case 'interview_package':
+          // Add the interviews of the package paid for
+          await creditLedgerService.grantPurchase(this, {
+            ...reference,
+            interviewPackage: creditLedgerService.findInterviewPackage(this, { price: pendingPayment.amount })
+          });
           break;
 
         case 'subscription_starter':
@@ -1147,7 +1150,8 @@ class Company {
           updateData.subscriptionPlan = 'starter';
           updateData.subscriptionStatus = 'active';
           updateData.nextBillingDate = new Date(Date.now() + (6 * 30 * 24 * 60 * 60 * 1000)).toISOString(); // 6 months
-          updateData.planLimits = this.getPlanLimits();
+          updateData.planLimits = this.getPlanLimits('starter');
+          await creditLedgerService.grantPurchase(this, { ...reference, plan: 'starter', expiresAt: updateData.nextBillingDate });
           break;
 
         case 'subscription_pro':
@@ -1155,16 +1159,23 @@ class Company {
           updateData.subscriptionPlan = 'pro';
           updateData.subscriptionStatus = 'active';
           updateData.nextBillingDate = new Date(Date.now() + (12 * 30 * 24 * 60 * 60 * 1000)).toISOString(); // 12 months
-          updateData.planLimits = this.getPlanLimits();
+          updateData.planLimits = this.getPlanLimits('pro');
+          await creditLedgerService.grantPurchase(this, { ...reference, plan: 'pro', expiresAt: updateData.nextBillingDate });
           break;
       }
 
       // Remove from pending payments
-      const updatedPendingPayments = this.pendingPayments.filter(p => p.sessionId !== sessionId);
+      const updatedPendingPayments = (this.pendingPayments || []).filter(p => p.sessionId !== sessionId);
       updateData.pendingPayments = updatedPendingPayments;
 
       await this.update(updateData);
 
+      await this.issueInvoice(transaction);
+
+      if (updateData.nextBillingDate) {
+        await ScheduledJobs.scheduleSubscriptionJobs(this);
+      }
+
       // Send payment successful notification
       try {
         const paymentData = {
@@ -1196,8 +1207,9 @@ class Company {
 
   /**
    * Check if plan has expired and needs upgrade
+   * @param {Object} [credits] - Balances from getCreditBalances(), needed for pay-as-you-go plans
    */
-  checkPlanExpiration() {
+  checkPlanExpiration(credits = null) {
     const now = new Date();
     
     if (this.subscriptionPlan === 'trial') {
@@ -1211,7 +1223,8 @@ class Company {
 
     if (this.subscriptionPlan === 'pay_as_you_go') {
       // Check if they have credits remaining
-      const hasCredits = this.usageStats.instantMatches > 0 || this.usageStats.interviews > 0;
+      const hasCredits = Boolean(credits) &&
+        Object.values(credits).some(balance => balance.unlimited || balance.available > 0);
       return {
         expired: !hasCredits,
         daysRemaining: 0,
@@ -1237,6 +1250,13 @@ class Company {
     };
   }
 
+  /**
+   * Instant match and interview credits left, from the credit ledger
+   */
+  async getCreditBalances() {
+    return await creditLedgerService.getBalances(this);
+  }
+
   /**
    * ADMIN METHODS: CR Verification
    */
@@ -1451,29 +1471,6 @@ class Company {
     };
   }
 
-  /**
-   * Add team member
-   */
-  async addTeamMember(email) {
-    try {
-      const teamMember = {
-        email,
-        invitedAt: new Date().toISOString(),
-        status: 'pending'
-      };
-
-      const updatedTeamMembers = [...this.teamMembers, teamMember];
-      
-      return await this.update({
-        teamMembers: updatedTeamMembers,
-        updatedAt: new Date().toISOString()
-      });
-    } catch (error) {
-      console.error('Error adding team member:', error);
-      throw error;
-    }
-  }
-
   /**
    * Add brand/entity
    */
@@ -1535,6 +1532,28 @@ class Company {
     }
   }
 
+  /**
+   * Normalize a location's coordinates and add its geohash
+   * Locations without valid coordinates are returned without a geohash
+   */
+  static withGeohash(location) {
+    if (!location) {
+      return location;
+    }
+
+    const rest = { ...location };
+    delete rest.geohash;
+    const coordinates = normalizeCoordinates(location.coordinates);
+    if (!coordinates) {
+      return rest;
+    }
+    return {
+      ...rest,
+      coordinates,
+      geohash: encodeGeohash(coordinates.latitude, coordinates.longitude)
+    };
+  }
+
   /**
    * Create company profile from onboarding data
    */
@@ -1558,6 +1577,9 @@ class Company {
       // Calculate trial days remaining after creation
       await createdCompany.updateTrialStatus();
 
+      // Queue trial warnings and expiry
+      await ScheduledJobs.scheduleTrialJobs(createdCompany);
+
       return createdCompany;
     } catch (error) {
       console.error('Error creating company profile from onboarding:', error);
@@ -1567,8 +1589,28 @@ class Company {
 
   /**
    * Find company by user ID
+   * Team members resolve to the company they work for - what they may do there is
+   * enforced by middleware/companyAccess
    */
   static async findByUserId(userId) {
+    try {
+      const company = await Company.findByOwnerId(userId);
+      if (company) {
+        return company;
+      }
+
+      const member = await CompanyMember.findActiveByUserId(userId);
+      return member ? await Company.findById(member.companyId) : null;
+    } catch (error) {
+      console.error('Error finding company by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the company a user registered (owns)
+   */
+  static async findByOwnerId(userId) {
     try {
       const companies = await databaseService.query(COLLECTIONS.COMPANIES, [
         { field: 'userId', operator: '==', value: userId }
@@ -1576,7 +1618,7 @@ class Company {
 
       return companies.length > 0 ? new Company(companies[0]) : null;
     } catch (error) {
-      console.error('Error finding company by user ID:', error);
+      console.error('Error finding company by owner ID:', error);
       throw error;
     }
   }
@@ -1638,12 +1680,26 @@ class Company {
       if (updateData.brands && Array.isArray(updateData.brands)) {
         processedUpdateData.numberOfBands = updateData.brands.length;
       }
+      let movedLocations = [];
       if (updateData.locations && Array.isArray(updateData.locations)) {
+        processedUpdateData.locations = updateData.locations.map(location => Company.withGeohash(location));
         processedUpdateData.numberOfBranches = updateData.locations.length;
+
+        const previousGeohashes = new Map((this.locations || []).map(location => [location.id, location.geohash || null]));
+        movedLocations = processedUpdateData.locations.filter(location =>
+          previousGeohashes.has(location.id) && previousGeohashes.get(location.id) !== (location.geohash || null)
+        );
       }
 
       const updatedCompany = await databaseService.update(COLLECTIONS.COMPANIES, this.id, processedUpdateData);
       Object.assign(this, updatedCompany);
+
+      // Jobs carry a copy of their location's coordinates for geo search
+      if (movedLocations.length > 0) {
+        const Job = require('./Job');
+        await Job.syncLocationCoordinates(this.id, movedLocations);
+      }
+
       return this;
     } catch (error) {
       console.error('Error updating company:', error);
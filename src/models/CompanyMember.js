@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { USER_TYPES, COMPANY_ROLES, COMPANY_ROLE_PERMISSIONS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+// Invitations that are not accepted in time have to be re-sent
+const INVITE_EXPIRY_DAYS = parseInt(process.env.COMPANY_INVITE_EXPIRY_DAYS) || 7;
+
+const MEMBER_STATUS = {
+  INVITED: 'invited',
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+};
+
+const INVITABLE_ROLES = Object.values(COMPANY_ROLES).filter(role => role !== COMPANY_ROLES.OWNER);
+
+/**
+ * Only the hash of an invitation token is stored
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Company Member Model
+ * A person working in a company account besides its owner
+ *
+ * Members are invited by email, then accept with their own phone-verified company user, which links
+ * that user to the company. Their role decides what they may do (see COMPANY_ROLE_PERMISSIONS) and
+ * brandIds/locationIds, when set, limit them to those brands' locations and those locations.
+ * The owner is not a member - it is the user the company was registered with (company.userId).
+ */
+class CompanyMember {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.companyId = data.companyId || null;
+    this.userId = data.userId || null; // Set when the invitation is accepted
+    this.email = data.email ? String(data.email).trim().toLowerCase() : null;
+    this.name = data.name || null;
+    this.role = data.role || COMPANY_ROLES.HIRING_MANAGER; // See COMPANY_ROLES
+    this.brandIds = data.brandIds || []; // Entries of company.brands; empty = every brand
+    this.locationIds = data.locationIds || []; // Entries of company.locations; empty = every location
+    this.status = data.status || MEMBER_STATUS.INVITED;
+
+    this.inviteTokenHash = data.inviteTokenHash || null;
+    this.inviteExpiresAt = data.inviteExpiresAt || null;
+    this.invitedBy = data.invitedBy || null; // User ID
+    this.invitedAt = data.invitedAt || new Date().toISOString();
+    this.acceptedAt = data.acceptedAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.revokedBy = data.revokedBy || null;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Check a role and brand/location scope against the company
+   * @throws {AppError} 400 when the role is unknown, an ID is not the company's, or a location manager has no scope
+   */
+  static validateAccess(company, { role, brandIds = [], locationIds = [] }) {
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new AppError(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 400);
+    }
+
+    const knownBrands = new Set((company.brands || []).map(brand => brand.id));
+    const unknownBrands = brandIds.filter(id => !knownBrands.has(id));
+    if (unknownBrands.length > 0) {
+      throw new AppError(`Unknown brand: ${unknownBrands.join(', ')}`, 400);
+    }
+
+    const knownLocations = new Set((company.locations || []).map(location => location.id));
+    const unknownLocations = locationIds.filter(id => !knownLocations.has(id));
+    if (unknownLocations.length > 0) {
+      throw new AppError(`Unknown location: ${unknownLocations.join(', ')}`, 400);
+    }
+
+    if (role === COMPANY_ROLES.LOCATION_MANAGER && brandIds.length === 0 && locationIds.length === 0) {
+      throw new AppError('A location manager must be assigned at least one brand or location', 400);
+    }
+  }
+
+  /**
+   * Invite someone to the company
+   * @param {Company} company - Company they are invited to
+   * @param {Object} inviteData - { email, name, role, brandIds, locationIds }
+   * @param {string} invitedBy - User ID of the inviter
+   * @returns {Promise<{member: CompanyMember, token: string}>} token is only available here
+   */
+  static async invite(company, inviteData, invitedBy) {
+    try {
+      const member = new CompanyMember({
+        companyId: company.id,
+        email: inviteData.email,
+        name: inviteData.name,
+        role: inviteData.role,
+        brandIds: [...new Set(inviteData.brandIds || [])],
+        locationIds: [...new Set(inviteData.locationIds || [])],
+        invitedBy
+      });
+      if (!member.email) {
+        throw new AppError('Email is required', 400);
+      }
+      CompanyMember.validateAccess(company, member);
+
+      // Removed members and lapsed invitations can be invited again - on their existing record
+      const existing = (await CompanyMember.findByCompanyId(company.id, true))
+        .find(other => other.email === member.email);
+      const reusable = existing && (existing.status === MEMBER_STATUS.REVOKED ||
+        (existing.status === MEMBER_STATUS.INVITED && existing.isInviteExpired()));
+      if (existing && !reusable) {
+        throw new AppError('Team member with this email already exists', 409);
+      }
+      // A lapsed invitation already counts towards the plan's team size
+      const counted = existing && existing.status === MEMBER_STATUS.INVITED;
+      if (!counted && !company.canPerformAction('add_team_member')) {
+        throw new AppError('Team member limit reached for current plan', 403);
+      }
+
+      const token = member.issueInviteToken();
+      if (existing) {
+        member.id = existing.id;
+        member.createdAt = existing.createdAt;
+        await databaseService.update(COLLECTIONS.COMPANY_MEMBERS, member.id, member.toJSON());
+      } else {
+        const result = await databaseService.create(COLLECTIONS.COMPANY_MEMBERS, member.toJSON());
+        member.id = result.id;
+      }
+
+      await CompanyMember.syncCompanyTeam(company.id);
+
+      console.log(`✅ Team invitation created: ${member.email} as ${member.role} for company ${company.id}`);
+      return { member, token };
+    } catch (error) {
+      console.error('Error inviting team member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find member by ID
+   */
+  static async findById(memberId) {
+    try {
+      const data = await databaseService.getById(COLLECTIONS.COMPANY_MEMBERS, memberId);
+      return data ? new CompanyMember(data) : null;
+    } catch (error) {
+      console.error('Error finding company member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invited and active members of a company, by email
+   * @param {boolean} includeRevoked - Also return removed members
+   */
+  static async findByCompanyId(companyId, includeRevoked = false) {
+    try {
+      const members = await databaseService.query(COLLECTIONS.COMPANY_MEMBERS, [
+        { field: 'companyId', operator: '==', value: companyId }
+      ]);
+      return members
+        .map(member => new CompanyMember(member))
+        .filter(member => includeRevoked || member.status !== MEMBER_STATUS.REVOKED)
+        .sort((a, b) => a.email.localeCompare(b.email));
+    } catch (error) {
+      console.error('Error finding company members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The active membership of a user - a user works for at most one company
+   */
+  static async findActiveByUserId(userId) {
+    try {
+      const members = await databaseService.query(COLLECTIONS.COMPANY_MEMBERS, [
+        { field: 'userId', operator: '==', value: userId },
+        { field: 'status', operator: '==', value: MEMBER_STATUS.ACTIVE }
+      ]);
+      return members.length > 0 ? new CompanyMember(members[0]) : null;
+    } catch (error) {
+      console.error('Error finding company member by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the invitation a token was issued for
+   */
+  static async findByInviteToken(token) {
+    try {
+      const members = await databaseService.query(COLLECTIONS.COMPANY_MEMBERS, [
+        { field: 'inviteTokenHash', operator: '==', value: hashToken(token) }
+      ]);
+      return members.length > 0 ? new CompanyMember(members[0]) : null;
+    } catch (error) {
+      console.error('Error finding team invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mirror invited and active members onto company.teamMembers, which plan limits count
+   */
+  static async syncCompanyTeam(companyId) {
+    const members = await CompanyMember.findByCompanyId(companyId);
+    await databaseService.update(COLLECTIONS.COMPANIES, companyId, {
+      teamMembers: members.map(member => ({
+        memberId: member.id,
+        email: member.email,
+        role: member.role,
+        status: member.status,
+        invitedAt: member.invitedAt
+      })),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Update member data
+   */
+  async update(updateData) {
+    try {
+      const updated = await databaseService.update(COLLECTIONS.COMPANY_MEMBERS, this.id, {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      });
+      Object.assign(this, updated);
+      return this;
+    } catch (error) {
+      console.error('Error updating company member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new invitation period; the previous token stops working
+   * Not saved - call update() or create with toJSON()
+   * @returns {string} The token to send to the invitee
+   */
+  issueInviteToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.inviteTokenHash = hashToken(token);
+    this.inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    this.invitedAt = new Date().toISOString();
+    return token;
+  }
+
+  /**
+   * Re-send a pending invitation with a fresh token
+   * @returns {Promise<string>} The new token
+   */
+  async renewInvitation() {
+    if (this.status !== MEMBER_STATUS.INVITED) {
+      throw new AppError('Only pending invitations can be re-sent', 409);
+    }
+    const token = this.issueInviteToken();
+    await this.update({
+      inviteTokenHash: this.inviteTokenHash,
+      inviteExpiresAt: this.inviteExpiresAt,
+      invitedAt: this.invitedAt
+    });
+    return token;
+  }
+
+  isInviteExpired() {
+    return !this.inviteExpiresAt || new Date(this.inviteExpiresAt) <= new Date();
+  }
+
+  /**
+   * Accept the invitation with the signed-in user, linking them to the company
+   * @param {User} user - Phone-verified company user accepting
+   * @throws {AppError} 410 for used or expired invitations, 403/409 when the user cannot join
+   */
+  async accept(user) {
+    if (this.status !== MEMBER_STATUS.INVITED) {
+      throw new AppError('This invitation is no longer valid', 410);
+    }
+    if (this.isInviteExpired()) {
+      throw new AppError('This invitation has expired - ask for a new one', 410);
+    }
+    if (!user || !user.isPhoneVerified) {
+      throw new AppError('Verify your phone number before joining a company', 403);
+    }
+    if (user.userType !== USER_TYPES.COMPANY) {
+      throw new AppError('Only company accounts can join a company team', 403);
+    }
+
+    // Required lazily - Company resolves team members through this model
+    const Company = require('./Company');
+    if (await Company.findByOwnerId(user.id)) {
+      throw new AppError('This account already has its own company profile', 409);
+    }
+    if (await CompanyMember.findActiveByUserId(user.id)) {
+      throw new AppError('This account already belongs to a company team', 409);
+    }
+
+    await this.update({
+      userId: user.id,
+      status: MEMBER_STATUS.ACTIVE,
+      inviteTokenHash: null,
+      inviteExpiresAt: null,
+      acceptedAt: new Date().toISOString()
+    });
+    await CompanyMember.syncCompanyTeam(this.companyId);
+
+    console.log(`✅ ${this.email} joined company ${this.companyId} as ${this.role}`);
+    return this;
+  }
+
+  /**
+   * Change role and brand/location scope
+   * @param {Company} company - The member's company
+   * @param {Object} accessData - { role, brandIds, locationIds }; omitted fields are kept
+   */
+  async updateAccess(company, accessData) {
+    const access = {
+      role: accessData.role !== undefined ? accessData.role : this.role,
+      brandIds: accessData.brandIds !== undefined ? [...new Set(accessData.brandIds)] : this.brandIds,
+      locationIds: accessData.locationIds !== undefined ? [...new Set(accessData.locationIds)] : this.locationIds
+    };
+    CompanyMember.validateAccess(company, access);
+
+    await this.update(access);
+    await CompanyMember.syncCompanyTeam(this.companyId);
+    return this;
+  }
+
+  /**
+   * Remove the member, or withdraw a pending invitation
+   * @param {string} revokedBy - User ID
+   */
+  async revoke(revokedBy) {
+    if (this.status === MEMBER_STATUS.REVOKED) {
+      throw new AppError('Team member has already been removed', 409);
+    }
+    await this.update({
+      status: MEMBER_STATUS.REVOKED,
+      inviteTokenHash: null,
+      inviteExpiresAt: null,
+      revokedAt: new Date().toISOString(),
+      revokedBy
+    });
+    await CompanyMember.syncCompanyTeam(this.companyId);
+    return this;
+  }
+
+  getPermissions() {
+    return COMPANY_ROLE_PERMISSIONS[this.role] || [];
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      companyId: this.companyId,
+      userId: this.userId,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      brandIds: this.brandIds,
+      locationIds: this.locationIds,
+      status: this.status,
+      inviteTokenHash: this.inviteTokenHash,
+      inviteExpiresAt: this.inviteExpiresAt,
+      invitedBy: this.invitedBy,
+      invitedAt: this.invitedAt,
+      acceptedAt: this.acceptedAt,
+      revokedAt: this.revokedAt,
+      revokedBy: this.revokedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses - without the invitation token hash
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      companyId: this.companyId,
+      userId: this.userId,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      permissions: this.getPermissions(),
+      brandIds: this.brandIds,
+      locationIds: this.locationIds,
+      status: this.status,
+      inviteExpired: this.status === MEMBER_STATUS.INVITED ? this.isInviteExpired() : undefined,
+      inviteExpiresAt: this.inviteExpiresAt,
+      invitedBy: this.invitedBy,
+      invitedAt: this.invitedAt,
+      acceptedAt: this.acceptedAt,
+      revokedAt: this.revokedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+CompanyMember.STATUS = MEMBER_STATUS;
+CompanyMember.INVITABLE_ROLES = INVITABLE_ROLES;
+
+module.exports = CompanyMember;
@@ -1,5 +1,63 @@
 const { databaseService, COLLECTIONS } = require('../config/database');
+const firebaseConfig = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
 const notificationController = require('../controllers/notificationController');
+const ScheduledJobs = require('../services/scheduledJobs');
+const creditLedgerService = require('../services/creditLedgerService');
+const { normalizeCoordinates, haversineKm } = require('../utils/geo');
+const {
+  WEEKDAYS,
+  parseTime,
+  formatTime,
+  toMuscatDate,
+  toMuscatMinutes,
+  toMuscatDateTime,
+  getWeekday,
+  addDays
+} = require('../utils/muscatTime');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Clock-in must happen within this distance of the shift location; a shift can set its own
+const GEOFENCE_RADIUS_METERS = parseInt(process.env.ATTENDANCE_GEOFENCE_RADIUS_METERS) || 150;
+// GPS error the device reports is given back up to this much, so a weak fix at the door still counts
+const MAX_ACCURACY_ALLOWANCE_METERS = parseInt(process.env.ATTENDANCE_MAX_ACCURACY_ALLOWANCE_METERS) || 100;
+const EARLY_CLOCK_IN_MINUTES = parseInt(process.env.ATTENDANCE_EARLY_CLOCK_IN_MINUTES) || 60;
+const LATE_GRACE_MINUTES = parseInt(process.env.ATTENDANCE_LATE_GRACE_MINUTES) || 5;
+// A clock record still open this long after the shift ended is closed at the shift end
+const MISSED_CLOCK_OUT_GRACE_MINUTES = parseInt(process.env.ATTENDANCE_MISSED_CLOCK_OUT_GRACE_MINUTES) || 60;
+
+/**
+ * Device position from a clock request
+ * @returns {Object|null} { latitude, longitude, accuracyMeters }
+ */
+const normalizePosition = (position) => {
+  const coordinates = normalizeCoordinates(position);
+  if (!coordinates) {
+    return null;
+  }
+
+  const accuracy = parseFloat(position.accuracy);
+  return { ...coordinates, accuracyMeters: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null };
+};
+
+/**
+ * Hours between two times, minus breaks, to two decimals
+ */
+const calculateWorkedHours = (checkInAt, checkOutAt, breaks = []) => {
+  const breakMs = breaks.reduce((total, item) => {
+    return total + Math.max(0, new Date(item.endAt || checkOutAt) - new Date(item.startAt));
+  }, 0);
+  const workedMs = Math.max(0, new Date(checkOutAt) - new Date(checkInAt) - breakMs);
+  return Math.round((workedMs / HOUR_MS) * 100) / 100;
+};
+
+const generateAttendanceId = () => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `ATT-${timestamp}${random}`.toUpperCase();
+};
 
 /**
  * InstantHire Model - Track instant hire transactions and history
@@ -44,6 +102,7 @@ class InstantHire {
     this.workLocation = data.workLocation || null;
     this.locationAddress = data.locationAddress || null;
     this.locationCoordinates = data.locationCoordinates || null;
+    this.geofenceRadiusMeters = data.geofenceRadiusMeters || null; // Clock-in radius; null uses the platform default
     this.requirements = data.requirements || []; // Array of job requirements
     this.dressCode = data.dressCode || null;
     
@@ -70,8 +129,8 @@ class InstantHire {
     // Work execution tracking
     this.workStartedAt = data.workStartedAt || null;
     this.workCompletedAt = data.workCompletedAt || null;
-    this.actualHoursWorked = data.actualHoursWorked || 0;
-    this.attendanceRecords = data.attendanceRecords || []; // Daily attendance tracking
+    this.actualHoursWorked = data.actualHoursWorked || 0; // Approved timesheet hours
+    this.attendanceRecords = data.attendanceRecords || []; // Timesheet entries - see clockIn and recordAttendance
     
     // Completion and feedback
     this.completionStatus = data.completionStatus || 'pending'; // 'pending', 'completed', 'incomplete', 'cancelled'
@@ -81,9 +140,9 @@ class InstantHire {
     this.seekerRating = data.seekerRating || null; // 1-5
     
     // Payment completion
-    this.finalPaymentAmount = data.finalPaymentAmount || null; // Actual amount paid to seeker
+    this.finalPaymentAmount = data.finalPaymentAmount || null; // Net earnings from the ledger
     this.finalPaymentDate = data.finalPaymentDate || null;
-    this.finalPaymentStatus = data.finalPaymentStatus || 'pending'; // 'pending', 'paid', 'failed'
+    this.finalPaymentStatus = data.finalPaymentStatus || 'pending'; // 'pending', 'scheduled' (in the earnings ledger), 'paid', 'failed'
     this.finalPaymentReference = data.finalPaymentReference || null;
     
     // System fields
@@ -187,6 +246,27 @@ class InstantHire {
     }
   }
 
+  /**
+   * Find confirmed shifts - accepted by the seeker and not cancelled or refunded
+   * @param {string} field - 'companyId' or 'seekerId'
+   * @param {string} value - Company or seeker ID
+   */
+  static async findConfirmedShifts(field, value) {
+    try {
+      const instantHires = await databaseService.query(COLLECTIONS.INSTANT_HIRES, [
+        { field, operator: '==', value },
+        { field: 'matchStatus', operator: '==', value: 'accepted' }
+      ]);
+
+      return instantHires
+        .filter(hire => !['cancelled', 'refunded'].includes(hire.status))
+        .map(hire => new InstantHire(hire));
+    } catch (error) {
+      console.error('Error finding confirmed instant hire shifts:', error);
+      throw new Error('Failed to find confirmed shifts');
+    }
+  }
+
   /**
    * Process payment for instant hire
    */
@@ -226,10 +306,44 @@ class InstantHire {
     }
   }
 
+  /**
+   * Company of the instant hire - older records store the owner's user ID as the company ID
+   */
+  async findCompany() {
+    const Company = require('./Company');
+    return await Company.findById(this.companyId) || await Company.findByOwnerId(this.companyId);
+  }
+
+  getCreditReference() {
+    return { referenceType: 'instant_hire', referenceId: this.id };
+  }
+
+  /**
+   * Give the instant match credit back, when the match didn't lead to a shift
+   */
+  async refundCredit(note) {
+    const company = await this.findCompany();
+    if (company) {
+      await creditLedgerService.refund(company.id, this.getCreditReference(), note);
+    }
+  }
+
   /**
    * Match with seeker
+   * Takes one instant match credit from the company - unless it replaces a match the seeker hasn't
+   * answered yet, which already paid for it; throws 403 when none are left
    */
-  async matchWithSeeker(seekerData) {
+  async matchWithSeeker(seekerData, matchedBy = null) {
+    const debit = this.matchStatus !== 'matched';
+    if (debit) {
+      const company = await this.findCompany();
+      if (!company) {
+        throw new AppError('Company not found', 404);
+      }
+      await creditLedgerService.debit(company, creditLedgerService.CREDIT_TYPES.INSTANT_MATCH, this.getCreditReference(), matchedBy);
+    }
+    let saved = false;
+
     try {
       this.seekerId = seekerData.seekerId;
       this.seekerName = seekerData.seekerName;
@@ -250,6 +364,7 @@ class InstantHire {
         matchedAt: this.matchedAt,
         updatedAt: this.updatedAt
       });
+      saved = true;
 
       // Send match notification to seeker
       await this.sendMatchNotification();
@@ -257,6 +372,9 @@ class InstantHire {
       return this;
     } catch (error) {
       console.error('Error matching with seeker:', error);
+      if (debit && !saved) {
+        await this.refundCredit('Match could not be saved');
+      }
       throw error;
     }
   }
@@ -284,6 +402,9 @@ class InstantHire {
 
       // Send acceptance confirmation
       await this.sendAcceptanceConfirmation();
+
+      // Queue shift start reminder
+      await ScheduledJobs.scheduleInstantHireReminders(this);
       
       return this;
     } catch (error) {
@@ -315,6 +436,8 @@ class InstantHire {
         updatedAt: this.updatedAt
       });
 
+      await this.refundCredit('Seeker declined the match');
+
       // Send decline notification and attempt rematch
       await this.sendDeclineNotification(reason);
       
@@ -354,29 +477,467 @@ class InstantHire {
     }
   }
 
+  // ─────────────────────────────────────────────
+  // Timesheet
+  //
+  // Each attendance record is one shift day:
+  //   { id, date, source: 'clock' | 'manual', checkInAt, checkOutAt, checkInTime, checkOutTime,
+  //     checkInLocation, checkOutLocation, breaks: [{ startAt, endAt }], lateMinutes, hoursWorked,
+  //     status: 'present' | 'late' | 'absent', flags, approvalStatus: 'pending' | 'approved' | 'disputed',
+  //     reviewedAt, reviewedBy, disputeReason, notes, recordedAt }
+  // Clock records take the server's time and the device's position; only approved records count
+  // towards actualHoursWorked. Records from before clocking existed have no approvalStatus and count.
+  // ─────────────────────────────────────────────
+
+  /**
+   * Start and end of the shift on a day; overnight shifts end the next morning
+   * @param {string} date - YYYY-MM-DD the shift starts on
+   * @returns {Object} { start, end } Dates
+   */
+  getShiftWindow(date) {
+    const startMinutes = parseTime(this.startTime);
+    let endMinutes = parseTime(this.endTime);
+    if (endMinutes === null) {
+      endMinutes = startMinutes + this.hoursPerDay * 60;
+    } else if (endMinutes <= startMinutes) {
+      endMinutes += 24 * 60;
+    }
+
+    const start = toMuscatDateTime(date, startMinutes);
+    return { start, end: new Date(start.getTime() + (endMinutes - startMinutes) * MINUTE_MS) };
+  }
+
+  /**
+   * Whether the shift runs on a day - inside its date range and on one of its working days
+   */
+  isShiftDay(date) {
+    const firstDay = String(this.startDate || '').slice(0, 10);
+    const lastDay = String(this.endDate || '').slice(0, 10) ||
+      (firstDay ? addDays(firstDay, Math.max(1, this.totalDays) - 1) : '');
+    if (!firstDay || date < firstDay || date > lastDay) {
+      return false;
+    }
+
+    return this.isWorkingDay(date);
+  }
+
+  /**
+   * Whether a day's weekday is one of the shift's working days; every day is when none are set
+   */
+  isWorkingDay(date) {
+    const workingDays = this.workingDays
+      .map(day => WEEKDAYS.find(weekday => weekday.startsWith(String(day).trim().toLowerCase().slice(0, 3))))
+      .filter(Boolean);
+    return workingDays.length === 0 || workingDays.includes(getWeekday(date));
+  }
+
+  /**
+   * The booked shift days, in order: the first totalDays working days from startDate, up to endDate
+   * Starts today when the hire has no start date
+   * @returns {Array<string>} YYYY-MM-DD
+   */
+  getShiftDates() {
+    const firstDay = String(this.startDate || '').slice(0, 10) || toMuscatDate();
+    const lastDay = String(this.endDate || '').slice(0, 10) || addDays(firstDay, 365);
+    const count = Math.max(1, this.totalDays);
+    const dates = [];
+
+    for (let date = firstDay; dates.length < count && date <= lastDay; date = addDays(date, 1)) {
+      if (this.isWorkingDay(date)) {
+        dates.push(date);
+      }
+    }
+
+    return dates.length > 0 ? dates : [firstDay];
+  }
+
+  /**
+   * The shift day open for clocking in at a time: from a little before its start until its end
+   * @returns {string|null} YYYY-MM-DD
+   */
+  findShiftDate(now = new Date()) {
+    const today = toMuscatDate(now);
+    const candidates = [addDays(today, -1), today, addDays(today, 1)];
+
+    return candidates.find(date => {
+      if (!this.isShiftDay(date)) {
+        return false;
+      }
+      const { start, end } = this.getShiftWindow(date);
+      return now >= new Date(start.getTime() - EARLY_CLOCK_IN_MINUTES * MINUTE_MS) && now < end;
+    }) || null;
+  }
+
+  /**
+   * Distance from the shift location, and whether that is inside the geofence
+   * @param {Object} position - { latitude, longitude, accuracyMeters }
+   * @returns {Object} { distanceMeters, radiusMeters, withinGeofence } - null distance and withinGeofence without shift coordinates
+   */
+  checkGeofence(position) {
+    const radiusMeters = this.geofenceRadiusMeters || GEOFENCE_RADIUS_METERS;
+    const center = normalizeCoordinates(this.locationCoordinates);
+    if (!center) {
+      return { distanceMeters: null, radiusMeters, withinGeofence: null };
+    }
+
+    const distanceMeters = Math.round(haversineKm(center, position) * 1000);
+    const allowance = Math.min(position.accuracyMeters || 0, MAX_ACCURACY_ALLOWANCE_METERS);
+    return { distanceMeters, radiusMeters, withinGeofence: distanceMeters - allowance <= radiusMeters };
+  }
+
   /**
-   * Record daily attendance
+   * The record the seeker is clocked in on, if any
    */
-  async recordAttendance(attendanceData) {
+  getOpenAttendance() {
+    return this.attendanceRecords.find(record => record.source === 'clock' && record.checkInAt && !record.checkOutAt) || null;
+  }
+
+  /**
+   * Close the open clock record in memory if the seeker forgot to clock out
+   * Once the shift ended more than MISSED_CLOCK_OUT_GRACE_MINUTES ago, the record is closed at the shift end
+   * and flagged missed_clock_out, so its hours never run past the shift window. It stays pending for the
+   * company to approve or dispute. Call inside updateAttendance to save it.
+   * @returns {Object|null} The closed record
+   */
+  applyMissedClockOut(now = new Date()) {
+    const record = this.getOpenAttendance();
+    if (!record) {
+      return null;
+    }
+
+    const shiftEnd = this.getShiftWindow(record.date).end;
+    if (now < new Date(shiftEnd.getTime() + MISSED_CLOCK_OUT_GRACE_MINUTES * MINUTE_MS)) {
+      return null;
+    }
+
+    const checkOutAt = new Date(Math.max(shiftEnd.getTime(), new Date(record.checkInAt).getTime()));
+    record.breaks = record.breaks.map(item => item.endAt ? item : {
+      ...item,
+      endAt: new Date(Math.max(checkOutAt.getTime(), new Date(item.startAt).getTime())).toISOString()
+    });
+    record.checkOutAt = checkOutAt.toISOString();
+    record.checkOutTime = formatTime(toMuscatMinutes(checkOutAt));
+    record.hoursWorked = calculateWorkedHours(record.checkInAt, record.checkOutAt, record.breaks);
+    record.flags = [...record.flags, 'missed_clock_out'];
+    return record;
+  }
+
+  /**
+   * Close and save the open clock record if the seeker forgot to clock out (see applyMissedClockOut)
+   * @returns {Object|null} The closed record
+   */
+  async closeMissedClockOut(now = new Date()) {
+    if (!this.getOpenAttendance()) {
+      return null;
+    }
+
+    let record = null;
+    await this.updateAttendance(current => {
+      record = current.applyMissedClockOut(now);
+    });
+
+    if (record) {
+      console.log(`⏱️ Missed clock-out closed at shift end: ${this.instantHireId} on ${record.date} - ${record.hoursWorked}h`);
+    }
+    return record;
+  }
+
+  /**
+   * Hours of the records that count - approved, or from before timesheet approval existed
+   */
+  getApprovedHours() {
+    const hours = this.attendanceRecords
+      .filter(record => (record.approvalStatus || 'approved') === 'approved')
+      .reduce((total, record) => total + (record.hoursWorked || 0), 0);
+    return Math.round(hours * 100) / 100;
+  }
+
+  /**
+   * Change the timesheet inside a transaction, so two taps of the same button can't both land
+   * @param {Function} mutate - Gets the stored instant hire, changes its attendanceRecords, returns extra fields to save
+   */
+  async updateAttendance(mutate) {
+    const db = firebaseConfig.getDb();
+    const instantHireRef = db.collection(COLLECTIONS.INSTANT_HIRES).doc(this.id);
+
+    const updates = await db.runTransaction(async (transaction) => {
+      const instantHireDoc = await transaction.get(instantHireRef);
+      if (!instantHireDoc.exists) {
+        throw new AppError('Instant hire not found', 404);
+      }
+
+      const current = new InstantHire({ ...instantHireDoc.data(), id: instantHireDoc.id });
+      const extra = mutate(current) || {};
+      const changes = {
+        ...extra,
+        attendanceRecords: current.attendanceRecords,
+        actualHoursWorked: current.getApprovedHours(),
+        updatedAt: new Date().toISOString()
+      };
+
+      transaction.update(instantHireRef, changes);
+      return changes;
+    });
+
+    Object.assign(this, updates);
+    return this;
+  }
+
+  /**
+   * Seeker clocks in at the shift location
+   * The first clock-in also starts the work
+   * @param {Object} position - Device { latitude, longitude, accuracy } (accuracy in meters)
+   * @returns {Object} The new attendance record
+   * @throws {AppError} outside a shift's clock-in window or the geofence, or when already clocked in
+   */
+  async clockIn(position, now = new Date()) {
     try {
+      const devicePosition = normalizePosition(position);
+      if (!devicePosition) {
+        throw new AppError('Your location is required to clock in', 400);
+      }
+
+      const date = this.findShiftDate(now);
+      if (!date) {
+        throw new AppError(`There is no shift to clock in to right now - clocking in opens ${EARLY_CLOCK_IN_MINUTES} minutes before the start`, 409);
+      }
+
+      const geofence = this.checkGeofence(devicePosition);
+      if (geofence.withinGeofence === false) {
+        throw new AppError(`You are ${geofence.distanceMeters}m from the shift location - move within ${geofence.radiusMeters}m to clock in`, 403);
+      }
+
+      const scheduledStart = this.getShiftWindow(date).start;
+      const lateMinutes = Math.max(0, Math.floor((now - scheduledStart) / MINUTE_MS));
+      const isLate = lateMinutes > LATE_GRACE_MINUTES;
+
+      const record = {
+        id: generateAttendanceId(),
+        date,
+        source: 'clock',
+        scheduledStartAt: scheduledStart.toISOString(),
+        checkInAt: now.toISOString(),
+        checkInTime: formatTime(toMuscatMinutes(now)),
+        checkInLocation: { ...devicePosition, distanceMeters: geofence.distanceMeters, withinGeofence: geofence.withinGeofence },
+        checkOutAt: null,
+        checkOutTime: null,
+        checkOutLocation: null,
+        breaks: [],
+        lateMinutes: isLate ? lateMinutes : 0,
+        hoursWorked: 0,
+        status: isLate ? 'late' : 'present',
+        flags: [isLate && 'late_arrival', geofence.withinGeofence === null && 'no_shift_location'].filter(Boolean),
+        approvalStatus: 'pending',
+        reviewedAt: null,
+        reviewedBy: null,
+        disputeReason: null,
+        notes: null,
+        recordedAt: now.toISOString()
+      };
+
+      await this.updateAttendance(current => {
+        if (!['started', 'in_progress'].includes(current.status)) {
+          throw new AppError('The shift must be accepted before clocking in', 409);
+        }
+        // Yesterday's shift left open doesn't block today's
+        current.applyMissedClockOut(now);
+        if (current.getOpenAttendance()) {
+          throw new AppError('You are already clocked in', 409);
+        }
+        if (current.attendanceRecords.some(item => item.date === date && item.source === 'clock')) {
+          throw new AppError('You have already clocked in for this shift', 409);
+        }
+
+        current.attendanceRecords.push(record);
+        return current.status === 'started'
+          ? { status: 'in_progress', workStartedAt: now.toISOString() }
+          : {};
+      });
+
+      console.log(`⏱️ Clocked in: ${this.instantHireId} on ${date}${isLate ? ` (${lateMinutes} min late)` : ''}`);
+      return record;
+    } catch (error) {
+      console.error('Error clocking in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seeker clocks out; worked hours are the time in minus breaks
+   * Clocking out away from the shift location is allowed but flagged for the company. Clocking out
+   * long after the shift ended counts as a missed clock-out and closes the record at the shift end
+   * @param {Object} position - Device { latitude, longitude, accuracy }
+   * @returns {Object} The completed attendance record
+   */
+  async clockOut(position, now = new Date()) {
+    try {
+      const devicePosition = normalizePosition(position);
+      if (!devicePosition) {
+        throw new AppError('Your location is required to clock out', 400);
+      }
+
+      const geofence = this.checkGeofence(devicePosition);
+      let record = null;
+
+      await this.updateAttendance(current => {
+        record = current.applyMissedClockOut(now);
+        if (record) {
+          return;
+        }
+
+        record = current.getOpenAttendance();
+        if (!record) {
+          throw new AppError('You are not clocked in', 409);
+        }
+
+        record.breaks = record.breaks.map(item => item.endAt ? item : { ...item, endAt: now.toISOString() });
+        record.checkOutAt = now.toISOString();
+        record.checkOutTime = formatTime(toMuscatMinutes(now));
+        record.checkOutLocation = { ...devicePosition, distanceMeters: geofence.distanceMeters, withinGeofence: geofence.withinGeofence };
+        record.hoursWorked = calculateWorkedHours(record.checkInAt, record.checkOutAt, record.breaks);
+        if (geofence.withinGeofence === false) {
+          record.flags = [...record.flags, 'clock_out_outside_geofence'];
+        }
+      });
+
+      console.log(`⏱️ Clocked out: ${this.instantHireId} on ${record.date} - ${record.hoursWorked}h${record.flags.includes('missed_clock_out') ? ' (missed clock-out, closed at shift end)' : ''}`);
+      return record;
+    } catch (error) {
+      console.error('Error clocking out:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seeker starts an unpaid break
+   */
+  async startBreak(now = new Date()) {
+    let record = null;
+
+    await this.updateAttendance(current => {
+      record = current.getOpenAttendance();
+      if (!record) {
+        throw new AppError('You are not clocked in', 409);
+      }
+      if (record.breaks.some(item => !item.endAt)) {
+        throw new AppError('You are already on a break', 409);
+      }
+      record.breaks.push({ startAt: now.toISOString(), endAt: null });
+    });
+
+    return record;
+  }
+
+  /**
+   * Seeker ends their break
+   */
+  async endBreak(now = new Date()) {
+    let record = null;
+
+    await this.updateAttendance(current => {
+      record = current.getOpenAttendance();
+      const openBreak = record && record.breaks.find(item => !item.endAt);
+      if (!openBreak) {
+        throw new AppError('You are not on a break', 409);
+      }
+      openBreak.endAt = now.toISOString();
+    });
+
+    return record;
+  }
+
+  /**
+   * Company approves or disputes a timesheet entry
+   * Disputed entries don't count towards the hours until they are approved
+   * @param {string} attendanceId - Attendance record ID
+   * @param {Object} review - { decision: 'approve' | 'dispute', reason }
+   * @param {string} userId - Reviewing user
+   * @returns {Object} The reviewed attendance record
+   */
+  async reviewAttendance(attendanceId, { decision, reason }, userId) {
+    try {
+      if (decision === 'dispute' && !reason) {
+        throw new AppError('A reason is required to dispute a timesheet entry', 400);
+      }
+
+      let record = null;
+
+      await this.updateAttendance(current => {
+        current.applyMissedClockOut();
+        record = current.attendanceRecords.find(item => item.id === attendanceId);
+        if (!record) {
+          throw new AppError('Timesheet entry not found', 404);
+        }
+        if (record.source === 'clock' && !record.checkOutAt) {
+          throw new AppError('The seeker is still clocked in for this entry', 409);
+        }
+        if (['completed', 'cancelled', 'refunded'].includes(current.status)) {
+          throw new AppError(`The timesheet of a ${current.status} instant hire can't be changed`, 409);
+        }
+
+        record.approvalStatus = decision === 'approve' ? 'approved' : 'disputed';
+        record.disputeReason = decision === 'dispute' ? reason : null;
+        record.reviewedAt = new Date().toISOString();
+        record.reviewedBy = userId;
+      });
+
+      console.log(`📋 Timesheet entry ${attendanceId} ${record.approvalStatus} for ${this.instantHireId}`);
+      return record;
+    } catch (error) {
+      console.error('Error reviewing attendance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Company records a day by hand (e.g. the seeker's phone was dead, or they were absent)
+   * Hours come from the check-in and check-out times; entered by the company, so already approved
+   * @param {Object} attendanceData - { date, checkInTime, checkOutTime, breakMinutes, status, notes }
+   * @param {string} userId - Company user recording it
+   */
+  async recordAttendance(attendanceData, userId = null) {
+    try {
+      const date = String(attendanceData.date || toMuscatDate()).slice(0, 10);
+      const isAbsent = attendanceData.status === 'absent';
+
+      const checkInAt = !isAbsent ? toMuscatDateTime(date, attendanceData.checkInTime) : null;
+      let checkOutAt = !isAbsent && attendanceData.checkOutTime ? toMuscatDateTime(date, attendanceData.checkOutTime) : null;
+      if (checkInAt && checkOutAt && checkOutAt <= checkInAt) {
+        // Overnight - checked out the next morning
+        checkOutAt = new Date(checkOutAt.getTime() + 24 * HOUR_MS);
+      }
+
+      const breakMinutes = parseInt(attendanceData.breakMinutes) || 0;
+      const breaks = checkInAt && breakMinutes > 0
+        ? [{ startAt: checkInAt.toISOString(), endAt: new Date(checkInAt.getTime() + breakMinutes * MINUTE_MS).toISOString() }]
+        : [];
+
+      const now = new Date().toISOString();
       const attendance = {
-        date: attendanceData.date || new Date().toISOString().split('T')[0],
-        checkInTime: attendanceData.checkInTime,
-        checkOutTime: attendanceData.checkOutTime,
-        hoursWorked: attendanceData.hoursWorked || 0,
+        id: generateAttendanceId(),
+        date,
+        source: 'manual',
+        checkInAt: checkInAt ? checkInAt.toISOString() : null,
+        checkOutAt: checkOutAt ? checkOutAt.toISOString() : null,
+        checkInTime: isAbsent ? null : attendanceData.checkInTime,
+        checkOutTime: isAbsent ? null : attendanceData.checkOutTime || null,
+        breaks,
+        hoursWorked: checkInAt && checkOutAt ? calculateWorkedHours(checkInAt, checkOutAt, breaks) : 0,
         status: attendanceData.status || 'present', // 'present', 'absent', 'late'
+        flags: [],
+        approvalStatus: 'approved',
+        reviewedAt: now,
+        reviewedBy: userId,
+        disputeReason: null,
         notes: attendanceData.notes || null,
-        recordedAt: new Date().toISOString()
+        recordedAt: now
       };
 
-      this.attendanceRecords.push(attendance);
-      this.actualHoursWorked += attendance.hoursWorked;
-      this.updatedAt = new Date().toISOString();
-
-      await this.update({
-        attendanceRecords: this.attendanceRecords,
-        actualHoursWorked: this.actualHoursWorked,
-        updatedAt: this.updatedAt
+      await this.updateAttendance(current => {
+        if (current.attendanceRecords.some(item => item.date === date)) {
+          throw new AppError(`There is already a timesheet entry for ${date}`, 409);
+        }
+        current.attendanceRecords.push(attendance);
       });
 
       return this;
@@ -394,13 +955,22 @@ class InstantHire {
       if (this.status !== 'in_progress') {
         throw new Error('Work must be in progress before it can be completed');
       }
+      await this.closeMissedClockOut();
+      if (this.getOpenAttendance()) {
+        throw new AppError('The seeker is still clocked in', 409);
+      }
+      const pending = this.attendanceRecords.filter(record => record.approvalStatus === 'pending').length;
+      if (pending > 0) {
+        throw new AppError(`Approve or dispute the ${pending} pending timesheet ${pending === 1 ? 'entry' : 'entries'} first`, 409);
+      }
+
+      this.actualHoursWorked = this.getApprovedHours();
 
       this.status = 'completed';
       this.completionStatus = 'completed';
       this.workCompletedAt = new Date().toISOString();
       this.companyFeedback = completionData.companyFeedback || null;
       this.companyRating = completionData.companyRating || null;
-      this.finalPaymentAmount = completionData.finalPaymentAmount || this.totalAmount;
       this.updatedAt = new Date().toISOString();
 
       await this.update({
@@ -409,12 +979,12 @@ class InstantHire {
         workCompletedAt: this.workCompletedAt,
         companyFeedback: this.companyFeedback,
         companyRating: this.companyRating,
-        finalPaymentAmount: this.finalPaymentAmount,
+        actualHoursWorked: this.actualHoursWorked,
         updatedAt: this.updatedAt
       });
 
       // Process final payment to seeker
-      await this.processFinalPayment();
+      await this.processFinalPayment(completionData.finalPaymentAmount);
       
       // Send completion notification
       await this.sendCompletionNotification();
@@ -428,19 +998,22 @@ class InstantHire {
 
   /**
    * Process final payment to seeker
+   * The approved timesheet goes into the seeker's earnings ledger, to be paid out with the rest of
+   * the payment period - see earningsService
+   * @param {number} [adjustedAmount] - Final amount set by the company, when it differs from the timesheet
    */
-  async processFinalPayment() {
+  async processFinalPayment(adjustedAmount = null) {
     try {
-      // Here you would integrate with payment gateway to pay the seeker
-      this.finalPaymentStatus = 'paid';
-      this.finalPaymentDate = new Date().toISOString();
-      this.finalPaymentReference = `PAY-${this.instantHireId}-${Date.now()}`;
+      const earningsService = require('../services/earningsService');
+      const { totals } = await earningsService.recordEarnings(this, { adjustedAmount });
+
+      this.finalPaymentAmount = totals.netAmount;
+      this.finalPaymentStatus = 'scheduled';
       this.updatedAt = new Date().toISOString();
 
       await this.update({
+        finalPaymentAmount: this.finalPaymentAmount,
         finalPaymentStatus: this.finalPaymentStatus,
-        finalPaymentDate: this.finalPaymentDate,
-        finalPaymentReference: this.finalPaymentReference,
         updatedAt: this.updatedAt
       });
 
@@ -459,6 +1032,9 @@ class InstantHire {
    */
   async cancel(reason = null) {
     try {
+      // The match credit comes back unless the seeker already accepted
+      const refundMatch = this.matchStatus === 'matched';
+
       this.status = 'cancelled';
       this.completionStatus = 'cancelled';
       this.declineReason = reason;
@@ -476,8 +1052,14 @@ class InstantHire {
         await this.processRefund();
       }
 
+      if (refundMatch) {
+        await this.refundCredit(reason ? `Instant hire cancelled: ${reason}` : 'Instant hire cancelled');
+      }
+
       // Send cancellation notification
       await this.sendCancellationNotification(reason);
+
+      await ScheduledJobs.cancelInstantHireReminders(this.id);
       
       return this;
     } catch (error) {
@@ -635,7 +1217,7 @@ class InstantHire {
    */
   async sendPaymentNotification() {
     try {
-      console.log(`💸 Payment sent for instant hire: ${this.instantHireId} - Amount: ${this.finalPaymentAmount} OMR`);
+      console.log(`💸 Payment scheduled for instant hire: ${this.instantHireId} - Amount: ${this.finalPaymentAmount} OMR`);
     } catch (error) {
       console.error('Error sending payment notification:', error);
     }
@@ -710,6 +1292,7 @@ class InstantHire {
       workLocation: this.workLocation,
       locationAddress: this.locationAddress,
       locationCoordinates: this.locationCoordinates,
+      geofenceRadiusMeters: this.geofenceRadiusMeters,
       requirements: this.requirements,
       dressCode: this.dressCode,
       
@@ -1,4 +1,55 @@
 const { databaseService, COLLECTIONS } = require('../config/database');
+const firebaseConfig = require('../config/firebase');
+const ScheduledJobs = require('../services/scheduledJobs');
+const meetingLinkService = require('../services/meetingLinkService');
+const creditLedgerService = require('../services/creditLedgerService');
+const InterviewAvailability = require('./InterviewAvailability');
+const { AppError } = require('../middleware/errorHandler');
+const { DATE_PATTERN, parseTime, formatTime, toMuscatDate, toMuscatDateTime, addDays } = require('../utils/muscatTime');
+
+// Statuses that hold a slot in the calendar
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Slot offers: how long the seeker has to pick, how many times and how long a window can be offered
+const OFFER_EXPIRY_HOURS = parseInt(process.env.INTERVIEW_OFFER_EXPIRY_HOURS) || 48;
+const OFFER_WINDOW_MAX_DAYS = parseInt(process.env.INTERVIEW_OFFER_WINDOW_MAX_DAYS) || 14;
+const MAX_SLOT_OFFERS = 10;
+
+/**
+ * Whether an interview is booked in this calendar (a location calendar only holds its own location's)
+ */
+const inCalendar = (availability, interview) => {
+  return !availability.brandLocationId || interview.brandLocationId === availability.brandLocationId;
+};
+
+/**
+ * Check and tidy an offered availability window
+ * @param {Object} window - { fromDate, toDate } (YYYY-MM-DD)
+ * @returns {Object|null} { fromDate, toDate }
+ * @throws {AppError} 400 when the window is invalid, in the past or too long
+ */
+const normalizeOfferWindow = (window) => {
+  if (!window) {
+    return null;
+  }
+
+  const fromDate = String(window.fromDate || '').slice(0, 10);
+  const toDate = String(window.toDate || window.fromDate || '').slice(0, 10);
+  if (!DATE_PATTERN.test(fromDate) || !DATE_PATTERN.test(toDate) || toDate < fromDate) {
+    throw new AppError('Offer window needs fromDate and toDate (YYYY-MM-DD), in order', 400);
+  }
+  if (toDate < toMuscatDate()) {
+    throw new AppError('Offer window is in the past', 400);
+  }
+  if (addDays(fromDate, OFFER_WINDOW_MAX_DAYS - 1) < toDate) {
+    throw new AppError(`Offer window can be at most ${OFFER_WINDOW_MAX_DAYS} days`, 400);
+  }
+
+  return { fromDate, toDate };
+};
 
 /**
  * Interview Model - For detailed interview scheduling and management
@@ -14,24 +65,26 @@ class Interview {
     this.applicationId = data.applicationId || null;
     this.companyId = data.companyId || null;
     this.seekerId = data.seekerId || null;
+    this.brandLocationId = data.brandLocationId || null; // Location whose calendar the interview is booked in
     
     // Interview scheduling
     this.interviewDate = data.interviewDate || null; // YYYY-MM-DD
     this.startTime = data.startTime || null; // HH:MM (24-hour format)
-    this.duration = data.duration || 30; // Duration in minutes
+    this.duration = parseInt(data.duration) || 30; // Duration in minutes
     this.endTime = data.endTime || this.calculateEndTime();
     this.timeZone = data.timeZone || 'Asia/Muscat'; // Default to Oman timezone
     
     // Interview details
     this.interviewType = data.interviewType || 'in-person'; // 'in-person', 'phone', 'video', 'group'
     this.location = data.location || null; // Physical location or video link
+    this.meeting = data.meeting || null; // Generated video room { provider, roomId, url, createdAt, revokedAt } - never sent as is, see getMeetingAccess
     this.meetingRoom = data.meetingRoom || null; // Specific room or area
     this.interviewer = data.interviewer || null; // Interviewer name/ID
     this.interviewerEmail = data.interviewerEmail || null;
     this.interviewerPhone = data.interviewerPhone || null;
     
     // Status and workflow
-    this.status = data.status || 'scheduled'; // 'scheduled', 'confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show'
+    this.status = data.status || 'scheduled'; // 'pending_selection', 'scheduled', 'confirmed', 'rescheduled', 'completed', 'cancelled', 'no_show', 'expired'
     this.confirmationStatus = data.confirmationStatus || 'pending'; // 'pending', 'confirmed', 'declined'
     this.remindersSent = data.remindersSent || []; // Array of reminder timestamps
     
@@ -41,6 +94,12 @@ class Interview {
     this.allowRescheduling = data.allowRescheduling !== false; // Allow candidate to reschedule
     this.maxReschedules = data.maxReschedules || 2; // Maximum reschedule attempts
     this.rescheduleCount = data.rescheduleCount || 0;
+
+    // Slot offers - the seeker picks the time ('pending_selection' until they do or the offer expires)
+    this.slotOffers = data.slotOffers || []; // Array of { date, startTime, duration }
+    this.offerWindow = data.offerWindow || null; // { fromDate, toDate } - any open calendar slot in between
+    this.offerExpiresAt = data.offerExpiresAt || null;
+    this.slotSelectedAt = data.slotSelectedAt || null;
     
     // Interview preparation
     this.preparationMaterials = data.preparationMaterials || []; // Documents, links, etc.
@@ -81,36 +140,145 @@ class Interview {
 
   /**
    * Calculate end time based on start time and duration
+   * Wall-clock arithmetic in the interview's timezone, so the server's own timezone doesn't matter
    */
   calculateEndTime() {
     if (!this.interviewDate || !this.startTime) return null;
     
-    const startDateTime = new Date(`${this.interviewDate} ${this.startTime}`);
-    const endDateTime = new Date(startDateTime.getTime() + (this.duration * 60000));
-    return endDateTime.toTimeString().slice(0, 5); // Return HH:MM format
+    const start = parseTime(this.startTime);
+    if (start === null) return null;
+    return formatTime((start + this.duration) % (24 * 60)); // Return HH:MM format
+  }
+
+  /**
+   * Take one interview credit from the company for this interview
+   * Throws 403 when the company has no credits left
+   */
+  async debitCredit() {
+    const Company = require('./Company');
+    // Older records store the owner's user ID as the company ID
+    const company = await Company.findById(this.companyId) || await Company.findByOwnerId(this.companyId);
+    if (!company) {
+      throw new AppError('Company not found', 404);
+    }
+    await creditLedgerService.debit(company, creditLedgerService.CREDIT_TYPES.INTERVIEW, this.getCreditReference(), this.scheduledBy);
+  }
+
+  /**
+   * Give the interview credit back, when the interview won't take place
+   */
+  async refundCredit(note) {
+    const Company = require('./Company');
+    const company = await Company.findById(this.companyId) || await Company.findByOwnerId(this.companyId);
+    if (company) {
+      await creditLedgerService.refund(company.id, this.getCreditReference(), note);
+    }
+  }
+
+  getCreditReference() {
+    return { referenceType: 'interview', referenceId: this.interviewId };
   }
 
   /**
    * Create new interview
    */
   static async create(interviewData) {
+    const interview = new Interview(interviewData);
+    await interview.debitCredit();
+
     try {
-      const interview = new Interview(interviewData);
       interview.endTime = interview.calculateEndTime();
+
+      // Book it in the job location's calendar
+      if (interview.jobId && !interview.brandLocationId) {
+        const Job = require('./Job');
+        const job = await Job.findById(interview.jobId);
+        interview.brandLocationId = job ? job.brandLocationId || null : null;
+      }
       
       const result = await databaseService.create(COLLECTIONS.INTERVIEWS, interview.toJSON());
       interview.id = result.insertedId || result.id;
+
+      // Video room for video interviews
+      await interview.provisionMeeting();
       
       // Send interview invitation
       await Interview.sendInterviewInvitation(interview);
+
+      // Queue 24h/1h reminders
+      await ScheduledJobs.scheduleInterviewReminders(interview);
       
       return interview;
     } catch (error) {
       console.error('Error creating interview:', error);
+      if (!interview.id) {
+        await interview.refundCredit('Interview could not be created');
+      }
       throw new Error('Failed to create interview');
     }
   }
 
+  /**
+   * Invite a seeker to pick their own time from offered slots and/or an availability window
+   * The interview waits in 'pending_selection' until the seeker picks a slot or the offer expires
+   * @param {Object} interviewData - As for create, without a date and time
+   * @param {Object} offer - { slotOffers: [{ date, startTime, duration }], offerWindow: { fromDate, toDate } }
+   */
+  static async createWithOffers(interviewData, { slotOffers = [], offerWindow = null } = {}) {
+    const interview = new Interview({
+      ...interviewData,
+      interviewDate: null,
+      startTime: null,
+      endTime: null,
+      status: 'pending_selection'
+    });
+    let debited = false;
+
+    try {
+      const { availability, job } = await interview.resolveAvailability();
+      interview.slotOffers = await interview.validateSlotOffers(slotOffers, availability, job);
+      interview.offerWindow = normalizeOfferWindow(offerWindow);
+      if (interview.slotOffers.length === 0 && !interview.offerWindow) {
+        throw new AppError('Offer at least one slot or an availability window', 400);
+      }
+      interview.offerExpiresAt = interview.calculateOfferExpiry().toISOString();
+
+      await interview.debitCredit();
+      debited = true;
+
+      const result = await databaseService.create(COLLECTIONS.INTERVIEWS, interview.toJSON());
+      interview.id = result.insertedId || result.id;
+
+      console.log(`📧 Interview slot offer sent for ${interview.interviewId} - ${interview.seekerName} has until ${interview.offerExpiresAt} to pick`);
+
+      // Expire the offer if no slot is picked in time
+      await ScheduledJobs.scheduleInterviewOfferExpiry(interview);
+
+      return interview;
+    } catch (error) {
+      console.error('Error creating interview slot offer:', error);
+      if (debited && !interview.id) {
+        await interview.refundCredit('Interview could not be created');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Query interviews
+   * @param {Array} filters - [{ field, operator, value }]
+   * @param {Object} orderBy - { field, direction }
+   * @returns {Array} Raw interview documents
+   */
+  static async query(filters = [], orderBy = null) {
+    try {
+      return await databaseService.query(COLLECTIONS.INTERVIEWS, filters, orderBy);
+    } catch (error) {
+      console.error('Error querying interviews:', error);
+      throw new Error('Failed to query interviews');
+    }
+  }
+
   /**
    * Find interview by ID
    */
@@ -158,31 +326,64 @@ class Interview {
     }
   }
 
+  /**
+   * Interviews holding a slot in a calendar on a date
+   * A location with its own calendar only counts its own interviews; the company calendar counts all of them
+   * @param {Object} availability - InterviewAvailability the interviews are booked in
+   * @param {string} date - YYYY-MM-DD
+   */
+  static async findActiveInCalendar(availability, date) {
+    const interviews = await databaseService.query(COLLECTIONS.INTERVIEWS, [
+      { field: 'companyId', operator: '==', value: availability.companyId },
+      { field: 'interviewDate', operator: '==', value: date },
+      { field: 'status', operator: 'in', value: ACTIVE_STATUSES }
+    ]);
+
+    return interviews
+      .filter(interview => inCalendar(availability, interview))
+      .map(interview => new Interview(interview));
+  }
+
+  /**
+   * Load the calendar this interview is booked in, and its job for the job's own interview windows
+   * @returns {Object} { availability, job }
+   */
+  async resolveAvailability() {
+    let job = null;
+    if (this.jobId) {
+      const Job = require('./Job');
+      job = await Job.findById(this.jobId);
+      if (job && !this.brandLocationId) {
+        this.brandLocationId = job.brandLocationId || null;
+      }
+    }
+
+    const availability = await InterviewAvailability.findForCompany(this.companyId, this.brandLocationId);
+    return { availability, job };
+  }
+
+  /**
+   * Check that the interview time is inside the company's interview calendar and the job's windows
+   * @returns {Object} { available, reason }
+   */
+  async checkAvailability() {
+    const { availability, job } = await this.resolveAvailability();
+    return availability.checkSlot(this.interviewDate, this.startTime, this.duration, {
+      jobWindows: InterviewAvailability.getJobWindows(job, this.interviewDate)
+    });
+  }
+
   /**
    * Check for scheduling conflicts
+   * Uses the calendar's buffer time and slot capacity (group interviews share a slot)
    */
   async checkConflicts() {
     try {
-      // Check for overlapping interviews for the same company
-      const conflicts = await databaseService.query(COLLECTIONS.INTERVIEWS, [
-        { field: 'companyId', operator: '==', value: this.companyId },
-        { field: 'interviewDate', operator: '==', value: this.interviewDate },
-        { field: 'status', operator: 'in', value: ['scheduled', 'confirmed'] }
-      ]);
-
-      const conflictingInterviews = conflicts.filter(interview => {
-        if (interview.id === this.id) return false; // Skip self
-        
-        const existingStart = new Date(`${interview.interviewDate} ${interview.startTime}`);
-        const existingEnd = new Date(`${interview.interviewDate} ${interview.endTime}`);
-        const newStart = new Date(`${this.interviewDate} ${this.startTime}`);
-        const newEnd = new Date(`${this.interviewDate} ${this.endTime}`);
-        
-        // Check for time overlap
-        return (newStart < existingEnd && newEnd > existingStart);
-      });
+      const { availability } = await this.resolveAvailability();
+      const interviews = (await Interview.findActiveInCalendar(availability, this.interviewDate))
+        .filter(interview => interview.id !== this.id); // Skip self
 
-      return conflictingInterviews.map(interview => new Interview(interview));
+      return availability.findConflicts(interviews, parseTime(this.startTime), this.duration);
     } catch (error) {
       console.error('Error checking conflicts:', error);
       return [];
@@ -190,30 +391,305 @@ class Interview {
   }
 
   /**
-   * Schedule interview with conflict checking
+   * Check the slots a company offers: each must be open in the calendar and free
+   * @param {Array} slotOffers - [{ date, startTime, duration }]; duration defaults to the interview's
+   * @returns {Array} Offers sorted by time, without duplicates
+   * @throws {AppError} 400 for malformed or too many offers, 409 when an offered slot is unavailable
    */
-  async schedule() {
-    try {
-      // Check for conflicts
-      const conflicts = await this.checkConflicts();
+  async validateSlotOffers(slotOffers, availability, job) {
+    const offers = new Map();
+    for (const offer of slotOffers || []) {
+      const date = String(offer.date || '').slice(0, 10);
+      const duration = parseInt(offer.duration) || this.duration;
+      if (!DATE_PATTERN.test(date) || parseTime(offer.startTime) === null) {
+        throw new AppError('Each offered slot needs a date (YYYY-MM-DD) and startTime (HH:MM)', 400);
+      }
+      offers.set(`${date} ${offer.startTime}`, { date, startTime: formatTime(parseTime(offer.startTime)), duration });
+    }
+
+    if (offers.size > MAX_SLOT_OFFERS) {
+      throw new AppError(`At most ${MAX_SLOT_OFFERS} slots can be offered`, 400);
+    }
+
+    const sorted = [...offers.values()].sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+    for (const offer of sorted) {
+      const check = availability.checkSlot(offer.date, offer.startTime, offer.duration, {
+        jobWindows: InterviewAvailability.getJobWindows(job, offer.date)
+      });
+      if (!check.available) {
+        throw new AppError(`Offered slot ${offer.date} ${offer.startTime} is not available: ${check.reason}`, 409);
+      }
+
+      const interviews = await Interview.findActiveInCalendar(availability, offer.date);
+      if (availability.findConflicts(interviews, parseTime(offer.startTime), offer.duration).length > 0) {
+        throw new AppError(`Offered slot ${offer.date} ${offer.startTime} is already booked`, 409);
+      }
+    }
+
+    return sorted;
+  }
+
+  /**
+   * When an unanswered offer expires: the expiry period from now, but no later than the last offered time
+   * @returns {Date}
+   */
+  calculateOfferExpiry(now = new Date()) {
+    const lastTimes = this.slotOffers.map(offer => toMuscatDateTime(offer.date, offer.startTime));
+    if (this.offerWindow) {
+      lastTimes.push(toMuscatDateTime(this.offerWindow.toDate, DAY_MINUTES));
+    }
+
+    const lastOffered = Math.max(...lastTimes.map(time => time.getTime()));
+    return new Date(Math.min(now.getTime() + OFFER_EXPIRY_HOURS * HOUR_MS, lastOffered));
+  }
+
+  /**
+   * The offer a picked time belongs to - an offered slot, or any time inside the offered window
+   * @returns {Object|null} { date, startTime, duration }
+   */
+  findOffer(date, startTime) {
+    const day = String(date || '').slice(0, 10);
+    const start = parseTime(startTime);
+    if (start === null) {
+      return null;
+    }
+
+    const offered = this.slotOffers.find(offer => offer.date === day && parseTime(offer.startTime) === start);
+    if (offered) {
+      return offered;
+    }
+
+    const window = this.offerWindow;
+    if (window && day >= window.fromDate && day <= window.toDate) {
+      return { date: day, startTime: formatTime(start), duration: this.duration };
+    }
+    return null;
+  }
+
+  /**
+   * Offered times the seeker can still pick: offered slots that are still free and open,
+   * plus the calendar's free slots across the offered window
+   * @returns {Array} [{ date, startTime, endTime, duration, startsAt }]
+   */
+  async getOfferedSlots({ now = new Date() } = {}) {
+    const { availability, job } = await this.resolveAvailability();
+
+    const dates = new Set(this.slotOffers.map(offer => offer.date));
+    if (this.offerWindow) {
+      for (let date = this.offerWindow.fromDate; date <= this.offerWindow.toDate; date = addDays(date, 1)) {
+        dates.add(date);
+      }
+    }
+
+    const options = new Map();
+    for (const date of [...dates].sort()) {
+      if (date < toMuscatDate(now)) {
+        continue;
+      }
+
+      const interviews = (await Interview.findActiveInCalendar(availability, date))
+        .filter(interview => interview.id !== this.id);
+      const jobWindows = InterviewAvailability.getJobWindows(job, date);
+
+      for (const offer of this.slotOffers.filter(slotOffer => slotOffer.date === date)) {
+        const start = parseTime(offer.startTime);
+        const check = availability.checkSlot(date, offer.startTime, offer.duration, { jobWindows, now });
+        if (!check.available || availability.findConflicts(interviews, start, offer.duration).length > 0) {
+          continue;
+        }
+        options.set(`${date} ${offer.startTime}`, {
+          date,
+          startTime: offer.startTime,
+          endTime: formatTime((start + offer.duration) % DAY_MINUTES),
+          duration: offer.duration,
+          startsAt: toMuscatDateTime(date, start).toISOString()
+        });
+      }
+
+      if (this.offerWindow && date >= this.offerWindow.fromDate && date <= this.offerWindow.toDate) {
+        const day = availability.getSlots(date, this.duration, interviews, { jobWindows, now });
+        for (const slot of day.slots) {
+          const key = `${date} ${slot.startTime}`;
+          if (!options.has(key)) {
+            options.set(key, { date, startTime: slot.startTime, endTime: slot.endTime, duration: slot.duration, startsAt: slot.startsAt });
+          }
+        }
+      }
+    }
+
+    return [...options.values()].sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+  }
+
+  /**
+   * Write a booking for a time in the interview's calendar
+   * After the calendar check, a transaction takes the lock document of the calendar day, checks the
+   * day's interviews for conflicts and writes the booking. Seeker picks, company scheduling and
+   * reschedules all book through here, so two bookings of the same day at once can't both win:
+   * the later transaction retries, sees the first booking and fails with a 409
+   * @param {Object} slot - { date, startTime, duration }
+   * @param {Object} booking - Fields written to the interview along with the slot
+   * @param {Object} options
+   * @param {Array} [options.expectedStatuses] - Statuses the stored interview must still be in
+   * @param {string} [options.staleMessage] - 409 message when it isn't
+   * @param {string} [options.conflictMessage] - 409 message when the time is taken
+   * @throws {AppError} 409 when the time is unavailable or taken, or the interview changed
+   */
+  async bookSlot({ date, startTime, duration }, booking, { expectedStatuses = null, staleMessage = 'This interview has changed, please try again', conflictMessage = null } = {}) {
+    const { availability, job } = await this.resolveAvailability();
+    const check = availability.checkSlot(date, startTime, duration, {
+      jobWindows: InterviewAvailability.getJobWindows(job, date)
+    });
+    if (!check.available) {
+      throw new AppError(`Interview time not available: ${check.reason}`, 409);
+    }
+
+    const start = parseTime(startTime);
+    const update = {
+      ...booking,
+      interviewDate: date,
+      startTime,
+      duration,
+      endTime: formatTime((start + duration) % DAY_MINUTES),
+      brandLocationId: this.brandLocationId
+    };
+
+    const db = firebaseConfig.getDb();
+    const calendarId = InterviewAvailability.documentId(availability.companyId, availability.brandLocationId);
+    const interviewRef = db.collection(COLLECTIONS.INTERVIEWS).doc(this.id);
+    const lockRef = db.collection(COLLECTIONS.INTERVIEW_CALENDAR_LOCKS).doc(`${calendarId}_${date}`);
+    const dayQuery = db.collection(COLLECTIONS.INTERVIEWS)
+      .where('companyId', '==', availability.companyId)
+      .where('interviewDate', '==', date)
+      .where('status', 'in', ACTIVE_STATUSES);
+
+    await db.runTransaction(async (transaction) => {
+      const interviewDoc = await transaction.get(interviewRef);
+      await transaction.get(lockRef);
+      if (!interviewDoc.exists || (expectedStatuses && !expectedStatuses.includes(interviewDoc.data().status))) {
+        throw new AppError(staleMessage, 409);
+      }
+
+      const snapshot = await transaction.get(dayQuery);
+      const interviews = snapshot.docs
+        .map(doc => new Interview({ ...doc.data(), id: doc.id }))
+        .filter(interview => interview.id !== this.id && inCalendar(availability, interview));
+      const conflicts = availability.findConflicts(interviews, start, duration);
       if (conflicts.length > 0) {
-        throw new Error(`Scheduling conflict detected. ${conflicts.length} overlapping interview(s) found.`);
+        throw new AppError(conflictMessage || `Scheduling conflict detected. ${conflicts.length} overlapping interview(s) found.`, 409);
       }
 
-      this.status = 'scheduled';
-      this.endTime = this.calculateEndTime();
-      this.scheduledAt = new Date().toISOString();
-      this.updatedAt = new Date().toISOString();
+      transaction.update(interviewRef, update);
+      transaction.set(lockRef, { calendarId, date, lastInterviewId: this.id, updatedAt: update.updatedAt }, { merge: true });
+    });
 
-      await this.update({
-        status: this.status,
-        endTime: this.endTime,
-        scheduledAt: this.scheduledAt,
-        updatedAt: this.updatedAt
+    Object.assign(this, update);
+    return this;
+  }
+
+  /**
+   * Book an offered time for the seeker (see bookSlot)
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} startTime - HH:MM
+   * @throws {AppError} 400 when the time was not offered, 409 when it is unavailable or taken, 410 when the offer expired
+   */
+  async selectSlot(date, startTime) {
+    try {
+      if (this.status !== 'pending_selection') {
+        throw new AppError('This interview is not waiting for a slot to be picked', 409);
+      }
+      if (this.offerExpiresAt && new Date(this.offerExpiresAt) <= new Date()) {
+        throw new AppError('This interview slot offer has expired', 410);
+      }
+
+      const offer = this.findOffer(date, startTime);
+      if (!offer) {
+        throw new AppError('That time was not offered for this interview', 400);
+      }
+
+      const now = new Date().toISOString();
+      await this.bookSlot(offer, {
+        status: 'confirmed',
+        confirmationStatus: 'confirmed',
+        slotSelectedAt: now,
+        scheduledAt: now,
+        updatedAt: now
+      }, {
+        expectedStatuses: ['pending_selection'],
+        staleMessage: 'This interview is not waiting for a slot to be picked',
+        conflictMessage: 'That slot has just been taken, please pick another one'
+      });
+
+      console.log(`✅ Interview slot picked: ${this.interviewId} on ${this.interviewDate} at ${this.startTime}`);
+
+      await this.provisionMeeting();
+
+      await ScheduledJobs.cancelInterviewOfferExpiry(this.id, 'Slot picked');
+      await ScheduledJobs.scheduleInterviewReminders(this);
+
+      return this;
+    } catch (error) {
+      console.error('Error selecting interview slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire the slot offer if no slot has been picked yet
+   * Transactional, so a pick landing at the same moment wins over the expiry
+   * @returns {boolean} Whether the offer expired now
+   */
+  async expireSlotOffer() {
+    try {
+      const db = firebaseConfig.getDb();
+      const interviewRef = db.collection(COLLECTIONS.INTERVIEWS).doc(this.id);
+      const now = new Date().toISOString();
+
+      const expired = await db.runTransaction(async (transaction) => {
+        const interviewDoc = await transaction.get(interviewRef);
+        if (!interviewDoc.exists || interviewDoc.data().status !== 'pending_selection') {
+          return false;
+        }
+
+        transaction.update(interviewRef, { status: 'expired', expiredAt: now, updatedAt: now });
+        return true;
       });
 
+      if (expired) {
+        this.status = 'expired';
+        this.updatedAt = now;
+        console.log(`⌛ Interview slot offer expired: ${this.interviewId}`);
+        await this.refundCredit('Slot offer expired without a pick');
+      }
+      return expired;
+    } catch (error) {
+      console.error('Error expiring interview slot offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule interview with availability and conflict checking
+   */
+  async schedule() {
+    try {
+      const now = new Date().toISOString();
+      await this.bookSlot({
+        date: this.interviewDate,
+        startTime: this.startTime,
+        duration: this.duration
+      }, {
+        status: 'scheduled',
+        scheduledAt: now,
+        updatedAt: now
+      });
+
+      await this.provisionMeeting();
+
       // Send notification
       await Interview.sendInterviewInvitation(this);
+
+      // Queue 24h/1h reminders
+      await ScheduledJobs.scheduleInterviewReminders(this);
       
       return this;
     } catch (error) {
@@ -232,42 +708,35 @@ class Interview {
       }
 
       // Save old details to history
+      const now = new Date().toISOString();
       const oldSchedule = {
         date: this.interviewDate,
         startTime: this.startTime,
         endTime: this.endTime,
-        rescheduledAt: new Date().toISOString(),
+        rescheduledAt: now,
         reason: reason
       };
 
-      this.rescheduleHistory.push(oldSchedule);
-      
-      // Update with new schedule
-      this.interviewDate = newDate;
-      this.startTime = newTime;
-      this.endTime = this.calculateEndTime();
-      this.status = 'rescheduled';
-      this.rescheduleCount += 1;
-      this.updatedAt = new Date().toISOString();
-
-      // Check for conflicts with new time
-      const conflicts = await this.checkConflicts();
-      if (conflicts.length > 0) {
-        throw new Error('New time conflicts with existing interviews');
-      }
-
-      await this.update({
-        interviewDate: this.interviewDate,
-        startTime: this.startTime,
-        endTime: this.endTime,
-        status: this.status,
-        rescheduleHistory: this.rescheduleHistory,
-        rescheduleCount: this.rescheduleCount,
-        updatedAt: this.updatedAt
+      // New time must be open in the calendar and free
+      await this.bookSlot({
+        date: newDate,
+        startTime: newTime,
+        duration: this.duration
+      }, {
+        status: 'rescheduled',
+        rescheduleHistory: [...this.rescheduleHistory, oldSchedule],
+        rescheduleCount: this.rescheduleCount + 1,
+        updatedAt: now
       });
 
+      // New time, new room - the old link stops being handed out
+      await this.provisionMeeting({ rotate: true });
+
       // Send reschedule notification
       await Interview.sendRescheduleNotification(this, reason);
+
+      // Move reminders to the new time
+      await ScheduledJobs.scheduleInterviewReminders(this);
       
       return this;
     } catch (error) {
@@ -276,6 +745,77 @@ class Interview {
     }
   }
 
+  /**
+   * Create the video room of a video interview once it has a time
+   * A provider failure is logged and leaves the interview without a room instead of failing the booking;
+   * the company can still put a link in location
+   * @param {Object} options - { rotate: replace an existing room }
+   * @returns {Object|null} The meeting
+   */
+  async provisionMeeting({ rotate = false } = {}) {
+    if (this.interviewType !== 'video' || !this.interviewDate || !this.startTime) {
+      return this.meeting;
+    }
+    if (this.meeting && !this.meeting.revokedAt && !rotate) {
+      return this.meeting;
+    }
+
+    try {
+      if (this.meeting) {
+        this.meeting = await meetingLinkService.revokeMeeting(this.meeting);
+      }
+      this.meeting = await meetingLinkService.createMeeting(this);
+    } catch (error) {
+      console.error('Error creating interview meeting room:', error);
+    }
+
+    await this.update({ meeting: this.meeting });
+    return this.meeting;
+  }
+
+  /**
+   * Revoke the video room so its link is never handed out again
+   */
+  async revokeMeeting() {
+    if (!this.meeting || this.meeting.revokedAt) {
+      return;
+    }
+
+    this.meeting = await meetingLinkService.revokeMeeting(this.meeting);
+    await this.update({ meeting: this.meeting });
+  }
+
+  /**
+   * What participants may see of the video room: the link itself only from shortly before the start until the end
+   * @returns {Object|null} { provider, status, joinableFrom, joinableUntil, url }
+   */
+  getMeetingAccess(now = new Date()) {
+    const startsAt = toMuscatDateTime(this.interviewDate, this.startTime);
+    if (!this.meeting || !startsAt) {
+      return null;
+    }
+
+    const { joinableFrom, joinableUntil } = meetingLinkService.getJoinWindow(startsAt, this.duration);
+    const isLive = ACTIVE_STATUSES.includes(this.status) && !this.meeting.revokedAt;
+
+    let status = 'open';
+    if (!isLive) {
+      status = 'revoked';
+    } else if (now < joinableFrom) {
+      status = 'not_yet_open';
+    } else if (now > joinableUntil) {
+      status = 'ended';
+    }
+
+    return {
+      provider: this.meeting.provider,
+      status,
+      joinableFrom: joinableFrom.toISOString(),
+      joinableUntil: joinableUntil.toISOString(),
+      url: status === 'open' ? this.meeting.url : null
+    };
+  }
+
   /**
    * Confirm interview (by candidate)
    */
@@ -316,8 +856,15 @@ class Interview {
         updatedAt: this.updatedAt
       });
 
+      await this.revokeMeeting();
+
+      await this.refundCredit(reason ? `Interview cancelled: ${reason}` : 'Interview cancelled');
+
       // Send cancellation notification
       await Interview.sendCancellationNotification(this, reason);
+
+      await ScheduledJobs.cancelInterviewReminders(this.id, 'Interview cancelled');
+      await ScheduledJobs.cancelInterviewOfferExpiry(this.id, 'Interview cancelled');
       
       return this;
     } catch (error) {
@@ -353,6 +900,8 @@ class Interview {
 
       // Send completion notification
       await Interview.sendCompletionNotification(this);
+
+      await ScheduledJobs.cancelInterviewReminders(this.id, 'Interview completed');
       
       return this;
     } catch (error) {
@@ -377,6 +926,8 @@ class Interview {
 
       // Send no-show notification
       await Interview.sendNoShowNotification(this);
+
+      await ScheduledJobs.cancelInterviewReminders(this.id, 'Interview marked as no-show');
       
       return this;
     } catch (error) {
@@ -453,55 +1004,35 @@ class Interview {
 
   /**
    * Get available time slots for a specific date
+   * Follows the company/location interview calendar (hours, breaks, holidays, buffer, capacity)
+   * and the job's own interview windows when a job is given
+   * @param {string} companyId
+   * @param {string} date - YYYY-MM-DD (Asia/Muscat)
+   * @param {number} duration - Minutes
+   * @param {Object} options - { jobId, brandLocationId }
+   * @returns {Object} { date, timeZone, isOpen, closedReason, slots }
    */
-  static async getAvailableTimeSlots(companyId, date, duration = 30) {
+  static async getAvailableTimeSlots(companyId, date, duration = 30, { jobId = null, brandLocationId = null } = {}) {
     try {
-      // Get all interviews for the date
-      const existingInterviews = await Interview.findByCompanyAndDateRange(companyId, date, date);
-      
-      // Define business hours (9 AM to 6 PM)
-      const businessHours = {
-        start: '09:00',
-        end: '18:00'
-      };
-
-      const availableSlots = [];
-      const startTime = new Date(`${date} ${businessHours.start}`);
-      const endTime = new Date(`${date} ${businessHours.end}`);
-      
-      // Generate 30-minute slots
-      let currentTime = new Date(startTime);
-      
-      while (currentTime < endTime) {
-        const slotStart = currentTime.toTimeString().slice(0, 5);
-        const slotEnd = new Date(currentTime.getTime() + (duration * 60000));
-        
-        if (slotEnd <= endTime) {
-          // Check if slot conflicts with existing interviews
-          const hasConflict = existingInterviews.some(interview => {
-            const interviewStart = new Date(`${interview.interviewDate} ${interview.startTime}`);
-            const interviewEnd = new Date(`${interview.interviewDate} ${interview.endTime}`);
-            
-            return (currentTime < interviewEnd && slotEnd > interviewStart);
-          });
-
-          if (!hasConflict) {
-            availableSlots.push({
-              startTime: slotStart,
-              endTime: slotEnd.toTimeString().slice(0, 5),
-              duration: duration
-            });
-          }
+      let job = null;
+      if (jobId) {
+        const Job = require('./Job');
+        job = await Job.findById(jobId);
+        if (!job || job.companyId !== companyId) {
+          throw new AppError('Job not found', 404);
         }
-        
-        // Move to next 30-minute slot
-        currentTime = new Date(currentTime.getTime() + (30 * 60000));
+        brandLocationId = brandLocationId || job.brandLocationId || null;
       }
 
-      return availableSlots;
+      const availability = await InterviewAvailability.findForCompany(companyId, brandLocationId);
+      const existingInterviews = await Interview.findActiveInCalendar(availability, date);
+
+      return availability.getSlots(date, parseInt(duration) || 30, existingInterviews, {
+        jobWindows: InterviewAvailability.getJobWindows(job, date)
+      });
     } catch (error) {
       console.error('Error getting available time slots:', error);
-      return [];
+      throw error;
     }
   }
 
@@ -523,6 +1054,16 @@ class Interview {
     }
   }
 
+  /**
+   * Convert to JSON for API responses - the video room link only shows when it can be joined
+   */
+  toPublicJSON() {
+    return {
+      ...this.toJSON(),
+      meeting: this.getMeetingAccess()
+    };
+  }
+
   /**
    * Convert to JSON
    */
@@ -534,6 +1075,7 @@ class Interview {
       applicationId: this.applicationId,
       companyId: this.companyId,
       seekerId: this.seekerId,
+      brandLocationId: this.brandLocationId,
       
       // Scheduling
       interviewDate: this.interviewDate,
@@ -545,6 +1087,7 @@ class Interview {
       // Details
       interviewType: this.interviewType,
       location: this.location,
+      meeting: this.meeting,
       meetingRoom: this.meetingRoom,
       interviewer: this.interviewer,
       interviewerEmail: this.interviewerEmail,
@@ -561,6 +1104,12 @@ class Interview {
       allowRescheduling: this.allowRescheduling,
       maxReschedules: this.maxReschedules,
       rescheduleCount: this.rescheduleCount,
+
+      // Slot offers
+      slotOffers: this.slotOffers,
+      offerWindow: this.offerWindow,
+      offerExpiresAt: this.offerExpiresAt,
+      slotSelectedAt: this.slotSelectedAt,
       
       // Preparation
       preparationMaterials: this.preparationMaterials,
@@ -592,4 +1141,6 @@ class Interview {
   }
 }
 
+Interview.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
 module.exports = Interview;
\ No newline at end of file
@@ -0,0 +1,411 @@
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const OMAN_PUBLIC_HOLIDAYS = require('../config/omanHolidays');
+const {
+  MUSCAT_TIMEZONE,
+  WEEKDAYS,
+  DATE_PATTERN,
+  parseTime,
+  formatTime,
+  toMuscatDate,
+  toMuscatMinutes,
+  toMuscatDateTime,
+  getWeekday,
+  addDays
+} = require('../utils/muscatTime');
+
+// Sunday to Thursday office hours; Oman's weekend is Friday and Saturday
+const DEFAULT_WEEKLY_HOURS = {
+  sunday: [{ start: '09:00', end: '18:00' }],
+  monday: [{ start: '09:00', end: '18:00' }],
+  tuesday: [{ start: '09:00', end: '18:00' }],
+  wednesday: [{ start: '09:00', end: '18:00' }],
+  thursday: [{ start: '09:00', end: '18:00' }],
+  friday: [],
+  saturday: []
+};
+
+const MAX_BLACKOUT_DATES = 200;
+
+/**
+ * Sort and validate "HH:MM" ranges
+ * @throws {AppError} when a range ends before it starts
+ */
+const normalizeRanges = (ranges = [], label) => {
+  return (Array.isArray(ranges) ? ranges : [])
+    .map(range => {
+      const start = parseTime(range.start);
+      const end = parseTime(range.end);
+      if (start === null || end === null || end <= start) {
+        throw new AppError(`${label} must have a start before its end (HH:MM)`, 400);
+      }
+      return { ...range, start: formatTime(start), end: formatTime(end) };
+    })
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+/**
+ * Windows (minute pairs) minus the cut-out ranges
+ */
+const subtractRanges = (windows, cuts) => {
+  return cuts.reduce((remaining, [cutStart, cutEnd]) => remaining.flatMap(([start, end]) => {
+    if (cutEnd <= start || cutStart >= end) {
+      return [[start, end]];
+    }
+    return [[start, cutStart], [cutEnd, end]].filter(([from, to]) => to > from);
+  }), windows);
+};
+
+/**
+ * Parts of the windows that also fall inside one of the limits
+ */
+const intersectRanges = (windows, limits) => {
+  return windows.flatMap(([start, end]) => limits
+    .map(([limitStart, limitEnd]) => [Math.max(start, limitStart), Math.min(end, limitEnd)])
+    .filter(([from, to]) => to > from));
+};
+
+/**
+ * Start and end minutes of an existing interview
+ */
+const interviewRange = (interview) => {
+  const start = parseTime(interview.startTime);
+  const duration = parseInt(interview.duration) || (parseTime(interview.endTime) - start) || 30;
+  return [start, start + duration];
+};
+
+/**
+ * Interview Availability Model
+ * When a company (or one of its brand locations) interviews: weekly hours, breaks, blackout dates,
+ * Oman public holidays, buffer between interviews and how many candidates share a slot.
+ * A location without its own calendar uses the company's; a company without one gets the defaults.
+ * All times are Asia/Muscat wall-clock times.
+ */
+class InterviewAvailability {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.companyId = data.companyId || null;
+    this.brandLocationId = data.brandLocationId || null; // null = company-wide calendar
+    this.timeZone = MUSCAT_TIMEZONE;
+
+    // { sunday: [{ start, end }], ... } - a day with no ranges is closed
+    this.weeklyHours = {};
+    for (const day of WEEKDAYS) {
+      const hours = data.weeklyHours ? data.weeklyHours[day] : DEFAULT_WEEKLY_HOURS[day];
+      this.weeklyHours[day] = normalizeRanges(hours || [], `Working hours on ${day}`);
+    }
+
+    // [{ start, end, days, label }] - days empty means every day
+    this.breaks = normalizeRanges(data.breaks, 'Breaks').map(range => ({
+      start: range.start,
+      end: range.end,
+      days: (range.days || []).filter(day => WEEKDAYS.includes(day)),
+      label: range.label || null
+    }));
+
+    // [{ from, to, reason }] closed dates, e.g. staff training or Ramadan closures
+    this.blackoutDates = (data.blackoutDates || []).map(blackout => ({
+      from: String(blackout.from || blackout.date).slice(0, 10),
+      to: String(blackout.to || blackout.from || blackout.date).slice(0, 10),
+      reason: blackout.reason || null
+    }));
+
+    this.observePublicHolidays = data.observePublicHolidays !== false;
+    this.slotIntervalMinutes = parseInt(data.slotIntervalMinutes) || 30;
+    this.bufferMinutes = parseInt(data.bufferMinutes) || 0; // Gap kept free after each interview
+    this.capacity = parseInt(data.capacity) || 1; // Candidates per slot; more than 1 for group interviews
+    this.minNoticeMinutes = parseInt(data.minNoticeMinutes) || 0;
+
+    this.updatedBy = data.updatedBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Document ID for a company or one of its locations
+   */
+  static documentId(companyId, brandLocationId = null) {
+    return brandLocationId ? `${companyId}_${brandLocationId}` : companyId;
+  }
+
+  /**
+   * Calendar that applies to a company location
+   * Falls back from the location's calendar to the company's, then to the defaults
+   */
+  static async findForCompany(companyId, brandLocationId = null) {
+    try {
+      const ids = brandLocationId
+        ? [InterviewAvailability.documentId(companyId, brandLocationId), companyId]
+        : [companyId];
+
+      for (const id of ids) {
+        const data = await databaseService.getById(COLLECTIONS.INTERVIEW_AVAILABILITY, id);
+        if (data) {
+          return new InterviewAvailability({ ...data, id });
+        }
+      }
+
+      return new InterviewAvailability({ companyId });
+    } catch (error) {
+      console.error('Error finding interview availability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a company's (or location's) calendar
+   * Settings not given keep their current value
+   */
+  static async upsert(companyId, brandLocationId, updateData, updatedBy = null) {
+    try {
+      const id = InterviewAvailability.documentId(companyId, brandLocationId);
+      const existing = await databaseService.getById(COLLECTIONS.INTERVIEW_AVAILABILITY, id);
+      const current = existing || new InterviewAvailability({ companyId, brandLocationId }).toJSON();
+
+      if ((updateData.blackoutDates || []).length > MAX_BLACKOUT_DATES) {
+        throw new AppError(`At most ${MAX_BLACKOUT_DATES} blackout dates can be set`, 400);
+      }
+
+      const availability = new InterviewAvailability({
+        ...current,
+        ...updateData,
+        weeklyHours: { ...current.weeklyHours, ...(updateData.weeklyHours || {}) },
+        id,
+        companyId,
+        brandLocationId: brandLocationId || null,
+        createdAt: current.createdAt,
+        updatedAt: new Date().toISOString(),
+        updatedBy
+      });
+
+      if (existing) {
+        await databaseService.update(COLLECTIONS.INTERVIEW_AVAILABILITY, id, availability.toJSON());
+      } else {
+        await databaseService.createWithId(COLLECTIONS.INTERVIEW_AVAILABILITY, id, availability.toJSON());
+      }
+
+      console.log(`✅ Interview availability saved for ${id}`);
+      return availability;
+    } catch (error) {
+      console.error('Error saving interview availability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a location's own calendar so it falls back to the company's
+   */
+  static async removeLocationCalendar(companyId, brandLocationId) {
+    try {
+      const id = InterviewAvailability.documentId(companyId, brandLocationId);
+      if (!(await databaseService.exists(COLLECTIONS.INTERVIEW_AVAILABILITY, id))) {
+        return false;
+      }
+
+      await databaseService.delete(COLLECTIONS.INTERVIEW_AVAILABILITY, id);
+      return true;
+    } catch (error) {
+      console.error('Error removing interview availability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Oman public holidays between two dates, one entry per day
+   * @returns {Array} [{ date, name }]
+   */
+  static getPublicHolidays(fromDate, toDate) {
+    const holidays = [];
+    const years = new Set([fromDate.slice(0, 4), toDate.slice(0, 4)]);
+
+    for (const year of years) {
+      for (const holiday of OMAN_PUBLIC_HOLIDAYS[year] || []) {
+        const last = holiday.to || holiday.date;
+        for (let date = holiday.from || holiday.date; date <= last; date = addDays(date, 1)) {
+          if (date >= fromDate && date <= toDate) {
+            holidays.push({ date, name: holiday.name });
+          }
+        }
+      }
+    }
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Daily interview windows a job allows on a date, from Job.interviewAvailability
+   * Each entry ({ fromDate, fromTime, toDate, toTime }) opens fromTime-toTime on every day from fromDate to toDate
+   * @returns {Array|null} Minute pairs, or null when the job sets no restriction
+   */
+  static getJobWindows(job, date) {
+    const entries = (job && job.interviewAvailability) || [];
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return entries
+      .filter(entry => entry.fromDate && String(entry.fromDate).slice(0, 10) <= date &&
+        String(entry.toDate || entry.fromDate).slice(0, 10) >= date)
+      .map(entry => [parseTime(entry.fromTime) ?? 0, parseTime(entry.toTime) ?? 24 * 60])
+      .filter(([start, end]) => end > start);
+  }
+
+  /**
+   * Whether interviews can happen on a date and in which windows
+   * @param {string} date - YYYY-MM-DD (Muscat)
+   * @returns {Object} { isOpen, reason, windows: [[startMinutes, endMinutes]] }
+   */
+  getDayStatus(date) {
+    if (!DATE_PATTERN.test(date)) {
+      throw new AppError('Date must be YYYY-MM-DD', 400);
+    }
+
+    if (this.observePublicHolidays) {
+      const holiday = InterviewAvailability.getPublicHolidays(date, date)[0];
+      if (holiday) {
+        return { isOpen: false, reason: `Public holiday: ${holiday.name}`, windows: [] };
+      }
+    }
+
+    const blackout = this.blackoutDates.find(entry => entry.from <= date && entry.to >= date);
+    if (blackout) {
+      return { isOpen: false, reason: blackout.reason || 'Closed for interviews', windows: [] };
+    }
+
+    const weekday = getWeekday(date);
+    const hours = this.weeklyHours[weekday].map(range => [parseTime(range.start), parseTime(range.end)]);
+    const breaks = this.breaks
+      .filter(range => range.days.length === 0 || range.days.includes(weekday))
+      .map(range => [parseTime(range.start), parseTime(range.end)]);
+    const windows = subtractRanges(hours, breaks);
+
+    if (windows.length === 0) {
+      return { isOpen: false, reason: `No interview hours on ${weekday}`, windows: [] };
+    }
+    return { isOpen: true, reason: null, windows };
+  }
+
+  /**
+   * Existing interviews a booking would clash with
+   * Interviews starting at the same time share the slot up to capacity (group interviews);
+   * any other overlap, including the buffer kept after each interview, is a clash
+   * @param {Array} interviews - Active interviews on the same date and calendar
+   * @param {number} start - Minutes since midnight
+   * @param {number} duration - Minutes
+   */
+  findConflicts(interviews, start, duration) {
+    const end = start + duration;
+    const overlapping = interviews.filter(interview => {
+      const [existingStart, existingEnd] = interviewRange(interview);
+      return start < existingEnd + this.bufferMinutes && end + this.bufferMinutes > existingStart;
+    });
+
+    const sameSlot = overlapping.filter(interview => parseTime(interview.startTime) === start);
+    return sameSlot.length >= this.capacity
+      ? overlapping
+      : overlapping.filter(interview => parseTime(interview.startTime) !== start);
+  }
+
+  /**
+   * Bookable slots on a date
+   * @param {string} date - YYYY-MM-DD (Muscat)
+   * @param {number} duration - Minutes
+   * @param {Array} interviews - Active interviews on the same date and calendar
+   * @param {Object} options - { jobWindows, now }
+   * @returns {Object} { date, timeZone, isOpen, closedReason, slots }
+   */
+  getSlots(date, duration, interviews = [], { jobWindows = null, now = new Date() } = {}) {
+    const status = this.getDayStatus(date);
+    const result = { date, timeZone: this.timeZone, isOpen: status.isOpen, closedReason: status.reason, slots: [] };
+    if (!status.isOpen) {
+      return result;
+    }
+
+    const windows = jobWindows ? intersectRanges(status.windows, jobWindows) : status.windows;
+    if (windows.length === 0) {
+      return { ...result, isOpen: false, closedReason: 'Outside the job\'s interview availability' };
+    }
+
+    const today = toMuscatDate(now);
+    if (date < today) {
+      return { ...result, isOpen: false, closedReason: 'Date has passed' };
+    }
+    const earliest = date === today ? toMuscatMinutes(now) + this.minNoticeMinutes : 0;
+
+    for (const [windowStart, windowEnd] of windows) {
+      for (let start = windowStart; start + duration <= windowEnd; start += this.slotIntervalMinutes) {
+        if (start < earliest || this.findConflicts(interviews, start, duration).length > 0) {
+          continue;
+        }
+
+        const booked = interviews.filter(interview => parseTime(interview.startTime) === start).length;
+        result.slots.push({
+          startTime: formatTime(start),
+          endTime: formatTime(start + duration),
+          duration,
+          startsAt: toMuscatDateTime(date, start).toISOString(),
+          capacity: this.capacity,
+          booked,
+          remaining: this.capacity - booked
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether an interview time falls inside the calendar (ignores other interviews)
+   * @returns {Object} { available, reason }
+   */
+  checkSlot(date, startTime, duration, { jobWindows = null, now = new Date() } = {}) {
+    const start = parseTime(startTime);
+    const end = start + duration;
+    const status = this.getDayStatus(date);
+
+    if (!status.isOpen) {
+      return { available: false, reason: status.reason };
+    }
+    if (toMuscatDateTime(date, start) < now) {
+      return { available: false, reason: 'Interview time has already passed' };
+    }
+
+    const windows = jobWindows ? intersectRanges(status.windows, jobWindows) : status.windows;
+    const fits = windows.some(([windowStart, windowEnd]) => start >= windowStart && end <= windowEnd);
+    if (!fits) {
+      const hours = windows.map(([from, to]) => `${formatTime(from)}-${formatTime(to)}`).join(', ');
+      return {
+        available: false,
+        reason: hours ? `Outside interview hours (${hours})` : 'Outside the job\'s interview availability'
+      };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      companyId: this.companyId,
+      brandLocationId: this.brandLocationId,
+      timeZone: this.timeZone,
+      weeklyHours: this.weeklyHours,
+      breaks: this.breaks,
+      blackoutDates: this.blackoutDates,
+      observePublicHolidays: this.observePublicHolidays,
+      slotIntervalMinutes: this.slotIntervalMinutes,
+      bufferMinutes: this.bufferMinutes,
+      capacity: this.capacity,
+      minNoticeMinutes: this.minNoticeMinutes,
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+InterviewAvailability.DEFAULT_WEEKLY_HOURS = DEFAULT_WEEKLY_HOURS;
+
+module.exports = InterviewAvailability;
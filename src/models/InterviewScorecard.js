@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { toMuscatDateTime } = require('../utils/muscatTime');
+
+const MIN_SCORE = 1;
+const MAX_SCORE = 5;
+
+// Strongest no to strongest yes; the values are what votes average on
+const RECOMMENDATIONS = {
+  strong_no: -2,
+  no: -1,
+  yes: 1,
+  strong_yes: 2
+};
+
+// Interviews that never took place can't be scored
+const UNSCORABLE_STATUSES = ['pending_selection', 'expired', 'cancelled', 'no_show'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Weighted average of the criterion scores, on the same 1-5 scale
+ */
+const calculateWeightedScore = (criteria, ratings) => {
+  const scores = new Map(ratings.map(rating => [rating.key, rating.score]));
+  let total = 0;
+  let weights = 0;
+
+  for (const criterion of criteria) {
+    if (scores.has(criterion.key)) {
+      total += scores.get(criterion.key) * criterion.weight;
+      weights += criterion.weight;
+    }
+  }
+
+  return weights > 0 ? round(total / weights) : null;
+};
+
+/**
+ * Average vote as a recommendation; votes cancelling each other out are 'mixed'
+ */
+const aggregateRecommendation = (recommendations) => {
+  if (recommendations.length === 0) {
+    return null;
+  }
+
+  const average = recommendations.reduce((sum, value) => sum + RECOMMENDATIONS[value], 0) / recommendations.length;
+  if (average >= 1.5) return 'strong_yes';
+  if (average >= 0.5) return 'yes';
+  if (average <= -1.5) return 'strong_no';
+  if (average <= -0.5) return 'no';
+  return 'mixed';
+};
+
+/**
+ * Interview Scorecard Model
+ * One interviewer's independent scores for one interview, on the criteria of the template that applied
+ *
+ * Each interviewer has their own scorecard per interview (keyed by their email, or name without one),
+ * so nobody overwrites anyone else's scores. The criteria are copied in when the scorecard is
+ * first submitted, so later template changes don't rescore past interviews.
+ */
+class InterviewScorecard {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.interviewId = data.interviewId || null;
+    this.jobId = data.jobId || null;
+    this.applicationId = data.applicationId || null;
+    this.companyId = data.companyId || null;
+    this.seekerId = data.seekerId || null;
+    this.seekerName = data.seekerName || null;
+
+    this.templateId = data.templateId || null;
+    this.criteria = data.criteria || []; // [{ key, label, description, weight }] as scored
+    this.ratings = data.ratings || []; // [{ key, score, comment }]
+    this.weightedScore = data.weightedScore || null; // 1-5
+    this.recommendation = data.recommendation || null; // 'strong_no', 'no', 'yes', 'strong_yes'
+    this.notes = data.notes || null;
+
+    this.interviewerName = data.interviewerName || null;
+    this.interviewerEmail = data.interviewerEmail || null;
+    this.submittedBy = data.submittedBy || null; // User who submitted it
+
+    this.submittedAt = data.submittedAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Document ID of an interviewer's scorecard for an interview
+   */
+  static buildId(interviewId, interviewer) {
+    const identity = String(interviewer.email || interviewer.name || '').trim().toLowerCase();
+    const hash = crypto.createHash('sha256').update(identity).digest('hex').slice(0, 16);
+    return `${interviewId}_${hash}`;
+  }
+
+  /**
+   * Submit an interviewer's scorecard, or replace their earlier one
+   * @param {Object} interview - Interview instance
+   * @param {Object} template - ScorecardTemplate that applies to the interview
+   * @param {Object} scorecardData - { interviewerName, interviewerEmail, ratings, recommendation, notes }
+   * @param {string} userId - User submitting it
+   * @returns {Object} { scorecard, created }
+   */
+  static async submit(interview, template, scorecardData, userId) {
+    try {
+      if (UNSCORABLE_STATUSES.includes(interview.status)) {
+        throw new AppError(`Scorecards can't be submitted for a ${interview.status.replace('_', ' ')} interview`, 409);
+      }
+      const startsAt = toMuscatDateTime(interview.interviewDate, interview.startTime);
+      if (!startsAt || startsAt > new Date()) {
+        throw new AppError('Scorecards can be submitted once the interview has started', 409);
+      }
+
+      const interviewer = {
+        name: String(scorecardData.interviewerName || '').trim(),
+        email: scorecardData.interviewerEmail ? String(scorecardData.interviewerEmail).trim().toLowerCase() : null
+      };
+      if (!interviewer.name) {
+        throw new AppError('Interviewer name is required', 400);
+      }
+
+      const id = InterviewScorecard.buildId(interview.id, interviewer);
+      const existing = await InterviewScorecard.findById(id);
+
+      const scorecard = new InterviewScorecard({
+        ...(existing || {}),
+        id,
+        interviewId: interview.id,
+        jobId: interview.jobId,
+        applicationId: interview.applicationId,
+        companyId: interview.companyId,
+        seekerId: interview.seekerId,
+        seekerName: interview.seekerName,
+        templateId: existing ? existing.templateId : template.id,
+        criteria: existing ? existing.criteria : template.criteria,
+        recommendation: scorecardData.recommendation,
+        notes: scorecardData.notes ? String(scorecardData.notes).trim() : null,
+        interviewerName: interviewer.name,
+        interviewerEmail: interviewer.email,
+        submittedBy: userId,
+        updatedAt: new Date().toISOString()
+      });
+      scorecard.setRatings(scorecardData.ratings);
+
+      if (existing) {
+        await databaseService.update(COLLECTIONS.INTERVIEW_SCORECARDS, id, scorecard.toJSON());
+      } else {
+        await databaseService.createWithId(COLLECTIONS.INTERVIEW_SCORECARDS, id, scorecard.toJSON());
+      }
+
+      console.log(`✅ Scorecard ${existing ? 'updated' : 'submitted'} by ${interviewer.name} for interview ${interview.id}`);
+      return { scorecard, created: !existing };
+    } catch (error) {
+      console.error('Error submitting scorecard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find scorecard by ID
+   */
+  static async findById(scorecardId) {
+    try {
+      const data = await databaseService.getById(COLLECTIONS.INTERVIEW_SCORECARDS, scorecardId);
+      return data ? new InterviewScorecard(data) : null;
+    } catch (error) {
+      console.error('Error finding scorecard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every scorecard for an interview, first submitted first
+   */
+  static async findByInterviewId(interviewId) {
+    try {
+      const scorecards = await databaseService.query(COLLECTIONS.INTERVIEW_SCORECARDS, [
+        { field: 'interviewId', operator: '==', value: interviewId }
+      ]);
+
+      return scorecards
+        .map(scorecard => new InterviewScorecard(scorecard))
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    } catch (error) {
+      console.error('Error getting interview scorecards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every scorecard a company submitted for a job's candidates
+   */
+  static async findByJobId(companyId, jobId) {
+    try {
+      const scorecards = await databaseService.query(COLLECTIONS.INTERVIEW_SCORECARDS, [
+        { field: 'companyId', operator: '==', value: companyId },
+        { field: 'jobId', operator: '==', value: jobId }
+      ]);
+
+      return scorecards.map(scorecard => new InterviewScorecard(scorecard));
+    } catch (error) {
+      console.error('Error getting job scorecards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine several interviewers' scorecards
+   * Criteria are matched by key, so scorecards on different template versions still line up
+   * @param {Array} scorecards - InterviewScorecard instances
+   * @returns {Object} { scorecardCount, weightedScore, recommendation, recommendationCounts, criteria, interviewers }
+   */
+  static aggregate(scorecards) {
+    const criteria = new Map();
+    for (const scorecard of scorecards) {
+      for (const criterion of scorecard.criteria) {
+        const rating = scorecard.ratings.find(item => item.key === criterion.key);
+        if (!criteria.has(criterion.key)) {
+          criteria.set(criterion.key, { key: criterion.key, label: criterion.label, weight: criterion.weight, scores: [] });
+        }
+        if (rating) {
+          criteria.get(criterion.key).scores.push(rating.score);
+        }
+      }
+    }
+
+    const recommendationCounts = Object.keys(RECOMMENDATIONS).reduce((counts, value) => {
+      counts[value] = scorecards.filter(scorecard => scorecard.recommendation === value).length;
+      return counts;
+    }, {});
+
+    const scored = scorecards.filter(scorecard => scorecard.weightedScore !== null);
+
+    return {
+      scorecardCount: scorecards.length,
+      weightedScore: scored.length > 0
+        ? round(scored.reduce((sum, scorecard) => sum + scorecard.weightedScore, 0) / scored.length)
+        : null,
+      recommendation: aggregateRecommendation(scorecards.map(scorecard => scorecard.recommendation).filter(Boolean)),
+      recommendationCounts,
+      criteria: [...criteria.values()].map(({ scores, ...criterion }) => ({
+        ...criterion,
+        averageScore: scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+        scoreCount: scores.length
+      })),
+      interviewers: scorecards.map(scorecard => scorecard.interviewerName)
+    };
+  }
+
+  /**
+   * Set the criterion scores and recompute the weighted score
+   * @param {Array} ratings - [{ key, score, comment }], one per criterion
+   * @throws {AppError} when a criterion is missing or unknown, or a score is out of range
+   */
+  setRatings(ratings = []) {
+    if (!Object.keys(RECOMMENDATIONS).includes(this.recommendation)) {
+      throw new AppError(`Recommendation must be one of: ${Object.keys(RECOMMENDATIONS).join(', ')}`, 400);
+    }
+
+    const byKey = new Map((Array.isArray(ratings) ? ratings : []).map(rating => [rating.key, rating]));
+    const unknown = [...byKey.keys()].filter(key => !this.criteria.some(criterion => criterion.key === key));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown scorecard criteria: ${unknown.join(', ')}`, 400);
+    }
+
+    this.ratings = this.criteria.map(criterion => {
+      const rating = byKey.get(criterion.key);
+      const score = rating ? Number(rating.score) : NaN;
+      if (!Number.isInteger(score) || score < MIN_SCORE || score > MAX_SCORE) {
+        throw new AppError(`"${criterion.label}" needs a score from ${MIN_SCORE} to ${MAX_SCORE}`, 400);
+      }
+      return {
+        key: criterion.key,
+        score,
+        comment: rating.comment ? String(rating.comment).trim() : null
+      };
+    });
+
+    this.weightedScore = calculateWeightedScore(this.criteria, this.ratings);
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      interviewId: this.interviewId,
+      jobId: this.jobId,
+      applicationId: this.applicationId,
+      companyId: this.companyId,
+      seekerId: this.seekerId,
+      seekerName: this.seekerName,
+      templateId: this.templateId,
+      criteria: this.criteria,
+      ratings: this.ratings,
+      weightedScore: this.weightedScore,
+      recommendation: this.recommendation,
+      notes: this.notes,
+      interviewerName: this.interviewerName,
+      interviewerEmail: this.interviewerEmail,
+      submittedBy: this.submittedBy,
+      submittedAt: this.submittedAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      ...this.toJSON()
+    };
+  }
+}
+
+InterviewScorecard.RECOMMENDATIONS = Object.keys(RECOMMENDATIONS);
+
+module.exports = InterviewScorecard;
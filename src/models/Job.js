@@ -1,4 +1,8 @@
 const { databaseService, COLLECTIONS } = require('../config/database');
+const jobSearchService = require('../services/jobSearchService');
+const savedSearchService = require('../services/savedSearchService');
+const { INDEXED_FIELDS } = jobSearchService;
+const { normalizeCoordinates, encodeGeohash } = require('../utils/geo');
 
 /**
  * Job Model - Professional Implementation
@@ -67,6 +71,9 @@ class Job {
     this.brandName = data.brandName || null;
     this.locationAddress = data.locationAddress || null;
     this.governorate = data.governorate || null;
+    this.locationCoordinates = data.locationCoordinates || null; // { latitude, longitude } copied from the brand location
+    this.geohash = data.geohash || null; // Geohash of locationCoordinates
+    this.distanceKm = data.distanceKm ?? null; // Computed by geo search, not stored
     
     // Search & Matching Fields
     this.searchTags = data.searchTags || []; // Generated from role, skills, location
@@ -164,6 +171,7 @@ class Job {
           if (location) {
             this.locationAddress = location.address;
             this.brandName = location.brand;
+            Object.assign(this, Job.getLocationGeo(location));
             // You can also set governorate/wilayat if available in location data
           }
         }
@@ -172,7 +180,9 @@ class Job {
         await this.update({
           companyName: this.companyName,
           locationAddress: this.locationAddress,
-          brandName: this.brandName
+          brandName: this.brandName,
+          locationCoordinates: this.locationCoordinates,
+          geohash: this.geohash
         });
       }
     } catch (error) {
@@ -249,7 +259,7 @@ class Job {
   }
 
   /**
-   * Publish the job
+   * Publish the job and alert seekers whose saved searches match it
    */
   async publish() {
     if (!this.canPublish()) {
@@ -261,12 +271,17 @@ class Job {
     this.publishedAt = new Date().toISOString();
     this.generateSearchTags();
 
-    return await this.update({
+    await this.update({
       jobStatus: this.jobStatus,
       applicationStatus: this.applicationStatus,
       publishedAt: this.publishedAt,
       searchTags: this.searchTags
     });
+
+    // Not awaited - seekers' saved search alerts shouldn't hold up publishing
+    savedSearchService.evaluateJob(this);
+
+    return this;
   }
 
   /**
@@ -317,6 +332,8 @@ class Job {
       brandName: this.brandName,
       locationAddress: this.locationAddress,
       governorate: this.governorate,
+      locationCoordinates: this.locationCoordinates,
+      geohash: this.geohash,
       searchTags: this.searchTags,
       experienceLevel: this.experienceLevel
     };
@@ -335,6 +352,8 @@ class Job {
       brandName: this.brandName,
       locationAddress: this.locationAddress,
       governorate: this.governorate,
+      locationCoordinates: this.locationCoordinates,
+      ...(this.distanceKm !== null && { distanceKm: this.distanceKm }),
       jobCoverImage: this.jobCoverImage,
       jobSummary: this.jobSummary,
       dressCode: this.dressCode,
@@ -373,9 +392,15 @@ class Job {
         ...jobData
       });
 
+      if (job.brandLocationId && !job.locationCoordinates) {
+        Object.assign(job, await Job.findLocationGeo(companyId, job.brandLocationId));
+      }
+
       const result = await databaseService.create(COLLECTIONS.JOBS, job.toJSON());
       const newJob = new Job({ id: result.id, ...result });
 
+      await jobSearchService.indexJob(newJob);
+
       // Update company job totals
       await Job.updateCompanyJobTotals(companyId);
 
@@ -391,6 +416,68 @@ class Job {
     }
   }
 
+  /**
+   * Coordinates and geohash a job copies from a company location
+   * @param {Object} location - Entry from company.locations
+   * @returns {Object} { locationCoordinates, geohash } - both null when the location has no coordinates
+   */
+  static getLocationGeo(location) {
+    const coordinates = normalizeCoordinates(location?.coordinates);
+    return {
+      locationCoordinates: coordinates,
+      geohash: coordinates ? encodeGeohash(coordinates.latitude, coordinates.longitude) : null
+    };
+  }
+
+  /**
+   * Look up a company location and return its coordinates for a job
+   */
+  static async findLocationGeo(companyId, brandLocationId) {
+    try {
+      const Company = require('./Company');
+      const company = await Company.findById(companyId);
+      const location = (company?.locations || []).find(loc => loc.id === brandLocationId);
+      return Job.getLocationGeo(location);
+    } catch (error) {
+      console.error('Error looking up job location coordinates:', error);
+      return Job.getLocationGeo(null);
+    }
+  }
+
+  /**
+   * Copy changed location coordinates onto the company's jobs at those locations
+   * @param {string} companyId
+   * @param {Array} locations - Company locations whose coordinates changed
+   */
+  static async syncLocationCoordinates(companyId, locations) {
+    try {
+      const locationsById = new Map(locations.map(location => [location.id, location]));
+      const jobs = await databaseService.query(COLLECTIONS.JOBS, [
+        { field: 'companyId', operator: '==', value: companyId }
+      ]);
+
+      let updated = 0;
+      for (const jobData of jobs) {
+        const location = locationsById.get(jobData.brandLocationId);
+        if (!location) {
+          continue;
+        }
+
+        const geo = Job.getLocationGeo(location);
+        if (geo.geohash !== (jobData.geohash || null)) {
+          await new Job(jobData).update(geo);
+          updated++;
+        }
+      }
+
+      if (updated > 0) {
+        console.log(`📍 Updated coordinates on ${updated} job(s) for company ${companyId}`);
+      }
+    } catch (error) {
+      console.error('Error syncing job location coordinates:', error);
+    }
+  }
+
   /**
    * Update company job totals (totalJobsPosted and activeJobs)
    */
@@ -546,6 +633,49 @@ class Job {
     }
   }
 
+  /**
+   * Find a company's active jobs at some of its locations, newest first
+   * @param {string} companyId
+   * @param {Array<string>} locationIds - brandLocationIds
+   */
+  static async findByCompanyLocations(companyId, locationIds) {
+    try {
+      // Firestore takes at most 30 values in an 'in' filter
+      const chunks = [];
+      for (let i = 0; i < locationIds.length; i += 30) {
+        chunks.push(locationIds.slice(i, i + 30));
+      }
+
+      const results = await Promise.all(chunks.map(chunk => databaseService.query(COLLECTIONS.JOBS, [
+        { field: 'companyId', operator: '==', value: companyId },
+        { field: 'isActive', operator: '==', value: true },
+        { field: 'brandLocationId', operator: 'in', value: chunk }
+      ])));
+
+      return results.flat()
+        .map(jobData => new Job(jobData))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    } catch (error) {
+      console.error('Error finding jobs by company locations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find every job of a company, including closed and inactive ones
+   */
+  static async findAllByCompanyId(companyId) {
+    try {
+      const jobs = await databaseService.query(COLLECTIONS.JOBS, [
+        { field: 'companyId', operator: '==', value: companyId }
+      ]);
+      return jobs.map(jobData => new Job(jobData));
+    } catch (error) {
+      console.error('Error finding all jobs by company:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search published jobs
    */
@@ -600,6 +730,12 @@ class Job {
         updatedData.applicationStatus = this.getApplicationStatusFromJobStatus(updateData.jobStatus);
       }
 
+      // Moving the job to another location moves its coordinates too
+      if (updateData.brandLocationId && updateData.brandLocationId !== this.brandLocationId &&
+          updateData.locationCoordinates === undefined) {
+        Object.assign(updatedData, await Job.findLocationGeo(this.companyId, updateData.brandLocationId));
+      }
+
       await databaseService.update(COLLECTIONS.JOBS, this.id, updatedData);
 
       // Update local instance
@@ -612,6 +748,11 @@ class Job {
         this.applicationStatus = updatedData.applicationStatus;
       }
 
+      // Counter updates (views, applications) don't affect search
+      if (Object.keys(updateData).some(key => INDEXED_FIELDS.includes(key))) {
+        await jobSearchService.indexJob(this);
+      }
+
       return this;
     } catch (error) {
       console.error('Error updating job:', error);
@@ -708,10 +849,16 @@ class Job {
    * @param {Array} roles - Array of role names to match
    * @param {number} limit - Maximum number of jobs to return
    * @param {number} offset - Number of jobs to skip (not supported by current query method)
+   * @param {Object} geo - Optional { latitude, longitude, radiusKm }; nearest jobs first, with distanceKm
    * @returns {Promise<Job[]>} - Array of recommended jobs
    */
-  static async getRecommendationsByRoles(roles = [], limit = 20, offset = 0) {
+  static async getRecommendationsByRoles(roles = [], limit = 20, offset = 0, geo = null) {
     try {
+      if (geo) {
+        const result = await jobSearchService.search({ roles, geo }, { limit, offset, sortBy: 'distance' });
+        return result.jobs.map(jobData => new Job(jobData));
+      }
+
       const searchFilters = [
         { field: 'jobStatus', operator: '==', value: 'published' },
         { field: 'isActive', operator: '==', value: true }
@@ -798,183 +945,23 @@ class Job {
 
   /**
    * Advanced job search with comprehensive filters
+   * Uses the full-text search index (see jobSearchService)
    * @param {Object} filters - Search filters object
    * @param {number} limit - Maximum number of jobs to return
-   * @param {number} offset - Number of jobs to skip
-   * @param {string} sortBy - Field to sort by
-   * @param {string} sortOrder - Sort order (asc/desc)
-   * @returns {Promise<{jobs: Job[], totalJobs: number, hasMore: boolean}>}
+   * @param {number} offset - Number of jobs to skip (ignored when a cursor is given)
+   * @param {string} sortBy - Field to sort by, 'relevance' (default when searching text) or
+   *                          'distance' (default when searching by location)
+   * @param {string} sortOrder - Sort order (asc/desc), ascending by default for distance
+   * @param {string} cursor - nextCursor from the previous page
+   * @returns {Promise<{jobs: Job[], totalJobs: number, hasMore: boolean, nextCursor: string|null, facets: Object}>}
    */
-  static async advancedSearchJobs(filters = {}, limit = 20, offset = 0, sortBy = 'publishedAt', sortOrder = 'desc') {
+  static async advancedSearchJobs(filters = {}, limit = 20, offset = 0, sortBy = null, sortOrder = null, cursor = null) {
     try {
-      // Base filters - only published and active jobs
-      const searchFilters = [
-        { field: 'jobStatus', operator: '==', value: 'published' },
-        { field: 'isActive', operator: '==', value: true }
-      ];
-
-      // Get all published jobs first, then filter locally for complex logic
-      const jobs = await databaseService.query(
-        COLLECTIONS.JOBS, 
-        searchFilters,
-        { field: sortBy, direction: sortOrder },
-        (limit + offset) * 2 // Get more to allow for filtering
-      );
-
-      let filteredJobs = jobs.data || jobs;
-
-      // Apply text search filter
-      if (filters.q) {
-        const searchTerm = filters.q.toLowerCase();
-        filteredJobs = filteredJobs.filter(job => 
-          (job.roleName && job.roleName.toLowerCase().includes(searchTerm)) ||
-          (job.jobSummary && job.jobSummary.toLowerCase().includes(searchTerm)) ||
-          (job.companyName && job.companyName.toLowerCase().includes(searchTerm)) ||
-          (job.brandName && job.brandName.toLowerCase().includes(searchTerm))
-        );
-      }
-
-      // Apply category filter (map to role names)
-      if (filters.category && filters.category !== 'all') {
-        const categoryRoleMap = {
-          'fashion': ['Sales Associate', 'Fashion Consultant', 'Retail Associate'],
-          'fast-food': ['Cashier', 'Cook', 'Server', 'Kitchen Assistant'],
-          'sportswear': ['Sales Associate', 'Fitness Instructor', 'Store Associate'],
-          'security': ['Security Guard', 'Security Officer'],
-          'customer-service': ['Customer Service', 'Customer Support', 'Help Desk']
-        };
-        
-        const categoryRoles = categoryRoleMap[filters.category] || [];
-        if (categoryRoles.length > 0) {
-          filteredJobs = filteredJobs.filter(job => 
-            job.roleName && categoryRoles.some(role => 
-              job.roleName.toLowerCase().includes(role.toLowerCase())
-            )
-          );
-        }
-      }
-
-      // Apply location filters
-      if (filters.governorate) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.governorate && job.governorate.toLowerCase() === filters.governorate.toLowerCase()
-        );
-      }
-
-
-      // Apply role filters
-      if (filters.roles && filters.roles.length > 0) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.roleName && filters.roles.some(role => 
-            job.roleName.toLowerCase().includes(role.toLowerCase())
-          )
-        );
-      }
-
-      // Apply hiring type filter
-      if (filters.hiringType) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.hiringType === filters.hiringType
-        );
-      }
-
-      // Apply work type filter
-      if (filters.workType) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.workType === filters.workType
-        );
-      }
-
-      // Apply shift types filter
-      if (filters.shiftTypes && filters.shiftTypes.length > 0) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.shiftTypes && job.shiftTypes.some(shift => 
-            filters.shiftTypes.includes(shift)
-          )
-        );
-      }
-
-      // Apply skills filter
-      if (filters.skills && filters.skills.length > 0) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.requiredSkills && job.requiredSkills.some(skill => 
-            filters.skills.some(filterSkill => 
-              skill.toLowerCase().includes(filterSkill.toLowerCase())
-            )
-          )
-        );
-      }
-
-      // Apply languages filter
-      if (filters.languages && filters.languages.length > 0) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.requiredLanguages && job.requiredLanguages.some(lang => 
-            filters.languages.some(filterLang => 
-              lang.toLowerCase().includes(filterLang.toLowerCase())
-            )
-          )
-        );
-      }
-
-      // Apply gender preference filter
-      if (filters.genderPreference && filters.genderPreference !== 'Both') {
-        filteredJobs = filteredJobs.filter(job => 
-          !job.genderPreference || 
-          job.genderPreference === 'Both' || 
-          job.genderPreference === filters.genderPreference
-        );
-      }
-
-      // Apply pay range filters
-      if (filters.minPay !== null) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.payPerHour && job.payPerHour >= filters.minPay
-        );
-      }
-
-      if (filters.maxPay !== null) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.payPerHour && job.payPerHour <= filters.maxPay
-        );
-      }
-
-      // Apply hours filters
-      if (filters.minHours !== null) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.hoursPerDay && job.hoursPerDay >= filters.minHours
-        );
-      }
-
-      if (filters.maxHours !== null) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.hoursPerDay && job.hoursPerDay <= filters.maxHours
-        );
-      }
-
-      // Apply date filters
-      if (filters.publishedAfter) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.publishedAt && new Date(job.publishedAt) >= filters.publishedAfter
-        );
-      }
-
-      if (filters.startDateAfter) {
-        filteredJobs = filteredJobs.filter(job => 
-          job.startDate && new Date(job.startDate) >= filters.startDateAfter
-        );
-      }
-
-      // Get total count before pagination
-      const totalJobs = filteredJobs.length;
-
-      // Apply pagination
-      const paginatedJobs = filteredJobs.slice(offset, offset + limit);
-      const hasMore = offset + limit < totalJobs;
+      const result = await jobSearchService.search(filters, { limit, offset, cursor, sortBy, sortOrder });
 
       return {
-        jobs: paginatedJobs.map(jobData => new Job(jobData)),
-        totalJobs,
-        hasMore
+        ...result,
+        jobs: result.jobs.map(jobData => new Job(jobData))
       };
     } catch (error) {
       console.error('Error in advanced job search:', error);
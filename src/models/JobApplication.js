@@ -940,6 +940,7 @@ class JobApplication {
           jobSeekerName: this.seekerName,
           jobSeekerEmail: this.seekerEmail,
           jobSeekerId: this.seekerId,
+          jobSeekerPhone: this.seekerPhone,
           companyName: this.companyName,
           companyId: this.companyId,
           jobTitle: this.jobTitle,
@@ -949,7 +950,8 @@ class JobApplication {
           interviewEndTime: this.interviewEndTime,
           duration: duration,
           interviewType: interviewType,
-          location: location || 'TBD'
+          location: location || 'TBD',
+          applicationId: this.id
         };
         
         await notificationController.sendInterviewRequest(notificationData);
@@ -961,6 +963,10 @@ class JobApplication {
       return this;
     } catch (error) {
       console.error('Error scheduling interview:', error);
+      // Keep errors meant for the client, e.g. no interview credits left
+      if (error.statusCode) {
+        throw error;
+      }
       throw new Error('Failed to schedule interview');
     }
   }
@@ -1115,6 +1121,25 @@ class JobApplication {
    */
   static async notifySeekerOfHireRequest(application) {
     try {
+      // applicationId lets the seeker accept or decline straight from WhatsApp
+      await notificationController.sendCandidateHired(
+        {
+          id: application.id,
+          applicationId: application.id,
+          jobId: application.jobId,
+          jobTitle: application.jobTitle
+        },
+        {
+          id: application.companyId,
+          name: application.companyName
+        },
+        {
+          id: application.seekerId,
+          name: application.seekerName,
+          email: application.seekerEmail,
+          phone: application.seekerPhone
+        }
+      );
       console.log(`📧 Hire request notification sent to seeker ${application.seekerId} for job ${application.jobId}`);
     } catch (error) {
       console.error('Error sending hire request notification:', error);
@@ -0,0 +1,264 @@
+const { databaseService, COLLECTIONS } = require('../config/database');
+
+// Oman is UTC+4 all year (no daylight saving)
+const MUSCAT_UTC_OFFSET_MINUTES = 4 * 60;
+const DAY_MINUTES = 24 * 60;
+
+const CHANNELS = ['email', 'whatsapp', 'in-app'];
+
+// Account and payment notices users cannot opt out of
+const MANDATORY_TYPES = [
+  'payment_successful',
+  'payment_failed',
+  'payment_overdue',
+  'lpo_payment_received',
+  'invoice_issued',
+  'credit_note_issued',
+  'plan_expired',
+  'trial_ended_company'
+];
+
+// Deferring these makes them useless, so they skip quiet hours and the digest
+const TIME_SENSITIVE_TYPES = [
+  'interview_reminder',
+  'instant_hire_reminder'
+];
+
+/**
+ * Keep only the listed keys that are present in source
+ */
+const pick = (source = {}, keys) => {
+  return keys.reduce((result, key) => {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+const parseTime = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight in Asia/Muscat for a given instant
+ */
+const getMuscatMinutes = (date) => {
+  return (date.getUTCHours() * 60 + date.getUTCMinutes() + MUSCAT_UTC_OFFSET_MINUTES) % DAY_MINUTES;
+};
+
+/**
+ * Next instant (strictly after date) at which the Muscat clock shows the given time
+ */
+const getNextMuscatTime = (date, minutesOfDay) => {
+  const muscatNow = new Date(date.getTime() + MUSCAT_UTC_OFFSET_MINUTES * 60 * 1000);
+  const muscatMidnight = Date.UTC(muscatNow.getUTCFullYear(), muscatNow.getUTCMonth(), muscatNow.getUTCDate());
+
+  let candidate = muscatMidnight + minutesOfDay * 60 * 1000;
+  if (candidate <= muscatNow.getTime()) {
+    candidate += DAY_MINUTES * 60 * 1000;
+  }
+
+  return new Date(candidate - MUSCAT_UTC_OFFSET_MINUTES * 60 * 1000);
+};
+
+/**
+ * Notification Preference Model
+ * One document per notification receiver (seeker/company profile ID) controlling channels, quiet hours and digest
+ */
+class NotificationPreference {
+  constructor(data = {}) {
+    this.id = data.id || data.userId || null;
+    this.userId = data.userId || data.id || null;
+    this.userType = data.userType || null; // 'seeker', 'company', 'admin'
+
+    // Global channel switches
+    this.channels = {
+      email: true,
+      whatsapp: true,
+      'in-app': true,
+      ...(data.channels || {})
+    };
+
+    // Per notification type overrides, e.g. { job_match: { email: false } }
+    this.types = data.types || {};
+
+    // Quiet hours in Asia/Muscat time - messages are deferred until the window ends
+    this.quietHours = {
+      enabled: false,
+      start: '22:00',
+      end: '07:00',
+      timezone: 'Asia/Muscat',
+      ...(data.quietHours || {})
+    };
+
+    // Batch non-urgent emails into one daily email
+    this.digest = {
+      enabled: false,
+      frequency: 'daily',
+      time: '08:00',
+      ...(data.digest || {})
+    };
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Find preferences by user ID
+   */
+  static async findByUserId(userId) {
+    try {
+      const data = await databaseService.getById(COLLECTIONS.NOTIFICATION_PREFERENCES, userId);
+      return data ? new NotificationPreference(data) : null;
+    } catch (error) {
+      console.error('Error finding notification preferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get preferences for a user, falling back to defaults when none are saved
+   */
+  static async getForUser(userId, userType = null) {
+    const preferences = await NotificationPreference.findByUserId(userId);
+    return preferences || new NotificationPreference({ userId, userType });
+  }
+
+  /**
+   * Create or update a user's preferences
+   * Nested objects are merged so partial updates keep existing settings
+   */
+  static async upsert(userId, userType, updateData = {}) {
+    try {
+      const existing = await NotificationPreference.findByUserId(userId);
+      const current = existing || new NotificationPreference({ userId, userType });
+
+      const types = { ...current.types };
+      for (const [type, channels] of Object.entries(updateData.types || {})) {
+        types[type] = { ...(types[type] || {}), ...pick(channels, CHANNELS) };
+      }
+
+      const preferences = new NotificationPreference({
+        ...current,
+        userType: userType || current.userType,
+        channels: { ...current.channels, ...pick(updateData.channels, CHANNELS) },
+        types,
+        quietHours: { ...current.quietHours, ...pick(updateData.quietHours, ['enabled', 'start', 'end']) },
+        digest: { ...current.digest, ...pick(updateData.digest, ['enabled', 'frequency', 'time']) },
+        updatedAt: new Date().toISOString()
+      });
+
+      if (existing) {
+        await databaseService.update(COLLECTIONS.NOTIFICATION_PREFERENCES, userId, preferences.toJSON());
+      } else {
+        await databaseService.createWithId(COLLECTIONS.NOTIFICATION_PREFERENCES, userId, preferences.toJSON());
+      }
+
+      return preferences;
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a channel is enabled for a notification type
+   */
+  isChannelEnabled(type, channel) {
+    if (MANDATORY_TYPES.includes(type)) {
+      return true;
+    }
+
+    const override = this.types[type];
+    if (override && typeof override[channel] === 'boolean') {
+      return override[channel];
+    }
+
+    return this.channels[channel] !== false;
+  }
+
+  /**
+   * Check whether a given instant falls inside quiet hours
+   */
+  isInQuietHours(date = new Date()) {
+    if (!this.quietHours.enabled) {
+      return false;
+    }
+
+    const start = parseTime(this.quietHours.start);
+    const end = parseTime(this.quietHours.end);
+    const now = getMuscatMinutes(date);
+
+    if (start === end) {
+      return false;
+    }
+
+    // Window may wrap past midnight (e.g. 22:00 - 07:00)
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  /**
+   * When the current quiet hours window ends
+   */
+  getQuietHoursEnd(date = new Date()) {
+    return getNextMuscatTime(date, parseTime(this.quietHours.end));
+  }
+
+  /**
+   * When the next digest email goes out
+   */
+  getNextDigestTime(date = new Date()) {
+    return getNextMuscatTime(date, parseTime(this.digest.time));
+  }
+
+  /**
+   * Work out which channels to use and when to deliver a notification
+   * @param {string} type - Notification type
+   * @param {Array} channels - Channels requested by the trigger
+   * @param {Date} date - Send time
+   * @returns {Object} { channels, deferUntil, digestAt }
+   */
+  getDeliveryPlan(type, channels, date = new Date()) {
+    const allowedChannels = channels.filter(channel => this.isChannelEnabled(type, channel));
+    const canDefer = !TIME_SENSITIVE_TYPES.includes(type);
+
+    const deferUntil = canDefer && this.isInQuietHours(date)
+      ? this.getQuietHoursEnd(date)
+      : null;
+
+    const digestAt = canDefer && !MANDATORY_TYPES.includes(type) && this.digest.enabled && allowedChannels.includes('email')
+      ? this.getNextDigestTime(date)
+      : null;
+
+    return { channels: allowedChannels, deferUntil, digestAt };
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      userId: this.userId,
+      userType: this.userType,
+      channels: this.channels,
+      types: this.types,
+      quietHours: this.quietHours,
+      digest: this.digest,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+NotificationPreference.CHANNELS = CHANNELS;
+NotificationPreference.MANDATORY_TYPES = MANDATORY_TYPES;
+NotificationPreference.TIME_SENSITIVE_TYPES = TIME_SENSITIVE_TYPES;
+
+module.exports = NotificationPreference;
@@ -0,0 +1,275 @@
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeCoordinates } = require('../utils/geo');
+
+const FREQUENCIES = ['instant', 'daily'];
+const MAX_PER_SEEKER = parseInt(process.env.SAVED_SEARCHES_MAX_PER_SEEKER) || 10;
+
+// The filters job search accepts (see Job.advancedSearchJobs); location is stored separately
+const TEXT_FILTERS = ['q', 'category', 'governorate', 'hiringType', 'workType', 'genderPreference', 'publishedAfter', 'startDateAfter'];
+const LIST_FILTERS = ['roles', 'industries', 'shiftTypes', 'skills', 'languages'];
+const NUMBER_FILTERS = ['minPay', 'maxPay', 'minHours', 'maxHours'];
+
+// Fields the seeker can set
+const EDITABLE_FIELDS = ['name', 'filters', 'location', 'frequency', 'alertsEnabled'];
+
+/**
+ * Keep only the listed keys that are present in source
+ */
+const pick = (source = {}, keys) => {
+  return keys.reduce((result, key) => {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Keep known filters only, trimmed, with lists as arrays and empty values dropped
+ * Lists may be arrays or comma-separated strings, as in the search query string
+ */
+const normalizeFilters = (filters = {}) => {
+  const result = {};
+
+  for (const key of TEXT_FILTERS) {
+    const value = filters[key] == null ? '' : String(filters[key]).trim();
+    if (value) {
+      result[key] = value;
+    }
+  }
+
+  for (const key of LIST_FILTERS) {
+    const values = Array.isArray(filters[key]) ? filters[key] : String(filters[key] || '').split(',');
+    const list = [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+    if (list.length > 0) {
+      result[key] = list;
+    }
+  }
+
+  for (const key of NUMBER_FILTERS) {
+    const value = parseFloat(filters[key]);
+    if (Number.isFinite(value)) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * { latitude, longitude, radiusKm } or null; radiusKm null means the search default
+ */
+const normalizeLocation = (location) => {
+  const coordinates = normalizeCoordinates(location);
+  if (!coordinates) {
+    return null;
+  }
+
+  const radiusKm = parseFloat(location.radiusKm);
+  return { ...coordinates, radiusKm: Number.isFinite(radiusKm) ? radiusKm : null };
+};
+
+/**
+ * Saved Search Model
+ * A seeker's job search filters, kept to re-run later and to be alerted about new matching jobs
+ */
+class SavedSearch {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.seekerId = data.seekerId || null;
+    this.userId = data.userId || null;
+    this.name = data.name || null;
+
+    this.filters = normalizeFilters(data.filters);
+    this.location = normalizeLocation(data.location);
+
+    // Alerts for newly published jobs: 'instant' as they are published, 'daily' as one digest
+    this.frequency = FREQUENCIES.includes(data.frequency) ? data.frequency : 'instant';
+    this.alertsEnabled = data.alertsEnabled !== undefined ? data.alertsEnabled : true;
+    this.alertCount = data.alertCount || 0;
+    this.lastAlertedAt = data.lastAlertedAt || null;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Create a saved search for a seeker
+   * @param {Object} seeker - Seeker instance
+   * @param {Object} searchData - { name, filters, location, frequency, alertsEnabled }
+   */
+  static async create(seeker, searchData) {
+    try {
+      const existing = await SavedSearch.findBySeekerId(seeker.id);
+      if (existing.length >= MAX_PER_SEEKER) {
+        throw new AppError(`You can save up to ${MAX_PER_SEEKER} searches`, 409);
+      }
+
+      const savedSearch = new SavedSearch({
+        ...pick(searchData, EDITABLE_FIELDS),
+        seekerId: seeker.id,
+        userId: seeker.userId
+      });
+      savedSearch.validate();
+
+      const result = await databaseService.create(COLLECTIONS.SAVED_SEARCHES, savedSearch.toJSON());
+      savedSearch.id = result.id;
+
+      console.log(`✅ Saved search created: Seeker ${seeker.id} saved search ${savedSearch.id}`);
+      return savedSearch;
+    } catch (error) {
+      console.error('Error creating saved search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find saved search by ID
+   */
+  static async findById(searchId) {
+    try {
+      const data = await databaseService.getById(COLLECTIONS.SAVED_SEARCHES, searchId);
+      return data ? new SavedSearch(data) : null;
+    } catch (error) {
+      console.error('Error finding saved search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a seeker's saved searches, newest first
+   */
+  static async findBySeekerId(seekerId) {
+    try {
+      const searches = await databaseService.query(COLLECTIONS.SAVED_SEARCHES, [
+        { field: 'seekerId', operator: '==', value: seekerId }
+      ]);
+
+      return searches
+        .map(search => new SavedSearch(search))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+      console.error('Error getting saved searches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every saved search that wants new-job alerts
+   */
+  static async findWithAlertsEnabled() {
+    try {
+      const searches = await databaseService.query(COLLECTIONS.SAVED_SEARCHES, [
+        { field: 'alertsEnabled', operator: '==', value: true }
+      ]);
+
+      return searches.map(search => new SavedSearch(search));
+    } catch (error) {
+      console.error('Error getting saved searches with alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update name, filters, location or alert settings
+   * Filters and location are replaced as a whole when given
+   */
+  async update(updateData) {
+    try {
+      const updated = new SavedSearch({
+        ...this,
+        ...pick(updateData, EDITABLE_FIELDS),
+        updatedAt: new Date().toISOString()
+      });
+      updated.validate();
+
+      await databaseService.update(COLLECTIONS.SAVED_SEARCHES, this.id, updated.toJSON());
+      Object.assign(this, updated);
+
+      return this;
+    } catch (error) {
+      console.error('Error updating saved search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the saved search
+   */
+  async delete() {
+    try {
+      await databaseService.delete(COLLECTIONS.SAVED_SEARCHES, this.id);
+      console.log(`✅ Saved search deleted: ${this.id}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A search needs a name and at least one filter or a location, otherwise it alerts on every job
+   */
+  validate() {
+    if (!this.name) {
+      throw new AppError('Saved search name is required', 400);
+    }
+    if (Object.keys(this.filters).length === 0 && !this.location) {
+      throw new AppError('Saved search needs at least one filter or a location', 400);
+    }
+  }
+
+  /**
+   * Filters in the shape job search takes, including the location radius
+   */
+  toSearchFilters() {
+    return {
+      ...this.filters,
+      geo: this.location
+    };
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      seekerId: this.seekerId,
+      userId: this.userId,
+      name: this.name,
+      filters: this.filters,
+      location: this.location,
+      frequency: this.frequency,
+      alertsEnabled: this.alertsEnabled,
+      alertCount: this.alertCount,
+      lastAlertedAt: this.lastAlertedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      seekerId: this.seekerId,
+      name: this.name,
+      filters: this.filters,
+      location: this.location,
+      frequency: this.frequency,
+      alertsEnabled: this.alertsEnabled,
+      alertCount: this.alertCount,
+      lastAlertedAt: this.lastAlertedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+SavedSearch.FREQUENCIES = FREQUENCIES;
+SavedSearch.MAX_PER_SEEKER = MAX_PER_SEEKER;
+
+module.exports = SavedSearch;
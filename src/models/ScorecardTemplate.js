@@ -0,0 +1,289 @@
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_CRITERIA = 15;
+const MAX_WEIGHT = 10;
+
+// Used when a company has no template of its own
+const DEFAULT_CRITERIA = [
+  { key: 'punctuality', label: 'Punctuality', description: 'Arrived or joined on time and prepared', weight: 1 },
+  { key: 'communication', label: 'Communication', description: 'Clear, polite and easy to understand', weight: 2 },
+  { key: 'language', label: 'Language', description: 'Arabic and English for the role', weight: 1 },
+  { key: 'experience', label: 'Experience', description: 'Relevant experience and skills for the role', weight: 2 }
+];
+
+// Fields the company can set
+const EDITABLE_FIELDS = ['name', 'roleNames', 'criteria'];
+
+/**
+ * Keep only the listed keys that are present in source
+ */
+const pick = (source = {}, keys) => {
+  return keys.reduce((result, key) => {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * "Customer Service" -> "customer_service"
+ */
+const toCriterionKey = (value) => {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Criteria with keys, labels and weights filled in
+ * @throws {AppError} when a criterion has no label, a bad weight or a duplicate key
+ */
+const normalizeCriteria = (criteria) => {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    throw new AppError('A scorecard needs at least one criterion', 400);
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    throw new AppError(`A scorecard can have up to ${MAX_CRITERIA} criteria`, 400);
+  }
+
+  const keys = new Set();
+  return criteria.map(criterion => {
+    const label = String(criterion.label || '').trim();
+    const key = toCriterionKey(criterion.key || label);
+    const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+
+    if (!label || !key) {
+      throw new AppError('Each criterion needs a label', 400);
+    }
+    if (keys.has(key)) {
+      throw new AppError(`Criterion "${label}" appears more than once`, 400);
+    }
+    if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_WEIGHT) {
+      throw new AppError(`Criterion "${label}" needs a weight above 0 and up to ${MAX_WEIGHT}`, 400);
+    }
+    keys.add(key);
+
+    return {
+      key,
+      label,
+      description: criterion.description ? String(criterion.description).trim() : null,
+      weight
+    };
+  });
+};
+
+/**
+ * Trimmed, de-duplicated role names, compared case-insensitively
+ */
+const normalizeRoleNames = (roleNames = []) => {
+  const names = (Array.isArray(roleNames) ? roleNames : [roleNames])
+    .map(name => String(name || '').trim())
+    .filter(Boolean);
+
+  return [...new Map(names.map(name => [name.toLowerCase(), name])).values()];
+};
+
+/**
+ * Scorecard Template Model
+ * The weighted criteria a company's interviewers score candidates on
+ *
+ * A template with no roleNames is the company-wide one; a template listing roles applies to
+ * interviews for jobs with one of those roles instead
+ */
+class ScorecardTemplate {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.companyId = data.companyId || null;
+    this.name = data.name || null;
+    this.roleNames = normalizeRoleNames(data.roleNames);
+    this.criteria = data.criteria || DEFAULT_CRITERIA;
+
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Create a template for a company
+   * @param {string} companyId - Company ID
+   * @param {Object} templateData - { name, roleNames, criteria }
+   * @param {string} userId - User creating it
+   */
+  static async create(companyId, templateData, userId) {
+    try {
+      const template = new ScorecardTemplate({
+        ...pick(templateData, EDITABLE_FIELDS),
+        companyId,
+        createdBy: userId
+      });
+      template.validate();
+      await template.checkOverlap();
+
+      const result = await databaseService.create(COLLECTIONS.SCORECARD_TEMPLATES, template.toJSON());
+      template.id = result.id;
+
+      console.log(`✅ Scorecard template created: ${template.id} for company ${companyId}`);
+      return template;
+    } catch (error) {
+      console.error('Error creating scorecard template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find template by ID
+   */
+  static async findById(templateId) {
+    try {
+      const data = await databaseService.getById(COLLECTIONS.SCORECARD_TEMPLATES, templateId);
+      return data ? new ScorecardTemplate(data) : null;
+    } catch (error) {
+      console.error('Error finding scorecard template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a company's templates, company-wide first then by name
+   */
+  static async findByCompanyId(companyId) {
+    try {
+      const templates = await databaseService.query(COLLECTIONS.SCORECARD_TEMPLATES, [
+        { field: 'companyId', operator: '==', value: companyId }
+      ]);
+
+      return templates
+        .map(template => new ScorecardTemplate(template))
+        .sort((a, b) => a.roleNames.length - b.roleNames.length || String(a.name).localeCompare(String(b.name)));
+    } catch (error) {
+      console.error('Error getting scorecard templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The template that applies to a job: the one for its role, else the company-wide one,
+   * else the built-in defaults (without an id)
+   * @param {string} companyId - Company ID
+   * @param {string|null} roleName - The job's role
+   */
+  static async findForRole(companyId, roleName) {
+    const templates = await ScorecardTemplate.findByCompanyId(companyId);
+    const role = String(roleName || '').trim().toLowerCase();
+
+    return templates.find(template => role && template.appliesToRole(role)) ||
+      templates.find(template => template.roleNames.length === 0) ||
+      new ScorecardTemplate({ companyId, name: 'Default scorecard' });
+  }
+
+  /**
+   * Update name, roles or criteria
+   * Scorecards already submitted keep the criteria they were scored on
+   */
+  async update(updateData) {
+    try {
+      const updated = new ScorecardTemplate({
+        ...this,
+        ...pick(updateData, EDITABLE_FIELDS),
+        updatedAt: new Date().toISOString()
+      });
+      updated.validate();
+      await updated.checkOverlap();
+
+      await databaseService.update(COLLECTIONS.SCORECARD_TEMPLATES, this.id, updated.toJSON());
+      Object.assign(this, updated);
+
+      return this;
+    } catch (error) {
+      console.error('Error updating scorecard template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the template
+   */
+  async delete() {
+    try {
+      await databaseService.delete(COLLECTIONS.SCORECARD_TEMPLATES, this.id);
+      console.log(`✅ Scorecard template deleted: ${this.id}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting scorecard template:', error);
+      throw error;
+    }
+  }
+
+  appliesToRole(roleName) {
+    const role = String(roleName || '').trim().toLowerCase();
+    return this.roleNames.some(name => name.toLowerCase() === role);
+  }
+
+  /**
+   * Name required; criteria normalized in place
+   */
+  validate() {
+    if (!this.name) {
+      throw new AppError('Scorecard template name is required', 400);
+    }
+    this.criteria = normalizeCriteria(this.criteria);
+  }
+
+  /**
+   * Each role, and the company-wide slot, can only have one template
+   * @throws {AppError} 409 when another template already covers one of them
+   */
+  async checkOverlap() {
+    const others = (await ScorecardTemplate.findByCompanyId(this.companyId))
+      .filter(template => template.id !== this.id);
+
+    if (this.roleNames.length === 0) {
+      if (others.some(template => template.roleNames.length === 0)) {
+        throw new AppError('The company already has a company-wide scorecard template', 409);
+      }
+      return;
+    }
+
+    for (const roleName of this.roleNames) {
+      const taken = others.find(template => template.appliesToRole(roleName));
+      if (taken) {
+        throw new AppError(`Role "${roleName}" already uses the "${taken.name}" scorecard template`, 409);
+      }
+    }
+  }
+
+  /**
+   * Convert to JSON for database storage
+   */
+  toJSON() {
+    return {
+      companyId: this.companyId,
+      name: this.name,
+      roleNames: this.roleNames,
+      criteria: this.criteria,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      companyId: this.companyId,
+      name: this.name,
+      roleNames: this.roleNames,
+      criteria: this.criteria,
+      isDefault: !this.id,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+ScorecardTemplate.DEFAULT_CRITERIA = DEFAULT_CRITERIA;
+
+module.exports = ScorecardTemplate;
@@ -16,6 +16,7 @@ class User {
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.suspendedUntil = data.suspendedUntil || false;
     this.isPermanentlyBanned = data.isPermanentlyBanned || false;
+    this.preferredLanguage = data.preferredLanguage || 'en'; // 'en' or 'ar' - used for notifications
     this.createdAt = data.createdAt || null;
     this.updatedAt = data.updatedAt || null;
     this.lastLoginAt = data.lastLoginAt || null;
@@ -33,6 +34,7 @@ class User {
         phoneNumber: phoneData.phoneNumber,
         countryCode: cleanCountryCode,
         userType: phoneData.userType,
+        preferredLanguage: phoneData.preferredLanguage,
         isPhoneVerified: false // Initially false, will be verified via OTP
       });
 
@@ -131,6 +133,16 @@ class User {
     });
   }
 
+  /**
+   * Update preferred language for notifications
+   */
+  async updatePreferredLanguage(language) {
+    return await this.update({
+      preferredLanguage: language,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
   /**
    * Deactivate user account
    */
@@ -268,6 +280,7 @@ class User {
       isActive: this.isActive,
       suspendedUntil: this.suspendedUntil,
       isPermanentlyBanned: this.isPermanentlyBanned,
+      preferredLanguage: this.preferredLanguage,
       lastLoginAt: this.lastLoginAt
     };
   }
@@ -284,6 +297,7 @@ class User {
       onboardingCompleted: this.onboardingCompleted,
       profileCompleted: this.profileCompleted,
       isActive: this.isActive,
+      preferredLanguage: this.preferredLanguage,
       createdAt: this.createdAt
     };
   }
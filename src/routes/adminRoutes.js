@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const AdminController = require('../controllers/adminController');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { authLimiter } = require('../middleware/security');
+const { ADMIN_ROLES, ADMIN_PERMISSIONS } = require('../config/constants');
+const Admin = require('../models/Admin');
+const creditLedgerService = require('../services/creditLedgerService');
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ * Base path: /api/admin
+ * Sign-in is email + password + authenticator app (TOTP); every other route needs an admin
+ * access token and the permission it lists, and is written to the audit trail
+ */
+
+const codeValidation = body('code')
+  .optional()
+  .matches(/^\d{6}$/)
+  .withMessage('Authentication code must be 6 digits');
+
+/**
+ * @route   POST /api/admin/auth/login
+ * @desc    Sign in with email, password and authenticator code; first sign-in returns TOTP setup details instead
+ * @access  Public
+ */
+router.post('/auth/login', authLimiter, [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Valid email is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  codeValidation
+], AdminController.login);
+
+/**
+ * @route   POST /api/admin/auth/totp/enroll
+ * @desc    Confirm the authenticator app with its first code and sign in
+ * @access  Public (setup token from login)
+ */
+router.post('/auth/totp/enroll', authLimiter, [
+  body('setupToken')
+    .notEmpty()
+    .withMessage('Setup token is required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+], AdminController.enrollTotp);
+
+/**
+ * @route   POST /api/admin/auth/refresh-token
+ * @desc    Get a new admin access token
+ * @access  Public (admin refresh token)
+ */
+router.post('/auth/refresh-token', authLimiter, [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], AdminController.refreshToken);
+
+/**
+ * @route   GET /api/admin/me
+ * @desc    Get the signed-in admin and their permissions
+ * @access  Admin
+ */
+router.get('/me', authenticateToken, requireAdmin(), AdminController.getMe);
+
+/**
+ * @route   PUT /api/admin/me/password
+ * @desc    Change the signed-in admin's password
+ * @access  Admin
+ */
+router.put('/me/password', authenticateToken, requireAdmin(), [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: Admin.MIN_PASSWORD_LENGTH })
+    .withMessage(`New password must be at least ${Admin.MIN_PASSWORD_LENGTH} characters`)
+], AdminController.changePassword);
+
+/**
+ * @route   GET /api/admin/admins
+ * @desc    List admins
+ * @access  Admin (admins:manage)
+ */
+router.get('/admins', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.ADMINS_MANAGE), AdminController.getAdmins);
+
+/**
+ * @route   POST /api/admin/admins
+ * @desc    Create an admin with a starting password
+ * @access  Admin (admins:manage)
+ */
+router.post('/admins', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.ADMINS_MANAGE), [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Valid email is required'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be at most 100 characters'),
+  body('role')
+    .isIn(Object.values(ADMIN_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(ADMIN_ROLES).join(', ')}`),
+  body('password')
+    .isLength({ min: Admin.MIN_PASSWORD_LENGTH })
+    .withMessage(`Password must be at least ${Admin.MIN_PASSWORD_LENGTH} characters`)
+], AdminController.createAdmin);
+
+/**
+ * @route   PUT /api/admin/admins/:adminId
+ * @desc    Change an admin's name, role or active status
+ * @access  Admin (admins:manage)
+ */
+router.put('/admins/:adminId', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.ADMINS_MANAGE), [
+  param('adminId')
+    .notEmpty()
+    .withMessage('Admin ID is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('role')
+    .optional()
+    .isIn(Object.values(ADMIN_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(ADMIN_ROLES).join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], AdminController.updateAdmin);
+
+/**
+ * @route   POST /api/admin/admins/:adminId/reset-totp
+ * @desc    Reset an admin's authenticator app, e.g. after a lost phone
+ * @access  Admin (admins:manage)
+ */
+router.post('/admins/:adminId/reset-totp', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.ADMINS_MANAGE), [
+  param('adminId')
+    .notEmpty()
+    .withMessage('Admin ID is required')
+], AdminController.resetTotp);
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Search the admin audit trail, newest first
+ * @access  Admin (audit:read)
+ */
+router.get('/audit-logs', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.AUDIT_READ), [
+  query('adminId').optional().isString(),
+  query('action').optional().isString(),
+  query('targetId').optional().isString(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+], AdminController.getAuditLogs);
+
+/**
+ * @route   GET /api/admin/payouts
+ * @desc    List seeker payouts by status, oldest due first
+ * @access  Admin (payouts:manage)
+ */
+router.get('/payouts', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'paid'])
+    .withMessage('Status must be pending or paid'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+], AdminController.getPayouts);
+
+/**
+ * @route   POST /api/admin/payouts/:payoutId/mark-paid
+ * @desc    Record the bank or wallet transfer of a seeker payout
+ * @access  Admin (payouts:manage)
+ */
+router.post('/payouts/:payoutId/mark-paid', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.PAYOUTS_MANAGE), [
+  param('payoutId')
+    .notEmpty()
+    .withMessage('Payout ID is required'),
+  body('paymentReference')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payment reference is required')
+], AdminController.markPayoutPaid);
+
+/**
+ * @route   GET /api/admin/companies/:companyId/credits
+ * @desc    Credit balances of a company and its ledger entries, newest first
+ * @access  Admin (credits:manage)
+ */
+router.get('/companies/:companyId/credits', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.CREDITS_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+], AdminController.getCompanyCredits);
+
+/**
+ * @route   POST /api/admin/companies/:companyId/credits/adjustments
+ * @desc    Add credits as a new lot (quantity > 0) or take them from the oldest lots (quantity < 0)
+ * @access  Admin (credits:manage)
+ */
+router.post('/companies/:companyId/credits/adjustments', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.CREDITS_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  body('creditType')
+    .isIn(Object.values(creditLedgerService.CREDIT_TYPES))
+    .withMessage(`Credit type must be one of: ${Object.values(creditLedgerService.CREDIT_TYPES).join(', ')}`),
+  body('quantity')
+    .isInt({ min: -1000, max: 1000 })
+    .withMessage('Quantity must be a whole number between -1000 and 1000')
+    .custom(value => parseInt(value) !== 0)
+    .withMessage('Quantity cannot be 0'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date'),
+  body('note')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A note of 3-500 characters explaining the adjustment is required')
+], AdminController.adjustCompanyCredits);
+
+/**
+ * @route   POST /api/admin/companies/:companyId/payments
+ * @desc    Record a payment received offline (LPO or bank transfer) and issue its tax invoice
+ * @access  Admin (invoices:manage)
+ */
+router.post('/companies/:companyId/payments', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.INVOICES_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  body('paymentType')
+    .isIn(['PAYG', 'Add on', 'Starter Plan', 'Pro Bundle', 'Custom Plan'])
+    .withMessage('Payment type must be PAYG, Add on, Starter Plan, Pro Bundle, or Custom Plan'),
+  body('amount')
+    .isFloat({ min: 0.001 })
+    .withMessage('Amount must be greater than 0'),
+  body('paymentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid ISO date'),
+  body('validity')
+    .optional()
+    .isString()
+    .withMessage('Validity must be a string'),
+  body('lpoNumber')
+    .optional()
+    .isString()
+    .withMessage('LPO number must be a string'),
+  body('lpoIssuedDate')
+    .optional()
+    .isISO8601()
+    .withMessage('LPO issued date must be a valid ISO date'),
+  body('transactionReference')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('The bank transfer or LPO payment reference is required')
+], AdminController.recordCompanyPayment);
+
+/**
+ * @route   GET /api/admin/companies/:companyId/invoices
+ * @desc    Tax invoices and credit notes of a company, newest first
+ * @access  Admin (invoices:manage)
+ */
+router.get('/companies/:companyId/invoices', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.INVOICES_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+], AdminController.getCompanyInvoices);
+
+/**
+ * @route   POST /api/admin/invoices/:invoiceId/credit-notes
+ * @desc    Refund all or part of an invoice with a credit note, emailed to the company
+ * @access  Admin (invoices:manage)
+ */
+router.post('/invoices/:invoiceId/credit-notes', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.INVOICES_MANAGE), [
+  param('invoiceId')
+    .notEmpty()
+    .withMessage('Invoice ID is required'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.001 })
+    .withMessage('Amount must be greater than 0'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A reason of 3-500 characters is required')
+], AdminController.issueCreditNote);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const CalendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+/**
+ * Calendar Routes
+ * iCalendar subscription feeds of interviews and confirmed shifts
+ */
+
+/**
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @desc    Read-only calendar feed for calendar apps (the token is the credential)
+ * @access  Public
+ */
+router.get('/feeds/:token.ics', CalendarController.getFeedCalendar);
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get the signed-in company's or seeker's feed URL
+ * @access  Private (Company, Seeker)
+ */
+router.get('/feed', authenticateToken, CalendarController.getFeed);
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create the feed, or rotate it to a new URL
+ * @access  Private (Company, Seeker)
+ */
+router.post('/feed', authenticateToken, CalendarController.createFeed);
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Revoke the feed URL
+ * @access  Private (Company, Seeker)
+ */
+router.delete('/feed', authenticateToken, CalendarController.revokeFeed);
+
+module.exports = router;
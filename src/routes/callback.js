@@ -1,4 +1,7 @@
 const express = require('express');
+const whatsappService = require('../services/whatsappService');
+const whatsappInboundService = require('../services/whatsappInboundService');
+const logger = require('../utils/logger');
 const router = express.Router();
 
 // Omantel webhook endpoint
@@ -34,4 +37,66 @@ router.post('/omantel', (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/callback/whatsapp
+ * @desc    WhatsApp Cloud API webhook verification handshake
+ * @access  Public (verify token)
+ */
+router.get('/whatsapp', (req, res) => {
+  const challenge = whatsappService.verifySubscription(
+    req.query['hub.mode'],
+    req.query['hub.verify_token'],
+    req.query['hub.challenge']
+  );
+
+  if (challenge === null) {
+    logger.warn('📱 WhatsApp webhook verification failed - verify token mismatch');
+    return res.status(403).send('Forbidden');
+  }
+
+  res.status(200).send(challenge);
+});
+
+/**
+ * @route   POST /api/callback/whatsapp
+ * @desc    WhatsApp Cloud API webhook - delivery statuses and inbound messages
+ * @access  Public (X-Hub-Signature-256)
+ */
+router.post('/whatsapp', async (req, res) => {
+  if (!whatsappService.verifySignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+    logger.warn(`📱 WhatsApp webhook rejected - invalid signature from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  try {
+    const { statuses, messages } = await whatsappService.handleWebhook(req.body || {});
+    // Replies to interview and hire requests; each message is claimed once so retries are safe
+    const replies = await whatsappInboundService.handleMessages(messages);
+    const handled = replies.filter(result => result.handled).length;
+    const failed = replies.filter(result => result.failed).length;
+    logger.info(`📱 WhatsApp webhook processed: ${statuses} statuses, ${messages.length} messages (${handled} replies applied, ${failed} failed)`);
+
+    // Failed messages were released - have Meta redeliver them; the rest are skipped as duplicates
+    if (failed > 0) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process some messages'
+      });
+    }
+
+    res.status(200).json({ success: true });
+
+  } catch (error) {
+    // Non-200 makes Meta retry the delivery; status updates are idempotent
+    logger.error('❌ WhatsApp webhook processing failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,41 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const multer = require('multer');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
 const ChatController = require('../controllers/chatController');
+const { FILE_UPLOAD, ADMIN_PERMISSIONS } = require('../config/constants');
+const { REPORT_REASONS, REPORT_STATUSES } = require('../services/chatModerationService');
 
 const router = express.Router();
 
+// Type and content checks happen in chatAttachmentService; multer only caps the size
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: FILE_UPLOAD.MAX_SIZE,
+    files: 1
+  }
+});
+
+const uploadAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `File must be ${Math.round(FILE_UPLOAD.MAX_SIZE / (1024 * 1024))}MB or smaller`
+        : error.message
+    });
+  });
+};
+
 /**
  * Chat Routes - Firebase Real-time Messaging
  * All routes require authentication
+ * Live updates are pushed over GET /:chatId/events; the REST endpoints remain the fallback
  */
 
 // Apply auth middleware to all routes
@@ -20,6 +48,63 @@ router.use(authenticateToken);
  */
 router.get('/', ChatController.getUserChats);
 
+// Moderation routes - declared before /:chatId so "moderation" isn't taken as a chat ID
+
+/**
+ * @route   GET /api/chats/moderation/reports
+ * @desc    List reported chat messages
+ * @access  Private (Admin)
+ */
+router.get('/moderation/reports', requireAdmin(ADMIN_PERMISSIONS.CHATS_MODERATE), [
+  query('status')
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage(`Status must be one of: ${REPORT_STATUSES.join(', ')}`),
+  query('chatId')
+    .optional()
+    .isString()
+    .withMessage('Chat ID must be a string'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], ChatController.getReports);
+
+/**
+ * @route   PUT /api/chats/moderation/reports/:reportId
+ * @desc    Mark a report as reviewed, actioned or dismissed
+ * @access  Private (Admin)
+ */
+router.put('/moderation/reports/:reportId', requireAdmin(ADMIN_PERMISSIONS.CHATS_MODERATE), [
+  body('status')
+    .isIn(REPORT_STATUSES.filter(status => status !== 'open'))
+    .withMessage('Status must be one of: reviewed, actioned, dismissed'),
+  body('resolution')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution must not exceed 1000 characters')
+], ChatController.reviewReport);
+
+/**
+ * @route   GET /api/chats/moderation/filter-logs
+ * @desc    List messages where contact details were masked
+ * @access  Private (Admin)
+ */
+router.get('/moderation/filter-logs', requireAdmin(ADMIN_PERMISSIONS.CHATS_MODERATE), [
+  query('chatId')
+    .optional()
+    .isString()
+    .withMessage('Chat ID must be a string'),
+  query('senderId')
+    .optional()
+    .isString()
+    .withMessage('Sender ID must be a string'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], ChatController.getFilterLogs);
+
 /**
  * @route   POST /api/chats/create
  * @desc    Create a new chat (manual creation for testing)
@@ -71,6 +156,115 @@ router.post('/:chatId/messages', [
     .withMessage('Invalid message type')
 ], ChatController.sendMessage);
 
+/**
+ * @route   PUT /api/chats/:chatId/messages/:messageId
+ * @desc    Edit own text message within the edit window
+ * @access  Private
+ */
+router.put('/:chatId/messages/:messageId', [
+  body('messageText')
+    .notEmpty()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message text is required and must be between 1-1000 characters')
+], ChatController.editMessage);
+
+/**
+ * @route   DELETE /api/chats/:chatId/messages/:messageId
+ * @desc    Delete own message within the delete window (soft delete)
+ * @access  Private
+ */
+router.delete('/:chatId/messages/:messageId', ChatController.deleteMessage);
+
+/**
+ * @route   POST /api/chats/:chatId/messages/:messageId/report
+ * @desc    Report a message to the admins
+ * @access  Private
+ */
+router.post('/:chatId/messages/:messageId/report', [
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Details must not exceed 1000 characters')
+], ChatController.reportMessage);
+
+/**
+ * @route   POST /api/chats/:chatId/attachments
+ * @desc    Send an image or document (multipart/form-data, field "file", optional "caption")
+ * @access  Private
+ */
+router.post('/:chatId/attachments', uploadAttachment, [
+  body('caption')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Caption must not exceed 1000 characters')
+], ChatController.uploadAttachment);
+
+/**
+ * @route   GET /api/chats/:chatId/messages/:messageId/attachment
+ * @desc    Get a short-lived signed download URL for a message attachment
+ * @access  Private (chat participants only)
+ */
+router.get('/:chatId/messages/:messageId/attachment', ChatController.getAttachmentUrl);
+
+/**
+ * @route   POST /api/chats/:chatId/location
+ * @desc    Send a location pin; useJobLocation sends the shift address of the chat's job
+ * @access  Private
+ */
+router.post('/:chatId/location', [
+  body('useJobLocation')
+    .optional()
+    .isBoolean()
+    .withMessage('useJobLocation must be a boolean')
+    .toBoolean(),
+  body('latitude')
+    .if(body('useJobLocation').not().equals('true'))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .if(body('useJobLocation').not().equals('true'))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('address')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Address must not exceed 200 characters'),
+  body('name')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters')
+], ChatController.sendLocation);
+
+/**
+ * @route   GET /api/chats/:chatId/events
+ * @desc    Stream chat events (messages, read receipts, typing, presence) over Server-Sent Events
+ * @access  Private
+ */
+router.get('/:chatId/events', ChatController.streamEvents);
+
+/**
+ * @route   POST /api/chats/:chatId/typing
+ * @desc    Start or stop the typing indicator
+ * @access  Private
+ */
+router.post('/:chatId/typing', [
+  body('isTyping')
+    .optional()
+    .isBoolean()
+    .withMessage('isTyping must be a boolean')
+    .toBoolean()
+], ChatController.setTyping);
+
+/**
+ * @route   GET /api/chats/:chatId/presence
+ * @desc    Get participants currently online in the chat
+ * @access  Private
+ */
+router.get('/:chatId/presence', ChatController.getPresence);
+
 /**
  * @route   PUT /api/chats/:chatId/read
  * @desc    Mark messages as read
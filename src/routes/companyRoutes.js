@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const CompanyController = require('../controllers/companyController');
+const CompanyTeamController = require('../controllers/companyTeamController');
+const CompanyMember = require('../models/CompanyMember');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { requireCompanyPermission, requireCompanyWideAccess } = require('../middleware/companyAccess');
+const { ADMIN_PERMISSIONS, COMPANY_PERMISSIONS } = require('../config/constants');
 const router = express.Router();
 
 /**
@@ -114,6 +119,35 @@ router.get('/user/:userId', authenticateToken, [
     .withMessage('User ID is required')
 ], CompanyController.getProfileByUserId);
 
+/**
+ * @route   GET /api/companies/team/access
+ * @desc    Get the signed-in user's company, team role, permissions and brand/location scope
+ * @access  Company team
+ */
+router.get('/team/access', authenticateToken, requireCompanyPermission(), CompanyTeamController.getMyAccess);
+
+/**
+ * @route   GET /api/companies/team-invitations/:token
+ * @desc    Look up a team invitation before accepting it
+ * @access  Private (JWT Token Required)
+ */
+router.get('/team-invitations/:token', authenticateToken, [
+  param('token')
+    .notEmpty()
+    .withMessage('Invitation token is required')
+], CompanyTeamController.getInvitation);
+
+/**
+ * @route   POST /api/companies/team-invitations/accept
+ * @desc    Join a company team with the signed-in, phone-verified company user
+ * @access  Private (JWT Token Required)
+ */
+router.post('/team-invitations/accept', authenticateToken, [
+  body('token')
+    .notEmpty()
+    .withMessage('Invitation token is required')
+], CompanyTeamController.acceptInvitation);
+
 /**
  * @route   GET /api/companies/:companyId
  * @desc    Get company profile by ID
@@ -128,9 +162,9 @@ router.get('/:companyId', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId
  * @desc    Update company profile
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.put('/:companyId', authenticateToken, [
+router.put('/:companyId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -217,9 +251,9 @@ router.put('/:companyId', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId/step/:step
  * @desc    Update profile step
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.put('/:companyId/step/:step', authenticateToken, [
+router.put('/:companyId/step/:step', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -274,9 +308,9 @@ router.get('/industry/:industry', [
 /**
  * @route   GET /api/companies/:companyId/completion
  * @desc    Get profile completion status
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/completion', authenticateToken, [
+router.get('/:companyId/completion', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -285,9 +319,9 @@ router.get('/:companyId/completion', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/logo
  * @desc    Upload company logo
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.post('/:companyId/logo', authenticateToken, [
+router.post('/:companyId/logo', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -301,9 +335,9 @@ router.post('/:companyId/logo', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/cover
  * @desc    Upload cover photo
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.post('/:companyId/cover', authenticateToken, [
+router.post('/:companyId/cover', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -344,9 +378,9 @@ router.post('/:companyId/rating', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId/trial-status
  * @desc    Update trial status
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.put('/:companyId/trial-status', authenticateToken, [
+router.put('/:companyId/trial-status', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -355,9 +389,9 @@ router.put('/:companyId/trial-status', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/payment-methods
  * @desc    Add payment method
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.post('/:companyId/payment-methods', authenticateToken, [
+router.post('/:companyId/payment-methods', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -377,9 +411,9 @@ router.post('/:companyId/payment-methods', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/purchase-subscription
  * @desc    Purchase subscription
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.post('/:companyId/purchase-subscription', authenticateToken, [
+router.post('/:companyId/purchase-subscription', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -398,9 +432,9 @@ router.post('/:companyId/purchase-subscription', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/payg-payment
  * @desc    Process pay-as-you-go payment
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.post('/:companyId/payg-payment', authenticateToken, [
+router.post('/:companyId/payg-payment', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -419,15 +453,15 @@ router.post('/:companyId/payg-payment', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/thawani-checkout
  * @desc    Create Thawani checkout session for payment
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.post('/:companyId/thawani-checkout', authenticateToken, [
+router.post('/:companyId/thawani-checkout', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
   body('planType')
-    .isIn(['pay_as_you_go', 'subscription_starter', 'subscription_pro'])
-    .withMessage('Plan type must be pay_as_you_go, subscription_starter, or subscription_pro'),
+    .isIn(['pay_as_you_go', 'interview_package', 'subscription_starter', 'subscription_pro'])
+    .withMessage('Plan type must be pay_as_you_go, interview_package, subscription_starter, or subscription_pro'),
   body('planName')
     .notEmpty()
     .isLength({ min: 1, max: 100 })
@@ -443,38 +477,80 @@ router.post('/:companyId/thawani-checkout', authenticateToken, [
 
 /**
  * @route   POST /api/companies/:companyId/thawani-webhook
- * @desc    Handle Thawani payment webhook
- * @access  Public (Thawani webhook)
+ * @desc    Handle Thawani payment webhook - the session is re-fetched from Thawani before anything is granted
+ * @access  Public (thawani-signature)
  */
 router.post('/:companyId/thawani-webhook', [
   param('companyId')
     .notEmpty()
-    .withMessage('Company ID is required'),
-  body('session_id')
-    .notEmpty()
-    .withMessage('Session ID is required'),
-  body('payment_status')
-    .notEmpty()
-    .withMessage('Payment status is required')
+    .withMessage('Company ID is required')
 ], CompanyController.handleThawaniWebhook);
 
 /**
  * @route   GET /api/companies/:companyId/plan-status
  * @desc    Get current plan status and expiration info
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/plan-status', authenticateToken, [
+router.get('/:companyId/plan-status', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
 ], CompanyController.getPlanStatus);
 
+/**
+ * @route   GET /api/companies/:companyId/credits
+ * @desc    Instant match and interview credits left, by lot, with the ledger entries behind them
+ * @access  Company team (billing:manage)
+ */
+router.get('/:companyId/credits', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+], CompanyController.getCreditLedger);
+
+/**
+ * @route   GET /api/companies/:companyId/invoices
+ * @desc    Tax invoices and credit notes of the company, newest first
+ * @access  Company team (billing:manage)
+ */
+router.get('/:companyId/invoices', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('documentType')
+    .optional()
+    .isIn(['invoice', 'credit_note'])
+    .withMessage('Document type must be invoice or credit_note'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+], CompanyController.getInvoices);
+
+/**
+ * @route   GET /api/companies/:companyId/invoices/:invoiceId/download
+ * @desc    Short-lived download URL for the PDF of an invoice or credit note
+ * @access  Company team (billing:manage)
+ */
+router.get('/:companyId/invoices/:invoiceId/download', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  param('invoiceId')
+    .notEmpty()
+    .withMessage('Invoice ID is required')
+], CompanyController.downloadInvoice);
+
 /**
  * @route   POST /api/companies/:companyId/request-custom-plan
  * @desc    Request custom plan
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.post('/:companyId/request-custom-plan', authenticateToken, [
+router.post('/:companyId/request-custom-plan', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -499,9 +575,9 @@ router.post('/:companyId/request-custom-plan', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/contact-admin
  * @desc    Contact admin
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.post('/:companyId/contact-admin', authenticateToken, [
+router.post('/:companyId/contact-admin', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -511,26 +587,115 @@ router.post('/:companyId/contact-admin', authenticateToken, [
     .withMessage('Message is required and must be between 10 and 1000 characters')
 ], CompanyController.contactAdmin);
 
+/**
+ * @route   GET /api/companies/:companyId/team-members
+ * @desc    Get team members and pending invitations
+ * @access  Company team (team:manage)
+ */
+router.get('/:companyId/team-members', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.TEAM_MANAGE), [
+  param('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('includeRevoked')
+    .optional()
+    .isBoolean()
+    .withMessage('includeRevoked must be a boolean')
+], CompanyTeamController.getTeamMembers);
+
 /**
  * @route   POST /api/companies/:companyId/team-members
- * @desc    Add team member
- * @access  Private (JWT Token Required)
+ * @desc    Invite a team member by email with a role, optionally limited to some brands/locations
+ * @access  Company team (team:manage)
  */
-router.post('/:companyId/team-members', authenticateToken, [
+router.post('/:companyId/team-members', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.TEAM_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
   body('email')
+    .trim()
     .isEmail()
-    .withMessage('Valid email is required')
-], CompanyController.addTeamMember);
+    .withMessage('Valid email is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('role')
+    .isIn(CompanyMember.INVITABLE_ROLES)
+    .withMessage(`Role must be one of: ${CompanyMember.INVITABLE_ROLES.join(', ')}`),
+  body('brandIds')
+    .optional()
+    .isArray()
+    .withMessage('brandIds must be an array'),
+  body('brandIds.*')
+    .isString()
+    .withMessage('Brand IDs must be strings'),
+  body('locationIds')
+    .optional()
+    .isArray()
+    .withMessage('locationIds must be an array'),
+  body('locationIds.*')
+    .isString()
+    .withMessage('Location IDs must be strings')
+], CompanyTeamController.inviteTeamMember);
+
+/**
+ * @route   PUT /api/companies/:companyId/team-members/:memberId
+ * @desc    Change a team member's role or brand/location scope
+ * @access  Company team (team:manage)
+ */
+router.put('/:companyId/team-members/:memberId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.TEAM_MANAGE), [
+  param('memberId')
+    .notEmpty()
+    .withMessage('Member ID is required'),
+  body('role')
+    .optional()
+    .isIn(CompanyMember.INVITABLE_ROLES)
+    .withMessage(`Role must be one of: ${CompanyMember.INVITABLE_ROLES.join(', ')}`),
+  body('brandIds')
+    .optional()
+    .isArray()
+    .withMessage('brandIds must be an array'),
+  body('brandIds.*')
+    .isString()
+    .withMessage('Brand IDs must be strings'),
+  body('locationIds')
+    .optional()
+    .isArray()
+    .withMessage('locationIds must be an array'),
+  body('locationIds.*')
+    .isString()
+    .withMessage('Location IDs must be strings')
+], CompanyTeamController.updateTeamMember);
+
+/**
+ * @route   DELETE /api/companies/:companyId/team-members/:memberId
+ * @desc    Remove a team member or withdraw their invitation
+ * @access  Company team (team:manage)
+ */
+router.delete('/:companyId/team-members/:memberId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.TEAM_MANAGE), [
+  param('memberId')
+    .notEmpty()
+    .withMessage('Member ID is required')
+], CompanyTeamController.removeTeamMember);
+
+/**
+ * @route   POST /api/companies/:companyId/team-members/:memberId/resend-invitation
+ * @desc    Send a pending invitation again with a new link
+ * @access  Company team (team:manage)
+ */
+router.post('/:companyId/team-members/:memberId/resend-invitation', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.TEAM_MANAGE), [
+  param('memberId')
+    .notEmpty()
+    .withMessage('Member ID is required')
+], CompanyTeamController.resendInvitation);
 
 /**
  * @route   POST /api/companies/:companyId/brands
  * @desc    Add brand
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.post('/:companyId/brands', authenticateToken, [
+router.post('/:companyId/brands', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -555,9 +720,9 @@ router.post('/:companyId/brands', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/locations
  * @desc    Add location
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.post('/:companyId/locations', authenticateToken, [
+router.post('/:companyId/locations', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -574,11 +739,11 @@ router.post('/:companyId/locations', authenticateToken, [
     .isObject()
     .withMessage('Coordinates must be an object'),
   body('coordinates.latitude')
-    .optional()
+    .if(body('coordinates').exists())
     .isFloat({ min: -90, max: 90 })
     .withMessage('Latitude must be between -90 and 90'),
   body('coordinates.longitude')
-    .optional()
+    .if(body('coordinates').exists())
     .isFloat({ min: -180, max: 180 })
     .withMessage('Longitude must be between -180 and 180'),
   body('manager')
@@ -590,20 +755,20 @@ router.post('/:companyId/locations', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/subscription
  * @desc    Get subscription details
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.get('/:companyId/subscription', authenticateToken, [
+router.get('/:companyId/subscription', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
 ], CompanyController.getSubscriptionDetails);
 
 /**
- * @route   POST /api/companies/:companyId/payment-transaction
+ * @desc    Add payment transaction (self-reported; not invoiced until confirmed)
  * @desc    Add payment transaction
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.post('/:companyId/payment-transaction', authenticateToken, [
+router.post('/:companyId/payment-transaction', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -642,9 +807,9 @@ router.post('/:companyId/payment-transaction', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/payment-history
  * @desc    Get payment history with filtering
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.get('/:companyId/payment-history', authenticateToken, [
+router.get('/:companyId/payment-history', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -677,9 +842,9 @@ router.get('/:companyId/payment-history', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/payment-stats
  * @desc    Get payment statistics
- * @access  Private (JWT Token Required)
+ * @access  Company team (billing:manage)
  */
-router.get('/:companyId/payment-stats', authenticateToken, [
+router.get('/:companyId/payment-stats', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.BILLING_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -688,9 +853,9 @@ router.get('/:companyId/payment-stats', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/pricing-plans
  * @desc    Get current pricing plans
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/pricing-plans', authenticateToken, [
+router.get('/:companyId/pricing-plans', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -699,9 +864,9 @@ router.get('/:companyId/pricing-plans', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/recommended-plan
  * @desc    Get recommended plan based on usage
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/recommended-plan', authenticateToken, [
+router.get('/:companyId/recommended-plan', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -710,9 +875,9 @@ router.get('/:companyId/recommended-plan', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/can-perform/:action
  * @desc    Check if company can perform action
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/can-perform/:action', authenticateToken, [
+router.get('/:companyId/can-perform/:action', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -724,9 +889,9 @@ router.get('/:companyId/can-perform/:action', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/trial-status
  * @desc    Get trial status
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/trial-status', authenticateToken, [
+router.get('/:companyId/trial-status', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -737,7 +902,7 @@ router.get('/:companyId/trial-status', authenticateToken, [
  * @desc    Admin: Verify CR
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:companyId/admin/verify-cr', authenticateToken, [
+router.post('/:companyId/admin/verify-cr', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.COMPANIES_VERIFY), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -752,7 +917,7 @@ router.post('/:companyId/admin/verify-cr', authenticateToken, [
  * @desc    Get detailed company profile (admin)
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/:companyId/detailed', authenticateToken, [
+router.get('/:companyId/detailed', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.COMPANIES_VERIFY), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -761,9 +926,9 @@ router.get('/:companyId/detailed', authenticateToken, [
 /**
  * @route   DELETE /api/companies/:companyId
  * @desc    Delete company profile
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.delete('/:companyId', authenticateToken, [
+router.delete('/:companyId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -772,9 +937,9 @@ router.delete('/:companyId', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/csv-data
  * @desc    Get company data in CSV format
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.get('/:companyId/csv-data', authenticateToken, [
+router.get('/:companyId/csv-data', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -783,9 +948,9 @@ router.get('/:companyId/csv-data', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId/csv-update
  * @desc    Update company data from CSV
- * @access  Private (JWT Token Required)
+ * @access  Company team (profile:manage)
  */
-router.put('/:companyId/csv-update', authenticateToken, [
+router.put('/:companyId/csv-update', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.PROFILE_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -854,9 +1019,9 @@ router.put('/:companyId/csv-update', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/stats
  * @desc    Get company statistics for reporting
- * @access  Private (JWT Token Required)
+ * @access  Company team (all locations)
  */
-router.get('/:companyId/stats', authenticateToken, [
+router.get('/:companyId/stats', authenticateToken, requireCompanyWideAccess(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -867,7 +1032,7 @@ router.get('/:companyId/stats', authenticateToken, [
  * @desc    Export all companies data to CSV format
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/export/csv', authenticateToken, [
+router.get('/export/csv', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.COMPANIES_EXPORT), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 10000 })
@@ -889,9 +1054,9 @@ router.get('/export/csv', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/jobs
  * @desc    Create new job posting (Step 1: Basic Info)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.post('/:companyId/jobs', authenticateToken, [
+router.post('/:companyId/jobs', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -931,9 +1096,9 @@ router.post('/:companyId/jobs', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId/jobs/:jobId/step/:step
  * @desc    Update job step (Steps 1-4)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:companyId/jobs/:jobId/step/:step', authenticateToken, [
+router.put('/:companyId/jobs/:jobId/step/:step', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1000,9 +1165,9 @@ router.put('/:companyId/jobs/:jobId/step/:step', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/jobs/:jobId/publish
  * @desc    Publish job (Final step)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.post('/:companyId/jobs/:jobId/publish', authenticateToken, [
+router.post('/:companyId/jobs/:jobId/publish', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1014,9 +1179,9 @@ router.post('/:companyId/jobs/:jobId/publish', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/jobs
  * @desc    Get all jobs for a company
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.get('/:companyId/jobs', authenticateToken, [
+router.get('/:companyId/jobs', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1037,9 +1202,9 @@ router.get('/:companyId/jobs', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/jobs/:jobId
  * @desc    Get job by ID
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.get('/:companyId/jobs/:jobId', authenticateToken, [
+router.get('/:companyId/jobs/:jobId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1055,9 +1220,9 @@ router.get('/:companyId/jobs/:jobId', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId/jobs/:jobId
  * @desc    Update job
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:companyId/jobs/:jobId', authenticateToken, [
+router.put('/:companyId/jobs/:jobId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1081,9 +1246,9 @@ router.put('/:companyId/jobs/:jobId', authenticateToken, [
 /**
  * @route   PUT /api/companies/:companyId/jobs/:jobId/toggle-status
  * @desc    Toggle job status (pause/resume)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:companyId/jobs/:jobId/toggle-status', authenticateToken, [
+router.put('/:companyId/jobs/:jobId/toggle-status', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1095,9 +1260,9 @@ router.put('/:companyId/jobs/:jobId/toggle-status', authenticateToken, [
 /**
  * @route   DELETE /api/companies/:companyId/jobs/:jobId
  * @desc    Delete job (soft delete)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.delete('/:companyId/jobs/:jobId', authenticateToken, [
+router.delete('/:companyId/jobs/:jobId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1109,9 +1274,9 @@ router.delete('/:companyId/jobs/:jobId', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/jobs/:jobId/copy
  * @desc    Copy job (create duplicate)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.post('/:companyId/jobs/:jobId/copy', authenticateToken, [
+router.post('/:companyId/jobs/:jobId/copy', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1123,9 +1288,9 @@ router.post('/:companyId/jobs/:jobId/copy', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/jobs/stats
  * @desc    Get job statistics for company
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage, all locations)
  */
-router.get('/:companyId/jobs/stats', authenticateToken, [
+router.get('/:companyId/jobs/stats', authenticateToken, requireCompanyWideAccess(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -1134,9 +1299,9 @@ router.get('/:companyId/jobs/stats', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/jobs/:jobId/applications
  * @desc    Get job applications
- * @access  Private (JWT Token Required)
+ * @access  Company team (applications:manage)
  */
-router.get('/:companyId/jobs/:jobId/applications', authenticateToken, [
+router.get('/:companyId/jobs/:jobId/applications', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1160,9 +1325,9 @@ router.get('/:companyId/jobs/:jobId/applications', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/jobs/:jobId/shortlist
  * @desc    Shortlist or reject candidate
- * @access  Private (JWT Token Required)
+ * @access  Company team (applications:manage)
  */
-router.post('/:companyId/jobs/:jobId/shortlist', authenticateToken, [
+router.post('/:companyId/jobs/:jobId/shortlist', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1180,9 +1345,9 @@ router.post('/:companyId/jobs/:jobId/shortlist', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/jobs/:jobId/schedule-interview
  * @desc    Schedule interview with candidate
- * @access  Private (JWT Token Required)
+ * @access  Company team (interviews:manage)
  */
-router.post('/:companyId/jobs/:jobId/schedule-interview', authenticateToken, [
+router.post('/:companyId/jobs/:jobId/schedule-interview', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1214,9 +1379,9 @@ router.post('/:companyId/jobs/:jobId/schedule-interview', authenticateToken, [
 /**
  * @route   POST /api/companies/:companyId/jobs/:jobId/hire
  * @desc    Hire candidate
- * @access  Private (JWT Token Required)
+ * @access  Company team (applications:manage)
  */
-router.post('/:companyId/jobs/:jobId/hire', authenticateToken, [
+router.post('/:companyId/jobs/:jobId/hire', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1244,10 +1409,11 @@ router.post('/:companyId/jobs/:jobId/hire', authenticateToken, [
 
 /**
  * @route   GET /api/companies/:companyId/jobs/:jobId/matching-seekers
- * @desc    Get matching seekers for job
- * @access  Private (JWT Token Required)
+ * @desc    Get seekers ranked by match score, with the reasons behind each score
+ *          (blocked seekers are excluded)
+ * @access  Company team (jobs:manage)
  */
-router.get('/:companyId/jobs/:jobId/matching-seekers', authenticateToken, [
+router.get('/:companyId/jobs/:jobId/matching-seekers', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1271,9 +1437,9 @@ router.get('/:companyId/jobs/:jobId/matching-seekers', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/dashboard/hiring-analytics
  * @desc    Get hiring analytics dashboard data
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage, all locations)
  */
-router.get('/:companyId/dashboard/hiring-analytics', authenticateToken, [
+router.get('/:companyId/dashboard/hiring-analytics', authenticateToken, requireCompanyWideAccess(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1286,9 +1452,9 @@ router.get('/:companyId/dashboard/hiring-analytics', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/jobs/trending
  * @desc    Get company's trending jobs
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage, all locations)
  */
-router.get('/:companyId/jobs/trending', authenticateToken, [
+router.get('/:companyId/jobs/trending', authenticateToken, requireCompanyWideAccess(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1390,9 +1556,9 @@ router.get('/brands/:brandId/jobs', authenticateToken, [
 /**
  * @route   GET /api/companies/:companyId/interview-limits
  * @desc    Check interview limits and current usage for company
- * @access  Private (JWT Token Required)
+ * @access  Company team
  */
-router.get('/:companyId/interview-limits', authenticateToken, [
+router.get('/:companyId/interview-limits', authenticateToken, requireCompanyPermission(), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -1412,9 +1578,9 @@ router.get('/brands/:brandId/details', [
 /**
  * @route   GET /api/companies/:companyId/applications
  * @desc    Get applications for a company with filtering (including upcoming interviews)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/:companyId/applications', authenticateToken, [
+router.get('/:companyId/applications', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -1,6 +1,8 @@
 const express = require('express');
 const { param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 const EmailHistoryController = require('../controllers/emailHistoryController');
 
 const router = express.Router();
@@ -18,7 +20,7 @@ router.use(authenticateToken);
  * @desc    Get email history with filtering options
  * @access  Private (Admin)
  */
-router.get('/', [
+router.get('/', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_READ), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -50,7 +52,7 @@ router.get('/', [
  * @desc    Get email statistics for a date range
  * @access  Private (Admin)
  */
-router.get('/stats', [
+router.get('/stats', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_READ), [
   query('startDate')
     .notEmpty()
     .isISO8601()
@@ -66,7 +68,7 @@ router.get('/stats', [
  * @desc    Get specific email details by email ID
  * @access  Private (Admin)
  */
-router.get('/:emailId', [
+router.get('/:emailId', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_READ), [
   param('emailId').notEmpty().withMessage('Email ID is required')
 ], EmailHistoryController.getEmailById);
 
@@ -75,7 +77,7 @@ router.get('/:emailId', [
  * @desc    Get email history for specific recipient
  * @access  Private (Admin)
  */
-router.get('/recipient/:email', [
+router.get('/recipient/:email', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_READ), [
   param('email').isEmail().withMessage('Valid email is required'),
   query('limit')
     .optional()
@@ -88,7 +90,7 @@ router.get('/recipient/:email', [
  * @desc    Get email history by notification type
  * @access  Private (Admin)
  */
-router.get('/type/:notificationType', [
+router.get('/type/:notificationType', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_READ), [
   param('notificationType').notEmpty().withMessage('Notification type is required'),
   query('limit')
     .optional()
@@ -101,7 +103,7 @@ router.get('/type/:notificationType', [
  * @desc    Get failed emails that can be retried
  * @access  Private (Admin)
  */
-router.get('/failed/retry', [
+router.get('/failed/retry', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_READ), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -113,7 +115,7 @@ router.get('/failed/retry', [
  * @desc    Retry sending a failed email
  * @access  Private (Admin)
  */
-router.post('/:emailHistoryId/retry', [
+router.post('/:emailHistoryId/retry', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_MANAGE), [
   param('emailHistoryId').notEmpty().withMessage('Email history ID is required')
 ], EmailHistoryController.retryEmail);
 
@@ -122,7 +124,7 @@ router.post('/:emailHistoryId/retry', [
  * @desc    Clean up old email history records
  * @access  Private (Admin)
  */
-router.delete('/cleanup', [
+router.delete('/cleanup', requireAdmin(ADMIN_PERMISSIONS.EMAIL_HISTORY_MANAGE), [
   query('daysToKeep')
     .optional()
     .isInt({ min: 1, max: 3650 })
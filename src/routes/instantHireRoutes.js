@@ -1,10 +1,26 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { requireCompanyPermission, requireCompanyWideAccess, restrictCompanyUsers } = require('../middleware/companyAccess');
+const { ADMIN_PERMISSIONS, COMPANY_PERMISSIONS } = require('../config/constants');
 const InstantHireController = require('../controllers/instantHireController');
 
 const router = express.Router();
 
+const clockPositionValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude is required and must be between -90 and 90'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude is required and must be between -180 and 180'),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of meters')
+];
+
 /**
  * InstantHire Routes
  * Handles instant hire transactions, payments, matching, and completion
@@ -16,9 +32,9 @@ router.use(authenticateToken);
 /**
  * @route   POST /api/instant-hires
  * @desc    Create new instant hire transaction
- * @access  Private (Company)
+ * @access  Company team (instant_hires:manage)
  */
-router.post('/instant-hires', [
+router.post('/instant-hires', requireCompanyPermission(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   body('jobId')
     .optional()
     .isString()
@@ -73,15 +89,19 @@ router.post('/instant-hires', [
     .optional()
     .isString()
     .isLength({ max: 500 })
-    .withMessage('Dress code must be a string with max 500 characters')
+    .withMessage('Dress code must be a string with max 500 characters'),
+  body('geofenceRadiusMeters')
+    .optional()
+    .isInt({ min: 25, max: 2000 })
+    .withMessage('Geofence radius must be between 25 and 2000 meters')
 ], InstantHireController.createInstantHire);
 
 /**
  * @route   GET /api/instant-hires/:instantHireId
  * @desc    Get instant hire by ID
- * @access  Private (Company or matched Seeker)
+ * @access  Private (Seeker, or company team with instant_hires:manage)
  */
-router.get('/instant-hires/:instantHireId', [
+router.get('/instant-hires/:instantHireId', restrictCompanyUsers(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required')
@@ -90,9 +110,9 @@ router.get('/instant-hires/:instantHireId', [
 /**
  * @route   GET /api/companies/:companyId/instant-hires
  * @desc    Get company's instant hire history
- * @access  Private (Company)
+ * @access  Company team (instant_hires:manage)
  */
-router.get('/companies/:companyId/instant-hires', [
+router.get('/companies/:companyId/instant-hires', requireCompanyPermission(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -136,9 +156,9 @@ router.get('/seekers/:seekerId/instant-hires', [
 /**
  * @route   PUT /api/instant-hires/:instantHireId/payment
  * @desc    Process payment for instant hire
- * @access  Private (Company)
+ * @access  Company team (instant_hires:manage)
  */
-router.put('/instant-hires/:instantHireId/payment', [
+router.put('/instant-hires/:instantHireId/payment', requireCompanyPermission(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required'),
@@ -164,9 +184,9 @@ router.put('/instant-hires/:instantHireId/payment', [
 /**
  * @route   PUT /api/instant-hires/:instantHireId/match
  * @desc    Match instant hire with seeker
- * @access  Private (Company or System)
+ * @access  Company team (instant_hires:manage) or System
  */
-router.put('/instant-hires/:instantHireId/match', [
+router.put('/instant-hires/:instantHireId/match', restrictCompanyUsers(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required'),
@@ -205,20 +225,78 @@ router.put('/instant-hires/:instantHireId/decline', [
 /**
  * @route   PUT /api/instant-hires/:instantHireId/start-work
  * @desc    Start work for instant hire
- * @access  Private (Company or Seeker)
+ * @access  Private (Seeker, or company team with instant_hires:manage)
  */
-router.put('/instant-hires/:instantHireId/start-work', [
+router.put('/instant-hires/:instantHireId/start-work', restrictCompanyUsers(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required')
 ], InstantHireController.startWork);
 
+/**
+ * @route   POST /api/instant-hires/:instantHireId/clock-in
+ * @desc    Clock in to the shift with the device's location
+ * @access  Private (Seeker)
+ */
+router.post('/instant-hires/:instantHireId/clock-in', [
+  param('instantHireId')
+    .notEmpty()
+    .withMessage('Instant hire ID is required'),
+  ...clockPositionValidation
+], InstantHireController.clockIn);
+
+/**
+ * @route   POST /api/instant-hires/:instantHireId/clock-out
+ * @desc    Clock out of the shift with the device's location
+ * @access  Private (Seeker)
+ */
+router.post('/instant-hires/:instantHireId/clock-out', [
+  param('instantHireId')
+    .notEmpty()
+    .withMessage('Instant hire ID is required'),
+  ...clockPositionValidation
+], InstantHireController.clockOut);
+
+/**
+ * @route   POST /api/instant-hires/:instantHireId/break
+ * @desc    Start or end an unpaid break while clocked in
+ * @access  Private (Seeker)
+ */
+router.post('/instant-hires/:instantHireId/break', [
+  param('instantHireId')
+    .notEmpty()
+    .withMessage('Instant hire ID is required'),
+  body('action')
+    .isIn(['start', 'end'])
+    .withMessage('Action must be start or end')
+], InstantHireController.recordBreak);
+
+/**
+ * @route   PUT /api/instant-hires/:instantHireId/attendance/:attendanceId/review
+ * @desc    Approve or dispute a timesheet entry
+ * @access  Company team (instant_hires:manage)
+ */
+router.put('/instant-hires/:instantHireId/attendance/:attendanceId/review', requireCompanyPermission(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
+  param('instantHireId')
+    .notEmpty()
+    .withMessage('Instant hire ID is required'),
+  body('decision')
+    .isIn(['approve', 'dispute'])
+    .withMessage('Decision must be approve or dispute'),
+  body('reason')
+    .if(body('decision').equals('dispute'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason (max 500 characters) is required to dispute an entry')
+], InstantHireController.reviewAttendance);
+
 /**
  * @route   POST /api/instant-hires/:instantHireId/attendance
- * @desc    Record daily attendance
- * @access  Private (Company or Seeker)
+ * @desc    Record a day's attendance by hand (hours are worked out from the times)
+ * @access  Company team (instant_hires:manage)
  */
-router.post('/instant-hires/:instantHireId/attendance', [
+router.post('/instant-hires/:instantHireId/attendance', requireCompanyPermission(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required'),
@@ -227,6 +305,7 @@ router.post('/instant-hires/:instantHireId/attendance', [
     .isISO8601()
     .withMessage('Date must be a valid ISO date'),
   body('checkInTime')
+    .if(body('status').not().equals('absent'))
     .notEmpty()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Check-in time is required and must be in HH:MM format'),
@@ -234,10 +313,10 @@ router.post('/instant-hires/:instantHireId/attendance', [
     .optional()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Check-out time must be in HH:MM format'),
-  body('hoursWorked')
+  body('breakMinutes')
     .optional()
-    .isFloat({ min: 0, max: 24 })
-    .withMessage('Hours worked must be between 0 and 24'),
+    .isInt({ min: 0, max: 600 })
+    .withMessage('Break minutes must be between 0 and 600'),
   body('status')
     .optional()
     .isIn(['present', 'absent', 'late'])
@@ -252,9 +331,9 @@ router.post('/instant-hires/:instantHireId/attendance', [
 /**
  * @route   PUT /api/instant-hires/:instantHireId/complete
  * @desc    Complete work and provide feedback
- * @access  Private (Company)
+ * @access  Company team (instant_hires:manage)
  */
-router.put('/instant-hires/:instantHireId/complete', [
+router.put('/instant-hires/:instantHireId/complete', requireCompanyPermission(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required'),
@@ -276,9 +355,9 @@ router.put('/instant-hires/:instantHireId/complete', [
 /**
  * @route   PUT /api/instant-hires/:instantHireId/cancel
  * @desc    Cancel instant hire
- * @access  Private (Company or Seeker)
+ * @access  Private (Seeker, or company team with instant_hires:manage)
  */
-router.put('/instant-hires/:instantHireId/cancel', [
+router.put('/instant-hires/:instantHireId/cancel', restrictCompanyUsers(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('instantHireId')
     .notEmpty()
     .withMessage('Instant hire ID is required'),
@@ -292,9 +371,9 @@ router.put('/instant-hires/:instantHireId/cancel', [
 /**
  * @route   GET /api/companies/:companyId/instant-hire-stats
  * @desc    Get company instant hire statistics
- * @access  Private (Company)
+ * @access  Company team (instant_hires:manage, all locations)
  */
-router.get('/companies/:companyId/instant-hire-stats', [
+router.get('/companies/:companyId/instant-hire-stats', requireCompanyWideAccess(COMPANY_PERMISSIONS.INSTANT_HIRES_MANAGE), [
   param('companyId')
     .notEmpty()
     .withMessage('Company ID is required')
@@ -316,7 +395,7 @@ router.get('/seekers/:seekerId/instant-hire-stats', [
  * @desc    Get instant hires by status (admin/system use)
  * @access  Private (Admin/System)
  */
-router.get('/instant-hires/status/:status', [
+router.get('/instant-hires/status/:status', requireAdmin(ADMIN_PERMISSIONS.INSTANT_HIRES_READ), [
   param('status')
     .isIn(['pending_payment', 'paid', 'matched', 'started', 'in_progress', 'completed', 'cancelled', 'refunded'])
     .withMessage('Invalid status'),
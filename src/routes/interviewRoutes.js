@@ -1,10 +1,29 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { restrictCompanyUsers } = require('../middleware/companyAccess');
+const { COMPANY_PERMISSIONS } = require('../config/constants');
 const InterviewController = require('../controllers/interviewController');
+const ScorecardController = require('../controllers/scorecardController');
 
 const router = express.Router();
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Date and time are picked by the seeker when the company offers slots instead
+const isFixedTime = (value, { req }) => !req.body.slotOffers && !req.body.offerWindow;
+
+const scorecardTemplateValidation = [
+  body('roleNames').optional().isArray({ max: 50 }).withMessage('Role names must be an array'),
+  body('roleNames.*').isString().trim().notEmpty().withMessage('Role names must be non-empty strings'),
+  body('criteria').optional().isArray({ min: 1, max: 15 }).withMessage('Criteria must be an array of 1 to 15 items'),
+  body('criteria.*.label').isString().trim().notEmpty().isLength({ max: 60 }).withMessage('Each criterion needs a label (max 60 characters)'),
+  body('criteria.*.key').optional().isString().withMessage('Criterion keys must be strings'),
+  body('criteria.*.description').optional({ nullable: true }).isString().isLength({ max: 300 }).withMessage('Criterion descriptions must be at most 300 characters'),
+  body('criteria.*.weight').optional().isFloat({ gt: 0, max: 10 }).withMessage('Criterion weights must be above 0 and up to 10')
+];
+
 /**
  * Interview Scheduling Routes
  * Advanced interview management with duration, conflicts, and scheduling
@@ -15,10 +34,10 @@ router.use(authenticateToken);
 
 /**
  * @route   POST /api/interviews
- * @desc    Create/Schedule a new interview
- * @access  Private (Company)
+ * @desc    Create/Schedule a new interview, or offer slots (slotOffers and/or offerWindow) for the seeker to pick
+ * @access  Company team (interviews:manage)
  */
-router.post('/interviews', [
+router.post('/interviews', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('jobId')
     .notEmpty()
     .withMessage('Job ID is required'),
@@ -29,13 +48,37 @@ router.post('/interviews', [
     .notEmpty()
     .withMessage('Seeker ID is required'),
   body('interviewDate')
+    .if(isFixedTime)
     .notEmpty()
     .isISO8601()
     .withMessage('Interview date is required and must be a valid date'),
   body('startTime')
+    .if(isFixedTime)
     .notEmpty()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Start time is required and must be in HH:MM format'),
+  body('slotOffers')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Slot offers must be an array of 1 to 10 slots'),
+  body('slotOffers.*.date')
+    .matches(DATE_PATTERN)
+    .withMessage('Each offered slot needs a date in YYYY-MM-DD format'),
+  body('slotOffers.*.startTime')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Each offered slot needs a start time in HH:MM format'),
+  body('slotOffers.*.duration')
+    .optional()
+    .isInt({ min: 15, max: 180 })
+    .withMessage('Offered slot duration must be between 15 and 180 minutes'),
+  body('offerWindow.fromDate')
+    .if(body('offerWindow').exists())
+    .matches(DATE_PATTERN)
+    .withMessage('Offer window needs fromDate in YYYY-MM-DD format'),
+  body('offerWindow.toDate')
+    .if(body('offerWindow').exists())
+    .matches(DATE_PATTERN)
+    .withMessage('Offer window needs toDate in YYYY-MM-DD format'),
   body('duration')
     .optional()
     .isInt({ min: 15, max: 180 })
@@ -61,54 +104,173 @@ router.post('/interviews', [
     .withMessage('Instructions must be a string with max 1000 characters')
 ], InterviewController.createInterview);
 
+/**
+ * @route   GET /api/interviews/available-slots
+ * @desc    Get available time slots from the company/location interview calendar
+ * @access  Company team (interviews:manage)
+ */
+router.get('/interviews/available-slots', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  query('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Date is required and must be YYYY-MM-DD'),
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 180 })
+    .withMessage('Duration must be between 15 and 180 minutes'),
+  query('jobId')
+    .optional()
+    .notEmpty()
+    .withMessage('Job ID must not be empty'),
+  query('brandLocationId')
+    .optional()
+    .notEmpty()
+    .withMessage('Brand location ID must not be empty')
+], InterviewController.getAvailableSlots);
+
+/**
+ * @route   GET /api/interviews/conflicts
+ * @desc    Check a time against the interview calendar and for scheduling conflicts
+ * @access  Company team (interviews:manage)
+ */
+router.get('/interviews/conflicts', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  query('companyId')
+    .notEmpty()
+    .withMessage('Company ID is required'),
+  query('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Date is required and must be YYYY-MM-DD'),
+  query('startTime')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time is required and must be in HH:MM format'),
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 180 })
+    .withMessage('Duration must be between 15 and 180 minutes'),
+  query('jobId')
+    .optional()
+    .notEmpty()
+    .withMessage('Job ID must not be empty'),
+  query('brandLocationId')
+    .optional()
+    .notEmpty()
+    .withMessage('Brand location ID must not be empty')
+], InterviewController.checkConflicts);
+
 /**
  * @route   GET /api/interviews/:interviewId
  * @desc    Get interview details by ID
- * @access  Private
+ * @access  Private (Seeker, or company team with interviews:manage)
  */
-router.get('/interviews/:interviewId', InterviewController.getInterviewById);
+router.get('/interviews/:interviewId', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.getInterviewById);
 
 /**
  * @route   GET /api/applications/:applicationId/interviews
  * @desc    Get all interviews for an application
- * @access  Private
+ * @access  Private (Seeker, or company team with interviews:manage)
  */
-router.get('/applications/:applicationId/interviews', InterviewController.getApplicationInterviews);
+router.get('/applications/:applicationId/interviews', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.getApplicationInterviews);
 
 /**
  * @route   GET /api/company/:companyId/interviews
  * @desc    Get company interviews with date filtering
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.get('/company/:companyId/interviews', [
+router.get('/company/:companyId/interviews', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   param('companyId').notEmpty().withMessage('Company ID is required')
 ], InterviewController.getCompanyInterviews);
 
 /**
- * @route   GET /api/interviews/available-slots
- * @desc    Get available time slots for scheduling
- * @access  Private (Company)
+ * @route   GET /api/company/:companyId/interview-availability
+ * @desc    Get the interview calendar (company-wide, or a location's with ?brandLocationId) and public holidays
+ * @access  Company team (interviews:manage)
  */
-router.get('/interviews/available-slots', [
-  body('companyId')
-    .notEmpty()
-    .withMessage('Company ID is required'),
-  body('date')
-    .notEmpty()
-    .isISO8601()
-    .withMessage('Date is required and must be valid'),
-  body('duration')
-    .optional()
-    .isInt({ min: 15, max: 180 })
-    .withMessage('Duration must be between 15 and 180 minutes')
-], InterviewController.getAvailableSlots);
+router.get('/company/:companyId/interview-availability', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  param('companyId').notEmpty().withMessage('Company ID is required'),
+  query('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Year must be a valid year')
+], InterviewController.getInterviewAvailability);
+
+/**
+ * @route   PUT /api/company/:companyId/interview-availability
+ * @desc    Set weekly hours, breaks, blackout dates, buffer and slot capacity (brandLocationId for a location's own calendar)
+ * @access  Company team (interviews:manage)
+ */
+router.put('/company/:companyId/interview-availability', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  param('companyId').notEmpty().withMessage('Company ID is required'),
+  body('brandLocationId').optional({ nullable: true }).isString().withMessage('Brand location ID must be a string'),
+  body('weeklyHours').optional().isObject().withMessage('Weekly hours must be an object keyed by weekday'),
+  body('weeklyHours.*').optional().isArray().withMessage('Each weekday must be an array of { start, end } ranges'),
+  body(['weeklyHours.*.*.start', 'weeklyHours.*.*.end']).optional().matches(TIME_PATTERN).withMessage('Working hours must be HH:MM'),
+  body('breaks').optional().isArray().withMessage('Breaks must be an array'),
+  body(['breaks.*.start', 'breaks.*.end']).matches(TIME_PATTERN).withMessage('Break times must be HH:MM'),
+  body('breaks.*.days').optional().isArray().withMessage('Break days must be an array of weekdays'),
+  body('blackoutDates').optional().isArray().withMessage('Blackout dates must be an array'),
+  body('blackoutDates.*.from').matches(DATE_PATTERN).withMessage('Blackout dates need from (YYYY-MM-DD)'),
+  body('blackoutDates.*.to').optional().matches(DATE_PATTERN).withMessage('Blackout to date must be YYYY-MM-DD'),
+  body('blackoutDates.*.reason').optional().isString().isLength({ max: 200 }).withMessage('Blackout reason must be at most 200 characters'),
+  body('observePublicHolidays').optional().isBoolean().withMessage('observePublicHolidays must be a boolean'),
+  body('slotIntervalMinutes').optional().isInt({ min: 5, max: 240 }).withMessage('Slot interval must be between 5 and 240 minutes'),
+  body('bufferMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer must be between 0 and 120 minutes'),
+  body('capacity').optional().isInt({ min: 1, max: 50 }).withMessage('Capacity must be between 1 and 50'),
+  body('minNoticeMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Minimum notice must be between 0 and 10080 minutes')
+], InterviewController.updateInterviewAvailability);
+
+/**
+ * @route   DELETE /api/company/:companyId/interview-availability/:brandLocationId
+ * @desc    Remove a location's own calendar so it uses the company's
+ * @access  Company team (interviews:manage)
+ */
+router.delete('/company/:companyId/interview-availability/:brandLocationId', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.deleteLocationAvailability);
+
+/**
+ * @route   GET /api/company/:companyId/scorecard-templates
+ * @desc    Get the company's scorecard templates and the company-wide one in effect
+ * @access  Company team (interviews:manage)
+ */
+router.get('/company/:companyId/scorecard-templates', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), ScorecardController.getScorecardTemplates);
+
+/**
+ * @route   POST /api/company/:companyId/scorecard-templates
+ * @desc    Create a scorecard template (no roleNames for the company-wide one)
+ * @access  Company team (interviews:manage)
+ */
+router.post('/company/:companyId/scorecard-templates', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  ...scorecardTemplateValidation
+], ScorecardController.createScorecardTemplate);
+
+/**
+ * @route   PUT /api/company/:companyId/scorecard-templates/:templateId
+ * @desc    Update a scorecard template's name, roles or criteria
+ * @access  Company team (interviews:manage)
+ */
+router.put('/company/:companyId/scorecard-templates/:templateId', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  ...scorecardTemplateValidation
+], ScorecardController.updateScorecardTemplate);
+
+/**
+ * @route   DELETE /api/company/:companyId/scorecard-templates/:templateId
+ * @desc    Delete a scorecard template
+ * @access  Company team (interviews:manage)
+ */
+router.delete('/company/:companyId/scorecard-templates/:templateId', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), ScorecardController.deleteScorecardTemplate);
+
+/**
+ * @route   GET /api/company/:companyId/jobs/:jobId/scorecards
+ * @desc    Compare the job's interviewed candidates by their combined scorecards
+ * @access  Company team (interviews:manage)
+ */
+router.get('/company/:companyId/jobs/:jobId/scorecards', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), ScorecardController.getJobScorecardComparison);
 
 /**
  * @route   PUT /api/interviews/:interviewId/reschedule
  * @desc    Reschedule an interview
- * @access  Private
+ * @access  Private (Seeker, or company team with interviews:manage)
  */
-router.put('/interviews/:interviewId/reschedule', [
+router.put('/interviews/:interviewId/reschedule', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('newDate')
     .notEmpty()
     .isISO8601()
@@ -134,9 +296,9 @@ router.put('/interviews/:interviewId/confirm', InterviewController.confirmInterv
 /**
  * @route   PUT /api/interviews/:interviewId/cancel
  * @desc    Cancel an interview
- * @access  Private
+ * @access  Private (Seeker, or company team with interviews:manage)
  */
-router.put('/interviews/:interviewId/cancel', [
+router.put('/interviews/:interviewId/cancel', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('reason')
     .optional()
     .isString()
@@ -147,9 +309,9 @@ router.put('/interviews/:interviewId/cancel', [
 /**
  * @route   PUT /api/interviews/:interviewId/complete
  * @desc    Mark interview as completed with feedback (company)
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.put('/interviews/:interviewId/complete', [
+router.put('/interviews/:interviewId/complete', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('rating')
     .optional()
     .isInt({ min: 1, max: 5 })
@@ -170,19 +332,42 @@ router.put('/interviews/:interviewId/complete', [
     .withMessage('Next steps must be a string with max 1000 characters')
 ], InterviewController.completeInterview);
 
+/**
+ * @route   GET /api/interviews/:interviewId/scorecards
+ * @desc    Get the interviewers' scorecards, their combined result and the template to score on
+ * @access  Company team (interviews:manage)
+ */
+router.get('/interviews/:interviewId/scorecards', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), ScorecardController.getInterviewScorecards);
+
+/**
+ * @route   POST /api/interviews/:interviewId/scorecards
+ * @desc    Submit (or replace) one interviewer's scorecard
+ * @access  Company team (interviews:manage)
+ */
+router.post('/interviews/:interviewId/scorecards', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
+  body('interviewerName').trim().notEmpty().isLength({ max: 100 }).withMessage('Interviewer name is required (max 100 characters)'),
+  body('interviewerEmail').optional({ nullable: true }).isEmail().withMessage('Interviewer email must be valid'),
+  body('ratings').isArray({ min: 1 }).withMessage('Ratings must be an array of { key, score }'),
+  body('ratings.*.key').isString().notEmpty().withMessage('Each rating needs a criterion key'),
+  body('ratings.*.score').isInt({ min: 1, max: 5 }).withMessage('Each score must be between 1 and 5'),
+  body('ratings.*.comment').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Rating comments must be at most 1000 characters'),
+  body('recommendation').isIn(['strong_no', 'no', 'yes', 'strong_yes']).withMessage('Recommendation must be strong_no, no, yes or strong_yes'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters')
+], ScorecardController.submitScorecard);
+
 /**
  * @route   PUT /api/interviews/:interviewId/no-show
  * @desc    Mark interview as no-show
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.put('/interviews/:interviewId/no-show', InterviewController.markNoShow);
+router.put('/interviews/:interviewId/no-show', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.markNoShow);
 
 /**
  * @route   PUT /api/interviews/:interviewId/add-dates
  * @desc    Add additional date options for interview scheduling
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.put('/interviews/:interviewId/add-dates', [
+router.put('/interviews/:interviewId/add-dates', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('additionalDates')
     .isArray({ min: 1 })
     .withMessage('Additional dates must be an array with at least one date'),
@@ -194,6 +379,34 @@ router.put('/interviews/:interviewId/add-dates', [
     .withMessage('Each start time must be in HH:MM format')
 ], InterviewController.addAdditionalDates);
 
+/**
+ * @route   GET /api/interviews/:interviewId/meeting
+ * @desc    Get the video room link (only from shortly before the start until the end)
+ * @access  Private (Seeker, or company team with interviews:manage)
+ */
+router.get('/interviews/:interviewId/meeting', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.getMeetingLink);
+
+/**
+ * @route   GET /api/interviews/:interviewId/offered-slots
+ * @desc    Get the offered times that can still be picked
+ * @access  Private (Seeker, or company team with interviews:manage)
+ */
+router.get('/interviews/:interviewId/offered-slots', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.getOfferedSlots);
+
+/**
+ * @route   POST /api/interviews/:interviewId/select-slot
+ * @desc    Pick one of the offered interview slots
+ * @access  Private (Seeker)
+ */
+router.post('/interviews/:interviewId/select-slot', [
+  body('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Date is required and must be YYYY-MM-DD'),
+  body('startTime')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time is required and must be in HH:MM format')
+], InterviewController.selectInterviewSlot);
+
 /**
  * @route   GET /api/seeker/:seekerId/interviews
  * @desc    Get seeker's interviews
@@ -206,9 +419,9 @@ router.get('/seeker/:seekerId/interviews', [
 /**
  * @route   PUT /api/interviews/:interviewId/preparation
  * @desc    Add preparation materials and instructions
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.put('/interviews/:interviewId/preparation', [
+router.put('/interviews/:interviewId/preparation', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('preparationMaterials')
     .optional()
     .isArray()
@@ -227,31 +440,9 @@ router.put('/interviews/:interviewId/preparation', [
 /**
  * @route   POST /api/interviews/:interviewId/reminder
  * @desc    Send interview reminder
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.post('/interviews/:interviewId/reminder', InterviewController.sendReminder);
+router.post('/interviews/:interviewId/reminder', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), InterviewController.sendReminder);
 
-/**
- * @route   GET /api/interviews/conflicts
- * @desc    Check for scheduling conflicts
- * @access  Private (Company)
- */
-router.get('/interviews/conflicts', [
-  body('companyId')
-    .notEmpty()
-    .withMessage('Company ID is required'),
-  body('date')
-    .notEmpty()
-    .isISO8601()
-    .withMessage('Date is required and must be valid'),
-  body('startTime')
-    .notEmpty()
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Start time is required and must be in HH:MM format'),
-  body('duration')
-    .optional()
-    .isInt({ min: 15, max: 180 })
-    .withMessage('Duration must be between 15 and 180 minutes')
-], InterviewController.checkConflicts);
 
 module.exports = router;
\ No newline at end of file
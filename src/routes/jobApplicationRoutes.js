@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { restrictCompanyUsers } = require('../middleware/companyAccess');
+const { COMPANY_PERMISSIONS } = require('../config/constants');
 const JobApplicationController = require('../controllers/jobApplicationController');
 
 const router = express.Router();
@@ -36,9 +38,9 @@ router.get('/jobs/:jobId/application-status', JobApplicationController.checkAppl
 /**
  * @route   GET /api/jobs/:jobId/applications
  * @desc    Get job applications for a job (company view)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/jobs/:jobId/applications', JobApplicationController.getJobApplications);
+router.get('/jobs/:jobId/applications', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getJobApplications);
 
 /**
  * @route   GET /api/applications
@@ -50,44 +52,44 @@ router.get('/applications', JobApplicationController.getSeekerApplications);
 /**
  * @route   GET /api/applications/rateable-seekers
  * @desc    Get seekers who accepted hire/interview requests (for company rating)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/applications/rateable-seekers', JobApplicationController.getRateableSeekers);
+router.get('/applications/rateable-seekers', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getRateableSeekers);
 
 /**
  * @route   GET /api/applications/:applicationId
  * @desc    Get application details by ID
- * @access  Private
+ * @access  Private (Seeker, or company team with applications:manage)
  */
-router.get('/applications/:applicationId', JobApplicationController.getApplicationById);
+router.get('/applications/:applicationId', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getApplicationById);
 
 /**
  * @route   GET /api/seekers/:seekerId/applications
  * @desc    Get applications for a specific seeker (company view)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/seekers/:seekerId/applications', JobApplicationController.getSeekerApplicationsForCompany);
+router.get('/seekers/:seekerId/applications', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getSeekerApplicationsForCompany);
 
 /**
  * @route   GET /api/jobs/:jobId/seekers/:seekerId/application
  * @desc    Check if seeker has application for specific job
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/jobs/:jobId/seekers/:seekerId/application', JobApplicationController.getSeekerJobApplication);
+router.get('/jobs/:jobId/seekers/:seekerId/application', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getSeekerJobApplication);
 
 /**
  * @route   PUT /api/applications/:applicationId/accept
  * @desc    Accept job application (company only) - TRIGGERS CHAT CREATION
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.put('/applications/:applicationId/accept', JobApplicationController.acceptApplication);
+router.put('/applications/:applicationId/accept', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.acceptApplication);
 
 /**
  * @route   PUT /api/applications/:applicationId/decline
  * @desc    Decline job application with specific reasons (company only)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.put('/applications/:applicationId/decline', [
+router.put('/applications/:applicationId/decline', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('reason')
     .isIn(['Another candidate selected', 'Not the right fit', 'Limited experience', 'Position filled'])
     .withMessage('Decline reason must be one of: Another candidate selected, Not the right fit, Limited experience, Position filled')
@@ -96,23 +98,23 @@ router.put('/applications/:applicationId/decline', [
 /**
  * @route   PUT /api/applications/:applicationId/hire
  * @desc    Send hire request to seeker (company only)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.put('/applications/:applicationId/hire', JobApplicationController.sendHireRequest);
+router.put('/applications/:applicationId/hire', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.sendHireRequest);
 
 /**
  * @route   PUT /api/applications/:applicationId/shortlist
  * @desc    Shortlist job application (company only)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.put('/applications/:applicationId/shortlist', JobApplicationController.shortlistApplication);
+router.put('/applications/:applicationId/shortlist', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.shortlistApplication);
 
 /**
  * @route   PUT /api/applications/:applicationId/interview
  * @desc    Schedule interview with duration support (company only) - TRIGGERS CHAT CREATION
- * @access  Private (Company)
+ * @access  Company team (interviews:manage)
  */
-router.put('/applications/:applicationId/interview', [
+router.put('/applications/:applicationId/interview', restrictCompanyUsers(COMPANY_PERMISSIONS.INTERVIEWS_MANAGE), [
   body('interviewDate')
     .notEmpty()
     .isISO8601()
@@ -151,9 +153,9 @@ router.put('/applications/:applicationId/withdraw', JobApplicationController.wit
 /**
  * @route   POST /api/jobs/:jobId/invite/:seekerId
  * @desc    Invite seeker to apply for job (company only)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.post('/jobs/:jobId/invite/:seekerId', JobApplicationController.inviteSeeker);
+router.post('/jobs/:jobId/invite/:seekerId', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.inviteSeeker);
 
 /**
  * @route   PUT /api/applications/:applicationId/accept-invitation
@@ -187,9 +189,9 @@ router.put('/applications/:applicationId/interview-response', [
 /**
  * @route   POST /api/applications/:applicationId/report
  * @desc    Report attendance/absence (company or seeker)
- * @access  Private
+ * @access  Private (Seeker, or company team with applications:manage)
  */
-router.post('/applications/:applicationId/report', [
+router.post('/applications/:applicationId/report', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('date')
     .optional()
     .isISO8601()
@@ -212,16 +214,16 @@ router.post('/applications/:applicationId/report', [
 /**
  * @route   GET /api/applications/:applicationId/reports
  * @desc    Get attendance reports for application
- * @access  Private
+ * @access  Private (Seeker, or company team with applications:manage)
  */
-router.get('/applications/:applicationId/reports', JobApplicationController.getReports);
+router.get('/applications/:applicationId/reports', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getReports);
 
 /**
  * @route   POST /api/company/block-seeker
  * @desc    Block a seeker from applying to company jobs
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.post('/company/block-seeker', [
+router.post('/company/block-seeker', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -234,9 +236,9 @@ router.post('/company/block-seeker', [
 /**
  * @route   PUT /api/company/unblock-seeker/:seekerId
  * @desc    Unblock a previously blocked seeker
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.put('/company/unblock-seeker/:seekerId', [
+router.put('/company/unblock-seeker/:seekerId', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('reason')
     .optional()
     .isString()
@@ -247,23 +249,23 @@ router.put('/company/unblock-seeker/:seekerId', [
 /**
  * @route   GET /api/company/blocked-seekers
  * @desc    Get list of blocked seekers for company
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/company/blocked-seekers', JobApplicationController.getBlockedSeekers);
+router.get('/company/blocked-seekers', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getBlockedSeekers);
 
 /**
  * @route   GET /api/company/blocking-stats
  * @desc    Get blocking statistics for company
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.get('/company/blocking-stats', JobApplicationController.getBlockingStats);
+router.get('/company/blocking-stats', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), JobApplicationController.getBlockingStats);
 
 /**
  * @route   PUT /api/applications/:applicationId/block-seeker
  * @desc    Block seeker directly from application (convenience route)
- * @access  Private (Company)
+ * @access  Company team (applications:manage)
  */
-router.put('/applications/:applicationId/block-seeker', [
+router.put('/applications/:applicationId/block-seeker', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('reason')
     .isString()
     .isLength({ min: 5, max: 500 })
@@ -273,9 +275,9 @@ router.put('/applications/:applicationId/block-seeker', [
 /**
  * @route   PUT /api/applications/:applicationId/complete
  * @desc    Complete job (mark as completed)
- * @access  Private (Company or Seeker)
+ * @access  Private (Seeker, or company team with applications:manage)
  */
-router.put('/applications/:applicationId/complete', [
+router.put('/applications/:applicationId/complete', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('feedback')
     .optional()
     .isString()
@@ -296,9 +298,9 @@ router.put('/applications/:applicationId/complete', [
 /**
  * @route   PUT /api/applications/:applicationId/cancel
  * @desc    Cancel job (mark as cancelled)
- * @access  Private (Company or Seeker)
+ * @access  Private (Seeker, or company team with applications:manage)
  */
-router.put('/applications/:applicationId/cancel', [
+router.put('/applications/:applicationId/cancel', restrictCompanyUsers(COMPANY_PERMISSIONS.APPLICATIONS_MANAGE), [
   body('reason')
     .notEmpty()
     .isString()
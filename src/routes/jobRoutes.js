@@ -2,6 +2,9 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const JobController = require('../controllers/jobController');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { requireCompanyPermission } = require('../middleware/companyAccess');
+const { ADMIN_PERMISSIONS, COMPANY_PERMISSIONS } = require('../config/constants');
 
 const router = express.Router();
 
@@ -13,9 +16,9 @@ const router = express.Router();
 /**
  * @route   POST /api/jobs
  * @desc    Create new job (Step 1: Basic Info)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   body('companyId')
     .notEmpty()
     .withMessage('Company ID is required'),
@@ -74,9 +77,9 @@ router.post('/', authenticateToken, [
 /**
  * @route   PUT /api/jobs/:jobId/step/:step
  * @desc    Update job step (Steps 1-4)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:jobId/step/:step', authenticateToken, [
+router.put('/:jobId/step/:step', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required'),
@@ -156,9 +159,9 @@ router.put('/:jobId/step/:step', authenticateToken, [
 /**
  * @route   POST /api/jobs/:jobId/publish
  * @desc    Publish job (Final step)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.post('/:jobId/publish', authenticateToken, [
+router.post('/:jobId/publish', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required')
@@ -166,7 +169,7 @@ router.post('/:jobId/publish', authenticateToken, [
 
 /**
  * @route   GET /api/jobs/recommendations
- * @desc    Get job recommendations based on user roles
+ * @desc    Get job recommendations based on user roles, nearest first when lat/lng are given
  * @access  Public
  */
 router.get('/recommendations', [
@@ -174,6 +177,18 @@ router.get('/recommendations', [
     .optional()
     .isString()
     .withMessage('Roles must be a string of comma-separated values'),
+  query('lat')
+    .if(query('lng').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90 and is required with lng'),
+  query('lng')
+    .if(query('lat').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180 and is required with lat'),
+  query('radiusKm')
+    .optional()
+    .isFloat({ min: 0.1, max: 200 })
+    .withMessage('radiusKm must be between 0.1 and 200'),
   query('limit')
     .optional()
     .isInt({ min: 1, max: 50 })
@@ -225,6 +240,18 @@ router.get('/search', [
     .optional()
     .isLength({ min: 1, max: 50 })
     .withMessage('Governorate must be between 1 and 50 characters'),
+  query('lat')
+    .if(query('lng').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90 and is required with lng'),
+  query('lng')
+    .if(query('lat').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180 and is required with lat'),
+  query('radiusKm')
+    .optional()
+    .isFloat({ min: 0.1, max: 200 })
+    .withMessage('radiusKm must be between 0.1 and 200'),
   
   // Job type filters
   query('roles')
@@ -295,8 +322,8 @@ router.get('/search', [
   // Sorting and pagination
   query('sortBy')
     .optional()
-    .isIn(['publishedAt', 'payPerHour', 'startDate', 'createdAt'])
-    .withMessage('Sort by must be publishedAt, payPerHour, startDate, or createdAt'),
+    .isIn(['relevance', 'distance', 'publishedAt', 'payPerHour', 'startDate', 'createdAt'])
+    .withMessage('Sort by must be relevance, distance, publishedAt, payPerHour, startDate, or createdAt'),
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
@@ -308,9 +335,20 @@ router.get('/search', [
   query('offset')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Offset must be 0 or greater')
+    .withMessage('Offset must be 0 or greater'),
+  query('cursor')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{1,500}$/)
+    .withMessage('Cursor must be the nextCursor value from a previous page')
 ], JobController.searchJobs);
 
+/**
+ * @route   POST /api/jobs/search/reindex
+ * @desc    Rebuild the job search index from all jobs
+ * @access  Private (Admin)
+ */
+router.post('/search/reindex', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.JOBS_REINDEX), JobController.reindexSearch);
+
 /**
  * @route   GET /api/jobs/categories
  * @desc    Get available job categories based on real job data
@@ -397,9 +435,9 @@ router.get('/company/:companyId', [
 /**
  * @route   PUT /api/jobs/:jobId
  * @desc    Update job
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:jobId', authenticateToken, [
+router.put('/:jobId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required'),
@@ -420,9 +458,9 @@ router.put('/:jobId', authenticateToken, [
 /**
  * @route   PUT /api/jobs/:jobId/toggle-status
  * @desc    Pause/Resume job
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:jobId/toggle-status', authenticateToken, [
+router.put('/:jobId/toggle-status', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required')
@@ -431,9 +469,9 @@ router.put('/:jobId/toggle-status', authenticateToken, [
 /**
  * @route   DELETE /api/jobs/:jobId
  * @desc    Delete job (soft delete)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.delete('/:jobId', authenticateToken, [
+router.delete('/:jobId', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required')
@@ -442,9 +480,9 @@ router.delete('/:jobId', authenticateToken, [
 /**
  * @route   POST /api/jobs/:jobId/copy
  * @desc    Copy job (create duplicate)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.post('/:jobId/copy', authenticateToken, [
+router.post('/:jobId/copy', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required')
@@ -453,9 +491,9 @@ router.post('/:jobId/copy', authenticateToken, [
 /**
  * @route   PUT /api/jobs/:jobId/cancel
  * @desc    Cancel job (change status to closed)
- * @access  Private (JWT Token Required)
+ * @access  Company team (jobs:manage)
  */
-router.put('/:jobId/cancel', authenticateToken, [
+router.put('/:jobId/cancel', authenticateToken, requireCompanyPermission(COMPANY_PERMISSIONS.JOBS_MANAGE), [
   param('jobId')
     .notEmpty()
     .withMessage('Job ID is required')
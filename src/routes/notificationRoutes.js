@@ -9,6 +9,8 @@ const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const { body, param, query, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 
 // Middleware for handling validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -58,6 +60,27 @@ const validateBulkMarkAsRead = [
   handleValidationErrors
 ];
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validatePreferences = [
+  body('channels').optional().isObject().withMessage('Channels must be an object'),
+  body('channels.email').optional().isBoolean().withMessage('channels.email must be a boolean'),
+  body('channels.whatsapp').optional().isBoolean().withMessage('channels.whatsapp must be a boolean'),
+  body('channels.in-app').optional().isBoolean().withMessage('channels.in-app must be a boolean'),
+  body('types').optional().isObject().withMessage('Types must be an object keyed by notification type'),
+  body('types.*').optional().isObject().withMessage('Each type override must be an object'),
+  body('types.*.*').optional().isBoolean().withMessage('Type channel overrides must be booleans'),
+  body('quietHours').optional().isObject().withMessage('Quiet hours must be an object'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be a boolean'),
+  body('quietHours.start').optional().matches(TIME_PATTERN).withMessage('quietHours.start must be HH:MM'),
+  body('quietHours.end').optional().matches(TIME_PATTERN).withMessage('quietHours.end must be HH:MM'),
+  body('digest').optional().isObject().withMessage('Digest must be an object'),
+  body('digest.enabled').optional().isBoolean().withMessage('digest.enabled must be a boolean'),
+  body('digest.frequency').optional().isIn(['daily']).withMessage('digest.frequency must be daily'),
+  body('digest.time').optional().matches(TIME_PATTERN).withMessage('digest.time must be HH:MM'),
+  handleValidationErrors
+];
+
 const validateGetUserNotifications = [
   param('userId').isString().notEmpty().withMessage('Valid user ID is required'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -139,6 +162,76 @@ router.get('/', authenticateToken, [
  */
 router.get('/unread-count', authenticateToken, notificationController.getUnreadCountAuth);
 
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get notification preferences for authenticated user
+ * @access  Private
+ */
+router.get('/preferences', authenticateToken, notificationController.getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update channels, per-type opt-outs, quiet hours (Asia/Muscat) and digest
+ * @access  Private
+ * @body    {channels, types, quietHours, digest}
+ */
+router.put('/preferences', authenticateToken, validatePreferences, notificationController.updatePreferences);
+
+// Outbox administration routes
+
+/**
+ * @route   GET /api/notifications/outbox/stats
+ * @desc    Get outbox queue depth, age and dead letter count
+ * @access  Private (Admin)
+ */
+router.get('/outbox/stats', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.NOTIFICATIONS_MANAGE), notificationController.getOutboxStats);
+
+/**
+ * @route   GET /api/notifications/outbox/dead-letters
+ * @desc    List dead-lettered notification deliveries
+ * @access  Private (Admin)
+ */
+router.get('/outbox/dead-letters', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.NOTIFICATIONS_MANAGE), [
+  query('status').optional().isIn(['dead', 'replayed']).withMessage('Status must be dead or replayed'),
+  query('channel').optional().isIn(['email', 'whatsapp']).withMessage('Channel must be email or whatsapp'),
+  query('type').optional().isString().withMessage('Type must be a string'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+], notificationController.getDeadLetters);
+
+/**
+ * @route   POST /api/notifications/outbox/dead-letters/:deadLetterId/replay
+ * @desc    Re-queue a dead-lettered delivery on its original notification
+ * @access  Private (Admin)
+ */
+router.post('/outbox/dead-letters/:deadLetterId/replay', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.NOTIFICATIONS_MANAGE), [
+  param('deadLetterId').isString().notEmpty().withMessage('Valid dead letter ID is required'),
+  handleValidationErrors
+], notificationController.replayDeadLetter);
+
+// Template administration routes
+
+/**
+ * @route   GET /api/notifications/templates
+ * @desc    List notification templates with their required variables
+ * @access  Private (Admin)
+ */
+router.get('/templates', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.NOTIFICATIONS_MANAGE), notificationController.getTemplates);
+
+/**
+ * @route   POST /api/notifications/templates/:type/preview
+ * @desc    Render a template in English or Arabic with sample data
+ * @access  Private (Admin)
+ * @body    {language, variables, actionUrl}
+ */
+router.post('/templates/:type/preview', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.NOTIFICATIONS_MANAGE), [
+  param('type').isString().notEmpty().withMessage('Notification type is required'),
+  body('language').optional().isIn(['en', 'ar']).withMessage('Language must be en or ar'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('actionUrl').optional().isURL({ require_tld: false }).withMessage('Action URL must be a valid URL'),
+  handleValidationErrors
+], notificationController.previewTemplate);
+
 // Helper routes for specific notification types
 
 /**
@@ -534,6 +627,12 @@ router.get('/health', (req, res) => {
       applicationSubmitted: 'POST /api/notifications/application-submitted',
       interviewRequest: 'POST /api/notifications/interview-request',
       paymentSuccessful: 'POST /api/notifications/payment-successful',
+      preferences: 'GET/PUT /api/notifications/preferences',
+      outboxStats: 'GET /api/notifications/outbox/stats',
+      deadLetters: 'GET /api/notifications/outbox/dead-letters',
+      replayDeadLetter: 'POST /api/notifications/outbox/dead-letters/:deadLetterId/replay',
+      templates: 'GET /api/notifications/templates',
+      previewTemplate: 'POST /api/notifications/templates/:type/preview',
     }
   });
 });
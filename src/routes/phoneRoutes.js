@@ -2,6 +2,8 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const PhoneController = require('../controllers/phoneController');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 const router = express.Router();
 
 /**
@@ -29,7 +31,11 @@ router.post('/register', [
   body('userType')
     .optional()
     .isIn(['seeker', 'company'])
-    .withMessage('User type must be either seeker or company')
+    .withMessage('User type must be either seeker or company'),
+  body('preferredLanguage')
+    .optional()
+    .isIn(['en', 'ar'])
+    .withMessage('Preferred language must be either en or ar')
 ], PhoneController.registerPhone);
 
 /**
@@ -141,6 +147,18 @@ router.put('/user-type', [
     .withMessage('User type must be either seeker or company')
 ], PhoneController.updateUserType);
 
+/**
+ * @route   PUT /api/phone/language
+ * @desc    Update preferred language for notifications (token-based)
+ * @access  Private
+ */
+router.put('/language', [
+  authenticateToken,
+  body('preferredLanguage')
+    .isIn(['en', 'ar'])
+    .withMessage('Preferred language must be either en or ar')
+], PhoneController.updatePreferredLanguage);
+
 /**
  * @route   GET /api/phone/stats
  * @desc    Get phone registration statistics
@@ -165,9 +183,9 @@ router.post('/logout', [
 /**
  * @route   DELETE /api/phone/delete/:userId
  * @desc    Delete/deactivate phone registration
- * @access  Admin (for now public for testing)
+ * @access  Admin (users:manage)
  */
-router.delete('/delete/:userId', [
+router.delete('/delete/:userId', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.USERS_MANAGE), [
   param('userId')
     .notEmpty()
     .withMessage('User ID is required')
@@ -0,0 +1,77 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
+const SchedulerController = require('../controllers/schedulerController');
+
+const router = express.Router();
+
+/**
+ * Scheduler Routes
+ * Inspect, cancel and re-run background jobs
+ */
+
+// Apply auth middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/scheduler/status
+ * @desc    Get scheduler status for this instance
+ * @access  Private (Admin)
+ */
+router.get('/status', requireAdmin(ADMIN_PERMISSIONS.SCHEDULER_READ), SchedulerController.getStatus);
+
+/**
+ * @route   GET /api/scheduler/jobs
+ * @desc    List scheduled jobs with filtering options
+ * @access  Private (Admin)
+ */
+router.get('/jobs', requireAdmin(ADMIN_PERMISSIONS.SCHEDULER_READ), [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'running', 'completed', 'failed', 'cancelled'])
+    .withMessage('Invalid status filter'),
+  query('type')
+    .optional()
+    .isString()
+    .withMessage('Job type must be a string')
+], SchedulerController.listJobs);
+
+/**
+ * @route   GET /api/scheduler/jobs/:jobId
+ * @desc    Get specific job details
+ * @access  Private (Admin)
+ */
+router.get('/jobs/:jobId', requireAdmin(ADMIN_PERMISSIONS.SCHEDULER_READ), [
+  param('jobId').notEmpty().withMessage('Job ID is required')
+], SchedulerController.getJob);
+
+/**
+ * @route   POST /api/scheduler/jobs/:jobId/cancel
+ * @desc    Cancel a pending or failed job
+ * @access  Private (Admin)
+ */
+router.post('/jobs/:jobId/cancel', requireAdmin(ADMIN_PERMISSIONS.SCHEDULER_MANAGE), [
+  param('jobId').notEmpty().withMessage('Job ID is required'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be under 500 characters')
+], SchedulerController.cancelJob);
+
+/**
+ * @route   POST /api/scheduler/jobs/:jobId/rerun
+ * @desc    Re-queue a job to run immediately
+ * @access  Private (Admin)
+ */
+router.post('/jobs/:jobId/rerun', requireAdmin(ADMIN_PERMISSIONS.SCHEDULER_MANAGE), [
+  param('jobId').notEmpty().withMessage('Job ID is required')
+], SchedulerController.rerunJob);
+
+module.exports = router;
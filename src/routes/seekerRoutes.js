@@ -4,6 +4,8 @@ const multer = require('multer');
 
 const SeekerController = require('../controllers/seekerController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -514,7 +516,7 @@ router.post('/:seekerId/request-video', authenticateToken, [
  * @desc    Schedule video recording (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:seekerId/schedule-video', authenticateToken, [
+router.post('/:seekerId/schedule-video', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   param('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -536,7 +538,7 @@ router.post('/:seekerId/schedule-video', authenticateToken, [
  * @desc    Mark video as recorded (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:seekerId/mark-video-recorded', authenticateToken, [
+router.post('/:seekerId/mark-video-recorded', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   param('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -551,7 +553,7 @@ router.post('/:seekerId/mark-video-recorded', authenticateToken, [
  * @desc    Upload video URL/path (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:seekerId/upload-video', authenticateToken, [
+router.post('/:seekerId/upload-video', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   param('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -571,7 +573,7 @@ router.post('/:seekerId/upload-video', authenticateToken, [
  * @desc    Publish video (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:seekerId/publish-video', authenticateToken, [
+router.post('/:seekerId/publish-video', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   param('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -590,7 +592,7 @@ router.post('/:seekerId/publish-video', authenticateToken, [
  * @desc    Reject video request (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:seekerId/reject-video', authenticateToken, [
+router.post('/:seekerId/reject-video', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   param('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -616,7 +618,7 @@ router.get('/:seekerId/video-status', authenticateToken, [
  * @desc    Add strike for no-show (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.post('/:seekerId/add-strike', authenticateToken, [
+router.post('/:seekerId/add-strike', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_STRIKES), [
   param('seekerId')
     .notEmpty()
     .withMessage('Seeker ID is required'),
@@ -657,7 +659,7 @@ router.get('/high-performers', [
  * @desc    Get seekers with pending video requests (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/admin/video-pending', authenticateToken, [
+router.get('/admin/video-pending', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -669,7 +671,7 @@ router.get('/admin/video-pending', authenticateToken, [
  * @desc    Get seekers with scheduled video recordings (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/admin/video-scheduled', authenticateToken, [
+router.get('/admin/video-scheduled', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -681,7 +683,7 @@ router.get('/admin/video-scheduled', authenticateToken, [
  * @desc    Get seekers with recorded videos pending publication (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/admin/video-recorded', authenticateToken, [
+router.get('/admin/video-recorded', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -693,7 +695,7 @@ router.get('/admin/video-recorded', authenticateToken, [
  * @desc    Get video workflow statistics (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/admin/video-stats', authenticateToken, [], SeekerController.getVideoWorkflowStats);
+router.get('/admin/video-stats', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_VIDEO), [], SeekerController.getVideoWorkflowStats);
 
 /**
  * @route   POST /api/seekers/:seekerId/apply-job
@@ -814,6 +816,155 @@ router.get('/:seekerId/stats', authenticateToken, [
     .withMessage('Seeker ID is required')
 ], SeekerController.getSeekerStats);
 
+/**
+ * @route   GET /api/seekers/:seekerId/matching-jobs
+ * @desc    Get jobs ranked by match score, with the reasons behind each score
+ * @access  Private (JWT Token Required)
+ */
+router.get('/:seekerId/matching-jobs', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be 0 or greater'),
+  query('minScore')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum score must be between 0 and 100')
+], SeekerController.getMatchingJobs);
+
+// Saved search body - the job search filters plus location and alert settings
+const validateSavedSearch = [
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('filters.q').optional().isLength({ max: 200 }).withMessage('Search query must be at most 200 characters'),
+  body('filters.hiringType').optional().isIn(['Instant Hire', 'Interview First']).withMessage('Hiring type must be Instant Hire or Interview First'),
+  body('filters.workType').optional().isIn(['hourly', 'short', 'full']).withMessage('Work type must be hourly, short, or full'),
+  body('filters.genderPreference').optional().isIn(['Male', 'Female', 'Both']).withMessage('Gender preference must be Male, Female, or Both'),
+  body(['filters.minPay', 'filters.maxPay']).optional().isFloat({ min: 0 }).withMessage('Pay filters must be positive numbers'),
+  body(['filters.minHours', 'filters.maxHours']).optional().isInt({ min: 1, max: 24 }).withMessage('Hours filters must be between 1 and 24'),
+  body(['filters.publishedAfter', 'filters.startDateAfter']).optional().isISO8601().withMessage('Date filters must be valid dates'),
+  body('location').optional({ nullable: true }).isObject().withMessage('Location must be an object or null'),
+  body('location.latitude').if(body('location').exists({ checkNull: true })).isFloat({ min: -90, max: 90 }).withMessage('location.latitude must be between -90 and 90'),
+  body('location.longitude').if(body('location').exists({ checkNull: true })).isFloat({ min: -180, max: 180 }).withMessage('location.longitude must be between -180 and 180'),
+  body('location.radiusKm').optional({ nullable: true }).isFloat({ min: 0.1, max: 200 }).withMessage('location.radiusKm must be between 0.1 and 200'),
+  body('frequency').optional().isIn(['instant', 'daily']).withMessage('Frequency must be instant or daily'),
+  body('alertsEnabled').optional().isBoolean().withMessage('alertsEnabled must be a boolean')
+];
+
+/**
+ * @route   GET /api/seekers/:seekerId/saved-searches
+ * @desc    Get the seeker's saved job searches
+ * @access  Private (JWT Token Required)
+ */
+router.get('/:seekerId/saved-searches', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required')
+], SeekerController.getSavedSearches);
+
+/**
+ * @route   POST /api/seekers/:seekerId/saved-searches
+ * @desc    Save a job search with instant or daily new-job alerts
+ * @access  Private (JWT Token Required)
+ */
+router.post('/:seekerId/saved-searches', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be at most 100 characters'),
+  ...validateSavedSearch
+], SeekerController.createSavedSearch);
+
+/**
+ * @route   GET /api/seekers/:seekerId/saved-searches/:searchId
+ * @desc    Get a saved job search
+ * @access  Private (JWT Token Required)
+ */
+router.get('/:seekerId/saved-searches/:searchId', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  param('searchId')
+    .notEmpty()
+    .withMessage('Search ID is required')
+], SeekerController.getSavedSearch);
+
+/**
+ * @route   PUT /api/seekers/:seekerId/saved-searches/:searchId
+ * @desc    Update a saved job search; filters and location are replaced as a whole
+ * @access  Private (JWT Token Required)
+ */
+router.put('/:seekerId/saved-searches/:searchId', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  param('searchId')
+    .notEmpty()
+    .withMessage('Search ID is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  ...validateSavedSearch
+], SeekerController.updateSavedSearch);
+
+/**
+ * @route   DELETE /api/seekers/:seekerId/saved-searches/:searchId
+ * @desc    Delete a saved job search and stop its alerts
+ * @access  Private (JWT Token Required)
+ */
+router.delete('/:seekerId/saved-searches/:searchId', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  param('searchId')
+    .notEmpty()
+    .withMessage('Search ID is required')
+], SeekerController.deleteSavedSearch);
+
+/**
+ * @route   GET /api/seekers/:seekerId/earnings
+ * @desc    Get the seeker's instant hire earnings per shift, with totals and payouts
+ * @access  Private (JWT Token Required)
+ */
+router.get('/:seekerId/earnings', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  query('from')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('from must be a date in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('to must be a date in YYYY-MM-DD format')
+], SeekerController.getEarnings);
+
+/**
+ * @route   GET /api/seekers/:seekerId/payouts/:payoutId/payslip
+ * @desc    Download the payslip for a payout as a PDF
+ * @access  Private (JWT Token Required)
+ */
+router.get('/:seekerId/payouts/:payoutId/payslip', authenticateToken, [
+  param('seekerId')
+    .notEmpty()
+    .withMessage('Seeker ID is required'),
+  param('payoutId')
+    .notEmpty()
+    .withMessage('Payout ID is required')
+], SeekerController.downloadPayslip);
+
 /**
  * @route   POST /api/seekers/upload-image
  * @desc    Upload profile image to Firebase Storage
@@ -831,14 +982,14 @@ router.post('/upload-image', authenticateToken, upload.single('image'), [
  * @desc    Clean up placeholder URLs from database (Admin only)
  * @access  Private (JWT Token Required)
  */
-router.post('/cleanup-placeholders', authenticateToken, SeekerController.cleanupPlaceholderUrls);
+router.post('/cleanup-placeholders', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_MAINTENANCE), SeekerController.cleanupPlaceholderUrls);
 
 /**
  * @route   GET /api/seekers/admin/export-csv
  * @desc    Export all seekers data (Admin only)
  * @access  Private (JWT Token Required - Admin)
  */
-router.get('/admin/export-csv', authenticateToken, [
+router.get('/admin/export-csv', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.SEEKERS_EXPORT), [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 5000 })
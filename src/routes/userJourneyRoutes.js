@@ -2,6 +2,8 @@ const express = require('express');
 const { param, query, body } = require('express-validator');
 const UserJourneyController = require('../controllers/userJourneyController');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 const router = express.Router();
 
 /**
@@ -55,9 +57,9 @@ router.get('/:userId/next-actions', [
 /**
  * @route   PUT /api/journey/:userId/suspend
  * @desc    Suspend user account (Admin only)
- * @access  Admin
+ * @access  Admin (users:manage)
  */
-router.put('/:userId/suspend', [
+router.put('/:userId/suspend', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.USERS_MANAGE), [
   param('userId')
     .notEmpty()
     .withMessage('User ID is required'),
@@ -70,9 +72,9 @@ router.put('/:userId/suspend', [
 /**
  * @route   PUT /api/journey/:userId/ban
  * @desc    Permanently ban user account (Admin only)
- * @access  Admin
+ * @access  Admin (users:manage)
  */
-router.put('/:userId/ban', [
+router.put('/:userId/ban', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.USERS_MANAGE), [
   param('userId')
     .notEmpty()
     .withMessage('User ID is required'),
@@ -85,9 +87,9 @@ router.put('/:userId/ban', [
 /**
  * @route   PUT /api/journey/:userId/unsuspend
  * @desc    Remove suspension from user account (Admin only)
- * @access  Admin
+ * @access  Admin (users:manage)
  */
-router.put('/:userId/unsuspend', [
+router.put('/:userId/unsuspend', authenticateToken, requireAdmin(ADMIN_PERMISSIONS.USERS_MANAGE), [
   param('userId')
     .notEmpty()
     .withMessage('User ID is required')
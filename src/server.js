@@ -37,6 +37,15 @@ const instantHireRoutes = require('./routes/instantHireRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const emailHistoryRoutes = require('./routes/emailHistoryRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const schedulerRoutes = require('./routes/schedulerRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+
+// Import background workers
+const jobScheduler = require('./services/jobScheduler');
+const ScheduledJobs = require('./services/scheduledJobs');
+const notificationOutbox = require('./services/notificationOutbox');
+const chatGateway = require('./services/chatGateway');
 
 /**
  * Shift Backend API Server
@@ -73,6 +82,9 @@ class ShiftServer {
       
       // Start server
       this.startServer();
+
+      // Start background workers
+      await this.startBackgroundWorkers();
       
     } catch (error) {
       console.error('❌ Failed to initialize server:', error);
@@ -150,7 +162,15 @@ class ShiftServer {
     this.app.use(requestLogger);
     
     // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.json({
+      limit: '10mb',
+      // Keep the raw body for webhook signature checks
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/callback/') || req.path.endsWith('/thawani-webhook')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
     
     // Request validation and sanitization (disabled for development)
@@ -168,7 +188,9 @@ class ShiftServer {
   configureRoutes() {
     console.log('🛣️  Configuring routes...');
 
-    // Health check endpoint
+    // Health check endpoint - probed by load balancers, so it reads nothing from Firestore.
+    // The outbox queue depth and age are as of the worker's last drain; live counts and dead letters are on
+    // GET /api/notifications/outbox/stats (admin)
     this.app.get('/health', (req, res) => {
       res.status(200).json({
         success: true,
@@ -176,10 +198,16 @@ class ShiftServer {
         timestamp: new Date().toISOString(),
         environment: this.environment,
         version: '1.0.0',
-        database: this.databaseEnabled ? 'connected' : 'disabled'
+        database: this.databaseEnabled ? 'connected' : 'disabled',
+        notificationWorker: this.databaseEnabled ? notificationOutbox.getWorkerStatus() : undefined,
+        chatStreams: chatGateway.getStats()
       });
     });
 
+    // Callback routes (always available). Webhooks carry no bearer token, so they are
+    // mounted ahead of the '/api/' routers, which authenticate every request that reaches them
+    this.app.use('/api/callback', callbackRoutes);
+
     // API routes (only if database is enabled)
     if (this.databaseEnabled) {
       this.app.use('/api/phone', phoneRoutes);
@@ -190,12 +218,16 @@ class ShiftServer {
       this.app.use('/api/jobs', jobRoutes);
       this.app.use('/api/journey', userJourneyRoutes);
       this.app.use('/api/chats', chatRoutes);
+      // Before the '/api/' routers - they authenticate every request that reaches them
+      this.app.use('/api/calendar', calendarRoutes);
+      this.app.use('/api/admin', adminRoutes);
       this.app.use('/api/', jobApplicationRoutes);
       this.app.use('/api/', interviewRoutes);
       this.app.use('/api/', instantHireRoutes);
       this.app.use('/api/notifications', notificationRoutes);
       this.app.use('/api/email-history', emailHistoryRoutes);
-      console.log('✅ Database routes enabled (including payment, chat, applications, interviews, instant hires, notifications & email history)');
+      this.app.use('/api/scheduler', schedulerRoutes);
+      console.log('✅ Database routes enabled (including payment, chat, applications, interviews, instant hires, notifications, email history, scheduler, calendar feeds & admin)');
     } else {
       // Mock routes for when database is disabled
       this.app.use('/api/phone', (req, res) => {
@@ -237,9 +269,6 @@ class ShiftServer {
       console.log('⚠️  Database routes disabled - using mock responses');
     }
 
-    // Callback routes (always available)
-    this.app.use('/api/callback', callbackRoutes);
-
     // API documentation endpoint
     this.app.get('/api', (req, res) => {
       res.status(200).json({
@@ -257,7 +286,10 @@ class ShiftServer {
           jobs: '/api/jobs',
           journey: '/api/journey',
           callback: '/api/callback',
-          notifications: '/api/notifications'
+          notifications: '/api/notifications',
+          scheduler: '/api/scheduler',
+          calendar: '/api/calendar',
+          admin: '/api/admin'
         },
         timestamp: new Date().toISOString()
       });
@@ -281,6 +313,35 @@ class ShiftServer {
     console.log('✅ Error handling configured successfully');
   }
 
+  /**
+   * Start the job scheduler, notification outbox and chat relay (requires database)
+   */
+  async startBackgroundWorkers() {
+    if (!this.databaseEnabled) {
+      console.log('⚠️  Background workers disabled - database not available');
+      return;
+    }
+
+    try {
+      ScheduledJobs.registerHandlers();
+      await jobScheduler.start();
+      await ScheduledJobs.ensureRecurringJobs();
+    } catch (error) {
+      console.error('❌ Failed to start job scheduler:', error);
+    }
+
+    try {
+      await notificationOutbox.start();
+    } catch (error) {
+      console.error('❌ Failed to start notification outbox:', error);
+    }
+    try {
+      await chatGateway.start();
+    } catch (error) {
+      console.error('❌ Failed to start chat relay:', error);
+    }
+  }
+
   /**
    * Start the server
    */
@@ -296,16 +357,22 @@ class ShiftServer {
     });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
       console.log('🛑 SIGTERM received. Shutting down gracefully...');
+      await jobScheduler.stop();
+      await notificationOutbox.stop();
+      chatGateway.stop();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
       });
     });
 
-    process.on('SIGINT', () => {
+    process.on('SIGINT', async () => {
       console.log('🛑 SIGINT received. Shutting down gracefully...');
+      await jobScheduler.stop();
+      await notificationOutbox.stop();
+      chatGateway.stop();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
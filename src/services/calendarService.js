@@ -0,0 +1,298 @@
+/**
+ * Calendar Service
+ * Turns interviews and confirmed instant hire shifts into iCalendar events - .ics attachments for
+ * invitation emails, and a read-only subscription feed per company and per seeker
+ *
+ * Feeds are addressed by a random token instead of a login, because calendar apps can't send one.
+ * Anyone holding the URL can read the feed, so it can be rotated or revoked at any time
+ */
+
+const crypto = require('crypto');
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const Interview = require('../models/Interview');
+const InstantHire = require('../models/InstantHire');
+const { buildCalendar, formatDateTime, toByDay } = require('../utils/icalendar');
+const { toMuscatDate, toMuscatDateTime, parseTime, addDays } = require('../utils/muscatTime');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Domain part of event UIDs - must never change, or calendars will duplicate every event
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'shift-oman.com';
+// Feeds cover interviews from this many days back; older ones drop off subscribers' calendars
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 30;
+const FEED_REFRESH_MINUTES = parseInt(process.env.CALENDAR_FEED_REFRESH_MINUTES) || 60;
+
+const FEED_OWNER_TYPES = ['company', 'seeker'];
+const HIDDEN_INTERVIEW_STATUSES = ['pending_selection', 'expired'];
+
+class CalendarService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Calendar Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Calendar Service:', error);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Events
+  // ─────────────────────────────────────────────
+
+  /**
+   * Revision of an interview's event: each reschedule and the cancellation bump it,
+   * so calendar apps replace the event they already have
+   */
+  getInterviewSequence(interview) {
+    return (interview.rescheduleCount || 0) + (interview.status === 'cancelled' ? 1 : 0);
+  }
+
+  /**
+   * Interview as an event, worded for the company or the seeker
+   * @param {Object} interview - Interview instance
+   * @param {string} audience - 'company' or 'seeker'
+   * @returns {Object|null} Event for buildCalendar, or null while the interview has no time
+   */
+  toInterviewEvent(interview, audience = 'seeker') {
+    const start = toMuscatDateTime(interview.interviewDate, interview.startTime);
+    if (!start) {
+      return null;
+    }
+
+    const summary = audience === 'company'
+      ? `Interview: ${interview.seekerName || 'Candidate'} - ${interview.jobTitle || 'Job'}`
+      : `Interview: ${interview.jobTitle || 'Job'} at ${interview.companyName || 'Company'}`;
+
+    const description = [
+      interview.interviewType && `Type: ${interview.interviewType}`,
+      interview.interviewer && `Interviewer: ${interview.interviewer}`,
+      interview.meetingRoom && `Room: ${interview.meetingRoom}`,
+      interview.instructions
+    ].filter(Boolean).join('\n');
+
+    let status = 'TENTATIVE';
+    if (interview.status === 'cancelled') {
+      status = 'CANCELLED';
+    } else if (interview.status === 'confirmed' || interview.confirmationStatus === 'confirmed') {
+      status = 'CONFIRMED';
+    }
+
+    return {
+      uid: `interview-${interview.id}@${UID_DOMAIN}`,
+      sequence: this.getInterviewSequence(interview),
+      start,
+      end: new Date(start.getTime() + interview.duration * MINUTE_MS),
+      summary,
+      description,
+      // The video room link is only handed out close to the start, so point to the app instead
+      location: interview.location || (interview.meeting ? 'Video interview - join from the Shift app' : null),
+      url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/${audience}/interviews/${interview.id}` : null,
+      status,
+      organizer: process.env.SMTP_USER ? { name: interview.companyName, email: process.env.SMTP_USER } : null,
+      attendees: [{ name: interview.seekerName, email: interview.seekerEmail }],
+      lastModified: interview.updatedAt
+    };
+  }
+
+  /**
+   * Confirmed instant hire as a recurring event over its working days
+   * Overnight shifts end the next morning
+   * @param {Object} instantHire - InstantHire instance
+   * @returns {Object|null} Event for buildCalendar, or null without a start date
+   */
+  toShiftEvent(instantHire) {
+    const startMinutes = parseTime(instantHire.startTime);
+    const start = toMuscatDateTime(instantHire.startDate, startMinutes);
+    if (!start) {
+      return null;
+    }
+
+    let endMinutes = parseTime(instantHire.endTime);
+    if (endMinutes === null) {
+      endMinutes = startMinutes + instantHire.hoursPerDay * 60;
+    } else if (endMinutes <= startMinutes) {
+      endMinutes += 24 * 60;
+    }
+
+    let rrule = null;
+    const lastDay = String(instantHire.endDate || '').slice(0, 10);
+    if (lastDay && lastDay > toMuscatDate(start)) {
+      const byDay = toByDay(instantHire.workingDays);
+      const until = toMuscatDateTime(lastDay, '24:00');
+      rrule = `FREQ=DAILY;UNTIL=${formatDateTime(until)}${byDay ? `;BYDAY=${byDay}` : ''}`;
+    }
+
+    return {
+      uid: `instant-hire-${instantHire.id}@${UID_DOMAIN}`,
+      sequence: 0,
+      start,
+      end: new Date(start.getTime() + (endMinutes - startMinutes) * MINUTE_MS),
+      rrule,
+      summary: `Shift: ${instantHire.jobTitle || 'Instant hire'} - ${instantHire.brandName || instantHire.companyName || instantHire.seekerName}`,
+      description: [
+        instantHire.shiftType && `${instantHire.shiftType} shift`,
+        instantHire.seekerName && `Worker: ${instantHire.seekerName}`,
+        instantHire.dressCode && `Dress code: ${instantHire.dressCode}`
+      ].filter(Boolean).join('\n'),
+      location: instantHire.locationAddress || instantHire.workLocation,
+      status: 'CONFIRMED',
+      lastModified: instantHire.updatedAt
+    };
+  }
+
+  /**
+   * .ics attachment for an interview email - a request for a live interview, a cancel once cancelled
+   * @param {Object} interview - Interview instance
+   * @param {string} audience - 'company' or 'seeker'
+   * @returns {Object|null} Nodemailer attachment { filename, content, contentType }
+   */
+  buildInterviewInvite(interview, audience = 'seeker') {
+    const event = this.toInterviewEvent(interview, audience);
+    if (!event) {
+      return null;
+    }
+
+    const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    return {
+      filename: 'interview.ics',
+      content: buildCalendar({ method, events: [event] }),
+      contentType: `text/calendar; charset=utf-8; method=${method}`
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // Subscription feeds
+  // ─────────────────────────────────────────────
+
+  /**
+   * Current feed of a company or seeker
+   * @returns {Object|null} { token, ownerType, ownerId, createdAt, lastAccessedAt }
+   */
+  async getFeed(ownerType, ownerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.CALENDAR_FEEDS)
+      .where('ownerType', '==', ownerType)
+      .where('ownerId', '==', ownerId)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : { token: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  /**
+   * Create a feed, replacing (and so invalidating) any existing one
+   * @param {string} ownerType - 'company' or 'seeker'
+   * @param {string} ownerId - Company or seeker ID
+   * @param {string} userId - User who asked for it
+   */
+  async createFeed(ownerType, ownerId, userId) {
+    if (!FEED_OWNER_TYPES.includes(ownerType)) {
+      throw new Error(`Unknown calendar feed owner type: ${ownerType}`);
+    }
+
+    await this.revokeFeed(ownerType, ownerId);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const feed = {
+      ownerType,
+      ownerId,
+      userId,
+      createdAt: new Date().toISOString(),
+      lastAccessedAt: null
+    };
+    await this.db.collection(COLLECTIONS.CALENDAR_FEEDS).doc(token).set(feed);
+
+    logger.info(`📅 Calendar feed created for ${ownerType} ${ownerId}`);
+    return { token, ...feed };
+  }
+
+  /**
+   * Revoke a company's or seeker's feed; its URL stops working
+   * @returns {boolean} Whether there was a feed to revoke
+   */
+  async revokeFeed(ownerType, ownerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.CALENDAR_FEEDS)
+      .where('ownerType', '==', ownerType)
+      .where('ownerId', '==', ownerId)
+      .get();
+
+    if (snapshot.empty) {
+      return false;
+    }
+
+    const batch = this.db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    logger.info(`📅 Calendar feed revoked for ${ownerType} ${ownerId}`);
+    return true;
+  }
+
+  /**
+   * Render the feed behind a token
+   * @param {string} token - Feed token from the URL
+   * @returns {string|null} .ics text, or null for an unknown or revoked token
+   */
+  async renderFeed(token) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const feedRef = this.db.collection(COLLECTIONS.CALENDAR_FEEDS).doc(token);
+    const feedDoc = await feedRef.get();
+    if (!feedDoc.exists) {
+      return null;
+    }
+
+    const { ownerType, ownerId } = feedDoc.data();
+    const ownerField = ownerType === 'company' ? 'companyId' : 'seekerId';
+
+    const interviews = await Interview.query([
+      { field: ownerField, operator: '==', value: ownerId },
+      { field: 'interviewDate', operator: '>=', value: addDays(toMuscatDate(), -FEED_PAST_DAYS) }
+    ]);
+    const shifts = await InstantHire.findConfirmedShifts(ownerField, ownerId);
+
+    const events = [
+      ...interviews
+        .map(interview => new Interview(interview))
+        .filter(interview => !HIDDEN_INTERVIEW_STATUSES.includes(interview.status))
+        .map(interview => this.toInterviewEvent(interview, ownerType)),
+      ...shifts.map(shift => this.toShiftEvent(shift))
+    ].filter(Boolean);
+
+    // Best effort - a failed bookkeeping write must not break the feed
+    feedRef.update({ lastAccessedAt: new Date().toISOString() }).catch(error => {
+      logger.warn(`⚠️ Could not record calendar feed access: ${error.message}`);
+    });
+
+    return buildCalendar({
+      name: ownerType === 'company' ? 'Shift - Interviews & Shifts' : 'Shift - My Interviews & Shifts',
+      refreshMinutes: FEED_REFRESH_MINUTES,
+      events
+    });
+  }
+}
+
+// Export singleton instance
+const calendarService = new CalendarService();
+module.exports = calendarService;
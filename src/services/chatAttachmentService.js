@@ -0,0 +1,138 @@
+/**
+ * Chat Attachment Service
+ * Stores chat images and documents in Firebase Storage under chats/<chatId>/
+ * Files stay private; participants get short-lived signed URLs per request
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const firebaseConfig = require('../config/firebase');
+const { FILE_UPLOAD } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { matchesDeclaredType, getImageDimensions, fitWithin } = require('../utils/fileMetadata');
+const logger = require('../utils/logger');
+
+const ALLOWED_TYPES = [...FILE_UPLOAD.ALLOWED_IMAGE_TYPES, ...FILE_UPLOAD.ALLOWED_DOCUMENT_TYPES];
+
+class ChatAttachmentService {
+  /**
+   * Check an uploaded file and work out its message type
+   * @param {Object} file - multer file (memory storage)
+   * @returns {string} 'image' | 'file'
+   */
+  validate(file) {
+    if (!file) {
+      throw new AppError('No file provided', 400);
+    }
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      throw new AppError(`File type ${file.mimetype} is not allowed`, 400);
+    }
+    if (file.size > FILE_UPLOAD.MAX_SIZE) {
+      throw new AppError(`File must be ${Math.round(FILE_UPLOAD.MAX_SIZE / (1024 * 1024))}MB or smaller`, 400);
+    }
+    // Don't trust the client's Content-Type
+    if (!matchesDeclaredType(file.buffer, file.mimetype)) {
+      throw new AppError('File contents do not match its type', 400);
+    }
+
+    return FILE_UPLOAD.ALLOWED_IMAGE_TYPES.includes(file.mimetype) ? 'image' : 'file';
+  }
+
+  /**
+   * Upload a validated file for a chat
+   * @param {string} chatId
+   * @param {string} senderId - Seeker/company ID of the uploader
+   * @param {Object} file - multer file
+   * @returns {Object} { messageType, attachment } - attachment is stored on the message
+   */
+  async upload(chatId, senderId, file) {
+    const messageType = this.validate(file);
+    const attachmentId = uuidv4();
+    const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const storagePath = `${FILE_UPLOAD.STORAGE_PATHS.CHAT_ATTACHMENTS}${chatId}/${attachmentId}${extension}`;
+
+    const attachment = {
+      attachmentId,
+      storagePath,
+      fileName: this._sanitizeFileName(file.originalname),
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: senderId,
+      uploadedAt: new Date().toISOString()
+    };
+
+    // Let clients reserve space and pick a thumbnail size before downloading
+    if (messageType === 'image') {
+      const dimensions = getImageDimensions(file.buffer);
+      if (dimensions) {
+        attachment.width = dimensions.width;
+        attachment.height = dimensions.height;
+        attachment.thumbnail = fitWithin(dimensions, FILE_UPLOAD.THUMBNAIL_MAX_SIZE);
+      }
+    }
+
+    await this._bucket().file(storagePath).save(file.buffer, {
+      resumable: false,
+      metadata: {
+        contentType: file.mimetype,
+        cacheControl: 'private, max-age=0',
+        metadata: {
+          chatId,
+          uploadedBy: senderId,
+          originalName: attachment.fileName
+        }
+      }
+    });
+
+    logger.info(`📎 Chat attachment stored: ${storagePath} (${file.mimetype}, ${file.size} bytes)`);
+    return { messageType, attachment };
+  }
+
+  /**
+   * Create a short-lived download URL
+   * Callers must have checked the requester is a participant of the chat
+   * @param {Object} attachment - Attachment metadata from the message
+   * @returns {Object} { url, expiresAt }
+   */
+  async getDownloadUrl(attachment) {
+    const expiresAt = new Date(Date.now() + FILE_UPLOAD.SIGNED_URL_TTL_MS);
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+
+    const [url] = await this._bucket().file(attachment.storagePath).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt,
+      responseDisposition: this._contentDisposition(disposition, attachment.fileName),
+      responseType: attachment.mimeType
+    });
+
+    return { url, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Keep the original name readable but safe inside a Content-Disposition header
+   */
+  _sanitizeFileName(fileName) {
+    const cleaned = String(fileName || 'attachment')
+      .replace(/[\r\n"\\/]/g, '')
+      .trim()
+      .slice(0, 120);
+    return cleaned || 'attachment';
+  }
+
+  /**
+   * ASCII fallback plus RFC 5987 filename* so Arabic names survive
+   */
+  _contentDisposition(disposition, fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]/g, '_');
+    return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+  }
+
+  _bucket() {
+    return firebaseConfig.getStorage().bucket();
+  }
+}
+
+const chatAttachmentService = new ChatAttachmentService();
+
+module.exports = chatAttachmentService;
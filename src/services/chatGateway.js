@@ -0,0 +1,461 @@
+/**
+ * Chat Gateway
+ * Pushes chat events to connected clients over Server-Sent Events
+ *
+ * Events per chat room:
+ *   connected       - sent once on subscribe with the current presence
+ *   message         - a new message was stored
+ *   message_updated - a message was edited
+ *   message_deleted - a message was deleted
+ *   read            - the other side read the chat (Chat.markAsRead)
+ *   typing          - a participant started/stopped typing
+ *   presence        - a participant came online/went offline in the room
+ *
+ * Streams are held in memory on the instance the client connected to. Every event is also written
+ * to the chat_events relay collection, and each instance listens to it and pushes events from the
+ * other instances to its own streams, so a message posted on one instance reaches clients streaming
+ * from any other. Presence is tracked per instance: a participant is online while any instance has
+ * a stream of theirs open. Relay documents carry expiresAt for a Firestore TTL policy.
+ *
+ * Clients that lose the stream fall back to the REST endpoints (GET /api/chats/:chatId/messages)
+ * and reconnect.
+ */
+
+const os = require('os');
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class ChatGateway {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
+    this.relayEnabled = process.env.CHAT_RELAY_ENABLED !== 'false';
+    this.relayTtlMs = (parseInt(process.env.CHAT_RELAY_TTL_MINUTES) || 10) * 60 * 1000;
+    this.relayRetryMs = 5 * 1000;
+    this.heartbeatIntervalMs = parseInt(process.env.CHAT_STREAM_HEARTBEAT_MS) || 25 * 1000; // 25 seconds
+    this.typingTimeoutMs = parseInt(process.env.CHAT_TYPING_TIMEOUT_MS) || 6 * 1000; // 6 seconds
+    this.retryMs = parseInt(process.env.CHAT_STREAM_RETRY_MS) || 3 * 1000; // 3 seconds
+
+    // chatId -> Set of { res, userType, participantId }
+    this.rooms = new Map();
+    // `${chatId}:${userType}:${participantId}` -> timeout clearing the typing flag
+    this.typingTimers = new Map();
+    // chatId -> Map of `${userType}:${participantId}` -> Set of other instance IDs with a stream open
+    this.remotePresence = new Map();
+
+    this.heartbeat = null;
+    this.eventId = 0;
+
+    this.db = null;
+    this.unsubscribeRelay = null;
+    this.relayRetryTimer = null;
+  }
+
+  /**
+   * Start relaying events between instances (requires database)
+   */
+  async start() {
+    if (!this.relayEnabled) {
+      logger.warn('💬 Chat relay disabled (CHAT_RELAY_ENABLED=false) - chat streams only see events from this instance');
+      return;
+    }
+
+    if (this.unsubscribeRelay) {
+      return;
+    }
+
+    this.db = firebaseConfig.getDb();
+    this._listenToRelay(new Date().toISOString());
+    logger.info(`💬 Chat relay started (instance ${this.instanceId})`);
+  }
+
+  /**
+   * Open an event stream on a chat room for an authorized participant
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response, kept open until the client disconnects
+   * @param {Object} options - { chatId, userType, participantId }
+   */
+  subscribe(req, res, { chatId, userType, participantId }) {
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop proxies (nginx/Railway) from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const client = { res, userType, participantId };
+    const wasOnline = this.isOnline(chatId, userType, participantId);
+    const wasConnectedHere = this._isConnectedHere(chatId, userType, participantId);
+
+    if (!this.rooms.has(chatId)) {
+      this.rooms.set(chatId, new Set());
+    }
+    this.rooms.get(chatId).add(client);
+    this._startHeartbeat();
+
+    this._send(client, 'connected', {
+      chatId,
+      presence: this.getPresence(chatId)
+    });
+
+    if (!wasConnectedHere) {
+      this._announcePresence(chatId, userType, participantId, true, wasOnline);
+    }
+
+    req.on('close', () => this._unsubscribe(chatId, client));
+
+    logger.debug(`💬 Chat stream opened: ${userType} ${participantId} on ${chatId}`);
+  }
+
+  /**
+   * Send an event to everyone connected to a chat room, on this and every other instance
+   * @param {string} chatId
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {Object} exclude - Optional { userType, participantId } whose streams are skipped
+   * @returns {number} Number of clients on this instance the event was written to
+   */
+  publish(chatId, event, data, exclude = null) {
+    this._relay(chatId, event, data, exclude);
+    return this._deliver(chatId, event, data, exclude);
+  }
+
+  /**
+   * Push a stored message to the room
+   */
+  publishMessage(chatId, message) {
+    return this.publish(chatId, 'message', message);
+  }
+
+  /**
+   * Push a read receipt to the room
+   * @param {Object} receipt - { userType, participantId, messageIds } of the reader
+   */
+  publishRead(chatId, receipt) {
+    return this.publish(chatId, 'read', {
+      ...receipt,
+      readAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Broadcast a typing indicator to the other participants
+   * Typing clears itself after typingTimeoutMs unless refreshed
+   */
+  setTyping(chatId, userType, participantId, isTyping) {
+    const key = `${chatId}:${userType}:${participantId}`;
+    const wasTyping = this.typingTimers.has(key);
+
+    if (wasTyping) {
+      clearTimeout(this.typingTimers.get(key));
+      this.typingTimers.delete(key);
+    }
+
+    if (isTyping) {
+      const timer = setTimeout(() => this.setTyping(chatId, userType, participantId, false), this.typingTimeoutMs);
+      timer.unref();
+      this.typingTimers.set(key, timer);
+    }
+
+    // Refreshes and repeated stops don't need another event
+    if (wasTyping === isTyping) {
+      return;
+    }
+
+    this.publish(chatId, 'typing', {
+      userType,
+      participantId,
+      isTyping
+    }, { userType, participantId });
+  }
+
+  /**
+   * Participants currently connected to a chat room, on any instance
+   * @returns {Array} [{ userType, participantId }]
+   */
+  getPresence(chatId) {
+    const clients = this.rooms.get(chatId) || new Set();
+    const online = new Map();
+
+    for (const client of clients) {
+      online.set(`${client.userType}:${client.participantId}`, {
+        userType: client.userType,
+        participantId: client.participantId
+      });
+    }
+    for (const [key, instances] of this.remotePresence.get(chatId) || new Map()) {
+      if (instances.size > 0 && !online.has(key)) {
+        const [userType, participantId] = key.split(':');
+        online.set(key, { userType, participantId });
+      }
+    }
+    return [...online.values()];
+  }
+
+  /**
+   * Whether a participant has at least one open stream on the chat room, on any instance
+   */
+  isOnline(chatId, userType, participantId) {
+    if (this._isConnectedHere(chatId, userType, participantId)) {
+      return true;
+    }
+    const instances = this.remotePresence.get(chatId)?.get(`${userType}:${participantId}`);
+    return Boolean(instances && instances.size > 0);
+  }
+
+  /**
+   * Gateway stats for monitoring
+   */
+  getStats() {
+    let connections = 0;
+    for (const clients of this.rooms.values()) {
+      connections += clients.size;
+    }
+    return { rooms: this.rooms.size, connections, relay: Boolean(this.unsubscribeRelay) };
+  }
+
+  /**
+   * Close every open stream (server shutdown)
+   */
+  stop() {
+    for (const clients of this.rooms.values()) {
+      for (const client of clients) {
+        client.res.end();
+      }
+    }
+    this.rooms.clear();
+
+    for (const timer of this.typingTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.typingTimers.clear();
+    this._stopHeartbeat();
+
+    if (this.unsubscribeRelay) {
+      this.unsubscribeRelay();
+      this.unsubscribeRelay = null;
+    }
+    if (this.relayRetryTimer) {
+      clearTimeout(this.relayRetryTimer);
+      this.relayRetryTimer = null;
+    }
+    this.remotePresence.clear();
+  }
+
+  /**
+   * Drop a client and announce it went offline if that was its last stream
+   */
+  _unsubscribe(chatId, client) {
+    const clients = this.rooms.get(chatId);
+    if (!clients) {
+      return;
+    }
+
+    clients.delete(client);
+    if (clients.size === 0) {
+      this.rooms.delete(chatId);
+    }
+    if (this.rooms.size === 0) {
+      this._stopHeartbeat();
+    }
+
+    const { userType, participantId } = client;
+    if (!this._isConnectedHere(chatId, userType, participantId)) {
+      this.setTyping(chatId, userType, participantId, false);
+      this._announcePresence(chatId, userType, participantId, false, true);
+    }
+
+    logger.debug(`💬 Chat stream closed: ${userType} ${participantId} on ${chatId}`);
+  }
+
+  /**
+   * Whether a participant has a stream open on this instance
+   */
+  _isConnectedHere(chatId, userType, participantId) {
+    const clients = this.rooms.get(chatId);
+    if (!clients) {
+      return false;
+    }
+    for (const client of clients) {
+      if (client.userType === userType && client.participantId === participantId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Tell the other instances this one gained/lost the participant's last stream, and tell the local
+   * room if that changed whether they're online at all
+   */
+  _announcePresence(chatId, userType, participantId, online, wasOnline) {
+    const data = { userType, participantId, online, at: new Date().toISOString() };
+    this._relay(chatId, 'presence', data);
+    if (this.isOnline(chatId, userType, participantId) !== wasOnline) {
+      this._deliver(chatId, 'presence', data);
+    }
+  }
+
+  /**
+   * Write an event to the streams of a chat room on this instance
+   */
+  _deliver(chatId, event, data, exclude = null) {
+    const clients = this.rooms.get(chatId);
+    if (!clients) {
+      return 0;
+    }
+
+    let delivered = 0;
+    for (const client of clients) {
+      if (exclude && client.userType === exclude.userType && client.participantId === exclude.participantId) {
+        continue;
+      }
+      this._send(client, event, data);
+      delivered++;
+    }
+    return delivered;
+  }
+
+  /**
+   * Hand an event to the other instances; a failed write only costs their clients the live update
+   */
+  _relay(chatId, event, data, exclude = null) {
+    if (!this.unsubscribeRelay) {
+      return;
+    }
+
+    const now = Date.now();
+    this.db.collection(COLLECTIONS.CHAT_EVENTS).add({
+      chatId,
+      event,
+      data,
+      exclude,
+      instanceId: this.instanceId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.relayTtlMs)
+    }).catch(error => {
+      logger.error(`❌ Failed to relay chat ${event} event for ${chatId}:`, error);
+    });
+  }
+
+  /**
+   * Listen for events written by the other instances since `since`
+   * The listener is re-attached after errors, picking up from the last event seen
+   */
+  _listenToRelay(since) {
+    let lastSeen = since;
+
+    this.unsubscribeRelay = this.db.collection(COLLECTIONS.CHAT_EVENTS)
+      .where('createdAt', '>', since)
+      .orderBy('createdAt', 'asc')
+      .onSnapshot(snapshot => {
+        for (const change of snapshot.docChanges()) {
+          if (change.type !== 'added') {
+            continue;
+          }
+          const relayed = change.doc.data();
+          if (relayed.createdAt > lastSeen) {
+            lastSeen = relayed.createdAt;
+          }
+          if (relayed.instanceId !== this.instanceId) {
+            this._receive(relayed);
+          }
+        }
+      }, error => {
+        logger.error('❌ Chat relay listener failed, reconnecting:', error);
+        this.unsubscribeRelay = null;
+        this.relayRetryTimer = setTimeout(() => {
+          this.relayRetryTimer = null;
+          this._listenToRelay(lastSeen);
+        }, this.relayRetryMs);
+        this.relayRetryTimer.unref();
+      });
+  }
+
+  /**
+   * Push an event from another instance to the local room
+   */
+  _receive({ chatId, event, data, exclude, instanceId }) {
+    if (event !== 'presence') {
+      this._deliver(chatId, event, data, exclude);
+      return;
+    }
+
+    const { userType, participantId, online } = data;
+    const wasOnline = this.isOnline(chatId, userType, participantId);
+
+    if (!this.remotePresence.has(chatId)) {
+      this.remotePresence.set(chatId, new Map());
+    }
+    const room = this.remotePresence.get(chatId);
+    const key = `${userType}:${participantId}`;
+    const instances = room.get(key) || new Set();
+    if (online) {
+      instances.add(instanceId);
+    } else {
+      instances.delete(instanceId);
+    }
+
+    if (instances.size > 0) {
+      room.set(key, instances);
+    } else {
+      room.delete(key);
+      if (room.size === 0) {
+        this.remotePresence.delete(chatId);
+      }
+    }
+
+    // Another stream of theirs elsewhere keeps them online
+    if (this.isOnline(chatId, userType, participantId) !== wasOnline) {
+      this._deliver(chatId, 'presence', data);
+    }
+  }
+
+  /**
+   * Write one SSE frame
+   */
+  _send(client, event, data) {
+    this.eventId++;
+    client.res.write(`id: ${this.eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers writes until flushed
+    if (typeof client.res.flush === 'function') {
+      client.res.flush();
+    }
+  }
+
+  /**
+   * Comment frames keep idle connections from being closed by proxies
+   */
+  _startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      for (const clients of this.rooms.values()) {
+        for (const client of clients) {
+          client.res.write(': ping\n\n');
+          if (typeof client.res.flush === 'function') {
+            client.res.flush();
+          }
+        }
+      }
+    }, this.heartbeatIntervalMs);
+    this.heartbeat.unref();
+  }
+
+  _stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+const chatGateway = new ChatGateway();
+
+module.exports = chatGateway;
@@ -0,0 +1,276 @@
+/**
+ * Chat Moderation Service
+ * Masks contact details (phone numbers, emails, WhatsApp links) in chat messages so companies and
+ * seekers can't take a paid match off the platform, logs every hit for admin review and stores
+ * message reports
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const CONTACT_TYPES = ['phone', 'email', 'whatsapp'];
+
+const REPORT_REASONS = ['contact_info', 'harassment', 'spam', 'scam', 'inappropriate', 'other'];
+const REPORT_STATUSES = ['open', 'reviewed', 'actioned', 'dismissed'];
+
+const CONTACT_PATTERNS = {
+  whatsapp: /(?:https?:\/\/)?(?:www\.)?(?:wa\.me|api\.whatsapp\.com|chat\.whatsapp\.com|whatsapp\.com\/send)\S*/gi,
+  // Also catches "name (at) domain (dot) com" style obfuscation
+  email: /[a-z0-9._%+-]+\s*(?:@|\(at\)|\[at\])\s*[a-z0-9-]+(?:\s*(?:\.|\(dot\)|\[dot\])\s*[a-z0-9-]+)*\s*(?:\.|\(dot\)|\[dot\])\s*[a-z]{2,}/gi,
+  // Digits with the separators people use to dodge simple filters
+  phone: /\+?\d[\d\s\-.()]*\d/g
+};
+
+// Dates and times are digit runs too - don't mask them
+const DATE_PATTERN = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4})$/;
+
+/**
+ * Arabic-Indic and Persian digits to ASCII, one character for one so match offsets still line up
+ */
+const toAsciiDigits = (text) => {
+  return text
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+};
+
+class ChatModerationService {
+  constructor() {
+    this.filterEnabled = process.env.CHAT_CONTACT_FILTER_ENABLED !== 'false';
+    this.filterTypes = (process.env.CHAT_CONTACT_FILTER_TYPES || CONTACT_TYPES.join(','))
+      .split(',')
+      .map(type => type.trim())
+      .filter(type => CONTACT_TYPES.includes(type));
+    this.mask = process.env.CHAT_CONTACT_FILTER_MASK || '[hidden]';
+    this.phoneMinDigits = parseInt(process.env.CHAT_CONTACT_FILTER_PHONE_MIN_DIGITS) || 8;
+
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Chat Moderation Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Chat Moderation Service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mask contact details in a message
+   * @param {string} text - Message text as typed
+   * @returns {Object} { text, hits: [{ type, value }] }
+   */
+  filterContactInfo(text) {
+    if (!this.filterEnabled || !text) {
+      return { text, hits: [] };
+    }
+
+    let filtered = String(text);
+    const hits = [];
+
+    // Links first so the number inside wa.me/968... is reported as a WhatsApp link
+    for (const type of ['whatsapp', 'email', 'phone']) {
+      if (!this.filterTypes.includes(type)) {
+        continue;
+      }
+
+      const searchable = toAsciiDigits(filtered);
+      const ranges = [];
+      for (const match of searchable.matchAll(CONTACT_PATTERNS[type])) {
+        if (type === 'phone' && !this._looksLikePhone(match[0])) {
+          continue;
+        }
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+
+      // Replace from the end so earlier offsets stay valid
+      for (const { start, end } of ranges.reverse()) {
+        hits.unshift({ type, value: filtered.slice(start, end) });
+        filtered = filtered.slice(0, start) + this.mask + filtered.slice(end);
+      }
+    }
+
+    return { text: filtered, hits };
+  }
+
+  /**
+   * Record masked contact details for admin review
+   * @param {Object} entry - { chatId, messageId, senderId, senderType, originalText, originalFields, hits }
+   *   originalFields holds unmasked location/attachment fields by path, e.g. { 'location.name': ... }
+   */
+  async logFilterHits(entry) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      await this.db.collection(COLLECTIONS.CHAT_MODERATION_LOGS).add({
+        ...entry,
+        types: [...new Set(entry.hits.map(hit => hit.type))],
+        reviewed: false,
+        createdAt: firebaseConfig.getServerTimestamp()
+      });
+      logger.warn(`🛡️ Contact info masked in chat ${entry.chatId} from ${entry.senderType} ${entry.senderId}: ${entry.hits.map(hit => hit.type).join(', ')}`);
+    } catch (error) {
+      // The message is already masked - a missing log entry shouldn't fail the send
+      logger.error('❌ Failed to log chat filter hit:', error);
+    }
+  }
+
+  /**
+   * List filter hits, newest first
+   * @param {Object} filters - { chatId, senderId, limit }
+   */
+  async getFilterLogs({ chatId, senderId, limit = 50 } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let query = this.db.collection(COLLECTIONS.CHAT_MODERATION_LOGS);
+    if (chatId) {
+      query = query.where('chatId', '==', chatId);
+    } else if (senderId) {
+      query = query.where('senderId', '==', senderId);
+    }
+
+    // Sort in memory to avoid composite indexes
+    const snapshot = await query.limit(chatId || senderId ? 500 : limit * 4).get();
+    const logs = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(log => !senderId || log.senderId === senderId);
+
+    return this._sortNewestFirst(logs).slice(0, limit);
+  }
+
+  /**
+   * Report a message to the admins
+   * Each participant can report a message once
+   * @param {Object} report - { chat, message, reporterId, reporterType, reason, details }
+   * @returns {Object|null} The report, or null if this participant already reported the message
+   */
+  async reportMessage({ chat, message, reporterId, reporterType, reason, details }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const reportId = `${chat.id}_${message.id}_${reporterId}`;
+    const report = {
+      chatId: chat.id,
+      messageId: message.id,
+      jobId: chat.jobId || null,
+      companyId: chat.companyId,
+      seekerId: chat.seekerId,
+      reporterId,
+      reporterType,
+      reportedId: message.senderId,
+      reportedType: message.senderType,
+      reason,
+      details: details || null,
+      // Snapshot so later edits/deletes don't hide what was reported
+      messageSnapshot: {
+        messageText: message.messageText,
+        messageType: message.messageType,
+        attachment: message.attachment || null,
+        timestamp: message.timestamp || null
+      },
+      status: 'open',
+      createdAt: firebaseConfig.getServerTimestamp(),
+      updatedAt: firebaseConfig.getServerTimestamp()
+    };
+
+    try {
+      await this.db.collection(COLLECTIONS.CHAT_REPORTS).doc(reportId).create(report);
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) {
+        return null;
+      }
+      throw error;
+    }
+
+    logger.warn(`🚩 Chat message ${message.id} in ${chat.id} reported by ${reporterType} ${reporterId}: ${reason}`);
+    return { id: reportId, ...report };
+  }
+
+  /**
+   * List reports, newest first
+   * @param {Object} filters - { status, chatId, limit }
+   */
+  async getReports({ status, chatId, limit = 50 } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let query = this.db.collection(COLLECTIONS.CHAT_REPORTS);
+    if (chatId) {
+      query = query.where('chatId', '==', chatId);
+    } else if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.limit(500).get();
+    const reports = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(report => !status || report.status === status);
+
+    return this._sortNewestFirst(reports).slice(0, limit);
+  }
+
+  /**
+   * Record an admin decision on a report
+   * @param {string} reportId
+   * @param {Object} review - { status, resolution, reviewedBy }
+   * @returns {Object|null} Updated report, or null if not found
+   */
+  async reviewReport(reportId, { status, resolution, reviewedBy }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const reportRef = this.db.collection(COLLECTIONS.CHAT_REPORTS).doc(reportId);
+    const doc = await reportRef.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const update = {
+      status,
+      resolution: resolution || null,
+      reviewedBy: reviewedBy || null,
+      reviewedAt: new Date().toISOString(),
+      updatedAt: firebaseConfig.getServerTimestamp()
+    };
+    await reportRef.update(update);
+
+    return { id: doc.id, ...doc.data(), ...update };
+  }
+
+  /**
+   * Digit run that is long enough to be a phone number and isn't a date
+   */
+  _looksLikePhone(candidate) {
+    const digits = candidate.replace(/\D/g, '');
+    return digits.length >= this.phoneMinDigits && !DATE_PATTERN.test(candidate.trim());
+  }
+
+  _sortNewestFirst(items) {
+    return items.sort((a, b) => {
+      const aTime = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
+      const bTime = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
+      return bTime - aTime;
+    });
+  }
+}
+
+const chatModerationService = new ChatModerationService();
+
+module.exports = chatModerationService;
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
@@ -0,0 +1,462 @@
+/**
+ * Credit Ledger Service
+ * Companies' instant match and interview credits as an append-only ledger
+ *
+ * Entries are never changed once written:
+ *   lot        - Credits bought (or granted) together, with their own expiry; quantity > 0
+ *   debit      - One instant match or interview taken from a lot; quantity < 0
+ *   refund     - A debit given back to the lot it came from, e.g. the interview was cancelled; quantity > 0
+ *   adjustment - Credits taken away by an admin; quantity < 0 (admins add credits as a new lot)
+ * Every entry but a lot points at its lot with lotId (a lot points at itself), so a lot's remaining
+ * credits are the sum of its entries. The balance is the remaining credits of lots that haven't expired.
+ *
+ * Debits take from the oldest lot that is still valid. On plans with unlimited matches/interviews
+ * (trial, custom) nothing is debited. Every write runs in a transaction that also touches the company
+ * document, so two debits can't both take a lot's last credit.
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CREDIT_TYPES = {
+  INSTANT_MATCH: 'instant_match',
+  INTERVIEW: 'interview'
+};
+
+const ENTRY_TYPES = {
+  LOT: 'lot',
+  DEBIT: 'debit',
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment'
+};
+
+// Plan limit field of each credit type (see Company.getPlanLimits)
+const PLAN_LIMIT_FIELDS = {
+  [CREDIT_TYPES.INSTANT_MATCH]: 'instantMatches',
+  [CREDIT_TYPES.INTERVIEW]: 'interviews'
+};
+
+const CREDIT_LABELS = {
+  [CREDIT_TYPES.INSTANT_MATCH]: 'instant match',
+  [CREDIT_TYPES.INTERVIEW]: 'interview'
+};
+
+// Instant matches bought pay-as-you-go are valid this long
+const INSTANT_MATCH_VALIDITY_DAYS = parseInt(process.env.CREDIT_INSTANT_MATCH_VALIDITY_DAYS) || 365;
+
+const UNIT_DAYS = { days: 1, weeks: 7, months: 30 };
+
+const addDaysTo = (date, days) => new Date(date.getTime() + days * DAY_MS).toISOString();
+
+class CreditLedgerService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Credit Ledger Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Credit Ledger Service:', error);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Balances
+  // ─────────────────────────────────────────────
+
+  /**
+   * Lots of a company with what's left of them, oldest first
+   * @param {Object[]} entries - All ledger entries of the company
+   * @returns {Object[]} Lot entries with remaining and expired
+   */
+  getLots(entries, now = new Date()) {
+    const remaining = new Map();
+    for (const entry of entries) {
+      remaining.set(entry.lotId, (remaining.get(entry.lotId) || 0) + entry.quantity);
+    }
+
+    return entries
+      .filter(entry => entry.entryType === ENTRY_TYPES.LOT)
+      .map(lot => ({
+        ...lot,
+        remaining: Math.max(0, remaining.get(lot.id) || 0),
+        expired: Boolean(lot.expiresAt) && new Date(lot.expiresAt) <= now
+      }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Balance of each credit type, from the ledger
+   * @param {Object} company - Company instance
+   * @param {Date} now
+   * @returns {Promise<Object>} { instant_match: { available, used, unlimited, expiringNext, lots }, interview: {...} }
+   */
+  async getBalances(company, now = new Date()) {
+    const entries = await this.listEntries(company.id);
+    return this._summarize(company, entries, now);
+  }
+
+  _summarize(company, entries, now) {
+    const limits = company.getPlanLimits();
+    const lots = this.getLots(entries, now);
+    const balances = {};
+
+    for (const creditType of Object.values(CREDIT_TYPES)) {
+      const validLots = lots.filter(lot => lot.creditType === creditType && !lot.expired && lot.remaining > 0);
+      const soonest = validLots
+        .filter(lot => lot.expiresAt)
+        .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))[0];
+
+      const used = entries
+        .filter(entry => entry.creditType === creditType &&
+          (entry.entryType === ENTRY_TYPES.DEBIT || entry.entryType === ENTRY_TYPES.REFUND))
+        .reduce((sum, entry) => sum - entry.quantity, 0);
+
+      balances[creditType] = {
+        available: validLots.reduce((sum, lot) => sum + lot.remaining, 0),
+        used,
+        unlimited: limits[PLAN_LIMIT_FIELDS[creditType]] === 'unlimited',
+        expiringNext: soonest ? { quantity: soonest.remaining, expiresAt: soonest.expiresAt } : null,
+        lots: validLots.map(lot => ({
+          lotId: lot.id,
+          quantity: lot.quantity,
+          remaining: lot.remaining,
+          source: lot.source,
+          expiresAt: lot.expiresAt,
+          createdAt: lot.createdAt
+        }))
+      };
+    }
+
+    return balances;
+  }
+
+  /**
+   * Whether the company can use one credit of a type right now
+   */
+  async hasCredit(company, creditType, now = new Date()) {
+    const balance = (await this.getBalances(company, now))[creditType];
+    return balance.unlimited || balance.available > 0;
+  }
+
+  /**
+   * Ledger entries of a company, oldest first
+   */
+  async listEntries(companyId, limit = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.CREDIT_LEDGER)
+      .where('companyId', '==', companyId)
+      .get();
+    const entries = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  // ─────────────────────────────────────────────
+  // Writes
+  // ─────────────────────────────────────────────
+
+  /**
+   * Run a ledger write against the company's current entries
+   * @param {string} companyId
+   * @param {Function} write - (entries, addEntry) => result; addEntry(entry) queues a new entry and returns it
+   */
+  async _write(companyId, write) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const companyRef = this.db.collection(COLLECTIONS.COMPANIES).doc(companyId);
+    const ledger = this.db.collection(COLLECTIONS.CREDIT_LEDGER);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const companyDoc = await transaction.get(companyRef);
+      if (!companyDoc.exists) {
+        throw new AppError('Company not found', 404);
+      }
+
+      const snapshot = await transaction.get(ledger.where('companyId', '==', companyId));
+      const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const now = new Date().toISOString();
+      let written = 0;
+
+      const addEntry = (entry) => {
+        const ref = ledger.doc();
+        const data = {
+          companyId,
+          lotId: entry.entryType === ENTRY_TYPES.LOT ? ref.id : entry.lotId,
+          expiresAt: null,
+          source: null,
+          referenceType: null,
+          referenceId: null,
+          note: null,
+          createdBy: null,
+          ...entry,
+          createdAt: now
+        };
+        transaction.set(ref, data);
+        written++;
+        return { id: ref.id, ...data };
+      };
+
+      const result = await write(entries, addEntry);
+      if (written > 0) {
+        transaction.update(companyRef, { creditLedgerUpdatedAt: now });
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Take quantity credits from the oldest valid lots
+   * @returns {Object[]} Entries written
+   */
+  _takeFromLots(entries, addEntry, creditType, quantity, entry) {
+    const lots = this.getLots(entries).filter(lot => lot.creditType === creditType && !lot.expired && lot.remaining > 0);
+    const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    if (available < quantity) {
+      return null;
+    }
+
+    const written = [];
+    let left = quantity;
+    for (const lot of lots) {
+      if (left === 0) {
+        break;
+      }
+      const taken = Math.min(lot.remaining, left);
+      written.push(addEntry({ ...entry, creditType, lotId: lot.id, quantity: -taken }));
+      left -= taken;
+    }
+    return written;
+  }
+
+  /**
+   * Add a lot of credits
+   * @param {string} companyId
+   * @param {Object} lot
+   * @param {string} lot.creditType - CREDIT_TYPES
+   * @param {number} lot.quantity - Credits in the lot
+   * @param {string|null} lot.expiresAt - ISO date; null never expires
+   * @param {string} lot.source - 'purchase', 'subscription', 'adjustment' or 'migration'
+   * @param {string} [lot.referenceType] - e.g. 'payment'
+   * @param {string} [lot.referenceId] - e.g. the Thawani session ID; a lot is only added once per reference
+   * @returns {Promise<Object>} The lot entry
+   */
+  async grantLot(companyId, { creditType, quantity, expiresAt = null, source, referenceType = null, referenceId = null, note = null, createdBy = null }) {
+    if (!Object.values(CREDIT_TYPES).includes(creditType) || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new AppError('A credit lot needs a credit type and a positive whole quantity', 400);
+    }
+
+    let existing = null;
+    const lot = await this._write(companyId, (entries, addEntry) => {
+      // A payment grants its lots once, however often it is confirmed
+      existing = referenceId && entries.find(entry => entry.entryType === ENTRY_TYPES.LOT &&
+        entry.creditType === creditType && entry.referenceType === referenceType && entry.referenceId === referenceId);
+      if (existing) {
+        return existing;
+      }
+
+      return addEntry({
+        entryType: ENTRY_TYPES.LOT,
+        creditType,
+        quantity,
+        expiresAt,
+        source,
+        referenceType,
+        referenceId,
+        note,
+        createdBy
+      });
+    });
+
+    if (existing) {
+      return lot;
+    }
+    logger.info(`🎟️ ${quantity} ${CREDIT_LABELS[creditType]} credit(s) added for company ${companyId} (${source})`);
+    return lot;
+  }
+
+  /**
+   * Use one credit for an instant match or interview
+   * @param {Object} company - Company instance
+   * @param {string} creditType - CREDIT_TYPES
+   * @param {Object} reference - What the credit pays for: { referenceType, referenceId }
+   * @param {string} [createdBy] - User ID
+   * @returns {Promise<Object|null>} The debit entry, or null on plans with unlimited use
+   * @throws {AppError} 403 when no valid credits are left
+   */
+  async debit(company, creditType, { referenceType, referenceId }, createdBy = null) {
+    if (company.getPlanLimits()[PLAN_LIMIT_FIELDS[creditType]] === 'unlimited') {
+      return null;
+    }
+
+    const written = await this._write(company.id, (entries, addEntry) => this._takeFromLots(entries, addEntry, creditType, 1, {
+      entryType: ENTRY_TYPES.DEBIT,
+      referenceType,
+      referenceId,
+      createdBy
+    }));
+
+    if (!written) {
+      throw new AppError(`No ${CREDIT_LABELS[creditType]} credits left - buy more or upgrade your plan`, 403);
+    }
+    return written[0];
+  }
+
+  /**
+   * Give back the credits debited for something that didn't happen, to the lots they came from
+   * Safe to call more than once or for something never debited
+   * @returns {Promise<Object[]>} Refund entries written
+   */
+  async refund(companyId, { referenceType, referenceId }, note = null) {
+    const refunds = await this._write(companyId, (entries, addEntry) => {
+      const outstanding = new Map();
+      for (const entry of entries) {
+        if (entry.referenceType === referenceType && entry.referenceId === referenceId &&
+            (entry.entryType === ENTRY_TYPES.DEBIT || entry.entryType === ENTRY_TYPES.REFUND)) {
+          const key = `${entry.creditType}:${entry.lotId}`;
+          outstanding.set(key, (outstanding.get(key) || 0) + entry.quantity);
+        }
+      }
+
+      const written = [];
+      for (const [key, quantity] of outstanding) {
+        if (quantity < 0) {
+          const [creditType, lotId] = key.split(':');
+          written.push(addEntry({
+            entryType: ENTRY_TYPES.REFUND,
+            creditType,
+            lotId,
+            quantity: -quantity,
+            referenceType,
+            referenceId,
+            note
+          }));
+        }
+      }
+      return written;
+    });
+
+    if (refunds.length > 0) {
+      logger.info(`🎟️ Refunded credits for ${referenceType} ${referenceId} to company ${companyId}`);
+    }
+    return refunds;
+  }
+
+  /**
+   * Admin correction: add credits as a new lot, or take them from the oldest valid lots
+   * @param {string} companyId
+   * @param {Object} adjustment - { creditType, quantity (+/-), expiresAt, note }
+   * @param {string} adminId
+   * @returns {Promise<Object[]>} Entries written
+   */
+  async adjust(companyId, { creditType, quantity, expiresAt = null, note }, adminId) {
+    if (quantity > 0) {
+      return [await this.grantLot(companyId, { creditType, quantity, expiresAt, source: 'adjustment', note, createdBy: adminId })];
+    }
+
+    const written = await this._write(companyId, (entries, addEntry) => this._takeFromLots(entries, addEntry, creditType, -quantity, {
+      entryType: ENTRY_TYPES.ADJUSTMENT,
+      note,
+      createdBy: adminId
+    }));
+
+    if (!written) {
+      throw new AppError(`The company has fewer than ${-quantity} valid ${CREDIT_LABELS[creditType]} credits`, 400);
+    }
+
+    logger.info(`🎟️ ${-quantity} ${CREDIT_LABELS[creditType]} credit(s) removed from company ${companyId} by admin ${adminId}`);
+    return written;
+  }
+
+  // ─────────────────────────────────────────────
+  // Purchases
+  // ─────────────────────────────────────────────
+
+  /**
+   * Credits that come with a purchase
+   * @param {Object} company - Company instance
+   * @param {Object} purchase
+   * @param {number} [purchase.instantMatches] - Pay-as-you-go matches
+   * @param {Object} [purchase.interviewPackage] - Package from pricingDetails.payAsYouGo.pricing.interviewPackages
+   * @param {string} [purchase.plan] - Subscription plan ID ('starter', 'pro'); its allowance lasts until expiresAt
+   * @param {string} [purchase.expiresAt] - End of the subscription period
+   * @param {string} purchase.referenceId - Payment reference (Thawani session ID or transaction ID)
+   * @returns {Promise<Object[]>} Lot entries
+   */
+  async grantPurchase(company, { instantMatches = 0, interviewPackage = null, plan = null, expiresAt = null, referenceId }, now = new Date()) {
+    const lots = [];
+    const reference = { referenceType: 'payment', referenceId };
+
+    if (instantMatches > 0) {
+      lots.push({
+        creditType: CREDIT_TYPES.INSTANT_MATCH,
+        quantity: instantMatches,
+        expiresAt: addDaysTo(now, INSTANT_MATCH_VALIDITY_DAYS),
+        source: 'purchase'
+      });
+    }
+
+    if (interviewPackage) {
+      lots.push({
+        creditType: CREDIT_TYPES.INTERVIEW,
+        quantity: interviewPackage.interviews,
+        expiresAt: addDaysTo(now, interviewPackage.validity * (UNIT_DAYS[interviewPackage.validityUnit] || 7)),
+        source: 'purchase',
+        note: interviewPackage.name
+      });
+    }
+
+    if (plan) {
+      const planDetails = (company.pricingDetails.subscriptionPlans || []).find(subscription => subscription.id === plan);
+      for (const creditType of Object.values(CREDIT_TYPES)) {
+        const allowance = planDetails?.features?.[PLAN_LIMIT_FIELDS[creditType]];
+        if (Number.isInteger(allowance) && allowance > 0) {
+          lots.push({ creditType, quantity: allowance, expiresAt, source: 'subscription', note: planDetails.name });
+        }
+      }
+    }
+
+    const granted = [];
+    for (const lot of lots) {
+      granted.push(await this.grantLot(company.id, { ...lot, ...reference }));
+    }
+    return granted;
+  }
+
+  /**
+   * Interview package by its key ('10interviews'), or by price for payments recorded by amount
+   */
+  findInterviewPackage(company, { key = null, price = null }) {
+    const packages = company.pricingDetails?.payAsYouGo?.pricing?.interviewPackages || [];
+    if (key) {
+      const interviews = parseInt(key);
+      return packages.find(interviewPackage => interviewPackage.interviews === interviews) || null;
+    }
+    return packages.find(interviewPackage => interviewPackage.price === price) || null;
+  }
+}
+
+// Export singleton instance
+const creditLedgerService = new CreditLedgerService();
+creditLedgerService.CREDIT_TYPES = CREDIT_TYPES;
+creditLedgerService.ENTRY_TYPES = ENTRY_TYPES;
+module.exports = creditLedgerService;
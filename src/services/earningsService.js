@@ -0,0 +1,603 @@
+/**
+ * Earnings Service
+ * Seekers' earnings ledger: approved timesheet days of an instant hire become payable line items,
+ * which are batched into one payout per seeker per payment period
+ *
+ * A line item is one shift day:
+ *   regular hours (up to the shift's hoursPerDay) x payPerHour
+ *   + overtime hours x payPerHour x the overtime multiplier
+ *   - a lateness deduction, on top of the late time not being paid
+ * The hire's platform serviceFee is paid by the company on top of the wages; each line item carries its
+ * share for reconciliation, but it is never taken out of the seeker's pay.
+ *
+ * Payment periods follow the hire's paymentTerms: 'end_of_shift' pays each day, 'weekly' each
+ * Sunday-Saturday week, 'monthly' each calendar month. Once a period is over, its pending items are
+ * batched into a payout; the transfer itself is made outside the platform and recorded with markPayoutPaid.
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const { PdfDocument, measureText } = require('../utils/pdf');
+const { toMuscatDate, getWeekday, addDays, WEEKDAYS } = require('../utils/muscatTime');
+const logger = require('../utils/logger');
+
+const CURRENCY = 'OMR';
+// Hours past the shift's daily hours are paid at this multiple of the hourly rate
+const OVERTIME_MULTIPLIER = parseFloat(process.env.EARNINGS_OVERTIME_MULTIPLIER) || 1.25;
+// Late minutes are also deducted at this fraction of the hourly rate
+const LATENESS_PENALTY_RATE = process.env.EARNINGS_LATENESS_PENALTY_RATE !== undefined
+  ? parseFloat(process.env.EARNINGS_LATENESS_PENALTY_RATE)
+  : 0.5;
+
+const PAYMENT_TERMS = ['end_of_shift', 'weekly', 'monthly'];
+
+// Omani rial amounts have three decimals (baisa)
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+const roundHours = (value) => Math.round(value * 100) / 100;
+const formatAmount = (value) => `${CURRENCY} ${roundAmount(value).toFixed(3)}`;
+
+/**
+ * Add up the money fields of line items
+ */
+const sumItems = (items) => {
+  const totals = items.reduce((sum, item) => ({
+    hoursWorked: sum.hoursWorked + (item.hoursWorked || 0),
+    overtimeHours: sum.overtimeHours + (item.overtimeHours || 0),
+    grossAmount: sum.grossAmount + item.grossAmount,
+    latenessDeduction: sum.latenessDeduction + (item.latenessDeduction || 0),
+    netAmount: sum.netAmount + item.netAmount
+  }), { hoursWorked: 0, overtimeHours: 0, grossAmount: 0, latenessDeduction: 0, netAmount: 0 });
+
+  return {
+    hoursWorked: roundHours(totals.hoursWorked),
+    overtimeHours: roundHours(totals.overtimeHours),
+    grossAmount: roundAmount(totals.grossAmount),
+    latenessDeduction: roundAmount(totals.latenessDeduction),
+    netAmount: roundAmount(totals.netAmount)
+  };
+};
+
+class EarningsService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Earnings Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Earnings Service:', error);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Calculation
+  // ─────────────────────────────────────────────
+
+  /**
+   * The payment period a shift day falls in
+   * @param {string} paymentTerms - 'end_of_shift', 'weekly' or 'monthly'
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object} { periodKey, periodStart, periodEnd } - dates are YYYY-MM-DD
+   */
+  getPayoutPeriod(paymentTerms, date) {
+    if (paymentTerms === 'weekly') {
+      const periodStart = addDays(date, -WEEKDAYS.indexOf(getWeekday(date)));
+      return { periodKey: `week-${periodStart}`, periodStart, periodEnd: addDays(periodStart, 6) };
+    }
+
+    if (paymentTerms === 'monthly') {
+      const month = date.slice(0, 7);
+      const [year, monthNumber] = month.split('-').map(Number);
+      const nextMonth = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+      return { periodKey: month, periodStart: `${month}-01`, periodEnd: addDays(`${nextMonth}-01`, -1) };
+    }
+
+    return { periodKey: date, periodStart: date, periodEnd: date };
+  }
+
+  /**
+   * Pay for one shift day
+   * @param {Object} instantHire - InstantHire instance
+   * @param {Object} day - { date, hoursWorked, lateMinutes }
+   * @returns {Object} Hours and amounts of the line item
+   */
+  calculatePay(instantHire, { hoursWorked, lateMinutes = 0 }) {
+    const payPerHour = Number(instantHire.payPerHour) || 0;
+    const dailyHours = Number(instantHire.hoursPerDay) || hoursWorked;
+
+    const regularHours = roundHours(Math.min(hoursWorked, dailyHours));
+    const overtimeHours = roundHours(Math.max(0, hoursWorked - dailyHours));
+    const regularPay = roundAmount(regularHours * payPerHour);
+    const overtimePay = roundAmount(overtimeHours * payPerHour * OVERTIME_MULTIPLIER);
+    const grossAmount = roundAmount(regularPay + overtimePay);
+    const latenessDeduction = roundAmount(Math.min(grossAmount, (lateMinutes / 60) * payPerHour * LATENESS_PENALTY_RATE));
+
+    return {
+      hoursWorked: roundHours(hoursWorked),
+      regularHours,
+      overtimeHours,
+      payPerHour,
+      overtimeMultiplier: OVERTIME_MULTIPLIER,
+      regularPay,
+      overtimePay,
+      grossAmount,
+      lateMinutes,
+      latenessDeduction,
+      netAmount: roundAmount(grossAmount - latenessDeduction)
+    };
+  }
+
+  /**
+   * Line items for a completed instant hire: one per approved timesheet day with hours,
+   * or one per booked shift day, each with its share of the booked hours, when it has no timesheet
+   * @param {Object} instantHire - InstantHire instance
+   * @param {Object} [options] - { adjustedAmount } the company's final amount, when it differs from the timesheet
+   * @returns {Array} Line items, keyed by id
+   */
+  buildLineItems(instantHire, { adjustedAmount = null } = {}) {
+    const paymentTerms = PAYMENT_TERMS.includes(instantHire.paymentTerms) ? instantHire.paymentTerms : 'end_of_shift';
+    const now = new Date().toISOString();
+
+    const base = {
+      seekerId: instantHire.seekerId,
+      seekerName: instantHire.seekerName,
+      companyId: instantHire.companyId,
+      companyName: instantHire.companyName,
+      instantHireId: instantHire.id,
+      instantHireRef: instantHire.instantHireId,
+      jobTitle: instantHire.jobTitle,
+      currency: CURRENCY,
+      paymentTerms,
+      status: 'pending',
+      payoutId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    let days;
+    if (instantHire.attendanceRecords.length > 0) {
+      days = instantHire.attendanceRecords
+        .filter(record => (record.approvalStatus || 'approved') === 'approved' && record.hoursWorked > 0)
+        .map((record, index) => ({
+          id: `${instantHire.id}_${record.id || `day${index + 1}`}`,
+          attendanceId: record.id || null,
+          date: record.date,
+          hoursWorked: record.hoursWorked,
+          lateMinutes: record.lateMinutes || 0
+        }));
+    } else {
+      // Overtime is per day, so the booked hours are paid day by day rather than as one long shift
+      const dates = instantHire.getShiftDates();
+      days = dates.map(date => ({
+        id: `${instantHire.id}_booking_${date}`,
+        attendanceId: null,
+        date,
+        hoursWorked: instantHire.totalHours / dates.length,
+        lateMinutes: 0
+      }));
+    }
+
+    const items = days.map(day => ({
+      ...base,
+      id: day.id,
+      type: 'shift',
+      description: `${instantHire.jobTitle || 'Shift'} on ${day.date}`,
+      attendanceId: day.attendanceId,
+      date: day.date,
+      ...this.calculatePay(instantHire, day),
+      ...this.getPayoutPeriod(paymentTerms, day.date)
+    }));
+
+    const { grossAmount, netAmount } = sumItems(items);
+
+    // The company's share of the platform fee, spread over the days by pay
+    items.forEach(item => {
+      item.serviceFee = grossAmount > 0 ? roundAmount((instantHire.serviceFee || 0) * item.grossAmount / grossAmount) : 0;
+    });
+
+    if (adjustedAmount !== null && adjustedAmount !== undefined && roundAmount(adjustedAmount - netAmount) !== 0) {
+      const date = toMuscatDate();
+      const difference = roundAmount(adjustedAmount - netAmount);
+      items.push({
+        ...base,
+        id: `${instantHire.id}_adjustment`,
+        type: 'adjustment',
+        description: `Final amount set by ${instantHire.companyName || 'the company'}`,
+        attendanceId: null,
+        date,
+        hoursWorked: 0,
+        grossAmount: difference,
+        latenessDeduction: 0,
+        netAmount: difference,
+        serviceFee: 0,
+        ...this.getPayoutPeriod(paymentTerms, date)
+      });
+    }
+
+    return items;
+  }
+
+  // ─────────────────────────────────────────────
+  // Ledger
+  // ─────────────────────────────────────────────
+
+  /**
+   * Write a completed instant hire's line items to the ledger
+   * Safe to call again - items already in the ledger are left alone
+   * @param {Object} instantHire - InstantHire instance
+   * @param {Object} [options] - { adjustedAmount }
+   * @returns {Object} { items, totals } for the whole hire
+   */
+  async recordEarnings(instantHire, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const items = this.buildLineItems(instantHire, options);
+    const existing = await this.db.collection(COLLECTIONS.EARNINGS)
+      .where('instantHireId', '==', instantHire.id)
+      .get();
+    const existingIds = new Set(existing.docs.map(doc => doc.id));
+
+    const newItems = items.filter(item => !existingIds.has(item.id));
+    if (newItems.length > 0) {
+      const batch = this.db.batch();
+      newItems.forEach(({ id, ...item }) => batch.set(this.db.collection(COLLECTIONS.EARNINGS).doc(id), item));
+      await batch.commit();
+    }
+
+    const allItems = [
+      ...existing.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      ...newItems
+    ];
+
+    logger.info(`💰 ${newItems.length} earnings line item(s) recorded for instant hire ${instantHire.id}`);
+    return { items: allItems, totals: sumItems(allItems) };
+  }
+
+  /**
+   * Batch every pending line item whose period is over into payouts, one per seeker per period
+   * @param {Date} now
+   * @returns {Object} { payouts, items, failed } counts - failed groups stay pending for the next run
+   */
+  async runPayoutBatch(now = new Date()) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const today = toMuscatDate(now);
+    const snapshot = await this.db.collection(COLLECTIONS.EARNINGS)
+      .where('status', '==', 'pending')
+      .get();
+
+    const groups = new Map();
+    snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(item => item.periodEnd < today)
+      .forEach(item => {
+        const key = `${item.seekerId}|${item.paymentTerms}|${item.periodKey}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(item);
+      });
+
+    let payoutCount = 0;
+    let itemCount = 0;
+    let failedCount = 0;
+    for (const items of groups.values()) {
+      const [first] = items;
+      const payoutRef = this.db.collection(COLLECTIONS.PAYOUTS).doc();
+      const payout = {
+        payoutNumber: `PO-${first.periodKey.replace(/[^0-9]/g, '')}-${payoutRef.id.slice(0, 6).toUpperCase()}`,
+        seekerId: first.seekerId,
+        seekerName: first.seekerName,
+        paymentTerms: first.paymentTerms,
+        periodKey: first.periodKey,
+        periodStart: first.periodStart,
+        periodEnd: first.periodEnd,
+        itemIds: items.map(item => item.id),
+        instantHireIds: [...new Set(items.map(item => item.instantHireId))],
+        shiftCount: items.filter(item => item.type === 'shift').length,
+        ...sumItems(items),
+        currency: CURRENCY,
+        status: 'pending',
+        dueDate: addDays(first.periodEnd, 1),
+        paidAt: null,
+        paymentReference: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      };
+
+      // Only items still pending join, so a second batch run can't pay an item twice.
+      // A group that fails is left pending for the next run; the other seekers' payouts go ahead
+      try {
+        await this.db.runTransaction(async (transaction) => {
+          const refs = items.map(item => this.db.collection(COLLECTIONS.EARNINGS).doc(item.id));
+          const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+          const stillPending = docs.filter(doc => doc.exists && doc.data().status === 'pending');
+          if (stillPending.length !== docs.length) {
+            throw new Error(`Earnings for payout ${payout.payoutNumber} changed while batching`);
+          }
+
+          transaction.set(payoutRef, payout);
+          refs.forEach(ref => transaction.update(ref, { status: 'batched', payoutId: payoutRef.id, updatedAt: now.toISOString() }));
+        });
+      } catch (error) {
+        failedCount++;
+        logger.error(`❌ Failed to batch payout for seeker ${first.seekerId} (${first.periodKey}), retrying next run:`, error);
+        continue;
+      }
+
+      payoutCount++;
+      itemCount += items.length;
+    }
+
+    logger.info(`💰 Payout batch: ${payoutCount} payout(s) from ${itemCount} line item(s)${failedCount ? `, ${failedCount} failed` : ''}`);
+    return { payouts: payoutCount, items: itemCount, failed: failedCount };
+  }
+
+  /**
+   * Record that a payout was transferred to the seeker
+   * Instant hires whose every line item is now paid are marked paid too
+   * @param {string} payoutId - Payout ID
+   * @param {string} paymentReference - Bank or wallet transfer reference
+   */
+  async markPayoutPaid(payoutId, paymentReference) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const InstantHire = require('../models/InstantHire');
+    const payoutRef = this.db.collection(COLLECTIONS.PAYOUTS).doc(payoutId);
+    const payoutDoc = await payoutRef.get();
+    if (!payoutDoc.exists) {
+      return null;
+    }
+
+    const payout = payoutDoc.data();
+    if (payout.status === 'paid') {
+      return { id: payoutId, ...payout };
+    }
+
+    const paidAt = new Date().toISOString();
+    const batch = this.db.batch();
+    batch.update(payoutRef, { status: 'paid', paidAt, paymentReference, updatedAt: paidAt });
+    payout.itemIds.forEach(itemId => {
+      batch.update(this.db.collection(COLLECTIONS.EARNINGS).doc(itemId), { status: 'paid', updatedAt: paidAt });
+    });
+    await batch.commit();
+
+    for (const instantHireId of payout.instantHireIds) {
+      const unpaid = await this.db.collection(COLLECTIONS.EARNINGS)
+        .where('instantHireId', '==', instantHireId)
+        .where('status', 'in', ['pending', 'batched'])
+        .limit(1)
+        .get();
+
+      if (unpaid.empty) {
+        const instantHire = await InstantHire.findById(instantHireId);
+        if (instantHire) {
+          await instantHire.update({
+            finalPaymentStatus: 'paid',
+            finalPaymentDate: paidAt,
+            finalPaymentReference: paymentReference,
+            updatedAt: paidAt
+          });
+        }
+      }
+    }
+
+    logger.info(`💸 Payout ${payout.payoutNumber} paid to seeker ${payout.seekerId}`);
+    return { id: payoutId, ...payout, status: 'paid', paidAt, paymentReference };
+  }
+
+  // ─────────────────────────────────────────────
+  // Seeker views
+  // ─────────────────────────────────────────────
+
+  /**
+   * A seeker's earnings, shift by shift, with totals by status and their payouts
+   * @param {string} seekerId - Seeker profile ID
+   * @param {Object} [range] - { from, to } YYYY-MM-DD shift dates
+   */
+  async getSeekerEarnings(seekerId, { from = null, to = null } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const [itemsSnapshot, payoutsSnapshot] = await Promise.all([
+      this.db.collection(COLLECTIONS.EARNINGS).where('seekerId', '==', seekerId).get(),
+      this.db.collection(COLLECTIONS.PAYOUTS).where('seekerId', '==', seekerId).get()
+    ]);
+
+    const items = itemsSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(item => (!from || item.date >= from) && (!to || item.date <= to))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const shifts = new Map();
+    items.forEach(item => {
+      if (!shifts.has(item.instantHireId)) {
+        shifts.set(item.instantHireId, {
+          instantHireId: item.instantHireId,
+          instantHireRef: item.instantHireRef,
+          jobTitle: item.jobTitle,
+          companyName: item.companyName,
+          paymentTerms: item.paymentTerms,
+          items: []
+        });
+      }
+      shifts.get(item.instantHireId).items.push(item);
+    });
+
+    return {
+      currency: CURRENCY,
+      totals: {
+        ...sumItems(items),
+        pending: sumItems(items.filter(item => item.status === 'pending')).netAmount,
+        batched: sumItems(items.filter(item => item.status === 'batched')).netAmount,
+        paid: sumItems(items.filter(item => item.status === 'paid')).netAmount
+      },
+      shifts: [...shifts.values()].map(shift => ({ ...shift, totals: sumItems(shift.items) })),
+      payouts: payoutsSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(payout => (!from || payout.periodEnd >= from) && (!to || payout.periodStart <= to))
+        .sort((a, b) => b.periodStart.localeCompare(a.periodStart))
+        .map(({ itemIds, ...payout }) => payout)
+    };
+  }
+
+  /**
+   * Payouts by status, oldest due first - what finance still has to transfer
+   * @param {string} status - 'pending' or 'paid'
+   * @param {number} limit
+   */
+  async listPayouts(status = 'pending', limit = 100) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.PAYOUTS)
+      .where('status', '==', status)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .slice(0, limit)
+      .map(({ itemIds, ...payout }) => payout);
+  }
+
+  /**
+   * A payout and its line items
+   * @returns {Object|null} { payout, items }
+   */
+  async getPayout(payoutId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const payoutDoc = await this.db.collection(COLLECTIONS.PAYOUTS).doc(payoutId).get();
+    if (!payoutDoc.exists) {
+      return null;
+    }
+
+    const payout = { id: payoutDoc.id, ...payoutDoc.data() };
+    const itemDocs = await Promise.all(payout.itemIds.map(itemId => this.db.collection(COLLECTIONS.EARNINGS).doc(itemId).get()));
+
+    return {
+      payout,
+      items: itemDocs
+        .filter(doc => doc.exists)
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  /**
+   * Payslip PDF for a payout
+   * @param {Object} payout - Payout from getPayout
+   * @param {Array} items - Its line items
+   * @param {Object} seeker - Seeker instance
+   * @returns {Buffer}
+   */
+  buildPayslip(payout, items, seeker) {
+    const doc = new PdfDocument({ title: `Payslip ${payout.payoutNumber}`, author: 'Shift' });
+    const left = 50;
+    const right = doc.width - 50;
+    const columns = [
+      { label: 'Date', x: left, align: 'left', value: item => item.date },
+      { label: 'Shift', x: left + 70, align: 'left', value: item => item.type === 'adjustment' ? item.description : `${item.jobTitle || 'Shift'} - ${item.companyName || ''}` },
+      { label: 'Hours', x: right - 220, align: 'right', value: item => item.hoursWorked ? item.hoursWorked.toFixed(2) : '' },
+      { label: 'OT hours', x: right - 165, align: 'right', value: item => item.overtimeHours ? item.overtimeHours.toFixed(2) : '' },
+      { label: 'Gross', x: right - 110, align: 'right', value: item => roundAmount(item.grossAmount).toFixed(3) },
+      { label: 'Lateness', x: right - 55, align: 'right', value: item => item.latenessDeduction ? `-${roundAmount(item.latenessDeduction).toFixed(3)}` : '' },
+      { label: 'Net', x: right, align: 'right', value: item => roundAmount(item.netAmount).toFixed(3) }
+    ];
+
+    doc.text('Shift', left, 60, { size: 20, bold: true });
+    doc.text('PAYSLIP', right, 60, { size: 16, bold: true, align: 'right' });
+    doc.line(left, 75, right, 75);
+
+    const seekerName = seeker.fullName || [seeker.firstName, seeker.lastName].filter(Boolean).join(' ') || payout.seekerName;
+    const details = [
+      ['Payslip', payout.payoutNumber],
+      ['Employee', seekerName],
+      ['Pay period', payout.periodStart === payout.periodEnd ? payout.periodStart : `${payout.periodStart} to ${payout.periodEnd}`],
+      ['Payment terms', payout.paymentTerms.replace(/_/g, ' ')],
+      ['Status', payout.status === 'paid' ? `Paid ${String(payout.paidAt).slice(0, 10)}` : `Due ${payout.dueDate}`]
+    ];
+    if (payout.paymentReference) {
+      details.push(['Payment reference', payout.paymentReference]);
+    }
+    details.forEach(([label, value], index) => {
+      doc.text(label, left, 100 + index * 16, { bold: true });
+      doc.text(value, left + 120, 100 + index * 16);
+    });
+
+    let y = 100 + details.length * 16 + 24;
+    const header = () => {
+      doc.rect(left - 4, y - 12, right - left + 8, 18);
+      columns.forEach(column => doc.text(column.label, column.x, y, { size: 9, bold: true, align: column.align }));
+      y += 20;
+    };
+    header();
+
+    items.forEach(item => {
+      if (y > doc.height - 120) {
+        doc.addPage();
+        y = 60;
+        header();
+      }
+      columns.forEach(column => {
+        let value = String(column.value(item));
+        if (!value) {
+          return;
+        }
+        // Long job titles are cut short of the Hours column
+        if (column.label === 'Shift') {
+          while (value.length > 3 && measureText(value, 9) > 190) {
+            value = `${value.slice(0, -4)}...`;
+          }
+        }
+        doc.text(value, column.x, y, { size: 9, align: column.align });
+      });
+      y += 16;
+    });
+
+    doc.line(left, y - 6, right, y - 6);
+    y += 14;
+    const totals = [
+      ['Gross pay', formatAmount(payout.grossAmount)],
+      ['Lateness deductions', `-${formatAmount(payout.latenessDeduction)}`],
+      ['Net pay', formatAmount(payout.netAmount)]
+    ];
+    totals.forEach(([label, value], index) => {
+      const bold = index === totals.length - 1;
+      doc.text(label, right - 130, y, { align: 'right', bold });
+      doc.text(value, right, y, { align: 'right', bold });
+      y += 16;
+    });
+
+    doc.text(
+      `Hours worked: ${payout.hoursWorked.toFixed(2)} (overtime ${payout.overtimeHours.toFixed(2)}, paid at ${OVERTIME_MULTIPLIER}x)`,
+      left, y + 20, { size: 9, color: [0.35, 0.35, 0.35] }
+    );
+    doc.text('Generated by Shift from approved timesheets.', left, doc.height - 40, { size: 8, color: [0.5, 0.5, 0.5] });
+
+    return doc.toBuffer();
+  }
+}
+
+// Export singleton instance
+const earningsService = new EarningsService();
+module.exports = earningsService;
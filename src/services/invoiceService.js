@@ -0,0 +1,537 @@
+/**
+ * Invoice Service
+ * Tax invoices for company payments and credit notes for refunds
+ *
+ * Every completed payment we know was received gets one tax invoice: Thawani payments confirmed with the
+ * gateway, and LPO or bank transfer payments recorded by an admin. Payments a company reports itself aren't
+ * invoiced - nobody has checked the money arrived.
+ * Amounts paid include Oman VAT (5%); the invoice splits each line into its net amount and the VAT.
+ * Invoices and credit notes are numbered in their own gap-free sequence per calendar year
+ * (INV-2026-00001, CN-2026-00001), taken in the same transaction that stores the document.
+ *
+ * The PDF is kept in Firebase Storage under documents/invoices/<companyId>/ and emailed to the company
+ * through the notification outbox. Downloads use short-lived signed URLs.
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS, FILE_UPLOAD } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { PdfDocument, measureText } = require('../utils/pdf');
+const { toMuscatDate } = require('../utils/muscatTime');
+const logger = require('../utils/logger');
+
+const CURRENCY = 'OMR';
+const VAT_RATE = process.env.INVOICE_VAT_RATE !== undefined ? parseFloat(process.env.INVOICE_VAT_RATE) : 0.05;
+
+const DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note'
+};
+
+const NUMBER_PREFIXES = {
+  [DOCUMENT_TYPES.INVOICE]: 'INV',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'CN'
+};
+
+// Omani rial amounts have three decimals (baisa)
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+const formatAmount = (value) => `${CURRENCY} ${roundAmount(value).toFixed(3)}`;
+
+/**
+ * Our details as the seller, printed on every document
+ */
+const getSeller = () => ({
+  name: process.env.INVOICE_SELLER_NAME || 'Shift',
+  address: process.env.INVOICE_SELLER_ADDRESS || 'Muscat, Sultanate of Oman',
+  crNumber: process.env.INVOICE_SELLER_CR_NUMBER || null,
+  vatNumber: process.env.INVOICE_SELLER_VAT_NUMBER || null
+});
+
+/**
+ * Split VAT-inclusive lines into net amounts and VAT
+ * The VAT is what's left of the total after the rounded net amounts, so the document always adds up
+ * @param {Array} lines - [{ description, quantity, amount }] with amount the VAT-inclusive line total
+ * @param {number} [vatRate] - Rate the document is issued at; credit notes reuse their invoice's rate
+ */
+const calculateTotals = (lines, vatRate = VAT_RATE) => {
+  const taxedLines = lines.map(line => {
+    const netAmount = roundAmount(line.amount / (1 + vatRate));
+    return {
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: roundAmount(netAmount / line.quantity),
+      netAmount
+    };
+  });
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  const subtotal = roundAmount(taxedLines.reduce((sum, line) => sum + line.netAmount, 0));
+
+  return {
+    lines: taxedLines,
+    subtotal,
+    vatRate,
+    vatAmount: roundAmount(total - subtotal),
+    total
+  };
+};
+
+class InvoiceService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Invoice Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Invoice Service:', error);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Issuing
+  // ─────────────────────────────────────────────
+
+  /**
+   * What a payment transaction was for, as VAT-inclusive lines
+   * paymentHistory entries come in two shapes: { transactionId, paymentType, ... } from
+   * addPaymentTransaction and { id, type, planName, ... } from checkouts and purchases
+   */
+  getTransactionLines(company, transaction) {
+    if (transaction.type === 'payg_payment') {
+      const lines = [];
+      const matchPrice = company.pricingDetails.payAsYouGo.pricing.instantMatch;
+      if (transaction.matches > 0) {
+        lines.push({ description: 'Instant matches', quantity: transaction.matches, amount: transaction.matches * matchPrice });
+      }
+      const packageAmount = transaction.amount - (transaction.matches || 0) * matchPrice;
+      if (transaction.interviewPackage && packageAmount > 0) {
+        lines.push({ description: `Interview package (${parseInt(transaction.interviewPackage)} interviews)`, quantity: 1, amount: packageAmount });
+      }
+      if (lines.length > 0) {
+        return lines;
+      }
+    }
+
+    const description = transaction.planName ||
+      transaction.paymentType ||
+      (transaction.planType ? `${transaction.planType} subscription` : null) ||
+      'Shift services';
+    return [{ description, quantity: 1, amount: transaction.amount }];
+  }
+
+  /**
+   * ID of the invoice of a payment transaction
+   */
+  getInvoiceId(companyId, transactionId) {
+    return `${companyId}_${transactionId}`;
+  }
+
+  /**
+   * Whether a payment transaction is confirmed - paid through Thawani, or recorded by an admin
+   */
+  isConfirmedPayment(transaction) {
+    return Boolean(transaction.thawaniSessionId || transaction.recordedBy);
+  }
+
+  /**
+   * Issue the tax invoice for a completed, confirmed payment transaction
+   * Issuing again for the same transaction returns the invoice already issued
+   * @param {Object} company - Company instance
+   * @param {Object} transaction - Entry of company.paymentHistory
+   * @returns {Promise<Object|null>} The invoice, or null when the transaction isn't a completed, confirmed payment
+   */
+  async issueInvoice(company, transaction) {
+    const transactionId = transaction.transactionId || transaction.id;
+    const status = transaction.paymentStatus || transaction.status;
+    if (!transactionId || status !== 'completed' || !(transaction.amount > 0) || !this.isConfirmedPayment(transaction)) {
+      return null;
+    }
+
+    const issuedAt = new Date();
+    const invoice = {
+      documentType: DOCUMENT_TYPES.INVOICE,
+      companyId: company.id,
+      transactionId,
+      seller: getSeller(),
+      buyer: {
+        companyName: company.companyName,
+        crNumber: company.crNumber || null,
+        email: company.companyEmail || company.adminDetails?.email || null,
+        contactName: company.adminDetails?.fullName || null
+      },
+      lpoNumber: transaction.lpoNumber || null,
+      paymentMethod: transaction.thawaniSessionId ? 'Thawani' : transaction.lpoNumber ? 'LPO' : 'Bank transfer',
+      paymentReference: transaction.thawaniSessionId || transaction.transactionReference || transactionId,
+      paidAt: transaction.paymentDate || transaction.createdAt || issuedAt.toISOString(),
+      ...calculateTotals(this.getTransactionLines(company, transaction)),
+      currency: CURRENCY,
+      creditedAmount: 0,
+      storagePath: null,
+      emailedAt: null
+    };
+
+    const { document, created } = await this._store(this.getInvoiceId(company.id, transactionId), invoice, issuedAt);
+    if (created) {
+      logger.info(`🧾 Invoice ${document.number} issued to company ${company.id} for ${formatAmount(document.total)}`);
+      await this._publish(company, document);
+    }
+    return document;
+  }
+
+  /**
+   * Issue a credit note against an invoice, for a full or partial refund
+   * @param {string} invoiceId
+   * @param {Object} refund
+   * @param {number} [refund.amount] - VAT-inclusive amount refunded; defaults to what's left of the invoice
+   * @param {string} refund.reason
+   * @param {string} adminId
+   * @returns {Promise<Object>} The credit note
+   * @throws {AppError} 404 for an unknown invoice, 400 when the refund is more than is left to credit
+   */
+  async issueCreditNote(invoiceId, { amount = null, reason }, adminId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const invoicesRef = this.db.collection(COLLECTIONS.INVOICES);
+    const invoiceRef = invoicesRef.doc(invoiceId);
+    const creditNoteRef = invoicesRef.doc();
+    const issuedAt = new Date();
+
+    const creditNote = await this.db.runTransaction(async (transaction) => {
+      const invoiceDoc = await transaction.get(invoiceRef);
+      if (!invoiceDoc.exists || invoiceDoc.data().documentType !== DOCUMENT_TYPES.INVOICE) {
+        throw new AppError('Invoice not found', 404);
+      }
+      const invoice = { id: invoiceDoc.id, ...invoiceDoc.data() };
+
+      const creditable = roundAmount(invoice.total - (invoice.creditedAmount || 0));
+      const refunded = roundAmount(amount === null ? creditable : amount);
+      if (refunded <= 0 || refunded > creditable) {
+        throw new AppError(`Refund must be more than 0 and at most ${formatAmount(creditable)}, what is left to credit on invoice ${invoice.number}`, 400);
+      }
+
+      // Credit the invoice's lines in proportion to the refund
+      const share = refunded / invoice.total;
+      const lines = invoice.lines.map(line => ({
+        description: `${line.description} (${invoice.number})`,
+        quantity: line.quantity,
+        amount: roundAmount(line.netAmount * (1 + invoice.vatRate) * share)
+      }));
+      lines[lines.length - 1].amount = roundAmount(refunded - lines.slice(0, -1).reduce((sum, line) => sum + line.amount, 0));
+
+      const number = await this._nextNumber(transaction, DOCUMENT_TYPES.CREDIT_NOTE, issuedAt);
+      const data = {
+        documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+        number,
+        companyId: invoice.companyId,
+        transactionId: invoice.transactionId,
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.number,
+        reason,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        lpoNumber: invoice.lpoNumber,
+        paymentMethod: invoice.paymentMethod,
+        paymentReference: invoice.paymentReference,
+        ...calculateTotals(lines, invoice.vatRate),
+        currency: invoice.currency,
+        issuedBy: adminId,
+        storagePath: null,
+        emailedAt: null,
+        issuedAt: issuedAt.toISOString(),
+        createdAt: issuedAt.toISOString()
+      };
+
+      transaction.set(creditNoteRef, data);
+      transaction.update(invoiceRef, {
+        creditedAmount: roundAmount((invoice.creditedAmount || 0) + refunded),
+        updatedAt: issuedAt.toISOString()
+      });
+      return { id: creditNoteRef.id, ...data };
+    });
+
+    logger.info(`🧾 Credit note ${creditNote.number} issued against ${creditNote.invoiceNumber} for ${formatAmount(creditNote.total)}`);
+
+    // Required lazily - the Company model issues invoices through this service
+    const Company = require('../models/Company');
+    const company = await Company.findById(creditNote.companyId);
+    if (company) {
+      await this._publish(company, creditNote);
+    }
+    return creditNote;
+  }
+
+  /**
+   * Store a new document under a fixed ID with the next number of its sequence
+   * @returns {Promise<Object>} { document, created } - created is false when the ID was already taken
+   */
+  async _store(documentId, data, issuedAt) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const documentRef = this.db.collection(COLLECTIONS.INVOICES).doc(documentId);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const existing = await transaction.get(documentRef);
+      if (existing.exists) {
+        return { document: { id: existing.id, ...existing.data() }, created: false };
+      }
+
+      const number = await this._nextNumber(transaction, data.documentType, issuedAt);
+      const document = {
+        ...data,
+        number,
+        issuedAt: issuedAt.toISOString(),
+        createdAt: issuedAt.toISOString()
+      };
+      transaction.set(documentRef, document);
+      return { document: { id: documentId, ...document }, created: true };
+    });
+  }
+
+  /**
+   * Take the next number of a sequence inside a transaction
+   * Call before any write of the transaction - Firestore needs all reads first
+   */
+  async _nextNumber(transaction, documentType, issuedAt) {
+    const year = toMuscatDate(issuedAt).slice(0, 4);
+    const counterRef = this.db.collection(COLLECTIONS.INVOICE_COUNTERS).doc(`${documentType}_${year}`);
+    const counterDoc = await transaction.get(counterRef);
+    const next = (counterDoc.exists ? counterDoc.data().lastNumber : 0) + 1;
+
+    transaction.set(counterRef, { documentType, year, lastNumber: next, updatedAt: issuedAt.toISOString() });
+    return `${NUMBER_PREFIXES[documentType]}-${year}-${String(next).padStart(5, '0')}`;
+  }
+
+  /**
+   * Store the PDF and email it to the company
+   * A failure here leaves the document issued; the PDF is built again on first download
+   */
+  async _publish(company, document) {
+    try {
+      const pdf = this.buildPdf(document);
+      await this._savePdf(document, pdf);
+
+      // Required lazily - the notification controller loads the models
+      const notificationController = require('../controllers/notificationController');
+      await notificationController.sendInvoiceIssued({
+        id: company.id,
+        companyName: company.companyName,
+        email: document.buyer.email
+      }, document, pdf);
+
+      await this._updateDocument(document.id, { emailedAt: new Date().toISOString() });
+    } catch (error) {
+      logger.error(`❌ Failed to store or email ${document.number}:`, error);
+    }
+  }
+
+  async _savePdf(document, pdf) {
+    const storagePath = `${FILE_UPLOAD.STORAGE_PATHS.INVOICES}${document.companyId}/${document.number}.pdf`;
+    await firebaseConfig.getStorage().bucket().file(storagePath).save(pdf, {
+      resumable: false,
+      metadata: {
+        contentType: 'application/pdf',
+        cacheControl: 'private, max-age=0',
+        metadata: {
+          companyId: document.companyId,
+          documentType: document.documentType,
+          number: document.number
+        }
+      }
+    });
+    await this._updateDocument(document.id, { storagePath });
+    document.storagePath = storagePath;
+  }
+
+  async _updateDocument(documentId, data) {
+    await this.db.collection(COLLECTIONS.INVOICES).doc(documentId).update({
+      ...data,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Reading
+  // ─────────────────────────────────────────────
+
+  /**
+   * Invoices and credit notes of a company, newest first
+   * @param {string} companyId
+   * @param {Object} filters - { documentType, limit }
+   */
+  async listDocuments(companyId, { documentType = null, limit = 50 } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.INVOICES)
+      .where('companyId', '==', companyId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(document => !documentType || document.documentType === documentType)
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  async getDocument(documentId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const doc = await this.db.collection(COLLECTIONS.INVOICES).doc(documentId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Short-lived download URL for the PDF of an invoice or credit note
+   * Callers must have checked the requester may see the document
+   * @returns {Promise<Object>} { url, expiresAt }
+   */
+  async getDownloadUrl(document) {
+    if (!document.storagePath) {
+      await this._savePdf(document, this.buildPdf(document));
+    }
+
+    const expiresAt = new Date(Date.now() + FILE_UPLOAD.SIGNED_URL_TTL_MS);
+    const [url] = await firebaseConfig.getStorage().bucket().file(document.storagePath).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt,
+      responseDisposition: `attachment; filename="${document.number}.pdf"`,
+      responseType: 'application/pdf'
+    });
+
+    return { url, expiresAt: expiresAt.toISOString() };
+  }
+
+  // ─────────────────────────────────────────────
+  // PDF
+  // ─────────────────────────────────────────────
+
+  /**
+   * Tax invoice or credit note PDF
+   * @param {Object} document - Invoice or credit note
+   * @returns {Buffer}
+   */
+  buildPdf(document) {
+    const isCreditNote = document.documentType === DOCUMENT_TYPES.CREDIT_NOTE;
+    const title = isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE';
+    const doc = new PdfDocument({ title: `${isCreditNote ? 'Credit note' : 'Tax invoice'} ${document.number}`, author: document.seller.name });
+    const left = 50;
+    const right = doc.width - 50;
+    const grey = [0.35, 0.35, 0.35];
+    const vatPercent = `${roundAmount(document.vatRate * 100)}%`;
+
+    doc.text(document.seller.name, left, 60, { size: 20, bold: true });
+    doc.text(title, right, 60, { size: 16, bold: true, align: 'right' });
+    doc.line(left, 75, right, 75);
+
+    // Seller on the left, buyer on the right
+    const sellerLines = [
+      document.seller.address,
+      document.seller.crNumber ? `CR No. ${document.seller.crNumber}` : null,
+      document.seller.vatNumber ? `VATIN ${document.seller.vatNumber}` : null
+    ].filter(Boolean);
+    sellerLines.forEach((line, index) => doc.text(line, left, 95 + index * 14, { size: 9, color: grey }));
+
+    const buyerX = doc.width / 2 + 20;
+    doc.text('Bill to', buyerX, 95, { size: 9, bold: true });
+    [
+      document.buyer.companyName,
+      document.buyer.crNumber ? `CR No. ${document.buyer.crNumber}` : null,
+      document.buyer.contactName,
+      document.buyer.email
+    ].filter(Boolean).forEach((line, index) => doc.text(line, buyerX, 109 + index * 14, { size: 9 }));
+
+    const details = [
+      [isCreditNote ? 'Credit note' : 'Invoice', document.number],
+      ['Date', toMuscatDate(document.issuedAt)]
+    ];
+    if (isCreditNote) {
+      details.push(['Against invoice', document.invoiceNumber], ['Reason', document.reason]);
+    } else {
+      details.push(['Paid', `${toMuscatDate(document.paidAt)} by ${document.paymentMethod}`]);
+    }
+    if (document.lpoNumber) {
+      details.push(['LPO number', document.lpoNumber]);
+    }
+    details.push(['Payment reference', document.paymentReference]);
+
+    let y = 180;
+    details.forEach(([label, value]) => {
+      doc.text(label, left, y, { bold: true });
+      doc.text(String(value), left + 120, y);
+      y += 16;
+    });
+
+    y += 20;
+    const columns = [
+      { label: 'Description', x: left, align: 'left', value: line => line.description },
+      { label: 'Qty', x: right - 200, align: 'right', value: line => String(line.quantity) },
+      { label: 'Unit price', x: right - 130, align: 'right', value: line => roundAmount(line.unitPrice).toFixed(3) },
+      { label: `Amount (${CURRENCY})`, x: right, align: 'right', value: line => roundAmount(line.netAmount).toFixed(3) }
+    ];
+    doc.rect(left - 4, y - 12, right - left + 8, 18);
+    columns.forEach(column => doc.text(column.label, column.x, y, { size: 9, bold: true, align: column.align }));
+    y += 20;
+
+    document.lines.forEach(line => {
+      columns.forEach(column => {
+        let value = column.value(line);
+        // Long descriptions are cut short of the Qty column
+        if (column.label === 'Description') {
+          while (value.length > 3 && measureText(value, 9) > 250) {
+            value = `${value.slice(0, -4)}...`;
+          }
+        }
+        doc.text(value, column.x, y, { size: 9, align: column.align });
+      });
+      y += 16;
+    });
+
+    doc.line(left, y - 6, right, y - 6);
+    y += 14;
+    const totals = [
+      ['Subtotal (excl. VAT)', formatAmount(document.subtotal)],
+      [`VAT ${vatPercent}`, formatAmount(document.vatAmount)],
+      [isCreditNote ? 'Total credited' : 'Total paid', formatAmount(document.total)]
+    ];
+    totals.forEach(([label, value], index) => {
+      const bold = index === totals.length - 1;
+      doc.text(label, right - 130, y, { align: 'right', bold });
+      doc.text(value, right, y, { align: 'right', bold });
+      y += 16;
+    });
+
+    doc.text(
+      isCreditNote
+        ? `This credit note reduces invoice ${document.invoiceNumber} by ${formatAmount(document.total)}, VAT included.`
+        : `Amounts include Oman VAT at ${vatPercent}.`,
+      left, y + 20, { size: 9, color: grey }
+    );
+    doc.text(`Generated by ${document.seller.name}.`, left, doc.height - 40, { size: 8, color: [0.5, 0.5, 0.5] });
+
+    return doc.toBuffer();
+  }
+}
+
+// Export singleton instance
+const invoiceService = new InvoiceService();
+invoiceService.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports = invoiceService;
@@ -0,0 +1,531 @@
+/**
+ * Job Scheduler Service
+ * Persistent, in-process background job scheduler backed by Firestore
+ * Jobs survive restarts and a leader lock stops multiple instances from double-firing
+ */
+
+const os = require('os');
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/database');
+const logger = require('../utils/logger');
+
+const LEADER_LOCK_ID = 'job_scheduler_leader';
+
+class JobScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
+    this.enabled = process.env.SCHEDULER_ENABLED !== 'false';
+    this.pollIntervalMs = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 30 * 1000; // 30 seconds
+    this.leaseMs = parseInt(process.env.SCHEDULER_LEASE_MS) || this.pollIntervalMs * 3;
+    this.batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 25;
+    this.maxAttempts = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 3;
+    this.retryDelayMs = parseInt(process.env.SCHEDULER_RETRY_DELAY_MS) || 5 * 60 * 1000; // 5 minutes
+
+    this.handlers = new Map();
+    this.timer = null;
+    this.ticking = false;
+    this.isLeader = false;
+    this.lastTickAt = null;
+
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the scheduler
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info(`✅ Job Scheduler initialized (instance ${this.instanceId})`);
+    } catch (error) {
+      logger.error('❌ Failed to initialize Job Scheduler:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   */
+  registerHandler(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for job type "${type}" must be a function`);
+    }
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  async start() {
+    if (!this.enabled) {
+      logger.warn('⏰ Job Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) {
+      return;
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    logger.info(`⏰ Job Scheduler started - polling every ${this.pollIntervalMs / 1000}s`);
+    this.tick();
+  }
+
+  /**
+   * Stop polling and release leadership
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.isLeader) {
+      await this.releaseLeadership();
+    }
+
+    logger.info('⏰ Job Scheduler stopped');
+  }
+
+  /**
+   * Acquire or renew the leader lease
+   * Only the leader instance executes jobs
+   */
+  async acquireLeadership() {
+    const lockRef = this.db.collection(COLLECTIONS.SCHEDULER_LOCKS).doc(LEADER_LOCK_ID);
+
+    try {
+      const acquired = await this.db.runTransaction(async (transaction) => {
+        const lockDoc = await transaction.get(lockRef);
+        const now = Date.now();
+
+        if (lockDoc.exists) {
+          const lock = lockDoc.data();
+          const leaseActive = lock.expiresAt && new Date(lock.expiresAt).getTime() > now;
+          if (leaseActive && lock.ownerId !== this.instanceId) {
+            return false;
+          }
+        }
+
+        transaction.set(lockRef, {
+          ownerId: this.instanceId,
+          acquiredAt: lockDoc.exists && lockDoc.data().ownerId === this.instanceId
+            ? lockDoc.data().acquiredAt
+            : new Date(now).toISOString(),
+          renewedAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + this.leaseMs).toISOString()
+        });
+        return true;
+      });
+
+      if (acquired && !this.isLeader) {
+        logger.info(`👑 Job Scheduler leadership acquired by ${this.instanceId}`);
+      }
+      this.isLeader = acquired;
+      return acquired;
+    } catch (error) {
+      logger.error('❌ Failed to acquire scheduler leadership:', error);
+      this.isLeader = false;
+      return false;
+    }
+  }
+
+  /**
+   * Release the leader lease so another instance can take over immediately
+   */
+  async releaseLeadership() {
+    const lockRef = this.db.collection(COLLECTIONS.SCHEDULER_LOCKS).doc(LEADER_LOCK_ID);
+
+    try {
+      await this.db.runTransaction(async (transaction) => {
+        const lockDoc = await transaction.get(lockRef);
+        if (lockDoc.exists && lockDoc.data().ownerId === this.instanceId) {
+          transaction.delete(lockRef);
+        }
+      });
+      this.isLeader = false;
+    } catch (error) {
+      logger.error('❌ Failed to release scheduler leadership:', error);
+    }
+  }
+
+  /**
+   * Single polling cycle: renew leadership, recover stale jobs and run due jobs
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      this.lastTickAt = new Date().toISOString();
+
+      const isLeader = await this.acquireLeadership();
+      if (!isLeader) {
+        return;
+      }
+
+      await this.recoverStaleJobs();
+
+      const dueJobs = await this.getDueJobs();
+      for (const job of dueJobs) {
+        await this.runJob(job.id);
+      }
+    } catch (error) {
+      logger.error('❌ Job Scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Get pending jobs whose run time has passed
+   */
+  async getDueJobs() {
+    const snapshot = await this.db.collection(COLLECTIONS.SCHEDULED_JOBS)
+      .where('status', '==', 'pending')
+      .where('runAt', '<=', new Date().toISOString())
+      .orderBy('runAt', 'asc')
+      .limit(this.batchSize)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Put jobs left 'running' by a crashed instance back into the queue
+   */
+  async recoverStaleJobs() {
+    const snapshot = await this.db.collection(COLLECTIONS.SCHEDULED_JOBS)
+      .where('status', '==', 'running')
+      .where('lockedUntil', '<=', new Date().toISOString())
+      .limit(this.batchSize)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      logger.warn(`⏰ Recovering stale job ${doc.id} (locked by ${doc.data().lockedBy})`);
+      await doc.ref.update({
+        status: 'pending',
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Atomically claim a job so it only runs once
+   * @param {string} jobId - Job ID
+   * @param {boolean} force - Claim even if the job is not due yet
+   */
+  async claimJob(jobId, force = false) {
+    const jobRef = this.db.collection(COLLECTIONS.SCHEDULED_JOBS).doc(jobId);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists) {
+        return null;
+      }
+
+      const job = jobDoc.data();
+      const now = new Date();
+      if (job.status !== 'pending' || (!force && new Date(job.runAt) > now)) {
+        return null;
+      }
+
+      const claimed = {
+        status: 'running',
+        attempts: (job.attempts || 0) + 1,
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + this.leaseMs).toISOString(),
+        lastRunAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      };
+
+      transaction.update(jobRef, claimed);
+      return { id: jobDoc.id, ...job, ...claimed };
+    });
+  }
+
+  /**
+   * Claim and execute a single job
+   * @param {string} jobId - Job ID
+   * @param {boolean} force - Run even if the job is not due yet
+   */
+  async runJob(jobId, force = false) {
+    const job = await this.claimJob(jobId, force);
+    if (!job) {
+      return null;
+    }
+
+    const jobRef = this.db.collection(COLLECTIONS.SCHEDULED_JOBS).doc(jobId);
+    const handler = this.handlers.get(job.type);
+
+    if (!handler) {
+      logger.error(`❌ No handler registered for job type "${job.type}" (${jobId})`);
+      await jobRef.update({
+        status: 'failed',
+        error: `No handler registered for job type "${job.type}"`,
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: new Date().toISOString()
+      });
+      return { success: false, jobId };
+    }
+
+    try {
+      const result = await handler(job.payload || {}, job);
+      const now = new Date();
+
+      const updateData = {
+        lastResult: result === undefined ? null : result,
+        error: null,
+        lockedBy: null,
+        lockedUntil: null,
+        completedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      };
+
+      if (job.repeatIntervalMs) {
+        // Recurring job - queue the next occurrence on the same document
+        updateData.status = 'pending';
+        updateData.attempts = 0;
+        updateData.runAt = new Date(now.getTime() + job.repeatIntervalMs).toISOString();
+      } else {
+        updateData.status = 'completed';
+      }
+
+      await jobRef.update(updateData);
+      logger.info(`✅ Job ${jobId} (${job.type}) completed`);
+      return { success: true, jobId, result };
+
+    } catch (error) {
+      const maxAttempts = job.maxAttempts || this.maxAttempts;
+      const canRetry = job.attempts < maxAttempts;
+      const now = new Date();
+
+      await jobRef.update({
+        status: canRetry ? 'pending' : 'failed',
+        runAt: canRetry
+          ? new Date(now.getTime() + this.retryDelayMs * job.attempts).toISOString()
+          : job.runAt,
+        error: error.message,
+        failedAt: now.toISOString(),
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: now.toISOString()
+      });
+
+      logger.error(`❌ Job ${jobId} (${job.type}) failed on attempt ${job.attempts}/${maxAttempts}:`, error);
+      return { success: false, jobId, error: error.message };
+    }
+  }
+
+  /**
+   * Schedule a job
+   * @param {string} type - Job type (must have a registered handler)
+   * @param {Date|string} runAt - When the job should run
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { jobKey, overwrite, repeatIntervalMs, maxAttempts, createdBy }
+   */
+  async schedule(type, runAt, payload = {}, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const {
+      jobKey = null,
+      overwrite = true,
+      repeatIntervalMs = null,
+      maxAttempts = null,
+      createdBy = 'system'
+    } = options;
+
+    const runAtDate = new Date(runAt);
+    if (isNaN(runAtDate.getTime())) {
+      throw new Error(`Invalid run time for job type "${type}"`);
+    }
+
+    const jobId = jobKey || this._generateJobId();
+    const jobRef = this.db.collection(COLLECTIONS.SCHEDULED_JOBS).doc(jobId);
+    const now = new Date().toISOString();
+
+    const jobData = {
+      jobId,
+      type,
+      payload,
+      runAt: runAtDate.toISOString(),
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: maxAttempts || this.maxAttempts,
+      repeatIntervalMs,
+      error: null,
+      lockedBy: null,
+      lockedUntil: null,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return await this.db.runTransaction(async (transaction) => {
+      const existing = await transaction.get(jobRef);
+
+      if (existing.exists) {
+        const existingJob = existing.data();
+        // Never clobber a job that is currently executing, and keep existing jobs when asked to
+        if (!overwrite || existingJob.status === 'running') {
+          return { id: existing.id, ...existingJob, created: false };
+        }
+        jobData.createdAt = existingJob.createdAt || now;
+      }
+
+      transaction.set(jobRef, jobData);
+      return { id: jobId, ...jobData, created: true };
+    });
+  }
+
+  /**
+   * Cancel a pending job
+   * @param {string} jobId - Job ID
+   * @param {string} reason - Cancellation reason
+   */
+  async cancel(jobId, reason = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const jobRef = this.db.collection(COLLECTIONS.SCHEDULED_JOBS).doc(jobId);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists) {
+        return null;
+      }
+
+      const job = jobDoc.data();
+      if (!['pending', 'failed'].includes(job.status)) {
+        return { id: jobDoc.id, ...job, cancelled: false };
+      }
+
+      const cancelled = {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString(),
+        cancellationReason: reason,
+        updatedAt: new Date().toISOString()
+      };
+      transaction.update(jobRef, cancelled);
+      return { id: jobDoc.id, ...job, ...cancelled, cancelled: true };
+    });
+  }
+
+  /**
+   * Re-queue a job to run immediately, resetting its attempts
+   * @param {string} jobId - Job ID
+   */
+  async rerun(jobId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const jobRef = this.db.collection(COLLECTIONS.SCHEDULED_JOBS).doc(jobId);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists) {
+        return null;
+      }
+
+      const job = jobDoc.data();
+      if (job.status === 'running') {
+        throw new Error('Job is currently running');
+      }
+
+      const requeued = {
+        status: 'pending',
+        runAt: new Date().toISOString(),
+        attempts: 0,
+        error: null,
+        updatedAt: new Date().toISOString()
+      };
+      transaction.update(jobRef, requeued);
+      return { id: jobDoc.id, ...job, ...requeued };
+    });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   */
+  async getJob(jobId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const jobDoc = await this.db.collection(COLLECTIONS.SCHEDULED_JOBS).doc(jobId).get();
+    return jobDoc.exists ? { id: jobDoc.id, ...jobDoc.data() } : null;
+  }
+
+  /**
+   * List jobs with optional filters
+   * @param {Object} filters - { status, type, limit }
+   */
+  async listJobs(filters = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { status, type, limit = 50 } = filters;
+
+    let query = this.db.collection(COLLECTIONS.SCHEDULED_JOBS);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query.orderBy('runAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Current scheduler state for health/admin endpoints
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      pollIntervalMs: this.pollIntervalMs,
+      lastTickAt: this.lastTickAt,
+      registeredJobTypes: Array.from(this.handlers.keys())
+    };
+  }
+
+  /**
+   * Generate unique job ID
+   */
+  _generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+// Create singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = jobScheduler;
@@ -0,0 +1,759 @@
+/**
+ * Job Search Service
+ * Full-text job search over a per-job term index kept in job_search_index
+ *
+ * Job.create/update write the index entry for the job; every instance keeps the whole index in memory
+ * and pulls changed entries (by indexedAt) at most every JOB_SEARCH_SYNC_INTERVAL_MS.
+ * Queries are analyzed with the same English/Arabic analyzer as the jobs, then expanded with synonyms,
+ * a prefix match on the last word and typo-tolerant matches.
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { normalize, tokenize, stem, analyze, getSynonyms, editDistance } = require('../utils/textAnalyzer');
+const { normalizeCoordinates, encodeGeohash, haversineKm, geohashesInRadius } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// How much a word counts towards relevance depending on where it appears
+const FIELD_WEIGHTS = {
+  roleName: 5,
+  brandName: 3,
+  companyName: 3,
+  requiredSkills: 2,
+  industries: 2,
+  governorate: 1.5,
+  shiftTypes: 1,
+  locationAddress: 1,
+  jobSummary: 1,
+  jobPerks: 0.5
+};
+
+// Job fields copied into the index entry for filtering, facets and sorting
+const FILTER_FIELDS = [
+  'jobStatus', 'isActive', 'governorate', 'roleName', 'industries', 'hiringType', 'workType', 'shiftTypes',
+  'requiredSkills', 'requiredLanguages', 'genderPreference', 'payPerHour', 'hoursPerDay'
+];
+const DATE_FIELDS = ['publishedAt', 'startDate', 'createdAt'];
+const GEO_FIELDS = ['locationCoordinates', 'geohash'];
+
+// Changing any of these on a job requires re-indexing it
+const INDEXED_FIELDS = [...new Set([...Object.keys(FIELD_WEIGHTS), ...FILTER_FIELDS, ...DATE_FIELDS, ...GEO_FIELDS])];
+
+const FACET_FIELDS = ['governorate', 'roleName', 'industries', 'hiringType', 'workType', 'shiftTypes'];
+const SORT_FIELDS = ['relevance', 'distance', 'publishedAt', 'payPerHour', 'startDate', 'createdAt'];
+
+// Query expansion - how much a match counts compared to the exact word
+const MATCH_FACTORS = {
+  exact: 1,
+  synonym: 0.9,
+  prefix: 0.75,
+  fuzzy: 0.6
+};
+const ROLE_PHRASE_BOOST = 1.5;
+
+const CATEGORY_ROLES = {
+  'fashion': ['Sales Associate', 'Fashion Consultant', 'Retail Associate'],
+  'fast-food': ['Cashier', 'Cook', 'Server', 'Kitchen Assistant'],
+  'sportswear': ['Sales Associate', 'Fitness Instructor', 'Store Associate'],
+  'security': ['Security Guard', 'Security Officer'],
+  'customer-service': ['Customer Service', 'Customer Support', 'Help Desk']
+};
+
+const BATCH_SIZE = 400;
+// serverTimestamp order isn't commit order - re-read a little before the newest entry we have
+const SYNC_OVERLAP_MS = 5000;
+
+const toMillis = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  const millis = new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const lower = (value) => String(value || '').toLowerCase();
+
+class JobSearchService {
+  constructor() {
+    this.syncIntervalMs = parseInt(process.env.JOB_SEARCH_SYNC_INTERVAL_MS) || 30000;
+    this.defaultRadiusKm = parseFloat(process.env.JOB_SEARCH_DEFAULT_RADIUS_KM) || 25;
+    this.maxRadiusKm = parseFloat(process.env.JOB_SEARCH_MAX_RADIUS_KM) || 200;
+
+    this.documents = new Map(); // jobId -> { terms, fields, roleText }, searchable jobs only
+    this.postings = new Map(); // term -> Set of jobIds
+    this.loaded = false;
+    this.lastSyncAt = 0;
+    this.newestIndexedAt = 0;
+    this.syncPromise = null;
+
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Job Search Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Job Search Service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the index entry for a job
+   * @param {Object} job - Job instance or raw job data with id
+   */
+  buildEntry(job) {
+    const terms = {};
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = Array.isArray(job[field]) ? job[field].join(' ') : job[field];
+      // A word counts once per field, however often it is repeated
+      for (const term of new Set(analyze(value))) {
+        terms[term] = Math.round(((terms[term] || 0) + weight) * 100) / 100;
+      }
+    }
+
+    const fields = {};
+    for (const field of FILTER_FIELDS) {
+      fields[field] = job[field] === undefined ? null : job[field];
+    }
+    for (const field of DATE_FIELDS) {
+      fields[field] = toMillis(job[field]);
+    }
+    fields.payPerHour = toNumber(fields.payPerHour);
+    fields.hoursPerDay = toNumber(fields.hoursPerDay);
+    fields.isActive = job.isActive !== false;
+
+    const coordinates = normalizeCoordinates(job.locationCoordinates);
+    fields.latitude = coordinates ? coordinates.latitude : null;
+    fields.longitude = coordinates ? coordinates.longitude : null;
+    fields.geohash = coordinates ? encodeGeohash(coordinates.latitude, coordinates.longitude) : null;
+
+    return {
+      terms,
+      fields,
+      searchable: fields.jobStatus === 'published' && fields.isActive
+    };
+  }
+
+  /**
+   * Write a job's index entry
+   * Never throws - a failed index write must not fail the job change, and rebuild() repairs it
+   * @param {Object} job - Job instance or raw job data with id
+   */
+  async indexJob(job) {
+    if (!job || !job.id) {
+      return;
+    }
+
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const entry = this.buildEntry(job);
+      await this.db.collection(COLLECTIONS.JOB_SEARCH_INDEX).doc(job.id).set({
+        ...entry,
+        indexedAt: firebaseConfig.getServerTimestamp()
+      });
+      this._apply(job.id, entry);
+    } catch (error) {
+      logger.error(`❌ Failed to index job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Take a job out of search results
+   * Writes an empty entry rather than deleting so other instances pick the removal up when they sync
+   * @param {string} jobId
+   */
+  async removeJob(jobId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const entry = { terms: {}, fields: {}, searchable: false };
+      await this.db.collection(COLLECTIONS.JOB_SEARCH_INDEX).doc(jobId).set({
+        ...entry,
+        indexedAt: firebaseConfig.getServerTimestamp()
+      });
+      this._apply(jobId, entry);
+    } catch (error) {
+      logger.error(`❌ Failed to remove job ${jobId} from search index:`, error);
+    }
+  }
+
+  /**
+   * Re-index every job from the jobs collection
+   * @returns {Object} { indexed, searchable }
+   */
+  async rebuild() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const startedAt = Date.now();
+    const snapshot = await this.db.collection(COLLECTIONS.JOBS).get();
+
+    this.documents.clear();
+    this.postings.clear();
+
+    let searchable = 0;
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+      const batch = this.db.batch();
+      for (const doc of snapshot.docs.slice(i, i + BATCH_SIZE)) {
+        const entry = this.buildEntry({ id: doc.id, ...doc.data() });
+        batch.set(this.db.collection(COLLECTIONS.JOB_SEARCH_INDEX).doc(doc.id), {
+          ...entry,
+          indexedAt: firebaseConfig.getServerTimestamp()
+        });
+        this._apply(doc.id, entry);
+        if (entry.searchable) {
+          searchable++;
+        }
+      }
+      await batch.commit();
+    }
+
+    this.loaded = true;
+    this.lastSyncAt = startedAt;
+    this.newestIndexedAt = startedAt;
+
+    logger.info(`🔎 Job search index rebuilt: ${snapshot.size} jobs (${searchable} searchable) in ${Date.now() - startedAt}ms`);
+    return { indexed: snapshot.size, searchable };
+  }
+
+  /**
+   * Load the index on first use, then pull entries changed by other instances
+   */
+  async ensureFresh() {
+    if (this.loaded && Date.now() - this.lastSyncAt < this.syncIntervalMs) {
+      return;
+    }
+    if (!this.syncPromise) {
+      this.syncPromise = this._sync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    await this.syncPromise;
+  }
+
+  /**
+   * Search published, active jobs
+   * @param {Object} filters - Same filters as Job.advancedSearchJobs, plus industries and
+   *                           geo: { latitude, longitude, radiusKm } (radius defaults to JOB_SEARCH_DEFAULT_RADIUS_KM)
+   * @param {Object} options - { limit, offset, cursor, sortBy, sortOrder }
+   * @returns {Object} { jobs, totalJobs, hasMore, nextCursor, facets } - jobs are raw job data with id,
+   *                   plus distanceKm when searching by location
+   */
+  async search(filters = {}, { limit = 20, offset = 0, cursor = null, sortBy, sortOrder } = {}) {
+    await this.ensureFresh();
+
+    const queryTerms = [...new Set(analyze(filters.q))];
+    const geo = filters.geo ? normalizeCoordinates(filters.geo) : null;
+    if (filters.geo && !geo) {
+      throw new AppError('Invalid latitude/longitude', 400);
+    }
+
+    sortBy = sortBy || (queryTerms.length > 0 ? 'relevance' : geo ? 'distance' : 'publishedAt');
+    sortOrder = sortOrder || (sortBy === 'distance' ? 'asc' : 'desc');
+    if (!SORT_FIELDS.includes(sortBy)) {
+      throw new AppError(`Cannot sort by ${sortBy}`, 400);
+    }
+    if (sortBy === 'distance' && !geo) {
+      throw new AppError('Sorting by distance needs lat and lng', 400);
+    }
+
+    const scores = queryTerms.length > 0 ? this._score(filters.q, queryTerms) : null;
+    const predicates = this._buildPredicates(filters);
+    const nearby = geo ? this._geoMatcher(geo, filters.geo.radiusKm) : null;
+
+    const candidates = [];
+    for (const [jobId, doc] of this.documents) {
+      if (scores && !scores.has(jobId)) {
+        continue;
+      }
+
+      const item = { id: jobId, fields: doc.fields, score: scores ? scores.get(jobId) : 0, distanceKm: null };
+      if (nearby) {
+        item.distanceKm = nearby(doc.fields);
+        if (item.distanceKm === null) {
+          continue;
+        }
+      }
+      candidates.push(item);
+    }
+
+    const matches = candidates.filter(item => predicates.every(predicate => predicate.test(item.fields)));
+    const facets = this._countFacets(candidates, predicates);
+
+    const direction = sortBy === 'relevance' ? 'desc' : sortOrder;
+    const keyOf = (item) => this._sortKey(item, sortBy);
+    matches.sort((a, b) => this._compareKeys(keyOf(a), keyOf(b), direction));
+
+    let start = offset;
+    if (cursor) {
+      const after = this._decodeCursor(cursor, sortBy, direction);
+      start = matches.findIndex(item => this._compareKeys(keyOf(item), after, direction) > 0);
+      if (start === -1) {
+        start = matches.length;
+      }
+    }
+
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+    const jobs = await this._hydrate(page);
+
+    return {
+      jobs,
+      totalJobs: matches.length,
+      hasMore,
+      nextCursor: hasMore && page.length > 0 ? this._encodeCursor(keyOf(page[page.length - 1]), sortBy, direction) : null,
+      facets
+    };
+  }
+
+  /**
+   * Check a single job against search filters without going through the index
+   * Uses the same matching rules as search(), e.g. for alerting saved searches about a new job
+   * @param {Object} job - Job instance or raw job data with id
+   * @param {Object} filters - Same filters as search()
+   * @returns {Object|null} { distanceKm } when the job matches, otherwise null
+   */
+  matchesJob(job, filters = {}) {
+    const entry = this.buildEntry(job);
+    if (!entry.searchable) {
+      return null;
+    }
+
+    const queryTerms = [...new Set(analyze(filters.q))];
+    if (queryTerms.length > 0) {
+      const vocabulary = new Map(Object.entries(entry.terms));
+      const rawTokens = tokenize(filters.q);
+      const lastRaw = rawTokens[rawTokens.length - 1];
+      const allMatch = queryTerms.every((queryTerm, index) =>
+        this._expand(queryTerm, index === queryTerms.length - 1 ? lastRaw : null, vocabulary).size > 0);
+      if (!allMatch) {
+        return null;
+      }
+    }
+
+    let distanceKm = null;
+    if (filters.geo) {
+      const center = normalizeCoordinates(filters.geo);
+      distanceKm = center ? this._geoMatcher(center, filters.geo.radiusKm)(entry.fields) : null;
+      if (distanceKm === null) {
+        return null;
+      }
+    }
+
+    const predicates = this._buildPredicates(filters);
+    return predicates.every(predicate => predicate.test(entry.fields)) ? { distanceKm } : null;
+  }
+
+  /**
+   * Index size and sync state for health checks
+   */
+  getStats() {
+    return {
+      loaded: this.loaded,
+      searchableJobs: this.documents.size,
+      terms: this.postings.size,
+      lastSyncAt: this.lastSyncAt ? new Date(this.lastSyncAt).toISOString() : null
+    };
+  }
+
+  async _sync() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const startedAt = Date.now();
+    let query = this.db.collection(COLLECTIONS.JOB_SEARCH_INDEX);
+    if (this.loaded) {
+      query = query.where('indexedAt', '>', new Date(this.newestIndexedAt - SYNC_OVERLAP_MS));
+    }
+
+    const snapshot = await query.get();
+    if (!this.loaded && snapshot.empty) {
+      logger.info('🔎 Job search index is empty, building it from jobs');
+      await this.rebuild();
+      return;
+    }
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      this._apply(doc.id, { terms: data.terms || {}, fields: data.fields || {}, searchable: data.searchable === true });
+      this.newestIndexedAt = Math.max(this.newestIndexedAt, toMillis(data.indexedAt) || 0);
+    }
+
+    if (!this.loaded) {
+      logger.info(`🔎 Job search index loaded: ${snapshot.size} entries in ${Date.now() - startedAt}ms`);
+    }
+    this.loaded = true;
+    this.lastSyncAt = startedAt;
+  }
+
+  /**
+   * Replace a job's entry in the in-memory index
+   */
+  _apply(jobId, entry) {
+    const previous = this.documents.get(jobId);
+    if (previous) {
+      for (const term of Object.keys(previous.terms)) {
+        const ids = this.postings.get(term);
+        if (ids) {
+          ids.delete(jobId);
+          if (ids.size === 0) {
+            this.postings.delete(term);
+          }
+        }
+      }
+      this.documents.delete(jobId);
+    }
+
+    if (!entry.searchable) {
+      return;
+    }
+
+    this.documents.set(jobId, {
+      terms: entry.terms,
+      fields: entry.fields,
+      roleText: normalize(entry.fields.roleName)
+    });
+    for (const term of Object.keys(entry.terms)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(jobId);
+    }
+  }
+
+  /**
+   * Score every job that matches all query words
+   * @returns {Map} jobId -> score
+   */
+  _score(rawQuery, queryTerms) {
+    const totalDocs = Math.max(this.documents.size, 1);
+    const rawTokens = tokenize(rawQuery);
+    const lastRaw = rawTokens[rawTokens.length - 1];
+    let scores = null;
+
+    queryTerms.forEach((queryTerm, index) => {
+      const expansions = this._expand(queryTerm, index === queryTerms.length - 1 ? lastRaw : null);
+      const termScores = new Map();
+
+      for (const [term, factor] of expansions) {
+        const ids = this.postings.get(term);
+        const idf = Math.log(1 + totalDocs / ids.size);
+        for (const jobId of ids) {
+          const score = factor * this.documents.get(jobId).terms[term] * idf;
+          if (score > (termScores.get(jobId) || 0)) {
+            termScores.set(jobId, score);
+          }
+        }
+      }
+
+      // Every query word has to match (directly or through an expansion)
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        for (const [jobId, score] of scores) {
+          if (termScores.has(jobId)) {
+            scores.set(jobId, score + termScores.get(jobId));
+          } else {
+            scores.delete(jobId);
+          }
+        }
+      }
+    });
+
+    const phrase = normalize(rawQuery);
+    for (const [jobId, score] of scores) {
+      const roleText = this.documents.get(jobId).roleText;
+      const boosted = phrase && roleText.includes(phrase) ? score * ROLE_PHRASE_BOOST : score;
+      // Rounded so the same score compares equal when it comes back in a cursor
+      scores.set(jobId, Math.round(boosted * 1e6) / 1e6);
+    }
+    return scores;
+  }
+
+  /**
+   * Index terms a query word matches, with how much each counts
+   * @param {string} queryTerm - Analyzed query word
+   * @param {string|null} rawLast - Unstemmed last word of the query, for prefix matching while typing
+   * @param {Map} vocabulary - Terms that can match; the whole index by default
+   * @returns {Map} term -> factor
+   */
+  _expand(queryTerm, rawLast, vocabulary = this.postings) {
+    const expansions = new Map();
+    const add = (term, factor) => {
+      if (vocabulary.has(term) && factor > (expansions.get(term) || 0)) {
+        expansions.set(term, factor);
+      }
+    };
+
+    add(queryTerm, MATCH_FACTORS.exact);
+    getSynonyms(queryTerm).forEach(synonym => add(synonym, MATCH_FACTORS.synonym));
+
+    const prefixes = rawLast && rawLast.length >= 2 ? [...new Set([rawLast, stem(rawLast)])] : [];
+    const maxDistance = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+
+    if (prefixes.length > 0 || maxDistance > 0) {
+      for (const term of vocabulary.keys()) {
+        if (prefixes.some(prefix => term.startsWith(prefix))) {
+          add(term, MATCH_FACTORS.prefix);
+        } else if (maxDistance > 0 && editDistance(queryTerm, term, maxDistance) <= maxDistance) {
+          add(term, MATCH_FACTORS.fuzzy);
+        }
+      }
+    }
+
+    // A typo of a synonym is too far from what was asked - only expand synonyms of real matches
+    for (const [term, factor] of [...expansions]) {
+      if (factor < MATCH_FACTORS.synonym) {
+        getSynonyms(term).forEach(synonym => add(synonym, factor * MATCH_FACTORS.synonym));
+      }
+    }
+
+    return expansions;
+  }
+
+  /**
+   * Distance check for a location search
+   * Geohash cells covering the circle rule out most jobs before computing exact distances
+   * @param {Object} center - { latitude, longitude }
+   * @param {number} radiusKm
+   * @returns {Function} fields -> distance in km (rounded to metres), or null if the job has no
+   *                     coordinates or is outside the radius
+   */
+  _geoMatcher(center, radiusKm) {
+    const radius = Math.min(parseFloat(radiusKm) || this.defaultRadiusKm, this.maxRadiusKm);
+    const cells = geohashesInRadius(center, radius);
+
+    return (fields) => {
+      if (!fields.geohash || !cells.some(cell => fields.geohash.startsWith(cell))) {
+        return null;
+      }
+
+      const distance = haversineKm(center, { latitude: fields.latitude, longitude: fields.longitude });
+      return distance <= radius ? Math.round(distance * 1000) / 1000 : null;
+    };
+  }
+
+  /**
+   * Filter predicates; the facet name lets facet counts ignore the filter on their own field
+   */
+  _buildPredicates(filters) {
+    const predicates = [];
+    const add = (facet, test) => predicates.push({ facet, test });
+
+    if (filters.category && filters.category !== 'all') {
+      const categoryRoles = (CATEGORY_ROLES[filters.category] || []).map(lower);
+      if (categoryRoles.length > 0) {
+        add('roleName', fields => fields.roleName && categoryRoles.some(role => lower(fields.roleName).includes(role)));
+      }
+    }
+
+    if (filters.governorate) {
+      add('governorate', fields => lower(fields.governorate) === lower(filters.governorate));
+    }
+
+    if (filters.roles && filters.roles.length > 0) {
+      const roles = filters.roles.map(lower);
+      add('roleName', fields => fields.roleName && roles.some(role => lower(fields.roleName).includes(role)));
+    }
+
+    if (filters.industries && filters.industries.length > 0) {
+      const industries = filters.industries.map(lower);
+      add('industries', fields => (fields.industries || []).some(industry => industries.includes(lower(industry))));
+    }
+
+    if (filters.hiringType) {
+      add('hiringType', fields => fields.hiringType === filters.hiringType);
+    }
+
+    if (filters.workType) {
+      add('workType', fields => fields.workType === filters.workType);
+    }
+
+    if (filters.shiftTypes && filters.shiftTypes.length > 0) {
+      add('shiftTypes', fields => (fields.shiftTypes || []).some(shift => filters.shiftTypes.includes(shift)));
+    }
+
+    if (filters.skills && filters.skills.length > 0) {
+      const skills = filters.skills.map(lower);
+      add(null, fields => (fields.requiredSkills || []).some(skill => skills.some(filterSkill => lower(skill).includes(filterSkill))));
+    }
+
+    if (filters.languages && filters.languages.length > 0) {
+      const languages = filters.languages.map(lower);
+      add(null, fields => (fields.requiredLanguages || []).some(lang => languages.some(filterLang => lower(lang).includes(filterLang))));
+    }
+
+    if (filters.genderPreference && filters.genderPreference !== 'Both') {
+      add(null, fields => !fields.genderPreference || fields.genderPreference === 'Both' || fields.genderPreference === filters.genderPreference);
+    }
+
+    if (filters.minPay != null) {
+      add(null, fields => fields.payPerHour != null && fields.payPerHour >= filters.minPay);
+    }
+    if (filters.maxPay != null) {
+      add(null, fields => fields.payPerHour != null && fields.payPerHour <= filters.maxPay);
+    }
+
+    if (filters.minHours != null) {
+      add(null, fields => fields.hoursPerDay != null && fields.hoursPerDay >= filters.minHours);
+    }
+    if (filters.maxHours != null) {
+      add(null, fields => fields.hoursPerDay != null && fields.hoursPerDay <= filters.maxHours);
+    }
+
+    if (filters.publishedAfter) {
+      const after = toMillis(filters.publishedAfter);
+      add(null, fields => fields.publishedAt != null && fields.publishedAt >= after);
+    }
+    if (filters.startDateAfter) {
+      const after = toMillis(filters.startDateAfter);
+      add(null, fields => fields.startDate != null && fields.startDate >= after);
+    }
+
+    return predicates;
+  }
+
+  /**
+   * Count values per facet field
+   * Each facet applies every filter except its own, so selecting "Muscat" still shows the other governorates
+   * @returns {Object} field -> [{ value, count }], most common first
+   */
+  _countFacets(candidates, predicates) {
+    const facets = {};
+
+    for (const field of FACET_FIELDS) {
+      const others = predicates.filter(predicate => predicate.facet !== field);
+      const counts = new Map();
+
+      for (const item of candidates) {
+        if (!others.every(predicate => predicate.test(item.fields))) {
+          continue;
+        }
+        const values = Array.isArray(item.fields[field]) ? new Set(item.fields[field]) : [item.fields[field]];
+        for (const value of values) {
+          if (value !== null && value !== undefined && value !== '') {
+            counts.set(value, (counts.get(value) || 0) + 1);
+          }
+        }
+      }
+
+      facets[field] = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    }
+
+    return facets;
+  }
+
+  _sortKey(item, sortBy) {
+    if (sortBy === 'relevance') {
+      return [item.score, item.fields.publishedAt ?? null, item.id];
+    }
+    if (sortBy === 'distance') {
+      return [item.distanceKm, item.score, item.id];
+    }
+    return [item.fields[sortBy] ?? null, item.score, item.id];
+  }
+
+  /**
+   * Order two sort keys: primary value in the requested direction (missing values last),
+   * then the secondary value descending, then job ID so the order is total and cursors are stable
+   */
+  _compareKeys(a, b, direction) {
+    const [aValue, aTie, aId] = a;
+    const [bValue, bTie, bId] = b;
+
+    if (aValue !== bValue) {
+      if (aValue === null) return 1;
+      if (bValue === null) return -1;
+      return direction === 'asc' ? aValue - bValue : bValue - aValue;
+    }
+    if (aTie !== bTie) {
+      if (aTie === null) return 1;
+      if (bTie === null) return -1;
+      return bTie - aTie;
+    }
+    return aId < bId ? -1 : aId > bId ? 1 : 0;
+  }
+
+  _encodeCursor(key, sortBy, direction) {
+    return Buffer.from(JSON.stringify({ s: sortBy, d: direction, k: key })).toString('base64url');
+  }
+
+  _decodeCursor(cursor, sortBy, direction) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AppError('Invalid cursor', 400);
+    }
+
+    if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== 3 || typeof decoded.k[2] !== 'string') {
+      throw new AppError('Invalid cursor', 400);
+    }
+    if (decoded.s !== sortBy || decoded.d !== direction) {
+      throw new AppError('Cursor does not match the requested sort order', 400);
+    }
+    return decoded.k;
+  }
+
+  /**
+   * Load the current job documents for a page, in page order
+   * Jobs that stopped being searchable since they were indexed are dropped and re-indexed
+   */
+  async _hydrate(page) {
+    if (page.length === 0) {
+      return [];
+    }
+
+    const refs = page.map(item => this.db.collection(COLLECTIONS.JOBS).doc(item.id));
+    const docs = await this.db.getAll(...refs);
+
+    const jobs = [];
+    for (const [index, doc] of docs.entries()) {
+      if (!doc.exists) {
+        this.removeJob(doc.id);
+        continue;
+      }
+
+      const job = { id: doc.id, ...doc.data() };
+      if (job.jobStatus !== 'published' || job.isActive === false) {
+        this.indexJob(job);
+        continue;
+      }
+      if (page[index].distanceKm !== null) {
+        job.distanceKm = page[index].distanceKm;
+      }
+      jobs.push(job);
+    }
+    return jobs;
+  }
+}
+
+const jobSearchService = new JobSearchService();
+
+module.exports = jobSearchService;
+module.exports.INDEXED_FIELDS = INDEXED_FIELDS;
@@ -0,0 +1,374 @@
+/**
+ * Matching Service
+ * Scores seeker/job pairs out of 100 and explains the score factor by factor
+ *
+ * Factors (weights add up to 100): role, skills, location, availability, languages, gender, activity, rating.
+ * Strikes are subtracted afterwards. A seeker who doesn't fit the job's gender preference, or who the
+ * company has blocked, is not matched at all.
+ */
+
+const { databaseService, COLLECTIONS } = require('../config/database');
+const { normalize, analyze, getSynonyms } = require('../utils/textAnalyzer');
+const logger = require('../utils/logger');
+
+const WEIGHTS = {
+  role: 30,
+  skills: 20,
+  location: 15,
+  availability: 10,
+  languages: 10,
+  gender: 5,
+  activity: 5,
+  rating: 5
+};
+
+const STRIKE_PENALTY = 5;
+const MAX_STRIKE_PENALTY = 15;
+
+// Partial credit
+const RELATED_MATCH = 0.7;
+const NO_PREFERENCE = 0.5;
+const UNRATED = 0.6;
+
+// Students and employed seekers are usually only free outside office hours
+const OFF_HOURS_SHIFTS = ['Evening', 'Night'];
+const LIMITED_HOURS_STATUSES = ['Student', 'Employed'];
+// Friday and Saturday
+const WEEKEND_DAYS = [5, 6];
+const WEEKEND_AVAILABILITY = ['Weekends', 'Both', 'Public Holidays'];
+
+const WORK_TYPES = {
+  'hourly work': 'hourly',
+  'short-term hire': 'short',
+  'full-time work': 'full'
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Analyzed terms of a phrase, with synonyms
+ */
+const expandedTerms = (text) => {
+  const terms = new Set();
+  for (const term of analyze(text)) {
+    terms.add(term);
+    getSynonyms(term).forEach(synonym => terms.add(synonym));
+  }
+  return terms;
+};
+
+/**
+ * How well one of the offered values covers a wanted value
+ * @returns {Object} { score: 1 | RELATED_MATCH | 0, match } - match is the best offered value
+ */
+const bestMatch = (wanted, offered = []) => {
+  const wantedNormalized = normalize(wanted);
+  const wantedTerms = expandedTerms(wanted);
+  let best = { score: 0, match: null };
+
+  for (const value of offered) {
+    if (!value) {
+      continue;
+    }
+    if (normalize(value) === wantedNormalized) {
+      return { score: 1, match: value };
+    }
+    if (best.score === 0 && analyze(value).some(term => wantedTerms.has(term))) {
+      best = { score: RELATED_MATCH, match: value };
+    }
+  }
+  return best;
+};
+
+const quote = values => values.map(value => `"${value}"`).join(', ');
+
+class MatchingService {
+  constructor() {
+    this.maxCandidates = parseInt(process.env.MATCHING_MAX_CANDIDATES) || 2000;
+  }
+
+  /**
+   * Score a seeker against a job
+   * @param {Object} seeker - Seeker instance or data
+   * @param {Object} job - Job instance or data
+   * @returns {Object} { eligible, score, breakdown: [{ factor, weight, score, points, reason }], excludedReason }
+   */
+  scorePair(seeker, job) {
+    if (job.genderPreference && job.genderPreference !== 'Both' && seeker.gender &&
+        seeker.gender !== job.genderPreference) {
+      return { eligible: false, score: 0, breakdown: [], excludedReason: `Job is for ${job.genderPreference} candidates` };
+    }
+
+    const factors = [
+      this._role(seeker, job),
+      this._skills(seeker, job),
+      this._location(seeker, job),
+      this._availability(seeker, job),
+      this._languages(seeker, job),
+      this._gender(seeker, job),
+      this._activity(seeker),
+      this._rating(seeker)
+    ];
+
+    const breakdown = factors.map(({ factor, score, reason }) => ({
+      factor,
+      weight: WEIGHTS[factor],
+      score: round(score),
+      points: round(score * WEIGHTS[factor]),
+      reason
+    }));
+
+    const strikes = seeker.strikeCount || 0;
+    if (strikes > 0) {
+      const penalty = Math.min(strikes * STRIKE_PENALTY, MAX_STRIKE_PENALTY);
+      breakdown.push({
+        factor: 'strikes',
+        weight: -MAX_STRIKE_PENALTY,
+        score: round(penalty / MAX_STRIKE_PENALTY),
+        points: -penalty,
+        reason: `${strikes} no-show strike${strikes === 1 ? '' : 's'}`
+      });
+    }
+
+    const total = breakdown.reduce((sum, factor) => sum + factor.points, 0);
+    return {
+      eligible: true,
+      score: Math.max(0, Math.min(100, Math.round(total))),
+      breakdown,
+      excludedReason: null
+    };
+  }
+
+  /**
+   * Rank active, confirmed seekers for a job
+   * @param {Object} job - Job instance
+   * @param {Object} company - Company instance (for blocked seekers)
+   * @param {Object} options - { limit, offset, minScore }
+   * @returns {Object} { matches: [{ seeker, score, breakdown }], totalMatches, excluded: { blocked, ineligible } }
+   */
+  async rankSeekersForJob(job, company, { limit = 20, offset = 0, minScore = 0 } = {}) {
+    const seekers = await databaseService.query(COLLECTIONS.SEEKERS, [
+      { field: 'profileConfirmed', operator: '==', value: true },
+      { field: 'isActive', operator: '==', value: true }
+    ], null, this.maxCandidates);
+
+    const excluded = { blocked: 0, ineligible: 0 };
+    const matches = [];
+
+    for (const seeker of seekers) {
+      if (company && company.isSeekerBlocked(seeker.id)) {
+        excluded.blocked++;
+        continue;
+      }
+
+      const result = this.scorePair(seeker, job);
+      if (!result.eligible) {
+        excluded.ineligible++;
+        continue;
+      }
+      if (result.score >= minScore) {
+        matches.push({ seeker, score: result.score, breakdown: result.breakdown });
+      }
+    }
+
+    this._sortMatches(matches, match => match.seeker);
+    logger.info(`🎯 Matched ${matches.length}/${seekers.length} seekers for job ${job.id} (${excluded.blocked} blocked, ${excluded.ineligible} ineligible)`);
+
+    return {
+      matches: matches.slice(offset, offset + limit),
+      totalMatches: matches.length,
+      excluded
+    };
+  }
+
+  /**
+   * Rank published jobs for a seeker
+   * Jobs from companies that blocked the seeker are left out
+   * @param {Object} seeker - Seeker instance
+   * @param {Object} options - { limit, offset, minScore }
+   * @returns {Object} { matches: [{ job, score, breakdown }], totalMatches }
+   */
+  async rankJobsForSeeker(seeker, { limit = 20, offset = 0, minScore = 0 } = {}) {
+    const jobs = await databaseService.query(COLLECTIONS.JOBS, [
+      { field: 'jobStatus', operator: '==', value: 'published' },
+      { field: 'isActive', operator: '==', value: true }
+    ], null, this.maxCandidates);
+
+    const blockedBy = new Set((seeker.blockedByCompanies || [])
+      .filter(block => block.isActive)
+      .map(block => block.companyId));
+
+    const matches = [];
+    for (const job of jobs) {
+      if (blockedBy.has(job.companyId)) {
+        continue;
+      }
+
+      const result = this.scorePair(seeker, job);
+      if (result.eligible && result.score >= minScore) {
+        matches.push({ job, score: result.score, breakdown: result.breakdown });
+      }
+    }
+
+    this._sortMatches(matches, match => match.job);
+
+    return {
+      matches: matches.slice(offset, offset + limit),
+      totalMatches: matches.length
+    };
+  }
+
+  /**
+   * Highest score first; ties by role points, then ID so pages are stable
+   */
+  _sortMatches(matches, subject) {
+    const rolePoints = match => match.breakdown.find(factor => factor.factor === 'role').points;
+    matches.sort((a, b) =>
+      b.score - a.score ||
+      rolePoints(b) - rolePoints(a) ||
+      String(subject(a).id).localeCompare(String(subject(b).id))
+    );
+  }
+
+  _role(seeker, job) {
+    if (!job.roleName) {
+      return { factor: 'role', score: NO_PREFERENCE, reason: 'Job has no role set' };
+    }
+
+    const { score, match } = bestMatch(job.roleName, seeker.roles);
+    if (score === 1) {
+      return { factor: 'role', score, reason: `Works as ${job.roleName}` };
+    }
+    if (score > 0) {
+      return { factor: 'role', score, reason: `Related role: ${match}` };
+    }
+    return { factor: 'role', score: 0, reason: `No ${job.roleName} experience listed` };
+  }
+
+  _skills(seeker, job) {
+    return this._coverage('skills', job.requiredSkills, seeker.skills, 'skill');
+  }
+
+  _languages(seeker, job) {
+    return this._coverage('languages', job.requiredLanguages, seeker.languages, 'language');
+  }
+
+  /**
+   * Share of the job's requirements the seeker covers
+   */
+  _coverage(factor, required = [], offered = [], noun) {
+    if (!required || required.length === 0) {
+      return { factor, score: 1, reason: `No ${noun}s required` };
+    }
+
+    const covered = [];
+    const missing = [];
+    let total = 0;
+    for (const requirement of required) {
+      const { score } = bestMatch(requirement, offered);
+      total += score;
+      (score > 0 ? covered : missing).push(requirement);
+    }
+
+    let reason = `Has ${covered.length} of ${required.length} required ${noun}s`;
+    if (missing.length > 0) {
+      reason += ` (missing ${quote(missing)})`;
+    }
+    return { factor, score: total / required.length, reason };
+  }
+
+  _location(seeker, job) {
+    const preferred = seeker.preferredLocations || [];
+    if (preferred.length === 0) {
+      return { factor: 'location', score: NO_PREFERENCE, reason: 'No preferred locations set' };
+    }
+    if (!job.governorate && !job.locationAddress) {
+      return { factor: 'location', score: NO_PREFERENCE, reason: 'Job has no location set' };
+    }
+
+    // Preferences are often wilayats (Seeb, Barka) - look for them in the address too
+    const governorate = normalize(job.governorate);
+    const address = normalize(job.locationAddress);
+    const match = preferred.find(location => {
+      const wanted = normalize(location);
+      return wanted && (wanted === governorate || address.includes(wanted));
+    });
+
+    if (match) {
+      return { factor: 'location', score: 1, reason: `Prefers ${match}` };
+    }
+    return { factor: 'location', score: 0, reason: `${job.governorate || job.locationAddress} is not a preferred location` };
+  }
+
+  /**
+   * Work type preference, and whether the seeker is likely free for the job's shifts
+   */
+  _availability(seeker, job) {
+    const reasons = [];
+
+    let workTypeScore = NO_PREFERENCE;
+    const seekerWorkType = Object.entries(WORK_TYPES)
+      .find(([label]) => String(seeker.workType || '').toLowerCase().startsWith(label));
+    if (seekerWorkType && job.workType) {
+      workTypeScore = seekerWorkType[1] === job.workType ? 1 : 0;
+      reasons.push(workTypeScore ? `Wants ${seeker.workType}` : `Prefers ${seeker.workType}`);
+    }
+
+    let shiftScore = 1;
+    const shifts = job.shiftTypes || [];
+    if (shifts.length > 0 && LIMITED_HOURS_STATUSES.includes(seeker.currentStatus)) {
+      const startDay = job.startDate ? new Date(job.startDate).getUTCDay() : null;
+      const weekendJob = WEEKEND_DAYS.includes(startDay);
+
+      if (weekendJob && WEEKEND_AVAILABILITY.includes(seeker.availability)) {
+        reasons.push('Available on weekends');
+      } else {
+        const fitting = shifts.filter(shift => OFF_HOURS_SHIFTS.includes(shift));
+        shiftScore = fitting.length / shifts.length;
+        reasons.push(fitting.length > 0
+          ? `${seeker.currentStatus}, can likely work ${fitting.join('/')} shifts`
+          : `${seeker.currentStatus}, likely busy during ${shifts.join('/')} shifts`);
+      }
+    }
+
+    return {
+      factor: 'availability',
+      score: (workTypeScore + shiftScore) / 2,
+      reason: reasons.length > 0 ? reasons.join('; ') : 'No availability constraints'
+    };
+  }
+
+  _gender(seeker, job) {
+    if (!job.genderPreference || job.genderPreference === 'Both') {
+      return { factor: 'gender', score: 1, reason: 'No gender preference' };
+    }
+    if (!seeker.gender) {
+      return { factor: 'gender', score: 0, reason: 'Gender missing from profile' };
+    }
+    return { factor: 'gender', score: 1, reason: `Job prefers ${job.genderPreference} candidates` };
+  }
+
+  _activity(seeker) {
+    const activityScore = seeker.activityScore ?? 100;
+    return {
+      factor: 'activity',
+      score: Math.max(0, Math.min(100, activityScore)) / 100,
+      reason: `Activity score ${activityScore}`
+    };
+  }
+
+  _rating(seeker) {
+    if (!seeker.averageRating) {
+      return { factor: 'rating', score: UNRATED, reason: 'No ratings yet' };
+    }
+    return {
+      factor: 'rating',
+      score: Math.max(0, Math.min(5, seeker.averageRating)) / 5,
+      reason: `Rated ${round(seeker.averageRating, 1)}/5 by companies`
+    };
+  }
+}
+
+const matchingService = new MatchingService();
+
+module.exports = matchingService;
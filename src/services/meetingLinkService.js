@@ -0,0 +1,152 @@
+/**
+ * Meeting Link Service
+ * Creates, rotates and revokes video meeting rooms for video interviews through pluggable providers
+ *
+ * A provider is any object with:
+ *   name                       - Stored on the interview's meeting so later calls reach the same provider
+ *   createRoom(interview)      - Resolves to { roomId, url }; called once per scheduled time
+ *   revokeRoom(meeting)        - Ends or deletes the room so its URL stops working
+ *
+ * The built-in 'jitsi' provider needs no API: a Jitsi room exists as soon as someone opens its URL,
+ * so an unguessable room name is the access control and revoking it means never handing the URL out again.
+ * Providers that need an API account (Zoom, Google Meet, Teams) plug in with registerProvider.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Jitsi Meet rooms on meet.jit.si or a self-hosted server
+ */
+class JitsiMeetingProvider {
+  constructor({ baseUrl, roomPrefix }) {
+    this.name = 'jitsi';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.roomPrefix = roomPrefix;
+  }
+
+  async createRoom(interview) {
+    // 128 random bits - the room name is the only thing keeping outsiders out
+    const roomId = `${this.roomPrefix}-${interview.interviewId || interview.id}-${crypto.randomBytes(16).toString('hex')}`
+      .replace(/[^A-Za-z0-9-]/g, '');
+    return { roomId, url: `${this.baseUrl}/${roomId}` };
+  }
+
+  async revokeRoom() {
+    // Nothing to delete - the room name is retired and never revealed again
+  }
+}
+
+/**
+ * Placeholder for providers that need an API integration
+ * Registered so a misconfigured MEETING_PROVIDER fails loudly instead of silently falling back
+ */
+class StubMeetingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async createRoom() {
+    throw new Error(`Meeting provider '${this.name}' is not implemented - register one with meetingLinkService.registerProvider`);
+  }
+
+  async revokeRoom() {
+    throw new Error(`Meeting provider '${this.name}' is not implemented`);
+  }
+}
+
+class MeetingLinkService {
+  constructor() {
+    this.config = {
+      provider: process.env.MEETING_PROVIDER || 'jitsi',
+      // Participants get the link this long before the start, and until the interview ends
+      revealMinutes: parseInt(process.env.MEETING_LINK_REVEAL_MINUTES) || 15
+    };
+
+    this.providers = new Map();
+    this.registerProvider(new JitsiMeetingProvider({
+      baseUrl: process.env.JITSI_BASE_URL || 'https://meet.jit.si',
+      roomPrefix: process.env.JITSI_ROOM_PREFIX || 'shift-interview'
+    }));
+    for (const name of ['zoom', 'google_meet', 'microsoft_teams']) {
+      this.registerProvider(new StubMeetingProvider(name));
+    }
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {Object} provider - { name, createRoom(interview), revokeRoom(meeting) }
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.createRoom !== 'function' || typeof provider.revokeRoom !== 'function') {
+      throw new Error('Meeting providers need a name, createRoom() and revokeRoom()');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name = this.config.provider) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown meeting provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Create a room for an interview with the configured provider
+   * @param {Object} interview - Interview instance
+   * @returns {Object} Meeting { provider, roomId, url, createdAt, revokedAt }
+   */
+  async createMeeting(interview) {
+    const provider = this.getProvider();
+    const room = await provider.createRoom(interview);
+
+    logger.info(`🎥 Meeting room created with ${provider.name} for interview ${interview.id}`);
+    return {
+      provider: provider.name,
+      roomId: room.roomId,
+      url: room.url,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+  }
+
+  /**
+   * Revoke a meeting's room with the provider that created it
+   * @param {Object} meeting - Meeting from createMeeting
+   * @returns {Object} The meeting, marked revoked and without its URL
+   */
+  async revokeMeeting(meeting) {
+    if (!meeting || meeting.revokedAt) {
+      return meeting;
+    }
+
+    try {
+      await this.getProvider(meeting.provider).revokeRoom(meeting);
+    } catch (error) {
+      // The URL is dropped below either way, so nobody is handed it again
+      logger.error(`❌ Failed to revoke ${meeting.provider} room ${meeting.roomId}:`, error);
+    }
+
+    return { ...meeting, url: null, revokedAt: new Date().toISOString() };
+  }
+
+  /**
+   * When participants may see a meeting's link
+   * @param {Date} startsAt - Interview start
+   * @param {number} durationMinutes - Interview length
+   * @returns {Object} { joinableFrom, joinableUntil }
+   */
+  getJoinWindow(startsAt, durationMinutes) {
+    return {
+      joinableFrom: new Date(startsAt.getTime() - this.config.revealMinutes * 60 * 1000),
+      joinableUntil: new Date(startsAt.getTime() + durationMinutes * 60 * 1000)
+    };
+  }
+}
+
+// Export singleton instance
+const meetingLinkService = new MeetingLinkService();
+meetingLinkService.JitsiMeetingProvider = JitsiMeetingProvider;
+meetingLinkService.StubMeetingProvider = StubMeetingProvider;
+module.exports = meetingLinkService;
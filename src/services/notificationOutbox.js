@@ -0,0 +1,690 @@
+/**
+ * Notification Outbox
+ * Drains pending notifications from Firestore and delivers them per channel
+ * Failed channels are retried with exponential backoff and dead-lettered after the last attempt
+ */
+
+const os = require('os');
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const notificationService = require('./notificationService');
+const templateService = require('./templateService');
+const logger = require('../utils/logger');
+
+// Backoff per channel: delay = baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+const CHANNEL_RETRY_POLICIES = {
+  email: {
+    baseDelayMs: parseInt(process.env.NOTIFICATION_OUTBOX_EMAIL_BASE_DELAY_MS) || 60 * 1000, // 1 minute
+    maxDelayMs: parseInt(process.env.NOTIFICATION_OUTBOX_EMAIL_MAX_DELAY_MS) || 60 * 60 * 1000 // 1 hour
+  },
+  whatsapp: {
+    baseDelayMs: parseInt(process.env.NOTIFICATION_OUTBOX_WHATSAPP_BASE_DELAY_MS) || 30 * 1000, // 30 seconds
+    maxDelayMs: parseInt(process.env.NOTIFICATION_OUTBOX_WHATSAPP_MAX_DELAY_MS) || 30 * 60 * 1000 // 30 minutes
+  }
+};
+
+// Channels the outbox delivers; anything else (e.g. in_app) is satisfied by the stored document
+const DELIVERY_CHANNELS = Object.keys(CHANNEL_RETRY_POLICIES);
+
+/**
+ * Seconds since an ISO timestamp, 0 when there is none
+ */
+const getAgeSeconds = (timestamp) => (timestamp
+  ? Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000))
+  : 0);
+
+class NotificationOutbox {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
+    this.enabled = process.env.NOTIFICATION_OUTBOX_ENABLED !== 'false';
+    this.pollIntervalMs = parseInt(process.env.NOTIFICATION_OUTBOX_POLL_INTERVAL_MS) || 15 * 1000; // 15 seconds
+    this.lockMs = parseInt(process.env.NOTIFICATION_OUTBOX_LOCK_MS) || 2 * 60 * 1000; // 2 minutes
+    this.batchSize = parseInt(process.env.NOTIFICATION_OUTBOX_BATCH_SIZE) || 25;
+    this.maxAttempts = parseInt(process.env.NOTIFICATION_OUTBOX_MAX_ATTEMPTS) || 5;
+
+    this.timer = null;
+    this.draining = false;
+    this.lastDrainAt = null;
+    // Queue depth and oldest pending item as of the last drain, for health checks
+    this.queueSnapshot = null;
+
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the outbox
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info(`✅ Notification Outbox initialized (instance ${this.instanceId})`);
+    } catch (error) {
+      logger.error('❌ Failed to initialize Notification Outbox:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling for due notifications
+   */
+  async start() {
+    if (!this.enabled) {
+      logger.warn('📤 Notification Outbox worker disabled (NOTIFICATION_OUTBOX_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) {
+      return;
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+    // Don't keep the process alive just for the outbox
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    logger.info(`📤 Notification Outbox started - polling every ${this.pollIntervalMs / 1000}s`);
+    this.drain();
+  }
+
+  /**
+   * Stop polling
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    logger.info('📤 Notification Outbox stopped');
+  }
+
+  /**
+   * Build the initial per-channel delivery state for a new notification
+   * @param {Array} channels - Channels to deliver on
+   * @param {Object} receiver - Receiver data (email/phone)
+   * @param {Object} options - { deferUntil, digestAt } from the receiver's preferences
+   * @returns {Object} { deliveries, nextAttemptAt, status }
+   */
+  buildDeliveries(channels, receiver, options = {}) {
+    const { deferUntil = null, digestAt = null } = options;
+    const firstAttemptAt = (deferUntil || new Date()).toISOString();
+    const deliveries = {};
+
+    for (const channel of channels) {
+      if (!DELIVERY_CHANNELS.includes(channel)) {
+        continue;
+      }
+
+      const hasContact = channel === 'email' ? !!receiver.email : !!receiver.phone;
+
+      if (!hasContact) {
+        deliveries[channel] = {
+          status: 'skipped',
+          attempts: 0,
+          nextAttemptAt: null,
+          lastError: `No ${channel === 'email' ? 'email address' : 'phone number'} for receiver`,
+          result: null
+        };
+      } else if (channel === 'email' && digestAt) {
+        // Held for the receiver's digest email
+        deliveries[channel] = {
+          status: 'digest',
+          attempts: 0,
+          nextAttemptAt: null,
+          digestAt: digestAt.toISOString(),
+          lastError: null,
+          result: null
+        };
+      } else {
+        deliveries[channel] = {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: firstAttemptAt,
+          deferredReason: deferUntil ? 'quiet_hours' : null,
+          lastError: null,
+          result: null
+        };
+      }
+    }
+
+    const { status, nextAttemptAt } = this._summarizeDeliveries(deliveries);
+    return { deliveries, nextAttemptAt, status };
+  }
+
+  /**
+   * Deliver freshly queued notifications without waiting for the next poll
+   * Runs after the current request so callers are not blocked on SMTP/WhatsApp
+   * @param {Array} notificationIds - Notification IDs
+   */
+  dispatch(notificationIds) {
+    setImmediate(async () => {
+      for (const notificationId of notificationIds) {
+        try {
+          await this.processNotification(notificationId);
+        } catch (error) {
+          logger.error(`❌ Immediate dispatch failed for ${notificationId}:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Single polling cycle: recover stale claims and deliver due notifications
+   */
+  async drain() {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+
+    try {
+      this.lastDrainAt = new Date().toISOString();
+
+      await this.recoverStaleNotifications();
+
+      const due = await this.getDueNotifications();
+      for (const notification of due) {
+        await this.processNotification(notification.id);
+      }
+
+      await this.refreshQueueSnapshot();
+    } catch (error) {
+      logger.error('❌ Notification Outbox drain failed:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Measure the pending queue once per drain so health checks can report it without reading Firestore
+   */
+  async refreshQueueSnapshot() {
+    const pending = this.db.collection(COLLECTIONS.NOTIFICATIONS).where('status', '==', 'pending');
+
+    const [pendingCount, oldestSnapshot] = await Promise.all([
+      pending.count().get(),
+      pending.orderBy('queuedAt', 'asc').limit(1).get()
+    ]);
+
+    this.queueSnapshot = {
+      pending: pendingCount.data().count,
+      oldestQueuedAt: oldestSnapshot.empty ? null : oldestSnapshot.docs[0].data().queuedAt,
+      measuredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get pending notifications whose next attempt is due
+   */
+  async getDueNotifications() {
+    const snapshot = await this.db.collection(COLLECTIONS.NOTIFICATIONS)
+      .where('status', '==', 'pending')
+      .where('nextAttemptAt', '<=', new Date().toISOString())
+      .orderBy('nextAttemptAt', 'asc')
+      .limit(this.batchSize)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Put notifications left 'processing' by a crashed instance back into the queue
+   */
+  async recoverStaleNotifications() {
+    const snapshot = await this.db.collection(COLLECTIONS.NOTIFICATIONS)
+      .where('status', '==', 'processing')
+      .where('lockedUntil', '<=', new Date().toISOString())
+      .limit(this.batchSize)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      logger.warn(`📤 Recovering stale notification ${doc.id} (locked by ${doc.data().lockedBy})`);
+      await doc.ref.update({
+        status: 'pending',
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: firebaseConfig.getServerTimestamp()
+      });
+    }
+  }
+
+  /**
+   * Atomically claim a notification so only one worker delivers it
+   * @param {string} notificationId - Notification ID
+   */
+  async claimNotification(notificationId) {
+    const notificationRef = this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const notificationDoc = await transaction.get(notificationRef);
+      if (!notificationDoc.exists) {
+        return null;
+      }
+
+      const notification = notificationDoc.data();
+      const now = new Date();
+      if (notification.status !== 'pending' || !notification.nextAttemptAt || new Date(notification.nextAttemptAt) > now) {
+        return null;
+      }
+
+      const claimed = {
+        status: 'processing',
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + this.lockMs).toISOString()
+      };
+
+      transaction.update(notificationRef, claimed);
+      return { id: notificationDoc.id, ...notification, ...claimed };
+    });
+  }
+
+  /**
+   * Claim a notification and attempt every channel that is due
+   * @param {string} notificationId - Notification ID
+   */
+  async processNotification(notificationId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const notification = await this.claimNotification(notificationId);
+    if (!notification) {
+      return null;
+    }
+
+    const receiver = {
+      id: notification.receiver,
+      type: notification.receiverType,
+      email: notification.receiverEmail,
+      phone: notification.receiverPhone,
+      language: notification.language
+    };
+    const deliveries = { ...(notification.deliveries || {}) };
+    const now = new Date();
+
+    for (const [channel, delivery] of Object.entries(deliveries)) {
+      if (delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > now) {
+        continue;
+      }
+
+      const attempts = (delivery.attempts || 0) + 1;
+
+      try {
+        const metadata = { ...notification.metadata, notificationId: notification.id };
+        const result = channel === 'email'
+          ? await notificationService._sendEmail(receiver, notification.content, notification.type, metadata, notification.attachments || [])
+          : await notificationService._sendWhatsApp(receiver, notification.content, notification.type, metadata);
+
+        deliveries[channel] = {
+          ...delivery,
+          status: 'sent',
+          attempts,
+          nextAttemptAt: null,
+          lastError: null,
+          result,
+          sentAt: new Date().toISOString()
+        };
+        logger.info(`✅ ${channel} sent for notification ${notificationId} (attempt ${attempts})`);
+
+      } catch (error) {
+        if (attempts >= this.maxAttempts) {
+          deliveries[channel] = {
+            ...delivery,
+            status: 'dead',
+            attempts,
+            nextAttemptAt: null,
+            lastError: error.message,
+            failedAt: new Date().toISOString()
+          };
+          await this._deadLetter(notification, channel, deliveries[channel]);
+          logger.error(`💀 ${channel} for notification ${notificationId} dead-lettered after ${attempts} attempts:`, error.message);
+        } else {
+          deliveries[channel] = {
+            ...delivery,
+            status: 'pending',
+            attempts,
+            nextAttemptAt: new Date(Date.now() + this._getRetryDelay(channel, attempts)).toISOString(),
+            lastError: error.message,
+            failedAt: new Date().toISOString()
+          };
+          logger.warn(`📤 ${channel} for notification ${notificationId} failed (attempt ${attempts}/${this.maxAttempts}), retry at ${deliveries[channel].nextAttemptAt}`);
+        }
+      }
+    }
+
+    const updateData = this._summarizeDeliveries(deliveries);
+    await this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId).update({
+      ...updateData,
+      deliveries,
+      lockedBy: null,
+      lockedUntil: null,
+      updatedAt: firebaseConfig.getServerTimestamp()
+    });
+
+    return { notificationId, ...updateData };
+  }
+
+  /**
+   * Derive the notification-level status from its channel deliveries
+   * Keeps the legacy emailSent/whatsappSent/error fields in sync
+   * @param {Object} deliveries - Per-channel delivery state
+   */
+  _summarizeDeliveries(deliveries) {
+    const entries = Object.entries(deliveries);
+    const pending = entries.filter(([, delivery]) => delivery.status === 'pending');
+    const digest = entries.filter(([, delivery]) => delivery.status === 'digest');
+    const sent = entries.filter(([, delivery]) => delivery.status === 'sent');
+    const errors = entries
+      .filter(([, delivery]) => delivery.status !== 'sent' && delivery.lastError)
+      .map(([channel, delivery]) => `${channel === 'email' ? 'Email' : 'WhatsApp'}: ${delivery.lastError}`);
+
+    let status;
+    if (pending.length > 0) {
+      status = 'pending';
+    } else if (digest.length > 0) {
+      status = 'digest';
+    } else if (sent.length > 0 || entries.length === 0) {
+      status = 'sent';
+    } else {
+      status = 'failed';
+    }
+
+    const nextAttemptAt = pending.length > 0
+      ? pending.map(([, delivery]) => delivery.nextAttemptAt).sort()[0]
+      : null;
+
+    return {
+      status,
+      nextAttemptAt,
+      emailSent: deliveries.email?.status === 'sent',
+      whatsappSent: deliveries.whatsapp?.status === 'sent',
+      emailResult: deliveries.email?.result || null,
+      whatsappResult: deliveries.whatsapp?.result || null,
+      error: errors.length > 0 ? errors.join('; ') : null
+    };
+  }
+
+  /**
+   * Send a receiver's held emails as a single digest
+   * @param {string} userId - Receiver ID
+   * @returns {Object} { sent } number of notifications included
+   */
+  async sendDigest(userId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let sent = 0;
+
+    // Up to 50 notifications per digest email
+    for (;;) {
+      const snapshot = await this.db.collection(COLLECTIONS.NOTIFICATIONS)
+        .where('receiver', '==', userId)
+        .where('deliveries.email.status', '==', 'digest')
+        .limit(50)
+        .get();
+
+      if (snapshot.empty) {
+        break;
+      }
+
+      const notifications = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const receiver = {
+        id: userId,
+        type: notifications[0].receiverType,
+        email: notifications[0].receiverEmail,
+        language: notifications[0].language
+      };
+      const strings = templateService.getLayoutStrings(receiver.language);
+
+      const result = await notificationService._sendEmail(receiver, {
+        subject: strings.digestSubject,
+        message: strings.digestMessage(notifications.length)
+      }, 'notification_digest', {
+        userId,
+        items: notifications.map(notification => ({
+          type: notification.type,
+          action: notification.content?.subject || notification.action,
+          message: notification.content?.message,
+          actionUrl: notification.content?.actionUrl
+        }))
+      });
+
+      const sentAt = new Date().toISOString();
+      const batch = this.db.batch();
+
+      for (const notification of notifications) {
+        const deliveries = {
+          ...notification.deliveries,
+          email: {
+            ...notification.deliveries.email,
+            status: 'sent',
+            attempts: (notification.deliveries.email.attempts || 0) + 1,
+            result,
+            sentAt
+          }
+        };
+
+        batch.update(this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notification.id), {
+          ...this._summarizeDeliveries(deliveries),
+          deliveries,
+          updatedAt: firebaseConfig.getServerTimestamp()
+        });
+      }
+
+      await batch.commit();
+      sent += notifications.length;
+
+      if (notifications.length < 50) {
+        break;
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`📬 Digest sent to ${userId} with ${sent} notifications`);
+    }
+
+    return { sent };
+  }
+
+  /**
+   * Exponential backoff with a little jitter so retries don't line up
+   * @param {string} channel - Delivery channel
+   * @param {number} attempts - Attempts made so far
+   */
+  _getRetryDelay(channel, attempts) {
+    const policy = CHANNEL_RETRY_POLICIES[channel];
+    const delay = Math.min(policy.baseDelayMs * Math.pow(2, attempts - 1), policy.maxDelayMs);
+    return delay + Math.floor(Math.random() * delay * 0.1);
+  }
+
+  /**
+   * Copy a permanently failed channel delivery into the dead-letter collection
+   * @param {Object} notification - Notification document
+   * @param {string} channel - Failed channel
+   * @param {Object} delivery - Final delivery state
+   */
+  async _deadLetter(notification, channel, delivery) {
+    const deadLetterId = `${notification.id}_${channel}`;
+
+    await this.db.collection(COLLECTIONS.NOTIFICATION_DEAD_LETTERS).doc(deadLetterId).set({
+      id: deadLetterId,
+      notificationId: notification.id,
+      channel,
+      type: notification.type,
+      action: notification.action,
+      receiver: notification.receiver,
+      receiverType: notification.receiverType,
+      receiverEmail: notification.receiverEmail || null,
+      receiverPhone: notification.receiverPhone || null,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      status: 'dead',
+      deadLetteredAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Re-queue a dead-lettered channel on its original notification
+   * @param {string} deadLetterId - Dead letter ID
+   * @param {string} replayedBy - User ID of the admin replaying it
+   */
+  async replayDeadLetter(deadLetterId, replayedBy = 'system') {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const deadLetterRef = this.db.collection(COLLECTIONS.NOTIFICATION_DEAD_LETTERS).doc(deadLetterId);
+
+    const replayed = await this.db.runTransaction(async (transaction) => {
+      const deadLetterDoc = await transaction.get(deadLetterRef);
+      if (!deadLetterDoc.exists) {
+        return null;
+      }
+
+      const deadLetter = deadLetterDoc.data();
+      if (deadLetter.status !== 'dead') {
+        throw new Error(`Dead letter already ${deadLetter.status}`);
+      }
+
+      const notificationRef = this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(deadLetter.notificationId);
+      const notificationDoc = await transaction.get(notificationRef);
+      if (!notificationDoc.exists) {
+        throw new Error('Original notification no longer exists');
+      }
+
+      const notification = notificationDoc.data();
+      if (notification.status === 'processing') {
+        throw new Error('Notification is currently being delivered');
+      }
+
+      const now = new Date().toISOString();
+      const deliveries = {
+        ...(notification.deliveries || {}),
+        [deadLetter.channel]: {
+          ...(notification.deliveries?.[deadLetter.channel] || {}),
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          lastError: null
+        }
+      };
+
+      transaction.update(notificationRef, {
+        deliveries,
+        status: 'pending',
+        nextAttemptAt: now,
+        updatedAt: firebaseConfig.getServerTimestamp()
+      });
+
+      const replayData = {
+        status: 'replayed',
+        replayedAt: now,
+        replayedBy,
+        replayCount: (deadLetter.replayCount || 0) + 1
+      };
+      transaction.update(deadLetterRef, replayData);
+
+      return { ...deadLetter, ...replayData };
+    });
+
+    if (replayed) {
+      logger.info(`🔁 Dead letter ${deadLetterId} replayed by ${replayedBy}`);
+      this.dispatch([replayed.notificationId]);
+    }
+
+    return replayed;
+  }
+
+  /**
+   * List dead letters
+   * @param {Object} filters - { status, channel, type, limit }
+   */
+  async listDeadLetters(filters = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { status = 'dead', channel, type, limit = 50 } = filters;
+
+    let query = this.db.collection(COLLECTIONS.NOTIFICATION_DEAD_LETTERS)
+      .where('status', '==', status);
+
+    if (channel) {
+      query = query.where('channel', '==', channel);
+    }
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query
+      .orderBy('deadLetteredAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Queue depth and age for health checks
+   */
+  async getQueueStats() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const notifications = this.db.collection(COLLECTIONS.NOTIFICATIONS);
+
+    const [pendingCount, processingCount, deadLetterCount, oldestSnapshot] = await Promise.all([
+      notifications.where('status', '==', 'pending').count().get(),
+      notifications.where('status', '==', 'processing').count().get(),
+      this.db.collection(COLLECTIONS.NOTIFICATION_DEAD_LETTERS).where('status', '==', 'dead').count().get(),
+      notifications.where('status', '==', 'pending').orderBy('queuedAt', 'asc').limit(1).get()
+    ]);
+
+    const oldestQueuedAt = oldestSnapshot.empty ? null : oldestSnapshot.docs[0].data().queuedAt;
+
+    return {
+      pending: pendingCount.data().count,
+      processing: processingCount.data().count,
+      deadLetters: deadLetterCount.data().count,
+      oldestQueuedAt,
+      oldestAgeSeconds: getAgeSeconds(oldestQueuedAt),
+      worker: this.getWorkerStatus()
+    };
+  }
+
+  /**
+   * State of this instance's worker and the queue as of its last drain - no reads, cheap enough for health checks
+   */
+  getWorkerStatus() {
+    const snapshot = this.queueSnapshot;
+
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      lastDrainAt: this.lastDrainAt,
+      queue: snapshot
+        ? {
+          pending: snapshot.pending,
+          oldestQueuedAt: snapshot.oldestQueuedAt,
+          oldestAgeSeconds: getAgeSeconds(snapshot.oldestQueuedAt),
+          measuredAt: snapshot.measuredAt
+        }
+        : null
+    };
+  }
+}
+
+// Create singleton instance
+const notificationOutbox = new NotificationOutbox();
+
+module.exports = notificationOutbox;
@@ -5,10 +5,13 @@
  */
 
 const nodemailer = require('nodemailer');
-const axios = require('axios');
 const firebaseConfig = require('../config/firebase');
 const { COLLECTIONS, NOTIFICATION_TYPES } = require('../config/constants');
 const EmailHistory = require('../models/EmailHistory');
+const NotificationPreference = require('../models/NotificationPreference');
+const templateService = require('./templateService');
+const whatsappService = require('./whatsappService');
+const { TemplateError, escapeHtml, DEFAULT_LANGUAGE } = require('./templateService');
 const logger = require('../utils/logger');
 
 class NotificationService {
@@ -20,18 +23,6 @@ class NotificationService {
       logger.error('❌ Email transporter not configured. Set SMTP_* environment variables.');
     }
 
-    // Setup WhatsApp integration
-    this.whatsappConfig = {
-      apiUrl: process.env.WHATSAPP_API_URL,
-      apiKey: process.env.WHATSAPP_API_KEY,
-      enabled: process.env.WHATSAPP_ENABLED === 'true'
-    };
-
-    if (this.whatsappConfig.enabled && this.whatsappConfig.apiUrl && this.whatsappConfig.apiKey) {
-      logger.info('📱 WhatsApp integration enabled');
-    } else {
-      logger.warn('📱 WhatsApp integration not configured - messages will be logged only');
-    }
     
     this.db = null;
     this.initialized = false;
@@ -86,7 +77,9 @@ class NotificationService {
   }
 
   /**
-   * Send notification with email and store in Firestore
+   * Queue notification in the Firestore outbox for delivery
+   * Email/WhatsApp are sent by the outbox worker with retries, not inside the request
+   * Each receiver's preferences decide the channels, quiet-hours deferral and digest
    * @param {Object} notificationData - Complete notification data
    */
   async sendNotification(notificationData) {
@@ -95,6 +88,9 @@ class NotificationService {
         await this.initialize();
       }
 
+      // Required lazily - the outbox depends on this service for delivery
+      const notificationOutbox = require('./notificationOutbox');
+
       const {
         type,
         initiatedBy,
@@ -103,20 +99,38 @@ class NotificationService {
         receivers,
         channels,
         content,
-        metadata = {}
+        metadata = {},
+        attachments = []
       } = notificationData;
 
       // Validate required fields
       this._validateNotificationData(notificationData);
 
       const results = [];
+      const digests = [];
       const timestamp = firebaseConfig.getServerTimestamp();
+      const batch = this.db.batch();
 
-      // Process each receiver
+      // Queue one outbox entry per receiver
       for (const receiver of receivers) {
+        const preferences = await NotificationPreference.getForUser(receiver.id, receiver.type);
+        const plan = preferences.getDeliveryPlan(type, channels);
+
+        if (plan.channels.length === 0) {
+          logger.info(`🔕 ${type} skipped for ${receiver.id} - all channels disabled`);
+          results.push({ success: true, notificationId: null, receiver: receiver.id, status: 'skipped', reason: 'opted_out' });
+          continue;
+        }
+
+        const language = await this._resolveLanguage(receiver);
+        const localizedContent = this._localizeContent(type, content, metadata, language);
+
         const notificationId = this._generateNotificationId();
-        
-        // Store in Firestore first
+        const { deliveries, nextAttemptAt, status } = notificationOutbox.buildDeliveries(plan.channels, receiver, {
+          deferUntil: plan.deferUntil,
+          digestAt: plan.digestAt
+        });
+
         const firestoreData = {
           id: notificationId,
           type,
@@ -125,80 +139,61 @@ class NotificationService {
           description,
           receiver: receiver.id,
           receiverType: receiver.type,
-          channels,
-          content,
+          receiverEmail: receiver.email || null,
+          receiverPhone: receiver.phone || null,
+          channels: plan.channels,
+          requestedChannels: channels,
+          inApp: plan.channels.includes('in-app'),
+          language,
+          content: localizedContent,
           metadata,
-          status: 'pending',
+          // Email only, e.g. .ics calendar invites
+          attachments: plan.channels.includes('email') ? attachments : [],
+          status,
+          deliveries,
+          nextAttemptAt,
+          queuedAt: new Date().toISOString(),
           createdAt: timestamp,
           updatedAt: timestamp,
           emailSent: false,
+          whatsappSent: false,
           read: false,
           readAt: null
         };
 
-        await this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId).set(firestoreData);
-
-        let emailSent = false;
-        let whatsappSent = false;
-        let emailResult = null;
-        let whatsappResult = null;
-        let hasErrors = false;
-        let errorMessages = [];
-
-        // Send email if email channel is included
-        if (channels.includes('email') && receiver.email) {
-          try {
-            emailResult = await this._sendEmail(receiver, content, type, metadata);
-            emailSent = true;
-            logger.info(`✅ Email sent for notification ${notificationId}`);
-          } catch (emailError) {
-            logger.error('❌ Email sending failed:', emailError);
-            hasErrors = true;
-            errorMessages.push(`Email: ${emailError.message}`);
-          }
-        }
+        batch.set(this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId), firestoreData);
 
-        // Send WhatsApp if whatsapp channel is included
-        if (channels.includes('whatsapp') && receiver.phone) {
-          try {
-            whatsappResult = await this._sendWhatsApp(receiver, content, type, metadata);
-            whatsappSent = true;
-            logger.info(`✅ WhatsApp sent for notification ${notificationId}`);
-          } catch (whatsappError) {
-            logger.error('❌ WhatsApp sending failed:', whatsappError);
-            hasErrors = true;
-            errorMessages.push(`WhatsApp: ${whatsappError.message}`);
-          }
+        results.push({
+          success: true,
+          notificationId,
+          receiver: receiver.id,
+          status,
+          channels: plan.channels,
+          deferredUntil: plan.deferUntil ? plan.deferUntil.toISOString() : undefined
+        });
+
+        if (deliveries.email?.status === 'digest') {
+          digests.push({ userId: receiver.id, runAt: plan.digestAt });
         }
+      }
 
-        // Update Firestore with results
-        const updateData = {
-          emailSent,
-          whatsappSent,
-          status: hasErrors && !emailSent && !whatsappSent ? 'failed' : 'sent',
-          updatedAt: timestamp
-        };
+      await batch.commit();
 
-        if (emailResult) updateData.emailResult = emailResult;
-        if (whatsappResult) updateData.whatsappResult = whatsappResult;
-        if (errorMessages.length > 0) updateData.error = errorMessages.join('; ');
-
-        await this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId).update(updateData);
-
-        results.push({ 
-          success: !hasErrors || emailSent || whatsappSent,
-          notificationId, 
-          receiver: receiver.id, 
-          emailSent, 
-          whatsappSent,
-          emailResult,
-          whatsappResult,
-          errors: errorMessages.length > 0 ? errorMessages : undefined
-        });
+      if (digests.length > 0) {
+        // Required lazily - scheduled jobs depend on the notification controller
+        const ScheduledJobs = require('./scheduledJobs');
+        for (const digest of digests) {
+          await ScheduledJobs.scheduleNotificationDigest(digest.userId, digest.runAt);
+        }
       }
 
-      logger.info(`✅ Notification processed for ${receivers.length} receivers`);
-      return { success: true, results };
+      // Try delivery right away; failures are picked up by the outbox worker
+      notificationOutbox.dispatch(
+        results.filter(result => result.status === 'pending').map(result => result.notificationId)
+      );
+
+      logger.info(`📤 Notification queued for ${receivers.length} receivers`);
+      return { success: true, queued: true, results };
 
     } catch (error) {
       logger.error('❌ Notification processing failed:', error);
@@ -206,18 +201,81 @@ class NotificationService {
     }
   }
 
+  /**
+   * Work out the receiver's preferred language
+   * Uses receiver.language when given, otherwise the owning user's preferredLanguage
+   * @param {Object} receiver - Receiver data (seeker/company profile ID or admin)
+   */
+  async _resolveLanguage(receiver) {
+    if (receiver.language) {
+      return templateService.normalizeLanguage(receiver.language);
+    }
+
+    if (receiver.type === 'admin') {
+      return DEFAULT_LANGUAGE;
+    }
+
+    try {
+      // Receivers are addressed by profile ID; the language lives on the user
+      const profileCollection = receiver.type === 'company' ? COLLECTIONS.COMPANIES : COLLECTIONS.SEEKERS;
+      const profileDoc = await this.db.collection(profileCollection).doc(receiver.id).get();
+      const userId = profileDoc.exists ? profileDoc.data().userId : receiver.id;
+
+      if (!userId) {
+        return DEFAULT_LANGUAGE;
+      }
+
+      const userDoc = await this.db.collection(COLLECTIONS.USERS).doc(userId).get();
+      return templateService.normalizeLanguage(userDoc.exists ? userDoc.data().preferredLanguage : null);
+    } catch (error) {
+      logger.warn(`⚠️ Could not resolve language for ${receiver.id}: ${error.message}`);
+      return DEFAULT_LANGUAGE;
+    }
+  }
+
+  /**
+   * Render the in-app/WhatsApp text from the template registry
+   * Falls back to the trigger's inline content when the type has no template or variables are missing
+   * @param {string} type - Notification type
+   * @param {Object} content - Inline content from the trigger
+   * @param {Object} metadata - Template variables
+   * @param {string} language - Receiver's language
+   */
+  _localizeContent(type, content, metadata, language) {
+    if (!templateService.hasTemplate(type)) {
+      return content;
+    }
+
+    try {
+      const rendered = templateService.render(type, language, metadata);
+      return {
+        ...content,
+        subject: rendered.subject,
+        message: rendered.message,
+        whatsapp: rendered.whatsapp
+      };
+    } catch (error) {
+      if (!(error instanceof TemplateError)) {
+        throw error;
+      }
+      logger.warn(`⚠️ ${error.message} - using inline content`);
+      return content;
+    }
+  }
+
   /**
    * Send email using Gmail with Nodemailer and history tracking
    * @param {Object} receiver - Receiver data
    * @param {Object} content - Email content
    * @param {string} type - Notification type
    * @param {Object} metadata - Additional metadata
+   * @param {Array} attachments - Nodemailer attachments ({ filename, content, contentType })
    */
-  async _sendEmail(receiver, content, type, metadata = {}) {
+  async _sendEmail(receiver, content, type, metadata = {}, attachments = []) {
     let emailHistory = null;
     
     try {
-      const emailTemplate = this._getEmailTemplate(type, content, metadata);
+      const emailTemplate = this._getEmailTemplate(type, content, metadata, receiver.language);
       
       // Professional email sender configuration
       const senderEmail = process.env.SMTP_USER;
@@ -231,6 +289,10 @@ class NotificationService {
         text: emailTemplate.text || emailTemplate.html.replace(/<[^>]*>/g, ''),
       };
 
+      if (attachments.length > 0) {
+        emailData.attachments = attachments;
+      }
+
       // Create email history record before sending
       emailHistory = await EmailHistory.create({
         to: receiver.email,
@@ -308,58 +370,22 @@ class NotificationService {
   }
 
   /**
-   * Send WhatsApp message
+   * Send WhatsApp message through the Cloud API adapter
    * @param {Object} receiver - Receiver data
    * @param {Object} content - Message content
    * @param {string} type - Notification type
-   * @param {Object} metadata - Additional metadata
+   * @param {Object} metadata - Additional metadata (template variables, notificationId)
    */
   async _sendWhatsApp(receiver, content, type, metadata = {}) {
     try {
-      if (!this.whatsappConfig.enabled || !this.whatsappConfig.apiUrl) {
-        // Log message instead of sending if not configured
-        logger.warn(`📱 WhatsApp would be sent to ${receiver.phone} (WhatsApp not configured):`);
-        logger.warn(`Message: ${content.message?.substring(0, 200)}...`);
-        
-        return {
-          id: 'dev-' + Date.now(),
-          status: 'sent',
-          timestamp: new Date().toISOString(),
-          method: 'DEV_LOG'
-        };
-      }
-
-      // Prepare WhatsApp message data
-      const whatsappMessage = {
+      return await whatsappService.sendNotification({
         to: receiver.phone,
-        message: content.message,
-        type: 'text'
-      };
-
-      // Add action URL as a separate message if available
-      if (content.actionUrl) {
-        whatsappMessage.actionText = `View Details: ${content.actionUrl}`;
-      }
-
-      // Send via WhatsApp API
-      const response = await axios.post(this.whatsappConfig.apiUrl, whatsappMessage, {
-        headers: {
-          'Authorization': `Bearer ${this.whatsappConfig.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000 // 10 second timeout
+        language: receiver.language,
+        type,
+        content,
+        variables: metadata,
+        notificationId: metadata.notificationId || null
       });
-
-      logger.info(`✅ WhatsApp sent to ${receiver.phone}:`, response.data.id);
-      
-      return {
-        id: response.data.id || response.data.messageId,
-        status: 'sent',
-        timestamp: new Date().toISOString(),
-        method: 'WHATSAPP_API',
-        response: response.data
-      };
-
     } catch (error) {
       logger.error(`❌ Failed to send WhatsApp to ${receiver.phone}:`, error.message);
       throw error;
@@ -368,192 +394,65 @@ class NotificationService {
 
   /**
    * Get email template based on notification type
+   * Registered types are rendered from the localized template registry
    * @param {string} type - Notification type
    * @param {Object} content - Content object
    * @param {Object} metadata - Additional data
+   * @param {string} language - Receiver's preferred language
    */
-  _getEmailTemplate(type, content, metadata = {}) {
-    const baseTemplate = {
-      header: `
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
-          <h1 style="color: white; margin: 0; font-family: Arial, sans-serif;">Shift</h1>
-        </div>
-      `,
-      footer: `
-        <div style="background: #f8f9fa; padding: 20px; text-align: center; margin-top: 30px;">
-          <p style="color: #666; font-size: 12px; margin: 0;">
-            © 2024 Shift. All rights reserved.<br>
-            This email was sent from Shift Job Platform.
-          </p>
-        </div>
-      `
-    };
+  _getEmailTemplate(type, content, metadata = {}, language = DEFAULT_LANGUAGE) {
+    const strings = templateService.getLayoutStrings(language);
 
-    // Company-related templates
-    if (type === 'company_account_created') {
-      return {
-        subject: 'Welcome to Shift! Your company account is ready',
-        html: `
-          ${baseTemplate.header}
-          <div style="padding: 30px; font-family: Arial, sans-serif;">
-            <h2 style="color: #333;">Welcome to Shift!</h2>
-            <p style="color: #666; line-height: 1.6;">
-              ${content.message || 'Your company account is ready. Complete your profile to start hiring smarter.'}
-            </p>
-            ${content.actionUrl ? `
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${content.actionUrl}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  Complete Profile
-                </a>
-              </div>
-            ` : ''}
-          </div>
-          ${baseTemplate.footer}
-        `,
-        text: content.message || 'Welcome to Shift! Your company account is ready.'
-      };
-    }
-
-    // Job seeker templates
-    if (type === 'job_seeker_profile_created') {
-      return {
-        subject: 'Your Shift account has been created',
-        html: `
-          ${baseTemplate.header}
-          <div style="padding: 30px; font-family: Arial, sans-serif;">
-            <h2 style="color: #333;">Welcome to Shift!</h2>
-            <p style="color: #666; line-height: 1.6;">
-              ${content.message || 'Your account has been created. Complete your profile to start applying for jobs.'}
-            </p>
-            ${content.actionUrl ? `
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${content.actionUrl}" style="background: #28a745; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  Complete Profile
-                </a>
-              </div>
-            ` : ''}
-          </div>
-          ${baseTemplate.footer}
-        `,
-        text: content.message || 'Your account has been created. Complete your profile to start applying for jobs.'
-      };
-    }
-
-    // Job application templates
-    if (type === 'application_submitted') {
-      return {
-        subject: `New application received for ${metadata.jobTitle || 'your job'}`,
-        html: `
-          ${baseTemplate.header}
-          <div style="padding: 30px; font-family: Arial, sans-serif;">
-            <h2 style="color: #333;">New Application Received</h2>
-            <p style="color: #666; line-height: 1.6;">
-              ${content.message}
-            </p>
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="margin: 0 0 10px 0; color: #333;">Application Details</h3>
-              <p style="margin: 5px 0; color: #666;"><strong>Job:</strong> ${metadata.jobTitle || 'N/A'}</p>
-              <p style="margin: 5px 0; color: #666;"><strong>Candidate:</strong> ${metadata.candidateName || 'N/A'}</p>
-              <p style="margin: 5px 0; color: #666;"><strong>Applied:</strong> ${new Date().toLocaleString()}</p>
-            </div>
-            ${content.actionUrl ? `
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${content.actionUrl}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  View Application
-                </a>
-              </div>
-            ` : ''}
-          </div>
-          ${baseTemplate.footer}
-        `,
-        text: `${content.message} - Job: ${metadata.jobTitle || 'N/A'}, Candidate: ${metadata.candidateName || 'N/A'}`
-      };
-    }
-
-    // Interview request templates
-    if (type === 'interview_request_sent') {
-      return {
-        subject: `Interview invitation for ${metadata.jobTitle || 'a position'}`,
-        html: `
-          ${baseTemplate.header}
-          <div style="padding: 30px; font-family: Arial, sans-serif;">
-            <h2 style="color: #333;">Interview Invitation</h2>
-            <p style="color: #666; line-height: 1.6;">
-              ${content.message}
-            </p>
-            <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-              <h3 style="margin: 0 0 15px 0; color: #333;">Interview Details</h3>
-              <p style="margin: 5px 0; color: #666;"><strong>Company:</strong> ${metadata.companyName || 'N/A'}</p>
-              <p style="margin: 5px 0; color: #666;"><strong>Position:</strong> ${metadata.jobTitle || 'N/A'}</p>
-              ${metadata.interviewDate ? `<p style="margin: 5px 0; color: #666;"><strong>Date:</strong> ${metadata.interviewDate}</p>` : ''}
-              ${metadata.location ? `<p style="margin: 5px 0; color: #666;"><strong>Location:</strong> ${metadata.location}</p>` : ''}
-            </div>
-            ${content.actionUrl ? `
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${content.actionUrl}" style="background: #28a745; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  View Details & Respond
-                </a>
-              </div>
-            ` : ''}
-          </div>
-          ${baseTemplate.footer}
-        `,
-        text: `${content.message} - Company: ${metadata.companyName || 'N/A'}, Position: ${metadata.jobTitle || 'N/A'}`
-      };
+    if (templateService.hasTemplate(type)) {
+      try {
+        const rendered = templateService.render(type, language, metadata, { actionUrl: content.actionUrl });
+        return {
+          subject: rendered.subject,
+          html: rendered.html,
+          text: rendered.text,
+          templateName: `${type}_${rendered.language}`
+        };
+      } catch (error) {
+        if (!(error instanceof TemplateError)) {
+          throw error;
+        }
+        logger.warn(`⚠️ ${error.message} - using default email template`);
+      }
     }
 
-    // Payment templates
-    if (type === 'payment_successful') {
+    // Digest template
+    if (type === 'notification_digest') {
+      const items = metadata.items || [];
       return {
-        subject: 'Payment Confirmation - Shift',
-        html: `
-          ${baseTemplate.header}
-          <div style="padding: 30px; font-family: Arial, sans-serif;">
-            <h2 style="color: #333;">💳 Payment Successful</h2>
-            <p style="color: #666; line-height: 1.6;">
-              ${content.message}
-            </p>
-            <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="margin: 0 0 15px 0; color: #333;">Payment Details</h3>
-              <p style="margin: 5px 0; color: #666;"><strong>Amount:</strong> ${metadata.amount || 'N/A'} ${metadata.currency || 'OMR'}</p>
-              <p style="margin: 5px 0; color: #666;"><strong>Plan:</strong> ${metadata.planName || 'N/A'}</p>
-              <p style="margin: 5px 0; color: #666;"><strong>Date:</strong> ${new Date().toLocaleString()}</p>
-            </div>
-            ${content.actionUrl ? `
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${content.actionUrl}" style="background: #28a745; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  View Receipt
-                </a>
+        subject: content.subject || strings.digestSubject,
+        html: templateService.renderLayout({
+          language,
+          heading: strings.digestHeading,
+          body: `
+            ${escapeHtml(content.message || '')}
+            ${items.map(item => `
+              <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin: 10px 0;">
+                <p style="margin: 0 0 5px 0; color: #333;"><strong>${escapeHtml(item.action || strings.notification)}</strong></p>
+                <p style="margin: 0; color: #666;">${escapeHtml(item.message || '')}</p>
+                ${item.actionUrl ? `<p style="margin: 5px 0 0 0;"><a href="${escapeHtml(item.actionUrl)}" style="color: #667eea;">${strings.viewDetails}</a></p>` : ''}
               </div>
-            ` : ''}
-          </div>
-          ${baseTemplate.footer}
-        `,
-        text: `${content.message} - Amount: ${metadata.amount || 'N/A'} ${metadata.currency || 'OMR'}`
+            `).join('')}
+          `
+        }),
+        text: [content.message, ...items.map(item => `- ${item.action || strings.notification}: ${item.message || ''}`)].join('\n')
       };
     }
 
     // Default template
     return {
       subject: content.subject || 'Shift Notification',
-      html: `
-        ${baseTemplate.header}
-        <div style="padding: 30px; font-family: Arial, sans-serif;">
-          <h2 style="color: #333;">Notification</h2>
-          <p style="color: #666; line-height: 1.6;">
-            ${content.message || 'You have a new notification from Shift.'}
-          </p>
-          ${content.actionUrl ? `
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${content.actionUrl}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                View Details
-              </a>
-            </div>
-          ` : ''}
-        </div>
-        ${baseTemplate.footer}
-      `,
-      text: content.message || 'You have a new notification from Shift.'
+      html: templateService.renderLayout({
+        language,
+        heading: strings.notification,
+        body: escapeHtml(content.message || strings.defaultMessage),
+        actionUrl: content.actionUrl
+      }),
+      text: content.message || strings.defaultMessage
     };
   }
 
@@ -593,17 +492,20 @@ class NotificationService {
 
       const snapshot = await query.limit(limit).get();
       
-      const notifications = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt
-      }));
+      // Notifications with the in-app channel switched off stay out of the feed
+      const notifications = snapshot.docs
+        .filter(doc => doc.data().inApp !== false)
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt
+        }));
 
       return {
         success: true,
         notifications,
         count: notifications.length,
-        hasMore: notifications.length === limit
+        hasMore: snapshot.size === limit
       };
 
     } catch (error) {
@@ -663,7 +565,9 @@ class NotificationService {
         .where('read', '==', false)
         .get();
 
-      return { success: true, count: snapshot.size };
+      const count = snapshot.docs.filter(doc => doc.data().inApp !== false).length;
+
+      return { success: true, count };
 
     } catch (error) {
       logger.error('❌ Failed to get unread count:', error);
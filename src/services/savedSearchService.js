@@ -0,0 +1,212 @@
+/**
+ * Saved Search Service
+ * Checks newly published jobs against seekers' saved searches and alerts the matching seekers,
+ * straight away or in a daily digest depending on each search's frequency
+ *
+ * Alerts are keyed by seeker and job, so a seeker hears about a job once - however many of
+ * their searches match it and however often the job is re-published
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const SavedSearch = require('../models/SavedSearch');
+const Seeker = require('../models/Seeker');
+const jobSearchService = require('./jobSearchService');
+const notificationController = require('../controllers/notificationController');
+const logger = require('../utils/logger');
+
+// gRPC status Firestore returns when create() finds the document already there
+const ALREADY_EXISTS = 6;
+
+class SavedSearchService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ Saved Search Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Saved Search Service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Alert seekers whose saved searches match a newly published job
+   * Never throws - a failed alert must not fail publishing
+   * @param {Object} job - Published Job instance
+   * @returns {Object} { matched, instant, queued, duplicates, skipped }
+   */
+  async evaluateJob(job) {
+    const summary = { matched: 0, instant: 0, queued: 0, duplicates: 0, skipped: 0 };
+
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      // seekerId -> [{ search, distanceKm }]
+      const matchesBySeeker = new Map();
+      for (const search of await SavedSearch.findWithAlertsEnabled()) {
+        const match = jobSearchService.matchesJob(job, search.toSearchFilters());
+        if (!match) {
+          continue;
+        }
+
+        if (!matchesBySeeker.has(search.seekerId)) {
+          matchesBySeeker.set(search.seekerId, []);
+        }
+        matchesBySeeker.get(search.seekerId).push({ search, distanceKm: match.distanceKm });
+      }
+
+      for (const [seekerId, matches] of matchesBySeeker) {
+        summary.matched++;
+        try {
+          summary[await this._alertSeeker(seekerId, job, matches)]++;
+        } catch (error) {
+          summary.skipped++;
+          logger.error(`❌ Saved search alert failed for seeker ${seekerId}:`, error);
+        }
+      }
+
+      if (summary.matched > 0) {
+        logger.info(`🔔 Saved search alerts for job ${job.id}`, summary);
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to check saved searches for job ${job.id}:`, error);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send the seeker's pending daily alerts as one notification
+   * Jobs closed since they were matched are dropped from the digest
+   * @param {string} seekerId
+   * @returns {Object} { sent, expired }
+   */
+  async sendDigest(seekerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.SAVED_SEARCH_ALERTS)
+      .where('seekerId', '==', seekerId)
+      .where('status', '==', 'pending')
+      .get();
+
+    if (snapshot.empty) {
+      return { sent: 0, expired: 0 };
+    }
+
+    const jobRefs = snapshot.docs.map(doc => this.db.collection(COLLECTIONS.JOBS).doc(doc.data().jobId));
+    const jobDocs = await this.db.getAll(...jobRefs);
+    const openJobIds = new Set(jobDocs
+      .filter(doc => doc.exists && doc.data().jobStatus === 'published' && doc.data().isActive !== false)
+      .map(doc => doc.id));
+
+    const alerts = snapshot.docs.map(doc => ({ ref: doc.ref, ...doc.data() }));
+    const openAlerts = alerts.filter(alert => openJobIds.has(alert.jobId));
+
+    const seeker = await Seeker.findById(seekerId);
+    const delivered = seeker ? openAlerts : [];
+    if (delivered.length > 0) {
+      await notificationController.sendSavedSearchDigest(seeker, delivered);
+    }
+
+    const sentAt = new Date().toISOString();
+    const batch = this.db.batch();
+    for (const alert of alerts) {
+      const sent = delivered.includes(alert);
+      batch.update(alert.ref, { status: sent ? 'sent' : 'expired', sentAt: sent ? sentAt : null });
+    }
+    await batch.commit();
+
+    const summary = { sent: delivered.length, expired: alerts.length - delivered.length };
+    logger.info(`📬 Saved search digest for seeker ${seekerId}`, summary);
+    return summary;
+  }
+
+  /**
+   * Record the alert and deliver it or queue it for the digest
+   * @returns {string} Summary key - 'instant', 'queued', 'duplicates' or 'skipped'
+   */
+  async _alertSeeker(seekerId, job, matches) {
+    const seeker = await Seeker.findById(seekerId);
+    if (!seeker || !seeker.isActive) {
+      return 'skipped';
+    }
+
+    const blockedBy = (seeker.blockedByCompanies || []).some(block => block.isActive && block.companyId === job.companyId);
+    if (blockedBy) {
+      return 'skipped';
+    }
+
+    // One instant search is enough to send it now
+    const instantMatch = matches.find(match => match.search.frequency === 'instant');
+    const primary = instantMatch || matches[0];
+    const now = new Date().toISOString();
+
+    const alert = {
+      seekerId,
+      jobId: job.id,
+      searchIds: matches.map(match => match.search.id),
+      searchName: primary.search.name,
+      jobTitle: job.roleName,
+      companyName: job.brandName || job.companyName,
+      governorate: job.governorate || null,
+      distanceKm: primary.distanceKm,
+      frequency: instantMatch ? 'instant' : 'daily',
+      status: 'pending',
+      createdAt: now,
+      sentAt: null
+    };
+
+    const alertRef = this.db.collection(COLLECTIONS.SAVED_SEARCH_ALERTS).doc(`${seekerId}_${job.id}`);
+    try {
+      await alertRef.create(alert);
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        return 'duplicates';
+      }
+      throw error;
+    }
+
+    const batch = this.db.batch();
+    for (const match of matches) {
+      batch.update(this.db.collection(COLLECTIONS.SAVED_SEARCHES).doc(match.search.id), {
+        alertCount: firebaseConfig.increment(1),
+        lastAlertedAt: now
+      });
+    }
+    await batch.commit();
+
+    // Required lazily - scheduled jobs depend on this service for the digest
+    const ScheduledJobs = require('./scheduledJobs');
+
+    if (instantMatch) {
+      try {
+        await notificationController.sendSavedSearchAlert(job, seeker, alert);
+        await alertRef.update({ status: 'sent', sentAt: new Date().toISOString() });
+        return 'instant';
+      } catch (error) {
+        // Still pending, so the digest picks it up
+        logger.error(`❌ Instant saved search alert failed for seeker ${seekerId}, moving it to the digest:`, error);
+      }
+    }
+
+    await ScheduledJobs.scheduleSavedSearchDigest(seekerId);
+    return 'queued';
+  }
+}
+
+// Export singleton instance
+const savedSearchService = new SavedSearchService();
+module.exports = savedSearchService;
@@ -0,0 +1,681 @@
+/**
+ * Scheduled Jobs
+ * Job handlers and enqueue helpers for reminders, interview offer expiry, trial expiry, plan expiration, digests,
+ * missed shift clock-outs, seeker payout batches and Thawani payment reconciliation
+ * Models are required lazily to avoid circular dependencies with the controllers
+ */
+
+const jobScheduler = require('./jobScheduler');
+const notificationController = require('../controllers/notificationController');
+const notificationOutbox = require('./notificationOutbox');
+const NotificationHelper = require('../utils/notificationHelper');
+const { toMuscatDate, toMuscatDateTime } = require('../utils/muscatTime');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Interview reminders are sent this many hours before the interview starts
+const INTERVIEW_REMINDER_HOURS = [24, 1];
+// Instant hire shift reminders are sent this many hours before the shift starts
+const INSTANT_HIRE_REMINDER_HOURS = [4];
+// Trial/subscription warnings are sent this many days before expiry
+const TRIAL_WARNING_DAYS = [3, 1];
+const SUBSCRIPTION_WARNING_DAYS = [7, 1];
+
+const PLAN_EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.PLAN_EXPIRY_SWEEP_INTERVAL_MS) || 6 * HOUR_MS;
+// How often shifts left clocked in after they ended are closed
+const MISSED_CLOCK_OUT_SWEEP_INTERVAL_MS = parseInt(process.env.MISSED_CLOCK_OUT_SWEEP_INTERVAL_MS) || 30 * 60 * 1000;
+// How often finished payment periods are batched into seeker payouts
+const PAYOUT_BATCH_INTERVAL_MS = parseInt(process.env.PAYOUT_BATCH_INTERVAL_MS) || 6 * HOUR_MS;
+// How often pending Thawani checkouts are checked against the gateway
+const PAYMENT_RECONCILIATION_INTERVAL_MS = parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Daily saved search digests go out at this Muscat time
+const SAVED_SEARCH_DIGEST_TIME = process.env.SAVED_SEARCH_DIGEST_TIME || '18:00';
+
+const JOB_TYPES = {
+  INTERVIEW_REMINDER: 'interview_reminder',
+  INTERVIEW_OFFER_EXPIRY: 'interview_offer_expiry',
+  INSTANT_HIRE_REMINDER: 'instant_hire_reminder',
+  TRIAL_ENDING_WARNING: 'trial_ending_warning',
+  TRIAL_EXPIRY: 'trial_expiry',
+  SUBSCRIPTION_EXPIRING_WARNING: 'subscription_expiring_warning',
+  PLAN_EXPIRY: 'plan_expiry',
+  PLAN_EXPIRY_SWEEP: 'plan_expiry_sweep',
+  NOTIFICATION_DIGEST: 'notification_digest',
+  SAVED_SEARCH_DIGEST: 'saved_search_digest',
+  MISSED_CLOCK_OUT_SWEEP: 'missed_clock_out_sweep',
+  PAYOUT_BATCH: 'payout_batch',
+  PAYMENT_RECONCILIATION: 'payment_reconciliation'
+};
+
+/**
+ * Get the best available email/phone for a company
+ */
+const getCompanyContact = (company) => ({
+  id: company.id,
+  name: company.companyName,
+  companyName: company.companyName,
+  email: company.companyEmail || company.adminDetails?.email || null,
+  phone: company.adminDetails?.phone || null
+});
+
+class ScheduledJobs {
+
+  /**
+   * Register all job handlers with the scheduler
+   */
+  static registerHandlers() {
+    jobScheduler.registerHandler(JOB_TYPES.INTERVIEW_REMINDER, ScheduledJobs.handleInterviewReminder);
+    jobScheduler.registerHandler(JOB_TYPES.INTERVIEW_OFFER_EXPIRY, ScheduledJobs.handleInterviewOfferExpiry);
+    jobScheduler.registerHandler(JOB_TYPES.INSTANT_HIRE_REMINDER, ScheduledJobs.handleInstantHireReminder);
+    jobScheduler.registerHandler(JOB_TYPES.TRIAL_ENDING_WARNING, ScheduledJobs.handleTrialEndingWarning);
+    jobScheduler.registerHandler(JOB_TYPES.TRIAL_EXPIRY, ScheduledJobs.handleTrialExpiry);
+    jobScheduler.registerHandler(JOB_TYPES.SUBSCRIPTION_EXPIRING_WARNING, ScheduledJobs.handleSubscriptionExpiringWarning);
+    jobScheduler.registerHandler(JOB_TYPES.PLAN_EXPIRY, ScheduledJobs.handlePlanExpiry);
+    jobScheduler.registerHandler(JOB_TYPES.PLAN_EXPIRY_SWEEP, ScheduledJobs.handlePlanExpirySweep);
+    jobScheduler.registerHandler(JOB_TYPES.NOTIFICATION_DIGEST, ScheduledJobs.handleNotificationDigest);
+    jobScheduler.registerHandler(JOB_TYPES.SAVED_SEARCH_DIGEST, ScheduledJobs.handleSavedSearchDigest);
+    jobScheduler.registerHandler(JOB_TYPES.MISSED_CLOCK_OUT_SWEEP, ScheduledJobs.handleMissedClockOutSweep);
+    jobScheduler.registerHandler(JOB_TYPES.PAYOUT_BATCH, ScheduledJobs.handlePayoutBatch);
+    jobScheduler.registerHandler(JOB_TYPES.PAYMENT_RECONCILIATION, ScheduledJobs.handlePaymentReconciliation);
+  }
+
+  /**
+   * Make sure recurring system jobs exist
+   */
+  static async ensureRecurringJobs() {
+    await jobScheduler.schedule(JOB_TYPES.PLAN_EXPIRY_SWEEP, new Date(), {}, {
+      jobKey: 'recurring_plan_expiry_sweep',
+      overwrite: false,
+      repeatIntervalMs: PLAN_EXPIRY_SWEEP_INTERVAL_MS
+    });
+    await jobScheduler.schedule(JOB_TYPES.MISSED_CLOCK_OUT_SWEEP, new Date(), {}, {
+      jobKey: 'recurring_missed_clock_out_sweep',
+      overwrite: false,
+      repeatIntervalMs: MISSED_CLOCK_OUT_SWEEP_INTERVAL_MS
+    });
+    await jobScheduler.schedule(JOB_TYPES.PAYOUT_BATCH, new Date(), {}, {
+      jobKey: 'recurring_payout_batch',
+      overwrite: false,
+      repeatIntervalMs: PAYOUT_BATCH_INTERVAL_MS
+    });
+    await jobScheduler.schedule(JOB_TYPES.PAYMENT_RECONCILIATION, new Date(), {}, {
+      jobKey: 'recurring_payment_reconciliation',
+      overwrite: false,
+      repeatIntervalMs: PAYMENT_RECONCILIATION_INTERVAL_MS
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Enqueue helpers (called from models)
+  // ─────────────────────────────────────────────
+
+  /**
+   * Queue 24h/1h reminders for an interview, replacing any previous ones
+   * @param {Object} interview - Interview instance
+   */
+  static async scheduleInterviewReminders(interview) {
+    try {
+      const interviewId = interview.id;
+      if (!interviewId) return [];
+
+      const startsAt = toMuscatDateTime(interview.interviewDate, interview.startTime);
+      if (!startsAt) return [];
+
+      const scheduled = [];
+      for (const hoursBefore of INTERVIEW_REMINDER_HOURS) {
+        const jobKey = `interview_reminder_${interviewId}_${hoursBefore}h`;
+        const runAt = new Date(startsAt.getTime() - hoursBefore * HOUR_MS);
+
+        if (runAt <= new Date()) {
+          // Too late for this reminder - make sure an outdated one does not fire
+          await jobScheduler.cancel(jobKey, 'Reminder time already passed');
+          continue;
+        }
+
+        scheduled.push(await jobScheduler.schedule(
+          JOB_TYPES.INTERVIEW_REMINDER,
+          runAt,
+          { interviewId, hoursBefore },
+          { jobKey }
+        ));
+      }
+
+      return scheduled;
+    } catch (error) {
+      logger.error('❌ Failed to schedule interview reminders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Cancel pending reminders for an interview
+   * @param {string} interviewId - Interview document ID
+   * @param {string} reason - Cancellation reason
+   */
+  static async cancelInterviewReminders(interviewId, reason = 'Interview no longer scheduled') {
+    try {
+      for (const hoursBefore of INTERVIEW_REMINDER_HOURS) {
+        await jobScheduler.cancel(`interview_reminder_${interviewId}_${hoursBefore}h`, reason);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to cancel interview reminders:', error);
+    }
+  }
+
+  /**
+   * Queue the expiry of an interview's slot offer
+   * @param {Object} interview - Interview instance waiting for the seeker to pick a slot
+   */
+  static async scheduleInterviewOfferExpiry(interview) {
+    try {
+      if (!interview.id || !interview.offerExpiresAt) return null;
+
+      return await jobScheduler.schedule(
+        JOB_TYPES.INTERVIEW_OFFER_EXPIRY,
+        new Date(interview.offerExpiresAt),
+        { interviewId: interview.id },
+        { jobKey: `interview_offer_expiry_${interview.id}` }
+      );
+    } catch (error) {
+      logger.error('❌ Failed to schedule interview offer expiry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel a pending slot offer expiry
+   * @param {string} interviewId - Interview document ID
+   * @param {string} reason - Cancellation reason
+   */
+  static async cancelInterviewOfferExpiry(interviewId, reason = 'Slot offer no longer open') {
+    try {
+      await jobScheduler.cancel(`interview_offer_expiry_${interviewId}`, reason);
+    } catch (error) {
+      logger.error('❌ Failed to cancel interview offer expiry:', error);
+    }
+  }
+
+  /**
+   * Queue shift reminders for an accepted instant hire
+   * @param {Object} instantHire - InstantHire instance
+   */
+  static async scheduleInstantHireReminders(instantHire) {
+    try {
+      if (!instantHire.id) return [];
+
+      const startsAt = toMuscatDateTime(instantHire.startDate, instantHire.startTime);
+      if (!startsAt) return [];
+
+      const scheduled = [];
+      for (const hoursBefore of INSTANT_HIRE_REMINDER_HOURS) {
+        const runAt = new Date(startsAt.getTime() - hoursBefore * HOUR_MS);
+        if (runAt <= new Date()) continue;
+
+        scheduled.push(await jobScheduler.schedule(
+          JOB_TYPES.INSTANT_HIRE_REMINDER,
+          runAt,
+          { instantHireId: instantHire.id, hoursBefore },
+          { jobKey: `instant_hire_reminder_${instantHire.id}_${hoursBefore}h` }
+        ));
+      }
+
+      return scheduled;
+    } catch (error) {
+      logger.error('❌ Failed to schedule instant hire reminders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Cancel pending reminders for an instant hire
+   * @param {string} instantHireId - InstantHire document ID
+   * @param {string} reason - Cancellation reason
+   */
+  static async cancelInstantHireReminders(instantHireId, reason = 'Instant hire cancelled') {
+    try {
+      for (const hoursBefore of INSTANT_HIRE_REMINDER_HOURS) {
+        await jobScheduler.cancel(`instant_hire_reminder_${instantHireId}_${hoursBefore}h`, reason);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to cancel instant hire reminders:', error);
+    }
+  }
+
+  /**
+   * Queue trial-ending warnings and the trial expiry job for a company
+   * Existing jobs are kept so warnings that already fired are not repeated
+   * @param {Object} company - Company instance
+   */
+  static async scheduleTrialJobs(company) {
+    try {
+      if (!company.id || !company.trialEndDate) return [];
+
+      const trialEnd = new Date(company.trialEndDate);
+      if (isNaN(trialEnd.getTime())) return [];
+
+      const now = new Date();
+      const scheduled = [];
+
+      for (const daysBefore of TRIAL_WARNING_DAYS) {
+        const runAt = new Date(trialEnd.getTime() - daysBefore * DAY_MS);
+        if (runAt <= now) continue;
+
+        scheduled.push(await jobScheduler.schedule(
+          JOB_TYPES.TRIAL_ENDING_WARNING,
+          runAt,
+          { companyId: company.id, daysRemaining: daysBefore },
+          { jobKey: `trial_ending_${company.id}_${daysBefore}d`, overwrite: false }
+        ));
+      }
+
+      scheduled.push(await jobScheduler.schedule(
+        JOB_TYPES.TRIAL_EXPIRY,
+        trialEnd > now ? trialEnd : now,
+        { companyId: company.id },
+        { jobKey: `trial_expiry_${company.id}`, overwrite: false }
+      ));
+
+      return scheduled;
+    } catch (error) {
+      logger.error('❌ Failed to schedule trial jobs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Queue expiring warnings and the expiry job for a paid subscription period
+   * Job keys include the billing date so each renewal gets its own set of jobs
+   * @param {Object} company - Company instance
+   */
+  static async scheduleSubscriptionJobs(company) {
+    try {
+      if (!company.id || !company.nextBillingDate) return [];
+
+      const expiresAt = new Date(company.nextBillingDate);
+      if (isNaN(expiresAt.getTime())) return [];
+
+      const periodKey = expiresAt.toISOString().slice(0, 10);
+      const now = new Date();
+      const scheduled = [];
+
+      for (const daysBefore of SUBSCRIPTION_WARNING_DAYS) {
+        const runAt = new Date(expiresAt.getTime() - daysBefore * DAY_MS);
+        if (runAt <= now) continue;
+
+        scheduled.push(await jobScheduler.schedule(
+          JOB_TYPES.SUBSCRIPTION_EXPIRING_WARNING,
+          runAt,
+          { companyId: company.id, daysRemaining: daysBefore, expiryDate: company.nextBillingDate },
+          { jobKey: `subscription_expiring_${company.id}_${periodKey}_${daysBefore}d`, overwrite: false }
+        ));
+      }
+
+      scheduled.push(await jobScheduler.schedule(
+        JOB_TYPES.PLAN_EXPIRY,
+        expiresAt > now ? expiresAt : now,
+        { companyId: company.id, expiryDate: company.nextBillingDate },
+        { jobKey: `plan_expiry_${company.id}_${periodKey}`, overwrite: false }
+      ));
+
+      return scheduled;
+    } catch (error) {
+      logger.error('❌ Failed to schedule subscription jobs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Queue a receiver's digest email; one job per receiver per digest time
+   * @param {string} userId - Notification receiver ID
+   * @param {Date} runAt - Digest send time
+   */
+  static async scheduleNotificationDigest(userId, runAt) {
+    try {
+      return await jobScheduler.schedule(
+        JOB_TYPES.NOTIFICATION_DIGEST,
+        runAt,
+        { userId },
+        { jobKey: `notification_digest_${userId}_${runAt.toISOString().slice(0, 16)}`, overwrite: false }
+      );
+    } catch (error) {
+      logger.error('❌ Failed to schedule notification digest:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a seeker's saved search digest for the next digest time; one job per seeker per day
+   * @param {string} seekerId - Seeker profile ID
+   * @param {Date} date - When the alert was queued
+   */
+  static async scheduleSavedSearchDigest(seekerId, date = new Date()) {
+    try {
+      let runAt = toMuscatDateTime(toMuscatDate(date), SAVED_SEARCH_DIGEST_TIME);
+      if (runAt <= date) {
+        runAt = new Date(runAt.getTime() + DAY_MS);
+      }
+
+      return await jobScheduler.schedule(
+        JOB_TYPES.SAVED_SEARCH_DIGEST,
+        runAt,
+        { seekerId },
+        { jobKey: `saved_search_digest_${seekerId}_${runAt.toISOString().slice(0, 10)}`, overwrite: false }
+      );
+    } catch (error) {
+      logger.error('❌ Failed to schedule saved search digest:', error);
+      return null;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Job handlers
+  // ─────────────────────────────────────────────
+
+  /**
+   * Send an interview reminder to the seeker
+   */
+  static async handleInterviewReminder({ interviewId, hoursBefore }) {
+    const Interview = require('../models/Interview');
+    const Seeker = require('../models/Seeker');
+
+    const interview = await Interview.findById(interviewId);
+    if (!interview) {
+      return { skipped: true, reason: 'Interview not found' };
+    }
+
+    if (!['scheduled', 'confirmed', 'rescheduled'].includes(interview.status)) {
+      return { skipped: true, reason: `Interview is ${interview.status}` };
+    }
+
+    const seeker = interview.seekerId ? await Seeker.findById(interview.seekerId) : null;
+    const seekerData = {
+      id: interview.seekerId,
+      name: seeker?.fullName || interview.seekerName,
+      email: seeker?.email || interview.seekerEmail,
+      phone: seeker?.mobileNumber || interview.seekerPhone
+    };
+
+    await notificationController.sendInterviewReminder({
+      id: interview.id,
+      jobId: interview.jobId,
+      jobTitle: interview.jobTitle,
+      companyName: interview.companyName,
+      interviewDate: interview.interviewDate,
+      startTime: interview.startTime
+    }, seekerData, hoursBefore);
+
+    await interview.update({
+      remindersSent: [
+        ...(interview.remindersSent || []),
+        { type: `${hoursBefore}h`, sentAt: new Date().toISOString() }
+      ]
+    });
+
+    return { sent: true, interviewId, hoursBefore };
+  }
+
+  /**
+   * Expire an interview slot offer the seeker didn't answer, and tell both sides
+   */
+  static async handleInterviewOfferExpiry({ interviewId }) {
+    const Interview = require('../models/Interview');
+    const Company = require('../models/Company');
+
+    const interview = await Interview.findById(interviewId);
+    if (!interview) {
+      return { skipped: true, reason: 'Interview not found' };
+    }
+
+    if (!await interview.expireSlotOffer()) {
+      return { skipped: true, reason: `Interview is ${interview.status}` };
+    }
+
+    const company = await Company.findById(interview.companyId);
+    await notificationController.sendInterviewOfferExpired({
+      id: interview.id,
+      jobId: interview.jobId,
+      jobTitle: interview.jobTitle,
+      companyName: interview.companyName
+    }, company ? getCompanyContact(company) : null, {
+      id: interview.seekerId,
+      name: interview.seekerName,
+      email: interview.seekerEmail,
+      phone: interview.seekerPhone
+    });
+
+    return { expired: true, interviewId };
+  }
+
+  /**
+   * Send a shift reminder for an accepted instant hire
+   */
+  static async handleInstantHireReminder({ instantHireId, hoursBefore }) {
+    const InstantHire = require('../models/InstantHire');
+
+    const instantHire = await InstantHire.findById(instantHireId);
+    if (!instantHire) {
+      return { skipped: true, reason: 'Instant hire not found' };
+    }
+
+    if (instantHire.matchStatus !== 'accepted' || ['cancelled', 'refunded', 'completed'].includes(instantHire.status)) {
+      return { skipped: true, reason: `Instant hire is ${instantHire.status}` };
+    }
+
+    await notificationController.sendInstantHireReminder({
+      id: instantHire.jobId,
+      title: instantHire.jobTitle,
+      companyName: instantHire.companyName,
+      startDate: instantHire.startDate
+    }, {
+      id: instantHire.seekerId,
+      name: instantHire.seekerName,
+      email: instantHire.seekerEmail,
+      phone: instantHire.seekerPhone
+    }, hoursBefore);
+
+    await instantHire.update({
+      reminders: [
+        ...(instantHire.reminders || []),
+        { type: `${hoursBefore}h`, sentAt: new Date().toISOString() }
+      ]
+    });
+
+    return { sent: true, instantHireId, hoursBefore };
+  }
+
+  /**
+   * Warn a company that its free trial is about to end
+   */
+  static async handleTrialEndingWarning({ companyId, daysRemaining }) {
+    const Company = require('../models/Company');
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return { skipped: true, reason: 'Company not found' };
+    }
+
+    if (company.subscriptionPlan !== 'trial' || company.subscriptionStatus !== 'trial') {
+      return { skipped: true, reason: 'Company is no longer on trial' };
+    }
+
+    await notificationController.sendTrialEnding(getCompanyContact(company), daysRemaining);
+    return { sent: true, companyId, daysRemaining };
+  }
+
+  /**
+   * Expire a company trial once its end date has passed
+   */
+  static async handleTrialExpiry({ companyId }) {
+    const Company = require('../models/Company');
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return { skipped: true, reason: 'Company not found' };
+    }
+
+    if (company.subscriptionPlan !== 'trial' || company.subscriptionStatus !== 'trial') {
+      return { skipped: true, reason: 'Company is no longer on trial' };
+    }
+
+    await company.updateTrialStatus();
+
+    if (company.subscriptionStatus !== 'expired') {
+      return { skipped: true, reason: 'Trial still active' };
+    }
+
+    await notificationController.sendTrialEnded(getCompanyContact(company), NotificationHelper.getAdminEmails());
+    return { expired: true, companyId };
+  }
+
+  /**
+   * Warn a company that its paid plan is about to expire
+   */
+  static async handleSubscriptionExpiringWarning({ companyId, daysRemaining, expiryDate }) {
+    const Company = require('../models/Company');
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return { skipped: true, reason: 'Company not found' };
+    }
+
+    // Plan renewed or changed since this warning was queued
+    if (company.subscriptionStatus !== 'active' || company.nextBillingDate !== expiryDate) {
+      return { skipped: true, reason: 'Subscription period changed' };
+    }
+
+    await notificationController.sendSubscriptionExpiring({
+      ...getCompanyContact(company),
+      expiryDate: new Date(expiryDate).toDateString()
+    }, daysRemaining);
+
+    return { sent: true, companyId, daysRemaining };
+  }
+
+  /**
+   * Mark a paid plan as expired once its billing date has passed
+   */
+  static async handlePlanExpiry({ companyId }) {
+    const Company = require('../models/Company');
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return { skipped: true, reason: 'Company not found' };
+    }
+
+    if (company.subscriptionStatus !== 'active') {
+      return { skipped: true, reason: `Subscription is ${company.subscriptionStatus}` };
+    }
+
+    const planStatus = company.checkPlanExpiration(await company.getCreditBalances());
+    if (!planStatus.expired) {
+      return { skipped: true, reason: 'Plan still active' };
+    }
+
+    await company.update({
+      subscriptionStatus: 'expired',
+      updatedAt: new Date().toISOString()
+    });
+
+    await notificationController.sendPlanExpired(getCompanyContact(company));
+    return { expired: true, companyId };
+  }
+
+  /**
+   * Recurring sweep over trial and active companies
+   * Backfills per-company jobs (e.g. for companies created before the scheduler existed)
+   * and expires anything that is already overdue
+   */
+  static async handlePlanExpirySweep() {
+    const Company = require('../models/Company');
+    const { databaseService, COLLECTIONS } = require('../config/database');
+
+    const companies = await databaseService.query(COLLECTIONS.COMPANIES, [
+      { field: 'subscriptionStatus', operator: 'in', value: ['trial', 'active'] }
+    ]);
+
+    const summary = { checked: companies.length, trialJobs: 0, subscriptionJobs: 0 };
+
+    for (const companyData of companies) {
+      const company = new Company(companyData);
+
+      if (company.subscriptionStatus === 'trial' && company.subscriptionPlan === 'trial') {
+        const jobs = await ScheduledJobs.scheduleTrialJobs(company);
+        summary.trialJobs += jobs.filter(job => job.created).length;
+      } else if (company.subscriptionStatus === 'active' && company.nextBillingDate) {
+        const jobs = await ScheduledJobs.scheduleSubscriptionJobs(company);
+        summary.subscriptionJobs += jobs.filter(job => job.created).length;
+      }
+    }
+
+    logger.info(`⏰ Plan expiry sweep checked ${summary.checked} companies`, summary);
+    return summary;
+  }
+
+  /**
+   * Send the held emails for a receiver as one digest
+   */
+  static async handleNotificationDigest({ userId }) {
+    return await notificationOutbox.sendDigest(userId);
+  }
+
+  /**
+   * Send a seeker's pending saved search alerts as one digest
+   */
+  static async handleSavedSearchDigest({ seekerId }) {
+    const savedSearchService = require('./savedSearchService');
+    return await savedSearchService.sendDigest(seekerId);
+  }
+
+  /**
+   * Close shifts the seeker never clocked out of, once they're past the grace period after the shift end
+   */
+  static async handleMissedClockOutSweep() {
+    const InstantHire = require('../models/InstantHire');
+    const { databaseService, COLLECTIONS } = require('../config/database');
+
+    const instantHires = await databaseService.query(COLLECTIONS.INSTANT_HIRES, [
+      { field: 'status', operator: '==', value: 'in_progress' }
+    ]);
+
+    const summary = { checked: instantHires.length, closed: 0, failed: 0 };
+    const now = new Date();
+
+    for (const instantHireData of instantHires) {
+      try {
+        const closed = await new InstantHire(instantHireData).closeMissedClockOut(now);
+        if (closed) {
+          summary.closed++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.error(`❌ Failed to close missed clock-out on instant hire ${instantHireData.id}:`, error);
+      }
+    }
+
+    logger.info(`⏱️ Missed clock-out sweep checked ${summary.checked} shifts in progress`, summary);
+    return summary;
+  }
+
+  /**
+   * Batch seekers' earnings from finished payment periods into payouts
+   */
+  static async handlePayoutBatch() {
+    const earningsService = require('./earningsService');
+    return await earningsService.runPayoutBatch(new Date());
+  }
+
+  /**
+   * Resolve Thawani checkouts whose webhook never arrived
+   */
+  static async handlePaymentReconciliation() {
+    const thawaniService = require('./thawaniService');
+    return await thawaniService.reconcilePendingPayments(new Date());
+  }
+}
+
+ScheduledJobs.JOB_TYPES = JOB_TYPES;
+
+module.exports = ScheduledJobs;
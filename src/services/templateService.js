@@ -0,0 +1,269 @@
+/**
+ * Template Service
+ * Renders localized (English/Arabic) notification content from the template registry
+ * Produces the in-app message, an RTL-aware HTML email, a plain-text fallback and WhatsApp text
+ */
+
+const NOTIFICATION_TEMPLATES = require('../templates/notificationTemplates');
+const { AppError } = require('../middleware/errorHandler');
+
+const SUPPORTED_LANGUAGES = ['en', 'ar'];
+const DEFAULT_LANGUAGE = 'en';
+const RTL_LANGUAGES = ['ar'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Strings used by the shared email layout
+const LAYOUT_STRINGS = {
+  en: {
+    notification: 'Notification',
+    defaultMessage: 'You have a new notification from Shift.',
+    viewDetails: 'View Details',
+    details: 'Details',
+    digestSubject: 'Your Shift notification digest',
+    digestHeading: '📬 Your Notification Digest',
+    digestMessage: (count) => `You have ${count} new notification${count === 1 ? '' : 's'} on Shift.`,
+    footer: '© Shift. All rights reserved.',
+    sentFrom: 'This email was sent from Shift Job Platform.'
+  },
+  ar: {
+    notification: 'إشعار',
+    defaultMessage: 'لديك إشعار جديد من Shift.',
+    viewDetails: 'عرض التفاصيل',
+    details: 'التفاصيل',
+    digestSubject: 'ملخص إشعاراتك على Shift',
+    digestHeading: '📬 ملخص إشعاراتك',
+    digestMessage: (count) => (count === 1 ? 'لديك إشعار جديد واحد على Shift.' : `لديك ${count} إشعارات جديدة على Shift.`),
+    footer: '© Shift. جميع الحقوق محفوظة.',
+    sentFrom: 'تم إرسال هذا البريد من منصة Shift للوظائف.'
+  }
+};
+
+/**
+ * Raised when a template cannot be rendered with the supplied variables
+ */
+class TemplateError extends AppError {
+  constructor(message, missingVariables = []) {
+    super(message, 400);
+    this.name = 'TemplateError';
+    this.missingVariables = missingVariables;
+  }
+}
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+class TemplateService {
+  constructor() {
+    this.templates = NOTIFICATION_TEMPLATES;
+  }
+
+  /**
+   * Normalize a language code, falling back to English
+   * Accepts values like 'ar-OM' or 'EN'
+   */
+  normalizeLanguage(language) {
+    const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Text direction for a language
+   */
+  getDirection(language) {
+    return RTL_LANGUAGES.includes(this.normalizeLanguage(language)) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Layout strings for a language
+   */
+  getLayoutStrings(language) {
+    return LAYOUT_STRINGS[this.normalizeLanguage(language)];
+  }
+
+  hasTemplate(type) {
+    return Boolean(this.templates[type]);
+  }
+
+  /**
+   * List registered templates with their required variables
+   */
+  listTemplates() {
+    return Object.entries(this.templates).map(([type, template]) => ({
+      type,
+      variables: template.variables,
+      languages: SUPPORTED_LANGUAGES.filter(language => template[language]),
+      subject: {
+        en: template.en.subject,
+        ar: template.ar.subject
+      }
+    }));
+  }
+
+  /**
+   * Sample variables for previewing a template
+   */
+  getSample(type) {
+    const template = this.templates[type];
+    return template ? { ...template.sample } : null;
+  }
+
+  /**
+   * Required variables that are missing or empty
+   */
+  getMissingVariables(type, variables = {}) {
+    const template = this.templates[type];
+    if (!template) {
+      return [];
+    }
+
+    return template.variables.filter(name => isBlank(variables[name]));
+  }
+
+  /**
+   * Variables plus the template's derived localized values (e.g. timeLabel)
+   */
+  resolveVariables(type, language, variables = {}) {
+    const template = this.templates[type];
+    const lang = this.normalizeLanguage(language);
+
+    return {
+      ...variables,
+      ...(template && template.prepare ? template.prepare(variables, lang) : {})
+    };
+  }
+
+  /**
+   * Render a notification template
+   * @param {string} type - Notification type
+   * @param {string} language - 'en' or 'ar' (anything else falls back to English)
+   * @param {Object} variables - Values for the template placeholders
+   * @param {Object} options - { actionUrl }
+   * @returns {Object} { type, language, direction, subject, heading, message, html, text, whatsapp }
+   */
+  render(type, language, variables = {}, options = {}) {
+    const template = this.templates[type];
+    if (!template) {
+      throw new TemplateError(`No template registered for notification type '${type}'`);
+    }
+
+    const missingVariables = this.getMissingVariables(type, variables);
+    if (missingVariables.length > 0) {
+      throw new TemplateError(
+        `Missing template variables for '${type}': ${missingVariables.join(', ')}`,
+        missingVariables
+      );
+    }
+
+    const lang = this.normalizeLanguage(language);
+    const variant = template[lang] || template[DEFAULT_LANGUAGE];
+    const values = this.resolveVariables(type, lang, variables);
+
+    const subject = this.interpolate(variant.subject, values);
+    const heading = this.interpolate(variant.heading, values);
+    const message = this.interpolate(variant.body, values);
+    const whatsapp = variant.whatsapp ? this.interpolate(variant.whatsapp, values) : message;
+
+    const details = Object.entries(variant.details || {})
+      .map(([label, value]) => ({ label, value: this.interpolate(value, values).trim() }))
+      .filter(row => row.value !== '');
+
+    const html = this.renderLayout({
+      language: lang,
+      heading: escapeHtml(heading),
+      body: escapeHtml(message),
+      details: details.map(row => ({ label: escapeHtml(row.label), value: escapeHtml(row.value) })),
+      actionText: escapeHtml(variant.actionText || LAYOUT_STRINGS[lang].viewDetails),
+      actionUrl: options.actionUrl
+    });
+
+    const text = [
+      message,
+      ...details.map(row => `${row.label}: ${row.value}`),
+      options.actionUrl ? `${variant.actionText || LAYOUT_STRINGS[lang].viewDetails}: ${options.actionUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+      type,
+      language: lang,
+      direction: this.getDirection(lang),
+      subject,
+      heading,
+      message,
+      html,
+      text,
+      whatsapp
+    };
+  }
+
+  /**
+   * Shared HTML email layout
+   * heading/body/details must already be HTML-safe
+   * @param {Object} options - { language, heading, body, details, actionText, actionUrl }
+   */
+  renderLayout({ language, heading, body, details = [], actionText, actionUrl }) {
+    const lang = this.normalizeLanguage(language);
+    const direction = this.getDirection(lang);
+    const strings = LAYOUT_STRINGS[lang];
+    const align = direction === 'rtl' ? 'right' : 'left';
+    const fontFamily = direction === 'rtl' ? 'Tahoma, Arial, sans-serif' : 'Arial, sans-serif';
+
+    return `
+      <div dir="${direction}" lang="${lang}" style="text-align: ${align}; font-family: ${fontFamily};">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-family: Arial, sans-serif;">Shift</h1>
+        </div>
+        <div style="padding: 30px;">
+          <h2 style="color: #333;">${heading || strings.notification}</h2>
+          <div style="color: #666; line-height: 1.6;">
+            ${body || strings.defaultMessage}
+          </div>
+          ${details.length > 0 ? `
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin: 0 0 10px 0; color: #333;">${strings.details}</h3>
+              ${details.map(row => `<p style="margin: 5px 0; color: #666;"><strong>${row.label}:</strong> ${row.value}</p>`).join('')}
+            </div>
+          ` : ''}
+          ${actionUrl ? `
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${escapeHtml(actionUrl)}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                ${actionText || strings.viewDetails}
+              </a>
+            </div>
+          ` : ''}
+        </div>
+        <div style="background: #f8f9fa; padding: 20px; text-align: center; margin-top: 30px;">
+          <p style="color: #666; font-size: 12px; margin: 0;">
+            ${strings.footer}<br>
+            ${strings.sentFrom}
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Replace {{name}} placeholders; unknown optional values render empty
+   */
+  interpolate(text, values) {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+      return isBlank(values[name]) ? '' : String(values[name]);
+    });
+  }
+}
+
+const templateService = new TemplateService();
+
+module.exports = templateService;
+module.exports.TemplateError = TemplateError;
+module.exports.escapeHtml = escapeHtml;
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
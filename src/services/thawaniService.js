@@ -0,0 +1,555 @@
+/**
+ * Thawani Service
+ * Checkout sessions, webhook verification and payment confirmation for company plan purchases
+ *
+ * Nothing is granted on the word of a client or a webhook body: a webhook only names the session to look
+ * at, its signature is checked first, and the session is always re-fetched from the gateway before
+ * Company.processSuccessfulPayment runs. Each session has a payment_sessions document keyed on its session
+ * ID; claiming it in a transaction makes confirmation idempotent whichever of the webhook, the status
+ * check after the redirect or the reconciliation job arrives first.
+ *
+ * Gateways (THAWANI_GATEWAY):
+ *   thawani - The Thawani Pay checkout API at THAWANI_BASE_URL (UAT unless configured)
+ *   mock    - In-memory sessions for local development and tests; pay one with gateway.completeSession
+ */
+
+const crypto = require('crypto');
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const SESSION_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  // Gateway total differs from the pending payment - needs a person to look at it
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  // Paid, but there is no record of what for - needs a person to look at it
+  NEEDS_REVIEW: 'needs_review'
+};
+
+// A claim older than this is assumed to have crashed and may be taken over
+const CLAIM_TIMEOUT_MS = 5 * MINUTE_MS;
+
+/**
+ * The Thawani Pay checkout API
+ */
+class ThawaniApiGateway {
+  constructor({ baseUrl, secretKey, publishableKey }) {
+    this.name = 'thawani';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.secretKey = secretKey;
+    this.publishableKey = publishableKey;
+  }
+
+  _headers() {
+    if (!this.secretKey) {
+      throw new Error('Thawani API key not configured. Please set THAWANI_SECRET_KEY in environment variables.');
+    }
+    return {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'thawani-api-key': this.secretKey
+    };
+  }
+
+  async createSession(sessionData) {
+    const response = await fetch(`${this.baseUrl}/checkout/session`, {
+      method: 'POST',
+      headers: this._headers(),
+      body: JSON.stringify(sessionData)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error('Thawani API Error Response:', {
+        status: response.status,
+        statusText: response.statusText,
+        body: errorText
+      });
+
+      if (response.status === 403) {
+        if (errorText.includes('Cloudflare')) {
+          throw new Error('Thawani API access blocked. Please verify API key and IP whitelist with Thawani support.');
+        }
+        throw new Error('Thawani API authentication failed. Please verify API key and account status.');
+      }
+
+      throw new Error(`Thawani API error: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    if (!result.success || !result.data) {
+      throw new Error(result.description || 'Failed to create checkout session');
+    }
+    return result.data;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Session, or null if Thawani doesn't know it
+   */
+  async getSession(sessionId) {
+    const response = await fetch(`${this.baseUrl}/checkout/session/${encodeURIComponent(sessionId)}`, {
+      method: 'GET',
+      headers: this._headers()
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Thawani API error: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return result.success && result.data ? result.data : null;
+  }
+
+  getCheckoutUrl(sessionId) {
+    const payUrl = `${this.baseUrl.replace('/api/v1', '')}/pay/${sessionId}`;
+    return this.publishableKey ? `${payUrl}?key=${this.publishableKey}` : payUrl;
+  }
+}
+
+/**
+ * Sessions kept in memory, shaped like Thawani's
+ */
+class MockThawaniGateway {
+  constructor({ sessionExpiryHours }) {
+    this.name = 'mock';
+    this.sessionExpiryHours = sessionExpiryHours;
+    this.sessions = new Map();
+  }
+
+  async createSession(sessionData) {
+    const now = new Date();
+    const session = {
+      session_id: `mock_${crypto.randomBytes(12).toString('hex')}`,
+      client_reference_id: sessionData.client_reference_id,
+      mode: sessionData.mode,
+      products: sessionData.products,
+      total_amount: sessionData.products.reduce((sum, product) => sum + product.unit_amount * product.quantity, 0),
+      currency: 'OMR',
+      payment_status: 'unpaid',
+      metadata: sessionData.metadata || {},
+      created_at: now.toISOString(),
+      expire_at: new Date(now.getTime() + this.sessionExpiryHours * HOUR_MS).toISOString()
+    };
+    this.sessions.set(session.session_id, session);
+    return { ...session };
+  }
+
+  async getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  getCheckoutUrl(sessionId) {
+    return `mock://thawani/pay/${sessionId}`;
+  }
+
+  /**
+   * Settle a session as if the customer paid or cancelled on the checkout page
+   * @param {string} status - 'paid' or 'cancelled'
+   */
+  completeSession(sessionId, status = 'paid') {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Mock Thawani session ${sessionId} not found`);
+    }
+    session.payment_status = status;
+    return { ...session };
+  }
+}
+
+class ThawaniService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+
+    this.config = {
+      gateway: process.env.THAWANI_GATEWAY || 'thawani',
+      baseUrl: process.env.THAWANI_BASE_URL || 'https://uatcheckout.thawani.om/api/v1',
+      secretKey: process.env.THAWANI_SECRET_KEY || process.env.THAWANI_SECRET,
+      publishableKey: process.env.THAWANI_PUBLISHABLE_KEY || process.env.THAWANI_PUBLISHABLE,
+      webhookSecret: process.env.THAWANI_WEBHOOK_SECRET,
+      // Webhooks signed further than this from our clock are rejected as replays
+      webhookToleranceSeconds: parseInt(process.env.THAWANI_WEBHOOK_TOLERANCE_SECONDS) || 300,
+      // Pending sessions are checked with the gateway once they are this old
+      reconcileAfterMinutes: parseInt(process.env.THAWANI_RECONCILE_AFTER_MINUTES) || 15,
+      // Unpaid sessions without an expiry from the gateway are given up after this long
+      sessionExpiryHours: parseInt(process.env.THAWANI_SESSION_EXPIRY_HOURS) || 24
+    };
+
+    this.gateway = this.config.gateway === 'mock'
+      ? new MockThawaniGateway({ sessionExpiryHours: this.config.sessionExpiryHours })
+      : new ThawaniApiGateway(this.config);
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info(`✅ Thawani Service initialized (${this.gateway.name} gateway)`);
+    } catch (error) {
+      logger.error('❌ Failed to initialize Thawani Service:', error);
+      throw error;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Checkout
+  // ─────────────────────────────────────────────
+
+  /**
+   * Create a checkout session and remember it for confirmation and reconciliation
+   * @param {Object} company - Company instance paying
+   * @param {Object} sessionData - Thawani session request (amounts in baisa)
+   * @param {Object} pendingPayment - What the session pays for: { planType, planName, amount }
+   * @returns {Promise<Object>} { session, checkoutUrl }
+   */
+  async createCheckoutSession(company, sessionData, pendingPayment) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const session = await this.gateway.createSession(sessionData);
+    const now = new Date().toISOString();
+
+    await this.db.collection(COLLECTIONS.PAYMENT_SESSIONS).doc(session.session_id).set({
+      sessionId: session.session_id,
+      companyId: company.id,
+      clientReferenceId: session.client_reference_id || sessionData.client_reference_id,
+      gateway: this.gateway.name,
+      planType: pendingPayment.planType,
+      planName: pendingPayment.planName,
+      amount: pendingPayment.amount,
+      currency: 'OMR',
+      status: SESSION_STATUS.PENDING,
+      source: null,
+      transactionId: null,
+      claimedAt: null,
+      resolvedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return {
+      session,
+      checkoutUrl: this.gateway.getCheckoutUrl(session.session_id)
+    };
+  }
+
+  /**
+   * Fetch a session from the gateway
+   * @returns {Promise<Object|null>}
+   */
+  async getSession(sessionId) {
+    return await this.gateway.getSession(sessionId);
+  }
+
+  /**
+   * 'paid', 'cancelled', 'expired' or 'unpaid'
+   */
+  getSessionStatus(session, now = new Date()) {
+    if (session.payment_status === 'paid' || session.payment_status === 'cancelled') {
+      return session.payment_status;
+    }
+    if (session.expire_at && new Date(session.expire_at) <= now) {
+      return 'expired';
+    }
+    return 'unpaid';
+  }
+
+  // ─────────────────────────────────────────────
+  // Webhooks
+  // ─────────────────────────────────────────────
+
+  /**
+   * HMAC-SHA256 of the raw body and timestamp joined by '-', as Thawani signs webhooks
+   */
+  signWebhookPayload(rawBody, timestamp) {
+    return crypto
+      .createHmac('sha256', this.config.webhookSecret)
+      .update(`${Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody}-${timestamp}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify the thawani-signature header against the raw request body and thawani-timestamp
+   */
+  verifyWebhookSignature(rawBody, signature, timestamp, now = Date.now()) {
+    if (!this.config.webhookSecret || !rawBody || !signature || !timestamp) {
+      return false;
+    }
+
+    const signedAt = Number(timestamp);
+    if (!Number.isFinite(signedAt) || Math.abs(now / 1000 - signedAt) > this.config.webhookToleranceSeconds) {
+      return false;
+    }
+
+    const expected = this.signWebhookPayload(rawBody, timestamp);
+    if (signature.length !== expected.length || !/^[0-9a-f]+$/i.test(signature)) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'));
+  }
+
+  /**
+   * Session ID of a webhook body - { event_type, data: { session_id } }, or flat from older integrations
+   */
+  getWebhookSessionId(body) {
+    return (body && body.data && body.data.session_id) || (body && body.session_id) || null;
+  }
+
+  // ─────────────────────────────────────────────
+  // Confirmation
+  // ─────────────────────────────────────────────
+
+  /**
+   * Settle a session from its status at the gateway, granting the plan or credits once when paid
+   * @param {string} sessionId - Thawani session ID
+   * @param {Object} options
+   * @param {string} options.source - 'webhook', 'status_check' or 'reconciliation'
+   * @param {string} [options.companyId] - Company the caller expects the session to belong to
+   * @param {Object} [options.session] - Session just fetched from the gateway, to save a request
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { sessionId, outcome, companyId, transaction } - outcome is 'paid', 'unpaid',
+   *   'cancelled', 'expired', 'already_completed', 'in_progress', 'amount_mismatch', 'needs_review', 'company_mismatch'
+   *   or 'not_found'
+   */
+  async confirmPayment(sessionId, { source, companyId = null, session = null, now = new Date() } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const Company = require('../models/Company');
+
+    const gatewaySession = session || await this.gateway.getSession(sessionId);
+    if (!gatewaySession) {
+      return { sessionId, outcome: 'not_found' };
+    }
+
+    const sessionRef = this.db.collection(COLLECTIONS.PAYMENT_SESSIONS).doc(sessionId);
+    const sessionDoc = await sessionRef.get();
+    const stored = sessionDoc.exists ? sessionDoc.data() : null;
+
+    // The company is what we recorded at checkout; sessions from before payment_sessions fall back to the gateway
+    const ownerId = (stored && stored.companyId) ||
+      gatewaySession.metadata?.company_id ||
+      String(gatewaySession.client_reference_id || '').split('_')[0] ||
+      null;
+    if (companyId && ownerId !== companyId) {
+      logger.warn(`💳 Thawani session ${sessionId} belongs to company ${ownerId}, not ${companyId}`);
+      return { sessionId, outcome: 'company_mismatch' };
+    }
+
+    const status = this.getSessionStatus(gatewaySession, now);
+    if (status === 'unpaid') {
+      return { sessionId, outcome: 'unpaid', companyId: ownerId };
+    }
+    if (status !== 'paid') {
+      await this.closeSession(ownerId, sessionId, status, source, now);
+      return { sessionId, outcome: status, companyId: ownerId };
+    }
+
+    const claim = await this._claimSession(sessionRef, ownerId, source, now);
+    if (!claim.claimed) {
+      return {
+        sessionId,
+        outcome: claim.status === SESSION_STATUS.COMPLETED ? 'already_completed' : 'in_progress',
+        companyId: ownerId
+      };
+    }
+
+    try {
+      const company = ownerId ? await Company.findById(ownerId) : null;
+      if (!company) {
+        throw new Error(`Company ${ownerId} for Thawani session ${sessionId} not found`);
+      }
+
+      // Expect what the checkout asked for - the company's pending payment, else the amount stored with the
+      // session. Without either there's nothing to check the payment against, so nothing is granted
+      const pendingPayment = (company.pendingPayments || []).find(payment => payment.sessionId === sessionId);
+      const expectedAmount = pendingPayment ? pendingPayment.amount : (stored && stored.amount);
+      if (!(expectedAmount > 0) || Math.round(expectedAmount * 1000) !== gatewaySession.total_amount) {
+        logger.error(`💳 Thawani session ${sessionId} paid ${gatewaySession.total_amount} baisa for ${expectedAmount > 0 ? `a ${expectedAmount} OMR payment` : 'no recorded checkout amount'} - not granted`);
+        await sessionRef.set({
+          status: SESSION_STATUS.AMOUNT_MISMATCH,
+          resolvedAt: now.toISOString(),
+          updatedAt: now.toISOString()
+        }, { merge: true });
+        return { sessionId, outcome: 'amount_mismatch', companyId: ownerId };
+      }
+
+      // Grant from the pending payment, else from what the session was stored as paying for at checkout
+      const checkout = pendingPayment || (stored && stored.planType
+        ? { sessionId, planType: stored.planType, planName: stored.planName, amount: stored.amount }
+        : null);
+      if (!checkout) {
+        logger.error(`💳 Thawani session ${sessionId} was paid but has no recorded plan - left for manual review`);
+        await sessionRef.set({
+          status: SESSION_STATUS.NEEDS_REVIEW,
+          resolvedAt: now.toISOString(),
+          updatedAt: now.toISOString()
+        }, { merge: true });
+        return { sessionId, outcome: 'needs_review', companyId: ownerId };
+      }
+
+      const result = await company.processSuccessfulPayment(sessionId, { ...gatewaySession, confirmedBy: source }, checkout);
+
+      await sessionRef.set({
+        status: SESSION_STATUS.COMPLETED,
+        transactionId: result.transaction.id,
+        resolvedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      }, { merge: true });
+
+      logger.info(`💳 Thawani session ${sessionId} confirmed by ${source} for company ${ownerId}`);
+      return { sessionId, outcome: 'paid', companyId: ownerId, transaction: result.transaction };
+
+    } catch (error) {
+      // Hand the session back so the next webhook retry or reconciliation run can try again
+      await sessionRef.set({
+        status: SESSION_STATUS.PENDING,
+        claimedAt: null,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Take the session for processing unless it is completed or another caller is on it
+   * @returns {Promise<Object>} { claimed, status }
+   */
+  async _claimSession(sessionRef, companyId, source, now) {
+    return await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(sessionRef);
+      const data = doc.exists ? doc.data() : null;
+
+      if (data && data.status === SESSION_STATUS.COMPLETED) {
+        return { claimed: false, status: data.status };
+      }
+      if (data && data.status === SESSION_STATUS.PROCESSING &&
+          now.getTime() - new Date(data.claimedAt).getTime() < CLAIM_TIMEOUT_MS) {
+        return { claimed: false, status: data.status };
+      }
+
+      transaction.set(sessionRef, {
+        ...(data ? {} : { sessionId: sessionRef.id, companyId, createdAt: now.toISOString() }),
+        status: SESSION_STATUS.PROCESSING,
+        source,
+        claimedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      }, { merge: true });
+      return { claimed: true, status: SESSION_STATUS.PROCESSING };
+    });
+  }
+
+  /**
+   * Record a cancelled or expired session on the company's pending payment and the session document
+   */
+  async closeSession(companyId, sessionId, status, source, now = new Date()) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const Company = require('../models/Company');
+    const sessionRef = this.db.collection(COLLECTIONS.PAYMENT_SESSIONS).doc(sessionId);
+
+    const closed = await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(sessionRef);
+      const data = doc.exists ? doc.data() : null;
+      if (data && data.status !== SESSION_STATUS.PENDING) {
+        return false;
+      }
+
+      transaction.set(sessionRef, {
+        ...(data ? {} : { sessionId, companyId, createdAt: now.toISOString() }),
+        status,
+        source,
+        resolvedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      }, { merge: true });
+      return true;
+    });
+
+    if (!closed || !companyId) {
+      return closed;
+    }
+
+    const company = await Company.findById(companyId);
+    if (company && (company.pendingPayments || []).some(payment => payment.sessionId === sessionId)) {
+      await company.update({
+        pendingPayments: company.pendingPayments.map(payment => payment.sessionId === sessionId
+          ? { ...payment, status, resolvedAt: now.toISOString() }
+          : payment)
+      });
+    }
+
+    logger.info(`💳 Thawani session ${sessionId} closed as ${status} by ${source}`);
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Reconciliation
+  // ─────────────────────────────────────────────
+
+  /**
+   * Resolve checkout sessions still pending after reconcileAfterMinutes against the gateway
+   * Catches payments whose webhook never arrived and gives up on abandoned checkouts
+   * @param {Date} now
+   * @returns {Promise<Object>} Count per outcome
+   */
+  async reconcilePendingPayments(now = new Date()) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const cutoff = new Date(now.getTime() - this.config.reconcileAfterMinutes * MINUTE_MS);
+    const expiredBefore = new Date(now.getTime() - this.config.sessionExpiryHours * HOUR_MS);
+
+    const snapshot = await this.db.collection(COLLECTIONS.PAYMENT_SESSIONS)
+      .where('status', 'in', [SESSION_STATUS.PENDING, SESSION_STATUS.PROCESSING])
+      .get();
+    const stale = snapshot.docs
+      .map(doc => doc.data())
+      .filter(session => new Date(session.createdAt) <= cutoff);
+
+    const summary = { checked: stale.length, errors: 0 };
+    for (const stored of stale) {
+      try {
+        let { outcome } = await this.confirmPayment(stored.sessionId, { source: 'reconciliation', now });
+
+        // Thawani no longer knows it, or it was never paid and is long past its checkout window
+        if (outcome === 'not_found' || (outcome === 'unpaid' && new Date(stored.createdAt) <= expiredBefore)) {
+          await this.closeSession(stored.companyId, stored.sessionId, SESSION_STATUS.EXPIRED, 'reconciliation', now);
+          outcome = SESSION_STATUS.EXPIRED;
+        }
+
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        summary.errors++;
+        logger.error(`❌ Failed to reconcile Thawani session ${stored.sessionId}:`, error);
+      }
+    }
+
+    logger.info(`💳 Thawani reconciliation checked ${summary.checked} pending session(s)`, summary);
+    return summary;
+  }
+}
+
+// Export singleton instance
+const thawaniService = new ThawaniService();
+thawaniService.SESSION_STATUS = SESSION_STATUS;
+module.exports = thawaniService;
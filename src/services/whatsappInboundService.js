@@ -0,0 +1,311 @@
+/**
+ * WhatsApp Inbound Service
+ * Turns seeker replies to interview and hire requests into application actions
+ * Replies are matched to the outbound notification by button payload, the quoted message or
+ * the latest request still waiting for an answer
+ */
+
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const whatsappService = require('./whatsappService');
+const templateService = require('./templateService');
+const { REPLY_MESSAGES } = require('../templates/whatsappTemplates');
+const logger = require('../utils/logger');
+
+// Keywords are compared after normalizeText
+const ACCEPT_KEYWORDS = ['1', 'yes', 'y', 'accept', 'ok', 'confirm', 'نعم', 'اقبل', 'قبول', 'موافق', 'تمام'];
+const DECLINE_KEYWORDS = ['2', 'no', 'n', 'decline', 'reject', 'لا', 'ارفض', 'رفض', 'اعتذر'];
+
+const ARABIC_INDIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+/**
+ * Lowercase, strip Arabic diacritics/tatweel, unify alef forms and convert Arabic-Indic digits
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[\u0622\u0623\u0625]/g, '\u0627')
+    .replace(/[\u0660-\u0669]/g, digit => String(ARABIC_INDIC_DIGITS.indexOf(digit)))
+    .replace(/[.!،,؟?]+$/g, '')
+    .trim();
+};
+
+class WhatsAppInboundService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ WhatsApp Inbound Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize WhatsApp Inbound Service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle inbound messages from a webhook
+   * A failure on one message doesn't stop the rest; failed messages come back with failed: true
+   * and aren't claimed, so the webhook can ask Meta to deliver them again
+   * @param {Array} messages - Cloud API message objects
+   */
+  async handleMessages(messages = []) {
+    const results = [];
+
+    for (const message of messages) {
+      try {
+        results.push(await this.handleMessage(message));
+      } catch (error) {
+        logger.error(`❌ Failed to handle WhatsApp message ${message.id}:`, error);
+        results.push({ messageId: message.id, handled: false, failed: true, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Handle a single inbound message
+   * @param {Object} message - Cloud API message object
+   * @returns {Object} { messageId, handled, outcome }
+   */
+  async handleMessage(message) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!(await whatsappService.claimInbound(message))) {
+      return { messageId: message.id, handled: false, outcome: 'duplicate' };
+    }
+
+    try {
+      return await this._processMessage(message);
+    } catch (error) {
+      // Give the claim back so Meta's retry of the webhook handles the message again
+      await whatsappService.releaseInbound(message.id).catch(releaseError => {
+        logger.error(`❌ Failed to release WhatsApp message ${message.id}:`, releaseError);
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a claimed inbound message
+   * @returns {Object} { messageId, handled, outcome }
+   */
+  async _processMessage(message) {
+    const reply = this.parseReply(message);
+    const tracked = await this._findTrackedMessage(message, reply);
+
+    // Not an answer to anything we asked - leave it alone
+    if (!tracked || !tracked.notificationId) {
+      return { messageId: message.id, handled: false, outcome: 'untracked' };
+    }
+
+    const notificationDoc = await this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(tracked.notificationId).get();
+    if (!notificationDoc.exists) {
+      return { messageId: message.id, handled: false, outcome: 'notification_not_found' };
+    }
+
+    const notification = { id: notificationDoc.id, ...notificationDoc.data() };
+    const language = notification.language;
+
+    // Only the person the request was sent to can answer it
+    if (whatsappService.normalizePhone(notification.receiverPhone) !== message.from) {
+      logger.warn(`📱 WhatsApp reply from ${message.from} does not match receiver of notification ${notification.id}`);
+      return { messageId: message.id, handled: false, outcome: 'sender_mismatch' };
+    }
+
+    if (tracked.answered) {
+      await this._reply(message.from, language, 'already_responded');
+      return { messageId: message.id, handled: false, outcome: 'already_responded' };
+    }
+
+    if (!reply.action) {
+      await this._reply(message.from, language, 'not_understood');
+      return { messageId: message.id, handled: false, outcome: 'not_understood' };
+    }
+
+    const outcome = await this._applyAction(notification, reply.action, message);
+
+    await whatsappService.markReplied(tracked.id, {
+      action: reply.action,
+      outcome,
+      messageId: message.id,
+      repliedAt: new Date().toISOString()
+    });
+
+    await this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notification.id).set({
+      whatsappReply: {
+        action: reply.action,
+        outcome,
+        messageId: message.id,
+        repliedAt: new Date().toISOString()
+      },
+      updatedAt: firebaseConfig.getServerTimestamp()
+    }, { merge: true });
+
+    await this._reply(message.from, language, outcome, notification.metadata);
+
+    logger.info(`📱 WhatsApp ${reply.action} from ${message.from} on notification ${notification.id}: ${outcome}`);
+    return { messageId: message.id, handled: true, outcome };
+  }
+
+  /**
+   * Work out what the seeker answered
+   * @returns {Object} { action: 'accept'|'decline'|null, notificationId }
+   */
+  parseReply(message) {
+    // Reply button in a session message, or quick reply button on a template
+    const payload = message.interactive?.button_reply?.id || message.button?.payload;
+    if (payload) {
+      const [action, notificationId] = payload.split(':');
+      return {
+        action: ['accept', 'decline'].includes(action) ? action : null,
+        notificationId: notificationId || null
+      };
+    }
+
+    const text = normalizeText(message.text?.body || message.button?.text);
+    let action = null;
+    if (ACCEPT_KEYWORDS.includes(text)) {
+      action = 'accept';
+    } else if (DECLINE_KEYWORDS.includes(text)) {
+      action = 'decline';
+    }
+
+    return { action, notificationId: null };
+  }
+
+  /**
+   * Find the outbound message this reply answers
+   */
+  async _findTrackedMessage(message, reply) {
+    if (reply.notificationId) {
+      const snapshot = await this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES)
+        .where('notificationId', '==', reply.notificationId)
+        .where('awaitingReply', '==', true)
+        .limit(1)
+        .get();
+
+      // Button pressed on a request that was already answered
+      return snapshot.empty
+        ? { id: null, notificationId: reply.notificationId, answered: true }
+        : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    }
+
+    if (message.context?.id) {
+      const quoted = await whatsappService.getMessage(message.context.id);
+      if (quoted && quoted.notificationId) {
+        return quoted.awaitingReply ? quoted : { ...quoted, answered: true };
+      }
+    }
+
+    return await whatsappService.findAwaitingReply(message.from);
+  }
+
+  /**
+   * Apply the answer to the job application behind the notification
+   * @returns {string} Outcome key, also used to pick the confirmation reply
+   */
+  async _applyAction(notification, action, message) {
+    // Required lazily - JobApplication pulls in the notification controller
+    const JobApplication = require('../models/JobApplication');
+    const ApplicationHistory = require('../models/ApplicationHistory');
+
+    const { applicationId } = notification.metadata || {};
+    if (!applicationId) {
+      return 'not_available';
+    }
+
+    const application = await JobApplication.findById(applicationId);
+    if (!application || application.seekerId !== notification.receiver) {
+      return 'not_available';
+    }
+
+    let outcome;
+    let fromStatus;
+    let toStatus;
+
+    if (notification.type === 'interview_request_sent') {
+      if (application.interviewResponse) {
+        return 'already_responded';
+      }
+      if (!application.interviewScheduled || application.status !== 'interviewed') {
+        return 'not_available';
+      }
+
+      fromStatus = application.interviewStatus || null;
+      await application.respondToInterviewRequest(action === 'accept' ? 'accepted' : 'declined');
+      toStatus = application.interviewStatus;
+      outcome = action === 'accept' ? 'interview_accepted' : 'interview_declined';
+
+    } else if (notification.type === 'candidate_hired') {
+      if (application.hireStatus !== 'pending') {
+        return application.hireResponse ? 'already_responded' : 'not_available';
+      }
+
+      fromStatus = application.hireStatus;
+      await application.respondToHireRequest(action === 'accept' ? 'accepted' : 'rejected');
+      toStatus = application.hireStatus;
+      outcome = action === 'accept' ? 'hire_accepted' : 'hire_rejected';
+
+    } else {
+      return 'not_available';
+    }
+
+    await ApplicationHistory.trackAction({
+      applicationId: application.id,
+      jobId: application.jobId,
+      seekerId: application.seekerId,
+      companyId: application.companyId,
+      action: outcome,
+      fromStatus,
+      toStatus,
+      actionBy: 'seeker',
+      actionById: application.seekerId,
+      notes: 'Responded via WhatsApp',
+      metadata: {
+        channel: 'whatsapp',
+        notificationId: notification.id,
+        whatsappMessageId: message.id,
+        waId: message.from,
+        reply: message.interactive?.button_reply?.title || message.button?.text || message.text?.body || null
+      }
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Send the localized confirmation for an outcome
+   */
+  async _reply(waId, language, outcome, variables = {}) {
+    const strings = REPLY_MESSAGES[templateService.normalizeLanguage(language)];
+    const text = strings[outcome];
+    if (!text) {
+      return;
+    }
+
+    try {
+      await whatsappService.sendText(waId, templateService.interpolate(text, variables));
+    } catch (error) {
+      // The action already went through - a missing confirmation isn't worth failing the webhook
+      logger.error(`❌ Failed to send WhatsApp confirmation to ${waId}:`, error.message);
+    }
+  }
+}
+
+const whatsappInboundService = new WhatsAppInboundService();
+
+module.exports = whatsappInboundService;
+module.exports.normalizeText = normalizeText;
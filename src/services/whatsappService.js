@@ -0,0 +1,608 @@
+/**
+ * WhatsApp Service
+ * WhatsApp Business Cloud API adapter
+ * Sends approved template messages outside the 24h customer service window and
+ * session text / interactive button messages inside it, and records delivery statuses from webhooks
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const firebaseConfig = require('../config/firebase');
+const { COLLECTIONS } = require('../config/constants');
+const templateService = require('./templateService');
+const { DEFAULT_TEMPLATE, WHATSAPP_TEMPLATES } = require('../templates/whatsappTemplates');
+const logger = require('../utils/logger');
+
+// Free-form messages are only allowed within 24h of the user's last inbound message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Statuses only move forward; webhooks can arrive out of order
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+// Cloud API error returned when a free-form message is sent outside the session window
+const REENGAGEMENT_ERROR_CODE = 131047;
+
+const TEXT_MAX_LENGTH = 4096;
+const INTERACTIVE_BODY_MAX_LENGTH = 1024;
+
+class WhatsAppService {
+  constructor() {
+    this.config = {
+      enabled: process.env.WHATSAPP_ENABLED === 'true',
+      apiUrl: (process.env.WHATSAPP_API_URL || 'https://graph.facebook.com').replace(/\/+$/, ''),
+      apiVersion: process.env.WHATSAPP_API_VERSION || 'v20.0',
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN || process.env.WHATSAPP_API_KEY,
+      appSecret: process.env.WHATSAPP_APP_SECRET,
+      verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+      defaultCountryCode: (process.env.WHATSAPP_DEFAULT_COUNTRY_CODE || '968').replace(/\D/g, ''),
+      timeoutMs: parseInt(process.env.WHATSAPP_TIMEOUT_MS) || 10 * 1000
+    };
+
+    if (this.isConfigured()) {
+      logger.info('📱 WhatsApp Cloud API integration enabled');
+    } else {
+      logger.warn('📱 WhatsApp integration not configured - messages will be logged only');
+    }
+
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      this.db = firebaseConfig.getDb();
+      this.initialized = true;
+      logger.info('✅ WhatsApp Service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize WhatsApp Service:', error);
+      throw error;
+    }
+  }
+
+  isConfigured() {
+    return this.config.enabled && Boolean(this.config.phoneNumberId) && Boolean(this.config.accessToken);
+  }
+
+  /**
+   * Convert a stored phone number to a WhatsApp ID (digits with country code)
+   * Local 8 digit Omani numbers get the default country code
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+    if (!digits) {
+      return null;
+    }
+
+    return digits.length <= 8 ? `${this.config.defaultCountryCode}${digits}` : digits;
+  }
+
+  /**
+   * Deliver a notification over WhatsApp, picking the message format the Cloud API allows
+   * @param {Object} options - { to, language, type, content, variables, notificationId }
+   * @returns {Object} Delivery result with the WhatsApp message ID
+   */
+  async sendNotification({ to, language, type, content = {}, variables = {}, notificationId = null }) {
+    const waId = this.normalizePhone(to);
+    if (!waId) {
+      throw new Error('No phone number for WhatsApp receiver');
+    }
+
+    const lang = templateService.normalizeLanguage(language);
+    const text = content.whatsapp || content.message || '';
+    const template = WHATSAPP_TEMPLATES[type];
+
+    if (!this.isConfigured()) {
+      // Log message instead of sending if not configured
+      logger.warn(`📱 WhatsApp would be sent to ${waId} (WhatsApp not configured):`);
+      logger.warn(`Message: ${text.substring(0, 200)}...`);
+
+      return {
+        id: 'dev-' + Date.now(),
+        status: 'sent',
+        timestamp: new Date().toISOString(),
+        method: 'DEV_LOG'
+      };
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let payload;
+    if (await this.isSessionOpen(waId)) {
+      payload = template?.buttons && notificationId
+        ? this.buildInteractiveMessage(waId, text, template.buttons, lang, notificationId)
+        : this.buildTextMessage(waId, this._appendActionUrl(text, content.actionUrl, lang));
+    } else {
+      payload = this.buildTemplateMessage(waId, type, lang, { ...variables, message: text }, notificationId);
+    }
+
+    let response;
+    try {
+      response = await this._post(payload);
+    } catch (error) {
+      // Session window closed since we last saw an inbound message - retry as a template
+      if (payload.type !== 'template' && error.code === REENGAGEMENT_ERROR_CODE) {
+        logger.warn(`📱 Session window closed for ${waId}, falling back to template message`);
+        payload = this.buildTemplateMessage(waId, type, lang, { ...variables, message: text }, notificationId);
+        response = await this._post(payload);
+      } else {
+        throw error;
+      }
+    }
+
+    const messageId = response.messages?.[0]?.id;
+    await this._recordOutbound(messageId, {
+      waId,
+      type,
+      notificationId,
+      messageType: payload.type,
+      awaitingReply: Boolean(template?.buttons && notificationId)
+    });
+
+    logger.info(`✅ WhatsApp ${payload.type} message sent to ${waId}: ${messageId}`);
+
+    return {
+      id: messageId,
+      status: 'sent',
+      timestamp: new Date().toISOString(),
+      method: 'WHATSAPP_CLOUD_API',
+      messageType: payload.type,
+      waId: response.contacts?.[0]?.wa_id || waId
+    };
+  }
+
+  /**
+   * Session (free-form) text message
+   */
+  buildTextMessage(to, text) {
+    return {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'text',
+      text: {
+        preview_url: true,
+        body: text.substring(0, TEXT_MAX_LENGTH)
+      }
+    };
+  }
+
+  /**
+   * Session message with reply buttons (max 3)
+   * Button IDs are `<action>:<notificationId>` so replies can be matched to the notification
+   */
+  buildInteractiveMessage(to, text, buttons, language, notificationId) {
+    return {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: text.substring(0, INTERACTIVE_BODY_MAX_LENGTH) },
+        action: {
+          buttons: buttons.slice(0, 3).map(button => ({
+            type: 'reply',
+            reply: {
+              id: `${button.action}:${notificationId}`,
+              title: (button.title[language] || button.title.en).substring(0, 20)
+            }
+          }))
+        }
+      }
+    };
+  }
+
+  /**
+   * Approved template message with body parameters and quick reply payloads
+   */
+  buildTemplateMessage(to, type, language, variables, notificationId) {
+    const values = templateService.resolveVariables(type, language, variables);
+
+    // The Cloud API rejects empty parameters, so fall back to the generic template
+    let template = WHATSAPP_TEMPLATES[type] || DEFAULT_TEMPLATE;
+    if (template.parameters.some(name => values[name] === undefined || values[name] === null || values[name] === '')) {
+      template = DEFAULT_TEMPLATE;
+    }
+
+    const components = [{
+      type: 'body',
+      parameters: template.parameters.map(name => ({
+        type: 'text',
+        text: String(values[name] ?? '')
+      }))
+    }];
+
+    if (template.buttons && notificationId) {
+      template.buttons.forEach((button, index) => {
+        components.push({
+          type: 'button',
+          sub_type: 'quick_reply',
+          index: String(index),
+          parameters: [{ type: 'payload', payload: `${button.action}:${notificationId}` }]
+        });
+      });
+    }
+
+    return {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: language },
+        components
+      }
+    };
+  }
+
+  /**
+   * Whether the user messaged us within the last 24 hours
+   */
+  async isSessionOpen(waId) {
+    const sessionDoc = await this.db.collection(COLLECTIONS.WHATSAPP_SESSIONS).doc(waId).get();
+    if (!sessionDoc.exists || !sessionDoc.data().lastInboundAt) {
+      return false;
+    }
+
+    return Date.now() - new Date(sessionDoc.data().lastInboundAt).getTime() < SESSION_WINDOW_MS;
+  }
+
+  /**
+   * Send a free-form text reply inside an open session
+   * @param {string} to - WhatsApp ID or phone number
+   * @param {string} text - Message body
+   */
+  async sendText(to, text) {
+    const waId = this.normalizePhone(to);
+
+    if (!this.isConfigured()) {
+      logger.warn(`📱 WhatsApp reply would be sent to ${waId} (WhatsApp not configured): ${text.substring(0, 200)}`);
+      return { id: 'dev-' + Date.now(), status: 'sent', method: 'DEV_LOG' };
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const response = await this._post(this.buildTextMessage(waId, text));
+    const messageId = response.messages?.[0]?.id;
+    await this._recordOutbound(messageId, { waId, messageType: 'text' });
+
+    return { id: messageId, status: 'sent', method: 'WHATSAPP_CLOUD_API' };
+  }
+
+  /**
+   * Get a tracked message record by WhatsApp message ID
+   */
+  async getMessage(messageId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const messageDoc = await this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES).doc(messageId).get();
+    return messageDoc.exists ? { id: messageDoc.id, ...messageDoc.data() } : null;
+  }
+
+  /**
+   * Most recent outbound message to this number that is still waiting for an answer
+   */
+  async findAwaitingReply(waId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES)
+      .where('waId', '==', waId)
+      .where('awaitingReply', '==', true)
+      .get();
+
+    const messages = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return messages[0] || null;
+  }
+
+  /**
+   * Record the answer to an outbound message so it is not matched again
+   */
+  async markReplied(messageId, reply) {
+    await this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES).doc(messageId).set({
+      awaitingReply: false,
+      reply,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Claim an inbound message for processing
+   * Meta redelivers webhooks, so each inbound message ID is only handled once
+   * @returns {boolean} true if this call claimed it
+   */
+  async claimInbound(message) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      await this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES).doc(message.id).create({
+        id: message.id,
+        waId: message.from,
+        direction: 'inbound',
+        messageType: message.type,
+        replyTo: message.context?.id || null,
+        createdAt: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release the claim on an inbound message that failed to process, so a redelivery handles it
+   */
+  async releaseInbound(messageId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    await this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES).doc(messageId).delete();
+  }
+
+  /**
+   * Verify the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer|string} rawBody - Unparsed request body
+   * @param {string} signature - Header value, "sha256=<hex>"
+   */
+  verifySignature(rawBody, signature) {
+    if (!this.config.appSecret || !rawBody || !signature || !signature.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.config.appSecret)
+      .update(rawBody)
+      .digest('hex');
+    const received = signature.slice('sha256='.length);
+
+    if (received.length !== expected.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(expected, 'hex'));
+  }
+
+  /**
+   * Check the webhook subscription handshake
+   * @returns {string|null} Challenge to echo back, or null if the token doesn't match
+   */
+  verifySubscription(mode, token, challenge) {
+    if (mode === 'subscribe' && this.config.verifyToken && token === this.config.verifyToken) {
+      return challenge;
+    }
+    return null;
+  }
+
+  /**
+   * Process a webhook payload: delivery statuses and inbound messages
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object} { statuses, messages } processed counts and the inbound messages
+   */
+  async handleWebhook(payload) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let statuses = 0;
+    const messages = [];
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+
+        for (const status of value.statuses || []) {
+          await this.recordStatus(status);
+          statuses++;
+        }
+
+        for (const message of value.messages || []) {
+          const contact = (value.contacts || []).find(c => c.wa_id === message.from);
+          await this.recordInbound(message, contact);
+          messages.push(message);
+        }
+      }
+    }
+
+    return { statuses, messages };
+  }
+
+  /**
+   * Record a sent/delivered/read/failed status against the message and its notification
+   * @param {Object} status - Cloud API status object
+   */
+  async recordStatus(status) {
+    const messageRef = this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES).doc(status.id);
+    const occurredAt = status.timestamp
+      ? new Date(parseInt(status.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+    const error = status.errors?.[0]
+      ? { code: status.errors[0].code, title: status.errors[0].title, message: status.errors[0].message || status.errors[0].error_data?.details || null }
+      : null;
+    const historyEntry = { status: status.status, at: occurredAt, error };
+
+    await this.db.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      const message = messageDoc.exists ? messageDoc.data() : {};
+
+      const current = message.status;
+      const advances = status.status === 'failed'
+        || current === undefined
+        || (current !== 'failed' && (STATUS_RANK[status.status] ?? -1) > (STATUS_RANK[current] ?? -1));
+
+      const update = {
+        id: status.id,
+        waId: status.recipient_id || message.waId || null,
+        statusHistory: firebaseConfig.arrayUnion(historyEntry),
+        updatedAt: new Date().toISOString()
+      };
+
+      if (advances) {
+        update.status = status.status;
+        update.statusAt = occurredAt;
+        if (error) {
+          update.error = error;
+        }
+      }
+
+      transaction.set(messageRef, update, { merge: true });
+
+      if (message.notificationId) {
+        const notificationRef = this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(message.notificationId);
+        const notificationUpdate = {
+          whatsappMessageId: status.id,
+          whatsappStatusHistory: firebaseConfig.arrayUnion(historyEntry),
+          updatedAt: firebaseConfig.getServerTimestamp()
+        };
+
+        if (advances) {
+          notificationUpdate.whatsappStatus = status.status;
+          notificationUpdate.whatsappStatusAt = occurredAt;
+          if (error) {
+            notificationUpdate.whatsappError = error;
+          }
+        }
+
+        transaction.set(notificationRef, notificationUpdate, { merge: true });
+      }
+    });
+
+    if (status.status === 'failed') {
+      logger.warn(`📱 WhatsApp message ${status.id} failed:`, error);
+    }
+  }
+
+  /**
+   * Record an inbound message, which opens the 24h session window
+   * @param {Object} message - Cloud API message object
+   * @param {Object} contact - Matching contacts entry (profile name)
+   */
+  async recordInbound(message, contact = null) {
+    const receivedAt = message.timestamp
+      ? new Date(parseInt(message.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+
+    await this.db.collection(COLLECTIONS.WHATSAPP_SESSIONS).doc(message.from).set({
+      waId: message.from,
+      profileName: contact?.profile?.name || null,
+      lastInboundAt: receivedAt,
+      lastMessageId: message.id,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Store the outbound message so webhook statuses can be matched to the notification
+   */
+  async _recordOutbound(messageId, { waId, type = null, notificationId = null, messageType, awaitingReply = false }) {
+    if (!messageId) {
+      return;
+    }
+
+    const messageRef = this.db.collection(COLLECTIONS.WHATSAPP_MESSAGES).doc(messageId);
+
+    try {
+      await this.db.runTransaction(async (transaction) => {
+        const messageDoc = await transaction.get(messageRef);
+        const record = {
+          id: messageId,
+          waId,
+          notificationType: type,
+          notificationId,
+          messageType,
+          direction: 'outbound',
+          awaitingReply,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
+
+        if (!messageDoc.exists) {
+          transaction.set(messageRef, { ...record, status: 'accepted' });
+          return;
+        }
+
+        // A status webhook beat us here - keep its status and copy it to the notification
+        const existing = messageDoc.data();
+        transaction.set(messageRef, record, { merge: true });
+
+        if (notificationId && existing.status) {
+          transaction.set(this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId), {
+            whatsappMessageId: messageId,
+            whatsappStatus: existing.status,
+            whatsappStatusAt: existing.statusAt || null,
+            whatsappStatusHistory: existing.statusHistory || [],
+            ...(existing.error ? { whatsappError: existing.error } : {})
+          }, { merge: true });
+        }
+      });
+    } catch (error) {
+      // Delivery already succeeded - a missing record only loses status tracking
+      logger.error(`❌ Failed to record WhatsApp message ${messageId}:`, error);
+    }
+  }
+
+  _appendActionUrl(text, actionUrl, language) {
+    if (!actionUrl) {
+      return text;
+    }
+    return `${text}\n\n${templateService.getLayoutStrings(language).viewDetails}: ${actionUrl}`;
+  }
+
+  /**
+   * POST a message to the Cloud API
+   * API errors are rethrown with the Cloud API error code attached
+   */
+  async _post(payload) {
+    const url = `${this.config.apiUrl}/${this.config.apiVersion}/${this.config.phoneNumberId}/messages`;
+
+    try {
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Authorization': `Bearer ${this.config.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.config.timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      if (apiError) {
+        const wrapped = new Error(`WhatsApp API error ${apiError.code}: ${apiError.message}`);
+        wrapped.code = apiError.code;
+        wrapped.status = error.response.status;
+        throw wrapped;
+      }
+      throw error;
+    }
+  }
+}
+
+const whatsappService = new WhatsAppService();
+
+module.exports = whatsappService;
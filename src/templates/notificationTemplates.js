@@ -0,0 +1,1402 @@
+/**
+ * Notification Templates
+ * One template per notification type with English and Arabic variants
+ *
+ * Each template has:
+ *   variables - required variables; rendering fails if any are missing
+ *   sample    - sample data used by the admin preview endpoint
+ *   prepare   - optional (variables, language) => extra localized variables
+ *   en / ar   - subject, heading, body, actionText, optional whatsapp text and details rows
+ *
+ * Placeholders use {{variableName}}; details rows whose value renders empty are dropped.
+ */
+
+/**
+ * "3 hours" / "3 ساعات" with Arabic dual and plural forms
+ */
+const formatHours = (hours, language) => {
+  const count = parseInt(hours);
+  if (language === 'ar') {
+    if (count === 1) return 'ساعة واحدة';
+    if (count === 2) return 'ساعتين';
+    if (count >= 3 && count <= 10) return `${count} ساعات`;
+    return `${count} ساعة`;
+  }
+  return count === 1 ? '1 hour' : `${count} hours`;
+};
+
+/**
+ * "3 days" / "3 أيام" with Arabic dual and plural forms
+ */
+const formatDays = (days, language) => {
+  const count = parseInt(days);
+  if (language === 'ar') {
+    if (count === 1) return 'يوم واحد';
+    if (count === 2) return 'يومين';
+    if (count >= 3 && count <= 10) return `${count} أيام`;
+    return `${count} يومًا`;
+  }
+  return count === 1 ? '1 day' : `${count} days`;
+};
+
+/**
+ * "3 new jobs" / "3 وظائف جديدة" with Arabic dual and plural forms
+ */
+const formatNewJobs = (jobs, language) => {
+  const count = parseInt(jobs);
+  if (language === 'ar') {
+    if (count === 1) return 'وظيفة جديدة واحدة';
+    if (count === 2) return 'وظيفتان جديدتان';
+    if (count >= 3 && count <= 10) return `${count} وظائف جديدة`;
+    return `${count} وظيفة جديدة`;
+  }
+  return count === 1 ? '1 new job' : `${count} new jobs`;
+};
+
+const CREDIT_LABELS = {
+  en: { job: 'job posting', interview: 'interview' },
+  ar: { job: 'نشر الوظائف', interview: 'المقابلات' }
+};
+
+const ADDON_NEXT_STEPS = {
+  en: { job: 'Posting Jobs', interview: 'Organizing Interviews' },
+  ar: { job: 'بنشر الوظائف', interview: 'بتنظيم المقابلات' }
+};
+
+const REPORT_REASON_LABELS = {
+  en: {
+    contact_info: 'Sharing contact details',
+    harassment: 'Harassment',
+    spam: 'Spam',
+    scam: 'Scam or fraud',
+    inappropriate: 'Inappropriate content',
+    other: 'Other'
+  },
+  ar: {
+    contact_info: 'مشاركة معلومات الاتصال',
+    harassment: 'مضايقة',
+    spam: 'رسائل مزعجة',
+    scam: 'احتيال',
+    inappropriate: 'محتوى غير لائق',
+    other: 'أخرى'
+  }
+};
+
+const PARTICIPANT_LABELS = {
+  en: { company: 'A company', seeker: 'A job seeker' },
+  ar: { company: 'شركة', seeker: 'باحث عن عمل' }
+};
+
+const TEAM_ROLE_LABELS = {
+  en: { hiring_manager: 'Hiring Manager', location_manager: 'Location Manager', billing: 'Billing' },
+  ar: { hiring_manager: 'مدير التوظيف', location_manager: 'مدير الفرع', billing: 'الفوترة' }
+};
+
+const creditLabel = (creditType, language) => {
+  return CREDIT_LABELS[language]?.[creditType] || creditType;
+};
+
+const NOTIFICATION_TEMPLATES = {
+  // ─────────────────────────────────────────────
+  // Accounts & profiles
+  // ─────────────────────────────────────────────
+
+  company_account_created: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Welcome to Shift! Your company account is ready',
+      heading: 'Welcome to Shift!',
+      body: 'Welcome to Shift! Your company account is ready. Complete your profile to start hiring smarter.',
+      actionText: 'Complete Profile'
+    },
+    ar: {
+      subject: 'مرحبًا بك في Shift! حساب شركتك جاهز',
+      heading: 'مرحبًا بك في Shift!',
+      body: 'مرحبًا بك في Shift! حساب شركتك جاهز. أكمل ملفك التعريفي لتبدأ التوظيف بذكاء.',
+      actionText: 'إكمال الملف'
+    }
+  },
+
+  admin_company_created: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your Shift company account has been created',
+      heading: 'Your Account is Ready',
+      body: 'Your Account has been created. Complete your profile to start hiring smarter.',
+      actionText: 'Complete Profile'
+    },
+    ar: {
+      subject: 'تم إنشاء حساب شركتك على Shift',
+      heading: 'حسابك جاهز',
+      body: 'تم إنشاء حسابك. أكمل ملفك التعريفي لتبدأ التوظيف بذكاء.',
+      actionText: 'إكمال الملف'
+    }
+  },
+
+  admin_company_registered: {
+    variables: ['companyName'],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'New company registered: {{companyName}}',
+      heading: 'New Company Registered',
+      body: 'A new company has registered: {{companyName}}',
+      actionText: 'View Company'
+    },
+    ar: {
+      subject: 'تسجيل شركة جديدة: {{companyName}}',
+      heading: 'تسجيل شركة جديدة',
+      body: 'سجّلت شركة جديدة: {{companyName}}',
+      actionText: 'عرض الشركة'
+    }
+  },
+
+  company_profile_completed: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your company profile is complete',
+      heading: 'Profile Complete',
+      body: 'Your company profile is complete! You have a free 14 day trial to use Shift. Start posting jobs and find the right talent.',
+      actionText: 'Post a Job'
+    },
+    ar: {
+      subject: 'اكتمل الملف التعريفي لشركتك',
+      heading: 'اكتمل الملف',
+      body: 'اكتمل الملف التعريفي لشركتك! لديك فترة تجريبية مجانية لمدة 14 يومًا لاستخدام Shift. ابدأ بنشر الوظائف واعثر على المواهب المناسبة.',
+      actionText: 'انشر وظيفة'
+    }
+  },
+
+  admin_company_profile_completed: {
+    variables: ['companyName'],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: '{{companyName}} has completed their profile',
+      heading: 'Company Profile Completed',
+      body: '{{companyName}} has completed their profile',
+      actionText: 'View Company'
+    },
+    ar: {
+      subject: 'أكملت {{companyName}} ملفها التعريفي',
+      heading: 'اكتمال ملف شركة',
+      body: 'أكملت {{companyName}} ملفها التعريفي',
+      actionText: 'عرض الشركة'
+    }
+  },
+
+  job_seeker_profile_created: {
+    variables: [],
+    sample: { seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Your Shift account has been created',
+      heading: 'Welcome to Shift!',
+      body: 'Your account has been created. Complete your profile to start applying for jobs.',
+      actionText: 'Complete Profile'
+    },
+    ar: {
+      subject: 'تم إنشاء حسابك على Shift',
+      heading: 'مرحبًا بك في Shift!',
+      body: 'تم إنشاء حسابك. أكمل ملفك الشخصي لتبدأ التقديم على الوظائف.',
+      actionText: 'إكمال الملف'
+    }
+  },
+
+  admin_seeker_registered: {
+    variables: ['seekerName'],
+    sample: { seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'New job seeker registered: {{seekerName}}',
+      heading: 'New Job Seeker Registered',
+      body: 'A new job seeker "{{seekerName}}" has registered',
+      actionText: 'View Job Seeker'
+    },
+    ar: {
+      subject: 'تسجيل باحث عن عمل جديد: {{seekerName}}',
+      heading: 'تسجيل باحث عن عمل جديد',
+      body: 'سجّل باحث عن عمل جديد "{{seekerName}}"',
+      actionText: 'عرض الباحث عن عمل'
+    }
+  },
+
+  job_seeker_profile_completed: {
+    variables: [],
+    sample: { seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Your profile is complete',
+      heading: 'Profile Complete',
+      body: 'Your profile is complete! Start applying for jobs now.',
+      actionText: 'Browse Jobs'
+    },
+    ar: {
+      subject: 'اكتمل ملفك الشخصي',
+      heading: 'اكتمل الملف',
+      body: 'اكتمل ملفك الشخصي! ابدأ التقديم على الوظائف الآن.',
+      actionText: 'تصفح الوظائف'
+    }
+  },
+
+  admin_seeker_profile_completed: {
+    variables: ['seekerName'],
+    sample: { seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: '{{seekerName}} profile is complete',
+      heading: 'Job Seeker Profile Completed',
+      body: '{{seekerName}} profile is complete & published!',
+      actionText: 'View Profile'
+    },
+    ar: {
+      subject: 'اكتمل ملف {{seekerName}}',
+      heading: 'اكتمال ملف باحث عن عمل',
+      body: 'اكتمل ملف {{seekerName}} وتم نشره!',
+      actionText: 'عرض الملف'
+    }
+  },
+
+  profile_incomplete_reminder_seeker: {
+    variables: [],
+    sample: { seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Your Shift profile is not complete yet',
+      heading: 'Complete Your Profile',
+      body: 'Your profile isn\'t complete yet. Complete it now to increase your chances of being hired.',
+      actionText: 'Complete Profile'
+    },
+    ar: {
+      subject: 'ملفك على Shift لم يكتمل بعد',
+      heading: 'أكمل ملفك',
+      body: 'ملفك الشخصي لم يكتمل بعد. أكمله الآن لزيادة فرص توظيفك.',
+      actionText: 'إكمال الملف'
+    }
+  },
+
+  profile_incomplete_reminder_company: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your Shift company profile is not complete yet',
+      heading: 'Complete Your Profile',
+      body: 'Your Profile still isn\'t complete. Let us know if you need help.',
+      actionText: 'Complete Profile'
+    },
+    ar: {
+      subject: 'ملف شركتك على Shift لم يكتمل بعد',
+      heading: 'أكمل ملفك',
+      body: 'ملفك التعريفي لم يكتمل بعد. أخبرنا إذا كنت بحاجة إلى مساعدة.',
+      actionText: 'إكمال الملف'
+    }
+  },
+
+  company_team_invitation: {
+    variables: ['companyName', 'role'],
+    sample: { companyName: 'Al Noor Cafe', role: 'location_manager', expiresDate: '2026-11-02' },
+    prepare: (variables, language) => ({
+      roleLabel: TEAM_ROLE_LABELS[language]?.[variables.role] || variables.role
+    }),
+    en: {
+      subject: 'Join {{companyName}} on Shift',
+      heading: 'You\'re Invited',
+      body: '{{companyName}} has invited you to join their team on Shift as {{roleLabel}}. Sign in with your phone number to accept.',
+      actionText: 'Accept Invitation',
+      details: { Company: '{{companyName}}', Role: '{{roleLabel}}', 'Valid until': '{{expiresDate}}' }
+    },
+    ar: {
+      subject: 'انضم إلى {{companyName}} على Shift',
+      heading: 'دعوة للانضمام',
+      body: 'دعتك {{companyName}} للانضمام إلى فريقها على Shift بصفة {{roleLabel}}. سجّل الدخول برقم هاتفك لقبول الدعوة.',
+      actionText: 'قبول الدعوة',
+      details: { 'الشركة': '{{companyName}}', 'الدور': '{{roleLabel}}', 'صالحة حتى': '{{expiresDate}}' }
+    }
+  },
+
+  video_request: {
+    variables: ['seekerName'],
+    sample: { seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Video request from {{seekerName}}',
+      heading: 'Video Request',
+      body: '{{seekerName}} has requested for a video date',
+      actionText: 'View Request'
+    },
+    ar: {
+      subject: 'طلب فيديو من {{seekerName}}',
+      heading: 'طلب فيديو',
+      body: 'طلب {{seekerName}} موعدًا لتصوير فيديو',
+      actionText: 'عرض الطلب'
+    }
+  },
+
+  // ─────────────────────────────────────────────
+  // Jobs
+  // ─────────────────────────────────────────────
+
+  job_posted: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your job \'{{jobTitle}}\' is now live',
+      heading: 'Job Posted',
+      body: 'Great news! Your job \'{{jobTitle}}\' is now live. View it here.',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفتك \'{{jobTitle}}\' منشورة الآن',
+      heading: 'تم نشر الوظيفة',
+      body: 'أخبار رائعة! وظيفتك \'{{jobTitle}}\' منشورة الآن. اطّلع عليها من هنا.',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  job_posted_instant_hire: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your Instant Hire job \'{{jobTitle}}\' is now live',
+      heading: 'Job Posted',
+      body: 'Great news! Your job \'{{jobTitle}}\' (Instant Hire) is now live. View it here.',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفة التوظيف الفوري \'{{jobTitle}}\' منشورة الآن',
+      heading: 'تم نشر الوظيفة',
+      body: 'أخبار رائعة! وظيفتك \'{{jobTitle}}\' (توظيف فوري) منشورة الآن. اطّلع عليها من هنا.',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  job_posted_interview_first: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your job \'{{jobTitle}}\' is now live',
+      heading: 'Job Posted',
+      body: 'Your job \'{{jobTitle}}\' (Interview First) is now live. Check it out!',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفتك \'{{jobTitle}}\' منشورة الآن',
+      heading: 'تم نشر الوظيفة',
+      body: 'وظيفتك \'{{jobTitle}}\' (المقابلة أولًا) منشورة الآن. اطّلع عليها!',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  admin_job_posted: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'New job posted: {{jobTitle}}',
+      heading: 'New Job Posted',
+      body: 'New job \'{{jobTitle}}\' posted by {{companyName}}',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفة جديدة: {{jobTitle}}',
+      heading: 'نشر وظيفة جديدة',
+      body: 'نشرت {{companyName}} وظيفة جديدة \'{{jobTitle}}\'',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  admin_job_posted_instant_hire: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'New Instant Hire job posted: {{jobTitle}}',
+      heading: 'New Job Posted',
+      body: 'New job \'{{jobTitle}}\' posted by {{companyName}}',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفة توظيف فوري جديدة: {{jobTitle}}',
+      heading: 'نشر وظيفة جديدة',
+      body: 'نشرت {{companyName}} وظيفة جديدة \'{{jobTitle}}\'',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  admin_job_posted_interview_first: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'New Interview First job posted: {{jobTitle}}',
+      heading: 'New Job Posted',
+      body: 'New job \'{{jobTitle}}\' posted by {{companyName}}',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفة جديدة (المقابلة أولًا): {{jobTitle}}',
+      heading: 'نشر وظيفة جديدة',
+      body: 'نشرت {{companyName}} وظيفة جديدة \'{{jobTitle}}\'',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  job_edited_company: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your job \'{{jobTitle}}\' has been updated',
+      heading: 'Job Updated',
+      body: 'Your job \'{{jobTitle}}\' has been updated. View the changes.',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'تم تحديث وظيفتك \'{{jobTitle}}\'',
+      heading: 'تم تحديث الوظيفة',
+      body: 'تم تحديث وظيفتك \'{{jobTitle}}\'. اطّلع على التغييرات.',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  admin_job_edited: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Job updated: {{jobTitle}}',
+      heading: 'Job Updated',
+      body: 'Job \'{{jobTitle}}\' by {{companyName}} has been updated.',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'تحديث وظيفة: {{jobTitle}}',
+      heading: 'تم تحديث الوظيفة',
+      body: 'تم تحديث وظيفة \'{{jobTitle}}\' من {{companyName}}.',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  job_cancelled_company: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your job \'{{jobTitle}}\' has been cancelled',
+      heading: 'Job Cancelled',
+      body: 'Your job \'{{jobTitle}}\' has been cancelled and is no longer visible to job seekers.',
+      actionText: 'View Jobs'
+    },
+    ar: {
+      subject: 'تم إلغاء وظيفتك \'{{jobTitle}}\'',
+      heading: 'تم إلغاء الوظيفة',
+      body: 'تم إلغاء وظيفتك \'{{jobTitle}}\' ولم تعد ظاهرة للباحثين عن عمل.',
+      actionText: 'عرض الوظائف'
+    }
+  },
+
+  admin_job_cancelled: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Job cancelled: {{jobTitle}}',
+      heading: 'Job Cancelled',
+      body: 'Job \'{{jobTitle}}\' by {{companyName}} has been cancelled.',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'إلغاء وظيفة: {{jobTitle}}',
+      heading: 'تم إلغاء الوظيفة',
+      body: 'تم إلغاء وظيفة \'{{jobTitle}}\' من {{companyName}}.',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  job_match: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'New job match: {{jobTitle}}',
+      heading: 'New Job Match',
+      body: 'New job alert: \'{{jobTitle}}\' matches your profile. Apply now!',
+      actionText: 'View Job'
+    },
+    ar: {
+      subject: 'وظيفة مناسبة لك: {{jobTitle}}',
+      heading: 'وظيفة مناسبة لك',
+      body: 'تنبيه وظيفة جديدة: \'{{jobTitle}}\' تناسب ملفك. قدّم الآن!',
+      actionText: 'عرض الوظيفة'
+    }
+  },
+
+  saved_search_alert: {
+    variables: ['jobTitle', 'searchName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe', searchName: 'Cafe jobs in Muscat' },
+    en: {
+      subject: 'New job for your search: {{jobTitle}}',
+      heading: 'New Job For Your Search',
+      body: 'A new job matches your saved search \'{{searchName}}\': \'{{jobTitle}}\'. Apply now!',
+      actionText: 'View Job',
+      details: { Company: '{{companyName}}', Search: '{{searchName}}' }
+    },
+    ar: {
+      subject: 'وظيفة جديدة تطابق بحثك: {{jobTitle}}',
+      heading: 'وظيفة جديدة تطابق بحثك',
+      body: 'وظيفة جديدة تطابق بحثك المحفوظ \'{{searchName}}\': \'{{jobTitle}}\'. قدّم الآن!',
+      actionText: 'عرض الوظيفة',
+      details: { 'الشركة': '{{companyName}}', 'البحث': '{{searchName}}' }
+    }
+  },
+
+  saved_search_digest: {
+    variables: ['jobCount', 'jobList'],
+    sample: { jobCount: 3, jobList: 'Barista - Al Noor Cafe, Cashier - Lulu, Waiter - Kargeen' },
+    prepare: (variables, language) => ({ jobCountLabel: formatNewJobs(variables.jobCount, language) }),
+    en: {
+      subject: '{{jobCountLabel}} match your saved searches',
+      heading: 'Your Daily Job Alerts',
+      body: '{{jobCountLabel}} match your saved searches: {{jobList}}',
+      actionText: 'View Jobs'
+    },
+    ar: {
+      subject: '{{jobCountLabel}} تطابق عمليات البحث المحفوظة',
+      heading: 'تنبيهات الوظائف اليومية',
+      body: '{{jobCountLabel}} تطابق عمليات البحث المحفوظة: {{jobList}}',
+      actionText: 'عرض الوظائف'
+    }
+  },
+
+  // ─────────────────────────────────────────────
+  // Applications & hiring
+  // ─────────────────────────────────────────────
+
+  application_submitted_seeker: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your application for \'{{jobTitle}}\' was sent',
+      heading: 'Application Submitted',
+      body: 'Your application for \'{{jobTitle}}\' has been sent successfully. The employer will review your profile.',
+      actionText: 'View Application'
+    },
+    ar: {
+      subject: 'تم إرسال طلبك لوظيفة \'{{jobTitle}}\'',
+      heading: 'تم إرسال الطلب',
+      body: 'تم إرسال طلبك لوظيفة \'{{jobTitle}}\' بنجاح. سيراجع صاحب العمل ملفك.',
+      actionText: 'عرض الطلب'
+    }
+  },
+
+  application_submitted: {
+    variables: ['jobTitle', 'candidateName'],
+    sample: { jobTitle: 'Barista', candidateName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'New application received for {{jobTitle}}',
+      heading: 'New Application Received',
+      body: 'New application received for \'{{jobTitle}}\' from {{candidateName}}',
+      actionText: 'View Application',
+      details: { Job: '{{jobTitle}}', Candidate: '{{candidateName}}' }
+    },
+    ar: {
+      subject: 'طلب توظيف جديد لوظيفة {{jobTitle}}',
+      heading: 'طلب توظيف جديد',
+      body: 'وصل طلب توظيف جديد لوظيفة \'{{jobTitle}}\' من {{candidateName}}',
+      actionText: 'عرض الطلب',
+      details: { 'الوظيفة': '{{jobTitle}}', 'المرشح': '{{candidateName}}' }
+    }
+  },
+
+  application_rejected: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Update on your application for {{jobTitle}}',
+      heading: 'Application Update',
+      body: 'Unfortunately, your application for \'{{jobTitle}}\' was not selected. Keep applying!',
+      actionText: 'Browse Jobs'
+    },
+    ar: {
+      subject: 'تحديث بشأن طلبك لوظيفة {{jobTitle}}',
+      heading: 'تحديث الطلب',
+      body: 'للأسف، لم يتم اختيار طلبك لوظيفة \'{{jobTitle}}\'. واصل التقديم!',
+      actionText: 'تصفح الوظائف'
+    }
+  },
+
+  candidate_hired: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Congratulations! You\'ve been hired for {{jobTitle}}',
+      heading: 'You\'re Hired!',
+      body: 'Congrats! You\'ve been hired for \'{{jobTitle}}\' at {{companyName}}.',
+      actionText: 'View Details'
+    },
+    ar: {
+      subject: 'تهانينا! تم توظيفك في {{jobTitle}}',
+      heading: 'تم توظيفك!',
+      body: 'تهانينا! تم توظيفك في وظيفة \'{{jobTitle}}\' لدى {{companyName}}.',
+      actionText: 'عرض التفاصيل'
+    }
+  },
+
+  candidate_hired_company: {
+    variables: ['jobTitle', 'seekerName'],
+    sample: { jobTitle: 'Barista', seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Hiring request sent to {{seekerName}}',
+      heading: 'Hiring Request Sent',
+      body: '{{seekerName}} has been sent a hiring request for \'{{jobTitle}}\'.',
+      actionText: 'View Candidate'
+    },
+    ar: {
+      subject: 'تم إرسال طلب التوظيف إلى {{seekerName}}',
+      heading: 'تم إرسال طلب التوظيف',
+      body: 'تم إرسال طلب توظيف إلى {{seekerName}} لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض المرشح'
+    }
+  },
+
+  hiring_acceptance_company: {
+    variables: ['jobTitle', 'seekerName'],
+    sample: { jobTitle: 'Barista', seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: '{{seekerName}} accepted your offer',
+      heading: 'Offer Accepted',
+      body: '{{seekerName}} has accepted your offer for \'{{jobTitle}}\'.',
+      actionText: 'View Hire'
+    },
+    ar: {
+      subject: 'قبل {{seekerName}} عرضك',
+      heading: 'تم قبول العرض',
+      body: 'قبل {{seekerName}} عرضك لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض التوظيف'
+    }
+  },
+
+  hiring_acceptance_seeker: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'You\'ve been hired for {{jobTitle}}',
+      heading: 'You\'re Hired!',
+      body: 'You\'ve been hired for \'{{jobTitle}}\' at {{companyName}}. View more details and special instructions.',
+      actionText: 'View Details'
+    },
+    ar: {
+      subject: 'تم توظيفك في {{jobTitle}}',
+      heading: 'تم توظيفك!',
+      body: 'تم توظيفك في وظيفة \'{{jobTitle}}\' لدى {{companyName}}. اطّلع على التفاصيل والتعليمات الخاصة.',
+      actionText: 'عرض التفاصيل'
+    }
+  },
+
+  no_show_seeker: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Missed interview or shift: {{jobTitle}}',
+      heading: 'No Show Reported',
+      body: 'You missed the interview/job for \'{{jobTitle}}\'. View our Strike System and what this means for you.',
+      actionText: 'View Strike System'
+    },
+    ar: {
+      subject: 'تغيب عن مقابلة أو وردية: {{jobTitle}}',
+      heading: 'تم الإبلاغ عن تغيب',
+      body: 'لقد تغيبت عن المقابلة/الوظيفة \'{{jobTitle}}\'. اطّلع على نظام المخالفات وما يعنيه ذلك لك.',
+      actionText: 'عرض نظام المخالفات'
+    }
+  },
+
+  admin_no_show_reported: {
+    variables: ['jobTitle', 'companyName', 'seekerName'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe', seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'No-show reported for {{jobTitle}}',
+      heading: 'No Show Reported',
+      body: '{{companyName}} reported {{seekerName}} no-show for \'{{jobTitle}}\'. Support team notified.',
+      actionText: 'View Report'
+    },
+    ar: {
+      subject: 'بلاغ تغيب لوظيفة {{jobTitle}}',
+      heading: 'تم الإبلاغ عن تغيب',
+      body: 'أبلغت {{companyName}} عن تغيب {{seekerName}} عن \'{{jobTitle}}\'. تم إخطار فريق الدعم.',
+      actionText: 'عرض البلاغ'
+    }
+  },
+
+  // ─────────────────────────────────────────────
+  // Interviews & instant hire
+  // ─────────────────────────────────────────────
+
+  interview_request_sent: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe', interviewDate: '2026-11-02', location: 'Muscat Grand Mall' },
+    en: {
+      subject: 'Interview invitation for {{jobTitle}}',
+      heading: 'Interview Invitation',
+      body: '{{companyName}} has invited you for an interview for \'{{jobTitle}}\'. View details and select a slot.',
+      actionText: 'View Details & Respond',
+      details: { Company: '{{companyName}}', Position: '{{jobTitle}}', Date: '{{interviewDate}}', Location: '{{location}}' }
+    },
+    ar: {
+      subject: 'دعوة لمقابلة لوظيفة {{jobTitle}}',
+      heading: 'دعوة لمقابلة',
+      body: 'دعتك {{companyName}} لإجراء مقابلة لوظيفة \'{{jobTitle}}\'. اطّلع على التفاصيل واختر موعدًا.',
+      actionText: 'عرض التفاصيل والرد',
+      details: { 'الشركة': '{{companyName}}', 'الوظيفة': '{{jobTitle}}', 'التاريخ': '{{interviewDate}}', 'الموقع': '{{location}}' }
+    }
+  },
+
+  interview_request_company: {
+    variables: ['jobTitle', 'seekerName'],
+    sample: { jobTitle: 'Store Supervisor', seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Interview request sent to {{seekerName}}',
+      heading: 'Interview Request Sent',
+      body: 'Interview request sent to {{seekerName}} for \'{{jobTitle}}\'.',
+      actionText: 'View Interviews'
+    },
+    ar: {
+      subject: 'تم إرسال طلب المقابلة إلى {{seekerName}}',
+      heading: 'تم إرسال طلب المقابلة',
+      body: 'تم إرسال طلب مقابلة إلى {{seekerName}} لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض المقابلات'
+    }
+  },
+
+  interview_accepted_company: {
+    variables: ['jobTitle', 'seekerName', 'interviewDate'],
+    sample: { jobTitle: 'Store Supervisor', seekerName: 'Ahmed Al Balushi', interviewDate: '2026-11-02' },
+    en: {
+      subject: '{{seekerName}} accepted your interview request',
+      heading: 'Interview Accepted',
+      body: '{{seekerName}} has accepted the interview request for \'{{jobTitle}}\' and selected {{interviewDate}}.',
+      actionText: 'View Interview'
+    },
+    ar: {
+      subject: 'قبل {{seekerName}} طلب المقابلة',
+      heading: 'تم قبول المقابلة',
+      body: 'قبل {{seekerName}} طلب المقابلة لوظيفة \'{{jobTitle}}\' واختار موعد {{interviewDate}}.',
+      actionText: 'عرض المقابلة'
+    }
+  },
+
+  interview_accepted_seeker: {
+    variables: ['jobTitle', 'companyName', 'interviewDate'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe', interviewDate: '2026-11-02' },
+    en: {
+      subject: 'Interview confirmed: {{jobTitle}}',
+      heading: 'Interview Confirmed',
+      body: 'Great! You\'ve confirmed your interview for \'{{jobTitle}}\' with {{companyName}} at {{interviewDate}}.',
+      actionText: 'View Interview'
+    },
+    ar: {
+      subject: 'تم تأكيد المقابلة: {{jobTitle}}',
+      heading: 'تم تأكيد المقابلة',
+      body: 'رائع! لقد أكدت مقابلتك لوظيفة \'{{jobTitle}}\' مع {{companyName}} في {{interviewDate}}.',
+      actionText: 'عرض المقابلة'
+    }
+  },
+
+  interview_cancelled_company: {
+    variables: ['jobTitle', 'seekerName', 'interviewDate'],
+    sample: { jobTitle: 'Store Supervisor', seekerName: 'Ahmed Al Balushi', interviewDate: '2026-11-02 10:00' },
+    en: {
+      subject: 'Interview cancelled: {{seekerName}}',
+      heading: 'Interview Cancelled',
+      body: 'The interview with {{seekerName}} for \'{{jobTitle}}\' on {{interviewDate}} has been cancelled.',
+      actionText: 'View Interviews'
+    },
+    ar: {
+      subject: 'تم إلغاء المقابلة: {{seekerName}}',
+      heading: 'تم إلغاء المقابلة',
+      body: 'تم إلغاء المقابلة مع {{seekerName}} لوظيفة \'{{jobTitle}}\' بتاريخ {{interviewDate}}.',
+      actionText: 'عرض المقابلات'
+    }
+  },
+
+  interview_cancelled_seeker: {
+    variables: ['jobTitle', 'companyName', 'interviewDate'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe', interviewDate: '2026-11-02 10:00' },
+    en: {
+      subject: 'Interview cancelled: {{jobTitle}}',
+      heading: 'Interview Cancelled',
+      body: 'Your interview for \'{{jobTitle}}\' with {{companyName}} on {{interviewDate}} has been cancelled.',
+      actionText: 'View Interviews'
+    },
+    ar: {
+      subject: 'تم إلغاء المقابلة: {{jobTitle}}',
+      heading: 'تم إلغاء المقابلة',
+      body: 'تم إلغاء مقابلتك لوظيفة \'{{jobTitle}}\' مع {{companyName}} بتاريخ {{interviewDate}}.',
+      actionText: 'عرض المقابلات'
+    }
+  },
+
+  interview_offer_expired_company: {
+    variables: ['jobTitle', 'seekerName'],
+    sample: { jobTitle: 'Store Supervisor', seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: 'Interview offer to {{seekerName}} expired',
+      heading: 'Interview Offer Expired',
+      body: '{{seekerName}} did not pick an interview slot for \'{{jobTitle}}\' in time. The offer has expired.',
+      actionText: 'View Interview'
+    },
+    ar: {
+      subject: 'انتهت صلاحية عرض المقابلة المرسل إلى {{seekerName}}',
+      heading: 'انتهى عرض المقابلة',
+      body: 'لم يختر {{seekerName}} موعد مقابلة لوظيفة \'{{jobTitle}}\' في الوقت المحدد. انتهت صلاحية العرض.',
+      actionText: 'عرض المقابلة'
+    }
+  },
+
+  interview_offer_expired_seeker: {
+    variables: ['jobTitle', 'companyName'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Interview slots expired: {{jobTitle}}',
+      heading: 'Interview Offer Expired',
+      body: 'The interview slots offered by {{companyName}} for \'{{jobTitle}}\' have expired.',
+      actionText: 'View Interviews'
+    },
+    ar: {
+      subject: 'انتهت مواعيد المقابلة: {{jobTitle}}',
+      heading: 'انتهى عرض المقابلة',
+      body: 'انتهت صلاحية مواعيد المقابلة التي عرضتها {{companyName}} لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض المقابلات'
+    }
+  },
+
+  interview_declined_company: {
+    variables: ['jobTitle', 'seekerName'],
+    sample: { jobTitle: 'Store Supervisor', seekerName: 'Ahmed Al Balushi' },
+    en: {
+      subject: '{{seekerName}} declined your interview request',
+      heading: 'Interview Declined',
+      body: '{{seekerName}} has declined the interview request for \'{{jobTitle}}\'.',
+      actionText: 'View Candidates'
+    },
+    ar: {
+      subject: 'رفض {{seekerName}} طلب المقابلة',
+      heading: 'تم رفض المقابلة',
+      body: 'رفض {{seekerName}} طلب المقابلة لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض المرشحين'
+    }
+  },
+
+  interview_declined_seeker: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Interview declined: {{jobTitle}}',
+      heading: 'Interview Declined',
+      body: 'You have declined the interview for \'{{jobTitle}}\'.',
+      actionText: 'Browse Jobs'
+    },
+    ar: {
+      subject: 'تم رفض المقابلة: {{jobTitle}}',
+      heading: 'تم رفض المقابلة',
+      body: 'لقد رفضت المقابلة لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'تصفح الوظائف'
+    }
+  },
+
+  interview_rescheduled_company: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Store Supervisor', seekerName: 'Ahmed Al Balushi', newInterviewDate: '2026-11-04' },
+    en: {
+      subject: 'Interview rescheduled: {{jobTitle}}',
+      heading: 'Interview Rescheduled',
+      body: 'Interview for \'{{jobTitle}}\' has been rescheduled.',
+      actionText: 'View Interview',
+      details: { Candidate: '{{seekerName}}', 'New Date': '{{newInterviewDate}}' }
+    },
+    ar: {
+      subject: 'تمت إعادة جدولة المقابلة: {{jobTitle}}',
+      heading: 'تمت إعادة جدولة المقابلة',
+      body: 'تمت إعادة جدولة المقابلة لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض المقابلة',
+      details: { 'المرشح': '{{seekerName}}', 'الموعد الجديد': '{{newInterviewDate}}' }
+    }
+  },
+
+  interview_rescheduled_seeker: {
+    variables: ['jobTitle'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe', newInterviewDate: '2026-11-04' },
+    en: {
+      subject: 'Your interview for {{jobTitle}} has been rescheduled',
+      heading: 'Interview Rescheduled',
+      body: 'Your interview for \'{{jobTitle}}\' has been rescheduled. View new time.',
+      actionText: 'View New Time',
+      details: { Company: '{{companyName}}', 'New Date': '{{newInterviewDate}}' }
+    },
+    ar: {
+      subject: 'تمت إعادة جدولة مقابلتك لوظيفة {{jobTitle}}',
+      heading: 'تمت إعادة جدولة المقابلة',
+      body: 'تمت إعادة جدولة مقابلتك لوظيفة \'{{jobTitle}}\'. اطّلع على الموعد الجديد.',
+      actionText: 'عرض الموعد الجديد',
+      details: { 'الشركة': '{{companyName}}', 'الموعد الجديد': '{{newInterviewDate}}' }
+    }
+  },
+
+  interview_reminder: {
+    variables: ['jobTitle', 'hoursBefore'],
+    sample: { jobTitle: 'Store Supervisor', companyName: 'Al Noor Cafe', interviewDate: '2026-11-02', hoursBefore: 24 },
+    prepare: (variables, language) => ({ timeLabel: formatHours(variables.hoursBefore, language) }),
+    en: {
+      subject: 'Reminder: your interview for {{jobTitle}} is in {{timeLabel}}',
+      heading: 'Interview Reminder',
+      body: 'Your interview for \'{{jobTitle}}\' is in {{timeLabel}}. Be prepared!',
+      actionText: 'View Interview',
+      details: { Company: '{{companyName}}', Date: '{{interviewDate}}' }
+    },
+    ar: {
+      subject: 'تذكير: مقابلتك لوظيفة {{jobTitle}} بعد {{timeLabel}}',
+      heading: 'تذكير بالمقابلة',
+      body: 'مقابلتك لوظيفة \'{{jobTitle}}\' بعد {{timeLabel}}. كن مستعدًا!',
+      actionText: 'عرض المقابلة',
+      details: { 'الشركة': '{{companyName}}', 'التاريخ': '{{interviewDate}}' }
+    }
+  },
+
+  instant_hire_reminder: {
+    variables: ['jobTitle', 'hoursBefore'],
+    sample: { jobTitle: 'Barista', companyName: 'Al Noor Cafe', startDate: '2026-11-02', hoursBefore: 4 },
+    prepare: (variables, language) => ({ timeLabel: formatHours(variables.hoursBefore, language) }),
+    en: {
+      subject: 'Reminder: your shift for {{jobTitle}} starts in {{timeLabel}}',
+      heading: 'Shift Reminder',
+      body: 'Your Job \'{{jobTitle}}\' is in {{timeLabel}}. Be prepared!',
+      actionText: 'View Job',
+      details: { Company: '{{companyName}}', Date: '{{startDate}}' }
+    },
+    ar: {
+      subject: 'تذكير: ورديتك في {{jobTitle}} تبدأ بعد {{timeLabel}}',
+      heading: 'تذكير بالوردية',
+      body: 'وظيفتك \'{{jobTitle}}\' بعد {{timeLabel}}. كن مستعدًا!',
+      actionText: 'عرض الوظيفة',
+      details: { 'الشركة': '{{companyName}}', 'التاريخ': '{{startDate}}' }
+    }
+  },
+
+  shift_late_arrival: {
+    variables: ['seekerName', 'jobTitle', 'lateMinutes'],
+    sample: { seekerName: 'Ahmed Al Balushi', jobTitle: 'Barista', date: '2026-11-02', lateMinutes: 20 },
+    en: {
+      subject: '{{seekerName}} clocked in late',
+      heading: 'Late Arrival',
+      body: '{{seekerName}} clocked in {{lateMinutes}} minutes late for \'{{jobTitle}}\'.',
+      actionText: 'View Timesheet',
+      details: { Date: '{{date}}' }
+    },
+    ar: {
+      subject: 'سجّل {{seekerName}} الحضور متأخرًا',
+      heading: 'تأخر في الحضور',
+      body: 'سجّل {{seekerName}} الحضور متأخرًا {{lateMinutes}} دقيقة لوظيفة \'{{jobTitle}}\'.',
+      actionText: 'عرض سجل الدوام',
+      details: { 'التاريخ': '{{date}}' }
+    }
+  },
+
+  timesheet_disputed: {
+    variables: ['companyName', 'jobTitle', 'date', 'reason'],
+    sample: { companyName: 'Al Noor Cafe', jobTitle: 'Barista', date: '2026-11-02', hoursWorked: 7.5, reason: 'Left two hours early' },
+    en: {
+      subject: 'Your hours on {{date}} were disputed',
+      heading: 'Timesheet Disputed',
+      body: '{{companyName}} disputed your hours for \'{{jobTitle}}\' on {{date}}.',
+      actionText: 'View Timesheet',
+      details: { Reason: '{{reason}}', Hours: '{{hoursWorked}}' }
+    },
+    ar: {
+      subject: 'تم الاعتراض على ساعات عملك بتاريخ {{date}}',
+      heading: 'اعتراض على سجل الدوام',
+      body: 'اعترضت {{companyName}} على ساعات عملك لوظيفة \'{{jobTitle}}\' بتاريخ {{date}}.',
+      actionText: 'عرض سجل الدوام',
+      details: { 'السبب': '{{reason}}', 'الساعات': '{{hoursWorked}}' }
+    }
+  },
+
+  download_interview_schedule: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your upcoming interview schedule',
+      heading: 'Interview Schedule',
+      body: 'Download Upcoming Interview from Homepage.',
+      actionText: 'Open Homepage'
+    },
+    ar: {
+      subject: 'جدول مقابلاتك القادمة',
+      heading: 'جدول المقابلات',
+      body: 'حمّل جدول المقابلات القادمة من الصفحة الرئيسية.',
+      actionText: 'فتح الصفحة الرئيسية'
+    }
+  },
+
+  // ─────────────────────────────────────────────
+  // Payments, plans & credits
+  // ─────────────────────────────────────────────
+
+  payment_successful: {
+    variables: ['amount', 'planName'],
+    sample: { amount: '49.000', currency: 'OMR', planName: 'Pro Plan' },
+    en: {
+      subject: 'Payment Confirmation - Shift',
+      heading: '💳 Payment Successful',
+      body: 'Payment of {{amount}} {{currency}} for {{planName}} received successfully.',
+      actionText: 'View Receipt',
+      details: { Amount: '{{amount}} {{currency}}', Plan: '{{planName}}' }
+    },
+    ar: {
+      subject: 'تأكيد الدفع - Shift',
+      heading: '💳 تم الدفع بنجاح',
+      body: 'تم استلام دفعة بقيمة {{amount}} {{currency}} مقابل {{planName}} بنجاح.',
+      actionText: 'عرض الإيصال',
+      details: { 'المبلغ': '{{amount}} {{currency}}', 'الباقة': '{{planName}}' }
+    }
+  },
+
+  admin_payment_received: {
+    variables: ['amount', 'companyName', 'planName'],
+    sample: { amount: '49.000', currency: 'OMR', planName: 'Pro Plan', companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Payment received from {{companyName}}',
+      heading: 'Payment Received',
+      body: 'Payment of {{amount}} {{currency}} received from {{companyName}} for {{planName}}',
+      actionText: 'View Payment'
+    },
+    ar: {
+      subject: 'تم استلام دفعة من {{companyName}}',
+      heading: 'تم استلام دفعة',
+      body: 'تم استلام دفعة بقيمة {{amount}} {{currency}} من {{companyName}} مقابل {{planName}}',
+      actionText: 'عرض الدفعة'
+    }
+  },
+
+  payment_failed: {
+    variables: ['planName'],
+    sample: { amount: '49.000', currency: 'OMR', planName: 'Pro Plan' },
+    en: {
+      subject: 'Payment failed - Shift',
+      heading: 'Payment Failed',
+      body: '❌ Payment for {{planName}} failed. Please retry or use another method.',
+      actionText: 'Retry Payment'
+    },
+    ar: {
+      subject: 'فشل الدفع - Shift',
+      heading: 'فشل الدفع',
+      body: '❌ فشلت عملية الدفع مقابل {{planName}}. يرجى إعادة المحاولة أو استخدام وسيلة أخرى.',
+      actionText: 'إعادة المحاولة'
+    }
+  },
+
+  admin_payment_failed: {
+    variables: ['companyName', 'planName'],
+    sample: { amount: '49.000', currency: 'OMR', planName: 'Pro Plan', companyName: 'Al Noor Cafe', error: 'Card declined' },
+    en: {
+      subject: 'Payment failed for {{companyName}}',
+      heading: 'Payment Failed',
+      body: 'Payment failed for {{companyName}} on {{planName}}',
+      actionText: 'View Company',
+      details: { Amount: '{{amount}} {{currency}}', Error: '{{error}}' }
+    },
+    ar: {
+      subject: 'فشل الدفع لـ {{companyName}}',
+      heading: 'فشل الدفع',
+      body: 'فشلت عملية الدفع لـ {{companyName}} على {{planName}}',
+      actionText: 'عرض الشركة',
+      details: { 'المبلغ': '{{amount}} {{currency}}', 'الخطأ': '{{error}}' }
+    }
+  },
+
+  trial_ending: {
+    variables: ['daysRemaining'],
+    sample: { companyName: 'Al Noor Cafe', daysRemaining: 3 },
+    prepare: (variables, language) => ({ daysLabel: formatDays(variables.daysRemaining, language) }),
+    en: {
+      subject: 'Your Shift trial ends in {{daysLabel}}',
+      heading: 'Trial Ending',
+      body: 'Your trial period ends in {{daysLabel}}. Upgrade to continue enjoying Shift features.',
+      actionText: 'Upgrade Plan'
+    },
+    ar: {
+      subject: 'تنتهي فترتك التجريبية على Shift خلال {{daysLabel}}',
+      heading: 'الفترة التجريبية على وشك الانتهاء',
+      body: 'تنتهي فترتك التجريبية خلال {{daysLabel}}. قم بالترقية لمواصلة الاستفادة من مزايا Shift.',
+      actionText: 'ترقية الباقة'
+    }
+  },
+
+  trial_ended_company: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your Shift trial has ended',
+      heading: 'Trial Ended',
+      body: 'Your Trial Period Has Ended. Upgrade your Plan to continue posting jobs and scheduling interviews.',
+      actionText: 'Upgrade Plan'
+    },
+    ar: {
+      subject: 'انتهت فترتك التجريبية على Shift',
+      heading: 'انتهت الفترة التجريبية',
+      body: 'انتهت فترتك التجريبية. قم بترقية باقتك لمواصلة نشر الوظائف وجدولة المقابلات.',
+      actionText: 'ترقية الباقة'
+    }
+  },
+
+  admin_trial_ended: {
+    variables: ['companyName'],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: '{{companyName}} trial has ended',
+      heading: 'Trial Ended',
+      body: '{{companyName}} Trial has ended. Contact them for upgrading plan.',
+      actionText: 'View Company'
+    },
+    ar: {
+      subject: 'انتهت الفترة التجريبية لـ {{companyName}}',
+      heading: 'انتهت الفترة التجريبية',
+      body: 'انتهت الفترة التجريبية لـ {{companyName}}. تواصل معهم لترقية الباقة.',
+      actionText: 'عرض الشركة'
+    }
+  },
+
+  subscription_expiring: {
+    variables: ['expiryDate'],
+    sample: { companyName: 'Al Noor Cafe', expiryDate: '2026-11-30', daysRemaining: 7 },
+    en: {
+      subject: 'Your Shift subscription expires on {{expiryDate}}',
+      heading: 'Subscription Expiring',
+      body: 'Your subscription will expire on {{expiryDate}}. Renew now to continue posting jobs.',
+      actionText: 'Renew Now'
+    },
+    ar: {
+      subject: 'ينتهي اشتراكك في Shift بتاريخ {{expiryDate}}',
+      heading: 'الاشتراك على وشك الانتهاء',
+      body: 'سينتهي اشتراكك بتاريخ {{expiryDate}}. جدّد الآن لمواصلة نشر الوظائف.',
+      actionText: 'جدّد الآن'
+    }
+  },
+
+  plan_expired: {
+    variables: [],
+    sample: { companyName: 'Al Noor Cafe' },
+    en: {
+      subject: 'Your Shift subscription has expired',
+      heading: 'Plan Expired',
+      body: 'Your subscription has expired. Renew now to reactivate job postings.',
+      actionText: 'Renew Now'
+    },
+    ar: {
+      subject: 'انتهى اشتراكك في Shift',
+      heading: 'انتهت الباقة',
+      body: 'انتهى اشتراكك. جدّد الآن لإعادة تفعيل إعلانات الوظائف.',
+      actionText: 'جدّد الآن'
+    }
+  },
+
+  insufficient_credits: {
+    variables: ['creditType'],
+    sample: { companyName: 'Al Noor Cafe', creditType: 'job', remainingCredits: 0 },
+    prepare: (variables, language) => ({ creditLabel: creditLabel(variables.creditType, language) }),
+    en: {
+      subject: 'Not enough credits',
+      heading: 'Insufficient Credits',
+      body: 'You don\'t have enough {{creditLabel}} credits to continue. Please upgrade your plan.',
+      actionText: 'Upgrade Plan'
+    },
+    ar: {
+      subject: 'الرصيد غير كافٍ',
+      heading: 'رصيد غير كافٍ',
+      body: 'لا يوجد لديك رصيد كافٍ من {{creditLabel}} للمتابعة. يرجى ترقية باقتك.',
+      actionText: 'ترقية الباقة'
+    }
+  },
+
+  low_credits: {
+    variables: ['creditType', 'remainingCredits'],
+    sample: { companyName: 'Al Noor Cafe', creditType: 'interview', remainingCredits: 2 },
+    prepare: (variables, language) => ({ creditLabel: creditLabel(variables.creditType, language) }),
+    en: {
+      subject: 'You are running low on {{creditLabel}} credits',
+      heading: 'Low Credits',
+      body: 'You have only {{remainingCredits}} {{creditLabel}} credits left. Purchase more to continue.',
+      actionText: 'Buy Credits'
+    },
+    ar: {
+      subject: 'رصيدك من {{creditLabel}} منخفض',
+      heading: 'رصيد منخفض',
+      body: 'تبقى لديك {{remainingCredits}} فقط من رصيد {{creditLabel}}. اشترِ المزيد للمتابعة.',
+      actionText: 'شراء رصيد'
+    }
+  },
+
+  plan_activated: {
+    variables: ['planName'],
+    sample: { companyName: 'Al Noor Cafe', planName: 'Pro Plan', amount: '49.000', currency: 'OMR' },
+    en: {
+      subject: '{{planName}} activated',
+      heading: 'Plan Activated',
+      body: 'You have subscribed to {{planName}}. View Plan or Download Invoice.',
+      actionText: 'View Plan'
+    },
+    ar: {
+      subject: 'تم تفعيل {{planName}}',
+      heading: 'تم تفعيل الباقة',
+      body: 'لقد اشتركت في {{planName}}. اعرض الباقة أو حمّل الفاتورة.',
+      actionText: 'عرض الباقة'
+    }
+  },
+
+  instant_hire_activated: {
+    variables: ['planName'],
+    sample: { companyName: 'Al Noor Cafe', planName: 'Instant Hire', amount: '15.000', currency: 'OMR' },
+    en: {
+      subject: '{{planName}} activated',
+      heading: 'Plan Activated',
+      body: 'You have subscribed to {{planName}}. Create a Job Post Now.',
+      actionText: 'Create Job Post'
+    },
+    ar: {
+      subject: 'تم تفعيل {{planName}}',
+      heading: 'تم تفعيل الباقة',
+      body: 'لقد اشتركت في {{planName}}. أنشئ إعلان وظيفة الآن.',
+      actionText: 'إنشاء إعلان وظيفة'
+    }
+  },
+
+  addon_activated: {
+    variables: ['credits', 'creditType'],
+    sample: { companyName: 'Al Noor Cafe', planName: 'Interview Pack', credits: 10, creditType: 'interview' },
+    prepare: (variables, language) => ({
+      creditLabel: creditLabel(variables.creditType, language),
+      nextStep: ADDON_NEXT_STEPS[language]?.[variables.creditType] || ADDON_NEXT_STEPS[language]?.job
+    }),
+    en: {
+      subject: '{{credits}} {{creditLabel}} credits added',
+      heading: 'Credits Added',
+      body: 'You have added {{credits}} {{creditLabel}} Credits to your Account. Start {{nextStep}} Today.',
+      actionText: 'Get Started'
+    },
+    ar: {
+      subject: 'تمت إضافة {{credits}} من رصيد {{creditLabel}}',
+      heading: 'تمت إضافة الرصيد',
+      body: 'لقد أضفت {{credits}} من رصيد {{creditLabel}} إلى حسابك. ابدأ {{nextStep}} اليوم.',
+      actionText: 'ابدأ الآن'
+    }
+  },
+
+  custom_plan_lpo: {
+    variables: ['planName'],
+    sample: { companyName: 'Al Noor Cafe', planName: 'Enterprise', lpoNumber: 'LPO-2026-014', amount: '1200.000', currency: 'OMR' },
+    en: {
+      subject: 'LPO received for {{planName}}',
+      heading: 'Custom Plan Activated',
+      body: 'LPO for {{planName}} received. Your plan is now active.',
+      actionText: 'View Plan',
+      details: { 'LPO Number': '{{lpoNumber}}', Amount: '{{amount}} {{currency}}' }
+    },
+    ar: {
+      subject: 'تم استلام أمر الشراء المحلي لـ {{planName}}',
+      heading: 'تم تفعيل الباقة المخصصة',
+      body: 'تم استلام أمر الشراء المحلي (LPO) لـ {{planName}}. باقتك مفعلة الآن.',
+      actionText: 'عرض الباقة',
+      details: { 'رقم أمر الشراء': '{{lpoNumber}}', 'المبلغ': '{{amount}} {{currency}}' }
+    }
+  },
+
+  payment_overdue: {
+    variables: ['lpoNumber', 'dueDate'],
+    sample: { companyName: 'Al Noor Cafe', lpoNumber: 'LPO-2026-014', dueDate: '2026-11-15', amount: '1200.000', currency: 'OMR' },
+    en: {
+      subject: 'Payment reminder for LPO {{lpoNumber}}',
+      heading: 'Payment Due',
+      body: 'Reminder: Payment for your LPO ({{lpoNumber}}) is due on {{dueDate}}. Please ensure payment is made to avoid delays.',
+      actionText: 'View Invoice',
+      details: { Amount: '{{amount}} {{currency}}' }
+    },
+    ar: {
+      subject: 'تذكير بالدفع لأمر الشراء {{lpoNumber}}',
+      heading: 'موعد الدفع',
+      body: 'تذكير: يستحق دفع أمر الشراء ({{lpoNumber}}) بتاريخ {{dueDate}}. يرجى التأكد من السداد لتجنب أي تأخير.',
+      actionText: 'عرض الفاتورة',
+      details: { 'المبلغ': '{{amount}} {{currency}}' }
+    }
+  },
+
+  lpo_payment_received: {
+    variables: ['lpoNumber'],
+    sample: { companyName: 'Al Noor Cafe', lpoNumber: 'LPO-2026-014', amount: '1200.000', currency: 'OMR' },
+    en: {
+      subject: 'Payment received for LPO {{lpoNumber}}',
+      heading: 'Payment Received',
+      body: 'Payment for LPO {{lpoNumber}} received. Thank you.',
+      actionText: 'View Receipt',
+      details: { Amount: '{{amount}} {{currency}}' }
+    },
+    ar: {
+      subject: 'تم استلام الدفعة لأمر الشراء {{lpoNumber}}',
+      heading: 'تم استلام الدفعة',
+      body: 'تم استلام دفعة أمر الشراء {{lpoNumber}}. شكرًا لك.',
+      actionText: 'عرض الإيصال',
+      details: { 'المبلغ': '{{amount}} {{currency}}' }
+    }
+  },
+
+  invoice_issued: {
+    variables: ['number', 'amount'],
+    sample: { companyName: 'Al Noor Cafe', number: 'INV-2026-00042', amount: '99.000', vatAmount: '4.714', currency: 'OMR', lpoNumber: 'LPO-2026-014' },
+    en: {
+      subject: 'Tax invoice {{number}} - Shift',
+      heading: 'Tax Invoice',
+      body: 'Your tax invoice {{number}} for {{amount}} {{currency}} is attached.',
+      actionText: 'View Invoices',
+      details: { Amount: '{{amount}} {{currency}}', 'VAT included': '{{vatAmount}} {{currency}}', 'LPO number': '{{lpoNumber}}' }
+    },
+    ar: {
+      subject: 'الفاتورة الضريبية {{number}} - Shift',
+      heading: 'فاتورة ضريبية',
+      body: 'مرفق فاتورتك الضريبية {{number}} بقيمة {{amount}} {{currency}}.',
+      actionText: 'عرض الفواتير',
+      details: { 'المبلغ': '{{amount}} {{currency}}', 'ضريبة القيمة المضافة': '{{vatAmount}} {{currency}}', 'رقم أمر الشراء': '{{lpoNumber}}' }
+    }
+  },
+
+  credit_note_issued: {
+    variables: ['number', 'invoiceNumber', 'amount'],
+    sample: { companyName: 'Al Noor Cafe', number: 'CN-2026-00003', invoiceNumber: 'INV-2026-00042', amount: '99.000', vatAmount: '4.714', currency: 'OMR' },
+    en: {
+      subject: 'Credit note {{number}} - Shift',
+      heading: 'Credit Note',
+      body: 'Credit note {{number}} for {{amount}} {{currency}} was issued against invoice {{invoiceNumber}}. It is attached.',
+      actionText: 'View Invoices',
+      details: { Amount: '{{amount}} {{currency}}', 'VAT included': '{{vatAmount}} {{currency}}' }
+    },
+    ar: {
+      subject: 'إشعار دائن {{number}} - Shift',
+      heading: 'إشعار دائن',
+      body: 'صدر الإشعار الدائن {{number}} بقيمة {{amount}} {{currency}} مقابل الفاتورة {{invoiceNumber}}، وهو مرفق.',
+      actionText: 'عرض الفواتير',
+      details: { 'المبلغ': '{{amount}} {{currency}}', 'ضريبة القيمة المضافة': '{{vatAmount}} {{currency}}' }
+    }
+  },
+
+  // ─────────────────────────────────────────────
+  // Chat moderation
+  // ─────────────────────────────────────────────
+
+  admin_chat_message_reported: {
+    variables: ['reason', 'reporterType'],
+    sample: { reason: 'contact_info', reporterType: 'seeker', jobTitle: 'Barista', chatId: 'chat_123' },
+    prepare: (variables, language) => ({
+      reasonLabel: REPORT_REASON_LABELS[language]?.[variables.reason] || variables.reason,
+      reporterLabel: PARTICIPANT_LABELS[language]?.[variables.reporterType] || variables.reporterType
+    }),
+    en: {
+      subject: 'Chat message reported: {{reasonLabel}}',
+      heading: 'Chat Message Reported',
+      body: '{{reporterLabel}} reported a chat message for review.',
+      actionText: 'Review Report',
+      details: { Reason: '{{reasonLabel}}', Job: '{{jobTitle}}', Chat: '{{chatId}}' }
+    },
+    ar: {
+      subject: 'تم الإبلاغ عن رسالة محادثة: {{reasonLabel}}',
+      heading: 'تم الإبلاغ عن رسالة',
+      body: 'أبلغ {{reporterLabel}} عن رسالة محادثة للمراجعة.',
+      actionText: 'مراجعة البلاغ',
+      details: { 'السبب': '{{reasonLabel}}', 'الوظيفة': '{{jobTitle}}', 'المحادثة': '{{chatId}}' }
+    }
+  }
+};
+
+module.exports = NOTIFICATION_TEMPLATES;
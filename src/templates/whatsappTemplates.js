@@ -0,0 +1,93 @@
+/**
+ * WhatsApp Templates
+ * Approved WhatsApp Business message templates per notification type
+ * Business-initiated messages outside the 24h customer service window must use one of these
+ *
+ * Each entry has:
+ *   name       - template name as approved in WhatsApp Manager (registered in both en and ar)
+ *   parameters - variables filling the body placeholders {{1}}, {{2}}, ... in order;
+ *                'message' is the rendered notification text
+ *   buttons    - quick reply buttons; the reply payload is `<action>:<notificationId>`
+ *
+ * Types without an entry are sent with DEFAULT_TEMPLATE.
+ */
+
+const DEFAULT_TEMPLATE = {
+  name: process.env.WHATSAPP_DEFAULT_TEMPLATE || 'shift_notification',
+  parameters: ['message']
+};
+
+const INTERVIEW_BUTTONS = [
+  { action: 'accept', title: { en: 'Accept interview', ar: 'قبول المقابلة' } },
+  { action: 'decline', title: { en: 'Decline', ar: 'رفض' } }
+];
+
+const OFFER_BUTTONS = [
+  { action: 'accept', title: { en: 'Accept offer', ar: 'قبول العرض' } },
+  { action: 'decline', title: { en: 'Decline', ar: 'رفض' } }
+];
+
+const WHATSAPP_TEMPLATES = {
+  interview_request_sent: {
+    name: 'interview_invitation',
+    parameters: ['companyName', 'jobTitle'],
+    buttons: INTERVIEW_BUTTONS
+  },
+  interview_accepted_seeker: {
+    name: 'interview_confirmed',
+    parameters: ['jobTitle', 'companyName', 'interviewDate']
+  },
+  interview_rescheduled_seeker: {
+    name: 'interview_rescheduled',
+    parameters: ['jobTitle']
+  },
+  interview_reminder: {
+    name: 'interview_reminder',
+    parameters: ['jobTitle', 'timeLabel']
+  },
+  instant_hire_reminder: {
+    name: 'shift_reminder',
+    parameters: ['jobTitle', 'timeLabel']
+  },
+  candidate_hired: {
+    name: 'hire_offer',
+    parameters: ['jobTitle', 'companyName'],
+    buttons: OFFER_BUTTONS
+  },
+  saved_search_alert: {
+    name: 'saved_search_alert',
+    parameters: ['searchName', 'jobTitle', 'companyName']
+  },
+  saved_search_digest: {
+    name: 'saved_search_digest',
+    parameters: ['jobCountLabel', 'jobList']
+  }
+};
+
+// Session replies sent after a seeker answers an interview or hire request on WhatsApp
+const REPLY_MESSAGES = {
+  en: {
+    interview_accepted: 'Thanks! Your interview for \'{{jobTitle}}\' is confirmed. We\'ll remind you before it starts.',
+    interview_declined: 'You have declined the interview for \'{{jobTitle}}\'. We\'ve let the employer know.',
+    hire_accepted: 'Congratulations! You\'ve accepted the offer for \'{{jobTitle}}\' at {{companyName}}.',
+    hire_rejected: 'You have declined the offer for \'{{jobTitle}}\'. We\'ve let the employer know.',
+    already_responded: 'You\'ve already responded to this request. Open the Shift app to see the details.',
+    not_available: 'This request is no longer open. Open the Shift app to see the details.',
+    not_understood: 'Sorry, we didn\'t understand. Reply 1 to accept or 2 to decline.'
+  },
+  ar: {
+    interview_accepted: 'شكرًا! تم تأكيد مقابلتك لوظيفة \'{{jobTitle}}\'. سنذكّرك قبل موعدها.',
+    interview_declined: 'لقد رفضت المقابلة لوظيفة \'{{jobTitle}}\'. تم إبلاغ صاحب العمل.',
+    hire_accepted: 'تهانينا! لقد قبلت عرض وظيفة \'{{jobTitle}}\' لدى {{companyName}}.',
+    hire_rejected: 'لقد رفضت عرض وظيفة \'{{jobTitle}}\'. تم إبلاغ صاحب العمل.',
+    already_responded: 'لقد قمت بالرد على هذا الطلب مسبقًا. افتح تطبيق Shift لعرض التفاصيل.',
+    not_available: 'هذا الطلب لم يعد متاحًا. افتح تطبيق Shift لعرض التفاصيل.',
+    not_understood: 'عذرًا، لم نفهم ردك. أرسل 1 للقبول أو 2 للرفض.'
+  }
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  WHATSAPP_TEMPLATES,
+  REPLY_MESSAGES
+};
@@ -17,6 +17,8 @@ const JWT_CONFIG = {
   REFRESH_TOKEN_SECRET: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key-change-in-production',
   ACCESS_TOKEN_EXPIRY: process.env.JWT_ACCESS_EXPIRY || '15m', // 15 minutes
   REFRESH_TOKEN_EXPIRY: process.env.JWT_REFRESH_EXPIRY || '365d', // 1 year (effectively never expires)
+  ADMIN_REFRESH_TOKEN_EXPIRY: process.env.JWT_ADMIN_REFRESH_EXPIRY || '12h', // Admins sign in again every working day
+  ADMIN_SETUP_TOKEN_EXPIRY: '10m', // Between password check and TOTP enrolment
   ISSUER: 'shift-backend',
   AUDIENCE: 'shift-mobile-app'
 };
@@ -46,8 +48,9 @@ const generateAccessToken = (userId, userType, userData = {}) => {
 
 /**
  * Generate refresh token (long-lived, doesn't expire automatically)
+ * @param {string} [expiresIn] - Shorter lifetime, e.g. for admins
  */
-const generateRefreshToken = (userId, userType) => {
+const generateRefreshToken = (userId, userType, expiresIn = JWT_CONFIG.REFRESH_TOKEN_EXPIRY) => {
   const payload = {
     userId,
     userType,
@@ -58,10 +61,53 @@ const generateRefreshToken = (userId, userType) => {
   };
 
   return jwt.sign(payload, JWT_CONFIG.REFRESH_TOKEN_SECRET, {
-    expiresIn: JWT_CONFIG.REFRESH_TOKEN_EXPIRY
+    expiresIn
   });
 };
 
+/**
+ * Generate admin setup token - proves the password was right while the admin enrols their authenticator app
+ * It is not an access token and can't be used on any other route
+ */
+const generateAdminSetupToken = (adminId) => {
+  const payload = {
+    userId: adminId,
+    type: 'admin_setup',
+    iss: JWT_CONFIG.ISSUER,
+    aud: JWT_CONFIG.AUDIENCE
+  };
+
+  return jwt.sign(payload, JWT_CONFIG.ACCESS_TOKEN_SECRET, {
+    expiresIn: JWT_CONFIG.ADMIN_SETUP_TOKEN_EXPIRY
+  });
+};
+
+/**
+ * Verify admin setup token
+ */
+const verifyAdminSetupToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_CONFIG.ACCESS_TOKEN_SECRET, {
+      issuer: JWT_CONFIG.ISSUER,
+      audience: JWT_CONFIG.AUDIENCE
+    });
+
+    if (decoded.type !== 'admin_setup') {
+      throw new Error('Invalid token type');
+    }
+
+    return {
+      valid: true,
+      payload: decoded
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Verify access token
  */
@@ -116,10 +162,11 @@ const verifyRefreshToken = (token) => {
 
 /**
  * Generate token pair (access + refresh)
+ * @param {Object} [options] - { refreshExpiresIn }
  */
-const generateTokenPair = (userId, userType, userData = {}) => {
+const generateTokenPair = (userId, userType, userData = {}, options = {}) => {
   const accessToken = generateAccessToken(userId, userType, userData);
-  const refreshToken = generateRefreshToken(userId, userType);
+  const refreshToken = generateRefreshToken(userId, userType, options.refreshExpiresIn);
 
   return {
     accessToken,
@@ -428,6 +475,8 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokenPair,
+  generateAdminSetupToken,
+  verifyAdminSetupToken,
   verifyAccessToken,
   verifyRefreshToken,
   refreshAccessToken,
@@ -0,0 +1,137 @@
+/**
+ * File Metadata
+ * Inspects uploaded buffers: detects the real MIME type from magic bytes and reads image dimensions
+ * without decoding the image
+ */
+
+/**
+ * Detect the MIME type from the file signature
+ * Office formats are reported by container (OLE for .doc, ZIP for .docx) so callers compare families
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+const detectMimeType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  if (buffer.readUInt32BE(0) === 0xd0cf11e0 && buffer.readUInt32BE(4) === 0xa1b11ae1) {
+    return 'application/msword';
+  }
+  if (buffer.readUInt32BE(0) === 0x504b0304) {
+    return 'application/zip';
+  }
+  return null;
+};
+
+/**
+ * Whether the declared MIME type matches the file contents
+ * @param {Buffer} buffer
+ * @param {string} declaredType - MIME type sent by the client
+ */
+const matchesDeclaredType = (buffer, declaredType) => {
+  const detected = detectMimeType(buffer);
+  if (!detected) {
+    return false;
+  }
+  // .docx/.xlsx are ZIP containers
+  if (detected === 'application/zip') {
+    return declaredType.startsWith('application/vnd.openxmlformats-officedocument.');
+  }
+  return detected === declaredType;
+};
+
+const readPngDimensions = (buffer) => {
+  // IHDR is always the first chunk
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const readJpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const readWebpDimensions = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+/**
+ * Read width/height from a JPEG, PNG or WebP buffer
+ * @param {Buffer} buffer
+ * @returns {Object|null} { width, height }
+ */
+const getImageDimensions = (buffer) => {
+  try {
+    switch (detectMimeType(buffer)) {
+      case 'image/png':
+        return readPngDimensions(buffer);
+      case 'image/jpeg':
+        return readJpegDimensions(buffer);
+      case 'image/webp':
+        return readWebpDimensions(buffer);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated or malformed header
+    return null;
+  }
+};
+
+/**
+ * Scale dimensions to fit inside a square box, keeping the aspect ratio
+ * @param {Object} dimensions - { width, height }
+ * @param {number} maxSize - Longest side of the result
+ */
+const fitWithin = ({ width, height }, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+module.exports = {
+  detectMimeType,
+  matchesDeclaredType,
+  getImageDimensions,
+  fitWithin
+};
@@ -0,0 +1,143 @@
+/**
+ * Geo Utilities
+ * Coordinates, great-circle distance and geohashes for location-based job discovery
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Parse a { latitude, longitude } pair
+ * @param {Object} coordinates - Numbers or numeric strings
+ * @returns {Object|null} { latitude, longitude } or null when missing/out of range
+ */
+const normalizeCoordinates = (coordinates) => {
+  if (!coordinates) {
+    return null;
+  }
+
+  const latitude = parseFloat(coordinates.latitude);
+  const longitude = parseFloat(coordinates.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+/**
+ * Encode coordinates as a geohash
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} precision - Characters; 9 is roughly 5m x 5m
+ */
+const encodeGeohash = (latitude, longitude, precision = 9) => {
+  let latMin = -90, latMax = 90;
+  let lngMin = -180, lngMax = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (longitude >= mid) {
+        value = (value << 1) | 1;
+        lngMin = mid;
+      } else {
+        value <<= 1;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (latitude >= mid) {
+        value = (value << 1) | 1;
+        latMin = mid;
+      } else {
+        value <<= 1;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Size of a geohash cell in degrees
+ */
+const cellSize = (precision) => {
+  const lngBits = Math.ceil((precision * 5) / 2);
+  const latBits = Math.floor((precision * 5) / 2);
+  return { latDegrees: 180 / 2 ** latBits, lngDegrees: 360 / 2 ** lngBits };
+};
+
+/**
+ * Great-circle distance in kilometres
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ */
+const haversineKm = (from, to) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Geohash cells that together cover a circle
+ * Picks the finest precision whose cells are still at least as big as the radius, so the circle
+ * touches only a handful of cells; anything within the radius has a geohash starting with one of them
+ * @param {Object} center - { latitude, longitude }
+ * @param {number} radiusKm
+ * @returns {string[]} Geohash prefixes
+ */
+const geohashesInRadius = (center, radiusKm) => {
+  const latRadius = radiusKm / KM_PER_DEGREE_LAT;
+  const lngRadius = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos((center.latitude * Math.PI) / 180), 0.01));
+
+  let precision = 1;
+  for (let candidate = 9; candidate >= 1; candidate--) {
+    const { latDegrees, lngDegrees } = cellSize(candidate);
+    if (latDegrees >= latRadius && lngDegrees >= lngRadius) {
+      precision = candidate;
+      break;
+    }
+  }
+
+  // Sample the bounding box at cell-sized steps so every cell it overlaps gets a point
+  const { latDegrees, lngDegrees } = cellSize(precision);
+  const minLat = Math.max(center.latitude - latRadius, -90);
+  const maxLat = Math.min(center.latitude + latRadius, 90);
+  const minLng = Math.max(center.longitude - lngRadius, -180);
+  const maxLng = Math.min(center.longitude + lngRadius, 180);
+
+  const cells = new Set();
+  for (let lat = minLat; ; lat = Math.min(lat + latDegrees, maxLat)) {
+    for (let lng = minLng; ; lng = Math.min(lng + lngDegrees, maxLng)) {
+      cells.add(encodeGeohash(lat, lng, precision));
+      if (lng >= maxLng) break;
+    }
+    if (lat >= maxLat) break;
+  }
+
+  return [...cells];
+};
+
+module.exports = {
+  normalizeCoordinates,
+  encodeGeohash,
+  haversineKm,
+  geohashesInRadius
+};
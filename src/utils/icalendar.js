@@ -0,0 +1,181 @@
+/**
+ * iCalendar Utilities
+ * Builds RFC 5545 calendars (.ics) for email invitations and subscription feeds
+ *
+ * Times are written in UTC, so no VTIMEZONE is needed; calendar apps show them in the reader's own timezone
+ */
+
+const PRODUCT_ID = '-//Shift//Interviews and Shifts//EN';
+const CRLF = '\r\n';
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const WEEKDAY_CODES = { su: 'SU', mo: 'MO', tu: 'TU', we: 'WE', th: 'TH', fr: 'FR', sa: 'SA' };
+
+/**
+ * Escape a TEXT value
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Escape a parameter value such as CN, quoting it when it holds separators
+ */
+const escapeParam = (value) => {
+  const text = String(value).replace(/["\r\n]/g, '');
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Instant as a UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ */
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Fold a content line into 75-octet chunks, never splitting a multi-byte character
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const chunks = [];
+  let chunk = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+
+  return chunks.join(`${CRLF} `);
+};
+
+/**
+ * Weekday names ('Sunday', 'sun', ...) as an RRULE BYDAY list
+ */
+const toByDay = (weekdays = []) => {
+  const codes = weekdays
+    .map(day => WEEKDAY_CODES[String(day).trim().slice(0, 2).toLowerCase()])
+    .filter(Boolean);
+  return [...new Set(codes)].join(',');
+};
+
+/**
+ * VEVENT lines
+ * @param {Object} event
+ * @param {string} event.uid - Stable ID, so updates replace the event instead of adding one
+ * @param {number} event.sequence - Revision; must go up with every update the attendee is sent
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {string} [event.status] - 'CONFIRMED', 'TENTATIVE' or 'CANCELLED'
+ * @param {Object} [event.organizer] - { name, email }
+ * @param {Array} [event.attendees] - [{ name, email }]
+ * @param {string} [event.rrule] - Recurrence rule, e.g. 'FREQ=DAILY;UNTIL=20261130T000000Z'
+ * @param {Date|string} [event.lastModified]
+ * @returns {Array} Unfolded content lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+
+  if (event.organizer?.email) {
+    const name = event.organizer.name ? `;CN=${escapeParam(event.organizer.name)}` : '';
+    lines.push(`ORGANIZER${name}:mailto:${event.organizer.email}`);
+  }
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) {
+      continue;
+    }
+    const name = attendee.name ? `;CN=${escapeParam(attendee.name)}` : '';
+    lines.push(`ATTENDEE${name};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:${attendee.email}`);
+  }
+
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Complete VCALENDAR document
+ * @param {Object} options
+ * @param {Array} options.events - Event objects for buildEvent
+ * @param {string} [options.method] - 'REQUEST' or 'CANCEL' for email invitations, omitted for feeds
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @param {number} [options.refreshMinutes] - How often subscribing apps should refresh
+ * @returns {string} CRLF-separated, folded .ics text
+ */
+const buildCalendar = ({ events = [], method = null, name = null, refreshMinutes = null }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  toByDay,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,97 @@
+/**
+ * Muscat Time Utilities
+ * Date and clock arithmetic in Asia/Muscat, independent of the server's own timezone
+ * Oman is UTC+4 all year round (no daylight saving), so a fixed offset is exact
+ */
+
+const MUSCAT_TIMEZONE = 'Asia/Muscat';
+const MUSCAT_UTC_OFFSET_MINUTES = 4 * 60;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse "HH:MM" into minutes since midnight; "24:00" is allowed as the end of the day
+ * @returns {number|null}
+ */
+const parseTime = (time) => {
+  if (time === '24:00') {
+    return DAY_MINUTES;
+  }
+  const match = TIME_PATTERN.exec(String(time || ''));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+/**
+ * Minutes since midnight as "HH:MM"
+ */
+const formatTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Local Muscat date (YYYY-MM-DD) of an instant
+ */
+const toMuscatDate = (date = new Date()) => {
+  return new Date(new Date(date).getTime() + MUSCAT_UTC_OFFSET_MINUTES * MINUTE_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Minutes since midnight on the Muscat clock for an instant
+ */
+const toMuscatMinutes = (date = new Date()) => {
+  const shifted = new Date(new Date(date).getTime() + MUSCAT_UTC_OFFSET_MINUTES * MINUTE_MS);
+  return shifted.getUTCHours() * 60 + shifted.getUTCMinutes();
+};
+
+/**
+ * Instant for a local Muscat date and time
+ * @param {string} date - YYYY-MM-DD (anything after the first 10 characters is ignored)
+ * @param {string|number} time - "HH:MM" or minutes since midnight
+ * @returns {Date|null}
+ */
+const toMuscatDateTime = (date, time = '00:00') => {
+  const day = String(date || '').slice(0, 10);
+  const minutes = typeof time === 'number' ? time : parseTime(time || '00:00');
+  if (!DATE_PATTERN.test(day) || minutes === null) {
+    return null;
+  }
+
+  const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+  if (isNaN(midnightUtc)) {
+    return null;
+  }
+  return new Date(midnightUtc + (minutes - MUSCAT_UTC_OFFSET_MINUTES) * MINUTE_MS);
+};
+
+/**
+ * Weekday name ('sunday' ... 'saturday') of a calendar date
+ */
+const getWeekday = (date) => WEEKDAYS[new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Calendar date plus a number of days (YYYY-MM-DD)
+ */
+const addDays = (date, days) => {
+  const result = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  MUSCAT_TIMEZONE,
+  WEEKDAYS,
+  DATE_PATTERN,
+  parseTime,
+  formatTime,
+  toMuscatDate,
+  toMuscatMinutes,
+  toMuscatDateTime,
+  getWeekday,
+  addDays
+};
@@ -412,6 +412,48 @@ class NotificationHelper {
     }
   }
 
+  /**
+   * Trigger company team invitation email
+   * The invitee may not have an account yet, so the receiver is the invitation itself
+   * @param {CompanyMember} member - Pending invitation
+   * @param {Object} company - Company they are invited to
+   * @param {string} inviteUrl - Link with the invitation token
+   */
+  static async triggerTeamInvitation(member, company, inviteUrl) {
+    try {
+      await notificationService.sendNotification({
+        type: 'company_team_invitation',
+        initiatedBy: 'company',
+        action: 'Team Invitation',
+        description: 'Company invites a team member',
+        receivers: [{
+          id: `company_member_${member.id}`,
+          type: 'company',
+          email: member.email
+        }],
+        channels: ['email'],
+        content: {
+          message: `You have been invited to join ${company.companyName} on Shift.`,
+          actionUrl: inviteUrl,
+          subject: `Join ${company.companyName} on Shift`
+        },
+        metadata: {
+          companyName: company.companyName,
+          companyId: company.id,
+          role: member.role,
+          expiresDate: member.inviteExpiresAt.slice(0, 10)
+        }
+      });
+
+      logger.info(`✅ Team invitation sent to ${member.email} for company ${company.id}`);
+      return { success: true };
+
+    } catch (error) {
+      logger.error('❌ Failed to send team invitation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get admin emails from environment or default
    * @returns {Array} Array of admin email addresses
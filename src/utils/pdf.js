@@ -0,0 +1,204 @@
+/**
+ * PDF Utilities
+ * A small PDF 1.4 writer for generated documents such as payslips and invoices - text in the
+ * standard Helvetica fonts, lines and filled boxes on A4 pages
+ *
+ * The standard fonts need no embedding but only cover Latin-1 (WinAnsi); other characters print as "?".
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of the printable ASCII characters, from the Adobe AFM files
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+// Latin-1 letters and symbols aren't in the table; this is close enough for layout
+const DEFAULT_WIDTH = 556;
+
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2' };
+
+/**
+ * Text as WinAnsi characters; anything outside Latin-1 becomes "?"
+ */
+const toWinAnsi = (text) => {
+  return String(text == null ? '' : text)
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+};
+
+/**
+ * Width of a text in points
+ * @param {string} text
+ * @param {number} size - Font size
+ * @param {boolean} bold
+ */
+const measureText = (text, size, bold = false) => {
+  const widths = ASCII_WIDTHS[bold ? 'bold' : 'regular'];
+  const units = [...toWinAnsi(text)].reduce((total, char) => {
+    const code = char.charCodeAt(0);
+    return total + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH);
+  }, 0);
+  return (units * size) / 1000;
+};
+
+/**
+ * Escape a PDF literal string
+ */
+const escapeString = (text) => toWinAnsi(text).replace(/([\\()])/g, '\\$1');
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Multi-page document built up with text(), line() and rect(), then written with toBuffer()
+ */
+class PdfDocument {
+  /**
+   * @param {Object} options
+   * @param {string} [options.title] - Document title shown by PDF viewers
+   * @param {string} [options.author]
+   */
+  constructor({ title = null, author = null } = {}) {
+    this.title = title;
+    this.author = author;
+    this.pages = [];
+    this.width = PAGE_WIDTH;
+    this.height = PAGE_HEIGHT;
+    this.addPage();
+  }
+
+  /**
+   * Start a new page; drawing continues on it
+   */
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  get operations() {
+    return this.pages[this.pages.length - 1];
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text
+   * @param {number} x - Left edge, or the right edge with align 'right', or the centre with align 'center'
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} [options] - { size = 10, bold = false, align = 'left', color = [r, g, b] (0-1) }
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left', color = null } = {}) {
+    let left = x;
+    if (align !== 'left') {
+      const width = measureText(text, size, bold);
+      left = align === 'right' ? x - width : x - width / 2;
+    }
+
+    const fill = color ? `${color.map(formatNumber).join(' ')} rg ` : '';
+    this.operations.push(
+      `BT ${fill}/${FONT_RESOURCES[bold ? 'bold' : 'regular']} ${formatNumber(size)} Tf ` +
+      `${formatNumber(left)} ${formatNumber(this.height - y)} Td (${escapeString(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {Object} [options] - { width = 0.5, color = [r, g, b] }
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color = null } = {}) {
+    const stroke = color ? `${color.map(formatNumber).join(' ')} RG ` : '';
+    this.operations.push(
+      `q ${stroke}${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ` +
+      `${formatNumber(x2)} ${formatNumber(this.height - y2)} l S Q`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a filled rectangle
+   * @param {number} x - Left
+   * @param {number} y - Top
+   * @param {Object} [options] - { color = [r, g, b] }
+   */
+  rect(x, y, width, height, { color = [0.93, 0.93, 0.93] } = {}) {
+    this.operations.push(
+      `q ${color.map(formatNumber).join(' ')} rg ${formatNumber(x)} ${formatNumber(this.height - y - height)} ` +
+      `${formatNumber(width)} ${formatNumber(height)} re f Q`
+    );
+    return this;
+  }
+
+  /**
+   * Write the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = addObject(
+      `<< /Producer (Shift)${this.title ? ` /Title (${escapeString(this.title)})` : ''}` +
+      `${this.author ? ` /Author (${escapeString(this.author)})` : ''} >>`
+    );
+
+    const pageIds = this.pages.map(operations => {
+      const content = operations.join('\n');
+      const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  PdfDocument,
+  measureText,
+  toWinAnsi
+};
@@ -0,0 +1,169 @@
+/**
+ * Text Analyzer
+ * Turns English and Arabic text into search terms
+ *
+ * normalize -> lowercase, strip Arabic diacritics/tatweel, fold alef/ya/ta-marbuta/hamza forms,
+ *              convert Arabic-Indic digits, replace punctuation with spaces
+ * tokenize  -> split on whitespace and drop stopwords
+ * stem      -> light English suffix stripping, Arabic article/conjunction and plural stripping
+ */
+
+const SEARCH_SYNONYMS = require('../config/searchSynonyms');
+
+const STOPWORDS = new Set([
+  // English
+  'a', 'an', 'the', 'and', 'or', 'for', 'in', 'at', 'of', 'to', 'with', 'on', 'by', 'from', 'is', 'are',
+  'job', 'jobs', 'vacancy', 'vacancies', 'position', 'hiring',
+  // Arabic (normalized)
+  'في', 'من', 'علي', 'الي', 'عن', 'مع', 'او', 'و', 'ال', 'وظيفه', 'وظايف'
+]);
+
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const ARABIC_SUFFIXES = ['ات', 'ون', 'ين', 'ه'];
+
+const isArabic = (token) => /[؀-ۿ]/.test(token);
+
+/**
+ * Fold spelling variants so the same word always produces the same characters
+ */
+const normalize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[ً-ٰٟـ]/g, '') // diacritics, dagger alef, tatweel
+    .replace(/[آأإٱ]/g, 'ا') // آ أ إ ٱ -> ا
+    .replace(/ى/g, 'ي') // ى -> ي
+    .replace(/ة/g, 'ه') // ة -> ه
+    .replace(/ؤ/g, 'و') // ؤ -> و
+    .replace(/ئ/g, 'ي') // ئ -> ي
+    .replace(/ک/g, 'ك') // Persian kaf -> ك
+    .replace(/ی/g, 'ي') // Persian ya -> ي
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+const stemEnglish = (token) => {
+  if (token.length <= 3 || !/^[a-z]+$/.test(token)) {
+    return token;
+  }
+
+  let stem = token;
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/(ss|x|z|ch|sh)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (stem.endsWith('ing') && stem.length > 5) {
+    stem = stem.slice(0, -3);
+  } else if (stem.endsWith('ed') && stem.length > 4) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('ly') && stem.length > 4) {
+    stem = stem.slice(0, -2);
+  }
+
+  // running -> runn -> run
+  if (/([b-df-hj-np-tv-z])\1$/.test(stem) && !/(ll|ss|zz)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+};
+
+const stemArabic = (token) => {
+  let stem = token;
+
+  for (const prefix of ARABIC_PREFIXES) {
+    if (stem.startsWith(prefix) && stem.length - prefix.length >= 2) {
+      stem = stem.slice(prefix.length);
+      break;
+    }
+  }
+  for (const suffix of ARABIC_SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+  return stem;
+};
+
+const stem = (token) => (isArabic(token) ? stemArabic(token) : stemEnglish(token));
+
+/**
+ * Normalized tokens without stopwords (not stemmed)
+ */
+const tokenize = (text) => {
+  return normalize(text)
+    .split(/\s+/)
+    .filter(token => token && !STOPWORDS.has(token));
+};
+
+/**
+ * Search terms for a piece of text
+ * @param {string} text
+ * @returns {string[]} Stemmed terms, in order, duplicates kept
+ */
+const analyze = (text) => tokenize(text).map(stem);
+
+// term -> every term in its synonym group (including itself)
+const SYNONYM_INDEX = new Map();
+for (const group of SEARCH_SYNONYMS) {
+  const terms = [...new Set(group.flatMap(word => analyze(word)))];
+  for (const term of terms) {
+    const existing = SYNONYM_INDEX.get(term) || [];
+    SYNONYM_INDEX.set(term, [...new Set([...existing, ...terms])]);
+  }
+}
+
+/**
+ * Synonyms of an analyzed term, excluding the term itself
+ */
+const getSynonyms = (term) => (SYNONYM_INDEX.get(term) || []).filter(synonym => synonym !== term);
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up once it exceeds maxDistance
+ * @returns {number} Distance, or maxDistance + 1 when further apart
+ */
+const editDistance = (a, b, maxDistance = 2) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+module.exports = {
+  normalize,
+  tokenize,
+  stem,
+  analyze,
+  getSynonyms,
+  editDistance
+};
@@ -0,0 +1,137 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) for admin sign-in, compatible with authenticator apps
+ * such as Google Authenticator and Microsoft Authenticator: SHA-1, 6 digits, 30 second steps
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+// Codes from this many steps either side are accepted, for clock drift between server and phone
+const DRIFT_STEPS = 1;
+
+/**
+ * Base32 (RFC 4648, no padding) as used in otpauth:// URLs
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * A new random secret, base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * The time step a moment falls in
+ */
+const getStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * The code for a time step
+ */
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options] - { lastUsedStep } a code from this step or earlier is a replay and is refused
+ * @returns {number|null} The matching time step, to store as the next lastUsedStep, or null
+ */
+const verifyCode = (secret, code, { lastUsedStep = null, now = Date.now() } = {}) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) {
+    return null;
+  }
+
+  const current = getStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URL for authenticator apps, usually shown as a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - e.g. the admin's email
+ * @param {string} issuer - Shown above the code in the app
+ */
+const buildOtpauthUrl = (secret, accountName, issuer = 'Shift Admin') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  base32Encode,
+  base32Decode
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const request = require('supertest');
+
+process.env.WHATSAPP_VERIFY_TOKEN = 'verify-token';
+process.env.WHATSAPP_APP_SECRET = 'app-secret';
+
+const ShiftServer = require('../../src/server');
+const whatsappService = require('../../src/services/whatsappService');
+const whatsappInboundService = require('../../src/services/whatsappInboundService');
+
+// Meta calls the webhook without a bearer token - it must not hit the '/api/' routers' authentication
+describe('WhatsApp callback routes', () => {
+  let app;
+
+  beforeAll(() => {
+    const server = new ShiftServer();
+    server.databaseEnabled = true;
+    server.configureMiddleware();
+    server.configureRoutes();
+    server.configureErrorHandling();
+    app = server.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('GET /api/callback/whatsapp answers the verify handshake without Authorization', async () => {
+    const res = await request(app)
+      .get('/api/callback/whatsapp')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-token', 'hub.challenge': '1158201444' });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('1158201444');
+  });
+
+  test('GET /api/callback/whatsapp rejects a wrong verify token', async () => {
+    const res = await request(app)
+      .get('/api/callback/whatsapp')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'wrong', 'hub.challenge': '1158201444' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('POST /api/callback/whatsapp processes a signed webhook without Authorization', async () => {
+    const handleWebhook = jest.spyOn(whatsappService, 'handleWebhook').mockResolvedValue({ statuses: 1, messages: [] });
+    const handleMessages = jest.spyOn(whatsappInboundService, 'handleMessages').mockResolvedValue([]);
+    const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+    const signature = 'sha256=' + crypto.createHmac('sha256', 'app-secret').update(body).digest('hex');
+
+    const res = await request(app)
+      .post('/api/callback/whatsapp')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', signature)
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true });
+    expect(handleWebhook).toHaveBeenCalledWith({ object: 'whatsapp_business_account', entry: [] });
+    expect(handleMessages).toHaveBeenCalledWith([]);
+  });
+
+  test('POST /api/callback/whatsapp rejects an unsigned webhook on its signature, not a missing token', async () => {
+    const res = await request(app)
+      .post('/api/callback/whatsapp')
+      .send({ object: 'whatsapp_business_account', entry: [] });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid signature');
+  });
+});
@@ -0,0 +1,41 @@
+const InstantHire = require('../../src/models/InstantHire');
+const earningsService = require('../../src/services/earningsService');
+
+describe('earningsService.buildLineItems without a timesheet', () => {
+  test('pays the booked hours day by day, with no overtime inside the daily hours', () => {
+    const instantHire = new InstantHire({
+      id: 'hire1',
+      payPerHour: 2,
+      hoursPerDay: 8,
+      totalDays: 5,
+      startDate: '2026-10-18',
+      paymentTerms: 'end_of_shift',
+      attendanceRecords: []
+    });
+
+    const items = earningsService.buildLineItems(instantHire);
+
+    expect(items.map(item => item.date)).toEqual(['2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22']);
+    expect(items.every(item => item.regularHours === 8 && item.overtimeHours === 0)).toBe(true);
+    expect(items.map(item => item.periodKey)).toEqual(items.map(item => item.date));
+    expect(items.reduce((sum, item) => sum + item.grossAmount, 0)).toBe(80);
+  });
+
+  test('only books the shift\'s working days', () => {
+    const instantHire = new InstantHire({
+      id: 'hire2',
+      payPerHour: 2,
+      hoursPerDay: 8,
+      totalDays: 3,
+      startDate: '2026-10-22',
+      workingDays: ['Sunday', 'Monday', 'Thursday'],
+      paymentTerms: 'weekly',
+      attendanceRecords: []
+    });
+
+    const items = earningsService.buildLineItems(instantHire);
+
+    expect(items.map(item => item.date)).toEqual(['2026-10-22', '2026-10-25', '2026-10-26']);
+    expect(items.map(item => item.periodKey)).toEqual(['week-2026-10-18', 'week-2026-10-25', 'week-2026-10-25']);
+  });
+});